@@ -0,0 +1,70 @@
+// ══════════════════════════════════════════════════════════════
+// DISPUTES -- contestacoes / chargebacks (Stripe e MercadoPago)
+// ══════════════════════════════════════════════════════════════
+// Um vocabulario de status para os dois gateways e o formato de provas da Stripe.
+//
+// Status (vocabulario da Stripe, usado tambem para o MercadoPago):
+//   warning_needs_response / needs_response  -> aguardando provas
+//   warning_under_review / under_review      -> provas enviadas, gateway analisando
+//   won | lost | warning_closed              -> encerrada
+// MercadoPago (GET /v1/chargebacks/:id): coverage_applied null = em aberto,
+// true = MP cobriu o vendedor (won), false = estornado ao comprador (lost).
+//
+// evidence[] = { id, kind, note?, fileName?, contentType?, url?, data?, source: 'system' | 'operator' | 'admin' }
+//   kind: receipt | order_history | checkin | service | communication | other
+
+const DISPUTE_EVIDENCE_KINDS = ['receipt', 'order_history', 'checkin', 'service', 'communication', 'other'];
+const DISPUTE_CLOSED = ['won', 'lost', 'warning_closed'];
+const DISPUTE_FILE_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+function isDisputeOpen(d) {
+  return !!d && !DISPUTE_CLOSED.includes(d.status);
+}
+
+function disputeNeedsResponse(d) {
+  return !!d && (d.status === 'needs_response' || d.status === 'warning_needs_response');
+}
+
+function mpChargebackStatus(cb) {
+  if (cb.coverage_applied === true) return 'won';
+  if (cb.coverage_applied === false) return 'lost';
+  const docs = String(cb.documentation_status || '');
+  if (docs === 'review_pending' || docs === 'supplied') return 'under_review';
+  return 'needs_response';
+}
+
+// Texto das provas geradas pelo sistema (recibo, pedido, check-in) e notas
+function evidenceText(evidence) {
+  return evidence.filter(e => e.note).map(e => '[' + e.kind + '] ' + e.note).join('\n\n');
+}
+
+// dispute.evidence -> objeto `evidence` de stripe.disputes.update
+// fileIds = { [evidenceId]: stripeFileId } para o que ja subiu com purpose 'dispute_evidence'
+function buildStripeEvidence(dispute, evidence, fileIds, ctx) {
+  const out = {};
+  const firstFile = kind => {
+    const e = evidence.find(x => x.kind === kind && fileIds[x.id]);
+    return e ? fileIds[e.id] : undefined;
+  };
+  if (ctx.customerName) out.customer_name = ctx.customerName.slice(0, 200);
+  if (ctx.customerEmail) out.customer_email_address = ctx.customerEmail;
+  if (ctx.productDescription) out.product_description = ctx.productDescription.slice(0, 20000);
+  if (ctx.serviceDate) out.service_date = new Date(ctx.serviceDate).toISOString().slice(0, 10);
+  const receipt = firstFile('receipt');
+  if (receipt) out.receipt = receipt;
+  const service = firstFile('service') || firstFile('checkin') || firstFile('order_history');
+  if (service) out.service_documentation = service;
+  const communication = firstFile('communication');
+  if (communication) out.customer_communication = communication;
+  const used = new Set([receipt, service, communication].filter(Boolean));
+  const other = evidence.map(e => fileIds[e.id]).find(f => f && !used.has(f));
+  if (other) out.uncategorized_file = other;
+  const text = evidenceText(evidence);
+  if (text) out.uncategorized_text = text.slice(0, 20000);
+  return out;
+}
+
+module.exports = {
+  DISPUTE_EVIDENCE_KINDS, DISPUTE_CLOSED, DISPUTE_FILE_TYPES,
+  isDisputeOpen, disputeNeedsResponse, mpChargebackStatus, buildStripeEvidence, evidenceText
+};
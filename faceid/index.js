@@ -0,0 +1,91 @@
+// ══════════════════════════════════════════════════════════════
+// FACEID -- indice vetorial para identificar rostos na portaria
+// ══════════════════════════════════════════════════════════════
+// Distancia euclidiana entre descritores de 128 floats do face-api.js; abaixo de
+// MATCH_THRESHOLD e a mesma pessoa, e o raio padrao do nearest e esse limiar.
+//
+// Indice = vantage-point tree sobre todos os descritores (varios por pessoa). Cada no
+// guarda um descritor e a mediana mu das distancias dos que ficaram abaixo dele:
+// dentro (< mu) e fora (>= mu). A busca so desce num lado quando a desigualdade
+// triangular permite -- resultado exato, sem comparar com todo mundo.
+
+const DIM = 128;
+const MATCH_THRESHOLD = 0.6; // face-api.js: abaixo disso e a mesma pessoa
+
+function isDescriptor(v) {
+  return Array.isArray(v) && v.length === DIM && v.every(x => typeof x === 'number' && Number.isFinite(x));
+}
+
+function distance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < DIM; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+// entries: [{ id, descriptors: [[128 floats], ...] }]
+function buildIndex(entries) {
+  const points = [];
+  for (const e of entries) {
+    for (const d of e.descriptors || []) if (isDescriptor(d)) points.push({ id: e.id, vec: Float64Array.from(d) });
+  }
+  return { size: points.length, people: new Set(points.map(p => p.id)).size, root: buildNode(points) };
+}
+
+function buildNode(points) {
+  if (!points.length) return null;
+  const vp = points[points.length - 1];
+  const rest = points.slice(0, -1).map(p => ({ p, d: distance(vp.vec, p.vec) }));
+  if (!rest.length) return { id: vp.id, vec: vp.vec, mu: 0, inside: null, outside: null };
+  rest.sort((x, y) => x.d - y.d);
+  const mid = rest.length >> 1;
+  const mu = rest[mid].d;
+  return {
+    id: vp.id, vec: vp.vec, mu,
+    inside: buildNode(rest.slice(0, mid).map(r => r.p)),
+    outside: buildNode(rest.slice(mid).map(r => r.p))
+  };
+}
+
+// Pessoa mais proxima da consulta (distancia < radius) ou null. O raio encolhe para a
+// melhor distancia ja achada e o lado mais provavel e visitado primeiro, entao um rosto
+// cadastrado poda boa parte da arvore. visited = descritores comparados.
+function nearest(index, query, radius = MATCH_THRESHOLD) {
+  let best = null, visited = 0, tau = radius;
+  (function visit(node) {
+    if (!node) return;
+    const d = distance(query, node.vec);
+    visited++;
+    if (d < tau) { best = { id: node.id, distance: d }; tau = d; }
+    const insideFirst = d < node.mu;
+    const [first, second] = insideFirst ? [node.inside, node.outside] : [node.outside, node.inside];
+    visit(first);
+    if (insideFirst ? d + tau >= node.mu : d - tau < node.mu) visit(second);
+  })(index && index.root);
+  return { match: best, visited };
+}
+
+// Todas as pessoas com algum descritor a menos de radius, melhor distancia primeiro
+function within(index, query, radius) {
+  const best = new Map();
+  let visited = 0;
+  const stack = index && index.root ? [index.root] : [];
+  while (stack.length) {
+    const node = stack.pop();
+    const d = distance(query, node.vec);
+    visited++;
+    if (d < radius && (!best.has(node.id) || d < best.get(node.id))) best.set(node.id, d);
+    if (node.inside && d - radius < node.mu) stack.push(node.inside);
+    if (node.outside && d + radius >= node.mu) stack.push(node.outside);
+  }
+  const matches = [...best.entries()].map(([id, dist]) => ({ id, distance: dist })).sort((a, b) => a.distance - b.distance);
+  return { matches, visited };
+}
+
+function confidenceOf(dist, threshold = MATCH_THRESHOLD) {
+  return Math.round(Math.max(0, Math.min(1, 1 - dist / threshold)) * 100);
+}
+
+module.exports = { DIM, MATCH_THRESHOLD, isDescriptor, distance, buildIndex, nearest, within, confidenceOf };
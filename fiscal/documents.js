@@ -0,0 +1,275 @@
+// ══════════════════════════════════════════════════════════════
+// FISCAL -- montagem dos documentos (NF-e/NFC-e 4.00 e RPS NFS-e ABRASF 2.04)
+// ══════════════════════════════════════════════════════════════
+// Funcoes puras: recebem o pedido (com o bloco order.fiscal), o emitente ja
+// resolvido e a numeracao, e devolvem o XML ainda sem assinatura.
+// O XML sai em forma canonica (C14N) para o sign.js calcular o digest direto
+// da string: sem espacos entre tags, tags sempre abertas e fechadas (<a></a>),
+// atributos em ordem alfabetica e escape so de & < > (e " em atributos).
+//
+// Emitente: { cnpj, ie, im, name, tradeName, crt, uf, cityCode, cityName,
+//             street, number, district, zip, phone }
+// Produtos vao na NF-e (mod 55) ou NFC-e (mod 65); gorjeta vai no RPS (ISS).
+
+const crypto = require('crypto');
+
+const NFE_NS = 'http://www.portalfiscal.inf.br/nfe';
+const NFSE_NS = 'http://www.abrasf.org.br/nfse.xsd';
+const NFE_VERSION = '4.00';
+const APP_VERSION = 'Touch 1.0';
+const HOMOLOG_TEXT = 'NOTA FISCAL EMITIDA EM AMBIENTE DE HOMOLOGACAO - SEM VALOR FISCAL';
+
+// Codigo IBGE de cada UF (cUF da chave de acesso)
+const UF_CODES = {
+  RO: '11', AC: '12', AM: '13', RR: '14', PA: '15', AP: '16', TO: '17',
+  MA: '21', PI: '22', CE: '23', RN: '24', PB: '25', PE: '26', AL: '27', SE: '28', BA: '29',
+  MG: '31', ES: '32', RJ: '33', SP: '35',
+  PR: '41', SC: '42', RS: '43',
+  MS: '50', MT: '51', GO: '52', DF: '53',
+};
+
+// paymentMethod do pedido -> tPag do grupo <pag>
+const PAYMENT_CODES = { cash: '01', counter: '01', credit: '03', card: '03', paid: '03', debit: '04', pix: '17' };
+
+function escText(v) {
+  return String(v == null ? '' : v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escAttr(v) {
+  return escText(v).replace(/"/g, '&quot;');
+}
+
+function el(name, content) {
+  return '<' + name + '>' + content + '</' + name + '>';
+}
+
+function txt(name, value) {
+  return el(name, escText(value));
+}
+
+function digits(v) {
+  return String(v == null ? '' : v).replace(/\D/g, '');
+}
+
+function pad(v, len) {
+  return digits(v).padStart(len, '0').slice(-len);
+}
+
+function money(n) {
+  return (Math.round((Number(n) || 0) * 100) / 100).toFixed(2);
+}
+
+function cents(n) {
+  return Math.round((Number(n) || 0) * 100);
+}
+
+// Texto livre da SEFAZ: sem acentos nem quebras de linha, tamanho limitado
+function plain(v, max) {
+  return String(v == null ? '' : v).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+// Horario de Brasilia (sem horario de verao desde 2019)
+function brDateTime(ts) {
+  return new Date(ts - 3 * 3600 * 1000).toISOString().slice(0, 19) + '-03:00';
+}
+
+function mod11(num) {
+  let sum = 0;
+  let weight = 2;
+  for (let i = num.length - 1; i >= 0; i--) {
+    sum += Number(num[i]) * weight;
+    weight = weight === 9 ? 2 : weight + 1;
+  }
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+}
+
+function isValidCnpj(cnpj) {
+  const d = digits(cnpj);
+  if (d.length !== 14 || /^(\d)\1+$/.test(d)) return false;
+  const calc = len => {
+    let sum = 0;
+    let weight = len - 7;
+    for (let i = 0; i < len; i++) {
+      sum += Number(d[i]) * weight--;
+      if (weight < 2) weight = 9;
+    }
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+  };
+  return calc(12) === Number(d[12]) && calc(13) === Number(d[13]);
+}
+
+// Chave de acesso: cUF(2) AAMM(4) CNPJ(14) mod(2) serie(3) nNF(9) tpEmis(1) cNF(8) + DV
+function accessKey({ uf, issuedAt, cnpj, model, series, number, cNF }) {
+  const yymm = brDateTime(issuedAt).slice(2, 7).replace('-', '');
+  const base = UF_CODES[uf] + yymm + pad(cnpj, 14) + pad(model, 2) + pad(series, 3) + pad(number, 9) + '1' + pad(cNF, 8);
+  return base + mod11(base);
+}
+
+// Classificacao da linha (items[].fiscal, gravada no pedido) com o padrao do pedido como reserva
+function lineTax(line, order, issuer) {
+  const f = order.fiscal || {};
+  const lf = line.fiscal || {};
+  return {
+    ncm: digits(lf.ncm || f.ncm),
+    cfop: digits(lf.cfop || f.cfop),
+    cst: String(lf.cst || f.cst || '00'),
+    csosn: String(lf.csosn || f.csosn || '102'),
+    simples: issuer.crt === '1' || issuer.crt === '2' || issuer.crt === '4',
+  };
+}
+
+function icmsGroup(tax, vBC, rates) {
+  if (tax.simples) {
+    return { vBC: 0, vICMS: 0, xml: el('ICMSSN102', txt('orig', '0') + txt('CSOSN', tax.csosn)) };
+  }
+  if (tax.cst === '00') {
+    const vICMS = Math.round(cents(vBC) * (rates.icms || 0) / 100) / 100;
+    return {
+      vBC,
+      vICMS,
+      xml: el('ICMS00', txt('orig', '0') + txt('CST', '00') + txt('modBC', '3') + txt('vBC', money(vBC)) +
+        txt('pICMS', (rates.icms || 0).toFixed(2)) + txt('vICMS', money(vICMS))),
+    };
+  }
+  if (tax.cst === '40' || tax.cst === '41' || tax.cst === '50') {
+    return { vBC: 0, vICMS: 0, xml: el('ICMS40', txt('orig', '0') + txt('CST', tax.cst)) };
+  }
+  throw new Error('CST ICMS nao suportado: ' + tax.cst);
+}
+
+function pisCofins(tag, vBC, rate) {
+  const value = Math.round(cents(vBC) * rate / 100) / 100;
+  const group = rate > 0
+    ? el(tag + 'Aliq', txt('CST', '01') + txt('vBC', money(vBC)) + txt('p' + tag, rate.toFixed(2)) + txt('v' + tag, money(value)))
+    : el(tag + 'NT', txt('CST', '07'));
+  return { value, xml: el(tag, group) };
+}
+
+// Frete rateado entre os itens pelo valor de cada um; a sobra de centavos fica no ultimo
+function allocateFreight(values, freight) {
+  const total = values.reduce((s, v) => s + v, 0);
+  const out = values.map(v => total > 0 ? Math.floor(cents(freight) * v / total) / 100 : 0);
+  if (out.length) out[out.length - 1] = Math.round((out[out.length - 1] + (cents(freight) - out.reduce((s, v) => s + cents(v), 0)) / 100) * 100) / 100;
+  return out;
+}
+
+// opts: { model: '55' | '65', series, number, cNF, issuedAt, environment: 1 (producao) | 2 (homologacao),
+//         rates: { icms, pis, cofins }, csc, cscId, qrBaseUrl, consultUrl, buyer: { cpf | cnpj, name } }
+// Retorna { xml, key, total }
+function buildNFe(order, issuer, opts) {
+  const model = opts.model === '55' ? '55' : '65';
+  const nfce = model === '65';
+  const uf = String(issuer.uf || '').toUpperCase();
+  if (!UF_CODES[uf]) throw new Error('UF do emitente invalida');
+  if (!/^\d{7}$/.test(digits(issuer.cityCode))) throw new Error('Codigo IBGE do municipio invalido');
+  const items = order.items || [];
+  if (!items.length) throw new Error('Pedido sem itens');
+  if (!nfce && !(opts.buyer && (opts.buyer.cpf || opts.buyer.cnpj))) throw new Error('NF-e modelo 55 exige CPF ou CNPJ do destinatario');
+  if (nfce && (!opts.csc || !opts.cscId)) throw new Error('NFC-e exige CSC e identificador do CSC');
+
+  const env = opts.environment === 1 ? 1 : 2;
+  const rates = opts.rates || {};
+  const key = accessKey({ uf, issuedAt: opts.issuedAt, cnpj: issuer.cnpj, model, series: opts.series, number: opts.number, cNF: opts.cNF });
+  const freight = (order.fiscal && order.fiscal.deliveryAmount) || order.deliveryFee || 0;
+  const lineValues = items.map(it => cents((Number(it.price) || 0) * (Number(it.qty) || 1)) / 100);
+  const freightShare = allocateFreight(lineValues, freight);
+
+  const tot = { vBC: 0, vICMS: 0, vProd: 0, vFrete: 0, vPIS: 0, vCOFINS: 0 };
+  const det = items.map((it, i) => {
+    const qty = Number(it.qty) || 1;
+    const vProd = lineValues[i];
+    const vFrete = freightShare[i];
+    const tax = lineTax(it, order, issuer);
+    if (!/^\d{8}$/.test(tax.ncm)) throw new Error('NCM invalido no item ' + (i + 1));
+    if (!/^\d{4}$/.test(tax.cfop)) throw new Error('CFOP invalido no item ' + (i + 1));
+    const name = nfce && env === 2 && i === 0 ? HOMOLOG_TEXT : plain(it.name, 120) || 'Item ' + (i + 1);
+    const unit = (vProd / qty).toFixed(10);
+    const prod = txt('cProd', plain(it.menuItemId || it.id || i + 1, 60)) + txt('cEAN', 'SEM GTIN') + txt('xProd', name) +
+      txt('NCM', tax.ncm) + txt('CFOP', tax.cfop) + txt('uCom', 'UN') + txt('qCom', qty.toFixed(4)) +
+      txt('vUnCom', unit) + txt('vProd', money(vProd)) + txt('cEANTrib', 'SEM GTIN') + txt('uTrib', 'UN') +
+      txt('qTrib', qty.toFixed(4)) + txt('vUnTrib', unit) + (vFrete > 0 ? txt('vFrete', money(vFrete)) : '') + txt('indTot', '1');
+    const base = vProd + vFrete;
+    const icms = icmsGroup(tax, base, rates);
+    tot.vBC += icms.vBC;
+    tot.vICMS += icms.vICMS;
+    const pis = pisCofins('PIS', base, rates.pis || 0);
+    const cofins = pisCofins('COFINS', base, rates.cofins || 0);
+    tot.vProd += vProd; tot.vFrete += vFrete; tot.vPIS += pis.value; tot.vCOFINS += cofins.value;
+    return '<det nItem="' + (i + 1) + '">' + el('prod', prod) + el('imposto', el('ICMS', icms.xml) + pis.xml + cofins.xml) + '</det>';
+  }).join('');
+  const vNF = Math.round((tot.vProd + tot.vFrete) * 100) / 100;
+
+  const ide = txt('cUF', UF_CODES[uf]) + txt('cNF', pad(opts.cNF, 8)) + txt('natOp', 'VENDA') + txt('mod', model) +
+    txt('serie', Number(opts.series)) + txt('nNF', Number(opts.number)) + txt('dhEmi', brDateTime(opts.issuedAt)) +
+    txt('tpNF', '1') + txt('idDest', '1') + txt('cMunFG', digits(issuer.cityCode)) + txt('tpImp', nfce ? '4' : '1') +
+    txt('tpEmis', '1') + txt('cDV', key.slice(-1)) + txt('tpAmb', env) + txt('finNFe', '1') + txt('indFinal', '1') +
+    txt('indPres', order.deliveryType === 'delivery' ? '4' : '1') + txt('procEmi', '0') + txt('verProc', APP_VERSION);
+  const address = txt('xLgr', plain(issuer.street, 60)) + txt('nro', plain(issuer.number || 'SN', 60)) +
+    txt('xBairro', plain(issuer.district || 'Centro', 60)) + txt('cMun', digits(issuer.cityCode)) +
+    txt('xMun', plain(issuer.cityName, 60)) + txt('UF', uf) + txt('CEP', pad(issuer.zip, 8)) +
+    txt('cPais', '1058') + txt('xPais', 'BRASIL') + (issuer.phone ? txt('fone', digits(issuer.phone).slice(0, 14)) : '');
+  const emit = txt('CNPJ', pad(issuer.cnpj, 14)) + txt('xNome', plain(issuer.name, 60)) +
+    (issuer.tradeName ? txt('xFant', plain(issuer.tradeName, 60)) : '') + el('enderEmit', address) +
+    txt('IE', digits(issuer.ie) || 'ISENTO') + txt('CRT', issuer.crt || '3');
+  let dest = '';
+  if (opts.buyer && (opts.buyer.cpf || opts.buyer.cnpj)) {
+    const doc = opts.buyer.cnpj ? txt('CNPJ', pad(opts.buyer.cnpj, 14)) : txt('CPF', pad(opts.buyer.cpf, 11));
+    const buyerName = env === 2 ? HOMOLOG_TEXT : plain(opts.buyer.name, 60);
+    dest = el('dest', doc + (buyerName ? txt('xNome', buyerName) : '') + txt('indIEDest', '9'));
+  }
+  const icmsTot = txt('vBC', money(tot.vBC)) + txt('vICMS', money(tot.vICMS)) + txt('vICMSDeson', '0.00') +
+    txt('vFCP', '0.00') + txt('vBCST', '0.00') + txt('vST', '0.00') + txt('vFCPST', '0.00') + txt('vFCPSTRet', '0.00') +
+    txt('vProd', money(tot.vProd)) + txt('vFrete', money(tot.vFrete)) + txt('vSeg', '0.00') + txt('vDesc', '0.00') +
+    txt('vII', '0.00') + txt('vIPI', '0.00') + txt('vIPIDevol', '0.00') + txt('vPIS', money(tot.vPIS)) +
+    txt('vCOFINS', money(tot.vCOFINS)) + txt('vOutro', '0.00') + txt('vNF', money(vNF));
+  const tPag = PAYMENT_CODES[order.paymentMethod] || '99';
+  const detPag = txt('tPag', tPag) + (tPag === '99' ? txt('xPag', 'Outros') : '') + txt('vPag', money(vNF)) +
+    (tPag === '03' || tPag === '04' ? el('card', txt('tpIntegra', '2')) : '');
+  const infCpl = plain('Pedido ' + (order.receiptNumber || order.id) + (order.table ? ' - Mesa ' + order.table : ''), 5000);
+
+  const infNFe = '<infNFe Id="NFe' + key + '" versao="' + NFE_VERSION + '">' + el('ide', ide) + el('emit', emit) + dest + det +
+    el('total', el('ICMSTot', icmsTot)) + el('transp', txt('modFrete', freight > 0 ? '0' : '9')) +
+    el('pag', el('detPag', detPag)) + el('infAdic', txt('infCpl', infCpl)) + '</infNFe>';
+
+  let supl = '';
+  if (nfce) {
+    // QR Code NFC-e versao 2 (emissao online): chave|2|tpAmb|cIdToken|hash(SHA-1 com o CSC)
+    const params = key + '|2|' + env + '|' + Number(opts.cscId);
+    const hash = crypto.createHash('sha1').update(params + opts.csc).digest('hex').toUpperCase();
+    const qr = (opts.qrBaseUrl || '') + '?p=' + params + '|' + hash;
+    supl = el('infNFeSupl', txt('qrCode', qr) + txt('urlChave', opts.consultUrl || ''));
+  }
+  return { xml: '<NFe xmlns="' + NFE_NS + '">' + infNFe + supl + '</NFe>', key, total: vNF };
+}
+
+// opts: { series, number, issuedAt, environment, issRate, serviceCode (LC 116), municipalCode }
+// A gorjeta / taxa de servico vira um RPS que a prefeitura converte em NFS-e.
+// Retorna { xml, id, total }
+function buildNFSeRps(order, issuer, opts) {
+  const value = Number((order.fiscal && order.fiscal.serviceAmount) || order.tipAmount) || 0;
+  if (value <= 0) throw new Error('Pedido sem valor de servico');
+  if (!digits(issuer.im)) throw new Error('Inscricao municipal do prestador obrigatoria');
+  if (!/^\d{7}$/.test(digits(issuer.cityCode))) throw new Error('Codigo IBGE do municipio invalido');
+  const rate = Number(opts.issRate) || 0;
+  const iss = Math.round(cents(value) * rate / 100) / 100;
+  const day = brDateTime(opts.issuedAt).slice(0, 10);
+  const id = 'rps' + pad(opts.number, 9) + String(opts.series).replace(/[^A-Za-z0-9]/g, '');
+  const service = el('Valores', txt('ValorServicos', money(value)) + txt('ValorIss', money(iss)) + txt('Aliquota', rate.toFixed(2))) +
+    txt('IssRetido', '2') + txt('ItemListaServico', opts.serviceCode || (order.fiscal && order.fiscal.issCode) || '09.02') +
+    (opts.municipalCode ? txt('CodigoTributacaoMunicipio', opts.municipalCode) : '') +
+    txt('Discriminacao', plain('Taxa de servico - Pedido ' + (order.receiptNumber || order.id), 2000)) +
+    txt('CodigoMunicipio', digits(issuer.cityCode)) + txt('ExigibilidadeISS', '1');
+  const inf = '<InfDeclaracaoPrestacaoServico Id="' + escAttr(id) + '">' +
+    el('Rps', el('IdentificacaoRps', txt('Numero', Number(opts.number)) + txt('Serie', opts.series) + txt('Tipo', '1')) +
+      txt('DataEmissao', day) + txt('Status', '1')) +
+    txt('Competencia', day) + el('Servico', service) +
+    el('Prestador', el('CpfCnpj', txt('Cnpj', pad(issuer.cnpj, 14))) + txt('InscricaoMunicipal', digits(issuer.im))) +
+    txt('OptanteSimplesNacional', ['1', '2', '4'].includes(issuer.crt) ? '1' : '2') + txt('IncentivoFiscal', '2') +
+    '</InfDeclaracaoPrestacaoServico>';
+  return { xml: '<Rps xmlns="' + NFSE_NS + '">' + inf + '</Rps>', id, total: Math.round(value * 100) / 100 };
+}
+
+module.exports = { NFE_NS, NFSE_NS, UF_CODES, buildNFe, buildNFSeRps, accessKey, isValidCnpj, escText, escAttr, digits };
@@ -0,0 +1,58 @@
+// ══════════════════════════════════════════════════════════════
+// FISCAL -- EMISSAO DE NF-e / NFC-e / NFS-e (provedores plugaveis)
+// ══════════════════════════════════════════════════════════════
+// O servidor monta o XML a partir do bloco order.fiscal (documents.js),
+// assina com o certificado A1 do operador (sign.js) e envia por um provedor.
+// Cada SEFAZ / prefeitura / integrador registra um provedor aqui; o 'mock'
+// responde localmente com os codigos reais de retorno.
+//
+// Interface de um provedor (todos os metodos sao async):
+//   authorize(doc, ctx)          -> { status: 'authorized' | 'processing' | 'rejected', code, reason, protocol?, number? }
+//   query(doc, ctx)              -> mesma resposta de authorize (para documentos em 'processing')
+//   cancel(doc, reason, ctx)     -> { status: 'cancelled' | 'rejected', code, reason, protocol? }
+//   urls(uf, environment)        -> { qrCode, consult }   (NFC-e; opcional)
+// doc = registro de fiscalDocuments (kind 'nfe' | 'nfce' | 'nfse', xml assinado, key, issuerCnpj)
+// ctx = { environment: 'producao' | 'homologacao', uf, cityCode }
+// number = numero da NFS-e gerada pela prefeitura a partir do RPS.
+//
+// Status fiscal do pedido (order.fiscal.nfeStatus / nfsStatus):
+//   pending -> processing -> emitted -> cancelled
+//                         -> rejected | error -> processing (reenvio)
+
+const PROVIDERS = {};
+
+const STATUS_TRANSITIONS = {
+  pending: ['processing'],
+  processing: ['emitted', 'rejected', 'error'],
+  rejected: ['processing'],
+  error: ['processing'],
+  emitted: ['cancelled'],
+  cancelled: [],
+};
+
+function registerFiscalProvider(id, provider) {
+  if (!id || !provider || typeof provider.authorize !== 'function' || typeof provider.cancel !== 'function') {
+    throw new Error('Provedor fiscal invalido: ' + id);
+  }
+  PROVIDERS[id] = provider;
+}
+
+function getFiscalProvider(id) {
+  return PROVIDERS[id] || null;
+}
+
+function listFiscalProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from || 'pending'] || []).includes(to);
+}
+
+registerFiscalProvider('mock', require('./mock-provider'));
+
+module.exports = {
+  registerFiscalProvider, getFiscalProvider, listFiscalProviders, canTransition,
+  ...require('./documents'),
+  ...require('./sign'),
+};
@@ -0,0 +1,78 @@
+// ══════════════════════════════════════════════════════════════
+// FISCAL -- provedor local (mock) para desenvolvimento e homologacao
+// ══════════════════════════════════════════════════════════════
+// Responde como SEFAZ/prefeitura sem sair da maquina, com os mesmos codigos
+// de retorno (cStat) dos webservices reais:
+//   100 autorizado, 135 cancelamento homologado, 207 CNPJ do emitente invalido,
+//   297 assinatura difere do calculado, 501 prazo de cancelamento superior ao
+//   previsto, 778 NCM inexistente (qualquer item com NCM 00000000).
+// Tambem gera certificados autoassinados para teste (createTestCertificate).
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { verifyXmlSignature } = require('./sign');
+const { isValidCnpj, UF_CODES } = require('./documents');
+
+const CANCEL_WINDOW = { nfe: 24 * 3600 * 1000, nfce: 30 * 60 * 1000 };
+
+let nfseSeq = 0;
+
+function protocolFor(doc) {
+  const uf = doc.key ? doc.key.slice(0, 2) : '35';
+  return '1' + uf + String(Date.now()).slice(-6) + crypto.randomInt(100000, 999999);
+}
+
+module.exports = {
+  id: 'mock',
+
+  urls(uf) {
+    return {
+      qrCode: 'https://nfce.mock.local/' + String(uf).toLowerCase() + '/qrcode',
+      consult: 'https://nfce.mock.local/' + String(uf).toLowerCase() + '/consulta',
+    };
+  },
+
+  async authorize(doc) {
+    const sig = verifyXmlSignature(doc.xml);
+    if (!sig.ok) return { status: 'rejected', code: '297', reason: 'Rejeicao: Assinatura difere do calculado (' + sig.reason + ')' };
+    if (!isValidCnpj(doc.issuerCnpj)) return { status: 'rejected', code: '207', reason: 'Rejeicao: CNPJ do emitente invalido' };
+    if (doc.kind === 'nfse') {
+      nfseSeq++;
+      return { status: 'authorized', code: 'L000', reason: 'RPS convertido em NFS-e', protocol: protocolFor(doc), number: String(nfseSeq) };
+    }
+    if (!Object.values(UF_CODES).includes(String(doc.key).slice(0, 2))) {
+      return { status: 'rejected', code: '226', reason: 'Rejeicao: Codigo da UF do Emitente diverge da UF autorizadora' };
+    }
+    if (/<NCM>00000000<\/NCM>/.test(doc.xml)) return { status: 'rejected', code: '778', reason: 'Rejeicao: Informado NCM inexistente' };
+    return { status: 'authorized', code: '100', reason: 'Autorizado o uso da NF-e', protocol: protocolFor(doc) };
+  },
+
+  async query(doc) {
+    return this.authorize(doc);
+  },
+
+  async cancel(doc) {
+    const window = CANCEL_WINDOW[doc.kind];
+    if (window && Date.now() - (doc.authorizedAt || 0) > window) {
+      return { status: 'rejected', code: '501', reason: 'Rejeicao: Prazo de cancelamento superior ao previsto na Legislacao' };
+    }
+    return { status: 'cancelled', code: '135', reason: 'Evento registrado e vinculado a NF-e', protocol: protocolFor(doc) };
+  },
+
+  // .pfx autoassinado com CN no formato ICP-Brasil ("NOME:CNPJ"), em base64
+  createTestCertificate({ cnpj, name, password, days }) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+    cert.serialNumber = '01' + crypto.randomBytes(8).toString('hex');
+    cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+    cert.validity.notAfter = new Date(Date.now() + (days || 365) * 24 * 3600 * 1000);
+    const attrs = [{ name: 'commonName', value: (name || 'EMPRESA TESTE') + ':' + cnpj }, { name: 'countryName', value: 'BR' }];
+    cert.setSubject(attrs);
+    cert.setIssuer(attrs);
+    const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    cert.sign(key, forge.md.sha256.create());
+    const p12 = forge.pkcs12.toPkcs12Asn1(key, [cert], password || '', { algorithm: '3des' });
+    return forge.util.encode64(forge.asn1.toDer(p12).getBytes());
+  },
+};
@@ -0,0 +1,140 @@
+// ══════════════════════════════════════════════════════════════
+// FISCAL -- certificado A1 (PKCS#12) e assinatura XMLDSig
+// ══════════════════════════════════════════════════════════════
+// Assinatura envelopada no padrao da SEFAZ e do ABRASF: C14N sem comentarios,
+// RSA-SHA1 e digest SHA-1 do elemento referenciado pelo Id (infNFe ou
+// InfDeclaracaoPrestacaoServico). O XML vem canonico de documents.js, entao
+// a unica diferenca entre a string e a forma C14N do elemento e o xmlns
+// herdado da raiz, que entra no digest.
+// A senha do .pfx fica selada (AES-256-GCM) com a chave do servidor.
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const DSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+const C14N = 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315';
+
+// Le o .pfx (base64) e devolve o que a assinatura precisa.
+// Lanca erro com mensagem legivel para senha errada ou arquivo invalido.
+function loadCertificate(pfxBase64, password) {
+  let p12;
+  try {
+    const asn1 = forge.asn1.fromDer(forge.util.decode64(pfxBase64));
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1, password || '');
+  } catch (e) {
+    throw new Error('Certificado invalido ou senha incorreta');
+  }
+  const keyBag = (p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [])[0] ||
+    (p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])[0];
+  if (!keyBag || !keyBag.key) throw new Error('Certificado sem chave privada');
+  // The bundle may carry the CA chain: pick the certificate that matches the private key
+  const certs = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || []).map(b => b.cert).filter(Boolean);
+  const cert = certs.find(c => c.publicKey && c.publicKey.n && c.publicKey.n.equals(keyBag.key.n));
+  if (!cert) throw new Error('Certificado nao corresponde a chave privada');
+
+  const cnField = cert.subject.getField('CN');
+  const commonName = cnField ? String(cnField.value) : '';
+  // e-CNPJ ICP-Brasil: CN = "RAZAO SOCIAL:12345678000199"
+  const cnpjMatch = commonName.match(/(\d{14})\s*$/) || commonName.match(/(\d{14})/);
+  const certDer = forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes();
+  return {
+    privateKeyPem: forge.pki.privateKeyToPem(keyBag.key),
+    certBase64: forge.util.encode64(certDer),
+    commonName,
+    cnpj: cnpjMatch ? cnpjMatch[1] : null,
+    notBefore: cert.validity.notBefore.getTime(),
+    notAfter: cert.validity.notAfter.getTime(),
+  };
+}
+
+function rootNamespace(xml) {
+  const m = xml.match(/^<[A-Za-z]+ xmlns="([^"]+)"/);
+  return m ? m[1] : null;
+}
+
+// Recorta o elemento com Id=id e devolve a forma canonica (com o xmlns herdado)
+function canonicalElement(xml, id) {
+  const marker = ' Id="' + id + '"';
+  const at = xml.indexOf(marker);
+  if (at < 0) return null;
+  const start = xml.lastIndexOf('<', at);
+  const tag = xml.slice(start + 1, at);
+  const endTag = '</' + tag + '>';
+  const end = xml.indexOf(endTag, at);
+  if (end < 0) return null;
+  const element = xml.slice(start, end + endTag.length);
+  const ns = rootNamespace(xml);
+  return ns ? '<' + tag + ' xmlns="' + ns + '"' + element.slice(1 + tag.length) : element;
+}
+
+function digestOf(str) {
+  return crypto.createHash('sha1').update(str, 'utf8').digest('base64');
+}
+
+function signedInfo(id, digest) {
+  return '<SignedInfo>' +
+    '<CanonicalizationMethod Algorithm="' + C14N + '"></CanonicalizationMethod>' +
+    '<SignatureMethod Algorithm="' + DSIG_NS + 'rsa-sha1"></SignatureMethod>' +
+    '<Reference URI="#' + id + '"><Transforms>' +
+    '<Transform Algorithm="' + DSIG_NS + 'enveloped-signature"></Transform>' +
+    '<Transform Algorithm="' + C14N + '"></Transform>' +
+    '</Transforms><DigestMethod Algorithm="' + DSIG_NS + 'sha1"></DigestMethod>' +
+    '<DigestValue>' + digest + '</DigestValue></Reference></SignedInfo>';
+}
+
+// Assina o elemento Id=id e coloca <Signature> como ultimo filho da raiz
+function signXml(xml, id, cert) {
+  const element = canonicalElement(xml, id);
+  if (!element) throw new Error('Elemento ' + id + ' nao encontrado no XML');
+  const info = signedInfo(id, digestOf(element));
+  const canonicalInfo = '<SignedInfo xmlns="' + DSIG_NS + '"' + info.slice('<SignedInfo'.length);
+  const value = crypto.createSign('RSA-SHA1').update(canonicalInfo, 'utf8').sign(cert.privateKeyPem, 'base64');
+  const signature = '<Signature xmlns="' + DSIG_NS + '">' + info +
+    '<SignatureValue>' + value + '</SignatureValue>' +
+    '<KeyInfo><X509Data><X509Certificate>' + cert.certBase64 + '</X509Certificate></X509Data></KeyInfo></Signature>';
+  const close = xml.lastIndexOf('</');
+  return xml.slice(0, close) + signature + xml.slice(close);
+}
+
+// Confere digest e assinatura contra o certificado embutido no KeyInfo.
+// Retorna { ok, certBase64 } ou { ok: false, reason }
+function verifyXmlSignature(xml) {
+  const sig = xml.match(/<Signature xmlns="[^"]+">(<SignedInfo>[\s\S]*?<\/SignedInfo>)<SignatureValue>([^<]+)<\/SignatureValue>[\s\S]*?<X509Certificate>([^<]+)<\/X509Certificate>/);
+  if (!sig) return { ok: false, reason: 'Assinatura ausente' };
+  const [, info, value, certBase64] = sig;
+  const ref = info.match(/<Reference URI="#([^"]+)">[\s\S]*<DigestValue>([^<]+)<\/DigestValue>/);
+  if (!ref) return { ok: false, reason: 'Referencia da assinatura invalida' };
+  const unsigned = xml.replace(/<Signature xmlns="[^"]+">[\s\S]*<\/Signature>/, '');
+  const element = canonicalElement(unsigned, ref[1]);
+  if (!element || digestOf(element) !== ref[2]) return { ok: false, reason: 'Digest nao confere' };
+  const certPem = '-----BEGIN CERTIFICATE-----\n' + certBase64.replace(/(.{64})/g, '$1\n') + '\n-----END CERTIFICATE-----\n';
+  const canonicalInfo = '<SignedInfo xmlns="' + DSIG_NS + '"' + info.slice('<SignedInfo'.length);
+  let valid = false;
+  try {
+    valid = crypto.createVerify('RSA-SHA1').update(canonicalInfo, 'utf8').verify(certPem, value, 'base64');
+  } catch (e) { /* certificado malformado conta como assinatura invalida */ }
+  return valid ? { ok: true, certBase64 } : { ok: false, reason: 'Assinatura nao confere' };
+}
+
+// ── Segredos em repouso (senha do .pfx, CSC) ──
+// Sem chave nao ha como guardar: quem chama recusa o upload antes
+function sealSecret(plain, key) {
+  if (!key) throw new Error('Chave do cofre fiscal ausente');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), iv);
+  const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return ['gcm', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+function openSecret(sealed, key) {
+  if (!sealed) return '';
+  // Versoes antigas gravavam 'plain:' sem chave -- o operador precisa reenviar
+  if (sealed.startsWith('plain:')) throw new Error('Segredo fiscal gravado sem criptografia; reenvie o certificado/CSC');
+  const [scheme, iv, tag, data] = sealed.split(':');
+  if (scheme !== 'gcm' || !key) throw new Error('Segredo fiscal selado com outra chave');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = { loadCertificate, signXml, verifyXmlSignature, canonicalElement, sealSecret, openSecret };
@@ -0,0 +1,123 @@
+// ══════════════════════════════════════════════════════════════
+// FRAUD -- deteccao de farming de pontos e estrelas
+// ══════════════════════════════════════════════════════════════
+// Da lista de encontros de 30 dias de um usuario saem as features; os sinais que
+// disparam somam a nota, e contas marcadas ligadas entre si viram um cluster.
+//
+// trace.channel: sonic (ultrassom, so funciona perto), code (codigo/QR da sessao),
+//   link (touch link /t/:code -- funciona a distancia), digital, checkin, admin
+// Nota 0-100 = soma dos pesos dos sinais que dispararam, limitada a 100.
+
+const FRAUD_WINDOW_MS = 30 * 86400000;
+const FRAUD_SIGNALS = {
+  shared_device: { weight: 40, label: 'Mesmo aparelho de contas com quem se encontra' },
+  shared_ip: { weight: 15, label: 'Mesmo IP de contas com quem se encontra' },
+  pair_concentration: { weight: 20, label: 'Maioria dos encontros com a mesma pessoa' },
+  streak_farming: { weight: 20, label: 'Muitos dias juntos com pouquissimas pessoas' },
+  link_heavy: { weight: 15, label: 'Quase tudo por touch link, quase nada por som' },
+  guest_ring: { weight: 20, label: 'Parceiros sao contas convidadas' },
+  location_implausible: { weight: 20, label: 'Encontros com o parceiro longe (GPS)' },
+  impossible_travel: { weight: 25, label: 'Deslocamento impossivel entre encontros' },
+  new_account_burst: { weight: 10, label: 'Conta nova com muitos encontros' }
+};
+const PHYSICAL_CHANNELS = ['sonic', 'code', 'link'];
+const MAX_PLAUSIBLE_DISTANCE_M = 1000;
+const MAX_TRAVEL_KMH = 900;
+
+function distanceMeters(a, b) {
+  const R = 6371000, toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat), dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// traces: encontros do usuario na janela (sem check-in de evento)
+// ctx: { now, accountAgeMs, sharedDevicePartners, sharedIpPartners, guestPartners, daysTogetherPerStar }
+function encounterFeatures(traces, ctx) {
+  const partnerDays = {};
+  const byChannel = {};
+  let implausible = 0, impossibleTravel = 0;
+  const sorted = traces.slice().sort((a, b) => a.timestamp - b.timestamp);
+  let lastGeo = null;
+  for (const t of sorted) {
+    if (!partnerDays[t.with]) partnerDays[t.with] = new Set();
+    partnerDays[t.with].add(t.date || new Date(t.timestamp).toISOString().slice(0, 10));
+    const ch = t.channel || 'unknown';
+    byChannel[ch] = (byChannel[ch] || 0) + 1;
+    if (PHYSICAL_CHANNELS.includes(ch) && t.distM > MAX_PLAUSIBLE_DISTANCE_M) implausible++;
+    if (t.geo) {
+      if (lastGeo) {
+        const hours = (t.timestamp - lastGeo.at) / 3600000;
+        const km = distanceMeters(lastGeo, t.geo) / 1000;
+        if (km > 50 && (hours <= 0 || km / hours > MAX_TRAVEL_KMH)) impossibleTravel++;
+      }
+      lastGeo = { ...t.geo, at: t.timestamp };
+    }
+  }
+  const days = {};
+  let top = 0, maxDays = 0;
+  for (const [p, set] of Object.entries(partnerDays)) {
+    days[p] = set.size;
+    maxDays = Math.max(maxDays, set.size);
+  }
+  const perPartner = {};
+  for (const t of sorted) perPartner[t.with] = (perPartner[t.with] || 0) + 1;
+  for (const n of Object.values(perPartner)) top = Math.max(top, n);
+  const total = sorted.length;
+  const partners = Object.keys(partnerDays).length;
+  return {
+    total, partners, byChannel, partnerDays: days,
+    topPartnerShare: total ? top / total : 0,
+    maxDaysWithOne: maxDays,
+    linkShare: total ? (byChannel.link || 0) / total : 0,
+    sonicShare: total ? (byChannel.sonic || 0) / total : 0,
+    implausible, impossibleTravel,
+    accountAgeDays: Math.floor((ctx.accountAgeMs || 0) / 86400000),
+    sharedDevicePartners: ctx.sharedDevicePartners || 0,
+    sharedIpPartners: ctx.sharedIpPartners || 0,
+    guestPartners: ctx.guestPartners || 0,
+    daysTogetherPerStar: ctx.daysTogetherPerStar || 5
+  };
+}
+
+function scoreFeatures(f) {
+  const hit = [];
+  if (f.sharedDevicePartners > 0) hit.push('shared_device');
+  if (f.sharedIpPartners > 0) hit.push('shared_ip');
+  if (f.total >= 10 && f.topPartnerShare >= 0.5) hit.push('pair_concentration');
+  if (f.maxDaysWithOne >= f.daysTogetherPerStar && f.partners <= 3) hit.push('streak_farming');
+  if (f.total >= 10 && f.linkShare >= 0.8 && f.sonicShare < 0.1) hit.push('link_heavy');
+  if (f.guestPartners >= 3 && f.guestPartners / Math.max(1, f.partners) >= 0.5) hit.push('guest_ring');
+  if (f.implausible >= 2) hit.push('location_implausible');
+  if (f.impossibleTravel >= 1) hit.push('impossible_travel');
+  if (f.accountAgeDays < 3 && f.total >= 20) hit.push('new_account_burst');
+  const score = Math.min(100, hit.reduce((s, k) => s + FRAUD_SIGNALS[k].weight, 0));
+  return { score, signals: hit };
+}
+
+// Componentes conexos (union-find). nodes: ids sinalizados; edges: [[a, b]] entre contas suspeitas
+function findClusters(nodes, edges) {
+  const parent = {};
+  const find = x => {
+    while (parent[x] !== x) { parent[x] = parent[parent[x]]; x = parent[x]; }
+    return x;
+  };
+  for (const n of nodes) parent[n] = n;
+  for (const [a, b] of edges) {
+    if (!(a in parent)) parent[a] = a;
+    if (!(b in parent)) parent[b] = b;
+    const ra = find(a), rb = find(b);
+    if (ra !== rb) parent[ra] = rb;
+  }
+  const groups = {};
+  for (const n of Object.keys(parent)) {
+    const r = find(n);
+    (groups[r] = groups[r] || []).push(n);
+  }
+  return Object.values(groups).map(g => g.sort());
+}
+
+module.exports = {
+  FRAUD_WINDOW_MS, FRAUD_SIGNALS, PHYSICAL_CHANNELS, MAX_PLAUSIBLE_DISTANCE_M,
+  distanceMeters, encounterFeatures, scoreFeatures, findClusters
+};
@@ -0,0 +1,105 @@
+// ══════════════════════════════════════════════════════════════
+// CAMPO MINADO -- jogo solo, tabuleiro escondido no servidor
+// ══════════════════════════════════════════════════════════════
+// As minas saem de gs.seed (sorteado na criacao da partida) + dificuldade +
+// primeira casa aberta, que nunca e mina, e ficam so no servidor. Cada toque
+// e uma jogada; o servidor abre a casa (e as vizinhas, quando nao ha minas em
+// volta) e devolve so as casas abertas com a contagem de minas (reveal).
+// Tocar numa mina encerra a partida sem vencedor; limpar o tabuleiro vence,
+// com pontuacao = segundos no relogio do servidor x multiplicador.
+// Jogada: { type: 'reveal', index, difficulty }  (difficulty vale no primeiro toque)
+// Reveal: { cells: [{ index, count }], mine?, mines?, score? }
+
+const { seededRandom, shuffled } = require('./seed');
+
+const ROWS = 9;
+const COLS = 9;
+const CELLS = ROWS * COLS;
+const DIFFICULTIES = {
+  easy: { mines: 10, multiplier: 1 },
+  medium: { mines: 40, multiplier: 2 },
+  hard: { mines: 60, multiplier: 3 },
+};
+
+function placeMines(seed, difficulty, safeIndex) {
+  const cells = [];
+  for (let i = 0; i < CELLS; i++) if (i !== safeIndex) cells.push(i);
+  const rand = seededRandom(seed + ':' + difficulty + ':' + safeIndex);
+  return new Set(shuffled(cells, rand).slice(0, DIFFICULTIES[difficulty].mines));
+}
+
+function neighbours(index) {
+  const row = Math.floor(index / COLS), col = index % COLS;
+  const out = [];
+  for (let r = Math.max(0, row - 1); r <= Math.min(ROWS - 1, row + 1); r++) {
+    for (let c = Math.max(0, col - 1); c <= Math.min(COLS - 1, col + 1); c++) {
+      if (r !== row || c !== col) out.push(r * COLS + c);
+    }
+  }
+  return out;
+}
+
+// Abre a casa; casas sem minas vizinhas abrem as vizinhas, como no jogo
+function openFrom(mines, board, start) {
+  const cells = [];
+  const queue = [start];
+  while (queue.length) {
+    const i = queue.pop();
+    if (board[i] !== '.') continue;
+    const around = neighbours(i);
+    const count = around.filter(n => mines[n] === '1').length;
+    board[i] = String(count);
+    cells.push({ index: i, count });
+    if (!count) queue.push(...around.filter(n => board[n] === '.'));
+  }
+  return cells;
+}
+
+module.exports = {
+  id: 'campo-minado',
+  placeMines,
+
+  // mines: '0'/'1' por casa, sorteadas no primeiro toque. board: '.' fechada, '0'-'8' aberta, '*' mina
+  init(gs) {
+    return { seed: (gs && gs.seed) || '', difficulty: '', mines: '', board: '.'.repeat(CELLS), startedAt: 0 };
+  },
+
+  applyMove(state, move, seat, now) {
+    if (!move || move.type !== 'reveal') return { error: 'Jogada mal formada' };
+    const index = move.index;
+    if (!Number.isInteger(index) || index < 0 || index >= CELLS) return { error: 'Casa invalida' };
+    if (!state.seed) return { error: 'Partida sem tabuleiro do servidor' };
+    const next = { ...state };
+    if (!next.mines) {
+      if (!DIFFICULTIES[move.difficulty]) return { error: 'Dificuldade desconhecida' };
+      const mines = placeMines(state.seed, move.difficulty, index);
+      next.difficulty = move.difficulty;
+      next.mines = Array.from({ length: CELLS }, (_, i) => (mines.has(i) ? '1' : '0')).join('');
+      next.startedAt = now;
+    }
+    if (next.board[index] !== '.') return { error: 'Casa ja aberta' };
+    const board = next.board.split('');
+
+    if (next.mines[index] === '1') {
+      const mines = [];
+      for (let i = 0; i < CELLS; i++) if (next.mines[i] === '1') { board[i] = '*'; mines.push(i); }
+      next.board = board.join('');
+      return { state: next, reveal: { cells: [], mine: true, mines }, finished: true, winnerSeat: null, scores: [0] };
+    }
+
+    const cells = openFrom(next.mines, board, index);
+    next.board = board.join('');
+    const cfg = DIFFICULTIES[next.difficulty];
+    if (next.board.split('').filter(c => c === '.').length > cfg.mines) {
+      return { state: next, reveal: { cells }, finished: false };
+    }
+    const seconds = Math.floor((now - next.startedAt) / 1000);
+    const score = seconds * cfg.multiplier;
+    return { state: next, reveal: { cells, score }, finished: true, winnerSeat: 0, scores: [score] };
+  },
+
+  // As minas so aparecem depois da explosao ('*' no board)
+  view(state) {
+    return { difficulty: state.difficulty, board: state.board };
+  },
+};
@@ -0,0 +1,133 @@
+// ══════════════════════════════════════════════════════════════
+// DAMA -- regras espelhando public/games/dama.html
+// ══════════════════════════════════════════════════════════════
+// Tabuleiro absoluto 8x8, casas escuras = (r + c) impar.
+// Seat 0 (host) = pecas 'a' nas linhas 0-2, anda +r, promove na linha 7.
+// Seat 1        = pecas 'b' nas linhas 5-7, anda -r, promove na linha 0.
+// Maiuscula = dama (anda 1 casa nas 4 diagonais).
+// Captura obrigatoria para a peca selecionada; cada salto de uma captura
+// multipla e uma jogada separada e o turno so passa quando a sequencia acaba.
+// Jogada: { from: [r, c], to: [r, c], captures?: [[r, c]] }
+
+function isSquare(sq) {
+  return Array.isArray(sq) && sq.length === 2 && sq.every(n => Number.isInteger(n) && n >= 0 && n < 8);
+}
+
+function at(board, r, c) {
+  return board[r * 8 + c];
+}
+
+function ownerOf(ch) {
+  if (ch === 'a' || ch === 'A') return 0;
+  if (ch === 'b' || ch === 'B') return 1;
+  return -1;
+}
+
+function directions(ch) {
+  if (ch === 'A' || ch === 'B') return [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+  return ch === 'a' ? [[1, -1], [1, 1]] : [[-1, -1], [-1, 1]];
+}
+
+function inside(r, c) {
+  return r >= 0 && r < 8 && c >= 0 && c < 8;
+}
+
+function captureTargets(board, r, c) {
+  const ch = at(board, r, c);
+  const seat = ownerOf(ch);
+  const out = [];
+  for (const [dr, dc] of directions(ch)) {
+    const nr = r + dr * 2, nc = c + dc * 2;
+    if (!inside(nr, nc)) continue;
+    const jumped = ownerOf(at(board, r + dr, c + dc));
+    if (jumped >= 0 && jumped !== seat && at(board, nr, nc) === '.') out.push([nr, nc]);
+  }
+  return out;
+}
+
+function stepTargets(board, r, c) {
+  const out = [];
+  for (const [dr, dc] of directions(at(board, r, c))) {
+    const nr = r + dr, nc = c + dc;
+    if (inside(nr, nc) && at(board, nr, nc) === '.') out.push([nr, nc]);
+  }
+  return out;
+}
+
+function hasAnyMove(board, seat) {
+  for (let r = 0; r < 8; r++) {
+    for (let c = 0; c < 8; c++) {
+      if (ownerOf(at(board, r, c)) !== seat) continue;
+      if (captureTargets(board, r, c).length || stepTargets(board, r, c).length) return true;
+    }
+  }
+  return false;
+}
+
+function countPieces(board, seat) {
+  let n = 0;
+  for (const ch of board) if (ownerOf(ch) === seat) n++;
+  return n;
+}
+
+module.exports = {
+  id: 'dama',
+
+  init() {
+    let board = '';
+    for (let r = 0; r < 8; r++) {
+      for (let c = 0; c < 8; c++) {
+        if ((r + c) % 2 === 1 && r <= 2) board += 'a';
+        else if ((r + c) % 2 === 1 && r >= 5) board += 'b';
+        else board += '.';
+      }
+    }
+    return { board, turn: 0, chain: -1, plies: 0 };
+  },
+
+  applyMove(state, move, seat) {
+    if (!move || !isSquare(move.from) || !isSquare(move.to)) return { error: 'Jogada mal formada' };
+    if (seat !== state.turn) return { error: 'Nao e sua vez' };
+    const [fr, fc] = move.from;
+    const [tr, tc] = move.to;
+    const board = state.board.split('');
+    const piece = board[fr * 8 + fc];
+    if (ownerOf(piece) !== seat) return { error: 'Essa peca nao e sua' };
+    const chain = state.chain != null ? state.chain : -1;
+    if (chain >= 0 && chain !== fr * 8 + fc) return { error: 'Continue a captura com a mesma peca' };
+
+    const captures = captureTargets(state.board, fr, fc);
+    const isTarget = list => list.some(([r, c]) => r === tr && c === tc);
+    let captured = false;
+    if (captures.length > 0) {
+      if (!isTarget(captures)) return { error: 'Captura obrigatoria' };
+      board[((fr + tr) / 2) * 8 + (fc + tc) / 2] = '.';
+      captured = true;
+    } else {
+      if (chain >= 0) return { error: 'Nao ha mais capturas para essa peca' };
+      if (!isTarget(stepTargets(state.board, fr, fc))) return { error: 'Movimento invalido' };
+    }
+    if (move.captures && move.captures.length > 0 && !captured) return { error: 'Captura informada nao existe' };
+
+    let moved = piece;
+    if ((piece === 'a' && tr === 7) || (piece === 'b' && tr === 0)) moved = piece.toUpperCase();
+    board[fr * 8 + fc] = '.';
+    board[tr * 8 + tc] = moved;
+    const next = { board: board.join(''), turn: state.turn, chain: -1, plies: (state.plies || 0) + 1 };
+
+    // Multi-jump: same player keeps the turn with the same piece
+    if (captured && captureTargets(next.board, tr, tc).length > 0) {
+      next.chain = tr * 8 + tc;
+      return { state: next, finished: false };
+    }
+
+    const opponent = 1 - seat;
+    next.turn = opponent;
+    if (countPieces(next.board, opponent) === 0 || !hasAnyMove(next.board, opponent)) {
+      // Score = pieces captured from the opponent
+      const scores = [12 - countPieces(next.board, 1), 12 - countPieces(next.board, 0)];
+      return { state: next, finished: true, winnerSeat: seat, scores };
+    }
+    return { state: next, finished: false };
+  },
+};
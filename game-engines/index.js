@@ -0,0 +1,56 @@
+// ══════════════════════════════════════════════════════════════
+// TOUCHGAMES -- REGISTRO DE MOTORES DE REGRAS (server-authoritative)
+// ══════════════════════════════════════════════════════════════
+// Cada jogo do public/games/manifest.json pode registrar um modulo de regras.
+// O servidor valida cada jogada antes de repassar ao oponente e, no final,
+// deriva o vencedor a partir de gameSessions[].moves -- nunca do cliente.
+//
+// Interface de um motor (todos os metodos sao puros, estado em JSON simples):
+//   init(session)                     -> state inicial (salvo em gs.state)
+//   applyMove(state, move, seat, now) -> { error } | { state, reveal, finished, winnerSeat, scores }
+//   view(state)                       -> o que os jogadores podem ver do state (opcional)
+// seat = indice do jogador em gs.players (0 = host, que joga primeiro); now = hora da jogada.
+// winnerSeat null com finished = empate.
+// gs.seed e gs.state nunca saem do servidor (gameSessionView em server.js): jogos com
+// informacao escondida (memoria, campo minado) revelam cartas/casas jogada a jogada (reveal).
+//
+// O estado precisa sobreviver ao RTDB, que descarta null e arrays vazios:
+// tabuleiros sao strings de 64 casas, listas vazias sao opcionais.
+
+const ENGINES = {};
+
+function registerGameEngine(gameId, engine) {
+  if (!gameId || !engine || typeof engine.init !== 'function') {
+    throw new Error('Motor de jogo invalido: ' + gameId);
+  }
+  ENGINES[gameId] = engine;
+}
+
+function getGameEngine(gameId) {
+  return ENGINES[gameId] || null;
+}
+
+// Re-executa todas as jogadas registradas a partir do estado inicial.
+// Usado no fechamento da partida: o resultado vem das jogadas, nao do gs.state em cache.
+function replayGameSession(engine, gs) {
+  let state = engine.init(gs);
+  let outcome = { finished: false, winnerSeat: null, scores: null };
+  const moves = gs.moves || [];
+  for (let i = 0; i < moves.length; i++) {
+    const seat = gs.players.indexOf(moves[i].userId);
+    if (seat < 0) return { error: 'Jogada #' + (i + 1) + ' de quem nao esta na partida' };
+    if (outcome.finished) return { error: 'Jogada #' + (i + 1) + ' depois do fim da partida' };
+    const r = engine.applyMove(state, moves[i].move, seat, moves[i].t);
+    if (r.error) return { error: 'Jogada #' + (i + 1) + ' invalida: ' + r.error };
+    state = r.state;
+    outcome = { finished: !!r.finished, winnerSeat: r.winnerSeat != null ? r.winnerSeat : null, scores: r.scores || null };
+  }
+  return { state, ...outcome };
+}
+
+registerGameEngine('dama', require('./dama'));
+registerGameEngine('xadrez', require('./xadrez'));
+registerGameEngine('memory', require('./memory'));
+registerGameEngine('campo-minado', require('./campo-minado'));
+
+module.exports = { registerGameEngine, getGameEngine, replayGameSession };
@@ -0,0 +1,75 @@
+// ══════════════════════════════════════════════════════════════
+// MEMORIA -- baralho escondido no servidor, uma carta por jogada
+// ══════════════════════════════════════════════════════════════
+// O baralho sai de gs.seed (sorteado na criacao da partida) e nunca vai para
+// o cliente: cada jogada vira uma carta e o servidor devolve so o par dela
+// (reveal). A segunda carta da vez fecha a tentativa: par certo = +100 e
+// continua jogando, erro = -5 e passa a vez. O placar e o vencedor sao
+// calculados aqui.
+// Jogada: { type: 'flip', index }
+// Reveal: { index, pair } e, na segunda carta, { first, match }
+
+const { seededRandom, shuffled } = require('./seed');
+
+const CARDS = 16; // 8 pares, igual a todos os temas de public/games/memory.html
+const MATCH_POINTS = 100;
+const MISS_POINTS = -5;
+
+// Posicao -> par ('0'..'7'), string para sobreviver ao RTDB
+function deckFor(seed) {
+  const pairs = [];
+  for (let i = 0; i < CARDS / 2; i++) pairs.push(i, i);
+  return shuffled(pairs, seededRandom(seed)).join('');
+}
+
+module.exports = {
+  id: 'memory',
+  deckFor,
+
+  // open = carta virada esperando a segunda (-1: nenhuma; o RTDB descarta null)
+  init(gs) {
+    return { deck: gs && gs.seed ? deckFor(gs.seed) : '', matched: '0'.repeat(CARDS), open: -1, turn: 0, scores: [0, 0] };
+  },
+
+  applyMove(state, move, seat) {
+    if (!move || move.type !== 'flip') return { error: 'Jogada mal formada' };
+    if (seat !== state.turn) return { error: 'Nao e sua vez' };
+    const index = move.index;
+    if (!Number.isInteger(index) || index < 0 || index >= CARDS) return { error: 'Carta invalida' };
+    if (state.matched[index] === '1') return { error: 'Carta ja foi pareada' };
+    if (!state.deck) return { error: 'Partida sem baralho do servidor' };
+    const open = state.open != null ? state.open : -1;
+    if (index === open) return { error: 'Escolha duas cartas diferentes' };
+
+    const scores = [(state.scores && state.scores[0]) || 0, (state.scores && state.scores[1]) || 0];
+    const reveal = { index, pair: Number(state.deck[index]) };
+
+    if (open < 0) {
+      return { state: { ...state, open: index, scores }, reveal, finished: false };
+    }
+
+    reveal.first = open;
+    reveal.match = state.deck[open] === state.deck[index];
+    if (!reveal.match) {
+      scores[seat] += MISS_POINTS;
+      return { state: { ...state, open: -1, turn: 1 - seat, scores }, reveal, finished: false };
+    }
+
+    const matched = state.matched.split('');
+    matched[open] = '1';
+    matched[index] = '1';
+    scores[seat] += MATCH_POINTS;
+    const next = { ...state, matched: matched.join(''), open: -1, turn: seat, scores };
+    if (!next.matched.includes('0')) {
+      const winnerSeat = scores[0] === scores[1] ? null : (scores[0] > scores[1] ? 0 : 1);
+      return { state: next, reveal, finished: true, winnerSeat, scores: scores.map(s => Math.max(0, s)) };
+    }
+    return { state: next, reveal, finished: false };
+  },
+
+  // O que os jogadores podem ver: so os pares ja achados e a carta aberta
+  view(state) {
+    const faces = state.deck.split('').map((pair, i) => (state.matched[i] === '1' || i === state.open ? pair : '.')).join('');
+    return { faces, matched: state.matched, open: state.open, turn: state.turn, scores: state.scores };
+  },
+};
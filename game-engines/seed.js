@@ -0,0 +1,35 @@
+// ══════════════════════════════════════════════════════════════
+// SORTEIO SEMEADO -- tabuleiros e baralhos decididos pelo servidor
+// ══════════════════════════════════════════════════════════════
+// gs.seed e sorteado quando a partida e criada e fica so no servidor: o
+// motor monta o tabuleiro/baralho com ele e revela uma casa ou carta por
+// jogada. Mudar o sorteio muda o tabuleiro das partidas em andamento.
+
+// FNV-1a da string -> semente de 32 bits para o mulberry32
+function seededRandom(seed) {
+  let h = 2166136261;
+  const s = String(seed);
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  let a = h >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates do fim para o comeco, mesma ordem de sorteio dos jogos
+function shuffled(list, rand) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+module.exports = { seededRandom, shuffled };
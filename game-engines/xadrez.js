@@ -0,0 +1,199 @@
+// ══════════════════════════════════════════════════════════════
+// XADREZ -- regras completas (roque, en passant, promocao, xeque-mate)
+// ══════════════════════════════════════════════════════════════
+// Mesmo tabuleiro de public/games/xadrez.html: brancas (maiusculas) nas
+// linhas 6-7 andando -r, pretas (minusculas) nas linhas 0-1.
+// Seat 0 (host) = brancas e joga primeiro; seat 1 = pretas.
+// Empates: afogamento, regra dos 50 lances e material insuficiente.
+// Jogada: { from: [r, c], to: [r, c], piece?, special?, promotion? }
+
+const START = 'rnbqkbnr' + 'pppppppp' + '........'.repeat(4) + 'PPPPPPPP' + 'RNBQKBNR';
+
+const KNIGHT = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const KING = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+const ROOK = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const BISHOP = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+function isSquare(sq) {
+  return Array.isArray(sq) && sq.length === 2 && sq.every(n => Number.isInteger(n) && n >= 0 && n < 8);
+}
+
+function colorOf(ch) {
+  if (!ch || ch === '.') return -1;
+  return ch === ch.toUpperCase() ? 0 : 1;
+}
+
+function inside(r, c) {
+  return r >= 0 && r < 8 && c >= 0 && c < 8;
+}
+
+// Destination squares ignoring check. attacksOnly = squares the piece attacks
+// (pawn diagonals even when empty, no pawn pushes) -- used for check detection.
+function pseudoTargets(board, sq, ep, attacksOnly) {
+  const ch = board[sq];
+  const seat = colorOf(ch);
+  const r = Math.floor(sq / 8), c = sq % 8;
+  const out = [];
+  const push = (nr, nc) => {
+    if (!inside(nr, nc)) return false;
+    const target = colorOf(board[nr * 8 + nc]);
+    if (target === seat) return false;
+    out.push(nr * 8 + nc);
+    return target < 0;
+  };
+  switch (ch.toLowerCase()) {
+    case 'p': {
+      const dir = seat === 0 ? -1 : 1;
+      for (const dc of [-1, 1]) {
+        const nr = r + dir, nc = c + dc;
+        if (!inside(nr, nc)) continue;
+        const idx = nr * 8 + nc;
+        if (attacksOnly || colorOf(board[idx]) === 1 - seat || idx === ep) out.push(idx);
+      }
+      if (!attacksOnly && inside(r + dir, c) && board[(r + dir) * 8 + c] === '.') {
+        out.push((r + dir) * 8 + c);
+        const startRow = seat === 0 ? 6 : 1;
+        if (r === startRow && board[(r + dir * 2) * 8 + c] === '.') out.push((r + dir * 2) * 8 + c);
+      }
+      break;
+    }
+    case 'n':
+      for (const [dr, dc] of KNIGHT) push(r + dr, c + dc);
+      break;
+    case 'k':
+      for (const [dr, dc] of KING) push(r + dr, c + dc);
+      break;
+    default: {
+      const kind = ch.toLowerCase();
+      const dirs = kind === 'r' ? ROOK : kind === 'b' ? BISHOP : ROOK.concat(BISHOP);
+      for (const [dr, dc] of dirs) {
+        let nr = r + dr, nc = c + dc;
+        while (push(nr, nc)) { nr += dr; nc += dc; }
+      }
+    }
+  }
+  return out;
+}
+
+function isAttacked(board, sq, bySeat) {
+  for (let i = 0; i < 64; i++) {
+    if (colorOf(board[i]) !== bySeat) continue;
+    if (pseudoTargets(board, i, -1, true).includes(sq)) return true;
+  }
+  return false;
+}
+
+function inCheck(board, seat) {
+  const king = board.indexOf(seat === 0 ? 'K' : 'k');
+  return king >= 0 && isAttacked(board, king, 1 - seat);
+}
+
+// Applies a move without validating it. Returns the new board and the side effects.
+function play(state, from, to, promotion) {
+  const board = state.board.split('');
+  const piece = board[from];
+  const seat = colorOf(piece);
+  const kind = piece.toLowerCase();
+  const capture = board[to] !== '.' || (kind === 'p' && to === state.ep);
+  if (kind === 'p' && to === state.ep) board[(seat === 0 ? to + 8 : to - 8)] = '.';
+  if (kind === 'k' && Math.abs(to - from) === 2) {
+    // Castling: move the rook too
+    if (to > from) { board[from + 1] = board[from + 3]; board[from + 3] = '.'; }
+    else { board[from - 1] = board[from - 4]; board[from - 4] = '.'; }
+  }
+  board[to] = piece;
+  board[from] = '.';
+  const lastRow = seat === 0 ? 0 : 7;
+  if (kind === 'p' && Math.floor(to / 8) === lastRow) {
+    const promo = (typeof promotion === 'string' && 'QRBN'.includes(promotion.toUpperCase())) ? promotion.toUpperCase() : 'Q';
+    board[to] = seat === 0 ? promo : promo.toLowerCase();
+  }
+
+  let castling = state.castling === '-' ? '' : state.castling;
+  const drop = flags => { for (const f of flags) castling = castling.replace(f, ''); };
+  if (piece === 'K') drop('KQ');
+  if (piece === 'k') drop('kq');
+  for (const sq of [from, to]) {
+    if (sq === 63) drop('K');
+    if (sq === 56) drop('Q');
+    if (sq === 7) drop('k');
+    if (sq === 0) drop('q');
+  }
+
+  return {
+    board: board.join(''),
+    turn: 1 - seat,
+    castling: castling || '-',
+    ep: kind === 'p' && Math.abs(to - from) === 16 ? (from + to) / 2 : -1,
+    halfmove: kind === 'p' || capture ? 0 : (state.halfmove || 0) + 1,
+    plies: (state.plies || 0) + 1,
+  };
+}
+
+function castlingTargets(state, from) {
+  const board = state.board;
+  const seat = colorOf(board[from]);
+  const home = seat === 0 ? 60 : 4;
+  if (from !== home || inCheck(board, seat)) return [];
+  const rights = state.castling || '-';
+  const [kFlag, qFlag] = seat === 0 ? ['K', 'Q'] : ['k', 'q'];
+  const rook = seat === 0 ? 'R' : 'r';
+  const out = [];
+  if (rights.includes(kFlag) && board[home + 3] === rook && board[home + 1] === '.' && board[home + 2] === '.' &&
+      !isAttacked(board, home + 1, 1 - seat)) out.push(home + 2);
+  if (rights.includes(qFlag) && board[home - 4] === rook && board[home - 1] === '.' && board[home - 2] === '.' && board[home - 3] === '.' &&
+      !isAttacked(board, home - 1, 1 - seat)) out.push(home - 2);
+  return out;
+}
+
+function legalTargets(state, from) {
+  const ch = state.board[from];
+  let targets = pseudoTargets(state.board, from, state.ep, false);
+  if (ch.toLowerCase() === 'k') targets = targets.concat(castlingTargets(state, from));
+  const seat = colorOf(ch);
+  return targets.filter(to => !inCheck(play(state, from, to).board, seat));
+}
+
+function hasLegalMove(state, seat) {
+  for (let i = 0; i < 64; i++) {
+    if (colorOf(state.board[i]) === seat && legalTargets(state, i).length > 0) return true;
+  }
+  return false;
+}
+
+function insufficientMaterial(board) {
+  const rest = board.replace(/[.kK]/g, '');
+  return rest === '' || (rest.length === 1 && 'nNbB'.includes(rest));
+}
+
+module.exports = {
+  id: 'xadrez',
+
+  init() {
+    return { board: START, turn: 0, castling: 'KQkq', ep: -1, halfmove: 0, plies: 0 };
+  },
+
+  applyMove(state, move, seat) {
+    if (!move || !isSquare(move.from) || !isSquare(move.to)) return { error: 'Jogada mal formada' };
+    if (seat !== state.turn) return { error: 'Nao e sua vez' };
+    const from = move.from[0] * 8 + move.from[1];
+    const to = move.to[0] * 8 + move.to[1];
+    const piece = state.board[from];
+    if (colorOf(piece) !== seat) return { error: 'Essa peca nao e sua' };
+    if (move.piece && move.piece !== piece) return { error: 'Peca nao confere com o tabuleiro' };
+    if (!legalTargets(state, from).includes(to)) return { error: 'Movimento ilegal' };
+
+    const next = play(state, from, to, move.promotion);
+    const opponent = 1 - seat;
+    if (!hasLegalMove(next, opponent)) {
+      // Checkmate or stalemate
+      return inCheck(next.board, opponent)
+        ? { state: next, finished: true, winnerSeat: seat }
+        : { state: next, finished: true, winnerSeat: null };
+    }
+    if (next.halfmove >= 100 || insufficientMaterial(next.board)) {
+      return { state: next, finished: true, winnerSeat: null };
+    }
+    return { state: next, finished: false };
+  },
+};
@@ -0,0 +1,54 @@
+// ══════════════════════════════════════════════════════════════
+// GUESTS -- identidade de convidado presa ao aparelho e merge no upgrade
+// ══════════════════════════════════════════════════════════════
+// quick-checkin e touch-link criam conta convidada so com nickname. A conta fica
+// presa a um guest token assinado (HMAC) que o aparelho guarda; nickname igual sem o
+// token nao reaproveita a conta de ninguem, vira outro convidado com nickname livre.
+// O token carrega a versao da conta (user.guestTokenVersion): subir a versao no upgrade
+// ou no merge invalida de uma vez todos os tokens ja entregues.
+//
+// token = 'g1.' + base64url({ uid, v, iat }) + '.' + base64url(HMAC-SHA256)
+
+const crypto = require('crypto');
+
+const GUEST_TOKEN_PREFIX = 'g1';
+const NICK_MAX = 20;
+
+function mac(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+function signGuestToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return GUEST_TOKEN_PREFIX + '.' + body + '.' + mac(body, secret);
+}
+
+// payload ou null (formato, assinatura)
+function verifyGuestToken(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || parts[0] !== GUEST_TOKEN_PREFIX) return null;
+  const expected = Buffer.from(mac(parts[1], secret));
+  const got = Buffer.from(parts[2]);
+  if (expected.length !== got.length || !crypto.timingSafeEqual(expected, got)) return null;
+  try { return JSON.parse(Buffer.from(parts[1], 'base64url').toString()); } catch (e) { return null; }
+}
+
+// Nickname livre para um convidado novo: "ana" ocupado -> "ana2", "ana3"...
+function freeGuestNickname(nick, isTaken) {
+  if (!isTaken(nick)) return nick;
+  for (let n = 2; n < 10000; n++) {
+    const suffix = String(n);
+    const candidate = nick.slice(0, NICK_MAX - suffix.length) + suffix;
+    if (!isTaken(candidate)) return candidate;
+  }
+  return nick.slice(0, NICK_MAX - 6) + Math.random().toString(36).slice(2, 8);
+}
+
+// Encontros do convidado passam para a conta alvo; encontros entre os dois somem
+function mergeTraces(targetTraces, guestTraces, guestId, targetId) {
+  const moved = (guestTraces || []).filter(t => t.with !== targetId);
+  const kept = (targetTraces || []).filter(t => t.with !== guestId);
+  return { traces: kept.concat(moved).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)), moved: moved.length };
+}
+
+module.exports = { GUEST_TOKEN_PREFIX, signGuestToken, verifyGuestToken, freeGuestNickname, mergeTraces };
@@ -0,0 +1,67 @@
+// ══════════════════════════════════════════════════════════════
+// MODERATION -- bloqueio, silencio, denuncias e fila do admin
+// ══════════════════════════════════════════════════════════════
+// Uma suspensao so vale ate until; o ban nao expira e so sai com lift do admin. A fila
+// ordena contas, nao denuncias: a pior categoria vezes o numero de pessoas diferentes
+// que denunciaram (a mesma pessoa conta uma vez), mais um ponto por acao anterior.
+//
+// block  mao dupla: nenhum dos dois entrega conteudo nem aparece para o outro
+// mute   mao unica: quem silenciou deixa de ver mural, pulse, digitando e pedidos do outro
+//
+// report = { id, reporterId, targetUserId, category, details, evidence: { messages, posts },
+//            status: open | actioned | dismissed, action?, createdAt, resolvedAt?, resolvedBy? }
+// user.moderation = { status: warned | suspended | banned, until?, reason, by, at, history: [...] }
+
+const REPORT_CATEGORIES = {
+  spam: { label: 'Spam ou propaganda', weight: 1 },
+  harassment: { label: 'Assedio ou ameaca', weight: 3 },
+  hate: { label: 'Discurso de odio', weight: 3 },
+  sexual: { label: 'Conteudo sexual indesejado', weight: 3 },
+  violence: { label: 'Violencia', weight: 3 },
+  scam: { label: 'Golpe ou fraude', weight: 2 },
+  impersonation: { label: 'Se passando por outra pessoa', weight: 2 },
+  underage: { label: 'Menor de idade', weight: 4 },
+  other: { label: 'Outro', weight: 1 }
+};
+const MODERATION_ACTIONS = ['warn', 'suspend', 'ban', 'dismiss', 'lift'];
+const MAX_EVIDENCE = 20;
+const DEFAULT_SUSPEND_HOURS = 72;
+const MAX_SUSPEND_HOURS = 24 * 365;
+
+const idList = v => (Array.isArray(v) ? [...new Set(v.filter(x => typeof x === 'string' && x).map(x => x.slice(0, 80)))] : []);
+
+function normalizeReport(input) {
+  const category = input && input.category;
+  if (!REPORT_CATEGORIES[category]) return { error: 'category deve ser ' + Object.keys(REPORT_CATEGORIES).join(', ') + '.' };
+  const messageIds = idList(input.messageIds), postIds = idList(input.postIds);
+  if (messageIds.length + postIds.length > MAX_EVIDENCE) return { error: 'Maximo de ' + MAX_EVIDENCE + ' provas por denuncia.' };
+  const details = String(input.details || '').trim().slice(0, 1000);
+  if (category === 'other' && !details && !messageIds.length && !postIds.length) return { error: 'Conte o que aconteceu ou anexe mensagens/posts.' };
+  return { report: { category, details, messageIds, postIds } };
+}
+
+// Restricao vigente da conta: { type: 'ban' } / { type: 'suspend', until } ou null (aviso nao restringe)
+function restrictionOf(user, now) {
+  const m = user && user.moderation;
+  if (!m) return null;
+  if (m.status === 'banned') return { type: 'ban', reason: m.reason };
+  if (m.status === 'suspended' && m.until > now) return { type: 'suspend', until: m.until, reason: m.reason };
+  return null;
+}
+
+// Prioridade na fila: peso da pior categoria x pessoas diferentes que denunciaram (+ reincidencia)
+function queuePriority(reports, priorActions) {
+  const reporters = new Set(reports.map(r => r.reporterId)).size;
+  const worst = Math.max(0, ...reports.map(r => (REPORT_CATEGORIES[r.category] || REPORT_CATEGORIES.other).weight));
+  return worst * reporters + (priorActions || 0);
+}
+
+function suspendHours(input) {
+  const h = input == null || input === '' ? DEFAULT_SUSPEND_HOURS : Number(input);
+  return h > 0 && h <= MAX_SUSPEND_HOURS ? h : null;
+}
+
+module.exports = {
+  REPORT_CATEGORIES, MODERATION_ACTIONS, MAX_EVIDENCE, DEFAULT_SUSPEND_HOURS,
+  normalizeReport, restrictionOf, queuePriority, suspendHours
+};
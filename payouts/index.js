@@ -0,0 +1,110 @@
+// ══════════════════════════════════════════════════════════════
+// PAYOUTS -- lotes semanais de repasse e arquivos para o banco
+// ══════════════════════════════════════════════════════════════
+// Calendario do lote semanal e os arquivos que o banco recebe:
+//   CSV      uma linha por repasse, separador ';' e valor com ponto
+//   CNAB 240 layout FEBRABAN de pagamento a fornecedores: um lote por forma de
+//            lancamento (45 PIX, 41 TED), segmento A por repasse. Para PIX a
+//            chave vai em "outras informacoes" (pos. 178-217).
+// line = { id, receiverName, holderCpf, method: 'pix' | 'ted', pixKey, pixKeyType,
+//          bankCode, agency, account, accountType, amount }
+// payer = { name, cnpj, bankCode, agency, account, convenio }
+
+const CNAB_LAYOUT_VERSION = '089';
+const CNAB_BATCH_VERSION = '045';
+const CNAB_FORMS = { pix: '45', ted: '41' };
+const CNAB_CLEARING = { pix: '009', ted: '018' };
+
+// Ultimo horario agendado (weekday 0-6 / hourUtc) <= now, e a chave do periodo
+function lastScheduledRun(now, weekday, hourUtc) {
+  const d = new Date(now);
+  d.setUTCHours(hourUtc, 0, 0, 0);
+  while (d.getUTCDay() !== weekday || d.getTime() > now) d.setUTCDate(d.getUTCDate() - 1);
+  return { at: d.getTime(), period: d.toISOString().slice(0, 10) };
+}
+
+function csvField(v) {
+  const s = v == null ? '' : String(v);
+  return /[";\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function buildPayoutCsv(batch, lines) {
+  const header = ['lote', 'repasse', 'favorecido', 'cpf_cnpj', 'forma', 'chave_pix', 'tipo_chave', 'banco', 'agencia', 'conta', 'tipo_conta', 'valor'];
+  const rows = lines.map(l => [
+    batch.id, l.id, l.receiverName, l.holderCpf, l.method, l.pixKey, l.pixKeyType,
+    l.bankCode, l.agency, l.account, l.accountType, Number(l.amount || 0).toFixed(2)
+  ]);
+  return [header, ...rows].map(r => r.map(csvField).join(';')).join('\r\n') + '\r\n';
+}
+
+// ── CNAB 240 ──
+function alpha(v, len) {
+  const s = String(v == null ? '' : v).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '').toUpperCase();
+  return s.slice(0, len).padEnd(len, ' ');
+}
+
+function num(v, len) {
+  const s = String(v == null ? '' : v).replace(/\D/g, '');
+  return s.slice(-len).padStart(len, '0');
+}
+
+function cents(amount, len) {
+  return num(Math.round((Number(amount) || 0) * 100), len);
+}
+
+// "1234-5" -> { number: '1234', dv: '5' }
+function splitDv(v) {
+  const s = String(v || '').trim();
+  const m = s.match(/^(\d+)[-\s](\w)$/);
+  return m ? { number: m[1], dv: m[2] } : { number: s.replace(/\D/g, ''), dv: '' };
+}
+
+function ddmmyyyy(ts) {
+  const d = new Date(ts);
+  return String(d.getUTCDate()).padStart(2, '0') + String(d.getUTCMonth() + 1).padStart(2, '0') + d.getUTCFullYear();
+}
+
+function companyBlock(payer) {
+  const ag = splitDv(payer.agency), acc = splitDv(payer.account);
+  return '2' + num(payer.cnpj, 14) + alpha(payer.convenio, 20) +
+    num(ag.number, 5) + alpha(ag.dv, 1) + num(acc.number, 12) + alpha(acc.dv, 1) + ' ' +
+    alpha(payer.name, 30);
+}
+
+function buildCnab240(batch, lines, payer, now) {
+  const bank = num(payer.bankCode, 3);
+  const when = now || Date.now();
+  const time = new Date(when).toISOString().slice(11, 19).replace(/:/g, '');
+  const records = [];
+  records.push(bank + '0000' + '0' + alpha('', 9) + companyBlock(payer) + alpha(payer.bankName, 30) + alpha('', 10) +
+    '1' + ddmmyyyy(when) + time + num(batch.sequence || 1, 6) + CNAB_LAYOUT_VERSION + '00000' +
+    alpha('', 20) + alpha(batch.id, 20) + alpha('', 29));
+
+  let lotNo = 0;
+  for (const method of Object.keys(CNAB_FORMS)) {
+    const group = lines.filter(l => l.method === method);
+    if (!group.length) continue;
+    lotNo++;
+    const lot = num(lotNo, 4);
+    records.push(bank + lot + '1' + 'C' + '20' + CNAB_FORMS[method] + CNAB_BATCH_VERSION + ' ' + companyBlock(payer) +
+      alpha('', 40) + alpha('', 30) + num('', 5) + alpha('', 15) + alpha('', 20) + num('', 5) + num('', 3) + alpha('', 2) +
+      '01' + alpha('', 6) + alpha('', 10));
+    let total = 0;
+    group.forEach((l, i) => {
+      const ag = splitDv(l.agency), acc = splitDv(l.account);
+      total += Math.round((Number(l.amount) || 0) * 100);
+      records.push(bank + lot + '3' + num(i + 1, 5) + 'A' + '0' + '00' + CNAB_CLEARING[method] +
+        num(l.bankCode, 3) + num(ag.number, 5) + alpha(ag.dv, 1) + num(acc.number, 12) + alpha(acc.dv, 1) + ' ' +
+        alpha(l.receiverName, 30) + alpha(l.id, 20) + ddmmyyyy(when) + 'BRL' + num('', 15) + cents(l.amount, 15) +
+        alpha('', 20) + num('', 8) + num('', 15) + alpha(method === 'pix' ? l.pixKey : '', 40) +
+        alpha('', 2) + alpha(method === 'ted' ? '00010' : '', 5) + alpha('', 2) + alpha('', 3) + '0' + alpha('', 10));
+    });
+    records.push(bank + lot + '5' + alpha('', 9) + num(group.length + 2, 6) + num(total, 18) + num('', 18) + num('', 6) +
+      alpha('', 165) + alpha('', 10));
+  }
+
+  records.push(bank + '9999' + '9' + alpha('', 9) + num(lotNo, 6) + num(records.length + 1, 6) + num('', 6) + alpha('', 205));
+  return records.join('\r\n') + '\r\n';
+}
+
+module.exports = { lastScheduledRun, buildPayoutCsv, buildCnab240, splitDv };
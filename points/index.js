@@ -0,0 +1,51 @@
+// ══════════════════════════════════════════════════════════════
+// POINTS -- trilha de auditoria da economia de pontos e estrelas
+// ══════════════════════════════════════════════════════════════
+// Formato das transacoes de db.pointTransactions, quais admitem estorno e o resumo
+// do historico. O saldo segue vindo de pointLog - pointsSpent; a trilha so registra.
+//
+// tx = { id, userId, kind, points, stars, reason, counterpartyId?, starId?, ref?, reverses?, by?, createdAt }
+//   userId  dono do saldo que muda (quem ganha/gasta, quem recebe/perde a estrela)
+//   points  efeito no saldo gastavel (earn +, spend -, refund +, reversal -)
+//   stars   efeito nas estrelas do dono (+1 criada/recebida, -1 expirada/revogada)
+// Kinds:
+//   opening        saldo anterior a trilha (backfill no boot)
+//   earn / spend   pontos ganhos (awardPoints, presentes, jogos...) / gastos na loja
+//   refund         estorno de um spend          reversal      estorno de um earn
+//   star_created   estrela nova (loja, marco de conexoes, streak pendente, perk do Top 1)
+//   star_donated   estrela passada de counterpartyId para userId
+//   star_expired   temporaria vencida           star_revoked  retirada pelo admin
+//   merge          saldo de conta convidada incorporada (par: - na convidada, + na conta alvo)
+
+const POINT_TX_KINDS = ['opening', 'earn', 'spend', 'refund', 'reversal', 'star_created', 'star_donated', 'star_expired', 'star_revoked', 'merge'];
+// Estornar um earn tira os pontos; um spend devolve; uma estrela criada/doada e revogada
+const REVERSAL_KIND = { earn: 'reversal', spend: 'refund', star_created: 'star_revoked', star_donated: 'star_revoked' };
+
+function reversalKind(tx) {
+  if (!tx || !REVERSAL_KIND[tx.kind]) return null;
+  if (tx.kind.startsWith('star_') && !tx.starId) return null; // lotes do sistema (perks) nao tem estrela unica
+  return REVERSAL_KIND[tx.kind];
+}
+
+function roundPoints(v) {
+  return Math.round(v * 10) / 10;
+}
+
+// Totais do ponto de vista de userId (so as transacoes em que ele e o dono)
+function summarizePointTxs(txs, userId) {
+  const s = { earned: 0, spent: 0, refunded: 0, reversed: 0, balance: 0, stars: 0, count: 0 };
+  for (const tx of txs) {
+    if (tx.userId !== userId) continue;
+    s.count++;
+    s.balance += tx.points || 0;
+    s.stars += tx.stars || 0;
+    if (tx.kind === 'earn' || tx.kind === 'opening') s.earned += Math.max(0, tx.points || 0);
+    else if (tx.kind === 'spend') s.spent -= tx.points || 0;
+    else if (tx.kind === 'refund') s.refunded += tx.points || 0;
+    else if (tx.kind === 'reversal') s.reversed -= tx.points || 0;
+  }
+  for (const k of ['earned', 'spent', 'refunded', 'reversed', 'balance']) s[k] = roundPoints(s[k]);
+  return s;
+}
+
+module.exports = { POINT_TX_KINDS, reversalKind, summarizePointTxs, roundPoints };
@@ -0,0 +1,102 @@
+// ══════════════════════════════════════════════════════════════
+// PRIVACY -- exportacao de dados e exclusao de conta (LGPD / GDPR)
+// ══════════════════════════════════════════════════════════════
+// A exclusao nao tem volta, entao so roda depois que nada mais depende da conta: sem
+// evento ativo, sem saldo a receber, sem contestacao aberta e com a assinatura recorrente
+// ja cancelada no gateway.
+//
+// Exclusao:
+//   DELETE_BY_KEY   colecoes indexadas pelo userId: o registro some
+//   financeiro      pagamentos, ledger, repasses, notas, disputas, assinaturas... ficam
+//                   (obrigacao legal), com o userId trocado pelo pseudonimo e os campos
+//                   pessoais do mesmo registro apagados
+//   o resto         relacoes, mensagens, curtidas, posts do mural etc. saem; o que sobra
+//                   em registros de outras pessoas (encontros, presentes, trilha de pontos)
+//                   so e pseudonimizado
+// pseudonimo = 'deleted:' + HMAC(userId) -- estavel (liga os registros financeiros da
+// mesma conta entre si) e sem volta sem o segredo.
+
+const crypto = require('crypto');
+
+const EXPORT_FORMAT = 'touch-export';
+const EXPORT_VERSION = 1;
+const DELETE_BY_KEY = ['users', 'faceData', 'docVerifications', 'verifications', 'checkins', 'locations', 'vaConversations', 'gameScores', 'fraudProfiles', 'encounters', 'gifts', 'declarations'];
+const FINANCIAL_COLLECTIONS = ['tips', 'eventPayments', 'ledger', 'payouts', 'payoutBatches', 'disputes', 'subscriptions', 'sitePayments', 'fiscalDocuments', 'deliveryOrders', 'tickets', 'staffShifts', 'tipPools'];
+// Campos pessoais apagados junto com a referencia trocada: payerId -> payerName, payerEmail...
+// (papel = nome do campo sem 'Id' / 'UserId'; 'userId' -> user)
+const PII_BY_ROLE = {
+  user: ['userName', 'userPhoto', 'nickname', 'nick', 'name', 'realName', 'email', 'phone', 'cpf', 'address', 'pixKey', 'photo', 'photoURL'],
+  payer: ['payerName', 'payerEmail', 'payerPhone', 'payerCPF', 'payerCpf', 'payerDoc'],
+  customer: ['customerName', 'customerEmail', 'customerPhone', 'customerAddress', 'customerCpf'],
+  holder: ['holderName', 'holderEmail', 'holderCpf'],
+  receiver: ['receiverName', 'receiverPixKey'],
+  creator: ['creatorName'],
+  from: ['fromName', 'fromNick', 'fromPhoto'],
+  to: ['toName', 'toNick']
+};
+
+const roleOf = key => key.replace(/(User)?Id$/, '');
+
+function pseudonymFor(userId, secret) {
+  return 'deleted:' + crypto.createHmac('sha256', secret).update(String(userId)).digest('hex').slice(0, 16);
+}
+
+// Troca toda ocorrencia de userId (valores e chaves, inclusive dentro de strings como
+// 'provider:<id>') pelo pseudonimo e apaga os campos pessoais do papel trocado no mesmo
+// registro. Muta no lugar; devolve quantas trocas fez.
+function replaceUserRefs(value, userId, pseudonym) {
+  let count = 0;
+  const swap = s => (s.includes(userId) ? (count++, s.split(userId).join(pseudonym)) : s);
+  (function walk(node) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      for (let i = 0; i < node.length; i++) {
+        if (typeof node[i] === 'string') node[i] = swap(node[i]);
+        else walk(node[i]);
+      }
+      return;
+    }
+    const roles = new Set();
+    for (const key of Object.keys(node)) {
+      const v = node[key];
+      if (typeof v === 'string') {
+        const s = swap(v);
+        if (s !== v) { node[key] = s; roles.add(roleOf(key)); }
+      } else walk(v);
+      if (key.includes(userId)) {
+        node[swap(key)] = node[key];
+        delete node[key];
+      }
+    }
+    for (const role of roles) {
+      for (const f of PII_BY_ROLE[role] || []) if (typeof node[f] === 'string') node[f] = null;
+    }
+  })(value);
+  return count;
+}
+
+// '/api/storage/<path>' ou URL publica do bucket -> caminho no bucket (null se for de fora)
+function storagePathOf(url, bucketName) {
+  if (typeof url !== 'string') return null;
+  if (url.startsWith('/api/storage/')) return url.slice('/api/storage/'.length);
+  const prefix = 'https://storage.googleapis.com/' + bucketName + '/';
+  return bucketName && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+}
+
+// Limpeza que esgotou as tentativas: os caminhos e uids pendentes ainda levam o userId, entao
+// saem do registro (ficam so as contagens) e de lastError. Muta no lugar; devolve o que saiu.
+function scrubFailedCleanup(rec) {
+  const targets = { pending: rec.storage.pending, prefixes: rec.storage.prefixes, authPending: rec.authPending };
+  let lastError = rec.lastError || null;
+  for (const s of [...targets.pending, ...targets.prefixes, ...targets.authPending]) {
+    if (lastError) lastError = lastError.split(s).join('[removido]');
+  }
+  rec.storage = { pending: [], prefixes: [], deleted: rec.storage.deleted, failed: targets.pending.length + targets.prefixes.length };
+  Object.assign(rec, { status: 'failed', lastError, authPending: [], authFailed: targets.authPending.length });
+  return targets;
+}
+
+module.exports = {
+  EXPORT_FORMAT, EXPORT_VERSION, DELETE_BY_KEY, FINANCIAL_COLLECTIONS, PII_BY_ROLE,
+  pseudonymFor, replaceUserRefs, storagePathOf, scrubFailedCleanup
+};
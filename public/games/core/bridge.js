@@ -10,7 +10,10 @@
  *   bridge.updateGameState(state)    — salva estado (retomar depois)
  *   bridge.awardStars(amount,reason) — premia estrelas
  *   bridge.logEvent(name, data)      — analytics
- *   bridge.onOpponentMove = fn       — recebe jogada do oponente
+ *   bridge.loadSession(cb)           — cb(sessao) publica (sem semente; o motor manda view)
+ *   bridge.onOpponentMove = fn       — fn(move, reveal) jogada do oponente
+ *   bridge.onMoveResult = fn         — fn(move, reveal) o servidor aceitou a sua jogada
+ *   bridge.onMoveRejected = fn       — fn(move, error) o servidor recusou a sua jogada
  *   bridge.onOpponentDisconnected    — oponente saiu
  *   bridge.onGameClose               — app fechando o jogo
  */
@@ -53,9 +56,23 @@
       this._send('game-request-close',{sessionId:this.sessionId});
     },
 
+    // Sessao da partida (uma busca so); cb(null) fora de uma partida ou offline.
+    // Baralho e minas ficam no servidor: cartas/casas chegam uma a uma no reveal das jogadas
+    loadSession: function(cb){
+      if(!this.sessionId){ cb(null); return; }
+      if(!this._session){
+        this._session = fetch('/api/games/sessions/' + encodeURIComponent(this.sessionId))
+          .then(function(r){ return r.ok ? r.json() : null; })
+          .catch(function(){ return null; });
+      }
+      this._session.then(cb);
+    },
+
     // ── Parent → Jogo (override no jogo) ──
 
-    onOpponentMove: function(move){ /* override */ },
+    onOpponentMove: function(move, reveal){ /* override */ },
+    onMoveResult: function(move, reveal){ /* override */ },
+    onMoveRejected: function(move, error){ /* override */ },
     onOpponentDisconnected: function(){ /* override */ },
     onGameClose: function(){ /* override */ },
     onGameStart: function(data){ /* override */ },
@@ -77,7 +94,13 @@
 
       switch(msg.type){
         case 'opponent-move':
-          if(bridge.onOpponentMove) bridge.onOpponentMove(msg.data.move);
+          if(bridge.onOpponentMove) bridge.onOpponentMove(msg.data.move, msg.data.reveal || null);
+          break;
+        case 'move-result':
+          if(bridge.onMoveResult) bridge.onMoveResult(msg.data.move, msg.data.reveal || null);
+          break;
+        case 'move-rejected':
+          if(bridge.onMoveRejected) bridge.onMoveRejected(msg.data.move, msg.data.error);
           break;
         case 'opponent-disconnected':
           if(bridge.onOpponentDisconnected) bridge.onOpponentDisconnected();
@@ -0,0 +1,80 @@
+// ══════════════════════════════════════════════════════════════
+// ROLES -- catalogo de funcoes da equipe e permissoes do operador
+// ══════════════════════════════════════════════════════════════
+// requireEventRole(permissao) e os eventos de socket da equipe consultam o
+// catalogo do evento: as funcoes padrao abaixo + ev.staffRoles (funcoes
+// criadas pelo dono/gerente ou padrao com permissoes trocadas). O dono
+// (creatorId) pode tudo e nao esta no catalogo.
+//
+// Uma funcao = { id, label, permissions, custom? }. Permissoes fora de
+// STAFF_PERMISSIONS (dados do evento, config fiscal) ficam so com o dono, e
+// funcao com 'staff' (mexer na equipe) so o dono cria ou entrega.
+
+const PERMISSIONS = {
+  attendees: 'Participantes',
+  staff: 'Equipe (adicionar, mesas, convites)',
+  shift: 'Proprio turno (clock-in / clock-out)',
+  menu: 'Cardapio e estoque',
+  orders: 'Pedidos e cozinha',
+  'orders.edit': 'Editar pedidos',
+  payments: 'Pagamentos e caixa',
+  tickets: 'Ingressos (tipos, lotes, cancelamento)',
+  door: 'Portaria (validar ingressos)',
+  fiscal: 'Notas fiscais',
+  'fiscal.config': 'Certificado e config fiscal',
+  parking: 'Estacionamento',
+  'parking.config': 'Config do estacionamento',
+  gym: 'Academia',
+  church: 'Igreja',
+  karaoke: 'Karaoke',
+  charevela: 'Cha revelacao',
+  barber: 'Barbearia (propria agenda)',
+  'barber.config': 'Config da barbearia',
+  wifi: 'Wi-Fi',
+  site: 'Site',
+  event: 'Dados do evento'
+};
+const OWNER_ONLY = ['event', 'fiscal.config'];
+const STAFF_PERMISSIONS = Object.keys(PERMISSIONS).filter(p => !OWNER_ONLY.includes(p));
+
+const BUILTIN_ROLES = {
+  manager: { label: 'Gerente', permissions: STAFF_PERMISSIONS.slice() },
+  waiter: { label: 'Garcom', permissions: ['attendees', 'shift', 'orders', 'orders.edit'] },
+  driver: { label: 'Motorista', permissions: ['shift', 'orders', 'parking'] },
+  barber: { label: 'Barbeiro', permissions: ['shift', 'barber'] },
+  cashier: { label: 'Caixa', permissions: ['shift', 'orders', 'payments'] },
+  valet: { label: 'Manobrista', permissions: ['shift', 'parking'] },
+  host: { label: 'Recepcao', permissions: ['attendees', 'shift', 'door'] },
+  bartender: { label: 'Bartender', permissions: ['shift', 'orders'] },
+  instructor: { label: 'Instrutor', permissions: ['attendees', 'shift', 'gym'] },
+  kitchen: { label: 'Cozinha', permissions: ['shift', 'orders'] }
+};
+const ROLE_ID_RE = /^[a-z][a-z0-9_-]{1,29}$/;
+
+// Catalogo efetivo do evento: padrao + ev.staffRoles (sobrescreve ou acrescenta)
+function roleCatalog(custom) {
+  const out = {};
+  for (const [id, r] of Object.entries(BUILTIN_ROLES)) out[id] = { id, label: r.label, permissions: r.permissions.slice(), custom: false };
+  for (const [id, r] of Object.entries(custom || {})) {
+    if (!r || !Array.isArray(r.permissions)) continue;
+    out[id] = { id, label: r.label || (out[id] && out[id].label) || id, permissions: r.permissions.slice(), custom: !BUILTIN_ROLES[id] };
+  }
+  return out;
+}
+
+function normalizeRole(id, input) {
+  if (!ROLE_ID_RE.test(String(id || ''))) return { error: 'id da funcao: letras minusculas, numeros, _ ou -, 2 a 30.' };
+  if (id === 'owner') return { error: 'owner e reservado.' };
+  const permissions = Array.isArray(input && input.permissions) ? [...new Set(input.permissions)] : null;
+  if (!permissions || !permissions.length) return { error: 'Informe pelo menos uma permissao.' };
+  const invalid = permissions.filter(p => !STAFF_PERMISSIONS.includes(p));
+  if (invalid.length) return { error: 'Permissao invalida: ' + invalid.join(', ') + '.' };
+  const label = String((input && input.label) || (BUILTIN_ROLES[id] && BUILTIN_ROLES[id].label) || id).trim().slice(0, 40);
+  return { role: { label, permissions } };
+}
+
+function roleCan(role, permission) {
+  return !!role && (role.permissions.includes('*') || role.permissions.includes(permission));
+}
+
+module.exports = { PERMISSIONS, STAFF_PERMISSIONS, OWNER_ONLY, BUILTIN_ROLES, roleCatalog, normalizeRole, roleCan };
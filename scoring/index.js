@@ -0,0 +1,177 @@
+// ══════════════════════════════════════════════════════════════
+// SCORING -- regras de pontuacao configuraveis (GAME CONFIG scoringRules)
+// ══════════════════════════════════════════════════════════════
+// classifyEncounter continua dando o tipo e os pontos base (pointsFirstEncounter etc.);
+// as regras ajustam esse valor. Sem regras o resultado e o mesmo de antes.
+// Um ruleset so entra inteiro: validateRules devolve as regras normalizadas ou a lista
+// de erros, e o simulador reaproveita a mesma avaliacao para refazer dias passados.
+//
+// rule = { id, name?, enabled?, when: {...}, then: {...}, stop? }
+// when (todas as condicoes presentes precisam bater; listas = qualquer um):
+//   kind          ['encounter', 'checkin']
+//   scoreType     ['first_encounter', 're_encounter_diff_day', 're_encounter_same_day', 'spam']
+//   type          tipo do trace ('physical', 'service', 'checkin', 'digital')
+//   channel       ['sonic', 'code', 'link', 'digital', 'checkin', 'admin']
+//   hours         { from, to } hora local do usuario, 0-23 (from > to atravessa a meia-noite)
+//   weekdays      [0-6] (0 = domingo)
+//   eventId       ids de evento; inEvent true/false = em qualquer evento ou fora de evento
+//   partnerStars  { min?, max? } estrelas do parceiro
+//   city, country do usuario (sem diferenciar maiusculas)
+// then (aplicado na ordem das regras):
+//   points            troca o valor        add        soma
+//   multiply          multiplica           starBonusPerStar  bonus por estrela do parceiro (0 desliga)
+//   streak: false     o dia nao conta para "dias juntos" (estrela de streak)
+// stop: true para de avaliar as regras seguintes.
+
+const RULE_KINDS = ['encounter', 'checkin'];
+const LIST_CONDITIONS = ['kind', 'scoreType', 'type', 'channel', 'eventId', 'city', 'country'];
+const MAX_RULES = 50;
+const DEFAULT_STAR_BONUS_PER_STAR = 0.1;
+
+const isNum = v => typeof v === 'number' && isFinite(v);
+
+// Normaliza o ruleset; erros voltam em lista (rules so serve se errors estiver vazio)
+function validateRules(input) {
+  const errors = [];
+  if (!Array.isArray(input)) return { rules: [], errors: ['scoringRules deve ser uma lista.'] };
+  if (input.length > MAX_RULES) errors.push('Maximo de ' + MAX_RULES + ' regras.');
+  const ids = new Set();
+  const rules = input.slice(0, MAX_RULES).map((r, i) => {
+    const at = 'Regra ' + (i + 1) + ': ';
+    if (!r || typeof r !== 'object') { errors.push(at + 'formato invalido.'); return null; }
+    const id = String(r.id || 'r' + (i + 1)).slice(0, 40);
+    if (ids.has(id)) errors.push(at + 'id repetido (' + id + ').');
+    ids.add(id);
+    const w = r.when || {}, t = r.then || {};
+    const when = {};
+    for (const k of LIST_CONDITIONS) {
+      if (w[k] == null) continue;
+      const list = (Array.isArray(w[k]) ? w[k] : [w[k]]).map(v => String(v).slice(0, 60));
+      if (!list.length) continue;
+      if (k === 'kind' && list.some(v => !RULE_KINDS.includes(v))) errors.push(at + 'kind deve ser encounter ou checkin.');
+      when[k] = k === 'city' || k === 'country' ? list.map(v => v.toLowerCase()) : list;
+    }
+    if (w.inEvent != null) when.inEvent = !!w.inEvent;
+    if (w.hours != null) {
+      const { from, to } = w.hours;
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > 23 || to < 0 || to > 23) errors.push(at + 'hours precisa de from/to entre 0 e 23.');
+      else when.hours = { from, to };
+    }
+    if (w.weekdays != null) {
+      const days = Array.isArray(w.weekdays) ? w.weekdays : [w.weekdays];
+      if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) errors.push(at + 'weekdays vai de 0 (domingo) a 6.');
+      else when.weekdays = days;
+    }
+    if (w.partnerStars != null) {
+      const { min, max } = w.partnerStars;
+      if ((min != null && !isNum(min)) || (max != null && !isNum(max))) errors.push(at + 'partnerStars precisa de min/max numericos.');
+      else when.partnerStars = { min: min != null ? min : undefined, max: max != null ? max : undefined };
+    }
+    const then = {};
+    for (const k of ['points', 'add', 'multiply', 'starBonusPerStar']) {
+      if (t[k] == null) continue;
+      if (!isNum(t[k])) { errors.push(at + k + ' deve ser numero.'); continue; }
+      then[k] = t[k];
+    }
+    if (then.points != null && (then.points < 0 || then.points > 1000)) errors.push(at + 'points entre 0 e 1000.');
+    if (then.add != null && (then.add < -1000 || then.add > 1000)) errors.push(at + 'add entre -1000 e 1000.');
+    if (then.multiply != null && (then.multiply < 0 || then.multiply > 10)) errors.push(at + 'multiply entre 0 e 10.');
+    if (then.starBonusPerStar != null && (then.starBonusPerStar < 0 || then.starBonusPerStar > 1)) errors.push(at + 'starBonusPerStar entre 0 e 1.');
+    if (t.streak === false) then.streak = false;
+    if (!Object.keys(then).length) errors.push(at + 'then sem nenhuma acao.');
+    return {
+      id, name: r.name ? String(r.name).slice(0, 80) : undefined, enabled: r.enabled !== false,
+      when, then, stop: !!r.stop
+    };
+  }).filter(Boolean);
+  return { rules, errors };
+}
+
+function inHours(hour, { from, to }) {
+  return from <= to ? hour >= from && hour <= to : hour >= from || hour <= to;
+}
+
+// facts = { kind, scoreType, type, channel, hour, weekday, eventId, partnerStars, city, country }
+function matchRule(rule, facts) {
+  const w = rule.when || {};
+  for (const k of LIST_CONDITIONS) {
+    if (!w[k]) continue;
+    const v = facts[k] == null ? null : (k === 'city' || k === 'country' ? String(facts[k]).toLowerCase() : String(facts[k]));
+    if (v == null || !w[k].includes(v)) return false;
+  }
+  if (w.inEvent != null && w.inEvent !== !!facts.eventId) return false;
+  if (w.hours && !(facts.hour != null && inHours(facts.hour, w.hours))) return false;
+  if (w.weekdays && !w.weekdays.includes(facts.weekday)) return false;
+  if (w.partnerStars) {
+    const s = facts.partnerStars || 0;
+    if (w.partnerStars.min != null && s < w.partnerStars.min) return false;
+    if (w.partnerStars.max != null && s > w.partnerStars.max) return false;
+  }
+  return true;
+}
+
+// Pontos depois das regras (sem o bonus de estrela, que o servidor aplica com starBonusPerStar)
+function applyRules(rules, facts, basePoints, starBonusPerStar = DEFAULT_STAR_BONUS_PER_STAR) {
+  let points = basePoints;
+  let perStar = starBonusPerStar, streak = true;
+  const matched = [];
+  for (const rule of rules || []) {
+    if (rule.enabled === false || !matchRule(rule, facts)) continue;
+    matched.push(rule.id);
+    const t = rule.then;
+    if (t.points != null) points = t.points;
+    if (t.add != null) points += t.add;
+    if (t.multiply != null) points *= t.multiply;
+    if (t.starBonusPerStar != null) perStar = t.starBonusPerStar;
+    if (t.streak === false) streak = false;
+    if (rule.stop) break;
+  }
+  return { points: Math.max(0, Math.round(points * 10) / 10), starBonusPerStar: perStar, streak, matched };
+}
+
+function starMultiplier(perStar, partnerStars) {
+  return partnerStars > 0 && perStar > 0 ? 1 + partnerStars * perStar : 1;
+}
+
+// Pontos finais de um lado do encontro (o que creditPoints recebe)
+function scoreSample(rules, sample, defaultPerStar) {
+  const r = applyRules(rules, sample.facts, sample.base, defaultPerStar);
+  const bonus = sample.starBonus ? starMultiplier(r.starBonusPerStar, sample.facts.partnerStars || 0) : 1;
+  return { ...r, bonus, total: Math.round(r.points * bonus * 10) / 10 };
+}
+
+// Replay do simulador: samples = [{ userId, base, starBonus, facts }] tirados dos encontros gravados
+function compareRulesets({ current, proposed, samples, defaultPerStar = DEFAULT_STAR_BONUS_PER_STAR }) {
+  const out = {
+    samples: samples.length, current: 0, proposed: 0,
+    byScoreType: {}, rules: {}, users: {}, streakDaysDropped: 0
+  };
+  const ruleStats = id => (out.rules[id] = out.rules[id] || { current: 0, proposed: 0 });
+  for (const s of samples) {
+    const a = scoreSample(current, s, defaultPerStar);
+    const b = scoreSample(proposed, s, defaultPerStar);
+    out.current += a.total;
+    out.proposed += b.total;
+    const key = s.facts.kind === 'checkin' ? 'checkin' : (s.facts.scoreType || 'unknown');
+    const st = out.byScoreType[key] = out.byScoreType[key] || { count: 0, current: 0, proposed: 0 };
+    st.count++; st.current += a.total; st.proposed += b.total;
+    a.matched.forEach(id => ruleStats(id).current++);
+    b.matched.forEach(id => ruleStats(id).proposed++);
+    if (a.streak && !b.streak) out.streakDaysDropped++;
+    const u = out.users[s.userId] = out.users[s.userId] || { current: 0, proposed: 0 };
+    u.current += a.total; u.proposed += b.total;
+  }
+  const r1 = v => Math.round(v * 10) / 10;
+  out.current = r1(out.current);
+  out.proposed = r1(out.proposed);
+  out.delta = r1(out.proposed - out.current);
+  out.deltaPct = out.current ? Math.round((out.delta / out.current) * 1000) / 10 : null;
+  for (const st of Object.values(out.byScoreType)) { st.current = r1(st.current); st.proposed = r1(st.proposed); }
+  for (const u of Object.values(out.users)) { u.current = r1(u.current); u.proposed = r1(u.proposed); u.delta = r1(u.proposed - u.current); }
+  return out;
+}
+
+module.exports = {
+  RULE_KINDS, MAX_RULES, DEFAULT_STAR_BONUS_PER_STAR,
+  validateRules, matchRule, applyRules, starMultiplier, scoreSample, compareRulesets
+};
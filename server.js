@@ -25,6 +25,19 @@ process.on('unhandledRejection', (reason) => {
 const ADMIN_SECRET = process.env.ADMIN_SECRET || '';
 if (!ADMIN_SECRET) console.warn('[WARN] ADMIN_SECRET não configurado! Endpoints admin desprotegidos. Defina ADMIN_SECRET nas variáveis de ambiente.');
 
+// ── Security: dedicated secrets (one per purpose, never derived from ADMIN_SECRET) ──
+// Production refuses to start without them; dev gets a random one per boot
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+function requiredSecret(name) {
+  if (process.env[name]) return process.env[name];
+  if (IS_PRODUCTION) {
+    console.error('[FATAL] ' + name + ' não configurado. Defina ' + name + ' nas variáveis de ambiente.');
+    process.exit(1);
+  }
+  console.warn('[WARN] ' + name + ' não configurado: usando um valor aleatório (só vale até reiniciar).');
+  return crypto.randomBytes(32).toString('hex');
+}
+
 // ── Security: Allowed origins for CORS ──
 const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').filter(Boolean);
 // Fallback: allow common origins in dev
@@ -32,6 +45,9 @@ const DEFAULT_ORIGINS = ['https://touch-irl.com', 'https://www.touch-irl.com', '
 const CORS_ORIGINS = ALLOWED_ORIGINS.length > 0 ? ALLOWED_ORIGINS : DEFAULT_ORIGINS;
 
 const app = express();
+// One proxy in front (Render): req.ip is the address it appended to X-Forwarded-For, not the
+// client-written first hop
+app.set('trust proxy', 1);
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -79,6 +95,8 @@ app.use(helmet({
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 min
   max: 300, // 300 requests per 15min per IP
+  // Local runs (dev server, test.js) share one loopback IP; production always counts
+  skip: req => process.env.NODE_ENV !== 'production' && ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.ip),
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Muitas requisições. Tente novamente em alguns minutos.' }
@@ -329,44 +347,122 @@ function requireAuth(req, res, next) {
   // Extract userId from route params, body, or query
   const requestedUserId = req.params.userId || req.body?.userId || req.query?.userId;
   if (!requestedUserId) return res.status(400).json({ error: 'userId obrigatorio.' });
+  const auth = authenticateUser(req, requestedUserId);
+  if (!auth) return res.status(403).json({ error: 'Acesso negado. Autenticacao necessaria.' });
+  req.authUserId = auth.userId;
+  if (auth.method === 'legacy-fallback') req._authMethod = 'legacy-fallback';
+  next();
+}
 
+// Checks that the request may act as requestedUserId. Returns { userId, method } or null.
+function authenticateUser(req, requestedUserId) {
   // Method 1: Firebase token verification (strongest — used when frontend sends token)
   if (req.firebaseUser) {
     const fbUid = req.firebaseUser.uid;
     const resolvedId = IDX.firebaseUid.get(fbUid);
-    if (resolvedId && resolvedId === requestedUserId) {
-      req.authUserId = resolvedId;
-      return next();
-    }
+    if (resolvedId && resolvedId === requestedUserId) return { userId: resolvedId, method: 'firebase' };
     // Check linked UIDs
     const user = db.users[requestedUserId];
-    if (user && user.linkedFirebaseUids && user.linkedFirebaseUids.includes(fbUid)) {
-      req.authUserId = requestedUserId;
-      return next();
-    }
+    if (user && user.linkedFirebaseUids && user.linkedFirebaseUids.includes(fbUid)) return { userId: requestedUserId, method: 'firebase' };
   }
 
   // Method 2: Admin override via ADMIN_SECRET header
   const secret = req.headers['x-admin-secret'];
-  if (ADMIN_SECRET && secret === ADMIN_SECRET) {
-    req.authUserId = requestedUserId;
-    return next();
-  }
+  if (ADMIN_SECRET && secret === ADMIN_SECRET) return { userId: requestedUserId, method: 'admin' };
+
+  // Method 3: guest token (quick-checkin / touch-link guests, bound to the device)
+  if (requestedUserId && guestTokenUser(req) === requestedUserId) return { userId: requestedUserId, method: 'guest-token' };
 
-  // Method 3: Soft auth fallback -- only if user exists AND request comes from trusted origin
-  // Allows legacy clients that don't send Firebase token yet (guest flows, older sessions)
+  // Method 4: Soft auth fallback -- only if user exists AND request comes from trusted origin
+  // Allows legacy clients that don't send Firebase token yet (older sessions). Guests never get it:
+  // their device token is the only proof, so a leaked guestId can't act as the guest.
   // Logged for monitoring -- plan to remove once all clients migrate to token-based auth
-  if (requestedUserId && db.users[requestedUserId]) {
+  const legacyUser = requestedUserId && db.users[requestedUserId];
+  if (legacyUser && !legacyUser.mergedInto && !legacyUser.isGuest) {
     const origin = req.headers.origin || req.headers.referer || '';
     const isTrusted = !origin || CORS_ORIGINS.some(o => origin.startsWith(o)) || origin.includes('.onrender.com');
-    if (isTrusted) {
-      req.authUserId = requestedUserId;
-      req._authMethod = 'legacy-fallback';
-      return next();
-    }
+    if (isTrusted) return { userId: requestedUserId, method: 'legacy-fallback' };
+  }
+
+  return null;
+}
+
+// ── Event operator authorization: owner (creatorId) or staff with a role ──
+// Every /api/operator/event/:eventId/* route declares the permission it needs:
+//   app.post('/api/operator/event/:eventId/menu', requireEventRole('menu'), handler)
+// Caller = the Firebase token's account or a guest device token -- never a bare userId (no legacy fallback).
+// X-User-Id / operatorId only pick an account that has the token's uid linked.
+// ADMIN_SECRET acts as owner. Sets req.authUserId, req.eventRole and req.operatorEvent.
+// Role catalog (roles/): built-in roles + per-event custom roles/overrides in ev.staffRoles.
+const roleKit = require('./roles');
+const EVENT_ROLE_PERMISSIONS = { owner: ['*'] };
+for (const [id, r] of Object.entries(roleKit.BUILTIN_ROLES)) EVENT_ROLE_PERMISSIONS[id] = r.permissions;
+// Built-in staff roles (ev.staff[].role); events may add their own via /staff/roles
+const STAFF_ROLES = Object.keys(roleKit.BUILTIN_ROLES);
+
+function eventRoleCatalog(ev) {
+  return roleKit.roleCatalog(ev && ev.staffRoles);
+}
+
+function eventRoleOf(ev, userId) {
+  if (!ev || !userId) return null;
+  if (ev.creatorId === userId) return 'owner';
+  const member = (ev.staff || []).find(m => m.userId === userId);
+  if (member && eventRoleCatalog(ev)[member.role]) return member.role;
+  const barber = ev.barber && (ev.barber.barbers || []).find(b => b.userId === userId);
+  return barber ? 'barber' : null;
+}
+
+// ev optional: without it only the built-in permission sets apply
+function eventRoleCan(role, permission, ev) {
+  if (role === 'owner') return true;
+  const def = ev ? eventRoleCatalog(ev)[role] : (EVENT_ROLE_PERMISSIONS[role] && { permissions: EVENT_ROLE_PERMISSIONS[role] });
+  return roleKit.roleCan(def, permission);
+}
+
+function eventCallerId(req) {
+  if (req.firebaseUser) {
+    const uid = req.firebaseUser.uid;
+    const primary = IDX.firebaseUid.get(uid);
+    if (primary) return primary;
+    const claimed = db.users[req.headers['x-user-id'] || req.body?.operatorId || req.query?.operatorId];
+    return claimed && (claimed.linkedFirebaseUids || []).includes(uid) && !claimed.mergedInto ? claimed.id : null;
   }
+  return guestTokenUser(req);
+}
 
-  return res.status(403).json({ error: 'Acesso negado. Autenticacao necessaria.' });
+// opts.participants: event participants may also pass (read-only routes shown to attendees)
+function requireEventRole(permission, opts = {}) {
+  return (req, res, next) => {
+    const ev = db.operatorEvents[req.params.eventId];
+    if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
+    req.operatorEvent = ev;
+    const secret = req.headers['x-admin-secret'];
+    if (ADMIN_SECRET && secret === ADMIN_SECRET) {
+      req.eventRole = 'owner';
+      req.authUserId = ev.creatorId;
+      return next();
+    }
+    const callerId = eventCallerId(req);
+    if (!callerId) return res.status(401).json({ error: 'Identifique o operador (login necessario).' });
+    const role = eventRoleOf(ev, callerId);
+    if (role && eventRoleCan(role, permission, ev)) {
+      // Barbers only touch their own agenda
+      if (role === 'barber' && req.params.barberId) {
+        const own = ((ev.barber && ev.barber.barbers) || []).find(b => b.id === req.params.barberId);
+        if (!own || own.userId !== callerId) return res.status(403).json({ error: 'Sem permissao para a agenda de outro barbeiro.' });
+      }
+      req.authUserId = callerId;
+      req.eventRole = role;
+      return next();
+    }
+    if (opts.participants && (ev.participants || []).includes(callerId)) {
+      req.authUserId = callerId;
+      req.eventRole = null;
+      return next();
+    }
+    return res.status(403).json({ error: role ? 'Sua funcao (' + role + ') nao permite esta acao.' : 'Apenas o dono ou a equipe do evento.' });
+  };
 }
 
 // ── Admin authentication middleware ──
@@ -599,6 +695,7 @@ function setupStorageProxy(app) {
     try {
       const filePath = req.params[0];
       if (!filePath || filePath.includes('..')) return res.status(400).send('Invalid path');
+      if (filePath.startsWith('disputes/')) return res.status(404).send('Not found'); // dispute evidence is private
       const file = storageBucket.file(filePath);
       const [exists] = await file.exists();
       if (!exists) return res.status(404).send('Not found');
@@ -614,15 +711,173 @@ function setupStorageProxy(app) {
   });
 }
 
-// ── Database (in-memory cache synced with Firebase Realtime Database) ──
+// ── Storage adapters: where the in-memory db is persisted ──
+// STORAGE_BACKEND=rtdb (default) → Firebase Realtime Database
+// STORAGE_BACKEND=local → JSON files in LOCAL_DB_DIR (offline dev + automated tests, no Firebase project needed)
+// Both adapters expose the same surface, so loadDB/flushToRTDB/ensureMessages/backups never touch rtdb directly:
+//   loadRoot()                 → { collection: data, ... } or null when the store is empty
+//   read(path)                 → value at 'messages/<relationId>' etc. (null when missing)
+//   update(updates)            → multi-path update: { 'users': {...}, 'users/<id>': {...} } (null deletes)
+//   set(path, value)
+//   saveBackup(id, payload) / listBackups() → [{ id, meta }] / readBackup(id) / deleteBackups(ids)
+function createRTDBStorage(ref) {
+  return {
+    name: 'rtdb',
+    remote: true,
+    async loadRoot() {
+      const snap = await ref.ref('/').once('value');
+      return snap.val();
+    },
+    async read(p) {
+      const snap = await ref.ref(p).once('value');
+      return snap.val();
+    },
+    update(updates) { return ref.ref('/').update(updates); },
+    set(p, value) { return ref.ref(p).set(value); },
+    saveBackup(id, payload) { return ref.ref('/backups/' + id).set(payload); },
+    async listBackups() {
+      const snap = await ref.ref('/backups').orderByKey().once('value');
+      const data = snap.val() || {};
+      return Object.keys(data).sort().map(k => ({ id: k, meta: data[k] && data[k].meta }));
+    },
+    async readBackup(id) {
+      const snap = await ref.ref('/backups/' + id).once('value');
+      return snap.val();
+    },
+    deleteBackups(ids) {
+      const delUpdates = {};
+      ids.forEach(k => { delUpdates['/backups/' + k] = null; });
+      return ref.ref('/').update(delUpdates);
+    }
+  };
+}
+
+function createLocalStorage(dir) {
+  const backupDir = path.join(dir, 'backups');
+  fs.mkdirSync(backupDir, { recursive: true });
+  const tree = {};        // top-level key → value (one <key>.json file each)
+  const loaded = new Set();
+  let writeChain = Promise.resolve(); // serialize file writes (rename is not safe to interleave)
+
+  const splitPath = p => String(p || '').split('/').filter(Boolean);
+  const isSafeKey = k => /^[\w-]+$/.test(k);
+  const fileFor = key => path.join(dir, key + '.json');
+
+  function loadKey(key) {
+    if (!loaded.has(key)) {
+      loaded.add(key);
+      const f = fileFor(key);
+      tree[key] = fs.existsSync(f) ? JSON.parse(fs.readFileSync(f, 'utf8')) : null;
+    }
+    return tree[key];
+  }
+  function setIn(segs, value) {
+    const [top, ...rest] = segs;
+    loadKey(top);
+    if (!rest.length) { tree[top] = value; return; }
+    if (!tree[top] || typeof tree[top] !== 'object') {
+      if (value === null) return;
+      tree[top] = {};
+    }
+    let node = tree[top];
+    for (let i = 0; i < rest.length - 1; i++) {
+      if (!node[rest[i]] || typeof node[rest[i]] !== 'object') {
+        if (value === null) return;
+        node[rest[i]] = {};
+      }
+      node = node[rest[i]];
+    }
+    const last = rest[rest.length - 1];
+    if (value === null || value === undefined) delete node[last];
+    else node[last] = value;
+  }
+  function persist(keys) {
+    // Snapshot now so later in-memory mutations don't leak into this write
+    const jobs = [...keys].map(key => ({ key, json: tree[key] == null ? null : JSON.stringify(tree[key]) }));
+    writeChain = writeChain.then(async () => {
+      for (const { key, json } of jobs) {
+        const f = fileFor(key);
+        if (json === null) { await fs.promises.rm(f, { force: true }); continue; }
+        await fs.promises.writeFile(f + '.tmp', json, 'utf8');
+        await fs.promises.rename(f + '.tmp', f);
+      }
+    });
+    return writeChain;
+  }
+
+  return {
+    name: 'local',
+    remote: false,
+    dir,
+    async loadRoot() {
+      const root = {};
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith('.json')) continue;
+        const key = name.slice(0, -5);
+        const val = loadKey(key);
+        if (val !== null) root[key] = val;
+      }
+      return Object.keys(root).length ? root : null;
+    },
+    async read(p) {
+      const segs = splitPath(p);
+      if (!segs.length) return this.loadRoot();
+      if (!isSafeKey(segs[0])) throw new Error('Invalid storage path: ' + p);
+      let node = loadKey(segs[0]);
+      for (const s of segs.slice(1)) {
+        if (!node || typeof node !== 'object') return null;
+        node = node[s];
+      }
+      return node === undefined ? null : node;
+    },
+    update(updates) {
+      const touched = new Set();
+      for (const [p, value] of Object.entries(updates)) {
+        const segs = splitPath(p);
+        if (!segs.length || !isSafeKey(segs[0])) throw new Error('Invalid storage path: ' + p);
+        setIn(segs, value);
+        touched.add(segs[0]);
+      }
+      return persist(touched);
+    },
+    set(p, value) { return this.update({ [p]: value }); },
+    async saveBackup(id, payload) {
+      await fs.promises.writeFile(path.join(backupDir, id + '.json'), JSON.stringify(payload), 'utf8');
+    },
+    async listBackups() {
+      const ids = fs.readdirSync(backupDir).filter(n => n.endsWith('.json')).map(n => n.slice(0, -5)).sort();
+      return ids.map(id => {
+        try { return { id, meta: JSON.parse(fs.readFileSync(path.join(backupDir, id + '.json'), 'utf8')).meta }; }
+        catch (e) { return { id, meta: null }; }
+      });
+    },
+    async readBackup(id) {
+      if (!isSafeKey(String(id))) return null;
+      const f = path.join(backupDir, id + '.json');
+      return fs.existsSync(f) ? JSON.parse(fs.readFileSync(f, 'utf8')) : null;
+    },
+    async deleteBackups(ids) {
+      for (const id of ids) {
+        if (isSafeKey(String(id))) await fs.promises.rm(path.join(backupDir, id + '.json'), { force: true });
+      }
+    }
+  };
+}
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'rtdb').toLowerCase();
+const LOCAL_DB_DIR = process.env.LOCAL_DB_DIR || path.join(__dirname, 'localdb');
+const storage = STORAGE_BACKEND === 'local' ? createLocalStorage(LOCAL_DB_DIR) : createRTDBStorage(rtdb);
+console.log('[DB] Storage backend: ' + storage.name + (storage.dir ? ' (' + storage.dir + ')' : ''));
+
+// ── Database (in-memory cache synced with the storage backend) ──
 // PERF: 'messages' is LAZY-LOADED from Firebase on demand (biggest collection by far)
 // This saves ~40% RAM at scale (5M messages = 1.2GB saved)
-const DB_COLLECTIONS = ['users', 'sessions', 'relations', 'messages', 'encounters', 'gifts', 'declarations', 'events', 'checkins', 'tips', 'streaks', 'locations', 'revealRequests', 'likes', 'starDonations', 'operatorEvents', 'docVerifications', 'faceData', 'gameConfig', 'subscriptions', 'verifications', 'faceAccessLog', 'gameSessions', 'gameScores', 'ultimateBank', 'vaConfig', 'vaConversations', 'deliveryOrders', 'muralPosts', 'muralFlags', 'eventPayments', 'payouts', 'customDomains', 'sitePayments'];
+const DB_COLLECTIONS = ['users', 'sessions', 'relations', 'messages', 'encounters', 'gifts', 'declarations', 'events', 'checkins', 'tips', 'streaks', 'locations', 'revealRequests', 'likes', 'starDonations', 'operatorEvents', 'docVerifications', 'faceData', 'gameConfig', 'subscriptions', 'verifications', 'faceAccessLog', 'gameSessions', 'gameScores', 'gameRatings', 'gameSeasons', 'ultimateBank', 'vaConfig', 'vaConversations', 'deliveryOrders', 'stockMovements', 'fiscalDocuments', 'fiscalCredentials', 'muralPosts', 'muralFlags', 'eventPayments', 'payouts', 'customDomains', 'sitePayments', 'ledger', 'payoutBatches', 'webhookEvents', 'disputes', 'planVersions', 'pointTransactions', 'fraudProfiles', 'fraudCases', 'staffShifts', 'tipPools', 'staffInvites', 'tickets', 'reports', 'accountDeletions'];
 const LAZY_COLLECTIONS = ['messages']; // loaded on demand, not on startup
 const EAGER_COLLECTIONS = DB_COLLECTIONS.filter(c => !LAZY_COLLECTIONS.includes(c));
 
-// ── Lazy message loading: fetch from Firebase on demand, LRU eviction ──
-const _msgCache = new Set(); // tracks which relationIds have been loaded from Firebase
+// ── Lazy message loading: fetch from storage on demand, LRU eviction ──
+const _msgCache = new Set(); // tracks which relationIds have been loaded from storage
 const MSG_CACHE_MAX = 5000; // max relations to keep in memory
 const MSG_CACHE_TTL = 30 * 60 * 1000; // 30 min eviction for inactive chats
 const _msgLastAccess = new Map(); // relationId -> last access timestamp
@@ -633,8 +888,7 @@ async function ensureMessages(relationId) {
     return db.messages[relationId] || [];
   }
   try {
-    const snap = await rtdb.ref('messages/' + relationId).once('value');
-    const data = snap.val();
+    const data = await storage.read('messages/' + relationId);
     db.messages[relationId] = Array.isArray(data) ? data : [];
     _msgCache.add(relationId);
     _msgLastAccess.set(relationId, Date.now());
@@ -644,7 +898,7 @@ async function ensureMessages(relationId) {
     }
     return db.messages[relationId];
   } catch (e) {
-    console.error('[msg-cache] Firebase fetch failed for ' + relationId + ':', e.message);
+    console.error('[msg-cache] Storage fetch failed for ' + relationId + ':', e.message);
     return db.messages[relationId] || [];
   }
 }
@@ -768,7 +1022,7 @@ function withTimeout(promise, ms, label) {
   ]);
 }
 
-let _dbLoadedFromCloud = false; // true if DB was loaded from Firebase with real data
+let _dbLoadedFromCloud = false; // true if DB was loaded from Firebase with real data (always true for the local backend — nothing remote to protect)
 
 // Normalizar muralPosts apos carregar do Firebase
 // Firebase RTDB converte arrays JS em objetos { "0": ..., "1": ..., "2": ... }
@@ -797,36 +1051,39 @@ function _normalizeMuralPosts() {
 }
 
 async function loadDB() {
-  console.log('loadDB() iniciando... RTDB URL:', FIREBASE_DB_URL);
+  console.log('loadDB() iniciando... backend:', storage.name, storage.remote ? 'RTDB URL: ' + FIREBASE_DB_URL : storage.dir);
+  // Local store is the source of truth: PROTECTION 1 in flushToRTDB only guards a remote DB against empty overwrites
+  if (!storage.remote) _dbLoadedFromCloud = true;
   try {
-    // Load from Firebase Realtime Database (with 30s timeout — generous to survive slow cold starts)
-    console.log('Tentando conectar ao RTDB...');
-    const snapshot = await withTimeout(rtdb.ref('/').once('value'), 30000, 'RTDB read');
-    const data = snapshot.val();
+    // Load from storage backend (with 30s timeout — generous to survive slow RTDB cold starts)
+    console.log('Tentando conectar ao storage (' + storage.name + ')...');
+    const data = await withTimeout(storage.loadRoot(), 30000, 'storage read');
     if (data) {
       EAGER_COLLECTIONS.forEach(c => { db[c] = data[c] || {}; });
       // Messages stay empty — loaded on demand via ensureMessages()
       console.log('[PERF] Skipped lazy collections on startup:', LAZY_COLLECTIONS.join(', '));
       const userCount = Object.keys(db.users).length;
       if (userCount > 0) _dbLoadedFromCloud = true;
-      console.log('DB carregado do Firebase Realtime Database (' + userCount + ' users)');
+      console.log('DB carregado do storage ' + storage.name + ' (' + userCount + ' users)');
     } else {
-      console.log('[INFO] RTDB vazio, tentando migração...');
-      // Try Firestore migration (one-time)
-      try {
-        const firestore = admin.firestore();
-        const fsDoc = await withTimeout(firestore.collection('app').doc('state').get(), 10000, 'Firestore read');
-        if (fsDoc.exists) {
-          const fsData = fsDoc.data();
-          EAGER_COLLECTIONS.forEach(c => { db[c] = fsData[c] || {}; });
-          // Migrate to RTDB
-          const updates = {};
-          DB_COLLECTIONS.forEach(c => { updates[c] = db[c]; });
-          await withTimeout(rtdb.ref('/').update(updates), 15000, 'RTDB migration write');
-          console.log('[OK] DB migrado do Firestore → Realtime Database');
+      console.log('[INFO] Storage vazio, tentando migração...');
+      // Try Firestore migration (one-time, RTDB only)
+      if (storage.remote) {
+        try {
+          const firestore = admin.firestore();
+          const fsDoc = await withTimeout(firestore.collection('app').doc('state').get(), 10000, 'Firestore read');
+          if (fsDoc.exists) {
+            const fsData = fsDoc.data();
+            EAGER_COLLECTIONS.forEach(c => { db[c] = fsData[c] || {}; });
+            // Migrate to RTDB
+            const updates = {};
+            DB_COLLECTIONS.forEach(c => { updates[c] = db[c]; });
+            await withTimeout(storage.update(updates), 15000, 'RTDB migration write');
+            console.log('[OK] DB migrado do Firestore → Realtime Database');
+          }
+        } catch (migErr) {
+          console.log('[INFO] Sem dados no Firestore para migrar:', migErr.message);
         }
-      } catch (migErr) {
-        console.log('[INFO] Sem dados no Firestore para migrar:', migErr.message);
       }
       // Fallback: try local db.json
       if (!Object.keys(db.users).length) {
@@ -834,12 +1091,12 @@ async function loadDB() {
         if (fs.existsSync(DB_FILE)) {
           const data = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
           EAGER_COLLECTIONS.forEach(c => { db[c] = data[c] || {}; });
-          // Migrate to RTDB (best effort)
+          // Migrate to storage backend (best effort)
           try {
             const updates = {};
             DB_COLLECTIONS.forEach(c => { updates[c] = db[c]; });
-            await withTimeout(rtdb.ref('/').update(updates), 10000, 'RTDB db.json migration');
-            console.log('[OK] DB migrado de db.json → Realtime Database');
+            await withTimeout(storage.update(updates), 10000, 'storage db.json migration');
+            console.log('[OK] DB migrado de db.json → ' + storage.name);
           } catch (migErr2) {
             console.warn('[WARN] db.json carregado mas não migrou para RTDB:', migErr2.message);
           }
@@ -861,23 +1118,25 @@ async function loadDB() {
       createBackup('auto:server-start').catch(e => console.warn('Startup backup failed:', e.message));
     }
     // Load pricing overrides from Firebase
-    loadPricingFromDB().catch(e => console.warn('Pricing load failed:', e.message));
+    loadPricingFromDB().then(() => { syncPlanVersions(); migrateSubscriptions(); }).catch(e => console.warn('Pricing load failed:', e.message));
+    loadPayoutScheduleFromDB().catch(e => console.warn('Payout schedule load failed:', e.message));
   } catch (e) {
     console.error('Erro ao carregar DB (tentativa 1):', e.message);
     // RETRY once with longer timeout before giving up
     try {
-      console.log('Retry: tentando RTDB novamente com timeout maior...');
-      const retrySnap = await withTimeout(rtdb.ref('/').once('value'), 45000, 'RTDB retry');
-      const retryData = retrySnap.val();
+      console.log('Retry: tentando storage novamente com timeout maior...');
+      const retryData = await withTimeout(storage.loadRoot(), 45000, 'storage retry');
       if (retryData) {
         DB_COLLECTIONS.forEach(c => { db[c] = retryData[c] || {}; });
         const uc = Object.keys(db.users).length;
         if (uc > 0) _dbLoadedFromCloud = true;
-        console.log('DB carregado do RTDB no retry (' + uc + ' users)');
+        console.log('DB carregado do storage no retry (' + uc + ' users)');
         dbLoaded = true;
         _normalizeMuralPosts();
         DB_COLLECTIONS.forEach(c => { _lastKnownCounts[c] = Object.keys(db[c] || {}).length; });
         initRegistrationCounter();
+        syncPlanVersions();
+        migrateSubscriptions();
         if (Object.keys(db.users).length > 0) {
           createBackup('auto:server-start-retry').catch(e => console.warn('Startup backup failed:', e.message));
         }
@@ -903,6 +1162,8 @@ async function loadDB() {
     _normalizeMuralPosts();
     DB_COLLECTIONS.forEach(c => { _lastKnownCounts[c] = Object.keys(db[c] || {}).length; });
     initRegistrationCounter();
+    syncPlanVersions();
+    migrateSubscriptions();
   }
 }
 
@@ -951,6 +1212,15 @@ const IDX = {
   revealByPair: new Map(),    // "from_to" -> revealRequestId (pending)
   prestador: new Set(),       // set of userIds that are prestadores
   plate: new Map(),            // vehiclePlate (uppercase, digits/letters only) -> userId
+  gameLadder: new Map(),       // gameId -> [userIds] of the current season, in ladder order
+  ledgerBalance: new Map(),    // account -> balance in cents (debit > 0)
+  ledgerOwned: new Map(),      // userId -> Set of payable accounts (provider:/event:)
+  ledgerByUser: new Map(),     // userId -> [txnIds] as payer or beneficiary
+  ledgerBySource: new Map(),   // payment / payout id -> [txnIds]
+  pointTxByUser: new Map(),    // userId -> [pointTransaction ids] as owner or counterparty
+  pointTxReversal: new Map(),  // pointTransaction id -> id of the transaction that reversed it
+  fraudIp: new Map(),          // hashed IP -> Set of userIds seen on it
+  fraudDevice: new Map(),      // hashed device id -> Set of userIds seen on it
 };
 
 function rebuildIndexes() {
@@ -1046,6 +1316,12 @@ function rebuildIndexes() {
       IDX.tipsByReceiver.get(t.receiverId).push(tid);
     }
   }
+  rebuildGameLadders();
+  rebuildLedgerIndex();
+  backfillLedger();
+  rebuildPointTxIndex();
+  backfillPointTransactions();
+  rebuildFraudIndex();
   console.log(`[IDX] Indexes built: ${IDX.firebaseUid.size} firebase, ${IDX.touchCode.size} touchCodes, ${IDX.nickname.size} nicknames, ${IDX.relationPair.size} relations, ${IDX.relationsByUser.size} userRels`);
 }
 
@@ -1210,6 +1486,7 @@ function ensureTop1Perks() {
         timestamp: Date.now() - i * 1000
       });
     });
+    recordPointTx({ userId: top1.id, kind: 'star_created', stars: categories.length, reason: 'top1_perk' });
     console.log('Top 1 profile stars set to 10: ' + top1.nickname);
   }
   // Ensure donation pool of 50
@@ -1225,6 +1502,7 @@ function ensureTop1Perks() {
         timestamp: Date.now() - i * 1000
       });
     }
+    recordPointTx({ userId: top1.id, kind: 'star_created', stars: needed, reason: 'top1_pool' });
     console.log('Top 1 donation pool replenished (+' + needed + '): ' + top1.nickname);
   }
   // Also set isAdmin for Top 1
@@ -1235,26 +1513,66 @@ function ensureTop1Perks() {
   saveDB('users');
 }
 
-// ── Dirty tracking: only write changed collections to RTDB ──
+// ── Dirty tracking: only write changed collections/records to the storage backend ──
+// Whole collection: saveDB('users')  →  rewrites all of db.users
+// Single record:    saveDB('users/' + userId, 'operatorEvents/' + eventId)  →  multi-path update of just those keys
 const _dirtyCollections = new Set();
+const _dirtyRecords = new Map(); // collection → Set of key paths ('<id>' or '<id>/orders')
 
 // Track known counts to detect corruption (empty overwrite)
 const _lastKnownCounts = {};
+const CRITICAL_COLLECTIONS = ['users', 'relations', 'encounters', 'messages'];
+
+function _markDirty(target) {
+  const slash = target.indexOf('/');
+  if (slash === -1) { _dirtyCollections.add(target); return; }
+  const c = target.slice(0, slash);
+  const keyPath = target.slice(slash + 1).split('/').filter(Boolean).join('/');
+  if (!keyPath) { _dirtyCollections.add(c); return; }
+  if (!_dirtyRecords.has(c)) _dirtyRecords.set(c, new Set());
+  _dirtyRecords.get(c).add(keyPath);
+}
+
+// Resolve db[c]/a/b → value (undefined when the record was deleted)
+function _recordValue(c, keyPath) {
+  let node = db[c];
+  for (const k of keyPath.split('/')) {
+    if (!node || typeof node !== 'object') return undefined;
+    node = node[k];
+  }
+  return node;
+}
+
+// Drop key paths already covered by a dirty ancestor (RTDB rejects ancestor + descendant in one update)
+function _collapseKeyPaths(keyPaths) {
+  const sorted = [...keyPaths].sort();
+  const kept = [];
+  for (const kp of sorted) {
+    if (kept.some(k => kp.startsWith(k + '/'))) continue;
+    kept.push(kp);
+  }
+  return kept;
+}
 
 async function flushToRTDB() {
   saveTimer = null;
   const cols = [..._dirtyCollections];
+  const recs = [..._dirtyRecords.entries()].map(([c, keys]) => [c, [...keys]]);
   _dirtyCollections.clear();
-  if (!cols.length) return;
+  _dirtyRecords.clear();
+  if (!cols.length && !recs.length) return;
+  const requeue = () => {
+    cols.forEach(c => _dirtyCollections.add(c));
+    recs.forEach(([c, keys]) => keys.forEach(k => _markDirty(c + '/' + k)));
+  };
   // Safety: don't flush if DB isn't loaded yet
   if (!dbLoaded) {
     console.warn('[WARN] flushToRTDB() called before dbLoaded — ABORTING');
-    cols.forEach(c => _dirtyCollections.add(c));
+    requeue();
     return;
   }
   try {
     const updates = {};
-    const CRITICAL_COLLECTIONS = ['users', 'relations', 'encounters', 'messages'];
     cols.forEach(c => {
       const data = db[c] || {};
       const count = Object.keys(data).length;
@@ -1277,13 +1595,41 @@ async function flushToRTDB() {
       updates[c] = data;
       _lastKnownCounts[c] = count;
     });
+    recs.forEach(([c, keyPaths]) => {
+      if (cols.includes(c)) return; // whole collection already queued above
+      const count = Object.keys(db[c] || {}).length;
+      const lastCount = _lastKnownCounts[c] || 0;
+      const critical = CRITICAL_COLLECTIONS.includes(c);
+      // PROTECTION 1 (per record): empty-start server never writes into critical collections
+      if (critical && !_dbLoadedFromCloud && count < 5) {
+        console.error('PROTECTION: server started with empty DB — refusing to write ' + keyPaths.length + ' record(s) of "' + c + '"');
+        return;
+      }
+      const kept = _collapseKeyPaths(keyPaths);
+      const deletes = kept.filter(kp => !kp.includes('/') && _recordValue(c, kp) === undefined);
+      // PROTECTION 2 (per record): critical collection emptied in memory — don't propagate its deletions
+      // PROTECTION 3 (per record): deletions in this flush would drop >30% of the collection — skip them
+      const blockDeletes = critical && deletes.length > 0 && (
+        (count === 0 && lastCount > 0) ||
+        (lastCount > 5 && count < lastCount * 0.7)
+      );
+      if (blockDeletes) {
+        console.error('CORRUPTION GUARD: "' + c + '" would delete ' + deletes.length + ' record(s) (' + lastCount + ' → ' + count + ') — SKIPPING deletions');
+      }
+      kept.forEach(kp => {
+        const value = _recordValue(c, kp);
+        if (value === undefined && blockDeletes && deletes.includes(kp)) return;
+        updates[c + '/' + kp] = value === undefined ? null : value;
+      });
+      if (!blockDeletes) _lastKnownCounts[c] = count;
+    });
     if (Object.keys(updates).length > 0) {
-      await withTimeout(rtdb.ref('/').update(updates), 15000, 'RTDB flush');
+      await withTimeout(storage.update(updates), 15000, 'storage flush');
     }
   } catch (e) {
-    console.error('[ERR] RTDB save error:', e.message);
-    // Re-add failed collections for retry
-    cols.forEach(c => _dirtyCollections.add(c));
+    console.error('[ERR] Storage save error (' + storage.name + '):', e.message);
+    // Re-add failed collections/records for retry
+    requeue();
     // Fallback: save locally
     fs.promises.writeFile(path.join(__dirname, 'db.json'), JSON.stringify(db), 'utf8').catch(e2 => console.error('File write error:', e2.message));
   }
@@ -1307,22 +1653,16 @@ async function createBackup(reason) {
       counts: {}
     };
     DB_COLLECTIONS.forEach(c => { meta.counts[c] = Object.keys(db[c] || {}).length; });
-    // Save to RTDB under /backups/{timestamp}
-    await withTimeout(rtdb.ref('/backups/' + ts).set({ meta, data: backup }), 20000, 'backup write');
+    // Save to storage backend under backups/{timestamp}
+    await withTimeout(storage.saveBackup(String(ts), { meta, data: backup }), 20000, 'backup write');
     console.log('[BACKUP] BACKUP created:', meta.date, '—', reason, '— counts:', JSON.stringify(meta.counts));
     // Cleanup old backups (keep last MAX_BACKUPS)
     try {
-      const bkSnap = await withTimeout(rtdb.ref('/backups').orderByKey().once('value'), 10000, 'backup list');
-      const bkData = bkSnap.val();
-      if (bkData) {
-        const keys = Object.keys(bkData).sort();
-        if (keys.length > MAX_BACKUPS) {
-          const toDelete = keys.slice(0, keys.length - MAX_BACKUPS);
-          const delUpdates = {};
-          toDelete.forEach(k => { delUpdates['/backups/' + k] = null; });
-          await rtdb.ref('/').update(delUpdates);
-          console.log('[CLEANUP] Cleaned', toDelete.length, 'old backups');
-        }
+      const keys = (await withTimeout(storage.listBackups(), 10000, 'backup list')).map(b => b.id);
+      if (keys.length > MAX_BACKUPS) {
+        const toDelete = keys.slice(0, keys.length - MAX_BACKUPS);
+        await storage.deleteBackups(toDelete);
+        console.log('[CLEANUP] Cleaned', toDelete.length, 'old backups');
       }
     } catch (cleanErr) { console.error('Backup cleanup err:', cleanErr.message); }
     return ts;
@@ -1340,17 +1680,14 @@ async function createBackup(reason) {
 
 async function listBackups() {
   try {
-    const snap = await withTimeout(rtdb.ref('/backups').once('value'), 10000, 'backup list');
-    const data = snap.val();
-    if (!data) return [];
-    return Object.entries(data).map(([k, v]) => ({ id: k, ...v.meta })).sort((a, b) => b.timestamp - a.timestamp);
+    const list = await withTimeout(storage.listBackups(), 10000, 'backup list');
+    return list.map(b => ({ id: b.id, ...b.meta })).sort((a, b) => b.timestamp - a.timestamp);
   } catch (e) { return []; }
 }
 
 async function restoreBackup(backupId) {
   try {
-    const snap = await withTimeout(rtdb.ref('/backups/' + backupId).once('value'), 15000, 'backup read');
-    const bk = snap.val();
+    const bk = await withTimeout(storage.readBackup(backupId), 15000, 'backup read');
     if (!bk || !bk.data) throw new Error('Backup não encontrado ou vazio');
     // Create backup of CURRENT state before restoring
     await createBackup('pre-restore-safety');
@@ -1372,7 +1709,7 @@ async function restoreBackup(backupId) {
         }
       });
     }
-    // Flush to RTDB
+    // Flush to storage backend
     DB_COLLECTIONS.forEach(c => _dirtyCollections.add(c));
     await flushToRTDB();
     const counts = {};
@@ -1385,8 +1722,9 @@ async function restoreBackup(backupId) {
   }
 }
 
-// saveDB(collections...) — mark collections as dirty and schedule flush
+// saveDB(collections...) — mark collections (or single records) as dirty and schedule flush
 // Call with collection names: saveDB('users','relations')
+// Call with record paths:     saveDB('users/' + userId, 'operatorEvents/' + eventId) — only those keys are written
 // Call with no args: marks ALL collections dirty (legacy fallback)
 function saveDB(...collections) {
   // CRITICAL: Never save before DB is loaded — would overwrite real data with empty objects
@@ -1398,7 +1736,7 @@ function saveDB(...collections) {
     // Legacy: mark all dirty
     DB_COLLECTIONS.forEach(c => _dirtyCollections.add(c));
   } else {
-    collections.forEach(c => _dirtyCollections.add(c));
+    collections.forEach(_markDirty);
   }
   if (!saveTimer) {
     saveTimer = setTimeout(flushToRTDB, 2000);
@@ -1411,7 +1749,7 @@ function saveDBNow(...collections) {
   if (collections.length === 0) {
     DB_COLLECTIONS.forEach(c => _dirtyCollections.add(c));
   } else {
-    collections.forEach(c => _dirtyCollections.add(c));
+    collections.forEach(_markDirty);
   }
   // Cancelar timer pendente e fazer flush agora
   if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
@@ -1734,19 +2072,206 @@ app.post('/api/auth/send-password-reset', authLimiter, async (req, res) => {
   }
 });
 
+// ══ GUEST IDENTITY — conta convidada presa ao aparelho (guests/) ══
+// quick-checkin e touch-link devolvem guestToken; o app guarda e manda de volta (body.guestToken ou header
+// X-Guest-Token). Sem token, nickname igual nao reaproveita conta: vira outro convidado com nickname livre.
+// Convidado antigo (sem token emitido ainda) recupera a conta uma vez mandando o guestId salvo no aparelho
+// + o nickname + o deviceId do aparelho (quick-checkin, touch-link ou /api/guest/claim). Depois disso so o token vale.
+const guestKit = require('./guests');
+const GUEST_TOKEN_SECRET = requiredSecret('GUEST_TOKEN_SECRET');
+
+function issueGuestToken(user) {
+  if (!user.guestTokenVersion) user.guestTokenVersion = 1;
+  return guestKit.signGuestToken({ uid: user.id, v: user.guestTokenVersion, iat: Date.now() }, GUEST_TOKEN_SECRET);
+}
+
+// userId do guest token do request, se valido e nao revogado (upgrade/merge sobem guestTokenVersion)
+function guestTokenUser(req) {
+  return guestTokenOwner(req.headers['x-guest-token'] || req.body?.guestToken);
+}
+
+function guestTokenOwner(token) {
+  const p = token && typeof token === 'string' && guestKit.verifyGuestToken(token, GUEST_TOKEN_SECRET);
+  const u = p && db.users[p.uid];
+  if (!u || !u.isGuest || u.mergedInto || p.v !== u.guestTokenVersion) return null;
+  return u.id;
+}
+
+// Visitante de quick-checkin / touch-link: conta do token, convidado antigo do mesmo aparelho ou convidado novo
+function resolveGuestVisitor(req, nick) {
+  const fbUserId = req.firebaseUser && IDX.firebaseUid.get(req.firebaseUser.uid);
+  if (fbUserId && db.users[fbUserId]) return db.users[fbUserId];
+  const tokenUserId = guestTokenUser(req);
+  if (tokenUserId) return db.users[tokenUserId];
+  const legacy = legacyGuestClaim(req.body.guestId, nick, req.body.deviceId);
+  if (legacy) return legacy;
+  const nickname = guestKit.freeGuestNickname(nick, isNickTaken);
+  const user = { id: uuidv4(), nickname, name: nickname, birthdate: null, avatar: null, color: nickColor(nickname), createdAt: Date.now(), points: 0, pointLog: [], stars: [], isGuest: true };
+  db.users[user.id] = user;
+  idxAddUser(user);
+  return user;
+}
+
+// Convidado antigo ainda sem token: guestId + nickname + o deviceId (touch_device_id) que o aparelho dele
+// ja usou (db.fraudProfiles). guestId e nickname sao publicos (/api/nearby); o deviceId so o aparelho tem.
+function legacyGuestClaim(guestId, nick, deviceId) {
+  const u = guestId && db.users[guestId];
+  if (!u || !u.isGuest || u.guestTokenVersion || u.mergedInto) return null;
+  if ((u.nickname || '').toLowerCase() !== String(nick || '').trim().toLowerCase()) return null;
+  const devices = (db.fraudProfiles[guestId] && db.fraudProfiles[guestId].devices) || {};
+  if (!deviceId || typeof deviceId !== 'string' || !devices[fraudHash(deviceId)]) return null;
+  return u;
+}
+
+// Prova de posse da conta convidada para o upgrade: so o guest token (o convidado antigo reivindica antes)
+function ownsGuest(req, guestId) {
+  const u = db.users[guestId];
+  if (!u || !u.isGuest || u.mergedInto) return false;
+  return guestTokenUser(req) === guestId;
+}
+
+// Funde a conta convidada na conta completa: encontros, relacoes (+mensagens), streaks, pedidos,
+// pagamentos, ingressos, presenca em eventos, estrelas e pontos. A convidada fica como lapide
+// (mergedInto) e libera o nickname. Tudo sincrono -- nada roda entre o inicio e o fim da fusao.
+function mergeGuestInto(guest, target) {
+  const gid = guest.id, tid = target.id;
+  const moved = { encounters: 0, relations: 0, streaks: 0, orders: 0, payments: 0, tickets: 0, events: 0, stars: 0, points: 0 };
+  const swap = id => (id === gid ? tid : id);
+  const paths = ['users/' + gid, 'users/' + tid, 'encounters', 'relations', 'messages', 'streaks'];
+
+  const partners = new Set((db.encounters[gid] || []).map(t => t.with).filter(Boolean));
+  const traces = guestKit.mergeTraces(db.encounters[tid], db.encounters[gid], gid, tid);
+  db.encounters[tid] = traces.traces;
+  delete db.encounters[gid];
+  moved.encounters = traces.moved;
+  for (const p of partners) (db.encounters[p] || []).forEach(t => { if (t.with === gid) t.with = tid; });
+
+  for (const rid of [...(IDX.relationsByUser.get(gid) || [])]) {
+    const r = db.relations[rid];
+    if (!r) continue;
+    const other = r.userA === gid ? r.userB : r.userA;
+    const oldKey = [r.userA, r.userB].sort().join('_');
+    if (IDX.relationPair.get(oldKey) === rid) IDX.relationPair.delete(oldKey);
+    if (other === tid) {
+      delete db.relations[rid];
+      delete db.messages[rid];
+      if (IDX.relationsByUser.has(tid)) IDX.relationsByUser.get(tid).delete(rid);
+      continue;
+    }
+    r.userA = swap(r.userA);
+    r.userB = swap(r.userB);
+    (db.messages[rid] || []).forEach(m => { if (m.userId === gid) m.userId = tid; });
+    const key = [tid, other].sort().join('_');
+    const current = db.relations[IDX.relationPair.get(key)];
+    if (!current || current.expiresAt < r.expiresAt) IDX.relationPair.set(key, rid);
+    if (!IDX.relationsByUser.has(tid)) IDX.relationsByUser.set(tid, new Set());
+    IDX.relationsByUser.get(tid).add(rid);
+    moved.relations++;
+  }
+  IDX.relationsByUser.delete(gid);
+
+  for (const [key, s] of Object.entries(db.streaks || {})) {
+    if (!key.split('_').includes(gid)) continue;
+    delete db.streaks[key];
+    const users = (s.users || key.split('_')).map(swap);
+    if (users[0] === users[1]) continue;
+    const newKey = [...users].sort().join('_');
+    const existing = db.streaks[newKey];
+    if (!existing || (existing.currentStreak || 0) < (s.currentStreak || 0)) db.streaks[newKey] = { ...s, users };
+    moved.streaks++;
+  }
+
+  for (const ev of Object.values(db.operatorEvents || {})) {
+    let touched = false;
+    for (const o of ev.orders || []) if (o.userId === gid) { o.userId = tid; moved.orders++; touched = true; }
+    if ((ev.participants || []).includes(gid)) {
+      ev.participants = [...new Set(ev.participants.map(swap))];
+      moved.events++;
+      touched = true;
+    }
+    if (touched) paths.push('operatorEvents/' + ev.id);
+  }
+  for (const e of Object.values(db.events || {})) {
+    if ((e.participants || []).includes(gid)) { e.participants = [...new Set(e.participants.map(swap))]; paths.push('events'); }
+  }
+  for (const o of Object.values(db.deliveryOrders || {})) {
+    if (o.customerId === gid) { o.customerId = tid; moved.orders++; paths.push('deliveryOrders/' + o.id); }
+  }
+  for (const t of Object.values(db.tickets || {})) {
+    if (t.holderId === gid) { t.holderId = tid; moved.tickets++; paths.push('tickets/' + t.id); }
+  }
+  for (const tipId of IDX.tipsByPayer.get(gid) || []) {
+    const t = db.tips[tipId];
+    if (!t) continue;
+    t.payerId = tid;
+    if (!IDX.tipsByPayer.has(tid)) IDX.tipsByPayer.set(tid, []);
+    IDX.tipsByPayer.get(tid).push(tipId);
+    moved.payments++;
+  }
+  IDX.tipsByPayer.delete(gid);
+  for (const p of Object.values(db.eventPayments || {})) if (p.payerId === gid) { p.payerId = tid; moved.payments++; }
+  paths.push('tips', 'eventPayments');
+
+  // Estrelas e pontos: mesmas estruturas que o saldo le + par de transacoes 'merge' na trilha
+  const stars = (guest.stars || []).length + (guest.pendingStars || []).length;
+  const points = pointsKit.roundPoints(calcRawScore(gid) - (guest.pointsSpent || 0));
+  target.stars = (target.stars || []).concat(guest.stars || []);
+  if ((guest.pendingStars || []).length) target.pendingStars = (target.pendingStars || []).concat(guest.pendingStars);
+  target.pointLog = (target.pointLog || []).concat(guest.pointLog || []).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  target.pointsSpent = (target.pointsSpent || 0) + (guest.pointsSpent || 0);
+  guest.stars = []; guest.pendingStars = []; guest.pointLog = []; guest.pointsSpent = 0;
+  if (points || stars) {
+    const reason = 'conta convidada incorporada';
+    recordPointTx({ userId: gid, kind: 'merge', points: -points, stars: -stars, counterpartyId: tid, reason });
+    recordPointTx({ userId: tid, kind: 'merge', points, stars, counterpartyId: gid, reason });
+  }
+  moved.stars = stars;
+  moved.points = points;
+
+  IDX.uniqueConns.delete(tid);
+  IDX.uniqueConns.delete(gid);
+  for (const p of partners) IDX.uniqueConns.delete(p);
+  if (guest.nickname && IDX.nickname.get(guest.nickname.toLowerCase()) === gid) IDX.nickname.delete(guest.nickname.toLowerCase());
+  guest.mergedInto = tid;
+  guest.mergedAt = Date.now();
+  guest.guestTokenVersion = (guest.guestTokenVersion || 0) + 1;
+  saveDB(...new Set(paths));
+  return moved;
+}
+
+// Convidado antigo pega o primeiro token sem fazer check-in (o app chama antes do upgrade)
+app.post('/api/guest/claim', authLimiter, (req, res) => {
+  const user = legacyGuestClaim(req.body.guestId, req.body.nickname, req.body.deviceId);
+  if (!user) return res.status(403).json({ error: 'Conta convidada nao encontrada ou ja vinculada a um aparelho.' });
+  const guestToken = issueGuestToken(user);
+  saveDB('users');
+  res.json({ ok: true, userId: user.id, guestToken });
+});
+
 // ── Link Firebase Auth UID to ENCOSTA user ──
 // ═══ GUEST UPGRADE: convert guest account to full account ═══
 app.post('/api/guest/upgrade', async (req, res) => {
   const { userId, method, firebaseUid, email, displayName, photoURL } = req.body;
   if (!userId || !db.users[userId]) return res.status(400).json({ error: 'Usuario invalido.' });
   const user = db.users[userId];
+  if (user.mergedInto) return res.status(410).json({ error: 'Conta convidada ja foi incorporada.', userId: user.mergedInto });
   if (!user.isGuest) return res.json({ ok: true, message: 'Conta ja esta completa.' });
+  if (!ownsGuest(req, userId)) return res.status(403).json({ error: 'Guest token invalido para esta conta.' });
 
   // Link Firebase credentials
   if (firebaseUid) {
     // Check if this firebaseUid or email already belongs to another user
     const existingByFb = IDX.firebaseUid.get(firebaseUid);
-    if (existingByFb && existingByFb !== userId) return res.status(400).json({ error: 'Esta conta Google ja esta vinculada a outro usuario.' });
+    if (existingByFb && existingByFb !== userId && db.users[existingByFb]) {
+      // Conta completa ja existe: so funde com merge:true e token Firebase da propria conta alvo
+      const target = db.users[existingByFb];
+      if (!req.body.merge) return res.status(409).json({ error: 'Esta conta Google ja esta vinculada a outro usuario.', canMerge: true, targetNickname: target.nickname });
+      if (!req.firebaseUser || req.firebaseUser.uid !== firebaseUid) return res.status(401).json({ error: 'Entre com a conta Google para juntar as contas.' });
+      if (user.scoringSuspended || target.scoringSuspended) return res.status(403).json({ error: 'Conta em revisao antifraude; a fusao fica bloqueada.' });
+      const moved = mergeGuestInto(user, target);
+      console.log('[guest-upgrade] Guest', userId, 'merged into', target.id, moved);
+      return res.json({ ok: true, merged: true, userId: target.id, moved, user: { id: target.id, nickname: target.nickname, email: target.email, profilePhoto: target.profilePhoto } });
+    }
     if (email) {
       const existingByEmail = IDX.email.get(email.toLowerCase());
       if (existingByEmail && existingByEmail !== userId) return res.status(400).json({ error: 'Este email ja esta em uso por outro usuario.' });
@@ -1765,6 +2290,7 @@ app.post('/api/guest/upgrade', async (req, res) => {
   user.isGuest = false;
   user.upgradedAt = Date.now();
   user.authMethod = method || 'unknown';
+  user.guestTokenVersion = (user.guestTokenVersion || 0) + 1; // guest token deixa de valer
   saveDB('users');
   console.log('[guest-upgrade] User', userId, 'upgraded via', method);
   // Send Zito welcome email on guest upgrade (first time getting email)
@@ -1942,9 +2468,11 @@ const PRICING_DEFAULTS = {
     symbol: '$',
     locale: 'en-US',
     gateway: 'stripe',
-    // Assinaturas
+    // Assinaturas (+ dias de teste gratis na primeira assinatura, 0 = sem trial)
     plusMonthly: 4.99,
     seloMonthly: 1.99,
+    plusTrialDays: 7,
+    seloTrialDays: 0,
     // Botoes de gorjeta sugeridos
     tipSuggestions: [2, 5, 10, 20],
     tipMin: 1,
@@ -1967,9 +2495,11 @@ const PRICING_DEFAULTS = {
     symbol: 'R$',
     locale: 'pt-BR',
     gateway: 'mercadopago',
-    // Assinaturas
+    // Assinaturas (+ dias de teste gratis na primeira assinatura, 0 = sem trial)
     plusMonthly: 29.90,
     seloMonthly: 9.90,
+    plusTrialDays: 7,
+    seloTrialDays: 0,
     // Botoes de gorjeta sugeridos
     tipSuggestions: [5, 10, 20, 50],
     tipMin: 1,
@@ -1995,6 +2525,8 @@ const PRICING_DEFAULTS = {
     // Mesmos precos dos EUA por padrao (ajustar se necessario)
     plusMonthly: 4.99,
     seloMonthly: 1.99,
+    plusTrialDays: 7,
+    seloTrialDays: 0,
     tipSuggestions: [2, 5, 10, 20],
     tipMin: 1,
     tipMax: 500,
@@ -2012,8 +2544,7 @@ let PRICING = JSON.parse(JSON.stringify(PRICING_DEFAULTS));
 // Load pricing overrides from Firebase RTDB
 async function loadPricingFromDB() {
   try {
-    const snap = await rtdb.ref('/pricingConfig').once('value');
-    const saved = snap.val();
+    const saved = await storage.read('pricingConfig');
     if (saved && typeof saved === 'object') {
       // Deep merge: only override fields that exist in saved
       for (const region of Object.keys(PRICING_DEFAULTS)) {
@@ -2038,7 +2569,7 @@ async function loadPricingFromDB() {
 // Save pricing to Firebase RTDB
 async function savePricingToDB() {
   try {
-    await rtdb.ref('/pricingConfig').set(PRICING);
+    await storage.set('pricingConfig', PRICING);
     console.log('Pricing saved to Firebase');
   } catch (e) {
     console.error('Failed to save pricing to Firebase:', e.message);
@@ -2080,6 +2611,9 @@ const STRIPE_TAX_CODE_DELIVERY = 'txcd_10000000'; // General delivery/shipping
 
 const mpClient = new MercadoPagoConfig({ accessToken: MP_ACCESS_TOKEN });
 const mpPayment = new Payment(mpClient);
+// MP_API_BASE points the SDK, the chargeback, refund and preapproval calls at another host (the local MP mock used by test.js)
+const MP_API_BASE = process.env.MP_API_BASE || 'https://api.mercadopago.com';
+if (process.env.MP_API_BASE) require('mercadopago/dist/utils/config').AppConfig.BASE_URL = MP_API_BASE;
 
 // Expose public key for frontend SDK
 app.get('/api/mp-public-key', (req, res) => {
@@ -2098,8 +2632,8 @@ app.get('/api/region-config', (req, res) => {
     gateway: p.gateway,
     touchFee: TOUCH_FEE_PERCENT,
     subscriptions: {
-      plus: { price: p.plusMonthly, label: 'Touch? Plus' },
-      selo: { price: p.seloMonthly, label: 'Selo Verificado' }
+      plus: { price: p.plusMonthly, label: 'Touch? Plus', planId: 'touch_plus', trialDays: p.plusTrialDays || 0 },
+      selo: { price: p.seloMonthly, label: 'Selo Verificado', planId: 'touch_selo', trialDays: p.seloTrialDays || 0 }
     },
     tipSuggestions: p.tipSuggestions,
     tipMin: p.tipMin,
@@ -2156,13 +2690,13 @@ const _cleanupInterval = setInterval(() => {
   for (const [id, u] of Object.entries(db.users)) {
     if (u.isGuest && u.createdAt && u.createdAt < guestCutoff) {
       // Check if guest has any active relations
-      const rels = IDX.userRelations.get(id);
+      const rels = IDX.relationsByUser.get(id);
       if (!rels || rels.size === 0) {
         if (u.nickname) IDX.nickname.delete(u.nickname.toLowerCase());
         if (u.email) IDX.email.delete(u.email.toLowerCase());
         if (u.touchCode) IDX.touchCode.delete(u.touchCode);
         if (u.firebaseUid) IDX.firebaseUid.delete(u.firebaseUid);
-        IDX.userRelations.delete(id);
+        IDX.relationsByUser.delete(id);
         IDX.prestador.delete(id);
         delete db.users[id];
         guestsRemoved++;
@@ -2605,39 +3139,36 @@ function getZodiacPhrase(signA, signB, lang) {
 }
 
 // Helper: record encounter trace (v2 — uses classifyEncounter for smart points)
-function recordEncounter(userAId, userBId, phrase, type = 'physical', relationId = null) {
+// channel: how they met (sonic, code, link, digital, checkin, admin) — feeds the anti-farming scan
+function recordEncounter(userAId, userBId, phrase, type = 'physical', relationId = null, channel = null) {
   const uA = db.users[userAId], uB = db.users[userBId];
   const now = Date.now();
   const today = new Date(now).toISOString().slice(0, 10);
   // Classify BEFORE recording (so encounter count is accurate)
   const classA = classifyEncounter(userAId, userBId);
   const classB = classifyEncounter(userBId, userAId);
-  const trace = { with: userBId, withName: uB?.nickname || uB?.name || '?', withColor: uB?.color, phrase, timestamp: now, date: today, type, points: classA.points, scoreType: classA.type, chatDurationH: 24, relationId };
-  const traceB = { with: userAId, withName: uA?.nickname || uA?.name || '?', withColor: uA?.color, phrase, timestamp: now, date: today, type, points: classB.points, scoreType: classB.type, chatDurationH: 24, relationId };
+  const sig = encounterSignals(userAId, userBId, channel);
+  const eventId = (relationId && db.relations[relationId] && db.relations[relationId].eventId) || undefined;
+  const trace = { with: userBId, withName: uB?.nickname || uB?.name || '?', withColor: uB?.color, phrase, timestamp: now, date: today, type, points: classA.points, scoreType: classA.type, chatDurationH: 24, relationId, eventId, channel: sig.channel, distM: sig.distM, geo: sig.geoA || undefined };
+  const traceB = { with: userAId, withName: uA?.nickname || uA?.name || '?', withColor: uA?.color, phrase, timestamp: now, date: today, type, points: classB.points, scoreType: classB.type, chatDurationH: 24, relationId, eventId, channel: sig.channel, distM: sig.distM, geo: sig.geoB || undefined };
   if (!db.encounters[userAId]) db.encounters[userAId] = [];
   if (!db.encounters[userBId]) db.encounters[userBId] = [];
   db.encounters[userAId].push(trace);
   if (db.encounters[userAId].length > 1000) db.encounters[userAId] = db.encounters[userAId].slice(-1000);
   db.encounters[userBId].push(traceB);
   if (db.encounters[userBId].length > 1000) db.encounters[userBId] = db.encounters[userBId].slice(-1000);
-  // Award score points (uses classification + star bonus multiplier)
-  if (!db.users[userAId].pointLog) db.users[userAId].pointLog = [];
-  if (!db.users[userBId].pointLog) db.users[userBId].pointLog = [];
+  // Award score points (classification -> scoring rules -> star bonus multiplier)
   // Star bonus: connecting with someone who has N stars = Nx multiplier
-  const bonusA = getStarBonusMultiplier(userBId);
-  const bonusB = getStarBonusMultiplier(userAId);
-  const pointsA = classA.points * bonusA;
-  const pointsB = classB.points * bonusB;
-  if (pointsA > 0) {
-    db.users[userAId].pointLog.push({ value: pointsA, type: classA.type, with: userBId, timestamp: now, bonus: bonusA > 1 ? bonusA : undefined });
-    if (db.users[userAId].pointLog.length > 500) db.users[userAId].pointLog = db.users[userAId].pointLog.slice(-500);
-  }
-  if (pointsB > 0) {
-    db.users[userBId].pointLog.push({ value: pointsB, type: classB.type, with: userAId, timestamp: now, bonus: bonusB > 1 ? bonusB : undefined });
-    if (db.users[userBId].pointLog.length > 500) db.users[userBId].pointLog = db.users[userBId].pointLog.slice(-500);
-  }
-  // Update streaks
-  updateStreak(userAId, userBId, today);
+  const rA = scoreWithRules(userAId, userBId, classA.points, { scoreType: classA.type, type, channel, eventId, timestamp: now });
+  const rB = scoreWithRules(userBId, userAId, classB.points, { scoreType: classB.type, type, channel, eventId, timestamp: now });
+  const bonusA = getStarBonusMultiplier(userBId, rA.starBonusPerStar);
+  const bonusB = getStarBonusMultiplier(userAId, rB.starBonusPerStar);
+  const pointsA = rA.points * bonusA;
+  const pointsB = rB.points * bonusB;
+  if (pointsA > 0) creditPoints(userAId, pointsA, classA.type, { with: userBId, bonus: bonusA > 1 ? bonusA : undefined, rules: rA.matched.length ? rA.matched : undefined });
+  if (pointsB > 0) creditPoints(userBId, pointsB, classB.type, { with: userAId, bonus: bonusB > 1 ? bonusB : undefined, rules: rB.matched.length ? rB.matched : undefined });
+  // Update streaks (a rule with streak: false keeps this day out of "days together")
+  if (rA.streak && rB.streak) updateStreak(userAId, userBId, today);
   // Check star eligibility (streak + milestone)
   checkStarEligibility(userAId, userBId);
   // -- Flag collection: track countries from connections --
@@ -2671,6 +3202,9 @@ const DEFAULT_GAME_CONFIG = {
 
   // Anti-farm — cooldown 24h per pair, no daily cap
   maxScoringPerPair24h: 2,        // Max scoring events per pair within 24h
+  // Anti-farm — fraud score 0-100 per user (fraud/), hourly scan
+  fraudFlagScore: 60,             // Score that opens a case for admin review
+  fraudAutoSuspendScore: 0,       // Score that suspends scoring right away (0 = only the admin suspends)
 
   // Score is a CURRENCY (no decay) — spent to buy stars
   pointDecayDays: 0,              // 0 = no decay, score accumulates forever
@@ -2695,12 +3229,13 @@ const DEFAULT_GAME_CONFIG = {
   // 0 stars = 1x, 1 star = 1.1x, 4 stars = 1.4x, 10 stars = 2x
   starBonusEnabled: true,         // Enable star bonus multiplier
 
+  // Scoring rules — conditions (encounter type, hour, event, partner stars, city) and rewards
+  // applied on top of the points above. Format in scoring/index.js; preview with /api/admin/game-config/simulate
+  scoringRules: [],
+
   // Max stars one person can give to another
   maxStarsPerPersonToPerson: 10,  // A can give max N stars to B
 
-  // Top 1 creator privileges
-  top1CanSetConfig: true,         // Top 1 user can adjust these parameters
-
   // Top tier visibility — array of enabled tier tags (only these are assigned to users)
   // Default: only top1 active. Admin can enable more via admin panel.
   topTiersEnabled: ['top1'],
@@ -2716,6 +3251,43 @@ function getGameConfig() {
   return { ...DEFAULT_GAME_CONFIG, ...(db.gameConfig || {}) };
 }
 
+// ══ SCORING RULES — regras do GAME CONFIG sobre os pontos base (scoring/) ══
+const scoringKit = require('./scoring');
+
+// Hour (0-23) and weekday (0 = Sunday) of ts in the user's timezone
+function scoringClock(userId, ts) {
+  const tz = (db.users[userId] && db.users[userId].timezone) || 'America/Sao_Paulo';
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: 'numeric', weekday: 'short', hourCycle: 'h23' }).formatToParts(new Date(ts));
+    const get = type => parts.find(p => p.type === type)?.value;
+    return { hour: parseInt(get('hour')) % 24, weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')) };
+  } catch (e) {
+    const d = new Date(ts);
+    return { hour: d.getHours(), weekday: d.getDay() };
+  }
+}
+
+// ctx: { kind, scoreType, type, channel, eventId, timestamp }
+function scoringFacts(userId, partnerId, ctx) {
+  const u = db.users[userId] || {};
+  const partner = partnerId ? db.users[partnerId] : null;
+  return {
+    kind: ctx.kind || 'encounter', scoreType: ctx.scoreType || null, type: ctx.type || null, channel: ctx.channel || null,
+    eventId: ctx.eventId || null, ...scoringClock(userId, ctx.timestamp || Date.now()),
+    partnerStars: partner ? (partner.stars || []).length : 0, city: u.city || null, country: u.country || null
+  };
+}
+
+function defaultStarBonusPerStar(cfg) {
+  return cfg.starBonusEnabled ? scoringKit.DEFAULT_STAR_BONUS_PER_STAR : 0;
+}
+
+// Base points (classifyEncounter / pointsCheckin) after the active rules; the star bonus is up to the caller
+function scoreWithRules(userId, partnerId, basePoints, ctx) {
+  const cfg = getGameConfig();
+  return scoringKit.applyRules(cfg.scoringRules, scoringFacts(userId, partnerId, ctx), basePoints, defaultStarBonusPerStar(cfg));
+}
+
 // ══ SCORING SYSTEM v3 — Star Economy ══
 // Score is a permanent currency (no decay). Anti-farm: cooldown 24h per pair.
 // Star bonus: connecting with someone who has N stars = Nx multiplier.
@@ -2752,15 +3324,14 @@ function classifyEncounter(userAId, userBId) {
   }
 }
 
-function awardPoints(userAId, userBId, type, overridePoints = null) {
-  const now = Date.now();
+// ctx.eventId: event of a check-in, for rules that target events
+function awardPoints(userAId, userBId, type, overridePoints = null, ctx = {}) {
   if (!db.users[userAId]) return;
   if (type === 'checkin') {
     const cfg = getGameConfig();
     const val = overridePoints != null ? overridePoints : cfg.pointsCheckin;
-    if (!db.users[userAId].pointLog) db.users[userAId].pointLog = [];
-    db.users[userAId].pointLog.push({ value: val, type: 'checkin', timestamp: now });
-    if (db.users[userAId].pointLog.length > 500) db.users[userAId].pointLog = db.users[userAId].pointLog.slice(-500);
+    const r = scoreWithRules(userAId, null, val, { kind: 'checkin', type: 'checkin', channel: 'checkin', eventId: ctx.eventId });
+    creditPoints(userAId, r.points, 'checkin', r.matched.length ? { rules: r.matched } : {});
     return;
   }
   if (!db.users[userBId]) return;
@@ -2768,12 +3339,10 @@ function awardPoints(userAId, userBId, type, overridePoints = null) {
   // Classify and award
   const classA = classifyEncounter(userAId, userBId);
   const classB = classifyEncounter(userBId, userAId);
-  if (!db.users[userAId].pointLog) db.users[userAId].pointLog = [];
-  if (!db.users[userBId].pointLog) db.users[userBId].pointLog = [];
-  db.users[userAId].pointLog.push({ value: classA.points, type: classA.type, with: userBId, timestamp: now });
-  if (db.users[userAId].pointLog.length > 500) db.users[userAId].pointLog = db.users[userAId].pointLog.slice(-500);
-  db.users[userBId].pointLog.push({ value: classB.points, type: classB.type, with: userAId, timestamp: now });
-  if (db.users[userBId].pointLog.length > 500) db.users[userBId].pointLog = db.users[userBId].pointLog.slice(-500);
+  const rA = scoreWithRules(userAId, userBId, classA.points, { scoreType: classA.type, type, eventId: ctx.eventId });
+  const rB = scoreWithRules(userBId, userAId, classB.points, { scoreType: classB.type, type, eventId: ctx.eventId });
+  creditPoints(userAId, rA.points, classA.type, { with: userBId, rules: rA.matched.length ? rA.matched : undefined });
+  creditPoints(userBId, rB.points, classB.type, { with: userAId, rules: rB.matched.length ? rB.matched : undefined });
 }
 
 function calcScore(userId) {
@@ -2802,14 +3371,13 @@ function calcScore(userId) {
 }
 
 // Calculate star bonus multiplier for connecting with someone
-function getStarBonusMultiplier(otherUserId) {
-  const cfg = getGameConfig();
-  if (!cfg.starBonusEnabled) return 1;
+// perStar comes from the scoring rules (starBonusPerStar); default 0.1, or 0 with starBonusEnabled off
+function getStarBonusMultiplier(otherUserId, perStar = null) {
   const other = db.users[otherUserId];
   if (!other) return 1;
-  const starCount = (other.stars || []).length;
+  if (perStar == null) perStar = defaultStarBonusPerStar(getGameConfig());
   // Smooth scaling: 0=1x, 1=1.1x, 4=1.4x, 9=1.9x, 10=2x
-  return starCount === 0 ? 1 : 1 + starCount * 0.1;
+  return scoringKit.starMultiplier(perStar, (other.stars || []).length);
 }
 
 // Count stars by category for a user
@@ -2838,6 +3406,340 @@ function calcRawScore(userId) {
   return total;
 }
 
+// ══ POINTS LEDGER — trilha imutavel de pontos e estrelas ══
+// Cada ponto ganho/gasto e cada estrela criada, doada, expirada ou revogada vira uma transacao
+// em db.pointTransactions (formato e kinds em points/index.js). O saldo continua vindo de
+// pointLog/pointsSpent e as estrelas de user.stars, entao getStarBreakdown nao muda: o estorno
+// do admin mexe nessas mesmas estruturas e grava a transacao inversa (reverses: txId).
+const pointsKit = require('./points');
+
+function indexPointTx(tx) {
+  [tx.userId, tx.counterpartyId].filter(Boolean).forEach(uid => {
+    if (!IDX.pointTxByUser.has(uid)) IDX.pointTxByUser.set(uid, []);
+    const list = IDX.pointTxByUser.get(uid);
+    if (!list.includes(tx.id)) list.push(tx.id);
+  });
+  if (tx.reverses) IDX.pointTxReversal.set(tx.reverses, tx.id);
+}
+
+function rebuildPointTxIndex() {
+  IDX.pointTxByUser.clear(); IDX.pointTxReversal.clear();
+  Object.values(db.pointTransactions || {}).sort((a, b) => a.createdAt - b.createdAt).forEach(indexPointTx);
+}
+
+function recordPointTx(fields) {
+  const tx = { id: fields.id || uuidv4(), points: 0, stars: 0, ...fields, createdAt: Date.now() };
+  if (db.pointTransactions[tx.id]) return null;
+  for (const k of Object.keys(tx)) if (tx[k] === undefined) delete tx[k];
+  db.pointTransactions[tx.id] = tx;
+  indexPointTx(tx);
+  saveDB('pointTransactions/' + tx.id);
+  return tx;
+}
+
+// Credits spendable points: pointLog entry (what the score reads) + its transaction.
+// `fields` is kept on the pointLog entry as before (with, from, tipId, gameId...)
+function creditPoints(userId, value, type, fields = {}) {
+  const u = db.users[userId];
+  if (!u || u.scoringSuspended) return null;
+  const tx = recordPointTx({
+    userId, kind: 'earn', points: value, reason: type, counterpartyId: fields.with || fields.from,
+    ref: fields.tipId || fields.sessionId || undefined
+  });
+  if (!u.pointLog) u.pointLog = [];
+  u.pointLog.push({ value, type, ...fields, timestamp: tx.createdAt, txId: tx.id });
+  if (u.pointLog.length > 500) u.pointLog = u.pointLog.slice(-500);
+  return tx;
+}
+
+function spendPoints(userId, cost, reason, fields = {}) {
+  const u = db.users[userId];
+  u.pointsSpent = (u.pointsSpent || 0) + cost;
+  return recordPointTx({ userId, kind: 'spend', points: -cost, reason, ...fields });
+}
+
+function recordStarTx(kind, userId, starId, reason, fields = {}) {
+  const stars = kind === 'star_expired' || kind === 'star_revoked' ? -1 : 1;
+  return recordPointTx({ userId, kind, stars, starId, reason, ...fields });
+}
+
+// Saldo de antes da trilha: uma transacao 'opening' por usuario com pontos ou estrelas
+function backfillPointTransactions() {
+  let n = 0;
+  for (const [uid, u] of Object.entries(db.users)) {
+    if (db.pointTransactions['opening:' + uid]) continue;
+    if (IDX.pointTxByUser.has(uid)) continue; // already on the trail since signup
+    const points = pointsKit.roundPoints(calcRawScore(uid) - (u.pointsSpent || 0));
+    const stars = (u.stars || []).length + (u.pendingStars || []).length;
+    if (!points && !stars) continue;
+    recordPointTx({ id: 'opening:' + uid, userId: uid, kind: 'opening', points, stars, reason: 'saldo anterior a trilha' });
+    n++;
+  }
+  if (n) console.log('[points] opening balances recorded: ' + n);
+}
+
+function pointTxView(tx, viewerId) {
+  const other = tx.userId === viewerId ? tx.counterpartyId : tx.userId;
+  const u = other && db.users[other];
+  return {
+    ...tx,
+    role: tx.userId === viewerId ? 'owner' : 'counterparty',
+    counterpartyName: u ? (u.nickname || u.name || null) : null,
+    reversedBy: IDX.pointTxReversal.get(tx.id) || null
+  };
+}
+
+function userPointTxs(userId) {
+  return (IDX.pointTxByUser.get(userId) || []).map(id => db.pointTransactions[id]).filter(Boolean);
+}
+
+// Star currently held for a star transaction (received stars or a pending one not donated yet)
+function findHeldStar(tx) {
+  const u = db.users[tx.userId];
+  if (!u) return null;
+  const i = (u.stars || []).findIndex(s => s.id === tx.starId);
+  if (i !== -1) return { user: u, list: 'stars', index: i };
+  const p = (u.pendingStars || []).findIndex(s => s.id === tx.starId);
+  if (p !== -1) return { user: u, list: 'pendingStars', index: p };
+  return null;
+}
+
+// Admin reversal of one transaction. Throws { status, message } when it can't be reversed.
+function reversePointTx(tx, by, reason) {
+  const kind = pointsKit.reversalKind(tx);
+  if (!kind) throw { status: 400, message: 'Transacao nao pode ser estornada.' };
+  if (IDX.pointTxReversal.has(tx.id)) throw { status: 409, message: 'Transacao ja estornada.' };
+  const u = db.users[tx.userId];
+  if (!u) throw { status: 404, message: 'Usuario nao encontrado.' };
+  const base = { userId: tx.userId, kind, reverses: tx.id, counterpartyId: tx.counterpartyId, starId: tx.starId, reason: reason || 'estorno admin', by };
+  let rev;
+  if (kind === 'reversal') {
+    rev = recordPointTx({ ...base, points: -tx.points });
+    if (!u.pointLog) u.pointLog = [];
+    u.pointLog.push({ value: -tx.points, type: 'reversal', reverses: tx.id, timestamp: rev.createdAt, txId: rev.id });
+    if (u.pointLog.length > 500) u.pointLog = u.pointLog.slice(-500);
+  } else if (kind === 'refund') {
+    u.pointsSpent = Math.max(0, (u.pointsSpent || 0) + tx.points);
+    rev = recordPointTx({ ...base, points: -tx.points });
+  } else {
+    const held = findHeldStar(tx);
+    if (!held) throw { status: 409, message: 'Estrela nao esta mais com o usuario.' };
+    held.user[held.list].splice(held.index, 1);
+    rev = recordPointTx({ ...base, stars: -1 });
+    recalcAllTopTags();
+  }
+  saveDB('users/' + tx.userId);
+  io.to(`user:${tx.userId}`).emit('points-reversed', { txId: tx.id, kind, points: rev.points, stars: rev.stars });
+  console.log('[points] reversed', tx.id, kind, 'by', by);
+  return rev;
+}
+
+// ══ ANTI-FARMING — sinais de fraude, varredura e suspensao de pontuacao ══
+// db.fraudProfiles[userId] = { userId, ips: { <hash>: lastSeen }, devices: { <hash>: lastSeen }, score, signals, scannedAt }
+//   IP e aparelho so entram como hash (HMAC com FRAUD_SALT), nunca em claro.
+// db.fraudCases[caseId] = { id, key, members, score, memberScores: { uid: { score, signals } }, signals,
+//   status: open | confirmed | dismissed | superseded, createdAt, updatedAt, reviewedBy?, reviewedAt?, note? }
+// user.scoringSuspended = { at, by, reason, caseId? } -> creditPoints e checkStarEligibility nao pagam nada.
+// Varredura de hora em hora (ou /api/admin/fraud/scan); nota >= fraudFlagScore abre caso para o admin,
+// nota >= fraudAutoSuspendScore (se > 0) ja suspende. Regras e pesos: fraud/index.js
+const fraudKit = require('./fraud');
+const FRAUD_SALT = requiredSecret('FRAUD_SALT');
+const FRAUD_MAX_SIGNALS = 20; // hashes kept per kind and user
+const FRAUD_TOUCH_MS = 60 * 60 * 1000; // lastSeen refresh that is worth a write
+
+function fraudHash(value) {
+  return crypto.createHmac('sha256', FRAUD_SALT).update(String(value)).digest('hex').slice(0, 24);
+}
+
+// req.ip (trust proxy); for socket.handshake the last X-Forwarded-For hop, the one Render's proxy
+// appended -- earlier hops are written by the client. Else the socket address.
+function clientIp(req) {
+  if (req.ip) return req.ip;
+  const hops = String((req.headers && req.headers['x-forwarded-for']) || '').split(',').map(h => h.trim()).filter(Boolean);
+  return hops[hops.length - 1] || req.address || (req.socket && req.socket.remoteAddress) || '';
+}
+
+function indexFraudProfile(p) {
+  for (const [kind, map] of [['ips', IDX.fraudIp], ['devices', IDX.fraudDevice]]) {
+    for (const h of Object.keys(p[kind] || {})) {
+      if (!map.has(h)) map.set(h, new Set());
+      map.get(h).add(p.userId);
+    }
+  }
+}
+
+function rebuildFraudIndex() {
+  IDX.fraudIp.clear(); IDX.fraudDevice.clear();
+  Object.values(db.fraudProfiles || {}).forEach(indexFraudProfile);
+}
+
+// Signals only count from a request that proved the account (Firebase or guest token): a bare userId
+// would let anyone plant their IP/device on someone else's profile (and claim a legacy guest by device)
+function noteFraudSignalsFrom(req, userId) {
+  const auth = authenticateUser(req, userId);
+  if (!auth || (auth.method !== 'firebase' && auth.method !== 'guest-token')) return;
+  noteFraudSignals(userId, { ip: clientIp(req), deviceId: req.body.deviceId });
+}
+
+function noteFraudSignals(userId, { ip, deviceId } = {}) {
+  if (!userId || !db.users[userId]) return;
+  const p = db.fraudProfiles[userId] || (db.fraudProfiles[userId] = { userId, ips: {}, devices: {} });
+  const now = Date.now();
+  let dirty = false;
+  for (const [kind, raw, map] of [['ips', ip, IDX.fraudIp], ['devices', deviceId, IDX.fraudDevice]]) {
+    if (!raw || typeof raw !== 'string' || raw.length > 200) continue;
+    const h = fraudHash(raw);
+    if (!p[kind]) p[kind] = {};
+    if (!p[kind][h] || now - p[kind][h] > FRAUD_TOUCH_MS) dirty = true;
+    p[kind][h] = now;
+    if (!map.has(h)) map.set(h, new Set());
+    map.get(h).add(userId);
+    const keys = Object.keys(p[kind]);
+    if (keys.length > FRAUD_MAX_SIGNALS) {
+      const oldest = keys.sort((a, b) => p[kind][a] - p[kind][b])[0];
+      delete p[kind][oldest];
+      if (map.has(oldest)) map.get(oldest).delete(userId);
+    }
+  }
+  if (dirty) saveDB('fraudProfiles/' + userId);
+}
+
+// Does b show up on the same device / IP as a within the scan window?
+function fraudSharedSignals(a, b) {
+  const pa = db.fraudProfiles[a], pb = db.fraudProfiles[b];
+  const since = Date.now() - fraudKit.FRAUD_WINDOW_MS;
+  const shares = kind => !!(pa && pb && pa[kind] && pb[kind]) && Object.keys(pa[kind]).some(h => pa[kind][h] >= since && pb[kind][h] >= since);
+  return { device: shares('devices'), ip: shares('ips') };
+}
+
+function isScoringSuspended(userId) {
+  const u = db.users[userId];
+  return !!(u && u.scoringSuspended);
+}
+
+// Channel, distance between the two (both GPS fresh) and each one's position for the trace
+function encounterSignals(userAId, userBId, channel) {
+  const now = Date.now();
+  const fresh = uid => {
+    const loc = db.checkins[uid];
+    return loc && loc.lat != null && loc.lng != null && now - (loc.updatedAt || 0) < 15 * 60 * 1000 ? { lat: Number(loc.lat), lng: Number(loc.lng) } : null;
+  };
+  const geoA = fresh(userAId), geoB = fresh(userBId);
+  const distM = geoA && geoB ? Math.round(fraudKit.distanceMeters(geoA, geoB)) : undefined;
+  return { channel: channel || undefined, distM, geoA, geoB };
+}
+
+function suspendScoring(userId, by, reason, caseId) {
+  const u = db.users[userId];
+  if (!u || u.scoringSuspended) return false;
+  u.scoringSuspended = { at: Date.now(), by, reason: reason || 'fraude' };
+  if (caseId) u.scoringSuspended.caseId = caseId;
+  saveDB('users/' + userId);
+  console.log('[fraud] scoring suspended:', userId, by, reason || '');
+  return true;
+}
+
+function liftScoringSuspension(userId, by) {
+  const u = db.users[userId];
+  if (!u || !u.scoringSuspended) return false;
+  if (!u.scoringHistory) u.scoringHistory = [];
+  u.scoringHistory.push({ ...u.scoringSuspended, liftedAt: Date.now(), liftedBy: by });
+  delete u.scoringSuspended;
+  saveDB('users/' + userId);
+  return true;
+}
+
+function scoreUserForFraud(uid, now) {
+  const u = db.users[uid];
+  const list = db.encounters[uid];
+  if (!u || !Array.isArray(list)) return null;
+  const since = now - fraudKit.FRAUD_WINDOW_MS;
+  const traces = list.filter(e => e && e.timestamp >= since && !e.isEvent && !(e.with || '').startsWith('evt:'));
+  if (!traces.length) return null;
+  let sharedDevice = 0, sharedIp = 0, guests = 0;
+  const sharedWith = [];
+  for (const p of new Set(traces.map(e => e.with))) {
+    const s = fraudSharedSignals(uid, p);
+    if (s.device) sharedDevice++;
+    if (s.ip) sharedIp++;
+    if (s.device || s.ip) sharedWith.push({ userId: p, device: s.device, ip: s.ip });
+    if (db.users[p] && db.users[p].isGuest) guests++;
+  }
+  const features = fraudKit.encounterFeatures(traces, {
+    now, accountAgeMs: now - (u.createdAt || now), sharedDevicePartners: sharedDevice, sharedIpPartners: sharedIp,
+    guestPartners: guests, daysTogetherPerStar: getGameConfig().daysTogetherPerStar
+  });
+  return { ...fraudKit.scoreFeatures(features), features, sharedWith };
+}
+
+function notifyFraudCase(c) {
+  const payload = { caseId: c.id, members: c.members.length, score: c.score, signals: c.signals };
+  Object.values(db.users).filter(u => u.isAdmin).forEach(u => io.to(`user:${u.id}`).emit('fraud-case', payload));
+}
+
+function runFraudScan() {
+  const now = Date.now();
+  const cfg = getGameConfig();
+  const results = {};
+  for (const uid of Object.keys(db.encounters)) {
+    const r = scoreUserForFraud(uid, now);
+    if (!r) continue;
+    results[uid] = r;
+    const p = db.fraudProfiles[uid] || (db.fraudProfiles[uid] = { userId: uid, ips: {}, devices: {} });
+    if (p.score !== r.score || String(p.signals) !== String(r.signals)) {
+      p.score = r.score;
+      p.signals = r.signals;
+      p.scannedAt = now;
+      saveDB('fraudProfiles/' + uid);
+    }
+  }
+  // Clusters: flagged accounts joined by a shared device, or by meeting each other on 2+ days
+  const flagged = Object.keys(results).filter(uid => results[uid].score >= cfg.fraudFlagScore);
+  const edges = [];
+  for (const uid of flagged) {
+    const r = results[uid];
+    r.sharedWith.filter(s => s.device).forEach(s => edges.push([uid, s.userId]));
+    for (const [p, days] of Object.entries(r.features.partnerDays)) {
+      if (days >= 2 && results[p] && results[p].score >= cfg.fraudFlagScore) edges.push([uid, p]);
+    }
+  }
+  let opened = 0, suspended = 0;
+  for (const members of fraudKit.findClusters(flagged, edges)) {
+    const key = fraudHash(members.join(','));
+    const memberScores = {};
+    members.forEach(m => { memberScores[m] = results[m] ? { score: results[m].score, signals: results[m].signals } : { score: 0, signals: [] }; });
+    const score = Math.max(...members.map(m => memberScores[m].score));
+    const signals = [...new Set(members.flatMap(m => memberScores[m].signals))];
+    let c = Object.values(db.fraudCases).find(x => x.key === key);
+    if (c && c.status !== 'open') continue; // already reviewed with exactly these members
+    if (!c) {
+      c = db.fraudCases[key] = { id: key, key, members, status: 'open', createdAt: now };
+      // Open cases this cluster grew out of
+      for (const old of Object.values(db.fraudCases)) {
+        if (old.status === 'open' && old.id !== key && old.members.some(m => members.includes(m))) {
+          old.status = 'superseded';
+          old.supersededBy = key;
+          old.updatedAt = now;
+          saveDB('fraudCases/' + old.id);
+        }
+      }
+      opened++;
+      notifyFraudCase(Object.assign(c, { score, signals }));
+    }
+    Object.assign(c, { memberScores, score, signals, updatedAt: now });
+    saveDB('fraudCases/' + c.id);
+    if (cfg.fraudAutoSuspendScore > 0) {
+      members.forEach(m => {
+        if (memberScores[m].score >= cfg.fraudAutoSuspendScore && suspendScoring(m, 'auto', 'nota de fraude ' + memberScores[m].score, c.id)) suspended++;
+      });
+    }
+  }
+  if (opened || suspended) console.log('[fraud] scan: ' + flagged.length + ' flagged, ' + opened + ' new cases, ' + suspended + ' suspended');
+  return { scanned: Object.keys(results).length, flagged: flagged.length, opened, suspended };
+}
+
+setInterval(() => { if (dbLoaded) runFraudScan(); }, 60 * 60 * 1000);
+
 function getUniqueConnections(userId) {
   return new Set((db.encounters[userId] || []).filter(e => !e.isEvent && !(e.with || '').startsWith('evt:')).map(e => e.with)).size;
 }
@@ -2860,7 +3762,10 @@ function cleanExpiredPoints() {
     if (user.stars && user.stars.length > 0) {
       const before = user.stars.length;
       user.stars = user.stars.filter(s => {
-        if (s.category === 'temporary' && s.expiresAt && s.expiresAt < now) return false;
+        if (s.category === 'temporary' && s.expiresAt && s.expiresAt < now) {
+          recordStarTx('star_expired', user.id, s.id, 'expired');
+          return false;
+        }
         return true;
       });
       if (user.stars.length < before) changed = true;
@@ -2891,6 +3796,7 @@ function earnStarForUser(userId, reason, context = '') {
   if (!user.pendingStars) user.pendingStars = [];
   const pendingId = uuidv4();
   user.pendingStars.push({ id: pendingId, reason, context, earnedAt: Date.now() });
+  recordStarTx('star_created', userId, pendingId, reason, { pending: true });
   // Emit forced donation event — user MUST choose someone to give this star to
   io.to(`user:${userId}`).emit('star-must-donate', {
     pendingStarId: pendingId,
@@ -2923,7 +3829,9 @@ function checkStarEligibility(userAId, userBId) {
     const uniqueDays = new Set((streak.history || []).map(h => h.date)).size;
     const starsFromDays = Math.floor(uniqueDays / cfg.daysTogetherPerStar);
     const prevStars = streak._starsAwarded || 0;
-    if (starsFromDays > prevStars) {
+    if (starsFromDays > prevStars && (isScoringSuspended(userAId) || isScoringSuspended(userBId))) {
+      streak._starsAwarded = starsFromDays; // suspended pair: these days never turn into stars
+    } else if (starsFromDays > prevStars) {
       for (let i = prevStars; i < starsFromDays; i++) {
         earnStarForUser(userAId, 'streak', uniqueDays + ' dias com ' + (userB.nickname || '?'));
         earnStarForUser(userBId, 'streak', uniqueDays + ' dias com ' + (userA.nickname || '?'));
@@ -2944,6 +3852,7 @@ function checkStarEligibility(userAId, userBId) {
     const u = db.users[uid];
     const uniqueConns = getUniqueConnections(uid);
     u.touchers = uniqueConns;
+    if (u.scoringSuspended) return;
     if (!u.stars) u.stars = [];
 
     // Check each milestone (all grant permanent stars, no distinction)
@@ -2957,6 +3866,7 @@ function checkStarEligibility(userAId, userBId) {
           donatedAt: Date.now(), type: 'permanent', category: 'permanent',
           milestone: milestone, reason: milestone + ' conexoes unicas'
         });
+        recordStarTx('star_created', uid, starId, 'milestone_' + milestone);
         io.to('user:' + uid).emit('star-earned', {
           reason: 'permanent', context: milestone + ' conexoes unicas! Estrela permanente!',
           totalEarned: u.stars.length
@@ -3036,17 +3946,13 @@ app.post('/api/touch-link/connect', (req, res) => {
   if (!owner) return res.status(404).json({ error: 'Código inválido.' });
   const nick = visitorNickname.trim();
   if (nick.length < 2 || nick.length > 20) return res.status(400).json({ error: 'Nickname: 2 a 20 caracteres.' });
-  // Check if visitor already exists
-  const existingVisitorId = IDX.nickname.get(nick.toLowerCase());
-  let visitor = existingVisitorId ? db.users[existingVisitorId] : null;
-  if (!visitor) {
-    const id = uuidv4();
-    const color = nickColor(nick);
-    visitor = { id, nickname: nick, name: nick, birthdate: null, avatar: null, color, createdAt: Date.now(), points: 0, pointLog: [], stars: [], isGuest: true };
-    db.users[id] = visitor;
-    idxAddUser(visitor);
-  }
+  // Conta do guest token / Firebase; nickname de outra pessoa vira convidado novo
+  const visitor = resolveGuestVisitor(req, nick);
+  const guestToken = visitor.isGuest ? issueGuestToken(visitor) : undefined;
   if (visitor.id === owner.id) return res.status(400).json({ error: 'Não pode dar touch em si mesmo.' });
+  const blocked = contactBlockReason(visitor.id, owner.id);
+  if (blocked) return res.status(403).json({ error: blocked });
+  noteFraudSignals(visitor.id, { ip: clientIp(req), deviceId: req.body.deviceId });
   // Create relation
   const now = Date.now();
   const ownerLang = getUserLang(owner.id);
@@ -3060,15 +3966,15 @@ app.post('/api/touch-link/connect', (req, res) => {
     existing.phrase = phrase;
     existing.renewed = (existing.renewed || 0) + 1;
     expiresAt = existing.expiresAt;
-    res.json({ relationId: existing.id, phrase, expiresAt, ownerName: owner.nickname, visitorId: visitor.id, visitorColor: visitor.color, renewed: true });
+    res.json({ relationId: existing.id, phrase, expiresAt, ownerName: owner.nickname, visitorId: visitor.id, visitorNickname: visitor.nickname, visitorColor: visitor.color, guestToken, renewed: true });
   } else {
     db.relations[relationId] = { id: relationId, userA: owner.id, userB: visitor.id, phrase, createdAt: now, expiresAt: now + 86400000, provocations: {}, renewed: 0, selfie: null };
     idxAddRelation(relationId, owner.id, visitor.id);
     db.messages[relationId] = [];
     expiresAt = now + 86400000;
-    res.json({ relationId, phrase, expiresAt, ownerName: owner.nickname, visitorId: visitor.id, visitorColor: visitor.color, renewed: false });
+    res.json({ relationId, phrase, expiresAt, ownerName: owner.nickname, visitorId: visitor.id, visitorNickname: visitor.nickname, visitorColor: visitor.color, guestToken, renewed: false });
   }
-  recordEncounter(owner.id, visitor.id, phrase, 'physical');
+  recordEncounter(owner.id, visitor.id, phrase, 'physical', null, 'link');
   saveDB('users', 'relations', 'messages', 'encounters');
   // Notify owner
   const signOwner = getZodiacSign(owner.birthdate);
@@ -3142,14 +4048,14 @@ async function connect(){
   const btn=document.querySelector('button');
   btn.disabled=true;btn.textContent='Conectando...';
   try{
-    const r=await fetch('/api/touch-link/connect',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({touchCode:'${code}',visitorNickname:nick})});
+    const r=await fetch('/api/touch-link/connect',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({touchCode:'${code}',visitorNickname:nick,deviceId:localStorage.getItem('touch_device_id')||undefined,guestToken:localStorage.getItem('touch_guestToken')||undefined,guestId:localStorage.getItem('touch_isGuest')==='true'?localStorage.getItem('touch_userId'):undefined})});
     const d=await r.json();
     if(d.error){btn.disabled=false;btn.textContent='TOUCH';return alert(d.error)}
     // Save guest credentials and redirect immediately — animation happens in the app
     localStorage.setItem('touch_userId',d.visitorId);
-    localStorage.setItem('touch_userName',nick);
+    localStorage.setItem('touch_userName',d.visitorNickname||nick);
     localStorage.setItem('touch_userColor',d.visitorColor||'');
-    localStorage.setItem('touch_isGuest','true');
+    if(d.guestToken){localStorage.setItem('touch_guestToken',d.guestToken);localStorage.setItem('touch_isGuest','true')}
     btn.textContent='Entrando...';
     window.location.href='/?guest='+d.visitorId+'&rel='+(d.relationId||'')+'&phrase='+encodeURIComponent(d.phrase||'');
   }catch(e){btn.disabled=false;btn.textContent='TOUCH';alert('Erro de conexao.')}
@@ -3204,6 +4110,7 @@ app.post('/api/register', (req, res) => {
     existing.birthdate = birthdate;
     existing.color = existing.color || nickColor(nick);
     saveDB('users');
+    noteFraudSignalsFrom(req, userId);
     return res.json({ userId, user: existing });
   }
 
@@ -3224,6 +4131,7 @@ app.post('/api/register', (req, res) => {
   recalcAllTopTags();
   idxAddUser(db.users[id]);
   saveDB('users');
+  noteFraudSignals(id, { ip: clientIp(req), deviceId: req.body.deviceId });
   // Send Zito welcome email if user has email (from Firebase auth link)
   if (db.users[id].email) {
     const userLang = db.users[id].lang || 'pt-br';
@@ -3252,7 +4160,7 @@ app.post('/api/user/timezone', (req, res) => {
     return res.status(400).json({ error: 'Timezone invalido: ' + timezone });
   }
   user.timezone = timezone;
-  saveDB('users');
+  saveDB('users/' + userId);
   res.json({ ok: true, timezone });
 });
 
@@ -3267,7 +4175,7 @@ app.post('/api/user/:userId/lang', requireAuth, async (req, res) => {
     if (!u) return res.status(404).json({ error: 'User not found.' });
     u.lang = lang;
     u.updatedAt = Date.now();
-    saveDB('users');
+    saveDB('users/' + userId);
     res.json({ ok: true, lang });
   } catch (e) {
     res.status(500).json({ error: 'Failed to save language.' });
@@ -3284,7 +4192,7 @@ app.post('/api/user/:userId/country', requireAuth, async (req, res) => {
     else if (country) u.country = String(country).substring(0, 3).toUpperCase();
     if (typeof city === 'string') u.city = city.substring(0, 30);
     u.updatedAt = Date.now();
-    saveDB('users');
+    saveDB('users/' + userId);
     res.json({ ok: true, country: u.country, city: u.city });
   } catch (e) {
     res.status(500).json({ error: 'Failed to save country.' });
@@ -3294,6 +4202,7 @@ app.post('/api/user/:userId/country', requireAuth, async (req, res) => {
 app.post('/api/session/create', (req, res) => {
   const { userId, isServiceTouch, isCheckin } = req.body;
   if (!userId || !db.users[userId]) return res.status(400).json({ error: 'Usuário inválido.' });
+  noteFraudSignalsFrom(req, userId);
   const code = generateCode();
   const sessionId = uuidv4();
   db.sessions[sessionId] = {
@@ -3312,6 +4221,9 @@ app.post('/api/session/join', (req, res) => {
   const session = Object.values(db.sessions).find(s => s.code === code && s.status === 'waiting');
   if (!session) return res.status(404).json({ error: 'Sessão não encontrada ou expirada.' });
   if (session.userA === userId) return res.status(400).json({ error: 'Você não pode dar touch em si mesmo.' });
+  const blocked = !session.isCheckin && contactBlockReason(userId, session.userA);
+  if (blocked) return res.status(403).json({ error: blocked });
+  noteFraudSignalsFrom(req, userId);
 
   session.userB = userId;
   session.status = 'completed';
@@ -3370,7 +4282,7 @@ app.post('/api/session/join', (req, res) => {
     if (!db.encounters[codeVisitorId]) db.encounters[codeVisitorId] = [];
     db.encounters[codeVisitorId].push({ with: 'evt:' + sessionEventId, withName: evName, withColor: '#60a5fa', phrase, timestamp: now, date: new Date(now).toISOString().slice(0,10), type: 'checkin', points: 1, chatDurationH: 24, relationId, isEvent: true });
     if (db.encounters[codeVisitorId].length > 1000) db.encounters[codeVisitorId] = db.encounters[codeVisitorId].slice(-1000);
-    awardPoints(codeVisitorId, null, 'checkin');
+    awardPoints(codeVisitorId, null, 'checkin', null, { eventId: sessionEventId });
     // Add to event participants
     if (evObj) {
       if (!Array.isArray(evObj.participants)) evObj.participants = [];
@@ -3380,7 +4292,7 @@ app.post('/api/session/join', (req, res) => {
       }
     }
   } else {
-    recordEncounter(session.userA, userId, phrase, encounterType);
+    recordEncounter(session.userA, userId, phrase, encounterType, null, 'code');
   }
   session.relationId = relationId;
   saveDB('sessions', 'relations', 'messages', 'encounters');
@@ -3573,7 +4485,8 @@ app.get('/api/encounters/:userId', (req, res) => {
   const list = db.encounters[req.params.userId] || [];
   const page = Math.max(1, parseInt(req.query.page) || 1);
   const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
-  const enriched = list.slice().reverse().map(e => {
+  // geo/distM are anti-farming signals, never sent to clients
+  const enriched = list.slice().reverse().map(({ geo, distM, ...e }) => {
     // Check if this is an event encounter (with starts with 'evt:')
     if (typeof e.with === 'string' && e.with.startsWith('evt:')) {
       const evId = e.with.replace('evt:', '');
@@ -4011,7 +4924,7 @@ app.post('/api/notifications/seen', (req, res) => {
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'Não encontrado.' });
   user.notifSeenAt = Date.now();
-  saveDB('users');
+  saveDB('users/' + userId);
   res.json({ ok: true });
 });
 
@@ -4313,7 +5226,7 @@ app.post('/api/network/seen', (req, res) => {
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'Não encontrado.' });
   user.networkSeenAt = Date.now();
-  saveDB('users');
+  saveDB('users/' + userId);
   res.json({ ok: true });
 });
 
@@ -4327,7 +5240,7 @@ app.post('/api/notifications/dismiss', (req, res) => {
     user.dismissedNotifs.push(notifKey);
     // Limita a 200 para nao crescer infinitamente
     if (user.dismissedNotifs.length > 200) user.dismissedNotifs = user.dismissedNotifs.slice(-200);
-    saveDB('users');
+    saveDB('users/' + userId);
   }
   res.json({ ok: true });
 });
@@ -4339,7 +5252,7 @@ app.post('/api/notifications/dismiss-all', (req, res) => {
   if (!user) return res.status(404).json({ error: 'Nao encontrado.' });
   user.notifSeenAt = Date.now();
   // Marca todas como vistas
-  saveDB('users');
+  saveDB('users/' + userId);
   res.json({ ok: true });
 });
 
@@ -4416,7 +5329,7 @@ app.post('/api/reveal/toggle', (req, res) => {
     }
     // Notify partner
     io.to(`user:${partnerId}`).emit('reveal-revoked', { userId });
-    saveDB('users');
+    saveDB('users/' + partnerId);
   }
   res.json({ ok: true });
 });
@@ -4438,6 +5351,8 @@ app.post('/api/gift/send', (req, res) => {
   const rel = db.relations[relationId];
   if (!rel || Date.now() > rel.expiresAt) return res.status(404).json({ error: 'Relacao expirada.' });
   if (rel.userA !== fromUserId && rel.userB !== fromUserId) return res.status(403).json({ error: 'Sem permissao.' });
+  const blocked = relationPartnerBlocked(rel, fromUserId);
+  if (blocked) return res.status(403).json({ error: blocked });
   const gift = GIFT_CATALOG.find(g => g.id === giftId);
   if (!gift) return res.status(400).json({ error: 'Presente nao encontrado.' });
   const toUserId = rel.userA === fromUserId ? rel.userB : rel.userA;
@@ -4490,13 +5405,10 @@ app.post('/api/gift/send', (req, res) => {
     fromUser.tipsSentTotal = (fromUser.tipsSentTotal || 0) + gift.price;
   }
   // Award coins to recipient
-  if (!db.users[toUserId].pointLog) db.users[toUserId].pointLog = [];
-  db.users[toUserId].pointLog.push({ value: gift.price, type: 'gift-tip', from: fromUserId, giftName: gift.name, tipId, timestamp: Date.now() });
-  if (db.users[toUserId].pointLog.length > 500) db.users[toUserId].pointLog = db.users[toUserId].pointLog.slice(-500);
+  creditPoints(toUserId, gift.price, 'gift-tip', { from: fromUserId, giftName: gift.name, tipId });
   // Log sender gift action
-  if (!db.users[fromUserId].pointLog) db.users[fromUserId].pointLog = [];
-  db.users[fromUserId].pointLog.push({ value: getGameConfig().pointsGift || 10, type: 'gift-sent', giftName: gift.name, tipId, timestamp: Date.now() });
-  if (db.users[fromUserId].pointLog.length > 500) db.users[fromUserId].pointLog = db.users[fromUserId].pointLog.slice(-500);
+  creditPoints(fromUserId, getGameConfig().pointsGift || 10, 'gift-sent', { giftName: gift.name, tipId });
+  syncPaymentLedger(tipRecord);
   saveDB('gifts', 'users', 'tips');
   // Add system message to chat (persistent - both sent and received visible)
   const sysMsgSent = { id: uuidv4(), userId: fromUserId, text: 'Enviou ' + gift.name + ' (R$' + gift.price + ')', type: 'gift', timestamp: Date.now(), giftId: gift.id, giftIcon: gift.icon, giftPrice: gift.price, giftColor: gift.color };
@@ -4590,6 +5502,8 @@ app.post('/api/declaration/send', (req, res) => {
   const rel = db.relations[relationId];
   if (!rel || Date.now() > rel.expiresAt) return res.status(404).json({ error: 'Relação expirada.' });
   if (rel.userA !== fromUserId && rel.userB !== fromUserId) return res.status(403).json({ error: 'Sem permissão.' });
+  const blocked = relationPartnerBlocked(rel, fromUserId);
+  if (blocked) return res.status(403).json({ error: blocked });
   if (!text || text.trim().length < 3) return res.status(400).json({ error: 'Declaração muito curta.' });
   if (text.trim().length > 280) return res.status(400).json({ error: 'Máximo 280 caracteres.' });
   const toUserId = rel.userA === fromUserId ? rel.userB : rel.userA;
@@ -4607,9 +5521,7 @@ app.post('/api/declaration/send', (req, res) => {
   if (!db.declarations[fromUserId]) db.declarations[fromUserId] = [];
   db.declarations[fromUserId].push({ ...decl, _role: 'author' });
   // Award score points for declaration
-  if (!db.users[fromUserId].pointLog) db.users[fromUserId].pointLog = [];
-  db.users[fromUserId].pointLog.push({ value: getGameConfig().pointsDeclaration, type: 'declaration', timestamp: Date.now() });
-  if (db.users[fromUserId].pointLog.length > 500) db.users[fromUserId].pointLog = db.users[fromUserId].pointLog.slice(-500);
+  creditPoints(fromUserId, getGameConfig().pointsDeclaration, 'declaration');
   saveDB('declarations', 'users');
   io.to(`user:${toUserId}`).emit('declaration-received', { relationId, declaration: decl });
   res.json({ ok: true, declaration: decl });
@@ -4652,6 +5564,7 @@ app.get('/api/profile/:userId/from/:viewerId', (req, res) => {
   const user = db.users[req.params.userId];
   const viewerId = req.params.viewerId;
   if (!user) return res.status(404).json({ error: 'Não encontrado.' });
+  if (isBlockedBetween(req.params.userId, viewerId)) return res.status(403).json({ error: 'Nao e possivel interagir com este usuario.' });
   // Check active relation
   const now = Date.now();
   const hasRelation = !!findActiveRelation(req.params.userId, viewerId);
@@ -5239,6 +6152,9 @@ app.post('/api/star/donate', (req, res) => {
     IDX.donationsByPair.set(fromUserId + '_' + toUserId, (IDX.donationsByPair.get(fromUserId + '_' + toUserId) || 0) + 1);
     if (!toUser.stars) toUser.stars = [];
     toUser.stars.push({ id: donationId, from: fromUserId, fromName: fromUser.nickname, donatedAt: Date.now(), type: pendingStarId ? 'earned' : 'transfer' });
+    recordStarTx('star_donated', toUserId, donationId, pendingStarId ? 'earned' : 'transfer', {
+      counterpartyId: fromUserId, ref: pendingStarId || (savedDonorStar && savedDonorStar.id)
+    });
     recalcAllTopTags(); // re-rank after star change
     saveDB('users', 'starDonations');
 
@@ -5319,11 +6235,10 @@ app.post('/api/star/buy', (req, res) => {
     return res.status(400).json({ error: 'Moedas insuficientes. Custo: ' + cost + ', Disponivel: ' + Math.round(spendable) });
   }
 
-  // Deduct points
-  user.pointsSpent = (user.pointsSpent || 0) + cost;
-
   // Award temporary star with expiration
   const starId = uuidv4();
+  spendPoints(userId, cost, 'star_purchase', { starId, counterpartyId: isSelf ? undefined : recipientId });
+  recordStarTx('star_created', recipientId, starId, 'purchased', { counterpartyId: isSelf ? undefined : userId });
   const expiresAt = Date.now() + (cfg.tempStarDurationDays * 86400000);
   recipientUser.stars.push({
     id: starId,
@@ -5475,51 +6390,240 @@ app.get('/api/stars/profile/:userId', (req, res) => {
   });
 });
 
-// ══ GAME CONFIG — Admin endpoints ══
-// Get current config
-app.get('/api/admin/game-config', (req, res) => {
-  res.json(getGameConfig());
+// ══ POINTS HISTORY — trilha de pontos e estrelas do usuario ══
+// ?kind=earn|spend|...  ?before=<createdAt> para paginar (mais recentes primeiro)
+app.get('/api/points/:userId/history', requireAuth, (req, res) => {
+  const userId = req.params.userId;
+  const user = db.users[userId];
+  if (!user) return res.status(404).json({ error: 'Nao encontrado.' });
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const before = parseInt(req.query.before) || Infinity;
+  const txs = userPointTxs(userId);
+  const page = txs
+    .filter(tx => tx.createdAt < before && (!req.query.kind || tx.kind === req.query.kind))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+  res.json({
+    spendablePoints: Math.round(calcRawScore(userId) - (user.pointsSpent || 0)),
+    breakdown: getStarBreakdown(userId),
+    summary: pointsKit.summarizePointTxs(txs, userId),
+    transactions: page.map(tx => pointTxView(tx, userId)),
+    nextBefore: page.length === limit ? page[page.length - 1].createdAt : null
+  });
 });
 
-// Update config (Top 1 or admin, or admin panel direct)
-app.post('/api/admin/game-config', adminLimiter, (req, res) => {
-  // Support both formats: {userId, changes} and {config} (from admin panel)
-  let userId = req.body.userId || 'admin';
-  let changes = req.body.changes || req.body.config;
-  if (!changes) return res.status(400).json({ error: 'changes ou config obrigatorio.' });
-  const cfg = getGameConfig();
-  // Check if user is Top 1 (most stars) or has admin flag
-  // userId='admin' is always authorized (admin panel direct access)
-  const user = db.users[userId];
-  const isAdmin = userId === 'admin' || (user && user.isAdmin === true);
-  let isTop1 = false;
-  if (cfg.top1CanSetConfig) {
-    // Find user with most stars
-    let maxStars = 0, top1Id = null;
-    for (const [uid, u] of Object.entries(db.users)) {
-      const s = (u.stars || []).length;
-      if (s > maxStars) { maxStars = s; top1Id = uid; }
+// Admin: transactions of a user (with drift between the trail and the derived balance) or the latest overall
+app.get('/api/admin/points/transactions', adminLimiter, requireAdmin, (req, res) => {
+  const { userId, kind, counterpartyId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const source = userId ? userPointTxs(userId) : Object.values(db.pointTransactions);
+  const all = source
+    .filter(tx => (!kind || tx.kind === kind) && (!counterpartyId || tx.counterpartyId === counterpartyId))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  const out = { transactions: all.slice(0, limit).map(tx => pointTxView(tx, userId || tx.userId)), total: all.length };
+  if (userId && db.users[userId]) {
+    const summary = pointsKit.summarizePointTxs(userPointTxs(userId), userId);
+    const spendable = pointsKit.roundPoints(calcRawScore(userId) - (db.users[userId].pointsSpent || 0));
+    const b = getStarBreakdown(userId);
+    const held = b.total + (db.users[userId].pendingStars || []).length;
+    // pointLog keeps the last 500 entries, so old accounts may drift below the trail
+    out.audit = { summary, spendable, drift: pointsKit.roundPoints(spendable - summary.balance), stars: held, starDrift: held - summary.stars, breakdown: b };
+  }
+  res.json(out);
+});
+
+app.post('/api/admin/points/transactions/:txId/reverse', adminLimiter, requireAdmin, (req, res) => {
+  const tx = db.pointTransactions[req.params.txId];
+  if (!tx) return res.status(404).json({ error: 'Transacao nao encontrada.' });
+  try {
+    const reversal = reversePointTx(tx, req.adminUserId || 'admin', req.body.reason);
+    res.json({ ok: true, reversal, breakdown: getStarBreakdown(tx.userId), spendablePoints: Math.round(calcRawScore(tx.userId) - (db.users[tx.userId].pointsSpent || 0)) });
+  } catch (e) {
+    if (!e.status) throw e;
+    res.status(e.status).json({ error: e.message });
+  }
+});
+
+// Estorno em lote de um usuario: tudo que ele recebeu de counterpartyId (farming entre contas)
+// e/ou desde `since`; txIds restringe a uma lista. Pula o que ja foi estornado ou nao da para estornar.
+app.post('/api/admin/points/:userId/reverse', adminLimiter, requireAdmin, (req, res) => {
+  const { userId } = req.params;
+  if (!db.users[userId]) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  const { counterpartyId, since, txIds, reason } = req.body;
+  if (!counterpartyId && !since && !Array.isArray(txIds)) return res.status(400).json({ error: 'Informe counterpartyId, since ou txIds.' });
+  const candidates = userPointTxs(userId).filter(tx => tx.userId === userId
+    && pointsKit.reversalKind(tx) && tx.kind !== 'spend'
+    && (!counterpartyId || tx.counterpartyId === counterpartyId)
+    && (!since || tx.createdAt >= Number(since))
+    && (!Array.isArray(txIds) || txIds.includes(tx.id)));
+  const reversed = [], skipped = [];
+  for (const tx of candidates) {
+    try {
+      reversed.push(reversePointTx(tx, req.adminUserId || 'admin', reason).id);
+    } catch (e) {
+      if (!e.status) throw e;
+      skipped.push({ txId: tx.id, error: e.message });
     }
-    isTop1 = (userId === top1Id && maxStars > 0);
   }
-  if (!isAdmin && !isTop1) return res.status(403).json({ error: 'Apenas o Top 1 ou admin pode alterar configurações.' });
-  // Only allow known config keys
-  const allowed = Object.keys(DEFAULT_GAME_CONFIG);
-  const applied = {};
-  for (const [key, val] of Object.entries(changes)) {
-    if (!allowed.includes(key)) continue;
-    const defVal = DEFAULT_GAME_CONFIG[key];
-    // Type check: arrays must match arrays, primitives must match type
-    const isArray = Array.isArray(defVal);
+  res.json({ ok: true, reversed, skipped, breakdown: getStarBreakdown(userId), spendablePoints: Math.round(calcRawScore(userId) - (db.users[userId].pointsSpent || 0)) });
+});
+
+// ══ ANTI-FARMING — Admin: casos, nota por usuario e suspensao de pontuacao ══
+app.get('/api/admin/fraud/cases', adminLimiter, requireAdmin, (req, res) => {
+  const { status } = req.query;
+  const cases = Object.values(db.fraudCases)
+    .filter(c => status ? c.status === status : c.status !== 'superseded')
+    .sort((a, b) => (b.score - a.score) || (b.updatedAt - a.updatedAt));
+  res.json({
+    cases: cases.map(c => ({
+      ...c,
+      members: c.members.map(uid => ({ userId: uid, nickname: db.users[uid]?.nickname || '?', isGuest: !!db.users[uid]?.isGuest, suspended: isScoringSuspended(uid), ...(c.memberScores || {})[uid] }))
+    })),
+    open: cases.filter(c => c.status === 'open').length,
+    signals: fraudKit.FRAUD_SIGNALS
+  });
+});
+
+app.post('/api/admin/fraud/scan', adminLimiter, requireAdmin, (req, res) => {
+  res.json({ ok: true, ...runFraudScan() });
+});
+
+// Nota calculada agora (nao espera a varredura); perfil so mostra quantos IPs/aparelhos, nunca os hashes
+app.get('/api/admin/fraud/users/:userId', adminLimiter, requireAdmin, (req, res) => {
+  const u = db.users[req.params.userId];
+  if (!u) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  const p = db.fraudProfiles[u.id] || {};
+  const live = scoreUserForFraud(u.id, Date.now());
+  res.json({
+    userId: u.id, nickname: u.nickname,
+    score: live ? live.score : 0, signals: live ? live.signals : [], features: live ? live.features : null,
+    sharedWith: live ? live.sharedWith.map(s => ({ ...s, nickname: db.users[s.userId]?.nickname || '?' })) : [],
+    ips: Object.keys(p.ips || {}).length, devices: Object.keys(p.devices || {}).length, scannedAt: p.scannedAt || null,
+    scoringSuspended: u.scoringSuspended || null, scoringHistory: u.scoringHistory || [],
+    cases: Object.values(db.fraudCases).filter(c => c.members.includes(u.id)).map(c => ({ id: c.id, status: c.status, score: c.score }))
+  });
+});
+
+// confirm: suspende os membros (suspend !== false) e, com reversePoints, estorna o que um membro
+// ganhou de outro membro do cluster. dismiss: arquiva e tira as suspensoes que vieram deste caso.
+app.post('/api/admin/fraud/cases/:id/review', adminLimiter, requireAdmin, (req, res) => {
+  const c = db.fraudCases[req.params.id];
+  if (!c) return res.status(404).json({ error: 'Caso nao encontrado.' });
+  const { decision, suspend, reversePoints, note } = req.body;
+  if (!['confirm', 'dismiss'].includes(decision)) return res.status(400).json({ error: 'decision deve ser confirm ou dismiss.' });
+  if (c.status !== 'open') return res.status(409).json({ error: 'Caso ja revisado (' + c.status + ').' });
+  const by = req.adminUserId || 'admin';
+  const out = { suspended: [], lifted: [], reversed: [], skipped: [] };
+  if (decision === 'confirm') {
+    if (suspend !== false) c.members.forEach(m => { if (suspendScoring(m, by, 'caso de fraude confirmado', c.id)) out.suspended.push(m); });
+    if (reversePoints) {
+      const txs = c.members.flatMap(m => userPointTxs(m).filter(tx => tx.userId === m && c.members.includes(tx.counterpartyId)
+        && pointsKit.reversalKind(tx) && tx.kind !== 'spend'));
+      for (const tx of txs) {
+        try {
+          out.reversed.push(reversePointTx(tx, by, 'fraude: caso ' + c.id).id);
+        } catch (e) {
+          if (!e.status) throw e;
+          out.skipped.push({ txId: tx.id, error: e.message });
+        }
+      }
+    }
+  } else {
+    c.members.forEach(m => {
+      if (db.users[m]?.scoringSuspended?.caseId === c.id && liftScoringSuspension(m, by)) out.lifted.push(m);
+    });
+  }
+  c.status = decision === 'confirm' ? 'confirmed' : 'dismissed';
+  c.reviewedBy = by;
+  c.reviewedAt = Date.now();
+  c.updatedAt = c.reviewedAt;
+  if (note) c.note = String(note).slice(0, 500);
+  saveDB('fraudCases/' + c.id);
+  res.json({ ok: true, case: c, ...out });
+});
+
+app.post('/api/admin/fraud/users/:userId/scoring', adminLimiter, requireAdmin, (req, res) => {
+  const { userId } = req.params;
+  if (!db.users[userId]) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  const { suspended, reason } = req.body;
+  if (typeof suspended !== 'boolean') return res.status(400).json({ error: 'suspended deve ser true ou false.' });
+  const by = req.adminUserId || 'admin';
+  const changed = suspended ? suspendScoring(userId, by, reason ? String(reason).slice(0, 200) : 'manual') : liftScoringSuspension(userId, by);
+  res.json({ ok: true, changed, scoringSuspended: db.users[userId].scoringSuspended || null });
+});
+
+// ══ GAME CONFIG — Admin endpoints ══
+// Get current config
+app.get('/api/admin/game-config', (req, res) => {
+  res.json(getGameConfig());
+});
+
+// Update config (Top 1 or admin, or admin panel direct)
+app.post('/api/admin/game-config', adminLimiter, requireAdmin, (req, res) => {
+  // Support both formats: {changes} and {config} (from admin panel)
+  const userId = req.adminUserId || 'admin';
+  let changes = req.body.changes || req.body.config;
+  if (!changes) return res.status(400).json({ error: 'changes ou config obrigatorio.' });
+  // Scoring rules go in whole and validated (nothing is applied if any rule is invalid)
+  if (changes.scoringRules !== undefined) {
+    const v = scoringKit.validateRules(changes.scoringRules);
+    if (v.errors.length) return res.status(400).json({ error: 'Regras de pontuacao invalidas.', errors: v.errors });
+    changes = { ...changes, scoringRules: v.rules };
+  }
+  // Only allow known config keys
+  const allowed = Object.keys(DEFAULT_GAME_CONFIG);
+  const applied = {};
+  for (const [key, val] of Object.entries(changes)) {
+    if (!allowed.includes(key)) continue;
+    const defVal = DEFAULT_GAME_CONFIG[key];
+    // Type check: arrays must match arrays, primitives must match type
+    const isArray = Array.isArray(defVal);
     if (isArray ? Array.isArray(val) : typeof val === typeof defVal) {
       db.gameConfig[key] = val;
       applied[key] = val;
     }
   }
-  saveDB('users');
+  if (applied.scoringRules) console.log('[scoring] ruleset activated by', userId + ':', applied.scoringRules.length, 'rules');
+  saveDB('users', 'gameConfig');
   res.json({ ok: true, applied, current: getGameConfig() });
 });
 
+// Dry run: replays the recorded encounters of the last `days` (max 90) under the active rules and under
+// `rules`, without crediting anything. Partner stars, city and timezone are today's values.
+app.post('/api/admin/game-config/simulate', adminLimiter, requireAdmin, (req, res) => {
+  const cfg = getGameConfig();
+  const v = scoringKit.validateRules(req.body.rules !== undefined ? req.body.rules : cfg.scoringRules);
+  if (v.errors.length) return res.status(400).json({ error: 'Regras de pontuacao invalidas.', errors: v.errors });
+  const days = Math.min(Math.max(parseInt(req.body.days) || 30, 1), 90);
+  const to = Date.now(), from = to - days * 86400000;
+  const userIds = req.body.userId ? [req.body.userId] : Object.keys(db.encounters);
+  const samples = [];
+  let skipped = 0;
+  for (const uid of userIds) {
+    for (const e of db.encounters[uid] || []) {
+      if (!e || e.timestamp < from) continue;
+      if (e.isEvent) {
+        // Event check-in: credited by awardPoints(checkin), no star bonus
+        const eventId = String(e.with).replace('evt:', '');
+        samples.push({ userId: uid, base: cfg.pointsCheckin, starBonus: false, facts: scoringFacts(uid, null, { kind: 'checkin', type: 'checkin', channel: 'checkin', eventId, timestamp: e.timestamp }) });
+      } else if (e.scoreType) {
+        const eventId = e.eventId || (e.relationId && db.relations[e.relationId] && db.relations[e.relationId].eventId);
+        samples.push({ userId: uid, base: e.points || 0, starBonus: true, facts: scoringFacts(uid, e.with, { scoreType: e.scoreType, type: e.type, channel: e.channel, eventId, timestamp: e.timestamp }) });
+      } else {
+        skipped++; // legacy / nearby traces don't record how they were classified
+      }
+    }
+  }
+  const result = scoringKit.compareRulesets({ current: cfg.scoringRules, proposed: v.rules, samples, defaultPerStar: defaultStarBonusPerStar(cfg) });
+  const topChanges = Object.entries(result.users)
+    .filter(([, u]) => u.delta !== 0)
+    .sort((a, b) => Math.abs(b[1].delta) - Math.abs(a[1].delta))
+    .slice(0, 20)
+    .map(([uid, u]) => ({ userId: uid, nickname: db.users[uid]?.nickname || '?', ...u }));
+  const { users, rules: ruleMatches, ...totals } = result;
+  res.json({ window: { from, to, days }, skipped, users: Object.keys(users).length, ...totals, ruleMatches, topChanges, rules: v.rules });
+});
+
 // ═══ DECLARATIONS — 30-day testimonials ═══
 if (!db.declarations) db.declarations = {};
 
@@ -5650,7 +6754,7 @@ app.get('/api/mural/geocode/:userId', requireAuth, async (req, res) => {
   if (!geo || !geo.city) return res.status(500).json({ error: 'Nao foi possivel detectar a cidade.' });
   // Cache on user object
   user.muralGeo = { ...geo, updatedAt: Date.now() };
-  saveDB('users');
+  saveDB('users/' + userId);
   // Build channels list (cidade, estado, pais, mundo)
   const channels = [];
   if (geo.city) channels.push({ type: 'city', name: geo.city, key: normalizeChannel(geo.city + '-' + geo.countryCode) });
@@ -5680,8 +6784,10 @@ app.get('/api/mural/:channelKey', requireAuth, (req, res) => {
     raw = Object.values(raw).filter(p => p && typeof p === 'object' && p.id);
     db.muralPosts[channelKey] = raw; // fix in memory
   }
+  const viewerId = req.authUserId;
   let posts = raw
-    .filter(p => !p.hidden && p.createdAt < before && (!p.expiresAt || p.expiresAt > now));
+    .filter(p => !p.hidden && p.createdAt < before && (!p.expiresAt || p.expiresAt > now) && !hidesContent(viewerId, p.userId))
+    .map(p => (p.comments || []).some(c => hidesContent(viewerId, c.userId)) ? { ...p, comments: p.comments.filter(c => !hidesContent(viewerId, c.userId)) } : p);
   // Sort oldest first (wall: newest at bottom)
   posts.sort((a, b) => a.createdAt - b.createdAt);
   // Take last N (most recent)
@@ -5698,12 +6804,15 @@ app.post('/api/mural/:channelKey/post', requireAuth, muralLimiter, (req, res) =>
   if (!userId || !text) return res.status(400).json({ error: 'Campos obrigatorios.' });
   const user = db.users[userId];
   if (!user) return res.status(400).json({ error: 'Usuario invalido.' });
-  // Check ban
+  // Check ban (canal ou restricao global da moderacao)
   const banKey = 'ban:' + channelKey;
   if (db.muralFlags[banKey]) {
     const ban = db.muralFlags[banKey].find(b => b.userId === userId && b.expiresAt > Date.now());
     if (ban) return res.status(403).json({ error: 'Voce esta banido deste canal. Aguarde 24h.' });
   }
+  if ((db.muralFlags[MURAL_GLOBAL_BAN] || []).some(b => b.userId === userId && b.expiresAt > Date.now())) {
+    return res.status(403).json({ error: contactBlockReason(userId) || 'Voce nao pode escrever no mural.' });
+  }
   const priv = getMuralPrivileges(user);
   // Check cooldown — garantir que e array
   let allPosts = db.muralPosts[channelKey] || [];
@@ -5767,7 +6876,7 @@ app.post('/api/mural/:channelKey/post', requireAuth, muralLimiter, (req, res) =>
   if (room) {
     for (const sid of room) {
       const s = io.sockets.sockets.get(sid);
-      if (s && s.touchUserId !== userId) {
+      if (s && s.touchUserId !== userId && !hidesContent(s.touchUserId, userId)) {
         s.emit('mural-new-post', { post });
       }
     }
@@ -5778,7 +6887,7 @@ app.post('/api/mural/:channelKey/post', requireAuth, muralLimiter, (req, res) =>
     const mentionedNicks = mentions.map(m => m.slice(1).toLowerCase());
     const notifiedIds = new Set();
     for (const [uid, u] of Object.entries(db.users)) {
-      if (uid === userId) continue;
+      if (uid === userId || hidesContent(uid, userId)) continue;
       if (u.nickname && mentionedNicks.includes(u.nickname.toLowerCase()) && !notifiedIds.has(uid)) {
         notifiedIds.add(uid);
         io.to('user:' + uid).emit('notification', {
@@ -5815,11 +6924,18 @@ app.post('/api/mural/:postId/flag', requireAuth, (req, res) => {
     if (p) { foundPost = p; foundChannel = ch; break; }
   }
   if (!foundPost) return res.status(404).json({ error: 'Post nao encontrado.' });
-  // Mod report = hide imediato
+  // Mod report = hide imediato + denuncia na fila de moderacao
   foundPost.hidden = true;
   foundPost.hiddenReason = 'mod-flag';
   foundPost.hiddenBy = userId;
   saveDBNow('muralPosts');
+  if (foundPost.userId && db.users[foundPost.userId]) {
+    openReport({
+      reporterId: userId, targetUserId: foundPost.userId, category: modKit.REPORT_CATEGORIES[reason] ? reason : 'other',
+      details: typeof reason === 'string' ? reason.slice(0, 1000) : '', source: 'mural-flag',
+      evidence: { messages: [], posts: [{ id: foundPost.id, channelKey: foundChannel, text: foundPost.text, createdAt: foundPost.createdAt }] }
+    });
+  }
   io.to('mural:' + foundChannel).emit('mural-post-hidden', { postId });
   res.json({ ok: true });
 });
@@ -6667,6 +7783,8 @@ app.post('/api/mural/:postId/comment', requireAuth, async (req, res) => {
     if (p) { foundPost = p; foundChannel = ch; break; }
   }
   if (!foundPost) return res.status(404).json({ error: 'Post nao encontrado.' });
+  const blocked = contactBlockReason(userId, foundPost.userId);
+  if (blocked) return res.status(403).json({ error: blocked });
   if (!foundPost.comments) foundPost.comments = [];
   const comment = {
     id: 'cmt_' + Date.now() + '_' + Math.random().toString(36).slice(2, 5),
@@ -6679,7 +7797,10 @@ app.post('/api/mural/:postId/comment', requireAuth, async (req, res) => {
   };
   foundPost.comments.push(comment);
   saveDBNow('muralPosts');
-  io.to('mural:' + foundChannel).emit('mural-new-comment', { postId, comment });
+  for (const sid of io.sockets.adapter.rooms.get('mural:' + foundChannel) || []) {
+    const s = io.sockets.sockets.get(sid);
+    if (s && !hidesContent(s.touchUserId, userId)) s.emit('mural-new-comment', { postId, comment });
+  }
   res.json({ ok: true, comment });
 
   // Auto-reply: se o post e uma noticia, o agente responde ao comentario
@@ -7213,7 +8334,7 @@ app.get('/api/gifts/count/:userId', (req, res) => {
 if (!db.faceData) db.faceData = {};
 
 // Enroll face descriptors
-app.post('/api/face/enroll', (req, res) => {
+app.post('/api/face/enroll', requireAuth, (req, res) => {
   const { userId, descriptors, capturedAt, angles } = req.body;
   if (!userId || !db.users[userId]) return res.status(400).json({ error: 'Usuário inválido.' });
   if (!descriptors || !Array.isArray(descriptors) || descriptors.length < 3) {
@@ -7241,17 +8362,19 @@ app.post('/api/face/enroll', (req, res) => {
   };
   db.users[userId].faceEnrolled = true;
   db.users[userId].faceEnrolledAt = Date.now();
+  bumpFaceIndexes();
   saveDB('users', 'faceData');
   res.json({ ok: true, enrolled: true });
 });
 
 // Remove face data
-app.post('/api/face/remove', (req, res) => {
+app.post('/api/face/remove', requireAuth, (req, res) => {
   const { userId } = req.body;
   if (!userId || !db.users[userId]) return res.status(400).json({ error: 'Usuário inválido.' });
   delete db.faceData[userId];
   db.users[userId].faceEnrolled = false;
   delete db.users[userId].faceEnrolledAt;
+  bumpFaceIndexes();
   saveDB('users', 'faceData');
   res.json({ ok: true });
 });
@@ -7269,8 +8392,8 @@ app.post('/api/face/verify', (req, res) => {
 
   // Euclidean distance between two 128-d vectors
   // Compare against all stored descriptors and average
-  const distances = faceRecord.descriptors.map(d => euclideanDist(liveDescriptor, d));
-  const avgDist = euclideanDist(liveDescriptor, faceRecord.averageDescriptor);
+  const distances = faceRecord.descriptors.map(d => faceKit.distance(liveDescriptor, d));
+  const avgDist = faceKit.distance(liveDescriptor, faceRecord.averageDescriptor);
   const minDist = Math.min(...distances);
   const meanDist = distances.reduce((a, b) => a + b, 0) / distances.length;
 
@@ -7289,63 +8412,115 @@ app.post('/api/face/verify', (req, res) => {
   });
 });
 
-// Identify face — search across ALL enrolled users
-// For portaria/condominium access: "who is this person?"
-app.post('/api/face/identify', (req, res) => {
-  const { liveDescriptor, context } = req.body;
-  if (!liveDescriptor || !Array.isArray(liveDescriptor) || liveDescriptor.length !== 128) {
-    return res.status(400).json({ error: 'liveDescriptor inválido (128 dimensões).' });
-  }
+// ══ FACE ID — identificacao com escopo e consentimento (faceid/) ══
+// Identificar so dentro de um escopo: participantes do evento (portaria, scope 'event') ou
+// membros da academia (scope 'gym'), e so quem autorizou aquele local em user.faceConsent
+// ({ eventId: { grantedAt } }). O indice de cada escopo e refeito quando muda a versao
+// (cadastro, remocao, consentimento, exclusao de conta) ou a lista de membros. Toda
+// consulta, achando ou nao, vai para db.faceAccessLog.
+const faceKit = require('./faceid');
+const FACE_SCOPES = { event: 'door', gym: 'gym' }; // escopo -> permissao da equipe
+const FACE_AMBIGUITY_MARGIN = 0.08; // outra pessoa ate best + margem (sem passar do limiar) = pedir confirmacao
+let faceIndexVersion = 0;
+const faceIndexes = new Map(); // 'eventId:scope' -> { sig, index }; sig = versao + hash dos ids ordenados
+
+function bumpFaceIndexes() {
+  faceIndexVersion++;
+  faceIndexes.clear();
+}
 
-  function euclideanDist(a, b) {
-    let sum = 0;
-    for (let i = 0; i < 128; i++) sum += (a[i] - b[i]) ** 2;
-    return Math.sqrt(sum);
-  }
+function faceScopeMembers(ev, scope) {
+  if (scope === 'gym') return Object.entries((ev.gym && ev.gym.members) || {}).filter(([, m]) => m && m.status !== 'cancelled').map(([uid]) => uid);
+  return ev.participants || [];
+}
 
-  const THRESHOLD = 0.6;
-  const results = [];
+function faceIndexFor(ev, scope) {
+  const ids = faceScopeMembers(ev, scope).filter(uid => db.faceData[uid] && db.users[uid]?.faceConsent?.[ev.id]);
+  const key = ev.id + ':' + scope;
+  const sig = faceIndexVersion + ':' + crypto.createHash('sha256').update([...ids].sort().join(',')).digest('hex');
+  const cached = faceIndexes.get(key);
+  if (cached && cached.sig === sig) return cached.index;
+  const index = faceKit.buildIndex(ids.map(uid => ({ id: uid, descriptors: db.faceData[uid].descriptors })));
+  faceIndexes.set(key, { sig, index });
+  return index;
+}
 
-  for (const [uid, faceRecord] of Object.entries(db.faceData)) {
-    const distances = faceRecord.descriptors.map(d => euclideanDist(liveDescriptor, d));
-    const minDist = Math.min(...distances);
-    if (minDist < THRESHOLD) {
-      const user = db.users[uid];
-      const confidence = Math.max(0, Math.min(1, 1 - (minDist / THRESHOLD)));
-      results.push({
-        userId: uid,
-        nickname: user?.nickname || '??',
-        realName: user?.realName || null,
-        verified: !!user?.verified,
-        profilePhoto: user?.profilePhoto || null,
-        distance: Math.round(minDist * 1000) / 1000,
-        confidence: Math.round(confidence * 100)
-      });
-    }
-  }
+function logFaceAccess(entry) {
+  if (!Array.isArray(db.faceAccessLog)) db.faceAccessLog = [];
+  db.faceAccessLog.push({ id: uuidv4(), timestamp: Date.now(), ...entry });
+  if (db.faceAccessLog.length > 10000) db.faceAccessLog = db.faceAccessLog.slice(-5000);
+  saveDB('faceAccessLog');
+}
 
-  // Sort by confidence (best match first)
-  results.sort((a, b) => b.confidence - a.confidence);
+app.get('/api/face/consent/:userId', requireAuth, (req, res) => {
+  const u = db.users[req.authUserId];
+  if (!u) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  const consents = Object.entries(u.faceConsent || {}).map(([eventId, c]) => ({ eventId, name: db.operatorEvents[eventId]?.name || '?', grantedAt: c.grantedAt }));
+  res.json({ enrolled: !!db.faceData[u.id], consents });
+});
+
+app.post('/api/face/consent', requireAuth, (req, res) => {
+  const u = db.users[req.authUserId];
+  const { eventId, grant } = req.body;
+  if (!u) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  if (!eventId || (grant && !db.operatorEvents[eventId])) return res.status(404).json({ error: 'Local nao encontrado.' });
+  if (!u.faceConsent) u.faceConsent = {};
+  if (grant) u.faceConsent[eventId] = { grantedAt: Date.now() };
+  else delete u.faceConsent[eventId];
+  bumpFaceIndexes();
+  saveDB('users/' + u.id);
+  res.json({ ok: true, eventId, granted: !!grant });
+});
+
+// Quem consultou meu rosto (so as consultas que acharam a pessoa)
+app.get('/api/face/access/:userId', requireAuth, (req, res) => {
+  const log = Array.isArray(db.faceAccessLog) ? db.faceAccessLog : [];
+  const access = log.filter(e => e.matchedUserId === req.authUserId).slice(-100).reverse()
+    .map(e => ({ timestamp: e.timestamp, eventId: e.eventId || null, eventName: db.operatorEvents[e.eventId]?.name || null, scope: e.scope || null, confidence: e.confidence }));
+  res.json({ access });
+});
+
+function requireFaceScope(req, res, next) {
+  const permission = FACE_SCOPES[req.body.scope];
+  if (!permission) return res.status(400).json({ error: 'scope deve ser ' + Object.keys(FACE_SCOPES).join(' ou ') + '.' });
+  requireEventRole(permission)(req, res, next);
+}
 
-  // Log access for audit trail
-  if (results.length > 0) {
-    if (!db.faceAccessLog) db.faceAccessLog = [];
-    db.faceAccessLog.push({
-      timestamp: Date.now(),
-      matchedUserId: results[0].userId,
-      confidence: results[0].confidence,
-      context: context || 'unknown',
-      totalCandidates: Object.keys(db.faceData).length
+// Portaria / academia: "quem e esta pessoa?" entre os membros do escopo que autorizaram este local
+app.post('/api/operator/event/:eventId/face/identify', requireFaceScope, (req, res) => {
+  const ev = req.operatorEvent;
+  const { liveDescriptor, scope, context } = req.body;
+  if (!faceKit.isDescriptor(liveDescriptor)) return res.status(400).json({ error: 'liveDescriptor invalido (128 dimensoes).' });
+  if (scope === 'gym' && !(ev.gym && ev.gym.enabled)) return res.status(400).json({ error: 'Academia nao ativa neste evento.' });
+  const index = faceIndexFor(ev, scope);
+  const { match, visited } = faceKit.nearest(index, liveDescriptor);
+  let matches = [];
+  if (match) {
+    matches = faceKit.within(index, liveDescriptor, Math.min(match.distance + FACE_AMBIGUITY_MARGIN, faceKit.MATCH_THRESHOLD)).matches.slice(0, 3).map(m => {
+      const u = db.users[m.id];
+      const member = scope === 'gym' ? ev.gym.members[m.id] : null;
+      return {
+        userId: m.id,
+        nickname: u?.nickname || '??',
+        verified: !!u?.verified,
+        memberStatus: member ? member.status || null : undefined,
+        distance: Math.round(m.distance * 1000) / 1000,
+        confidence: faceKit.confidenceOf(m.distance)
+      };
     });
-    if (db.faceAccessLog.length > 10000) db.faceAccessLog = db.faceAccessLog.slice(-5000);
-    saveDB('users');
   }
-
-  res.json({
-    found: results.length > 0,
-    matches: results.slice(0, 3), // top 3 matches
-    scannedTotal: Object.keys(db.faceData).length
+  const ambiguous = matches.length > 1;
+  logFaceAccess({
+    eventId: ev.id, scope, operatorId: req.authUserId, context: context ? String(context).slice(0, 60) : scope,
+    matchedUserId: matches[0] ? matches[0].userId : null, confidence: matches[0] ? matches[0].confidence : 0,
+    ambiguous, candidates: index.people
   });
+  res.json({ found: matches.length > 0, ambiguous, matches, candidates: index.people, compared: visited });
+});
+
+// Identificacao global (sem escopo nem consentimento) foi desligada
+app.post('/api/face/identify', (req, res) => {
+  res.status(410).json({ error: 'Use /api/operator/event/:eventId/face/identify com scope (event ou gym).' });
 });
 
 // Admin: list all face enrollments
@@ -7360,7 +8535,7 @@ app.get('/api/face/admin/list/:adminId', (req, res) => {
     angles: fd.angles,
     verified: !!db.users[uid]?.verified
   }));
-  const recentAccess = (db.faceAccessLog || []).slice(-20).reverse();
+  const recentAccess = (Array.isArray(db.faceAccessLog) ? db.faceAccessLog : []).slice(-20).reverse();
   res.json({ enrolled, recentAccess, totalEnrolled: enrolled.length });
 });
 
@@ -7418,7 +8593,8 @@ app.post('/api/admin/grant-plus', (req, res) => {
   const shouldGrant = months !== undefined ? months > 0 : grant !== false;
   target.isSubscriber = shouldGrant;
   if (shouldGrant) {
-    if (!db.subscriptions[tid]) db.subscriptions[tid] = {};
+    if (!db.subscriptions[tid]) db.subscriptions[tid] = { id: uuidv4(), userId: tid };
+    db.subscriptions[tid].userId = tid;
     db.subscriptions[tid].status = 'active';
     db.subscriptions[tid].planId = 'touch_plus';
     db.subscriptions[tid].startedAt = db.subscriptions[tid].startedAt || Date.now();
@@ -7613,6 +8789,623 @@ app.get('/api/debug/constellation/:userId', (req, res) => {
   });
 });
 
+// ══ MODERATION — bloquear, silenciar, denunciar e fila do admin (moderation/) ══
+// Block vale nos dois sentidos e e checado no servidor em tudo que entrega conteudo ou visibilidade
+// entre duas pessoas (chat, pulse, foto, presentes, pedidos de conexao, perto de mim, mural, convites
+// de jogo e criacao de relacao). Mute so esconde do lado de quem silenciou. Conta suspensa/banida
+// nao envia nada; a restricao tambem vira flag 'ban:*' em db.muralFlags, que o mural ja respeita.
+const modKit = require('./moderation');
+const MURAL_GLOBAL_BAN = 'ban:*';
+
+function isBlockedBetween(a, b) {
+  if (!a || !b || a === b) return false;
+  return !!((db.users[a]?.blocked || {})[b] || (db.users[b]?.blocked || {})[a]);
+}
+
+// viewer nao deve ver conteudo de authorId (bloqueio em qualquer sentido ou silenciado pelo viewer)
+function hidesContent(viewerId, authorId) {
+  if (!viewerId || !authorId || viewerId === authorId) return false;
+  return isBlockedBetween(viewerId, authorId) || !!(db.users[viewerId]?.muted || {})[authorId];
+}
+
+function moderationRestriction(userId) {
+  return modKit.restrictionOf(db.users[userId], Date.now());
+}
+
+// Motivo para fromId nao alcancar toId (conta restrita ou bloqueio), ou null
+function contactBlockReason(fromId, toId) {
+  const r = moderationRestriction(fromId);
+  if (r) return r.type === 'ban' ? 'Conta banida.' : 'Conta suspensa ate ' + new Date(r.until).toISOString() + '.';
+  if (isBlockedBetween(fromId, toId)) return 'Nao e possivel interagir com este usuario.';
+  return null;
+}
+
+function relationPartnerBlocked(rel, userId) {
+  const partnerId = rel.userA === userId ? rel.userB : rel.userA;
+  return contactBlockReason(userId, partnerId);
+}
+
+// Encerra as relacoes ativas e pedidos de conexao pendentes entre os dois
+function severContact(a, b) {
+  const now = Date.now();
+  for (const rid of IDX.relationsByUser.get(a) || []) {
+    const r = db.relations[rid];
+    if (r && (r.userA === b || r.userB === b) && r.expiresAt > now) { r.expiresAt = now; r.endedBy = 'block'; }
+  }
+  for (const [id, rq] of connectionRequests) {
+    if (rq.status === 'pending' && ((rq.fromId === a && rq.toId === b) || (rq.fromId === b && rq.toId === a))) connectionRequests.delete(id);
+  }
+  saveDB('relations');
+  io.to('user:' + a).emit('user-blocked', { userId: b });
+}
+
+function listFor(user, field) {
+  return Object.entries(user[field] || {}).map(([id, at]) => ({ userId: id, nickname: db.users[id]?.nickname || '?', at }));
+}
+
+app.get('/api/blocks/:userId', requireAuth, (req, res) => {
+  const u = db.users[req.authUserId];
+  if (!u) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  res.json({ blocked: listFor(u, 'blocked'), muted: listFor(u, 'muted') });
+});
+
+// POST /api/block | /api/unblock | /api/mute | /api/unmute  { userId, targetUserId }
+for (const [route, field, on] of [['block', 'blocked', true], ['unblock', 'blocked', false], ['mute', 'muted', true], ['unmute', 'muted', false]]) {
+  app.post('/api/' + route, requireAuth, (req, res) => {
+    const userId = req.authUserId, { targetUserId } = req.body;
+    const u = db.users[userId];
+    if (!u || !targetUserId || !db.users[targetUserId]) return res.status(400).json({ error: 'Usuario invalido.' });
+    if (targetUserId === userId) return res.status(400).json({ error: 'Nao da para ' + route + ' voce mesmo.' });
+    if (!u[field]) u[field] = {};
+    if (on) u[field][targetUserId] = u[field][targetUserId] || Date.now();
+    else delete u[field][targetUserId];
+    if (route === 'block') severContact(userId, targetUserId);
+    saveDB('users/' + userId);
+    res.json({ ok: true, [field]: listFor(u, field) });
+  });
+}
+
+// Copia das provas no momento da denuncia: so mensagens de relacoes entre os dois e posts do denunciado
+async function collectReportEvidence(reporterId, targetId, messageIds, postIds) {
+  const messages = [], posts = [];
+  if (messageIds.length) {
+    const wanted = new Set(messageIds);
+    for (const rid of IDX.relationsByUser.get(reporterId) || []) {
+      const r = db.relations[rid];
+      if (!r || (r.userA !== targetId && r.userB !== targetId)) continue;
+      for (const m of await ensureMessages(rid)) {
+        if (wanted.has(m.id)) messages.push({ id: m.id, relationId: rid, userId: m.userId, type: m.type || 'text', text: m.text || null, photo: m.photoData && !m.photoData.startsWith('data:') ? m.photoData : null, timestamp: m.timestamp });
+      }
+    }
+  }
+  if (postIds.length) {
+    const wanted = new Set(postIds);
+    for (const [ch, list] of Object.entries(db.muralPosts)) {
+      if (!Array.isArray(list)) continue;
+      for (const p of list) {
+        if (wanted.has(p.id) && p.userId === targetId) posts.push({ id: p.id, channelKey: ch, text: p.text, createdAt: p.createdAt });
+        for (const c of p.comments || []) if (wanted.has(c.id) && c.userId === targetId) posts.push({ id: c.id, postId: p.id, channelKey: ch, text: c.text, createdAt: c.createdAt, comment: true });
+      }
+    }
+  }
+  return { messages, posts };
+}
+
+function openReport(fields) {
+  const report = { id: uuidv4(), status: 'open', createdAt: Date.now(), ...fields };
+  db.reports[report.id] = report;
+  saveDB('reports/' + report.id);
+  return report;
+}
+
+app.post('/api/report', requireAuth, async (req, res) => {
+  const reporterId = req.authUserId, { targetUserId } = req.body;
+  if (!targetUserId || !db.users[targetUserId] || targetUserId === reporterId) return res.status(400).json({ error: 'Usuario denunciado invalido.' });
+  const parsed = modKit.normalizeReport(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const dup = Object.values(db.reports).find(r => r.status === 'open' && r.reporterId === reporterId && r.targetUserId === targetUserId);
+  if (dup) return res.status(409).json({ error: 'Voce ja denunciou este usuario; a denuncia esta em analise.', reportId: dup.id });
+  const { category, details, messageIds, postIds } = parsed.report;
+  const evidence = await collectReportEvidence(reporterId, targetUserId, messageIds, postIds);
+  const report = openReport({ reporterId, targetUserId, category, details, evidence, missingEvidence: messageIds.length + postIds.length - evidence.messages.length - evidence.posts.length });
+  // Denunciar ja bloqueia, a menos que a pessoa peca o contrario
+  if (req.body.block !== false) {
+    const u = db.users[reporterId];
+    if (!u.blocked) u.blocked = {};
+    if (!u.blocked[targetUserId]) { u.blocked[targetUserId] = Date.now(); severContact(reporterId, targetUserId); saveDB('users/' + reporterId); }
+  }
+  res.json({ ok: true, reportId: report.id, evidence: { messages: report.evidence.messages.length, posts: report.evidence.posts.length }, blocked: req.body.block !== false });
+});
+
+app.get('/api/report/categories', (req, res) => {
+  res.json(Object.entries(modKit.REPORT_CATEGORIES).map(([id, c]) => ({ id, label: c.label })));
+});
+
+// Bans de canal do mural (moderadores) + restricao global, para o contexto da fila
+function muralBansOf(userId) {
+  const out = [];
+  for (const [key, list] of Object.entries(db.muralFlags || {})) {
+    if (!key.startsWith('ban:') || !Array.isArray(list)) continue;
+    for (const b of list) if (b.userId === userId) out.push({ channelKey: key.slice(4), bannedBy: b.bannedBy, reason: b.reason, at: b.at, expiresAt: b.expiresAt, active: b.expiresAt > Date.now() });
+  }
+  return out;
+}
+
+function moderationSummary(userId) {
+  const u = db.users[userId] || {};
+  return {
+    userId, nickname: u.nickname || '?', isGuest: !!u.isGuest,
+    restriction: moderationRestriction(userId), warnings: (u.moderation?.history || []).filter(h => h.action === 'warn').length,
+    muralBans: muralBansOf(userId)
+  };
+}
+
+// Fila: contas com denuncia aberta, da maior prioridade para a menor
+app.get('/api/admin/moderation/queue', adminLimiter, requireAdmin, (req, res) => {
+  const status = req.query.status || 'open';
+  const byTarget = {};
+  for (const r of Object.values(db.reports)) {
+    if (status !== 'all' && r.status !== status) continue;
+    (byTarget[r.targetUserId] = byTarget[r.targetUserId] || []).push(r);
+  }
+  const queue = Object.entries(byTarget).map(([userId, reports]) => ({
+    ...moderationSummary(userId),
+    priority: modKit.queuePriority(reports, (db.users[userId]?.moderation?.history || []).length),
+    reporters: new Set(reports.map(r => r.reporterId)).size,
+    categories: [...new Set(reports.map(r => r.category))],
+    reports: reports.sort((a, b) => b.createdAt - a.createdAt).map(r => ({ ...r, reporterNickname: db.users[r.reporterId]?.nickname || '?' }))
+  })).sort((a, b) => b.priority - a.priority || b.reports[0].createdAt - a.reports[0].createdAt);
+  res.json({ queue, open: Object.values(db.reports).filter(r => r.status === 'open').length, categories: modKit.REPORT_CATEGORIES });
+});
+
+app.get('/api/admin/moderation/users/:userId', adminLimiter, requireAdmin, (req, res) => {
+  const { userId } = req.params;
+  if (!db.users[userId]) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  res.json({
+    ...moderationSummary(userId),
+    moderation: db.users[userId].moderation || null,
+    reports: Object.values(db.reports).filter(r => r.targetUserId === userId).sort((a, b) => b.createdAt - a.createdAt),
+    reportsFiled: Object.values(db.reports).filter(r => r.reporterId === userId).length
+  });
+});
+
+// Restricao global tambem como flag do mural ('ban:*'); lift tira
+function setMuralGlobalBan(userId, by, reason, expiresAt) {
+  const list = (db.muralFlags[MURAL_GLOBAL_BAN] || []).filter(b => b.userId !== userId);
+  if (expiresAt) list.push({ userId, bannedBy: by, reason: (reason || '').slice(0, 120), at: Date.now(), expiresAt });
+  db.muralFlags[MURAL_GLOBAL_BAN] = list;
+  saveDB('muralFlags');
+}
+
+// warn: aviso (nao restringe). suspend: hours (padrao 72). ban: permanente e esconde os posts do mural.
+// dismiss: arquiva as denuncias sem acao. lift: tira suspensao/ban. Fecha as denuncias abertas (ou reportIds).
+app.post('/api/admin/moderation/users/:userId/action', adminLimiter, requireAdmin, (req, res) => {
+  const { userId } = req.params;
+  const u = db.users[userId];
+  if (!u) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  const { action, reason, reportIds } = req.body;
+  if (!modKit.MODERATION_ACTIONS.includes(action)) return res.status(400).json({ error: 'action deve ser ' + modKit.MODERATION_ACTIONS.join(', ') + '.' });
+  const hours = action === 'suspend' ? modKit.suspendHours(req.body.hours) : null;
+  if (action === 'suspend' && !hours) return res.status(400).json({ error: 'hours deve ser maior que 0 (maximo 1 ano).' });
+  const by = req.adminUserId || 'admin', now = Date.now();
+  const note = reason ? String(reason).slice(0, 300) : '';
+  const m = u.moderation || (u.moderation = { history: [] });
+  if (!m.history) m.history = [];
+  if (action === 'warn') {
+    if (!moderationRestriction(userId)) Object.assign(m, { status: 'warned', reason: note, by, at: now });
+    io.to('user:' + userId).emit('moderation-warning', { reason: note });
+  } else if (action === 'suspend' || action === 'ban') {
+    const until = action === 'suspend' ? now + hours * 3600000 : null;
+    Object.assign(m, { status: action === 'ban' ? 'banned' : 'suspended', until, reason: note, by, at: now });
+    setMuralGlobalBan(userId, by, note, until || Number.MAX_SAFE_INTEGER);
+    if (action === 'ban') {
+      for (const [ch, list] of Object.entries(db.muralPosts)) {
+        if (!Array.isArray(list)) continue;
+        list.filter(p => p.userId === userId && !p.hidden).forEach(p => {
+          Object.assign(p, { hidden: true, hiddenReason: 'ban', hiddenBy: by });
+          io.to('mural:' + ch).emit('mural-post-hidden', { postId: p.id });
+        });
+      }
+      saveDB('muralPosts');
+    }
+    io.to('user:' + userId).emit('moderation-restricted', { type: action, until, reason: note });
+  } else if (action === 'lift') {
+    if (!moderationRestriction(userId)) return res.status(409).json({ error: 'Conta sem suspensao ou ban.' });
+    Object.assign(m, { status: null, until: null, reason: note, by, at: now });
+    setMuralGlobalBan(userId, by, null, null);
+  }
+  const ids = Array.isArray(reportIds) ? reportIds : null;
+  const resolved = [];
+  if (action !== 'lift') {
+    for (const r of Object.values(db.reports)) {
+      if (r.targetUserId !== userId || r.status !== 'open' || (ids && !ids.includes(r.id))) continue;
+      Object.assign(r, { status: action === 'dismiss' ? 'dismissed' : 'actioned', action, resolvedAt: now, resolvedBy: by });
+      if (note) r.note = note;
+      saveDB('reports/' + r.id);
+      resolved.push(r.id);
+    }
+  }
+  m.history.push({ action, hours: hours || undefined, reason: note, by, at: now, reports: resolved });
+  if (m.history.length > 100) m.history = m.history.slice(-100);
+  saveDB('users/' + userId);
+  res.json({ ok: true, moderation: m, restriction: moderationRestriction(userId), resolved });
+});
+
+// ══ PRIVACY — exportacao de dados e exclusao de conta (LGPD / GDPR, privacy/) ══
+// Exportacao: JSON com tudo que esta preso ao userId (perfil, relacoes com mensagens, encontros,
+// rosto, documentos, pagamentos, pedidos, pontos, mural...). Exclusao: apaga o que e so do usuario,
+// pseudonimiza o que a lei manda guardar (financeiro) e os rastros em registros de outras pessoas,
+// reconstroi os IDX e depois apaga os arquivos do Storage e o login do Firebase (com nova tentativa
+// de hora em hora). Fica so o registro em db.accountDeletions, ja sem o userId.
+const privacyKit = require('./privacy');
+const PRIVACY_PSEUDONYM_SECRET = requiredSecret('PRIVACY_PSEUDONYM_SECRET');
+const PRIVACY_EXPORT_COOLDOWN = 60000;
+const PRIVACY_STORAGE_ATTEMPTS = 5;
+const privacyExportAt = new Map(); // userId -> ultimo export
+const privacyFailedTargets = new Map(); // deletionId -> caminhos/uids de uma limpeza que falhou (so em memoria)
+
+function exportProfileOf(u) {
+  const { mpAccessToken, mpRefreshToken, guestTokenVersion, savedCard, ...profile } = u;
+  if (savedCard) profile.savedCard = { brand: savedCard.brand, lastFour: savedCard.lastFour };
+  return profile;
+}
+
+async function buildUserExport(userId) {
+  const u = db.users[userId];
+  const mine = (coll, ...fields) => Object.values(db[coll] || {}).filter(r => r && fields.some(f => r[f] === userId));
+  const relations = [];
+  for (const rid of IDX.relationsByUser.get(userId) || []) {
+    const r = db.relations[rid];
+    if (!r) continue;
+    await ensureMessages(rid);
+    relations.push({ ...r, messages: db.messages[rid] || [] });
+  }
+  const eventOrders = [], events = [];
+  for (const ev of Object.values(db.operatorEvents || {})) {
+    (ev.orders || []).filter(o => o.userId === userId).forEach(o => eventOrders.push({ eventId: ev.id, eventName: ev.name, ...o }));
+    if ((ev.participants || []).includes(userId)) events.push({ id: ev.id, name: ev.name, createdAt: ev.createdAt });
+  }
+  const muralPosts = [], muralComments = [];
+  for (const [channel, list] of Object.entries(db.muralPosts || {})) {
+    if (!Array.isArray(list)) continue;
+    for (const p of list) {
+      if (p.userId === userId) muralPosts.push({ channel, ...p });
+      (p.comments || []).filter(c => c.userId === userId).forEach(c => muralComments.push({ channel, postId: p.id, ...c }));
+    }
+  }
+  const fraud = db.fraudProfiles[userId];
+  return {
+    format: privacyKit.EXPORT_FORMAT,
+    version: privacyKit.EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    userId,
+    profile: exportProfileOf(u),
+    relations,
+    encounters: db.encounters[userId] || [],
+    streaks: Object.values(db.streaks || {}).filter(s => (s.users || []).includes(userId)),
+    gifts: db.gifts[userId] || [],
+    declarations: db.declarations[userId] || [],
+    likes: mine('likes', 'fromUserId', 'toUserId'),
+    revealRequests: mine('revealRequests', 'fromUserId', 'toUserId'),
+    starDonations: mine('starDonations', 'fromUserId', 'toUserId'),
+    faceData: db.faceData[userId] || null,
+    faceAccess: Array.isArray(db.faceAccessLog) ? db.faceAccessLog.filter(e => e.matchedUserId === userId) : [],
+    docVerification: db.docVerifications[userId] || null,
+    verification: db.verifications[userId] || null,
+    checkin: db.checkins[userId] || null,
+    location: (db.locations || {})[userId] || null,
+    vaConversations: db.vaConversations[userId] || {},
+    tips: mine('tips', 'payerId', 'receiverId'),
+    eventPayments: mine('eventPayments', 'payerId'),
+    subscription: db.subscriptions[userId] || null,
+    payouts: mine('payouts', 'receiverId'),
+    deliveryOrders: mine('deliveryOrders', 'customerId'),
+    eventOrders,
+    events,
+    tickets: mine('tickets', 'holderId'),
+    staffShifts: mine('staffShifts', 'userId'),
+    pointTransactions: userPointTxs(userId),
+    gameScores: db.gameScores[userId] || null,
+    muralPosts,
+    muralComments,
+    reportsFiled: mine('reports', 'reporterId').map(({ id, targetUserId, category, details, status, createdAt }) => ({ id, targetUserId, category, details, status, createdAt })),
+    moderation: u.moderation || null,
+    fraudProfile: fraud ? { ips: Object.keys(fraud.ips || {}).length, devices: Object.keys(fraud.devices || {}).length } : null,
+    storageFiles: privacyStoragePaths(userId)
+  };
+}
+
+// Arquivos do usuario no bucket: tudo que ele subiu leva o userId no caminho (perfil, documentos, selfies)
+function privacyStoragePaths(userId) {
+  const paths = new Set();
+  const collect = v => {
+    if (typeof v === 'string') {
+      const p = privacyKit.storagePathOf(v, storageBucket && storageBucket.name);
+      if (p && p.includes(userId)) paths.add(p);
+    } else if (v && typeof v === 'object') Object.values(v).forEach(collect);
+  };
+  [db.users[userId], db.docVerifications[userId], db.verifications[userId], db.faceData[userId]].forEach(collect);
+  for (const rid of IDX.relationsByUser.get(userId) || []) {
+    const sel = db.relations[rid]?.selfie?.[userId];
+    if (sel) collect(sel);
+  }
+  return [...paths];
+}
+
+// O que ainda prende a conta: eventos ativos, contestacoes abertas e saldo a receber
+function privacyUserError(userId) {
+  const owned = (IDX.operatorByCreator.get(userId) || []).map(id => db.operatorEvents[id]).filter(ev => ev && ev.active);
+  if (owned.length) return { status: 409, error: 'Encerre seus eventos ativos antes de excluir a conta: ' + owned.map(ev => ev.name).join(', ') + '.', events: owned.map(ev => ev.id) };
+  const disputes = Object.values(db.disputes || {}).filter(d => disputeKit.isDisputeOpen(d) && [d.payerId, d.receiverId, d.ownerId].includes(userId));
+  if (disputes.length) return { status: 409, error: 'Ha contestacoes de pagamento em aberto com esta conta; aguarde o resultado antes de excluir.', disputes: disputes.map(d => d.id) };
+  const payable = ledgerPayableCents(userId);
+  if (payable > 0) return { status: 409, error: 'Voce ainda tem R$ ' + fromCents(payable).toFixed(2) + ' a receber; aguarde o repasse antes de excluir a conta.', payable: fromCents(payable) };
+  return null;
+}
+
+// Assinatura recorrente sai do gateway antes da conta; se o gateway falhar a exclusao nao roda
+async function cancelSubscriptionBeforeDeletion(userId, by) {
+  const sub = db.subscriptions[userId];
+  if (!sub || !isRecurringSubscription(sub) || ['cancelled', 'expired'].includes(sub.status)) return;
+  await cancelSubscription(sub, by);
+}
+
+// Confere as travas, cancela a assinatura e exclui. Devolve { status, body } para a rota.
+async function requestAccountDeletion(userId, requestedBy) {
+  const blocked = privacyUserError(userId);
+  if (blocked) return { status: blocked.status, body: blocked };
+  try {
+    await cancelSubscriptionBeforeDeletion(userId, requestedBy);
+  } catch (e) {
+    console.error('[privacy] subscription cancel:', e.message);
+    return { status: 502, body: { error: 'Nao foi possivel cancelar a assinatura no gateway de pagamento; a conta nao foi excluida. Tente de novo em alguns minutos.' } };
+  }
+  if (!db.users[userId]) return { status: 404, body: { error: 'Usuario nao encontrado.' } };
+  const rec = deleteUserAccount(userId, requestedBy);
+  return { status: 200, body: { ok: true, deletion: deletionSummary(rec) } };
+}
+
+// Exclusao sincrona no db (nada roda no meio); Storage e Firebase Auth ficam para runPrivacyCleanup
+function deleteUserAccount(userId, requestedBy) {
+  const u = db.users[userId];
+  const pseudonym = privacyKit.pseudonymFor(userId, PRIVACY_PSEUDONYM_SECRET);
+  const removed = {};
+  const bump = (k, n = 1) => { if (n) removed[k] = (removed[k] || 0) + n; };
+  const storage = privacyStoragePaths(userId);
+  const authUids = [...new Set([u.firebaseUid, ...(u.linkedFirebaseUids || [])].filter(Boolean))];
+
+  // 1. o que e so do usuario (ou de uma conversa com ele)
+  const dirty = new Set(['users/' + userId, 'muralPosts', 'muralFlags']);
+  for (const rid of [...(IDX.relationsByUser.get(userId) || [])]) {
+    delete db.relations[rid];
+    delete db.messages[rid];
+    _msgCache.delete(rid);
+    dirty.add('relations/' + rid).add('messages/' + rid);
+    bump('relations');
+  }
+  for (const c of privacyKit.DELETE_BY_KEY) {
+    if (c !== 'users' && db[c] && db[c][userId] !== undefined) { delete db[c][userId]; dirty.add(c + '/' + userId); bump(c); }
+  }
+  for (const [c, fields] of [['likes', ['fromUserId', 'toUserId']], ['revealRequests', ['fromUserId', 'toUserId']], ['sessions', ['userA', 'userB']]]) {
+    for (const [id, r] of Object.entries(db[c] || {})) {
+      if (r && fields.some(f => r[f] === userId)) { delete db[c][id]; dirty.add(c + '/' + id); bump(c); }
+    }
+  }
+  for (const [key, s] of Object.entries(db.streaks || {})) {
+    if ((s.users || key.split('_')).includes(userId)) { delete db.streaks[key]; dirty.add('streaks/' + key); bump('streaks'); }
+  }
+  for (const [gameId, table] of Object.entries(db.gameRatings || {})) {
+    if (table && table[userId]) { delete table[userId]; dirty.add('gameRatings/' + gameId + '/' + userId); bump('gameRatings'); }
+  }
+  for (const [ch, list] of Object.entries(db.muralPosts || {})) {
+    if (!Array.isArray(list)) continue;
+    const kept = list.filter(p => p.userId !== userId);
+    bump('muralPosts', list.length - kept.length);
+    for (const p of kept) {
+      const before = (p.comments || []).length;
+      if (before) p.comments = p.comments.filter(c => c.userId !== userId);
+      bump('muralComments', before - (p.comments || []).length);
+      if (Array.isArray(p.likes)) p.likes = p.likes.filter(id => id !== userId);
+      (p.comments || []).forEach(c => { if (Array.isArray(c.likes)) c.likes = c.likes.filter(id => id !== userId); });
+    }
+    db.muralPosts[ch] = kept;
+  }
+  for (const [key, list] of Object.entries(db.muralFlags || {})) {
+    if (Array.isArray(list)) db.muralFlags[key] = list.filter(f => f.userId !== userId);
+  }
+  for (const c of ['operatorEvents', 'events']) {
+    for (const [id, ev] of Object.entries(db[c] || {})) {
+      if ((ev.participants || []).includes(userId)) { ev.participants = ev.participants.filter(p => p !== userId); dirty.add(c + '/' + id); }
+    }
+  }
+  for (const [id, rq] of connectionRequests) if (rq.fromId === userId || rq.toId === userId) connectionRequests.delete(id);
+  for (const [id, q] of Object.entries(sonicQueue)) if (q.userId === userId) delete sonicQueue[id];
+  for (const [id, other] of Object.entries(db.users)) {
+    let touched = false;
+    for (const f of ['likedBy', 'revealedTo']) {
+      if (Array.isArray(other[f]) && other[f].includes(userId)) { other[f] = other[f].filter(x => x !== userId); touched = true; }
+    }
+    for (const f of ['canSee', 'blocked', 'muted']) {
+      if (other[f] && other[f][userId] !== undefined) { delete other[f][userId]; touched = true; }
+    }
+    if (touched) dirty.add('users/' + id);
+  }
+  delete db.users[userId];
+
+  // 2. o que fica (financeiro, trilhas, registros de outras pessoas) perde o userId e os dados pessoais
+  const pseudonymized = {};
+  for (const c of DB_COLLECTIONS) {
+    const coll = db[c];
+    if (c === 'messages' || !coll || typeof coll !== 'object') continue;
+    if (Array.isArray(coll)) {
+      const n = privacyKit.replaceUserRefs(coll, userId, pseudonym);
+      if (n) { pseudonymized[c] = n; dirty.add(c); }
+      continue;
+    }
+    for (let key of Object.keys(coll)) {
+      let n = 0;
+      if (key.includes(userId)) {
+        const renamed = key.split(userId).join(pseudonym);
+        coll[renamed] = coll[key];
+        delete coll[key];
+        dirty.add(c + '/' + key);
+        key = renamed;
+        n++;
+      }
+      n += privacyKit.replaceUserRefs(coll[key], userId, pseudonym);
+      if (n) { pseudonymized[c] = (pseudonymized[c] || 0) + n; dirty.add(c + '/' + key); }
+    }
+  }
+  saveDB(...dirty);
+
+  // 3. indices
+  rebuildIndexes();
+  IDX.uniqueConns.clear();
+  bumpFaceIndexes();
+  io.to('user:' + userId).emit('account-deleted', {});
+  io.in('user:' + userId).disconnectSockets(true);
+
+  const now = Date.now();
+  const rec = {
+    id: uuidv4(), pseudonym, requestedBy, createdAt: now, removed, pseudonymized,
+    storage: { pending: storage, prefixes: ['photos/profile/' + userId + '_', 'docs/' + userId + '_'], deleted: 0 },
+    authPending: authUids, attempts: 0, status: 'pending'
+  };
+  db.accountDeletions[rec.id] = rec;
+  saveDB('accountDeletions/' + rec.id);
+  console.log('[privacy] account deleted ->', pseudonym, JSON.stringify(removed));
+  runPrivacyCleanup(rec).catch(e => console.error('[privacy] cleanup:', e.message));
+  return rec;
+}
+
+// Storage + Firebase Auth. O que falhar fica em pending e volta na varredura de hora em hora;
+// ao terminar ou desistir o registro perde caminhos e uids (que ainda carregam o userId).
+async function runPrivacyCleanup(rec) {
+  rec.attempts++;
+  for (const p of [...rec.storage.pending]) {
+    try {
+      await withTimeout(storageBucket.file(p).delete({ ignoreNotFound: true }), 15000, 'storage delete');
+      rec.storage.pending = rec.storage.pending.filter(x => x !== p);
+      rec.storage.deleted++;
+    } catch (e) { rec.lastError = 'storage: ' + e.message; }
+  }
+  for (const prefix of [...rec.storage.prefixes]) {
+    try {
+      await withTimeout(storageBucket.deleteFiles({ prefix, force: true }), 30000, 'storage deleteFiles');
+      rec.storage.prefixes = rec.storage.prefixes.filter(x => x !== prefix);
+    } catch (e) { rec.lastError = 'storage: ' + e.message; }
+  }
+  for (const uid of [...rec.authPending]) {
+    try {
+      await withTimeout(firebaseAuth.deleteUser(uid), 15000, 'auth deleteUser');
+      rec.authPending = rec.authPending.filter(x => x !== uid);
+    } catch (e) {
+      if (e.code === 'auth/user-not-found') rec.authPending = rec.authPending.filter(x => x !== uid);
+      else rec.lastError = 'auth: ' + e.message;
+    }
+  }
+  const done = !rec.storage.pending.length && !rec.storage.prefixes.length && !rec.authPending.length;
+  if (done) {
+    Object.assign(rec, { status: 'completed', completedAt: Date.now(), lastError: null });
+  } else if (rec.attempts >= PRIVACY_STORAGE_ATTEMPTS) {
+    privacyFailedTargets.set(rec.id, privacyKit.scrubFailedCleanup(rec));
+    console.error('[privacy] cleanup failed for', rec.pseudonym, rec.lastError);
+  }
+  saveDB('accountDeletions/' + rec.id);
+}
+
+setInterval(() => {
+  for (const rec of Object.values(db.accountDeletions || {})) {
+    if (rec.status === 'pending') runPrivacyCleanup(rec).catch(e => console.error('[privacy] cleanup:', e.message));
+  }
+}, 3600000);
+
+function deletionSummary(rec) {
+  const { id, pseudonym, requestedBy, createdAt, completedAt, status, removed, pseudonymized, attempts, lastError } = rec;
+  return {
+    id, pseudonym, requestedBy, createdAt, completedAt: completedAt || null, status, removed, pseudonymized, attempts, lastError: lastError || null,
+    storage: { deleted: rec.storage.deleted, pending: rec.storage.pending.length + rec.storage.prefixes.length + (rec.storage.failed || 0) },
+    authPending: rec.authPending.length + (rec.authFailed || 0),
+    retryable: rec.status === 'pending' || privacyFailedTargets.has(rec.id)
+  };
+}
+
+// Exportar e excluir exigem login de verdade (Firebase, guest token ou admin), nao o fallback legado
+function requireStrongAuth(req, res) {
+  if (req._authMethod !== 'legacy-fallback') return true;
+  res.status(401).json({ error: 'Entre na sua conta novamente para continuar.' });
+  return false;
+}
+
+app.get('/api/privacy/export/:userId', requireAuth, async (req, res) => {
+  if (!requireStrongAuth(req, res)) return;
+  const userId = req.authUserId;
+  if (!db.users[userId]) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  const last = privacyExportAt.get(userId) || 0;
+  if (Date.now() - last < PRIVACY_EXPORT_COOLDOWN) return res.status(429).json({ error: 'Aguarde um minuto para exportar de novo.' });
+  privacyExportAt.set(userId, Date.now());
+  try {
+    const data = await buildUserExport(userId);
+    res.setHeader('Content-Disposition', `attachment; filename="touch-dados-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json(data);
+  } catch (e) {
+    console.error('[privacy] export:', e.message);
+    res.status(500).json({ error: 'Falha ao montar a exportacao.' });
+  }
+});
+
+app.post('/api/privacy/delete', requireAuth, async (req, res) => {
+  if (!requireStrongAuth(req, res)) return;
+  const userId = req.authUserId;
+  const u = db.users[userId];
+  if (!u || u.mergedInto) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  const confirm = String(req.body.confirm || '').trim().toLowerCase();
+  if (!confirm || confirm !== String(u.nickname || '').toLowerCase()) return res.status(400).json({ error: 'Digite seu nickname para confirmar a exclusao.' });
+  const out = await requestAccountDeletion(userId, 'self');
+  res.status(out.status).json(out.body);
+});
+
+app.get('/api/privacy/deletions/:id', (req, res) => {
+  const rec = db.accountDeletions[req.params.id];
+  if (!rec) return res.status(404).json({ error: 'Exclusao nao encontrada.' });
+  res.json({ id: rec.id, status: rec.status, createdAt: rec.createdAt, completedAt: rec.completedAt || null });
+});
+
+app.get('/api/admin/privacy/users/:userId/export', adminLimiter, requireAdmin, async (req, res) => {
+  if (!db.users[req.params.userId]) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  res.json(await buildUserExport(req.params.userId));
+});
+
+app.post('/api/admin/privacy/users/:userId/delete', adminLimiter, requireAdmin, async (req, res) => {
+  const userId = req.params.userId;
+  if (!db.users[userId]) return res.status(404).json({ error: 'Usuario nao encontrado.' });
+  const out = await requestAccountDeletion(userId, 'admin:' + (req.adminUserId || 'admin'));
+  res.status(out.status).json(out.body);
+});
+
+app.get('/api/admin/privacy/deletions', adminLimiter, requireAdmin, (req, res) => {
+  const list = Object.values(db.accountDeletions || {}).sort((a, b) => b.createdAt - a.createdAt).slice(0, 200);
+  res.json({ deletions: list.map(deletionSummary) });
+});
+
+app.post('/api/admin/privacy/deletions/:id/retry', adminLimiter, requireAdmin, async (req, res) => {
+  const rec = db.accountDeletions[req.params.id];
+  if (!rec) return res.status(404).json({ error: 'Exclusao nao encontrada.' });
+  if (rec.status === 'completed') return res.status(409).json({ error: 'Exclusao ja concluida.' });
+  if (rec.status === 'failed') {
+    const targets = privacyFailedTargets.get(rec.id);
+    if (!targets) return res.status(409).json({ error: 'Os arquivos e logins pendentes nao ficam salvos depois da falha e o servidor reiniciou; apague pelo console do Firebase.' });
+    privacyFailedTargets.delete(rec.id);
+    rec.storage = { pending: targets.pending, prefixes: targets.prefixes, deleted: rec.storage.deleted };
+    rec.authPending = targets.authPending;
+    delete rec.authFailed;
+  }
+  rec.status = 'pending';
+  rec.attempts = 0;
+  await runPrivacyCleanup(rec);
+  res.json({ ok: true, deletion: deletionSummary(rec) });
+});
+
 // ── LOCATION & EVENTS ──
 
 // Haversine distance in meters
@@ -7646,6 +9439,7 @@ app.get('/api/nearby/:userId', (req, res) => {
   for (const [uid, loc] of Object.entries(db.checkins)) {
     if (uid === userId) continue;
     if (now - loc.updatedAt > 900000) continue; // 15min stale
+    if (hidesContent(userId, uid) || moderationRestriction(uid)?.type === 'ban') continue;
     const dist = haversine(myLoc.lat, myLoc.lng, loc.lat, loc.lng);
     if (dist <= radius) {
       const u = db.users[uid];
@@ -7669,6 +9463,8 @@ app.post('/api/connection-request/send', (req, res) => {
   const toUser = db.users[toId];
   if (!fromUser) return res.status(400).json({ error: 'Usuario remetente invalido.' });
   if (!toUser) return res.status(400).json({ error: 'Usuario destinatario invalido.' });
+  const blocked = contactBlockReason(fromId, toId);
+  if (blocked) return res.status(403).json({ error: blocked });
 
   // Check if there is already a pending request between these two
   for (const [rid, rq] of connectionRequests) {
@@ -7715,7 +9511,8 @@ app.post('/api/connection-request/send', (req, res) => {
   }, 120000);
 
   // Send socket event to the target user
-  io.to('user:' + toId).emit('connection-request-incoming', {
+  // Silenciado: o pedido existe (expira sozinho) mas nao chega
+  if (!hidesContent(toId, fromId)) io.to('user:' + toId).emit('connection-request-incoming', {
     requestId,
     fromId,
     fromNick: request.fromNick,
@@ -7738,6 +9535,10 @@ app.post('/api/connection-request/respond', (req, res) => {
   if (!rq) return res.status(404).json({ error: 'Pedido nao encontrado ou expirado.' });
   if (rq.toId !== userId) return res.status(403).json({ error: 'Voce nao pode responder a este pedido.' });
   if (rq.status !== 'pending') return res.status(400).json({ error: 'Este pedido ja foi respondido.' });
+  if (action !== 'reject') {
+    const blocked = contactBlockReason(userId, rq.fromId);
+    if (blocked) return res.status(403).json({ error: blocked });
+  }
 
   if (action === 'reject') {
     rq.status = 'rejected';
@@ -7929,13 +9730,13 @@ async function checkin(){
   var btn=document.querySelector('button');
   btn.disabled=true;btn.textContent='Entrando...';
   try{
-    var r=await fetch('/api/event/quick-checkin',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({eventId:'${eventId}',nickname:nick})});
+    var r=await fetch('/api/event/quick-checkin',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({eventId:'${eventId}',nickname:nick,deviceId:localStorage.getItem('touch_device_id')||undefined,guestToken:localStorage.getItem('touch_guestToken')||undefined,guestId:localStorage.getItem('touch_isGuest')==='true'?localStorage.getItem('touch_userId'):undefined})});
     var d=await r.json();
     if(d.error){btn.disabled=false;btn.textContent='Fazer check-in';return alert(d.error)}
     localStorage.setItem('touch_userId',d.userId);
-    localStorage.setItem('touch_userName',nick);
+    localStorage.setItem('touch_userName',d.nickname||nick);
     localStorage.setItem('touch_userColor',d.userColor||'');
-    localStorage.setItem('touch_isGuest','true');
+    if(d.guestToken){localStorage.setItem('touch_guestToken',d.guestToken);localStorage.setItem('touch_isGuest','true')}
     localStorage.setItem('activeEventId','${eventId}');
     localStorage.setItem('activeEventName','${eventName.replace(/'/g, "\\'")}');
     localStorage.setItem('activeEventRole','visitor');
@@ -7980,16 +9781,9 @@ app.post('/api/event/quick-checkin', (req, res) => {
   const nick = nickname.trim();
   if (nick.length < 2 || nick.length > 20) return res.status(400).json({ error: 'Nickname: 2 a 20 caracteres.' });
 
-  // Find or create user
-  const existingId = IDX.nickname.get(nick.toLowerCase());
-  let user = existingId ? db.users[existingId] : null;
-  if (!user) {
-    const id = uuidv4();
-    const color = nickColor(nick);
-    user = { id, nickname: nick, name: nick, birthdate: null, avatar: null, color, createdAt: Date.now(), points: 0, pointLog: [], stars: [], isGuest: true };
-    db.users[id] = user;
-    idxAddUser(user);
-  }
+  // Conta do guest token / Firebase; nickname de outra pessoa vira convidado novo
+  const user = resolveGuestVisitor(req, nick);
+  const guestToken = user.isGuest ? issueGuestToken(user) : undefined;
 
   // Add to event participants
   if (!Array.isArray(ev.participants)) ev.participants = [];
@@ -8012,7 +9806,7 @@ app.post('/api/event/quick-checkin', (req, res) => {
   let relationId = uuidv4();
   let existingRel = null;
 
-  if (creatorId && db.users[creatorId]) {
+  if (creatorId && db.users[creatorId] && !isBlockedBetween(creatorId, user.id)) {
     const ownerLang = getUserLang(creatorId);
     phrase = smartPhrase(creatorId, user.id, ownerLang);
     existingRel = findActiveRelation(creatorId, user.id);
@@ -8021,15 +9815,15 @@ app.post('/api/event/quick-checkin', (req, res) => {
       idxAddRelation(relationId, creatorId, user.id);
       db.messages[relationId] = [];
     }
-  } else {
+  } else if (!creatorId || !db.users[creatorId]) {
     console.warn('[quick-checkin] no creatorId for event:', eventId, '- skipping relation creation');
     phrase = 'Bem-vindo ao evento!';
   }
 
-  if (creatorId && db.users[creatorId]) {
-    recordEncounter(user.id, creatorId, phrase, 'checkin');
+  if (creatorId && db.users[creatorId] && !isBlockedBetween(creatorId, user.id)) {
+    recordEncounter(user.id, creatorId, phrase, 'checkin', null, 'checkin');
   }
-  awardPoints(user.id, null, 'checkin');
+  awardPoints(user.id, null, 'checkin', null, { eventId });
   saveDB('users', 'events', 'operatorEvents', 'relations', 'messages', 'encounters');
 
   // Notify event canvas via socket
@@ -8053,7 +9847,7 @@ app.post('/api/event/quick-checkin', (req, res) => {
     wifiData = { ssid: opEv.wifi.ssid, password: opEv.wifi.password };
   }
 
-  res.json({ ok: true, userId: user.id, userColor: user.color, eventName: ev.name, relationId: existingRel ? existingRel.id : relationId, wifi: wifiData });
+  res.json({ ok: true, userId: user.id, nickname: user.nickname, userColor: user.color, guestToken, eventName: ev.name, relationId: existingRel ? existingRel.id : relationId, wifi: wifiData });
   } catch (e) {
     console.error('[quick-checkin] 500:', e.message, e.stack);
     res.status(500).json({ error: 'Erro interno no check-in: ' + e.message });
@@ -8183,10 +9977,12 @@ app.post('/api/event/encosta-request', (req, res) => {
   } else {
     return res.status(400).json({ error: 'Informe targetId ou targetNickname.' });
   }
+  const blocked = contactBlockReason(userId, targetId);
+  if (blocked) return res.status(403).json({ error: blocked });
   const user = db.users[userId];
   const reqId = uuidv4();
   // Send request via socket to target
-  io.to(`user:${targetId}`).emit('encosta-request', {
+  if (!hidesContent(targetId, userId)) io.to(`user:${targetId}`).emit('encosta-request', {
     requestId: reqId, eventId, eventName: ev.name,
     from: { id: userId, name: user.nickname || user.name, color: user.color, profilePhoto: user.profilePhoto || null, photoURL: user.photoURL || null }
   });
@@ -8203,6 +9999,8 @@ app.post('/api/event/encosta-accept', (req, res) => {
   // Create digital relation (1h duration)
   const userA = db.users[fromUserId], userB = db.users[userId];
   if (!userA || !userB) return res.status(400).json({ error: 'Usuário inválido.' });
+  const blocked = contactBlockReason(userId, fromUserId);
+  if (blocked) return res.status(403).json({ error: blocked });
   const ev = db.events[eventId];
   const now = Date.now();
   const DIGITAL_DURATION = 3600000; // 1 hour
@@ -8225,7 +10023,7 @@ app.post('/api/event/encosta-accept', (req, res) => {
   // Find last encounter between these two
   const myEncounters = db.encounters[userId] || [];
   const lastEnc = myEncounters.filter(e => e.with === fromUserId).sort((a,b) => b.timestamp - a.timestamp)[0];
-  recordEncounter(fromUserId, userId, phrase, 'digital');
+  recordEncounter(fromUserId, userId, phrase, 'digital', null, 'digital');
   saveDB('users', 'relations', 'messages', 'encounters');
   const digPairAll = myEncounters.filter(e => e.with === fromUserId);
   const digPairEnc = digPairAll.length;
@@ -8250,6 +10048,8 @@ app.post('/api/request-contact', (req, res) => {
   const rel = db.relations[relationId];
   if (!rel || Date.now() > rel.expiresAt) return res.status(400).json({ error: 'Relacao expirada.' });
   if (!CONTACT_TYPES.includes(contactType)) return res.status(400).json({ error: 'Tipo invalido.' });
+  const blocked = relationPartnerBlocked(rel, fromUserId);
+  if (blocked) return res.status(403).json({ error: blocked });
   const partnerId = rel.userA === fromUserId ? rel.userB : rel.userA;
   const user = db.users[fromUserId];
   const reqId = uuidv4();
@@ -8421,6 +10221,11 @@ function createSonicConnection(userIdA, userIdB) {
   // Service touch: only when the sonic entry explicitly has isServiceTouch flag
   // (user actively broadcasting in service mode), NOT just because profile has serviceModeActive
   const isServiceTouch = !!(entryA && entryA.isServiceTouch) || !!(entryB && entryB.isServiceTouch);
+  if (!isCheckin && (contactBlockReason(userIdA, userIdB) || contactBlockReason(userIdB, userIdA))) {
+    console.log('[createSonicConnection] ABORT — blocked or restricted pair');
+    [userIdA, userIdB].forEach(uid => io.to('user:' + uid).emit('sonic-no-match', { reason: 'unavailable' }));
+    return;
+  }
   console.log('[createSonicConnection] entryA:', entryA ? {userId:entryA.userId?.slice(0,8),isCheckin:entryA.isCheckin,freq:entryA.freq} : 'NONE', 'entryB:', entryB ? {userId:entryB.userId?.slice(0,8),isCheckin:entryB.isCheckin,freq:entryB.freq} : 'NONE', 'isCheckin:', isCheckin, 'isServiceTouch:', isServiceTouch);
   const operatorId = isCheckin ? (entryA && entryA.isCheckin ? userIdA : userIdB) : null;
   const operatorEntry = operatorId ? (operatorId === userIdA ? entryA : entryB) : null;
@@ -8464,24 +10269,7 @@ function createSonicConnection(userIdA, userIdB) {
     if (ev && staffUser) {
       // Special handling for barber role: add to barber module team
       if (staffRole === 'barber') {
-        const barber = ensureBarber(ev);
-        // Remove existing entry for this user
-        barber.barbers = barber.barbers.filter(b => b.userId !== staffUserId);
-        const bbMember = {
-          id: 'bb_' + Date.now() + '_' + Math.random().toString(36).substr(2, 4),
-          userId: staffUserId,
-          name: staffUser.realName || staffUser.nickname || staffUser.name || 'Barbeiro',
-          type: 'linked',
-          services: [
-            { id: 'bsvc_' + Date.now() + '_c', name: 'Corte', price: 35, duration: 30, createdAt: Date.now() },
-            { id: 'bsvc_' + Date.now() + '_b', name: 'Barba', price: 25, duration: 20, createdAt: Date.now() },
-            { id: 'bsvc_' + Date.now() + '_cb', name: 'Corte + Barba', price: 50, duration: 45, createdAt: Date.now() }
-          ],
-          slots: [],
-          status: 'active',
-          createdAt: Date.now()
-        };
-        barber.barbers.push(bbMember);
+        const bbMember = linkBarberMember(ev, staffUserId);
         saveDB('operatorEvents');
         io.to(`user:${ev.operatorId}`).emit('barber-team-joined', { eventId, barber: bbMember });
         io.to(`user:${staffUserId}`).emit('staff-connected', {
@@ -8510,10 +10298,7 @@ function createSonicConnection(userIdA, userIdB) {
       // Notify operator
       io.to(`user:${ev.operatorId}`).emit('staff-joined', { eventId, staff: staffMember });
       // Notify staff member with their dashboard info
-      io.to(`user:${staffUserId}`).emit('staff-connected', {
-        eventId, eventName: ev.name, staffId, role: staffRole,
-        tables: [], menu: ev.menu || []
-      });
+      io.to(`user:${staffUserId}`).emit('staff-connected', staffConnectedPayload(ev, staffMember));
       // Remove from sonic queue
       sonicQueueDel(staffUserId);
       if (sonicQueue['evt:' + eventId]) sonicQueue['evt:' + eventId].joinedAt = Date.now();
@@ -8527,7 +10312,8 @@ function createSonicConnection(userIdA, userIdB) {
   if (pendingRole && isCheckin && eventId && visitorId && !isServiceTouch) {
     console.log('[createSonicConnection] pendingStaffRole=' + pendingRole + ' but visitor NOT in service mode — treating as normal checkin');
     // Emit hint to visitor that they should enable service mode
-    io.to('user:' + visitorId).emit('staff-hint', { message: 'Ative o Modo Servico para conectar como ' + (pendingRole === 'driver' ? 'motorista' : 'garcom') });
+    const pendingDef = eventRoleCatalog(db.operatorEvents[eventId])[pendingRole];
+    io.to('user:' + visitorId).emit('staff-hint', { message: 'Ative o Modo Servico para conectar como ' + (pendingDef ? pendingDef.label.toLowerCase() : 'equipe') });
   }
 
   const relPartnerA = isCheckin && eventId ? visitorId : userIdA;
@@ -8556,7 +10342,7 @@ function createSonicConnection(userIdA, userIdB) {
     db.encounters[visitorId].push({ with: 'evt:' + eventId, withName: evName, withColor: '#60a5fa', phrase, timestamp: now, date: new Date(now).toISOString().slice(0,10), type: 'checkin', points: 1, chatDurationH: 24, relationId, isEvent: true });
     if (db.encounters[visitorId].length > 1000) db.encounters[visitorId] = db.encounters[visitorId].slice(-1000);
     // Award points to visitor only
-    awardPoints(visitorId, null, 'checkin');
+    awardPoints(visitorId, null, 'checkin', null, { eventId });
   }
   // ── SAME-EVENT DETECTION: check if both users are in the same active event ──
   let sharedEventId = null, sharedEventName = null;
@@ -8569,7 +10355,7 @@ function createSonicConnection(userIdA, userIdB) {
       }
     }
     const encType = sharedEventId ? 'event_match' : encounterType;
-    recordEncounter(userIdA, userIdB, sharedEventId ? ('Encontro no evento: ' + sharedEventName) : phrase, encType, relationId);
+    recordEncounter(userIdA, userIdB, sharedEventId ? ('Encontro no evento: ' + sharedEventName) : phrase, encType, relationId, 'sonic');
     // Tag the relation with the shared event
     if (sharedEventId && db.relations[relationId]) {
       db.relations[relationId].eventId = sharedEventId;
@@ -9132,7 +10918,7 @@ app.get('/api/admin/dashboard-stats', adminLimiter, requireAdmin, (req, res) =>
     let subsActive = 0;
     for (const uid of Object.keys(db.subscriptions || {})) {
       const s = db.subscriptions[uid];
-      if (s && (s.status === 'authorized' || s.status === 'active')) subsActive++;
+      if (s && subscriptionKit.isActiveState(s.status)) subsActive++;
     }
     // Aggregate event payments (entries)
     let entryPaymentsTotal = 0, entryPaymentsCount = 0;
@@ -9232,7 +11018,7 @@ app.post('/api/admin/pricing', adminLimiter, requireAdmin, async (req, res) => {
     }
     const validRegions = Object.keys(PRICING_DEFAULTS);
     const validFields = [
-      'plusMonthly', 'seloMonthly', 'tipMin', 'tipMax', 'verifiedBadge',
+      'plusMonthly', 'seloMonthly', 'plusTrialDays', 'seloTrialDays', 'tipMin', 'tipMax', 'verifiedBadge',
       'parkingHourly', 'gymMonthly', 'starPrice'
     ];
     const validArrayFields = ['tipSuggestions'];
@@ -9271,6 +11057,7 @@ app.post('/api/admin/pricing', adminLimiter, requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Nenhum campo valido para atualizar.' });
     }
     await savePricingToDB();
+    syncPlanVersions();
     console.log('[admin] Pricing updated:', updated.join(', '));
     res.json({ ok: true, updated, pricing: PRICING });
   } catch (e) {
@@ -9292,6 +11079,7 @@ app.post('/api/admin/pricing/reset', adminLimiter, requireAdmin, async (req, res
       });
     }
     await savePricingToDB();
+    syncPlanVersions();
     console.log('[admin] Pricing reset to defaults' + (region ? ' for ' + region : ''));
     res.json({ ok: true, pricing: PRICING });
   } catch (e) {
@@ -9299,59 +11087,319 @@ app.post('/api/admin/pricing/reset', adminLimiter, requireAdmin, async (req, res
   }
 });
 
-app.get('/api/admin/financial', adminLimiter, requireAdmin, (req, res) => {
-  try {
-    // ── TIPS (gorjetas) ──
-    const allTips = Object.values(db.tips || {});
-    const approvedTips = allTips.filter(t => t.status === 'approved');
-    const pendingTips = allTips.filter(t => t.status === 'pending' || t.status === 'in_process');
-    const tipsTotal = approvedTips.reduce((s, t) => s + (t.amount || 0), 0);
-    const tipsFee = approvedTips.reduce((s, t) => s + (t.fee || 0), 0);
-    const tipsNet = tipsTotal - tipsFee;
+// ═══ LEDGER — partidas dobradas, fonte unica dos saldos ═══
+// Todo dinheiro que passa pela plataforma vira um lancamento balanceado em db.ledger[txnId]:
+//   { id, kind, sourceType, sourceId, category, payerId?, beneficiaryId?, eventId?, currency,
+//     amount, fee, net, createdAt, entries: [{ account, amount, owner? }] }
+// Valores em centavos; debito > 0, credito < 0 e a soma das entries e sempre 0.
+// Contas:
+//   cash:<gateway>          dinheiro com a plataforma (mercadopago, stripe, internal, bank)
+//   platform:fees           taxa da plataforma     platform:subscriptions  assinaturas
+//   provider:<userId>       devido a um prestador (gorjetas, presentes, repasses)
+//   event:<eventId>         devido ao dono do evento (entradas, pedidos, estacionamento, site)
+//   offline:<eventId> / donations:<eventId>  dizimos e ofertas pagos direto a igreja
+//   hold:<disputeId>        liquido retido enquanto a disputa esta aberta (sem dono, fora do saldo)
+// Saldo a repassar de um usuario = provider:<id> + event:<id> dos eventos dele (IDX.ledgerOwned).
+// Kinds: capture (pagamento aprovado), transfer (split direto para conta conectada), refund,
+// chargeback, payout (repasse manual), tithe e hold / release (disputa aberta / encerrada).
+// Append-only e idempotente: o id sai da origem (pay:<id>:capture, pay:<id>:refund:<acumulado>...),
+// entao syncPaymentLedger() pode rodar de novo sobre o mesmo pagamento sem duplicar nada.
+// No boot, backfillLedger() lanca o historico que ainda nao estiver no ledger.
+const LEDGER_CAPTURED = ['approved', 'authorized', 'completed', 'succeeded', 'paid', 'refunded', 'partially_refunded', 'charged_back'];
+const LEDGER_REVERSALS = ['refund', 'chargeback'];
+
+function toCents(v) {
+  return Math.round((parseFloat(v) || 0) * 100);
+}
 
-    // ── EVENT ENTRY PAYMENTS (ingressos) ──
-    const allEntries = Object.values(db.eventPayments || {});
-    const approvedEntries = allEntries.filter(t => t.status === 'approved');
-    const entriesTotal = approvedEntries.reduce((s, t) => s + (t.amount || 0), 0);
-    const entriesFee = approvedEntries.reduce((s, t) => s + (t.fee || 0), 0);
+function fromCents(c) {
+  return Math.round(c) / 100;
+}
 
-    // ── SUBSCRIPTIONS ──
-    let subsActive = 0, subsTotal = 0, subsRevenue = 0;
-    for (const uid of Object.keys(db.subscriptions || {})) {
-      const s = db.subscriptions[uid]; if (!s) continue;
-      subsTotal++;
-      if (s.status === 'authorized' || s.status === 'active') {
-        subsActive++;
-        subsRevenue += (s.amount || 0);
-      }
+function indexLedgerTxn(txn) {
+  for (const e of txn.entries || []) {
+    IDX.ledgerBalance.set(e.account, (IDX.ledgerBalance.get(e.account) || 0) + e.amount);
+    if (e.owner) {
+      if (!IDX.ledgerOwned.has(e.owner)) IDX.ledgerOwned.set(e.owner, new Set());
+      IDX.ledgerOwned.get(e.owner).add(e.account);
     }
+  }
+  [txn.payerId, txn.beneficiaryId].filter(Boolean).forEach(uid => {
+    if (!IDX.ledgerByUser.has(uid)) IDX.ledgerByUser.set(uid, []);
+    const list = IDX.ledgerByUser.get(uid);
+    if (!list.includes(txn.id)) list.push(txn.id);
+  });
+  if (txn.sourceId) {
+    if (!IDX.ledgerBySource.has(txn.sourceId)) IDX.ledgerBySource.set(txn.sourceId, []);
+    IDX.ledgerBySource.get(txn.sourceId).push(txn.id);
+  }
+}
 
-    // ── TRANSFER STATUS ──
-    // Tips where receiver has Stripe/MP connected = direct transfer (auto split)
-    // Tips where receiver has NO connection = retained in Touch? account
-    let transferredDirect = 0, retainedInTouch = 0;
-    approvedTips.forEach(t => {
-      const receiver = db.users[t.receiverId];
-      if (receiver && (receiver.mpConnected || receiver.stripeConnected)) {
-        transferredDirect += (t.amount || 0) - (t.fee || 0);
-      } else {
-        retainedInTouch += (t.amount || 0);
-      }
-    });
-    // Entry payments: check event's payment account or operator's connection
-    approvedEntries.forEach(ep => {
-      const ev = db.operatorEvents[ep.eventId];
-      const operator = ep.receiverId ? db.users[ep.receiverId] : null;
-      if (ev && ev.paymentStripeConnected) {
-        transferredDirect += (ep.amount || 0) - (ep.fee || 0);
-      } else if (operator && (operator.mpConnected || operator.stripeConnected)) {
-        transferredDirect += (ep.amount || 0) - (ep.fee || 0);
-      } else {
-        retainedInTouch += (ep.amount || 0);
-      }
-    });
+function rebuildLedgerIndex() {
+  IDX.ledgerBalance.clear(); IDX.ledgerOwned.clear(); IDX.ledgerByUser.clear(); IDX.ledgerBySource.clear();
+  Object.values(db.ledger || {}).forEach(indexLedgerTxn);
+}
 
-    // ── EVENTS SUMMARY ──
+// Appends one balanced transaction. Returns null when the id was already posted.
+function ledgerPost(txn) {
+  if (db.ledger[txn.id]) return null;
+  txn.entries = txn.entries.filter(e => e.amount !== 0);
+  const sum = txn.entries.reduce((s, e) => s + e.amount, 0);
+  if (sum !== 0) throw new Error('Lancamento desbalanceado: ' + txn.id + ' (' + sum + ')');
+  db.ledger[txn.id] = txn;
+  indexLedgerTxn(txn);
+  saveDB('ledger/' + txn.id);
+  return txn;
+}
+
+function ledgerBalanceOf(account) {
+  return IDX.ledgerBalance.get(account) || 0;
+}
+
+// What the platform still owes the user (liabilities carry a credit balance), in cents
+function ledgerPayableCents(userId) {
+  let total = 0;
+  for (const account of IDX.ledgerOwned.get(userId) || []) total -= ledgerBalanceOf(account);
+  return total;
+}
+
+function ledgerUserTxns(userId) {
+  return (IDX.ledgerByUser.get(userId) || []).map(id => db.ledger[id]).filter(Boolean);
+}
+
+function ledgerGateway(rec) {
+  const m = String(rec.method || rec.paymentMethod || rec.paymentSource || '').toLowerCase();
+  if (rec.stripePaymentIntentId || m.includes('stripe') || m.startsWith('site-')) return 'stripe';
+  if (rec.mpPaymentId || m.includes('mercadopago') || m.includes('pix')) return 'mercadopago';
+  return 'internal';
+}
+
+// Liability account credited by a payment (and who it belongs to)
+function ledgerPayee(rec) {
+  if (rec.type === 'subscription') return { account: 'platform:subscriptions' };
+  const ev = rec.eventId && db.operatorEvents[rec.eventId];
+  if (ev) return { account: 'event:' + ev.id, owner: ev.creatorId || null, eventId: ev.id };
+  const receiverId = rec.receiverId || rec.operatorId;
+  if (receiverId && receiverId !== 'platform') return { account: 'provider:' + receiverId, owner: receiverId };
+  return { account: 'platform:fees' };
+}
+
+// Split payments land straight in the receiver's Stripe / MP account
+function ledgerIsDirect(payee) {
+  if (!payee.owner) return false;
+  const ev = payee.eventId && db.operatorEvents[payee.eventId];
+  const user = db.users[payee.owner];
+  return !!((ev && ev.paymentStripeConnected) || (user && (user.mpConnected || user.stripeConnected)));
+}
+
+function ledgerEntry(account, amount, owner) {
+  return owner ? { account, amount, owner } : { account, amount };
+}
+
+// Posts whatever a payment record implies and is not in the ledger yet:
+// capture (+ transfer when split), refunds up to refundAmount, chargeback.
+// tips and eventPayments share the id of an entry payment -- both are read as one payment.
+function syncPaymentLedger(rec) {
+  if (!rec || !rec.id) return;
+  const id = rec.id;
+  const recs = [db.eventPayments[id], db.sitePayments[id], db.tips[id]].filter(Boolean);
+  if (!recs.includes(rec)) recs.push(rec);
+  const base = recs[0];
+  if (!recs.some(r => LEDGER_CAPTURED.includes(r.status) || r.refunded)) return;
+  const amount = toCents(base.amount);
+  if (!(amount > 0)) return;
+  const sourceType = db.eventPayments[id] ? 'eventPayment' : db.sitePayments[id] ? 'sitePayment' : 'tip';
+  const payee = ledgerPayee(base);
+  const gateway = 'cash:' + ledgerGateway(base);
+  // No one to pay out (subscriptions, orphan payments): everything is platform revenue
+  const platformOnly = payee.account.startsWith('platform:');
+  const revenue = platformOnly ? payee.account : 'platform:fees';
+  const fee = platformOnly ? amount : Math.min(amount, toCents(base.fee != null ? base.fee : base.touchFeeAmount));
+  const net = amount - fee;
+  const common = {
+    sourceType, sourceId: id, category: base.type || { eventPayment: 'entry', sitePayment: 'site', tip: 'tip' }[sourceType],
+    currency: String(base.currency || 'brl').toLowerCase()
+  };
+  if (base.payerId) common.payerId = base.payerId;
+  if (payee.owner) common.beneficiaryId = payee.owner;
+  if (payee.eventId) common.eventId = payee.eventId;
+
+  const captureId = 'pay:' + id + ':capture';
+  if (!db.ledger[captureId]) {
+    ledgerPost({
+      id: captureId, kind: 'capture', ...common, amount, fee, net, createdAt: base.createdAt || Date.now(),
+      entries: [ledgerEntry(gateway, amount), ledgerEntry(revenue, -fee), ledgerEntry(payee.account, -net, payee.owner)]
+    });
+    if (net > 0 && ledgerIsDirect(payee)) {
+      ledgerPost({
+        id: 'pay:' + id + ':transfer', kind: 'transfer', ...common, amount: net, fee: 0, net, createdAt: base.createdAt || Date.now(),
+        entries: [ledgerEntry(payee.account, net, payee.owner), ledgerEntry(gateway, -net)]
+      });
+    }
+  }
+  const capture = db.ledger[captureId];
+  const transferred = !!db.ledger['pay:' + id + ':transfer'];
+  const reversed = (IDX.ledgerBySource.get(id) || []).map(t => db.ledger[t])
+    .filter(t => t && LEDGER_REVERSALS.includes(t.kind)).reduce((s, t) => s + t.amount, 0);
+  const chargedBack = recs.some(r => r.status === 'charged_back' || r.chargedBack);
+  const refunded = Math.min(amount, Math.max(0, ...recs.map(r => {
+    if (r.status === 'refunded' || r.refunded) return r.refundAmount ? toCents(r.refundAmount) : amount;
+    if (r.status === 'partially_refunded') return toCents(r.refundAmount);
+    return 0;
+  })));
+  // A chargeback takes back what the bank disputed (dispute.amount), which can be less than the payment
+  const dispute = recs.map(r => r.disputeId && db.disputes[r.disputeId]).find(Boolean);
+  const charged = !chargedBack ? 0 : dispute && toCents(dispute.amount) > 0 ? toCents(dispute.amount) : amount;
+  const target = Math.min(amount, refunded + charged);
+  if (target <= reversed) return;
+  const delta = target - reversed;
+  const feeShare = Math.round(capture.fee * delta / capture.amount);
+  const netShare = delta - feeShare;
+  const kind = chargedBack ? 'chargeback' : 'refund';
+  const entries = [ledgerEntry(gateway, -delta), ledgerEntry(revenue, feeShare), ledgerEntry(payee.account, netShare, payee.owner)];
+  // Split payment: the receiver's connected account gives its part back, not the platform's cash
+  if (transferred && netShare > 0) entries.push(ledgerEntry(payee.account, -netShare, payee.owner), ledgerEntry(gateway, netShare));
+  const when = recs.map(r => chargedBack ? r.chargedBackAt : r.refundedAt).find(Boolean) || Date.now();
+  ledgerPost({
+    id: 'pay:' + id + ':' + kind + ':' + target, kind, ...common,
+    amount: delta, fee: feeShare, net: netShare, transferReversed: transferred ? netShare : 0, createdAt: when, entries
+  });
+}
+
+// Manual transfer to a provider / operator (PIX, TED...) settles what the platform was holding
+function postPayoutLedger(payout) {
+  const amount = toCents(payout.amount);
+  if (!(amount > 0) || payout.status !== 'completed') return null;
+  return ledgerPost({
+    id: 'payout:' + payout.id, kind: 'payout', sourceType: 'payout', sourceId: payout.id, category: 'payout',
+    beneficiaryId: payout.receiverId, currency: String(payout.currency || 'brl').toLowerCase(),
+    amount, fee: 0, net: amount, createdAt: payout.paidAt || payout.createdAt || Date.now(),
+    entries: [ledgerEntry('provider:' + payout.receiverId, amount, payout.receiverId), ledgerEntry('cash:bank', -amount)]
+  });
+}
+
+// Tithes / offerings go straight to the church: recorded for reports, never part of the payable balance
+function postTitheLedger(ev, tithe) {
+  const amount = toCents(tithe.amount);
+  if (!(amount > 0)) return null;
+  const txn = {
+    id: 'tithe:' + ev.id + ':' + tithe.id, kind: 'tithe', sourceType: 'tithe', sourceId: tithe.id, category: tithe.type || 'offering',
+    eventId: ev.id, currency: 'brl', amount, fee: 0, net: amount, createdAt: tithe.date || Date.now(),
+    entries: [ledgerEntry('offline:' + ev.id, amount), ledgerEntry('donations:' + ev.id, -amount)]
+  };
+  if (tithe.userId) txn.payerId = tithe.userId;
+  return ledgerPost(txn);
+}
+
+// History from before the ledger (and anything a code path forgot to post)
+function backfillLedger() {
+  const before = Object.keys(db.ledger).length;
+  for (const col of ['eventPayments', 'sitePayments', 'tips']) {
+    for (const rec of Object.values(db[col] || {})) {
+      try { syncPaymentLedger(rec); } catch (e) { console.error('[ledger] backfill', col, rec && rec.id, e.message); }
+    }
+  }
+  Object.values(db.payouts || {}).forEach(p => { try { postPayoutLedger(p); } catch (e) { console.error('[ledger] payout', p.id, e.message); } });
+  for (const ev of Object.values(db.operatorEvents || {})) {
+    Object.values((ev.church && ev.church.tithes) || {}).forEach(t => postTitheLedger(ev, t));
+  }
+  const posted = Object.keys(db.ledger).length - before;
+  if (posted > 0) console.log('[ledger] backfill: ' + posted + ' lancamentos');
+}
+
+const LEDGER_TIP_CATEGORIES = ['tip', 'gift'];
+const LEDGER_ENTRY_CATEGORIES = ['entry', 'entry_parking', 'order', 'site'];
+
+// Per-user totals from the ledger (cents). Used by /api/financial and the provider dashboard.
+function ledgerUserSummary(userId, since) {
+  const s = { received: 0, fees: 0, sent: 0, transferred: 0, paidOut: 0, held: 0, receivedCount: 0, sentCount: 0, byCategory: {}, sentByCategory: {}, byMonth: {} };
+  const monthOf = ts => {
+    const d = new Date(ts);
+    const key = d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0');
+    return s.byMonth[key] || (s.byMonth[key] = { received: 0, sent: 0, fees: 0, count: 0 });
+  };
+  for (const t of ledgerUserTxns(userId)) {
+    if (since && t.createdAt < since) continue;
+    const sign = t.kind === 'capture' || t.kind === 'tip_pool' ? 1 : LEDGER_REVERSALS.includes(t.kind) ? -1 : 0;
+    if (t.beneficiaryId === userId) {
+      if (sign) {
+        const m = monthOf(t.createdAt);
+        const c = s.byCategory[t.category] || (s.byCategory[t.category] = { amount: 0, count: 0 });
+        s.received += sign * t.amount;
+        s.fees += sign * t.fee;
+        m.received += sign * t.amount;
+        m.fees += sign * t.fee;
+        c.amount += sign * t.amount;
+        if (sign > 0) { s.receivedCount++; c.count++; m.count++; }
+      }
+      if (t.kind === 'transfer') s.transferred += t.amount;
+      if (t.transferReversed) s.transferred -= t.transferReversed;
+      if (t.kind === 'payout') s.paidOut += t.amount;
+      if (t.kind === 'hold') s.held += t.amount;
+      if (t.kind === 'release') s.held -= t.amount;
+    }
+    if (t.payerId === userId && sign) {
+      const m = monthOf(t.createdAt);
+      const c = s.sentByCategory[t.category] || (s.sentByCategory[t.category] = { amount: 0, count: 0 });
+      s.sent += sign * t.amount;
+      m.sent += sign * t.amount;
+      c.amount += sign * t.amount;
+      if (sign > 0) { s.sentCount++; c.count++; m.count++; }
+    }
+  }
+  return s;
+}
+
+function ledgerCategoryCount(byCategory, categories, field) {
+  return categories.reduce((n, c) => n + ((byCategory[c] || {})[field || 'count'] || 0), 0);
+}
+
+app.get('/api/admin/financial', adminLimiter, requireAdmin, (req, res) => {
+  try {
+    // Pending payments are not in the ledger yet: counted from the records
+    const allTips = Object.values(db.tips || {});
+    const pendingTips = allTips.filter(t => t.status === 'pending' || t.status === 'in_process');
+    const allEntries = Object.values(db.eventPayments || {});
+
+    // ── LEDGER (one pass; refunds and chargebacks are netted out) ──
+    const book = { tips: { total: 0, fee: 0, count: 0 }, entries: { total: 0, fee: 0, count: 0 } };
+    let transferredCents = 0, cashCents = 0;
+    for (const t of Object.values(db.ledger)) {
+      if (t.kind === 'transfer') transferredCents += t.amount;
+      if (t.transferReversed) transferredCents -= t.transferReversed;
+      for (const e of t.entries) if (e.account.startsWith('cash:')) cashCents += e.amount;
+      const sign = t.kind === 'capture' ? 1 : LEDGER_REVERSALS.includes(t.kind) ? -1 : 0;
+      const b = LEDGER_TIP_CATEGORIES.includes(t.category) ? book.tips : LEDGER_ENTRY_CATEGORIES.includes(t.category) ? book.entries : null;
+      if (!sign || !b) continue;
+      b.total += sign * t.amount;
+      b.fee += sign * t.fee;
+      if (sign > 0) b.count++;
+    }
+    const tipsTotal = fromCents(book.tips.total);
+    const tipsFee = fromCents(book.tips.fee);
+    const tipsNet = fromCents(book.tips.total - book.tips.fee);
+    const entriesTotal = fromCents(book.entries.total);
+    const entriesFee = fromCents(book.entries.fee);
+
+    // ── SUBSCRIPTIONS ──
+    let subsActive = 0, subsTotal = 0, subsRevenue = 0;
+    for (const uid of Object.keys(db.subscriptions || {})) {
+      const s = db.subscriptions[uid]; if (!s) continue;
+      subsTotal++;
+      if (subscriptionKit.isActiveState(s.status)) {
+        subsActive++;
+        subsRevenue += (s.amount || 0);
+      }
+    }
+
+    // ── TRANSFER STATUS ──
+    // Split payments went straight to the receiver's Stripe / MP account;
+    // whatever is still in the cash accounts (fees included) is held by Touch?
+    const transferredDirect = fromCents(transferredCents);
+    const retainedInTouch = fromCents(cashCents);
+    const transferStatusOf = id => db.ledger['pay:' + id + ':transfer'] ? 'transferred' : 'retained';
+
+    // ── EVENTS SUMMARY ──
     const events = Object.values(db.operatorEvents || {});
     const activeEvents = events.filter(e => e.active);
     const eventRevenue = events.reduce((s, e) => s + (e.revenue || 0), 0);
@@ -9364,50 +11412,47 @@ app.get('/api/admin/financial', adminLimiter, requireAdmin, (req, res) => {
     const recentTips = allTips.slice().sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)).slice(0, 30).map(t => {
       const receiver = db.users[t.receiverId];
       const payer = db.users[t.payerId];
-      const isConnected = receiver && (receiver.mpConnected || receiver.stripeConnected);
       return {
         id: t.id, type: 'tip', amount: t.amount || 0, fee: t.fee || 0,
         net: (t.amount || 0) - (t.fee || 0), status: t.status,
         from: payer ? (payer.nickname || payer.name) : (t.payerId || '?'),
         to: receiver ? (receiver.nickname || receiver.name) : (t.receiverId || '?'),
         method: t.method || 'card', createdAt: t.createdAt,
-        transferStatus: !isConnected ? 'retained' : 'transferred'
+        transferStatus: transferStatusOf(t.id)
       };
     });
     const recentEntries = allEntries.slice().sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)).slice(0, 20).map(ep => {
       const ev = db.operatorEvents[ep.eventId];
       const payer = db.users[ep.payerId];
-      const operator = ep.receiverId ? db.users[ep.receiverId] : null;
-      const isConnected = (ev && ev.paymentStripeConnected) || (operator && (operator.mpConnected || operator.stripeConnected));
       return {
         id: ep.id, type: 'entry', amount: ep.amount || 0, fee: ep.fee || 0,
         net: (ep.amount || 0) - (ep.fee || 0), status: ep.status,
         from: payer ? (payer.nickname || payer.name) : '?',
         to: ep.eventName || (ev ? ev.name : '?'),
         method: ep.method || 'card', createdAt: ep.createdAt,
-        transferStatus: !isConnected ? 'retained' : 'transferred'
+        transferStatus: transferStatusOf(ep.id)
       };
     });
     const recentAll = [...recentTips, ...recentEntries].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)).slice(0, 50);
 
     // ── GROSS REVENUE (everything Touch? collected) ──
-    const grossRevenue = tipsTotal + entriesTotal;
-    const totalFees = tipsFee + entriesFee;
+    const grossRevenue = fromCents(book.tips.total + book.entries.total);
+    const totalFees = fromCents(book.tips.fee + book.entries.fee);
     const platformRevenue = totalFees + subsRevenue; // Touch? keeps fees + subscription revenue
 
     res.json({
       overview: {
         grossRevenue, totalFees, platformRevenue,
         transferredDirect, retainedInTouch,
-        totalTransactions: approvedTips.length + approvedEntries.length,
+        totalTransactions: book.tips.count + book.entries.count,
         pendingTransactions: pendingTips.length + allEntries.filter(e => e.status === 'pending').length
       },
       tips: {
-        total: tipsTotal, count: approvedTips.length, fee: tipsFee, net: tipsNet,
+        total: tipsTotal, count: book.tips.count, fee: tipsFee, net: tipsNet,
         pending: pendingTips.length
       },
       entries: {
-        total: entriesTotal, count: approvedEntries.length, fee: entriesFee,
+        total: entriesTotal, count: book.entries.count, fee: entriesFee,
         pending: allEntries.filter(e => e.status === 'pending').length
       },
       subscriptions: { active: subsActive, total: subsTotal, revenue: subsRevenue },
@@ -9429,25 +11474,16 @@ app.get('/api/admin/financial', adminLimiter, requireAdmin, (req, res) => {
 // Admin: list all providers with retained balances
 app.get('/api/admin/payouts/pending', adminLimiter, requireAdmin, (req, res) => {
   try {
-    const prestadores = [...IDX.prestador].map(id => db.users[id]).filter(Boolean);
     const result = [];
-    prestadores.forEach(u => {
-      const isConnected = u.mpConnected || u.stripeConnected;
-      if (isConnected) return; // skip connected providers — they get auto-split
-      // Calculate retained balance from tips
-      const tipsReceived = Object.values(db.tips).filter(t => t.receiverId === u.id && t.status === 'approved');
-      const tipsTotal = tipsReceived.reduce((s, t) => s + (t.amount || 0), 0);
-      const tipsFees = tipsReceived.reduce((s, t) => s + (t.fee || 0), 0);
-      // Calculate retained from event entries
-      const opEventIds = Object.values(db.operatorEvents || {}).filter(ev => ev.creatorId === u.id).map(ev => ev.id);
-      const entries = Object.values(db.eventPayments || {}).filter(ep => (ep.receiverId === u.id || opEventIds.includes(ep.eventId)) && ep.status === 'approved');
-      const entriesTotal = entries.reduce((s, e) => s + (e.amount || 0), 0);
-      const entriesFees = entries.reduce((s, e) => s + (e.fee || 0), 0);
-      const grossRetained = (tipsTotal - tipsFees) + (entriesTotal - entriesFees);
-      // Subtract already paid out
-      const paidOut = Object.values(db.payouts || {}).filter(p => p.receiverId === u.id && p.status === 'completed').reduce((s, p) => s + (p.amount || 0), 0);
-      const balance = grossRetained - paidOut;
-      if (balance <= 0) return;
+    // Everyone the ledger owes money to: providers (tips/gifts) and event owners (entries/orders/site)
+    for (const uid of IDX.ledgerOwned.keys()) {
+      const u = db.users[uid];
+      if (!u) continue;
+      const balance = fromCents(ledgerPayableCents(uid));
+      if (balance <= 0) continue;
+      const summary = ledgerUserSummary(uid);
+      const tipsCount = ledgerCategoryCount(summary.byCategory, LEDGER_TIP_CATEGORIES);
+      const paidOut = fromCents(summary.paidOut);
       result.push({
         userId: u.id,
         nickname: u.nickname || u.name || '?',
@@ -9456,17 +11492,18 @@ app.get('/api/admin/payouts/pending', adminLimiter, requireAdmin, (req, res) =>
         email: u.email || '',
         pixKey: u.pixKey || null,
         bankInfo: u.bankInfo || null,
-        grossRetained,
+        grossRetained: fromCents(ledgerPayableCents(uid) + summary.paidOut),
         alreadyPaid: paidOut,
         balance,
-        tipsCount: tipsReceived.length,
-        entriesCount: entries.length
+        scheduled: fromCents(scheduledPayoutCents(uid)), // already in an open payout batch
+        tipsCount,
+        entriesCount: ledgerCategoryCount(summary.byCategory, LEDGER_ENTRY_CATEGORIES)
       });
-    });
+    }
     result.sort((a, b) => b.balance - a.balance);
     // Also return totals
-    const totalPending = result.reduce((s, r) => s + r.balance, 0);
-    const totalPaidAll = Object.values(db.payouts || {}).filter(p => p.status === 'completed').reduce((s, p) => s + (p.amount || 0), 0);
+    const totalPending = fromCents(result.reduce((s, r) => s + toCents(r.balance), 0));
+    const totalPaidAll = fromCents(Object.values(db.ledger).filter(t => t.kind === 'payout').reduce((s, t) => s + t.amount, 0));
     res.json({ providers: result, totalPending, totalPaidAll, count: result.length });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -9477,6 +11514,12 @@ app.post('/api/admin/payouts/register', adminLimiter, requireAdmin, (req, res) =
     const { receiverId, amount, method, reference, notes } = req.body;
     if (!receiverId || !db.users[receiverId]) return res.status(400).json({ error: 'Prestador nao encontrado.' });
     if (!amount || amount <= 0) return res.status(400).json({ error: 'Valor invalido.' });
+    // Lines waiting in an open batch are already promised to the bank: only the rest is free
+    const scheduled = scheduledPayoutCents(receiverId);
+    const free = ledgerPayableCents(receiverId) - scheduled;
+    if (toCents(parseFloat(amount)) > free) {
+      return res.status(409).json({ error: 'Valor acima do saldo livre (R$' + fromCents(Math.max(0, free)).toFixed(2) + (scheduled ? '; R$' + fromCents(scheduled).toFixed(2) + ' ja agendado em lote aberto' : '') + ').' });
+    }
     const id = require('crypto').randomUUID ? require('crypto').randomUUID() : Date.now().toString(36) + Math.random().toString(36).slice(2);
     const payout = {
       id,
@@ -9491,6 +11534,7 @@ app.post('/api/admin/payouts/register', adminLimiter, requireAdmin, (req, res) =
       createdAt: Date.now()
     };
     db.payouts[id] = payout;
+    postPayoutLedger(payout);
     saveDB('payouts');
     // Notify provider via socket
     io.to(receiverId).emit('payout-received', { amount: payout.amount, method: payout.method });
@@ -9502,11 +11546,250 @@ app.post('/api/admin/payouts/register', adminLimiter, requireAdmin, (req, res) =
 app.get('/api/admin/payouts/history', adminLimiter, requireAdmin, (req, res) => {
   try {
     const all = Object.values(db.payouts || {}).sort((a, b) => b.createdAt - a.createdAt).slice(0, 100);
-    const total = all.reduce((s, p) => s + (p.amount || 0), 0);
+    const total = all.filter(p => p.status === 'completed').reduce((s, p) => s + (p.amount || 0), 0);
     res.json({ payouts: all, total, count: all.length });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// ═══ PAYOUT BATCHES — repasse semanal automatico (prestadores sem Stripe/MP) ═══
+// Toda semana (PAYOUT_SCHEDULE.weekday / hourUtc) o scheduler monta um lote em
+// db.payoutBatches[wk-AAAA-MM-DD] com uma linha por prestador/operador cujo saldo
+// retido no ledger passa do minimo. Saldo disponivel = a pagar - o que entrou nos
+// ultimos holdDays (janela de disputa) - linhas ja agendadas em outros lotes.
+// Cada linha e um db.payouts com status 'scheduled' -> 'completed' (confirmada pelo
+// admin, lanca o payout no ledger) ou 'rejected' (o saldo volta para o proximo lote).
+// Exportacao do lote para o banco em CSV ou CNAB 240 (payouts/index.js).
+const payoutFiles = require('./payouts');
+
+const PAYOUT_SCHEDULE_DEFAULTS = {
+  enabled: true,
+  weekday: 1,        // 0 = domingo
+  hourUtc: 12,       // 09:00 em Brasilia
+  minimum: 50,       // BRL
+  holdDays: 7,       // janela de disputa / chargeback
+  payer: {           // conta da plataforma que paga (cabecalho CNAB)
+    name: process.env.PAYOUT_PAYER_NAME || 'TOUCH',
+    cnpj: process.env.PAYOUT_PAYER_CNPJ || '',
+    bankCode: process.env.PAYOUT_PAYER_BANK || '',
+    bankName: process.env.PAYOUT_PAYER_BANK_NAME || '',
+    agency: process.env.PAYOUT_PAYER_AGENCY || '',
+    account: process.env.PAYOUT_PAYER_ACCOUNT || '',
+    convenio: process.env.PAYOUT_PAYER_CONVENIO || ''
+  }
+};
+let PAYOUT_SCHEDULE = JSON.parse(JSON.stringify(PAYOUT_SCHEDULE_DEFAULTS));
+
+async function loadPayoutScheduleFromDB() {
+  try {
+    const saved = await storage.read('payoutSchedule');
+    if (saved && typeof saved === 'object') {
+      PAYOUT_SCHEDULE = { ...PAYOUT_SCHEDULE, ...saved, payer: { ...PAYOUT_SCHEDULE.payer, ...(saved.payer || {}) } };
+      console.log('Payout schedule loaded from Firebase');
+    }
+  } catch (e) {
+    console.warn('Could not load payout schedule from Firebase:', e.message);
+  }
+}
+
+// Credit that reached the user's payable accounts since `since` (cents, payouts and dispute holds excluded)
+function ledgerRecentCreditCents(userId, since) {
+  let credit = 0;
+  for (const t of ledgerUserTxns(userId)) {
+    if (t.kind === 'payout' || t.kind === 'hold' || t.kind === 'release' || t.createdAt < since) continue;
+    for (const e of t.entries) if (e.owner === userId) credit -= e.amount;
+  }
+  return Math.max(0, credit);
+}
+
+function scheduledPayoutCents(userId) {
+  return Object.values(db.payouts).filter(p => p.receiverId === userId && p.status === 'scheduled')
+    .reduce((s, p) => s + toCents(p.amount), 0);
+}
+
+// Where the money goes: PIX key first, then bank account (TED)
+function payoutDestination(user) {
+  if (user.pixKey) return { method: 'pix', pixKey: user.pixKey, pixKeyType: user.pixKeyType || 'cpf' };
+  const b = user.bankInfo;
+  const bankCode = b && (String(b.bankName || '').match(/\d{3}/) || [])[0];
+  if (b && b.account && b.agency && bankCode) {
+    return { method: 'ted', bankCode, agency: b.agency, account: b.account, accountType: b.accountType || 'corrente' };
+  }
+  return null;
+}
+
+function buildPayoutBatch({ id, period, createdBy, now }) {
+  const cfg = PAYOUT_SCHEDULE;
+  const at = now || Date.now();
+  const holdSince = at - cfg.holdDays * 24 * 3600 * 1000;
+  const minimum = toCents(cfg.minimum);
+  const batch = {
+    id, period: period || null, status: 'open', createdAt: at, createdBy,
+    minimum: cfg.minimum, holdDays: cfg.holdDays, payoutIds: [], skipped: [], total: 0
+  };
+  for (const uid of IDX.ledgerOwned.keys()) {
+    const user = db.users[uid];
+    if (!user) continue;
+    const available = ledgerPayableCents(uid) - ledgerRecentCreditCents(uid, holdSince) - scheduledPayoutCents(uid);
+    if (available <= 0) {
+      const held = ledgerUserSummary(uid).held;
+      if (held > 0) batch.skipped.push({ userId: uid, amount: fromCents(held), reason: 'dispute_hold' });
+      continue;
+    }
+    if (available < minimum) { batch.skipped.push({ userId: uid, amount: fromCents(available), reason: 'below_minimum' }); continue; }
+    const dest = payoutDestination(user);
+    if (!dest) { batch.skipped.push({ userId: uid, amount: fromCents(available), reason: 'no_bank_info' }); continue; }
+    const payout = {
+      id: uuidv4(), receiverId: uid,
+      receiverName: user.nickname || user.name || '?',
+      holderCpf: (user.bankInfo && user.bankInfo.holderCpf) || '',
+      amount: fromCents(available), ...dest,
+      reference: '', notes: '',
+      status: 'scheduled', batchId: id, createdAt: at
+    };
+    db.payouts[payout.id] = payout;
+    saveDB('payouts/' + payout.id);
+    batch.payoutIds.push(payout.id);
+    batch.total += available;
+  }
+  batch.total = fromCents(batch.total);
+  batch.sequence = Object.keys(db.payoutBatches).length + 1;
+  db.payoutBatches[id] = batch;
+  saveDB('payoutBatches/' + id);
+  console.log('[payouts] lote ' + id + ': ' + batch.payoutIds.length + ' repasses, R$' + batch.total + ', ' + batch.skipped.length + ' pulados');
+  return batch;
+}
+
+function payoutBatchLines(batch) {
+  return batch.payoutIds.map(pid => db.payouts[pid]).filter(Boolean);
+}
+
+// Batch closes once every line is confirmed or rejected
+function refreshPayoutBatch(batch) {
+  const lines = payoutBatchLines(batch);
+  batch.status = lines.some(p => p.status === 'scheduled') ? 'open' : 'closed';
+  batch.paid = fromCents(lines.filter(p => p.status === 'completed').reduce((s, p) => s + toCents(p.amount), 0));
+  saveDB('payoutBatches/' + batch.id);
+}
+
+function runPayoutSchedule(now) {
+  const cfg = PAYOUT_SCHEDULE;
+  if (!cfg.enabled) return null;
+  const run = payoutFiles.lastScheduledRun(now || Date.now(), cfg.weekday, cfg.hourUtc);
+  const id = 'wk-' + run.period;
+  if (db.payoutBatches[id]) return null;
+  return buildPayoutBatch({ id, period: run.period, createdBy: 'scheduler', now });
+}
+
+// Hourly check; the batch id is the scheduled date, so restarts never build it twice
+setInterval(() => {
+  if (!dbLoaded) return;
+  try { runPayoutSchedule(); } catch (e) { console.error('[payouts] scheduler:', e.message); }
+}, 60 * 60 * 1000);
+
+app.get('/api/admin/payouts/schedule', adminLimiter, requireAdmin, (req, res) => {
+  const next = payoutFiles.lastScheduledRun(Date.now() + 7 * 24 * 3600 * 1000, PAYOUT_SCHEDULE.weekday, PAYOUT_SCHEDULE.hourUtc);
+  res.json({ schedule: PAYOUT_SCHEDULE, defaults: PAYOUT_SCHEDULE_DEFAULTS, nextRunAt: next.at });
+});
+
+app.post('/api/admin/payouts/schedule', adminLimiter, requireAdmin, async (req, res) => {
+  try {
+    const { enabled, weekday, hourUtc, minimum, holdDays, payer } = req.body;
+    const next = { ...PAYOUT_SCHEDULE, payer: { ...PAYOUT_SCHEDULE.payer } };
+    if (enabled !== undefined) next.enabled = !!enabled;
+    if (weekday !== undefined) {
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) return res.status(400).json({ error: 'weekday deve ser 0-6.' });
+      next.weekday = weekday;
+    }
+    if (hourUtc !== undefined) {
+      if (!Number.isInteger(hourUtc) || hourUtc < 0 || hourUtc > 23) return res.status(400).json({ error: 'hourUtc deve ser 0-23.' });
+      next.hourUtc = hourUtc;
+    }
+    if (minimum !== undefined) {
+      const v = parseFloat(minimum);
+      if (isNaN(v) || v < 0) return res.status(400).json({ error: 'Minimo invalido.' });
+      next.minimum = v;
+    }
+    if (holdDays !== undefined) {
+      const v = parseInt(holdDays, 10);
+      if (isNaN(v) || v < 0 || v > 180) return res.status(400).json({ error: 'holdDays deve ser 0-180.' });
+      next.holdDays = v;
+    }
+    if (payer && typeof payer === 'object') {
+      for (const key of Object.keys(PAYOUT_SCHEDULE_DEFAULTS.payer)) {
+        if (payer[key] !== undefined) next.payer[key] = String(payer[key]).trim().slice(0, 60);
+      }
+    }
+    PAYOUT_SCHEDULE = next;
+    await storage.set('payoutSchedule', PAYOUT_SCHEDULE);
+    res.json({ ok: true, schedule: PAYOUT_SCHEDULE });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Admin: build a batch now (outside the weekly schedule)
+app.post('/api/admin/payouts/batches', adminLimiter, requireAdmin, (req, res) => {
+  try {
+    const batch = buildPayoutBatch({ id: 'manual-' + Date.now().toString(36), createdBy: req.adminUserId || 'admin' });
+    res.json({ ok: true, batch, payouts: payoutBatchLines(batch) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/admin/payouts/batches', adminLimiter, requireAdmin, (req, res) => {
+  const batches = Object.values(db.payoutBatches).sort((a, b) => b.createdAt - a.createdAt).slice(0, 50);
+  res.json({ batches, count: batches.length });
+});
+
+app.get('/api/admin/payouts/batches/:batchId', adminLimiter, requireAdmin, (req, res) => {
+  const batch = db.payoutBatches[req.params.batchId];
+  if (!batch) return res.status(404).json({ error: 'Lote nao encontrado.' });
+  res.json({ batch, payouts: payoutBatchLines(batch) });
+});
+
+// Bank file with the lines still waiting for confirmation (?format=csv | cnab)
+app.get('/api/admin/payouts/batches/:batchId/export', adminLimiter, requireAdmin, (req, res) => {
+  const batch = db.payoutBatches[req.params.batchId];
+  if (!batch) return res.status(404).json({ error: 'Lote nao encontrado.' });
+  const lines = payoutBatchLines(batch).filter(p => p.status === 'scheduled');
+  if (req.query.format === 'cnab') {
+    const payer = PAYOUT_SCHEDULE.payer;
+    if (!payer.cnpj || !payer.bankCode || !payer.agency || !payer.account) {
+      return res.status(400).json({ error: 'Configure a conta pagadora (CNPJ, banco, agencia, conta) em /api/admin/payouts/schedule.' });
+    }
+    res.setHeader('Content-Type', 'text/plain; charset=ascii');
+    res.setHeader('Content-Disposition', `attachment; filename="repasses-${batch.id}.rem"`);
+    return res.send(payoutFiles.buildCnab240(batch, lines, payer));
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="repasses-${batch.id}.csv"`);
+  res.send(payoutFiles.buildPayoutCsv(batch, lines));
+});
+
+// Admin: bank result for one line -- confirmed (paid) or rejected
+app.post('/api/admin/payouts/batches/:batchId/payouts/:payoutId/:decision', adminLimiter, requireAdmin, (req, res) => {
+  try {
+    const { batchId, payoutId, decision } = req.params;
+    const batch = db.payoutBatches[batchId];
+    const payout = db.payouts[payoutId];
+    if (!batch || !payout || payout.batchId !== batchId) return res.status(404).json({ error: 'Repasse nao encontrado neste lote.' });
+    if (decision !== 'confirm' && decision !== 'reject') return res.status(400).json({ error: 'Use confirm ou reject.' });
+    if (payout.status !== 'scheduled') return res.status(409).json({ error: 'Repasse ja ' + (payout.status === 'completed' ? 'confirmado' : 'rejeitado') + '.' });
+    payout.approvedBy = req.adminUserId || 'admin';
+    payout.decidedAt = Date.now();
+    if (decision === 'confirm') {
+      payout.status = 'completed';
+      payout.reference = String(req.body.reference || '').trim().slice(0, 100);
+      payout.paidAt = payout.decidedAt;
+      postPayoutLedger(payout);
+      io.to(`user:${payout.receiverId}`).emit('payout-received', { amount: payout.amount, method: payout.method });
+    } else {
+      payout.status = 'rejected';
+      payout.notes = String(req.body.reason || '').trim().slice(0, 200);
+    }
+    saveDB('payouts/' + payout.id);
+    refreshPayoutBatch(batch);
+    res.json({ ok: true, payout, batch });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
 // ══════════════════════════════════════════════════════════════
 // REFUND SYSTEM — full refund, partial refund, admin + operator
 // ══════════════════════════════════════════════════════════════
@@ -9541,6 +11824,7 @@ app.post('/api/admin/refund', adminLimiter, requireAdmin, async (req, res) => {
 
   if (!piId) return res.status(400).json({ error: 'paymentIntentId, tipId ou eventPaymentId obrigatorio' });
   if (refundTarget && refundTarget.status === 'refunded') return res.status(400).json({ error: 'Transacao ja foi reembolsada' });
+  if (refundTarget && refundTarget.disputed) return res.status(409).json({ error: 'Pagamento em disputa (' + refundTarget.disputeId + ') -- aguarde o resultado.' });
 
   try {
     const refundData = { payment_intent: piId };
@@ -9559,12 +11843,15 @@ app.post('/api/admin/refund', adminLimiter, requireAdmin, async (req, res) => {
     // Update local records
     if (refundTarget) {
       const isFullRefund = !amount || amount >= (refundTarget.amount || 0);
-      refundTarget.status = isFullRefund ? 'refunded' : 'partially_refunded';
       refundTarget.refundId = refund.id;
-      refundTarget.refundAmount = refund.amount / 100;
+      // Cumulative, so a second partial refund adds to the first (the ledger reverses the difference)
+      const priorRefund = refundTarget.status === 'partially_refunded' ? (refundTarget.refundAmount || 0) : 0;
+      refundTarget.status = isFullRefund ? 'refunded' : 'partially_refunded';
+      refundTarget.refundAmount = Math.round((priorRefund + refund.amount / 100) * 100) / 100;
       refundTarget.refundReason = reason || 'requested_by_customer';
       refundTarget.refundedAt = Date.now();
       refundTarget.refundedBy = req.body.adminId || 'admin';
+      syncPaymentLedger(refundTarget);
 
       // Reverse receiver stats for full refund
       if (isFullRefund && refundTargetType === 'tip' && refundTarget.receiverId) {
@@ -9626,30 +11913,393 @@ app.get('/api/admin/refunds', adminLimiter, requireAdmin, (req, res) => {
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-// GET /api/admin/disputes — List all disputes/chargebacks
+// ═══ DISPUTES / CHARGEBACKS ═══
+// db.disputes[id] = { id, provider, gatewayId, paymentId, sourceType, payerId, receiverId, ownerId, eventId,
+//   amount, currency, reason, status, evidenceDueBy, evidence: [], heldAmount, submittedAt, outcome, closedAt, timeline: [] }
+// Stripe usa o id da disputa (dp_...); MercadoPago vira mpcb_<id do chargeback>.
+// Aberta: o pagamento fica congelado (disputed = true, sem reembolso) e o liquido do recebedor
+// vai para hold:<disputeId> no ledger, fora do saldo a repassar. Encerrada: o hold volta;
+// se perdida, syncPaymentLedger() lanca o chargeback sobre o saldo do recebedor.
+const disputeKit = require('./disputes');
+const DISPUTE_MAX_EVIDENCE = 20;
+const DISPUTE_MAX_FILE_BYTES = 4 * 1024 * 1024;
+const DISPUTE_REMIND_MS = 48 * 3600 * 1000;
+
+function disputePaymentRecords(paymentId) {
+  if (!paymentId) return [];
+  return [db.eventPayments[paymentId], db.sitePayments[paymentId], db.tips[paymentId]].filter(Boolean);
+}
+
+function findPaymentByGateway(field, value) {
+  if (!value) return null;
+  for (const col of [db.eventPayments, db.sitePayments, db.tips]) {
+    const rec = Object.values(col || {}).find(r => r[field] && String(r[field]) === String(value));
+    if (rec) return rec;
+  }
+  return null;
+}
+
+// Moves the receiver's net share of the disputed amount out of the payable balance
+function placeDisputeHold(d) {
+  const capture = d.paymentId && db.ledger['pay:' + d.paymentId + ':capture'];
+  if (!capture || db.ledger['dispute:' + d.id + ':hold']) return null;
+  // Split payments: the gateway debits the receiver's connected account directly
+  if (db.ledger['pay:' + d.paymentId + ':transfer']) return null;
+  const payeeEntry = capture.entries.find(e => e.owner);
+  if (!payeeEntry) return null;
+  const reversedNet = (IDX.ledgerBySource.get(d.paymentId) || []).map(t => db.ledger[t])
+    .filter(t => t && LEDGER_REVERSALS.includes(t.kind)).reduce((s, t) => s + t.net, 0);
+  const disputed = Math.min(capture.amount, toCents(d.amount) || capture.amount);
+  const held = Math.min(capture.net - reversedNet, Math.round(capture.net * disputed / capture.amount));
+  if (!(held > 0)) return null;
+  d.heldAmount = fromCents(held);
+  return ledgerPost({
+    id: 'dispute:' + d.id + ':hold', kind: 'hold', sourceType: capture.sourceType, sourceId: d.paymentId,
+    category: capture.category, beneficiaryId: payeeEntry.owner, currency: capture.currency,
+    amount: held, fee: 0, net: held, createdAt: Date.now(),
+    entries: [ledgerEntry(payeeEntry.account, held, payeeEntry.owner), ledgerEntry('hold:' + d.id, -held)]
+  });
+}
+
+function releaseDisputeHold(d) {
+  const hold = db.ledger['dispute:' + d.id + ':hold'];
+  if (!hold || db.ledger['dispute:' + d.id + ':release']) return null;
+  return ledgerPost({
+    ...hold, id: 'dispute:' + d.id + ':release', kind: 'release', createdAt: Date.now(),
+    entries: hold.entries.map(e => ({ ...e, amount: -e.amount }))
+  });
+}
+
+// Recibo, pedidos e check-in que o sistema ja conhece viram provas 'system'
+function collectDisputeEvidence(d) {
+  const rec = disputePaymentRecords(d.paymentId)[0];
+  if (!rec) return;
+  const when = ts => ts ? new Date(ts).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '?';
+  const nameOf = uid => (db.users[uid] && (db.users[uid].name || db.users[uid].nickname)) || uid || '?';
+  const items = [{
+    kind: 'receipt',
+    note: 'Pagamento ' + rec.id + ' de ' + (rec.amount || 0).toFixed(2) + ' ' + String(rec.currency || d.currency || 'brl').toUpperCase() +
+      ' em ' + when(rec.createdAt) + ' por ' + nameOf(rec.payerId) + ' via ' + ledgerGateway(rec) +
+      ' (' + (rec.stripePaymentIntentId || rec.mpPaymentId || rec.id) + '), status ' + rec.status
+  }];
+  const ev = rec.eventId && db.operatorEvents[rec.eventId];
+  const pairRelation = (a, b, extra) => Object.values(db.relations).find(r =>
+    ((r.userA === a && r.userB === b) || (r.userA === b && r.userB === a)) && (!extra || extra(r)));
+  if (ev) {
+    (ev.orders || []).filter(o => o.paymentId === rec.id || (rec.orderId && o.id === rec.orderId)).forEach(o => {
+      items.push({
+        kind: 'order_history',
+        note: 'Pedido ' + (o.receiptNumber || o.id) + ' em ' + when(o.createdAt) + ': ' +
+          (o.items || []).map(i => i.qty + 'x ' + i.name + ' ' + Number(i.price || 0).toFixed(2)).join(', ') +
+          '; total ' + Number(o.total || 0).toFixed(2) + '; status ' + o.status +
+          (o.statusHistory || []).map(h => ' / ' + h.status + ' ' + when(h.timestamp)).join('')
+      });
+    });
+    const att = (ev.attendees || {})[rec.payerId];
+    const checkin = pairRelation(ev.creatorId, rec.payerId, r => r.isCheckin && r.eventId === ev.id);
+    if (checkin || att || (ev.participants || []).includes(rec.payerId)) {
+      items.push({
+        kind: 'checkin',
+        note: nameOf(rec.payerId) + ' fez check-in em "' + (ev.name || ev.id) + '"' + (checkin ? ' em ' + when(checkin.createdAt) : '') +
+          (att && att.entryStatus ? '; entrada ' + att.entryStatus + (att.paidAt ? ' em ' + when(att.paidAt) : '') : '')
+      });
+    }
+  } else if (rec.receiverId) {
+    const met = pairRelation(rec.receiverId, rec.payerId);
+    if (met) items.push({ kind: 'service', note: 'Encontro presencial (Touch) entre ' + nameOf(rec.payerId) + ' e ' + nameOf(rec.receiverId) + ' em ' + when(met.createdAt) });
+  }
+  const now = Date.now();
+  items.forEach((it, i) => d.evidence.push({ id: 'sys-' + i + '-' + it.kind, ...it, source: 'system', createdAt: now }));
+}
+
+// File bytes never leave the server through the API
+function evidenceView({ data, ...e }) {
+  return { ...e, hasFile: !!(data || e.path) };
+}
+
+function disputeView(d) {
+  return { ...d, evidence: (d.evidence || []).map(evidenceView) };
+}
+
+// Recebedor (dono do evento ou prestador) e admins
+function notifyDispute(d, type, extra) {
+  const payload = {
+    disputeId: d.id, provider: d.provider, amount: d.amount, currency: d.currency, reason: d.reason,
+    status: d.status, outcome: d.outcome || null, evidenceDueBy: d.evidenceDueBy, heldAmount: d.heldAmount || 0,
+    eventId: d.eventId || null, paymentId: d.paymentId || null, ...extra
+  };
+  const targets = new Set(Object.values(db.users).filter(u => u.isAdmin).map(u => u.id));
+  if (d.ownerId) targets.add(d.ownerId);
+  targets.forEach(uid => io.to(`user:${uid}`).emit(type, payload));
+}
+
+// Creates or updates the dispute from gateway data; freezes, holds and notifies only the first time
+function openDispute(info) {
+  let d = db.disputes[info.id];
+  const isNew = !d;
+  if (isNew) d = db.disputes[info.id] = { id: info.id, provider: info.provider, gatewayId: info.gatewayId, evidence: [], timeline: [], createdAt: Date.now() };
+  for (const key of ['amount', 'currency', 'reason', 'evidenceDueBy', 'paymentIntentId', 'mpPaymentId']) {
+    if (info[key] != null) d[key] = info[key];
+  }
+  if (!d.closedAt && info.status && info.status !== d.status) {
+    d.status = info.status;
+    d.timeline.push({ at: Date.now(), status: d.status, by: info.provider });
+  }
+  const rec = info.payment;
+  if (rec && !d.paymentId) {
+    d.paymentId = rec.id;
+    d.sourceType = db.eventPayments[rec.id] ? 'eventPayment' : db.sitePayments[rec.id] ? 'sitePayment' : 'tip';
+    d.paymentType = rec.type || (d.sourceType === 'tip' ? 'tip' : 'entry');
+    d.payerId = rec.payerId || null;
+    d.receiverId = rec.receiverId || null;
+    d.ownerId = ledgerPayee(rec).owner || null;
+    if (rec.eventId) d.eventId = rec.eventId;
+    if (db.tips[rec.id]) d.tipId = rec.id;
+    if (db.eventPayments[rec.id]) d.eventPaymentId = rec.id;
+    const recs = disputePaymentRecords(rec.id);
+    recs.forEach(r => {
+      r.disputed = true;
+      r.disputeId = d.id;
+      r.disputeReason = d.reason;
+    });
+    saveDB(...recs.map(r => (db.eventPayments[r.id] === r ? 'eventPayments/' : db.sitePayments[r.id] === r ? 'sitePayments/' : 'tips/') + r.id));
+    placeDisputeHold(d);
+    collectDisputeEvidence(d);
+  }
+  saveDB('disputes/' + d.id);
+  if (isNew) {
+    console.warn('[disputes] aberta:', { id: d.id, provider: d.provider, amount: d.amount, paymentId: d.paymentId, held: d.heldAmount || 0 });
+    notifyDispute(d, 'dispute-alert');
+  }
+  return d;
+}
+
+// outcome: won | lost | warning_closed (consulta encerrada sem chargeback)
+function resolveDispute(d, outcome, by) {
+  if (d.closedAt) return d;
+  d.status = outcome;
+  d.outcome = outcome;
+  d.closedAt = Date.now();
+  d.timeline.push({ at: d.closedAt, status: outcome, by });
+  releaseDisputeHold(d);
+  const recs = disputePaymentRecords(d.paymentId);
+  recs.forEach(r => {
+    r.disputed = false;
+    r.disputeOutcome = outcome;
+    // Lost dispute: the money went back to the cardholder
+    if (outcome === 'lost') {
+      r.chargedBack = true;
+      r.chargedBackAt = d.closedAt;
+    }
+  });
+  if (outcome === 'lost') recs.forEach(syncPaymentLedger);
+  saveDB('disputes/' + d.id, ...recs.map(r => (db.eventPayments[r.id] === r ? 'eventPayments/' : db.sitePayments[r.id] === r ? 'sitePayments/' : 'tips/') + r.id));
+  console.log('[disputes] encerrada:', { id: d.id, outcome, by });
+  notifyDispute(d, 'dispute-resolved');
+  return d;
+}
+
+// Evidence files are private: never public in the bucket and blocked in /api/storage
+async function addDisputeEvidence(d, body, source, by) {
+  if (!disputeKit.isDisputeOpen(d)) return { status: 409, error: 'Disputa encerrada.' };
+  if (d.submittedAt) return { status: 409, error: 'Provas ja enviadas ao gateway.' };
+  if ((d.evidence || []).length >= DISPUTE_MAX_EVIDENCE) return { status: 400, error: 'Limite de ' + DISPUTE_MAX_EVIDENCE + ' provas.' };
+  const kind = disputeKit.DISPUTE_EVIDENCE_KINDS.includes(body.kind) ? body.kind : 'other';
+  const note = typeof body.note === 'string' ? body.note.trim().slice(0, 2000) : '';
+  const file = body.file && typeof body.file === 'object' ? body.file : null;
+  if (!note && !file) return { status: 400, error: 'Envie uma nota ou um arquivo.' };
+  const item = { id: uuidv4(), kind, source, createdBy: by, createdAt: Date.now() };
+  if (note) item.note = note;
+  if (file) {
+    const contentType = String(file.contentType || '').toLowerCase();
+    if (!disputeKit.DISPUTE_FILE_TYPES.includes(contentType)) return { status: 400, error: 'Arquivo deve ser PDF, JPG ou PNG.' };
+    const buffer = Buffer.from(String(file.data || '').replace(/^data:[\w\/+.-]+;base64,/, ''), 'base64');
+    if (!buffer.length) return { status: 400, error: 'Arquivo vazio.' };
+    if (buffer.length > DISPUTE_MAX_FILE_BYTES) return { status: 413, error: 'Arquivo acima de 4MB.' };
+    item.fileName = String(file.name || (kind + '.' + contentType.split('/')[1])).slice(0, 120);
+    item.contentType = contentType;
+    item.size = buffer.length;
+    const filePath = 'disputes/' + d.id + '/' + item.id;
+    try {
+      await storageBucket.file(filePath).save(buffer, { contentType, resumable: false });
+      item.path = filePath;
+    } catch (e) {
+      console.error('[disputes] storage upload:', e.message);
+      item.data = buffer.toString('base64'); // fallback: keep it on the record
+    }
+  }
+  d.evidence.push(item);
+  saveDB('disputes/' + d.id);
+  return { evidence: item };
+}
+
+async function disputeEvidenceFile(e) {
+  if (e.data) return Buffer.from(e.data, 'base64');
+  const [buffer] = await storageBucket.file(e.path).download();
+  return buffer;
+}
+
+async function submitDispute(d, by) {
+  if (!disputeKit.disputeNeedsResponse(d) || d.submittedAt) return { status: 409, error: 'Disputa nao aceita provas agora (' + d.status + ').' };
+  const files = d.evidence.filter(e => e.data || e.path);
+  if (d.provider === 'stripe') {
+    if (!stripeInstance) return { status: 503, error: 'Stripe nao configurado' };
+    const fileIds = {};
+    for (const e of files) {
+      const f = await stripeInstance.files.create({
+        purpose: 'dispute_evidence',
+        file: { data: await disputeEvidenceFile(e), name: e.fileName, type: e.contentType }
+      });
+      fileIds[e.id] = f.id;
+    }
+    const rec = disputePaymentRecords(d.paymentId)[0] || {};
+    const payer = db.users[rec.payerId] || {};
+    const ev = rec.eventId && db.operatorEvents[rec.eventId];
+    const receiver = db.users[rec.receiverId] || {};
+    const updated = await stripeInstance.disputes.update(d.gatewayId, {
+      evidence: disputeKit.buildStripeEvidence(d, d.evidence, fileIds, {
+        customerName: payer.name || payer.nickname || '',
+        customerEmail: payer.email || '',
+        productDescription: ev ? (d.paymentType === 'order' ? 'Pedido' : 'Entrada') + ' em ' + (ev.name || ev.id) : 'Gorjeta para ' + (receiver.serviceLabel || receiver.nickname || 'prestador'),
+        serviceDate: rec.createdAt
+      }),
+      submit: true
+    });
+    d.status = updated.status || 'under_review';
+  } else if (d.provider === 'mercadopago') {
+    if (!files.length) return { status: 400, error: 'O MercadoPago so aceita arquivos (PDF, JPG ou PNG).' };
+    const form = new FormData();
+    for (const e of files) form.append('files[]', new Blob([await disputeEvidenceFile(e)], { type: e.contentType }), e.fileName);
+    const r = await fetch(MP_API_BASE + '/v1/chargebacks/' + d.gatewayId + '/documentation', {
+      method: 'POST', headers: { 'Authorization': 'Bearer ' + MP_ACCESS_TOKEN }, body: form
+    });
+    if (!r.ok) throw new Error('MercadoPago HTTP ' + r.status);
+    d.status = 'under_review';
+  } else {
+    return { status: 400, error: 'Gateway desconhecido.' };
+  }
+  d.submittedAt = Date.now();
+  d.submittedBy = by;
+  d.timeline.push({ at: d.submittedAt, status: d.status, by });
+  saveDB('disputes/' + d.id);
+  return { dispute: d };
+}
+
+// Lembrete ao recebedor 48h antes do prazo de provas
+setInterval(() => {
+  if (!dbLoaded) return;
+  const now = Date.now();
+  for (const d of Object.values(db.disputes)) {
+    if (!disputeKit.disputeNeedsResponse(d) || d.submittedAt || d.remindedAt || !d.evidenceDueBy) continue;
+    const due = new Date(d.evidenceDueBy).getTime();
+    if (due - now > DISPUTE_REMIND_MS || due < now) continue;
+    d.remindedAt = now;
+    saveDB('disputes/' + d.id);
+    notifyDispute(d, 'dispute-alert', { reminder: true });
+  }
+}, 60 * 60 * 1000);
+
+async function sendDisputeResult(res, work) {
+  try {
+    const r = await work;
+    if (r.error) return res.status(r.status || 400).json({ error: r.error });
+    res.json({ ok: true, dispute: r.dispute && disputeView(r.dispute), evidence: r.evidence && evidenceView(r.evidence) });
+  } catch (e) {
+    console.error('[disputes]', e.message);
+    res.status(502).json({ error: 'Erro no gateway: ' + e.message });
+  }
+}
+
+// GET /api/admin/disputes — List all disputes/chargebacks (?status=needs_response&provider=stripe)
 app.get('/api/admin/disputes', adminLimiter, requireAdmin, (req, res) => {
   try {
+    const { status, provider } = req.query;
     const all = Object.values(db.disputes || {}).sort((a, b) => b.createdAt - a.createdAt);
-    const open = all.filter(d => d.status === 'needs_response' || d.status === 'warning_needs_response');
-    res.json({ disputes: all, open: open.length, total: all.length });
+    const open = all.filter(d => disputeKit.disputeNeedsResponse(d));
+    const list = all.filter(d => (!status || d.status === status) && (!provider || d.provider === provider));
+    const heldTotal = fromCents(all.filter(disputeKit.isDisputeOpen).reduce((s, d) => s + toCents(d.heldAmount), 0));
+    res.json({ disputes: list.map(disputeView), open: open.length, total: all.length, heldTotal });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+app.get('/api/admin/disputes/:disputeId', adminLimiter, requireAdmin, (req, res) => {
+  const d = db.disputes[req.params.disputeId];
+  if (!d) return res.status(404).json({ error: 'Disputa nao encontrada.' });
+  res.json(disputeView(d));
+});
+
+app.post('/api/admin/disputes/:disputeId/evidence', adminLimiter, requireAdmin, (req, res) => {
+  const d = db.disputes[req.params.disputeId];
+  if (!d) return res.status(404).json({ error: 'Disputa nao encontrada.' });
+  sendDisputeResult(res, addDisputeEvidence(d, req.body, 'admin', req.adminUserId || 'admin'));
+});
+
+app.post('/api/admin/disputes/:disputeId/submit', adminLimiter, requireAdmin, (req, res) => {
+  const d = db.disputes[req.params.disputeId];
+  if (!d) return res.status(404).json({ error: 'Disputa nao encontrada.' });
+  sendDisputeResult(res, submitDispute(d, req.adminUserId || 'admin'));
+});
+
+// Resultado informado a mao (gateway sem webhook, acordo com o banco)
+app.post('/api/admin/disputes/:disputeId/resolve', adminLimiter, requireAdmin, (req, res) => {
+  const d = db.disputes[req.params.disputeId];
+  if (!d) return res.status(404).json({ error: 'Disputa nao encontrada.' });
+  const { outcome } = req.body;
+  if (!disputeKit.DISPUTE_CLOSED.includes(outcome)) return res.status(400).json({ error: 'outcome deve ser won, lost ou warning_closed.' });
+  if (d.closedAt) return res.status(409).json({ error: 'Disputa ja encerrada (' + d.outcome + ').' });
+  resolveDispute(d, outcome, 'admin:' + (req.adminUserId || 'admin'));
+  res.json({ ok: true, dispute: disputeView(d) });
+});
+
+// Operator panel: disputes on this event's payments
+app.get('/api/operator/event/:eventId/disputes', requireEventRole('payments'), (req, res) => {
+  const list = Object.values(db.disputes).filter(d => d.eventId === req.params.eventId).sort((a, b) => b.createdAt - a.createdAt);
+  res.json({ disputes: list.map(disputeView), open: list.filter(disputeKit.isDisputeOpen).length });
+});
+
+app.post('/api/operator/event/:eventId/disputes/:disputeId/evidence', requireEventRole('payments'), (req, res) => {
+  const d = db.disputes[req.params.disputeId];
+  if (!d || d.eventId !== req.params.eventId) return res.status(404).json({ error: 'Disputa nao encontrada.' });
+  sendDisputeResult(res, addDisputeEvidence(d, req.body, 'operator', req.authUserId));
+});
+
+app.post('/api/operator/event/:eventId/disputes/:disputeId/submit', requireEventRole('payments'), (req, res) => {
+  const d = db.disputes[req.params.disputeId];
+  if (!d || d.eventId !== req.params.eventId) return res.status(404).json({ error: 'Disputa nao encontrada.' });
+  sendDisputeResult(res, submitDispute(d, req.authUserId));
+});
+
+// Provider: disputes on tips they received
+app.get('/api/prestador/:userId/disputes', requireAuth, (req, res) => {
+  const list = Object.values(db.disputes).filter(d => d.ownerId === req.params.userId && !d.eventId).sort((a, b) => b.createdAt - a.createdAt);
+  res.json({ disputes: list.map(disputeView), open: list.filter(disputeKit.isDisputeOpen).length });
+});
+
+app.post('/api/prestador/:userId/disputes/:disputeId/evidence', requireAuth, (req, res) => {
+  const d = db.disputes[req.params.disputeId];
+  if (!d || d.ownerId !== req.params.userId || d.eventId) return res.status(404).json({ error: 'Disputa nao encontrada.' });
+  sendDisputeResult(res, addDisputeEvidence(d, req.body, 'operator', req.authUserId));
+});
+
+app.post('/api/prestador/:userId/disputes/:disputeId/submit', requireAuth, (req, res) => {
+  const d = db.disputes[req.params.disputeId];
+  if (!d || d.ownerId !== req.params.userId || d.eventId) return res.status(404).json({ error: 'Disputa nao encontrada.' });
+  sendDisputeResult(res, submitDispute(d, req.authUserId));
+});
+
 // POST /api/operator/event/:eventId/refund-order — Operator refunds a specific order (all payment types)
-app.post('/api/operator/event/:eventId/refund-order', requireAuth, async (req, res) => {
+app.post('/api/operator/event/:eventId/refund-order', requireEventRole('payments'), async (req, res) => {
   const { eventId } = req.params;
   const { orderId, reason } = req.body;
   const ev = db.operatorEvents[eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
 
-  // Check if requester is event creator
-  const requesterId = req.body.operatorId || req.headers['x-user-id'];
-  if (ev.creatorId !== requesterId) return res.status(403).json({ error: 'Sem permissao' });
-
   // Find the order
   const order = (ev.orders || []).find(o => o.id === orderId);
   if (!order) return res.status(404).json({ error: 'Pedido nao encontrado' });
   if (order.refunded) return res.status(400).json({ error: 'Pedido ja reembolsado' });
+  const disputedPayment = order.paymentId && db.eventPayments[order.paymentId];
+  if (disputedPayment && disputedPayment.disputed) return res.status(409).json({ error: 'Pagamento em disputa -- aguarde o resultado.' });
 
   try {
     let refundId = null;
@@ -9692,6 +12342,17 @@ app.post('/api/operator/event/:eventId/refund-order', requireAuth, async (req, r
     order.refundReason = reason || 'Cancelado pelo operador';
     order.status = 'refunded';
 
+    // The payment record behind the order carries the refund into the ledger
+    const orderPayment = (order.paymentId && db.eventPayments[order.paymentId]) ||
+      Object.values(db.sitePayments || {}).find(p => p.orderId === order.id);
+    if (orderPayment) {
+      orderPayment.refundAmount = Math.min(orderPayment.amount || 0, refundAmount);
+      orderPayment.status = orderPayment.refundAmount >= (orderPayment.amount || 0) ? 'refunded' : 'partially_refunded';
+      orderPayment.refundedAt = order.refundedAt;
+      syncPaymentLedger(orderPayment);
+      saveDB((db.eventPayments[orderPayment.id] ? 'eventPayments/' : 'sitePayments/') + orderPayment.id);
+    }
+
     // Update event revenue
     ev.revenue = Math.max(0, (ev.revenue || 0) - (order.total || 0));
     saveDB('operatorEvents');
@@ -9722,6 +12383,7 @@ app.post('/api/stripe/refund-payment', requireAuth, paymentLimiter, async (req,
   if (tip.payerId !== userId) return res.status(403).json({ error: 'Sem permissao para esta transacao' });
   if (tip.status === 'refunded') return res.status(400).json({ error: 'Ja reembolsado' });
   if (tip.status !== 'approved') return res.status(400).json({ error: 'Transacao nao esta aprovada' });
+  if (tip.disputed) return res.status(409).json({ error: 'Transacao em disputa -- aguarde o resultado.' });
   if (!tip.stripePaymentIntentId) return res.status(400).json({ error: 'Transacao sem Stripe vinculado' });
 
   // Only allow refund within 24 hours
@@ -9741,6 +12403,7 @@ app.post('/api/stripe/refund-payment', requireAuth, paymentLimiter, async (req,
     tip.refundAmount = refund.amount / 100;
     tip.refundedAt = Date.now();
     tip.refundReason = reason || 'Solicitado pelo usuario';
+    syncPaymentLedger(tip);
 
     // Reverse receiver stats
     if (tip.receiverId) {
@@ -9796,6 +12459,7 @@ app.post('/api/admin/reconcile-payments', adminLimiter, requireAdmin, async (req
           tip.status = 'approved';
           tip.recoveredAt = Date.now();
           tip.recoverySource = 'admin-reconcile';
+          syncPaymentLedger(tip);
           const receiver = db.users[tip.receiverId];
           if (receiver) {
             receiver.tipsReceived = (receiver.tipsReceived || 0) + 1;
@@ -9827,6 +12491,7 @@ app.post('/api/admin/reconcile-payments', adminLimiter, requireAdmin, async (req
           ep.status = 'approved';
           ep.recoveredAt = Date.now();
           ep.recoverySource = 'admin-reconcile';
+          syncPaymentLedger(ep);
           const ev = db.operatorEvents[ep.eventId];
           if (ev) {
             ev.paidCheckins = (ev.paidCheckins || 0) + 1;
@@ -9880,7 +12545,7 @@ app.post('/api/prestador/:userId/bank-info', requireAuth, (req, res) => {
       holderCpf: (holderCpf || '').trim().slice(0, 14)
     };
   }
-  saveDB('users');
+  saveDB('users/' + userId);
   res.json({ ok: true, pixKey: user.pixKey, bankInfo: user.bankInfo });
 });
 
@@ -9888,8 +12553,9 @@ app.post('/api/prestador/:userId/bank-info', requireAuth, (req, res) => {
 app.get('/api/prestador/:userId/payouts', requireAuth, (req, res) => {
   const userId = req.params.userId;
   const payouts = Object.values(db.payouts || {}).filter(p => p.receiverId === userId).sort((a, b) => b.createdAt - a.createdAt);
-  const total = payouts.reduce((s, p) => s + (p.amount || 0), 0);
-  res.json({ payouts, total, count: payouts.length });
+  const total = payouts.filter(p => p.status === 'completed').reduce((s, p) => s + (p.amount || 0), 0);
+  const scheduled = payouts.filter(p => p.status === 'scheduled').reduce((s, p) => s + (p.amount || 0), 0);
+  res.json({ payouts, total, scheduled, count: payouts.length });
 });
 
 // ── STATUS / HEALTH ──
@@ -9920,8 +12586,7 @@ app.get('/api/status', (req, res) => {
 app.get('/api/admin/firebase-diagnostic', adminLimiter, requireAdmin, async (req, res) => {
   try {
     // Read directly from Firebase RTDB (not from memory)
-    const snap = await withTimeout(rtdb.ref('/').once('value'), 30000, 'firebase diagnostic');
-    const data = snap.val();
+    const data = await withTimeout(storage.loadRoot(), 30000, 'firebase diagnostic');
     if (!data) return res.json({ firebase: 'EMPTY', memory: { users: Object.keys(db.users).length }, backups: 0 });
     const fbCounts = {};
     DB_COLLECTIONS.forEach(c => { fbCounts[c] = data[c] ? Object.keys(data[c]).length : 0; });
@@ -9947,8 +12612,7 @@ app.post('/api/admin/force-reload', adminLimiter, requireAdmin, async (req, res)
     // Create backup of current state first (even if empty, for logging)
     const backupId = await createBackup('pre-force-reload');
     // Read directly from Firebase
-    const snap = await withTimeout(rtdb.ref('/').once('value'), 30000, 'force reload');
-    const data = snap.val();
+    const data = await withTimeout(storage.loadRoot(), 30000, 'force reload');
     if (!data) return res.status(404).json({ error: 'Firebase is completely empty' });
     const before = {};
     DB_COLLECTIONS.forEach(c => { before[c] = Object.keys(db[c] || {}).length; });
@@ -9991,7 +12655,7 @@ app.post('/api/admin/force-connect', adminLimiter, requireAdmin, (req, res) => {
     db.relations[relationId] = { id: relationId, userA: userIdA, userB: userIdB, phrase, createdAt: now, expiresAt: now + 86400000, provocations: {}, renewed: 0, selfie: null };
     idxAddRelation(relationId, userIdA, userIdB);
     db.messages[relationId] = [];
-    recordEncounter(userIdA, userIdB, phrase, 'physical');
+    recordEncounter(userIdA, userIdB, phrase, 'physical', null, 'admin');
   }
   saveDB('relations', 'messages', 'encounters');
   // Notify both users via socket
@@ -10024,6 +12688,45 @@ function socketRateOk(socketId, event) {
   return rates[event].count <= max;
 }
 
+// ── SOCKET IDENTITY ──
+// Um userId de query/identify so entra na room de notificacoes (socket.touchUserId). Para agir como o
+// usuario (jogadas, chat) o socket precisa de prova: token do Firebase ou guest token, no handshake
+// (auth: { token, guestToken }) ou no identify. A conta provada fica em socket.authUserId.
+async function bindSocketCredentials(socket, creds) {
+  if (!creds || typeof creds !== 'object') return;
+  if (typeof creds.token === 'string' && creds.token) {
+    try {
+      socket.firebaseUid = (await firebaseAuth.verifyIdToken(creds.token)).uid;
+    } catch (e) { /* invalid or expired token: stays unproven */ }
+  }
+  const guestId = guestTokenOwner(creds.guestToken);
+  if (guestId) socket.guestUserId = guestId;
+}
+
+// Same rules as authenticateUser's firebase / guest-token methods
+function socketCanActAs(socket, userId) {
+  const user = userId && db.users[userId];
+  if (!user || user.mergedInto) return false;
+  if (socket.guestUserId === userId) return true;
+  if (!socket.firebaseUid) return false;
+  return IDX.firebaseUid.get(socket.firebaseUid) === userId || (user.linkedFirebaseUids || []).includes(socket.firebaseUid);
+}
+
+// Chat on the socket: the sender is the socket's proven account. The payload userId must be that
+// account and a member of the relation -- block and ban checks run on it, so a forged one would
+// let a banned user send as the partner. Returns the live relation or null.
+function socketChatRelation(socket, relationId, userId) {
+  const rel = relationId && db.relations[relationId];
+  if (!rel || Date.now() > rel.expiresAt) return null;
+  if (!socket.authUserId || userId !== socket.authUserId) return null;
+  if (rel.userA !== userId && rel.userB !== userId) return null;
+  return rel;
+}
+
+io.use((socket, next) => {
+  bindSocketCredentials(socket, socket.handshake.auth).then(() => next(), () => next());
+});
+
 // ── SOCKET.IO ──
 io.on('connection', (socket) => {
   let currentUserId = null;
@@ -10033,17 +12736,22 @@ io.on('connection', (socket) => {
   if (qUserId && typeof qUserId === 'string' && qUserId.length > 3) {
     currentUserId = qUserId;
     socket.touchUserId = qUserId;
+    socket.authUserId = socketCanActAs(socket, qUserId) ? qUserId : null;
     socket.join(`user:${qUserId}`);
   }
 
-  socket.on('identify', (userId) => {
+  socket.on('identify', async (userId, creds) => {
     // Validate userId exists in db.users before allowing room join
     if (!userId || !db.users[userId]) {
       return;
     }
+    if (creds) await bindSocketCredentials(socket, creds);
     currentUserId = userId;
     socket.touchUserId = userId;
+    socket.authUserId = socketCanActAs(socket, userId) ? userId : null;
     socket.join(`user:${userId}`);
+    // Only a token-bound socket speaks for the account's IP/device
+    if (socket.authUserId) noteFraudSignals(userId, { ip: clientIp(socket.handshake), deviceId: socket.handshake.auth && socket.handshake.auth.deviceId });
     // Track online presence
     if (!global._onlineUsers) global._onlineUsers = {};
     const wasOffline = !global._onlineUsers[userId];
@@ -10084,6 +12792,15 @@ io.on('connection', (socket) => {
     socket.join('event:' + eventId);
   });
 
+  // Kitchen display: one room per preparation station (owner or staff with access to orders)
+  socket.on('join-kitchen-station', (data) => {
+    if (!data || typeof data.eventId !== 'string' || typeof data.station !== 'string') return;
+    const ev = db.operatorEvents[data.eventId];
+    if (!ev || !kitchenStations(ev).some(s => s.id === data.station)) return;
+    if (!eventRoleCan(eventRoleOf(ev, socket.touchUserId), 'orders', ev)) return;
+    socket.join(kitchenRoom(ev, data.station));
+  });
+
   // TV Mode: TV joins pairing room and event room
   socket.on('tv-register', (data) => {
     if (!data) return;
@@ -10134,8 +12851,10 @@ io.on('connection', (socket) => {
 
   socket.on('send-message', ({ relationId, userId, text, localId }) => {
     if (!dbLoaded || !socketRateOk(socket.id, 'send-message')) return;
-    const rel = db.relations[relationId];
-    if (!rel || Date.now() > rel.expiresAt) return;
+    const rel = socketChatRelation(socket, relationId, userId);
+    if (!rel) return;
+    const blocked = relationPartnerBlocked(rel, userId);
+    if (blocked) return socket.emit('message-blocked', { relationId, localId, reason: blocked });
     const msg = { id: uuidv4(), userId, text, timestamp: Date.now() };
     if (localId) msg.localId = localId;
     if (!db.messages[relationId]) db.messages[relationId] = [];
@@ -10150,18 +12869,20 @@ io.on('connection', (socket) => {
 
   socket.on('typing', ({ relationId, userId }) => {
     if (!dbLoaded || !socketRateOk(socket.id, 'typing')) return;
-    const rel = db.relations[relationId];
-    if (!rel || Date.now() > rel.expiresAt) return;
+    const rel = socketChatRelation(socket, relationId, userId);
+    if (!rel || relationPartnerBlocked(rel, userId)) return;
     const partnerId = rel.userA === userId ? rel.userB : rel.userA;
+    if (hidesContent(partnerId, userId)) return;
     io.to(`user:${partnerId}`).emit('partner-typing', { relationId });
   });
 
   // Pulse — silent vibration to partner
   socket.on('pulse', ({ relationId, userId }) => {
     if (!dbLoaded || !socketRateOk(socket.id, 'pulse')) return;
-    const rel = db.relations[relationId];
-    if (!rel || Date.now() > rel.expiresAt) return;
+    const rel = socketChatRelation(socket, relationId, userId);
+    if (!rel || relationPartnerBlocked(rel, userId)) return;
     const partnerId = rel.userA === userId ? rel.userB : rel.userA;
+    if (hidesContent(partnerId, userId)) return;
     io.to(`user:${partnerId}`).emit('pulse-received', { relationId, from: userId });
   });
 
@@ -10179,8 +12900,10 @@ io.on('connection', (socket) => {
   // Ephemeral message — persisted so recipient sees when opening chat
   socket.on('send-ephemeral', ({ relationId, userId, text }) => {
     if (!dbLoaded || !socketRateOk(socket.id, 'send-ephemeral')) return;
-    const rel = db.relations[relationId];
-    if (!rel || Date.now() > rel.expiresAt) return;
+    const rel = socketChatRelation(socket, relationId, userId);
+    if (!rel) return;
+    const blocked = relationPartnerBlocked(rel, userId);
+    if (blocked) return socket.emit('message-blocked', { relationId, reason: blocked });
     const msg = { id: uuidv4(), userId, text, type: 'ephemeral', timestamp: Date.now() };
     // Save to messages so it appears when recipient opens chat
     if (!db.messages[relationId]) db.messages[relationId] = [];
@@ -10194,8 +12917,10 @@ io.on('connection', (socket) => {
   // Photo message
   socket.on('send-photo', ({ relationId, userId, photoData }) => {
     if (!dbLoaded) return;
-    const rel = db.relations[relationId];
-    if (!rel || Date.now() > rel.expiresAt) return;
+    const rel = socketChatRelation(socket, relationId, userId);
+    if (!rel) return;
+    const blocked = relationPartnerBlocked(rel, userId);
+    if (blocked) return socket.emit('message-blocked', { relationId, reason: blocked });
     const msg = { id: uuidv4(), userId, type: 'photo', photoData, timestamp: Date.now() };
     if (!db.messages[relationId]) db.messages[relationId] = [];
     db.messages[relationId].push(msg);
@@ -10247,10 +12972,12 @@ io.on('connection', (socket) => {
     if (!dbLoaded || !eventId || !userId) return;
     const ev = db.operatorEvents[eventId];
     if (!ev || !ev.staff) return;
+    // Own status, or anyone allowed to manage the team
+    if (socket.touchUserId !== userId && !eventRoleCan(eventRoleOf(ev, socket.touchUserId), 'staff', ev)) return;
     const member = ev.staff.find(s => s.userId === userId);
     if (member) {
       member.status = status;
-      saveDB('operatorEvents');
+      saveDB('operatorEvents/' + ev.id);
       io.to(`user:${ev.operatorId}`).emit('staff-status-changed', { eventId, staffId: member.id, userId, status });
     }
   });
@@ -10258,11 +12985,11 @@ io.on('connection', (socket) => {
   socket.on('staff-order-ready', ({ eventId, orderId }) => {
     if (!dbLoaded || !eventId || !orderId) return;
     const ev = db.operatorEvents[eventId];
-    if (!ev) return;
+    if (!ev || !eventRoleCan(eventRoleOf(ev, socket.touchUserId), 'orders', ev)) return;
     const order = (ev.orders || []).find(o => o.id === orderId);
     if (order) {
       order.status = 'ready';
-      saveDB('operatorEvents');
+      saveDB(eventOrderPath(ev, order));
       // Notify the waiter who placed the order
       if (order.waiterId) {
         const waiter = (ev.staff || []).find(s => s.id === order.waiterId);
@@ -10275,6 +13002,14 @@ io.on('connection', (socket) => {
   // Operator sets pending staff role for next sonic connection
   socket.on('sonic-set-staff-role', ({ eventId, staffRole }) => {
     if (!eventId) return;
+    const ev = db.operatorEvents[eventId];
+    const callerRole = eventRoleOf(ev, socket.touchUserId);
+    if (!ev || !eventRoleCan(callerRole, 'staff', ev)) return socket.emit('sonic-staff-role-set', { staffRole: null, error: 'Sem permissao para adicionar equipe.' });
+    if (staffRole) {
+      const def = eventRoleCatalog(ev)[staffRole];
+      if (!def) return socket.emit('sonic-staff-role-set', { staffRole: null, error: 'Funcao invalida.' });
+      if (callerRole !== 'owner' && (staffRole === 'manager' || def.permissions.includes('staff'))) return socket.emit('sonic-staff-role-set', { staffRole: null, error: 'Apenas o dono pode adicionar gerentes.' });
+    }
     const queueKey = 'evt:' + eventId;
     if (sonicQueue[queueKey]) {
       sonicQueue[queueKey].pendingStaffRole = staffRole || null;
@@ -10312,6 +13047,7 @@ io.on('connection', (socket) => {
   socket.on('game-invite-chat', ({ fromUserId, toUserId, gameId, sessionId, gameName, gameIcon, gameFile, relationId }) => {
     console.log('[game-invite-chat]', { fromUserId, toUserId, gameId, sessionId, relationId: relationId || '(lookup)', socketUser: socket.touchUserId });
     if (!fromUserId || !toUserId || !gameId || !sessionId) { console.log('[game-invite-chat] REJECTED: missing fields'); return; }
+    if (contactBlockReason(fromUserId, toUserId) || hidesContent(toUserId, fromUserId)) return;
     const now = Date.now();
     // Check if target is busy
     const targetBusy = Object.values(db.gameSessions).find(gs =>
@@ -10359,6 +13095,7 @@ io.on('connection', (socket) => {
     const sender = fromUserId || from;
     const target = toUserId || to;
     if (!sender || !target || !gameId) return;
+    if (contactBlockReason(sender, target) || hidesContent(target, sender)) return;
     const now = Date.now();
     const targetBusy = Object.values(db.gameSessions).find(gs =>
       gs.players.includes(target) && gs.status === 'playing' && (!gs.createdAt || now - gs.createdAt < 3600000)
@@ -10418,29 +13155,62 @@ io.on('connection', (socket) => {
     });
   });
 
-  socket.on('game-move', ({ sessionId, userId, move }) => {
-    if (!dbLoaded || !sessionId || !userId) return;
+  socket.on('game-move', ({ sessionId, move } = {}) => {
+    if (!dbLoaded || !sessionId) return;
     const gs = db.gameSessions[sessionId];
     if (!gs) return;
+    // Only a player of the session, proven by the socket's token (never the payload), can move
+    const userId = socket.authUserId;
+    if (!userId) return socket.emit('game-move-rejected', { sessionId, move, error: 'Identidade nao verificada' });
+    const seat = gs.players.indexOf(userId);
+    if (seat < 0) return;
+    // Server-authoritative games: the rules module must accept the move before it is relayed
+    const engine = gameEngines.getGameEngine(gs.gameId);
+    const now = Date.now();
+    let outcome = null;
+    if (engine && engine.applyMove) {
+      if (gs.status !== 'playing') return socket.emit('game-move-rejected', { sessionId, move, error: 'Partida nao esta em andamento' });
+      if (!gs.state) gs.state = engine.init(gs);
+      outcome = engine.applyMove(gs.state, move, seat, now);
+      if (outcome.error) {
+        console.warn('[game-move] Rejected:', { sessionId, userId, gameId: gs.gameId, error: outcome.error });
+        return socket.emit('game-move-rejected', { sessionId, move, error: outcome.error, view: gameSessionView(gs).view });
+      }
+      gs.state = outcome.state;
+      // Hidden-information games answer the mover with what the move uncovered
+      socket.emit('game-move-result', { sessionId, move, reveal: outcome.reveal || null });
+    }
     // Forward move to other player(s) in the session
     const opponents = gs.players.filter(p => p !== userId);
     opponents.forEach(opId => {
       const targetSockets = [...io.sockets.sockets.values()].filter(s => s.touchUserId === opId);
-      targetSockets.forEach(s => s.emit('game-opponent-move', { sessionId, move }));
+      targetSockets.forEach(s => s.emit('game-opponent-move', { sessionId, move, reveal: (outcome && outcome.reveal) || null }));
     });
     // Store move
     if (!gs.moves) gs.moves = [];
-    gs.moves.push({ userId, move, t: Date.now() });
+    gs.moves.push({ userId, move, t: now });
+    if (outcome && outcome.finished) {
+      const winner = outcome.winnerSeat != null ? gs.players[outcome.winnerSeat] : null;
+      settleGameSession(gs, { winner, scores: seatScoresToUsers(gs, outcome.scores), reason: 'rules' });
+    } else {
+      saveDB('gameSessions/' + sessionId);
+    }
   });
 
-  socket.on('game-surrender', ({ sessionId, userId }) => {
+  socket.on('game-surrender', ({ sessionId } = {}) => {
+    // Only the socket's proven account can give up its own game
+    const userId = socket.authUserId;
     if (!dbLoaded || !sessionId || !userId) return;
     const gs = db.gameSessions[sessionId];
-    if (!gs) return;
-    gs.status = 'finished';
-    gs.winner = gs.players.find(p => p !== userId) || null;
-    gs.endedAt = Date.now();
-    saveDB('gameSessions');
+    if (!gs || !gs.players.includes(userId)) return;
+    // A finished game can't be flipped by surrendering afterwards, and nobody wins a game that never started
+    if (gs.status === 'waiting') {
+      gs.status = 'cancelled';
+      gs.endedAt = Date.now();
+      saveDB('gameSessions/' + sessionId);
+    } else if (gs.status === 'playing') {
+      surrenderGameSession(gs, userId);
+    } else return;
     // Notify opponents
     const opponents = gs.players.filter(p => p !== userId);
     opponents.forEach(opId => {
@@ -10626,7 +13396,7 @@ app.get('/mp/callback', async (req, res) => {
       user.mpAccessToken = data.access_token;
       user.mpRefreshToken = data.refresh_token || null;
       user.mpUserId = data.user_id || null;
-      saveDB('users');
+      saveDB('users/' + userId);
       // Redirect back to app with success
       res.redirect('/?mp_connected=1&userId=' + userId);
     } else {
@@ -10796,6 +13566,7 @@ function handlePaymentResult(result, payerId, receiverId, amount, fee, res) {
     recEnc.tipId = tipId;
     recEnc.tipStatus = result.status;
   }
+  syncPaymentLedger(tip);
   saveDB('tips', 'users', 'encounters');
   // Notify receiver via socket
   io.to(`user:${receiverId}`).emit('tip-received', { amount, tipId, from: db.users[payerId]?.nickname || '?', status: result.status });
@@ -10971,12 +13742,14 @@ app.get('/tip-result', (req, res) => {
   if (tipId && db.tips[tipId] && status) {
     db.tips[tipId].status = status === 'approved' ? 'approved' : status === 'pending' ? 'pending' : 'rejected';
     if (payment_id) db.tips[tipId].mpPaymentId = payment_id;
+    if (db.tips[tipId].ticketPurchaseId && status !== 'pending') settleTicketPurchase(db.tips[tipId].ticketPurchaseId, status === 'approved', tipId);
     if (status === 'approved') {
       const tip = db.tips[tipId];
       const receiver = db.users[tip.receiverId];
       if (receiver) { receiver.tipsReceived = (receiver.tipsReceived || 0) + 1; receiver.tipsTotal = (receiver.tipsTotal || 0) + tip.amount; }
       io.to(`user:${tip.receiverId}`).emit('tip-received', { amount: tip.amount, tipId, from: db.users[tip.payerId]?.nickname || '?', status: 'approved' });
     }
+    syncPaymentLedger(db.tips[tipId]);
     saveDB('tips', 'users');
   }
   // Redirect back to app
@@ -11027,66 +13800,33 @@ app.get('/api/financial/:userId', requireAuth, (req, res) => {
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'User not found' });
   const tipIds = new Set([...(IDX.tipsByPayer.get(userId) || []), ...(IDX.tipsByReceiver.get(userId) || [])]);
-  const allTips = Array.from(tipIds).map(tid => db.tips[tid]).filter(Boolean);
-  const received = allTips.filter(t => t.receiverId === userId && t.status === 'approved');
-  const sent = allTips.filter(t => t.payerId === userId && t.status === 'approved');
-  const pending = allTips.filter(t => (t.payerId === userId || t.receiverId === userId) && (t.status === 'pending' || t.status === 'in_process'));
-
-  // Include entry payments (sent)
-  const entriesSent = Object.values(db.eventPayments || {}).filter(ep => ep.payerId === userId && ep.status === 'approved');
-  const entriesSentTotal = entriesSent.reduce((s, e) => s + (e.amount || 0), 0);
+  const pending = Array.from(tipIds).map(tid => db.tips[tid]).filter(t => t && (t.status === 'pending' || t.status === 'in_process'));
 
-  // Include entry payments (received - as operator)
-  const operatorEventIds = Object.values(db.operatorEvents || {}).filter(ev => ev.creatorId === userId).map(ev => ev.id);
-  const entriesReceived = Object.values(db.eventPayments || {}).filter(ep => (ep.receiverId === userId || operatorEventIds.includes(ep.eventId)) && ep.status === 'approved');
-  const entriesReceivedTotal = entriesReceived.reduce((s, e) => s + (e.amount || 0), 0);
-  const entriesReceivedFee = entriesReceived.reduce((s, e) => s + (e.fee || 0), 0);
-
-  const totalReceived = received.reduce((s, t) => s + (t.amount || 0), 0) + entriesReceivedTotal;
-  const totalSent = sent.reduce((s, t) => s + (t.amount || 0), 0) + entriesSentTotal;
-  const totalFees = received.reduce((s, t) => s + (t.fee || 0), 0) + entriesReceivedFee;
-  const netReceived = totalReceived - totalFees;
-
-  // Transfer status for received payments
-  const isConnected = user.mpConnected || user.stripeConnected;
-  let transferredToMe = 0, retainedByTouch = 0;
-  if (user.isPrestador) {
-    received.forEach(t => {
-      if (isConnected) transferredToMe += (t.amount || 0) - (t.fee || 0);
-      else retainedByTouch += (t.amount || 0) - (t.fee || 0);
-    });
-    entriesReceived.forEach(ep => {
-      const ev = db.operatorEvents[ep.eventId];
-      const evConnected = (ev && ev.paymentStripeConnected) || isConnected;
-      if (evConnected) transferredToMe += (ep.amount || 0) - (ep.fee || 0);
-      else retainedByTouch += (ep.amount || 0) - (ep.fee || 0);
-    });
-  }
-
-  // Group by month
+  // Totals come from the ledger: refunds and chargebacks are already netted out
+  const s = ledgerUserSummary(userId);
+  const totalReceived = fromCents(s.received);
+  const totalFees = fromCents(s.fees);
   const byMonth = {};
-  allTips.filter(t => t.status === 'approved').forEach(t => {
-    const d = new Date(t.createdAt);
-    const key = d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0');
-    if (!byMonth[key]) byMonth[key] = { received: 0, sent: 0, fees: 0, count: 0 };
-    if (t.receiverId === userId) { byMonth[key].received += t.amount || 0; byMonth[key].fees += t.fee || 0; }
-    if (t.payerId === userId) byMonth[key].sent += t.amount || 0;
-    byMonth[key].count++;
-  });
+  for (const [key, m] of Object.entries(s.byMonth)) {
+    byMonth[key] = { received: fromCents(m.received), sent: fromCents(m.sent), fees: fromCents(m.fees), count: m.count };
+  }
+  const tipsReceivedCount = ledgerCategoryCount(s.byCategory, LEDGER_TIP_CATEGORIES);
+  const tipsSentCount = ledgerCategoryCount(s.sentByCategory, LEDGER_TIP_CATEGORIES);
   res.json({
     summary: {
-      totalReceived, totalSent, totalFees, netReceived,
+      totalReceived, totalSent: fromCents(s.sent), totalFees, netReceived: fromCents(s.received - s.fees),
       pendingCount: pending.length,
-      transferredToMe, retainedByTouch
+      transferredToMe: fromCents(s.transferred), retainedByTouch: fromCents(ledgerPayableCents(userId)),
+      heldByDispute: fromCents(s.held)
     },
     byMonth,
     isPrestador: !!user.isPrestador,
     mpConnected: !!user.mpConnected,
     stripeConnected: !!user.stripeConnected,
-    tipsReceivedCount: received.length,
-    tipsSentCount: sent.length,
-    entriesSentCount: entriesSent.length,
-    entriesReceivedCount: entriesReceived.length
+    tipsReceivedCount,
+    tipsSentCount,
+    entriesSentCount: ledgerCategoryCount(s.sentByCategory, LEDGER_ENTRY_CATEGORIES),
+    entriesReceivedCount: ledgerCategoryCount(s.byCategory, LEDGER_ENTRY_CATEGORIES)
   });
 });
 
@@ -11171,30 +13911,17 @@ app.get('/api/prestador/:userId/dashboard', (req, res) => {
     .filter(ep => ep.receiverId === userId || operatorEventIds.includes(ep.eventId))
     .sort((a, b) => b.createdAt - a.createdAt);
 
-  // Combine all payments
-  const allPayments = [...tipsReceived, ...entryPayments];
-  const allApproved = allPayments.filter(t => t.status === 'approved');
-  const tipsApproved = tipsReceived.filter(t => t.status === 'approved');
-  const entriesApproved = entryPayments.filter(t => t.status === 'approved');
-
-  const totalReceived = allApproved.reduce((s, t) => s + (t.amount || 0), 0);
-  const totalFees = allApproved.reduce((s, t) => s + (t.fee || 0), 0);
-  const totalNet = totalReceived - totalFees;
+  // Totals from the ledger (refunds / chargebacks netted out)
+  const s = ledgerUserSummary(userId);
+  const totalReceived = fromCents(s.received);
+  const totalFees = fromCents(s.fees);
+  const totalNet = fromCents(s.received - s.fees);
+  const tipsCount = ledgerCategoryCount(s.byCategory, LEDGER_TIP_CATEGORIES);
 
-  // Today (using user's timezone)
-  const todayStart = getUserTodayStart(userId);
-  const tipsToday = allApproved.filter(t => t.createdAt >= todayStart);
-  const todayTotal = tipsToday.reduce((s, t) => s + (t.amount || 0), 0);
-
-  // This week (using user's timezone)
-  const weekStart = getUserWeekStart(userId);
-  const tipsWeek = allApproved.filter(t => t.createdAt >= weekStart);
-  const weekTotal = tipsWeek.reduce((s, t) => s + (t.amount || 0), 0);
-
-  // This month (using user's timezone)
-  const monthStart = getUserMonthStart(userId);
-  const tipsMonth = allApproved.filter(t => t.createdAt >= monthStart);
-  const monthTotal = tipsMonth.reduce((s, t) => s + (t.amount || 0), 0);
+  // Today / week / month (using user's timezone)
+  const today = ledgerUserSummary(userId, getUserTodayStart(userId));
+  const week = ledgerUserSummary(userId, getUserWeekStart(userId));
+  const month = ledgerUserSummary(userId, getUserMonthStart(userId));
 
   // Encounters (encostadas) received
   const allEncounters = [];
@@ -11207,21 +13934,8 @@ app.get('/api/prestador/:userId/dashboard', (req, res) => {
   }
   allEncounters.sort((a, b) => b.timestamp - a.timestamp);
 
-  // Transfer status
-  const isConnected = user.mpConnected || user.stripeConnected;
-  let transferredToMe = 0, retainedByTouch = 0;
-  allApproved.forEach(t => {
-    const net = (t.amount || 0) - (t.fee || 0);
-    // For entry payments, check event-specific Stripe or operator connection
-    if (t.eventId) {
-      const ev = db.operatorEvents[t.eventId];
-      if ((ev && ev.paymentStripeConnected) || isConnected) transferredToMe += net;
-      else retainedByTouch += net;
-    } else {
-      if (isConnected) transferredToMe += net;
-      else retainedByTouch += net;
-    }
-  });
+  // Split payments have a transfer posted in the ledger; the rest is held by the platform
+  const transferStatusOf = id => db.ledger['pay:' + id + ':transfer'] ? 'transferred' : 'retained';
 
   // Enriched tips + entry payments
   const tipsEnriched = tipsReceived.slice(0, 30).map(t => {
@@ -11231,19 +13945,17 @@ app.get('/api/prestador/:userId/dashboard', (req, res) => {
       status: t.status, statusDetail: t.statusDetail,
       payerName: db.users[t.payerId]?.nickname || 'Anonimo',
       createdAt: t.createdAt, method: t.method || 'card',
-      transferStatus: isConnected ? 'transferred' : 'retained'
+      transferStatus: transferStatusOf(t.id)
     };
   });
   const entriesEnriched = entryPayments.slice(0, 30).map(ep => {
-    const ev = db.operatorEvents[ep.eventId];
-    const evConnected = (ev && ev.paymentStripeConnected) || isConnected;
     return {
       id: ep.id, type: 'entry', amount: ep.amount, fee: ep.fee || 0, net: (ep.amount || 0) - (ep.fee || 0),
       status: ep.status, statusDetail: '',
       payerName: db.users[ep.payerId]?.nickname || 'Anonimo',
       eventName: ep.eventName || '',
       createdAt: ep.createdAt, method: ep.method || 'card',
-      transferStatus: evConnected ? 'transferred' : 'retained'
+      transferStatus: transferStatusOf(ep.id)
     };
   });
   const allEnriched = [...tipsEnriched, ...entriesEnriched].sort((a, b) => b.createdAt - a.createdAt).slice(0, 30);
@@ -11259,14 +13971,15 @@ app.get('/api/prestador/:userId/dashboard', (req, res) => {
     bankInfo: user.bankInfo || null,
     stats: {
       totalReceived, totalFees, totalNet,
-      totalCount: allApproved.length,
-      tipsCount: tipsApproved.length,
-      entriesCount: entriesApproved.length,
-      totalEntryRevenue: entriesApproved.reduce((s, t) => s + (t.amount || 0), 0),
-      todayTotal, todayCount: tipsToday.length,
-      weekTotal, weekCount: tipsWeek.length,
-      monthTotal, monthCount: tipsMonth.length,
-      transferredToMe, retainedByTouch
+      totalCount: s.receivedCount,
+      tipsCount,
+      entriesCount: ledgerCategoryCount(s.byCategory, LEDGER_ENTRY_CATEGORIES),
+      totalEntryRevenue: fromCents(ledgerCategoryCount(s.byCategory, LEDGER_ENTRY_CATEGORIES, 'amount')),
+      todayTotal: fromCents(today.received), todayCount: today.receivedCount,
+      weekTotal: fromCents(week.received), weekCount: week.receivedCount,
+      monthTotal: fromCents(month.received), monthCount: month.receivedCount,
+      transferredToMe: fromCents(s.transferred), retainedByTouch: fromCents(ledgerPayableCents(userId)),
+      heldByDispute: fromCents(s.held)
     },
     tips: allEnriched,
     encounters: allEncounters.slice(0, 50),
@@ -11274,6 +13987,149 @@ app.get('/api/prestador/:userId/dashboard', (req, res) => {
   });
 });
 
+// ══════════════════════════════════════════════════════════════
+// WEBHOOK EVENT STORE — toda notificacao de Stripe/MercadoPago e gravada antes de processar
+// ══════════════════════════════════════════════════════════════
+// db.webhookEvents[provider_eventId] = { provider, eventId, type, payload, status, attempts, ... }
+// status: received -> processing -> processed | ignored (sem handler)
+//                               -> failed (nova tentativa com backoff) -> dead (WEBHOOK_MAX_ATTEMPTS)
+// O id do evento no provedor e a chave: reentrega do mesmo evento nao roda o handler de novo.
+// Handlers devem ser idempotentes — o replay pelo admin roda o handler outra vez de proposito.
+const WEBHOOK_HANDLERS = {};
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_STALE_MS = 5 * 60 * 1000;
+const WEBHOOK_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function registerWebhookHandler(provider, types, fn) {
+  for (const type of [].concat(types)) WEBHOOK_HANDLERS[provider + ':' + type] = fn;
+}
+
+// MP manda o id da notificacao no corpo; x-request-id / hash do corpo sao o fallback
+function mpNotificationId(req) {
+  if (req.body && req.body.id != null) return String(req.body.id);
+  if (req.headers['x-request-id']) return String(req.headers['x-request-id']);
+  return crypto.createHash('sha1').update(JSON.stringify(req.body || {})).digest('hex');
+}
+
+function webhookEventKey(provider, eventId) {
+  return (provider + '_' + eventId).replace(/[.$#\[\]\/]/g, '_');
+}
+
+// Grava o evento e agenda o processamento; devolve o registro (novo ou o ja existente)
+function acceptWebhook(provider, eventId, type, payload) {
+  const id = webhookEventKey(provider, eventId);
+  const existing = db.webhookEvents[id];
+  if (existing) {
+    existing.duplicates = (existing.duplicates || 0) + 1;
+    existing.lastDuplicateAt = Date.now();
+    saveDB('webhookEvents/' + id);
+    console.log('[webhook] Duplicate ignored:', { id, status: existing.status });
+    return existing;
+  }
+  const rec = {
+    id, provider, eventId: String(eventId), type: type || null,
+    payload: JSON.stringify(payload || {}),
+    status: 'received', attempts: 0, receivedAt: Date.now()
+  };
+  db.webhookEvents[id] = rec;
+  saveDBNow('webhookEvents/' + id);
+  setImmediate(() => processWebhookEvent(rec));
+  return rec;
+}
+
+async function processWebhookEvent(rec, opts) {
+  const force = opts && opts.force;
+  if (rec.status === 'processing') return rec;
+  if (!force && (rec.status === 'processed' || rec.status === 'ignored' || rec.status === 'dead')) return rec;
+  const handler = WEBHOOK_HANDLERS[rec.provider + ':' + rec.type];
+  if (!handler) {
+    rec.status = 'ignored';
+    rec.processedAt = Date.now();
+    saveDB('webhookEvents/' + rec.id);
+    return rec;
+  }
+  rec.status = 'processing';
+  rec.startedAt = Date.now();
+  rec.attempts = (rec.attempts || 0) + 1;
+  if (force) rec.replayedAt = Date.now();
+  saveDBNow('webhookEvents/' + rec.id);
+  try {
+    await handler(JSON.parse(rec.payload));
+    rec.status = 'processed';
+    rec.processedAt = Date.now();
+    delete rec.lastError;
+    delete rec.nextAttemptAt;
+  } catch (e) {
+    rec.lastError = e.message || String(e);
+    if (rec.attempts >= WEBHOOK_MAX_ATTEMPTS && !force) {
+      rec.status = 'dead';
+      delete rec.nextAttemptAt;
+      console.error('[webhook] Giving up:', { id: rec.id, attempts: rec.attempts, error: rec.lastError });
+    } else {
+      rec.status = 'failed';
+      rec.nextAttemptAt = Date.now() + Math.min(WEBHOOK_RETRY_MAX_MS, WEBHOOK_RETRY_BASE_MS * 2 ** (rec.attempts - 1));
+      console.warn('[webhook] Handler failed:', { id: rec.id, attempts: rec.attempts, error: rec.lastError });
+    }
+  }
+  saveDBNow('webhookEvents/' + rec.id);
+  return rec;
+}
+
+// Retry: falhas vencidas, eventos que nunca comecaram e handlers interrompidos por queda do processo
+setInterval(() => {
+  if (!dbLoaded) return;
+  const now = Date.now();
+  for (const rec of Object.values(db.webhookEvents)) {
+    if (rec.status === 'failed' && (rec.nextAttemptAt || 0) <= now) processWebhookEvent(rec);
+    else if (rec.status === 'received' && now - rec.receivedAt > 60 * 1000) processWebhookEvent(rec);
+    else if (rec.status === 'processing' && now - (rec.startedAt || 0) > WEBHOOK_STALE_MS) {
+      rec.status = 'failed';
+      rec.lastError = 'interrupted';
+      processWebhookEvent(rec);
+    } else if ((rec.status === 'processed' || rec.status === 'ignored') && now - (rec.processedAt || rec.receivedAt) > WEBHOOK_RETENTION_MS) {
+      delete db.webhookEvents[rec.id];
+      saveDB('webhookEvents/' + rec.id);
+    }
+  }
+}, 60 * 1000);
+
+function webhookEventView(rec, withPayload) {
+  const { payload, ...rest } = rec;
+  if (!withPayload) return rest;
+  let parsed = payload;
+  try { parsed = JSON.parse(payload); } catch (e) {}
+  return { ...rest, payload: parsed };
+}
+
+// GET /api/admin/webhooks?status=failed&provider=stripe
+app.get('/api/admin/webhooks', adminLimiter, requireAdmin, (req, res) => {
+  const { status, provider } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const all = Object.values(db.webhookEvents)
+    .filter(r => (!status || r.status === status) && (!provider || r.provider === provider))
+    .sort((a, b) => b.receivedAt - a.receivedAt);
+  const counts = {};
+  for (const r of Object.values(db.webhookEvents)) counts[r.status] = (counts[r.status] || 0) + 1;
+  res.json({ events: all.slice(0, limit).map(r => webhookEventView(r)), total: all.length, counts });
+});
+
+app.get('/api/admin/webhooks/:id', adminLimiter, requireAdmin, (req, res) => {
+  const rec = db.webhookEvents[req.params.id];
+  if (!rec) return res.status(404).json({ error: 'Evento não encontrado.' });
+  res.json(webhookEventView(rec, true));
+});
+
+// Reprocessa o evento mesmo se ja processado ou morto
+app.post('/api/admin/webhooks/:id/replay', adminLimiter, requireAdmin, async (req, res) => {
+  const rec = db.webhookEvents[req.params.id];
+  if (!rec) return res.status(404).json({ error: 'Evento não encontrado.' });
+  if (rec.status === 'processing') return res.status(409).json({ error: 'Evento em processamento.' });
+  await processWebhookEvent(rec, { force: true });
+  res.json(webhookEventView(rec));
+});
+
 // ── MercadoPago webhook signature verification ──
 function verifyMPWebhookSignature(req) {
   if (!MP_WEBHOOK_SECRET) return true; // Skip if not configured (dev)
@@ -11295,152 +14151,194 @@ function verifyMPWebhookSignature(req) {
 }
 
 // MercadoPago webhook
+// Payment notifications: the handler fetches the current status from MP, so a replay is safe
+registerWebhookHandler('mercadopago', 'payment', async (payload) => {
+  const paymentId = payload.data && payload.data.id;
+  if (!paymentId) return;
+  // Check if this is a selo verification PIX payment
+  const seloEvent = Object.values(db.operatorEvents || {}).find(e => String(e.pendingVerifyPaymentId) === String(paymentId) && !e.verified);
+  if (seloEvent) {
+    const p = await mpPayment.get({ id: paymentId });
+    if (p.status === 'approved') {
+      seloEvent.verified = true;
+      seloEvent.verifiedAt = Date.now();
+      seloEvent.verifyPaymentId = paymentId;
+      seloEvent.verifyMethod = 'pix';
+      delete seloEvent.pendingVerifyPaymentId;
+      delete seloEvent.pendingVerifyMethod;
+      saveDB('operatorEvents');
+      console.log('[webhook] Selo PIX approved for event:', seloEvent.name);
+      // Notify operator
+      if (seloEvent.creatorId) {
+        io.to('user:' + seloEvent.creatorId).emit('selo-verified', { eventId: seloEvent.id, verified: true });
+      }
+    }
+    return;
+  }
+  // Find tip by mpPaymentId and update status
+  const tip = Object.values(db.tips).find(t => String(t.mpPaymentId) === String(paymentId));
+  if (!tip) return;
+  // Fetch latest status from MP
+  const p = await mpPayment.get({ id: paymentId });
+  // Replays see the tip already approved and skip the side effects (revenue, stats, receipts).
+  // The status is written only after them: a handler that throws halfway leaves the tip
+  // unapproved, so the retry runs them again instead of skipping them.
+  const wasApproved = tip.status === 'approved';
+  if (p.status === 'approved' && !wasApproved) {
+    // Handle subscription PIX activation
+    if (tip.type === 'subscription' && tip.planId) {
+      const changeSub = Object.values(db.subscriptions).find(s => s && s.pendingChange && String(s.pendingChange.mpPaymentId) === String(paymentId));
+      const sub = changeSub || Object.values(db.subscriptions).find(s => s && s.mpPaymentId && String(s.mpPaymentId) === String(paymentId));
+      if (changeSub) {
+        // Proration of an upgrade: the new plan starts now
+        await completePlanChangePayment(changeSub);
+        console.log('[webhook] Subscription upgrade paid:', { userId: sub.userId, plan: sub.planId });
+      } else if (sub) {
+        extendSubscriptionPeriod(sub);
+        setSubscriptionState(sub, 'active', 'mercadopago');
+        console.log('[webhook] Subscription PIX approved:', { userId: sub.userId, plan: sub.planId });
+      }
+      if (sub) {
+        // Notify payer of subscription activation receipt
+        io.to(`user:${sub.userId}`).emit('payment-receipt', {
+          type: 'subscription', amount: tip.amount, status: 'approved',
+          method: 'pix', planId: sub.planId,
+          transactionId: tip.mpPaymentId || tip.id,
+          timestamp: Date.now()
+        });
+      }
+    }
+    // Handle event entry PIX activation
+    else if (tip.type === 'entry' && tip.eventId) {
+      const ev = db.operatorEvents[tip.eventId];
+      if (ev) {
+        ev.revenue = (ev.revenue || 0) + tip.amount;
+        ev.paidCheckins = (ev.paidCheckins || 0) + 1;
+        if (!ev.participants) ev.participants = [];
+        // Ticket purchase: issue the QR tickets, the holder joins at the door
+        if (tip.ticketPurchaseId) settleTicketPurchase(tip.ticketPurchaseId, true, tip.id);
+        else if (!ev.participants.includes(tip.payerId)) ev.participants.push(tip.payerId);
+        if (!db.eventPayments) db.eventPayments = {};
+        db.eventPayments[tip.id] = {
+          id: tip.id, payerId: tip.payerId, eventId: ev.id, eventName: ev.name || '',
+          amount: tip.amount, fee: tip.fee || 0, receiverId: ev.creatorId, currency: 'brl',
+          mpPaymentId: tip.mpPaymentId, status: 'approved', method: 'pix',
+          type: 'entry', ticketPurchaseId: tip.ticketPurchaseId, createdAt: tip.createdAt || Date.now()
+        };
+        saveDB('operatorEvents', 'eventPayments');
+        io.emit('checkin', { eventId: ev.id, userId: tip.payerId });
+        io.to(`user:${ev.creatorId}`).emit('entry-paid', { userId: tip.payerId, amount: tip.amount, eventId: ev.id, status: 'approved', method: 'pix' });
+        io.to(`user:${tip.payerId}`).emit('payment-receipt', {
+          type: 'entry', amount: tip.amount, status: 'approved',
+          method: 'pix', eventName: ev.name || '',
+          transactionId: tip.mpPaymentId || tip.id,
+          timestamp: Date.now()
+        });
+        console.log('[webhook] Entry PIX approved:', { event: ev.name, userId: tip.payerId });
+      }
+    }
+    // Handle combined entry+parking PIX activation
+    else if (tip.type === 'entry_parking' && tip.eventId) {
+      const ev = db.operatorEvents[tip.eventId];
+      if (ev) {
+        ev.revenue = (ev.revenue || 0) + tip.amount;
+        ev.paidCheckins = (ev.paidCheckins || 0) + 1;
+        if (!ev.participants) ev.participants = [];
+        if (!ev.participants.includes(tip.payerId)) ev.participants.push(tip.payerId);
+        // Mark parking as paid
+        const plate = tip.plate || '';
+        if (plate && ev.parking && ev.parking.vehicles && ev.parking.vehicles[plate]) {
+          ev.parking.vehicles[plate].amountPaid = tip.parkingAmount || 0;
+          ev.parking.vehicles[plate].amountDue = 0;
+          ev.parking.vehicles[plate].status = 'paid';
+          ev.parking.vehicles[plate].paidAt = Date.now();
+          io.emit('parking-payment-received', { eventId: ev.id, plate: plate, amount: tip.parkingAmount || 0, status: 'paid' });
+        }
+        if (!db.eventPayments) db.eventPayments = {};
+        db.eventPayments[tip.id] = {
+          id: tip.id, payerId: tip.payerId, eventId: ev.id, eventName: ev.name || '',
+          amount: tip.amount, fee: tip.fee || 0, receiverId: ev.creatorId, currency: 'brl',
+          mpPaymentId: tip.mpPaymentId, status: 'approved', method: 'pix',
+          type: 'entry_parking', plate: plate, createdAt: tip.createdAt || Date.now()
+        };
+        saveDB('operatorEvents', 'eventPayments');
+        io.to(`user:${ev.creatorId}`).emit('entry-paid', { userId: tip.payerId, amount: tip.amount, eventId: ev.id, status: 'approved', method: 'pix', includesParking: true, plate: plate, nickname: db.users[tip.payerId]?.nickname || '' });
+        io.to(`user:${tip.payerId}`).emit('payment-receipt', {
+          type: 'entry_parking', amount: tip.amount, status: 'approved',
+          method: 'pix', eventName: ev.name || '', plate: plate,
+          transactionId: tip.mpPaymentId || tip.id,
+          timestamp: Date.now()
+        });
+        console.log('[webhook] Entry+Parking PIX approved:', { event: ev.name, userId: tip.payerId, plate: plate });
+      }
+    }
+    // Restaurant order charged by card (pay-entry type 'order'): the order follows its eventPayments record
+    else if (tip.type === 'order') {
+      const ep = db.eventPayments[tip.id];
+      if (ep && ep.status !== 'approved') {
+        ep.status = 'approved';
+        ep.statusDetail = p.status_detail;
+        saveDB('eventPayments/' + ep.id);
+        settleOrderPayment(ep);
+        console.log('[webhook] Order payment approved via MP:', { eventId: ep.eventId, orderId: ep.orderId || null });
+      }
+    }
+    // Regular tip
+    else {
+      const receiver = db.users[tip.receiverId];
+      if (receiver && tip.receiverId !== 'platform') {
+        receiver.tipsReceived = (receiver.tipsReceived || 0) + 1;
+        receiver.tipsTotal = (receiver.tipsTotal || 0) + tip.amount;
+      }
+      io.to(`user:${tip.receiverId}`).emit('tip-received', { amount: tip.amount, from: db.users[tip.payerId]?.nickname || '?' });
+      // Notify payer that their MP/PIX tip was approved (receipt)
+      io.to(`user:${tip.payerId}`).emit('payment-receipt', {
+        type: 'tip', amount: tip.amount, status: 'approved',
+        method: tip.paymentMethod || 'mercadopago',
+        recipientName: receiver?.nickname || receiver?.name || 'Prestador',
+        transactionId: tip.mpPaymentId || tip.id,
+        timestamp: Date.now()
+      });
+      console.log('[webhook] Regular tip approved via MP:', { payerId: tip.payerId, amount: tip.amount });
+    }
+  }
+  tip.status = p.status;
+  tip.statusDetail = p.status_detail;
+  // Ticket seats held for a PIX/checkout that failed go back on sale
+  if (tip.ticketPurchaseId && ['rejected', 'cancelled'].includes(p.status)) settleTicketPurchase(tip.ticketPurchaseId, false, tip.id);
+  syncPaymentLedger(tip);
+  saveDB('tips', 'users');
+});
+
+// Chargeback notifications: the current state comes from /v1/chargebacks, so a replay is safe
+registerWebhookHandler('mercadopago', 'chargebacks', async (payload) => {
+  const cbId = payload.data && payload.data.id;
+  if (!cbId) return;
+  const r = await fetch(MP_API_BASE + '/v1/chargebacks/' + cbId, {
+    headers: { 'Authorization': 'Bearer ' + MP_ACCESS_TOKEN }
+  });
+  if (!r.ok) throw new Error('MP chargeback ' + cbId + ': HTTP ' + r.status);
+  const cb = await r.json();
+  const mpPaymentId = (cb.payments || [])[0];
+  const status = disputeKit.mpChargebackStatus(cb);
+  const d = openDispute({
+    id: 'mpcb_' + cb.id, provider: 'mercadopago', gatewayId: String(cb.id),
+    payment: findPaymentByGateway('mpPaymentId', mpPaymentId),
+    mpPaymentId: mpPaymentId != null ? String(mpPaymentId) : null,
+    amount: cb.amount, currency: String(cb.currency || 'brl').toLowerCase(),
+    reason: cb.reason || 'chargeback', status,
+    evidenceDueBy: cb.date_documentation_deadline || null
+  });
+  if (disputeKit.DISPUTE_CLOSED.includes(status)) resolveDispute(d, status, 'mercadopago');
+});
+
 app.post('/mp/webhook', (req, res) => {
   // Validate webhook signature
   if (!verifyMPWebhookSignature(req)) {
     console.warn('[WARN] MP Webhook: signature inválida', { ip: req.ip, type: req.body?.type });
     return res.sendStatus(401);
   }
-  // Process payment notifications
-  if (req.body.type === 'payment' && req.body.data && req.body.data.id) {
-    const paymentId = req.body.data.id;
-    // Find tip by mpPaymentId and update status
-    // Check if this is a selo verification PIX payment
-    const seloEvent = Object.values(db.operatorEvents || {}).find(e => String(e.pendingVerifyPaymentId) === String(paymentId) && !e.verified);
-    if (seloEvent) {
-      mpPayment.get({ id: paymentId }).then(p => {
-        if (p.status === 'approved') {
-          seloEvent.verified = true;
-          seloEvent.verifiedAt = Date.now();
-          seloEvent.verifyPaymentId = paymentId;
-          seloEvent.verifyMethod = 'pix';
-          delete seloEvent.pendingVerifyPaymentId;
-          delete seloEvent.pendingVerifyMethod;
-          saveDB('operatorEvents');
-          console.log('[webhook] Selo PIX approved for event:', seloEvent.name);
-          // Notify operator
-          if (seloEvent.creatorId) {
-            io.to('user:' + seloEvent.creatorId).emit('selo-verified', { eventId: seloEvent.id, verified: true });
-          }
-        }
-      }).catch(e => console.error('[webhook] Selo PIX fetch error:', e));
-      return res.sendStatus(200);
-    }
-    const tip = Object.values(db.tips).find(t => String(t.mpPaymentId) === String(paymentId));
-    if (tip) {
-      // Fetch latest status from MP
-      mpPayment.get({ id: paymentId }).then(p => {
-        tip.status = p.status;
-        tip.statusDetail = p.status_detail;
-        if (p.status === 'approved') {
-          // Handle subscription PIX activation
-          if (tip.type === 'subscription' && tip.planId) {
-            const sub = Object.values(db.subscriptions).find(s => s.mpPaymentId && String(s.mpPaymentId) === String(paymentId));
-            if (sub) {
-              sub.status = 'authorized';
-              const user = db.users[sub.userId];
-              if (user) {
-                user.isSubscriber = true;
-                user.verified = true;
-                user.verifiedAt = user.verifiedAt || Date.now();
-                user.verificationType = user.verificationType || 'subscriber';
-              }
-              console.log('[webhook] Subscription PIX approved:', { userId: sub.userId, plan: sub.planId });
-              saveDB('users');
-              // Notify payer of subscription activation receipt
-              io.to(`user:${sub.userId}`).emit('payment-receipt', {
-                type: 'subscription', amount: tip.amount, status: 'approved',
-                method: 'pix', planId: sub.planId,
-                transactionId: tip.mpPaymentId || tip.id,
-                timestamp: Date.now()
-              });
-            }
-          }
-          // Handle event entry PIX activation
-          else if (tip.type === 'entry' && tip.eventId) {
-            const ev = db.operatorEvents[tip.eventId];
-            if (ev) {
-              ev.revenue = (ev.revenue || 0) + tip.amount;
-              ev.paidCheckins = (ev.paidCheckins || 0) + 1;
-              if (!ev.participants) ev.participants = [];
-              if (!ev.participants.includes(tip.payerId)) ev.participants.push(tip.payerId);
-              if (!db.eventPayments) db.eventPayments = {};
-              db.eventPayments[tip.id] = {
-                id: tip.id, payerId: tip.payerId, eventId: ev.id, eventName: ev.name || '',
-                amount: tip.amount, fee: tip.fee || 0, receiverId: ev.creatorId, currency: 'brl',
-                mpPaymentId: tip.mpPaymentId, status: 'approved', method: 'pix',
-                type: 'entry', createdAt: tip.createdAt || Date.now()
-              };
-              saveDB('operatorEvents', 'eventPayments');
-              io.emit('checkin', { eventId: ev.id, userId: tip.payerId });
-              io.to(`user:${ev.creatorId}`).emit('entry-paid', { userId: tip.payerId, amount: tip.amount, eventId: ev.id, status: 'approved', method: 'pix' });
-              io.to(`user:${tip.payerId}`).emit('payment-receipt', {
-                type: 'entry', amount: tip.amount, status: 'approved',
-                method: 'pix', eventName: ev.name || '',
-                transactionId: tip.mpPaymentId || tip.id,
-                timestamp: Date.now()
-              });
-              console.log('[webhook] Entry PIX approved:', { event: ev.name, userId: tip.payerId });
-            }
-          }
-          // Handle combined entry+parking PIX activation
-          else if (tip.type === 'entry_parking' && tip.eventId) {
-            const ev = db.operatorEvents[tip.eventId];
-            if (ev) {
-              ev.revenue = (ev.revenue || 0) + tip.amount;
-              ev.paidCheckins = (ev.paidCheckins || 0) + 1;
-              if (!ev.participants) ev.participants = [];
-              if (!ev.participants.includes(tip.payerId)) ev.participants.push(tip.payerId);
-              // Mark parking as paid
-              const plate = tip.plate || '';
-              if (plate && ev.parking && ev.parking.vehicles && ev.parking.vehicles[plate]) {
-                ev.parking.vehicles[plate].amountPaid = tip.parkingAmount || 0;
-                ev.parking.vehicles[plate].amountDue = 0;
-                ev.parking.vehicles[plate].status = 'paid';
-                ev.parking.vehicles[plate].paidAt = Date.now();
-                io.emit('parking-payment-received', { eventId: ev.id, plate: plate, amount: tip.parkingAmount || 0, status: 'paid' });
-              }
-              if (!db.eventPayments) db.eventPayments = {};
-              db.eventPayments[tip.id] = {
-                id: tip.id, payerId: tip.payerId, eventId: ev.id, eventName: ev.name || '',
-                amount: tip.amount, fee: tip.fee || 0, receiverId: ev.creatorId, currency: 'brl',
-                mpPaymentId: tip.mpPaymentId, status: 'approved', method: 'pix',
-                type: 'entry_parking', plate: plate, createdAt: tip.createdAt || Date.now()
-              };
-              saveDB('operatorEvents', 'eventPayments');
-              io.to(`user:${ev.creatorId}`).emit('entry-paid', { userId: tip.payerId, amount: tip.amount, eventId: ev.id, status: 'approved', method: 'pix', includesParking: true, plate: plate, nickname: db.users[tip.payerId]?.nickname || '' });
-              io.to(`user:${tip.payerId}`).emit('payment-receipt', {
-                type: 'entry_parking', amount: tip.amount, status: 'approved',
-                method: 'pix', eventName: ev.name || '', plate: plate,
-                transactionId: tip.mpPaymentId || tip.id,
-                timestamp: Date.now()
-              });
-              console.log('[webhook] Entry+Parking PIX approved:', { event: ev.name, userId: tip.payerId, plate: plate });
-            }
-          }
-          // Regular tip
-          else {
-            const receiver = db.users[tip.receiverId];
-            if (receiver && tip.receiverId !== 'platform') {
-              receiver.tipsReceived = (receiver.tipsReceived || 0) + 1;
-              receiver.tipsTotal = (receiver.tipsTotal || 0) + tip.amount;
-            }
-            io.to(`user:${tip.receiverId}`).emit('tip-received', { amount: tip.amount, from: db.users[tip.payerId]?.nickname || '?' });
-            // Notify payer that their MP/PIX tip was approved (receipt)
-            io.to(`user:${tip.payerId}`).emit('payment-receipt', {
-              type: 'tip', amount: tip.amount, status: 'approved',
-              method: tip.paymentMethod || 'mercadopago',
-              recipientName: receiver?.nickname || receiver?.name || 'Prestador',
-              transactionId: tip.mpPaymentId || tip.id,
-              timestamp: Date.now()
-            });
-            console.log('[webhook] Regular tip approved via MP:', { payerId: tip.payerId, amount: tip.amount });
-          }
-        }
-        saveDB('tips', 'users');
-      }).catch(e => console.error('Webhook MP fetch error:', e));
-    }
-  }
+  acceptWebhook('mercadopago', mpNotificationId(req), req.body.type, req.body);
   res.sendStatus(200);
 });
 
@@ -11738,16 +14636,16 @@ app.post('/api/subscription/create-card', paymentLimiter, async (req, res) => {
           body: JSON.stringify({ email })
         });
         const newCust = await createResp.json();
-        if (!newCust.id) { delete user.savedCard; saveDB('users'); return res.status(400).json({ error: 'Cadastre o cartão novamente.', cardExpired: true }); }
+        if (!newCust.id) { delete user.savedCard; saveDB('users/' + userId); return res.status(400).json({ error: 'Cadastre o cartão novamente.', cardExpired: true }); }
         custId = newCust.id;
       }
       user.savedCard.customerId = custId;
       // Get cards from updated customer
       const cardsResp = await fetch('https://api.mercadopago.com/v1/customers/' + custId + '/cards', { headers: { 'Authorization': 'Bearer ' + MP_ACCESS_TOKEN } });
       const cards = cardsResp.ok ? await cardsResp.json() : [];
-      if (!Array.isArray(cards) || !cards.length) { delete user.savedCard; saveDB('users'); return res.status(400).json({ error: 'Cadastre o cartão novamente.', cardExpired: true }); }
+      if (!Array.isArray(cards) || !cards.length) { delete user.savedCard; saveDB('users/' + userId); return res.status(400).json({ error: 'Cadastre o cartão novamente.', cardExpired: true }); }
       user.savedCard.cardId = cards[0].id;
-      saveDB('users');
+      saveDB('users/' + userId);
     }
     // Create token with CVV — try with customer, fallback without
     let tokenData;
@@ -11777,31 +14675,33 @@ app.post('/api/subscription/create-card', paymentLimiter, async (req, res) => {
     if (!payerCpf || payerCpf === '00000000000') {
       return res.status(400).json({ error: 'Cadastre seu CPF no perfil antes de assinar.' });
     }
-    const planAmounts = { touch_plus: 50.00, touch_selo: 10.00 };
-    const planNames = { touch_plus: 'Touch? Plus', touch_selo: 'Selo de Verificacao' };
-    const subAmount = planAmounts[planId] || 50.00;
-    const subName = planNames[planId] || 'Touch? Plus';
+    const offer = subscriberOffer(userId, planId || 'touch_plus', subscriptionRegion('mercadopago'));
+    if (!offer) return res.status(400).json({ error: 'Plano não encontrado.' });
     const paymentData = {
-      transaction_amount: subAmount,
+      transaction_amount: offer.amount,
       token: tokenData.id,
       payment_method_id: user.savedCard.paymentMethodId || 'visa',
       installments: 1,
       payer: { email: payerEmail, identification: { type: 'CPF', number: payerCpf } },
-      description: subName + ' — Assinatura mensal',
-      statement_descriptor: planId === 'touch_selo' ? 'TOUCH SELO' : 'TOUCH PLUS',
-      metadata: { user_id: userId, type: 'subscription', plan: planId }
+      description: offer.name + ' — Assinatura mensal',
+      statement_descriptor: offer.id === 'touch_selo' ? 'TOUCH SELO' : 'TOUCH PLUS',
+      metadata: { user_id: userId, type: 'subscription', plan: offer.id }
     };
     console.log('[PAY] Sub card pay:', { email: payerEmail, cpf: payerCpf ? '***' + payerCpf.slice(-4) : 'none', method: user.savedCard.paymentMethodId, token: tokenData.id?.slice(0, 8) });
     const result = await mpPayment.create({ body: paymentData });
     console.log('[PAY] Sub card result:', { id: result.id, status: result.status, detail: result.status_detail });
     if (result.status === 'approved') {
-      user.subscription = { active: true, planId, method: 'card', startDate: new Date().toISOString(), mpPaymentId: result.id };
-      user.isSubscriber = true;
-      user.verified = true;
-      user.verifiedAt = user.verifiedAt || Date.now();
-      user.verificationType = user.verificationType || 'subscriber';
-      saveDB('users');
-      res.json({ ok: true, status: result.status });
+      user.subscription = { active: true, planId: offer.id, method: 'card', startDate: new Date().toISOString(), mpPaymentId: result.id };
+      // Same lifecycle as PIX: 30 days per payment, renewing the same plan extends the period
+      const current = db.subscriptions[userId];
+      const sub = current && current.planId === offer.id && ONE_OFF_METHODS.includes(current.method) && current.status !== 'cancelled'
+        ? current
+        : newSubscription(userId, offer, 'mercadopago', 'card', {});
+      sub.method = 'card';
+      sub.mpPaymentId = result.id;
+      extendSubscriptionPeriod(sub);
+      setSubscriptionState(sub, 'active', 'mercadopago');
+      res.json({ ok: true, status: result.status, subscription: subscriptionView(sub) });
     } else {
       const detail = result.status_detail || result.status || 'recusado';
       const msgs = { cc_rejected_bad_filled_card_number: 'Número do cartão inválido', cc_rejected_bad_filled_date: 'Data de validade incorreta', cc_rejected_bad_filled_other: 'Dados do cartão incorretos', cc_rejected_bad_filled_security_code: 'CVV incorreto', cc_rejected_blacklist: 'Cartão bloqueado', cc_rejected_call_for_authorize: 'Ligue para a operadora para autorizar', cc_rejected_card_disabled: 'Cartão desabilitado', cc_rejected_duplicated_payment: 'Pagamento duplicado', cc_rejected_high_risk: 'Pagamento rejeitado por segurança', cc_rejected_insufficient_amount: 'Saldo insuficiente', cc_rejected_max_attempts: 'Excedido número de tentativas', cc_rejected_other_reason: 'Cartão recusado — tente outro' };
@@ -11825,17 +14725,30 @@ app.delete('/api/tip/saved-card/:userId', async (req, res) => {
     } catch (e) { console.error('Delete card from MP error:', e); }
   }
   delete user.savedCard;
-  saveDB('users');
+  saveDB('users/' + req.params.userId);
   res.json({ ok: true });
 });
 
 // ═══ ASSINATURA / SUBSCRIPTION ═══
+// Catalogo unico: o plano define nome, beneficios, ciclo e nivel (tier); preco e dias de trial
+// vem de PRICING[regiao] (priceKey / trialKey, editaveis em /api/admin/pricing).
+// Cada preco vira uma versao imutavel em db.planVersions (<planId>_<regiao>_v<n>) e a assinatura
+// guarda a versao do dia em que foi feita: renovar o mesmo plano mantem esse preco enquanto ele
+// nao for maior que o atual (grandfathering). Registros antigos viram versoes *_legacy_<centavos>.
+// MercadoPago cobra em BRL (regiao BR); Stripe usa a regiao do pedido.
+// db.subscriptions[userId] = { id, userId, planId, planVersionId, region, amount, currency, gateway, method,
+//   status, trialDays?, trialEndsAt?, currentPeriodStart, currentPeriodEnd, expiresAt, pendingChange?,
+//   planChanges?, history: [{ at, status, by }], mpPreapprovalId? | mpPaymentId? | stripeSubscriptionId? }
+// method: preapproval (MP recorrente), checkout (Stripe recorrente), pix / card (MP avulso, 30 dias por pagamento)
+// Estados e traducao dos gateways: subscriptions/index.js
+const subscriptionKit = require('./subscriptions');
 const SUBSCRIPTION_PLANS = {
   touch_plus: {
     id: 'touch_plus',
     name: 'Touch? Plus',
-    amount: 50.00,
-    currency: 'BRL',
+    tier: 2,
+    priceKey: 'plusMonthly',
+    trialKey: 'plusTrialDays',
     frequency: 1, // months
     description: 'Assinatura mensal Touch? Plus',
     benefits: ['Assistente de voz AI ilimitado', 'Selo de verificação incluso', 'Prioridade na constelação', 'Badge exclusivo Plus', 'Sem limites de conexões', 'Acesso antecipado a novidades', 'Liberar AI para amigos']
@@ -11843,20 +14756,304 @@ const SUBSCRIPTION_PLANS = {
   touch_selo: {
     id: 'touch_selo',
     name: 'Selo de Verificação',
-    amount: 10.00,
-    currency: 'BRL',
+    tier: 1,
+    priceKey: 'seloMonthly',
+    trialKey: 'seloTrialDays',
     frequency: 1, // months
     description: 'Selo de verificação Touch?',
     benefits: ['Selo de verificação ✓', 'Perfil destacado', 'Credibilidade nas conexões']
   }
 };
+const ONE_OFF_METHODS = ['pix', 'card'];
+
+function latestPlanVersion(planId, region) {
+  let latest = null;
+  for (const v of Object.values(db.planVersions)) {
+    if (v.planId === planId && v.region === region && !v.legacy && (!latest || v.version > latest.version)) latest = v;
+  }
+  return latest;
+}
+
+// New version whenever the regional price or currency changed; older ones stay for their subscribers
+function ensurePlanVersion(plan, region) {
+  const p = PRICING[region];
+  const amount = p[plan.priceKey];
+  const latest = latestPlanVersion(plan.id, region);
+  if (latest && latest.amount === amount && latest.currency === p.currency) return latest;
+  const version = (latest ? latest.version : 0) + 1;
+  const v = { id: plan.id + '_' + region + '_v' + version, planId: plan.id, region, version, amount, currency: p.currency, frequency: plan.frequency, createdAt: Date.now() };
+  db.planVersions[v.id] = v;
+  saveDB('planVersions/' + v.id);
+  console.log('[subscriptions] nova versao de preco:', v.id, amount, p.currency);
+  return v;
+}
+
+function syncPlanVersions() {
+  if (!dbLoaded) return;
+  for (const plan of Object.values(SUBSCRIPTION_PLANS)) {
+    for (const region of Object.keys(PRICING)) ensurePlanVersion(plan, region);
+  }
+}
+
+// MercadoPago only charges BRL; Stripe follows the requested currency, then the detected region
+function subscriptionRegion(gateway, req, currency) {
+  if (gateway === 'mercadopago') return 'BR';
+  const detected = detectRegion(req);
+  if (!currency || PRICING[detected].currency === currency) return detected;
+  return Object.keys(PRICING).find(r => PRICING[r].currency === currency) || detected;
+}
+
+// Read-only: versions are written when prices load or change (syncPlanVersions), never by a listing
+function planOffer(planId, region, user) {
+  const plan = SUBSCRIPTION_PLANS[planId];
+  if (!plan || !PRICING[region]) return null;
+  const v = latestPlanVersion(plan.id, region);
+  if (!v) return null;
+  const { priceKey, trialKey, ...info } = plan;
+  return {
+    ...info, region, versionId: v.id, version: v.version, amount: v.amount, currency: v.currency,
+    trialDays: Math.max(0, Math.floor(PRICING[region][trialKey] || 0)),
+    trialEligible: !(user && user.subscriptionTrialUsedAt)
+  };
+}
+
+// Renewing the same plan keeps the subscriber's version unless today's price is lower
+function subscriberOffer(userId, planId, region) {
+  const offer = planOffer(planId, region, db.users[userId]);
+  const sub = db.subscriptions[userId];
+  if (!offer || !sub || sub.planId !== planId || sub.status === 'cancelled' || (sub.region && sub.region !== region)) return offer;
+  const v = db.planVersions[sub.planVersionId];
+  if (!v || v.id === offer.versionId || v.amount > offer.amount) return offer;
+  return { ...offer, versionId: v.id, version: v.version, amount: v.amount, currency: v.currency, grandfathered: true };
+}
+
+// Single place that moves a subscription between states and keeps the user flags in sync
+function setSubscriptionState(sub, state, by) {
+  if (sub.status !== state) {
+    sub.status = state;
+    if (!sub.history) sub.history = [];
+    sub.history.push({ at: Date.now(), status: state, by });
+  }
+  if (state === 'cancelled' && !sub.cancelledAt) sub.cancelledAt = Date.now();
+  const user = db.users[sub.userId];
+  if (user) {
+    if (state === 'trialing' && !user.subscriptionTrialUsedAt) user.subscriptionTrialUsedAt = Date.now();
+    user.isSubscriber = subscriptionKit.isActiveState(state);
+    if (user.isSubscriber) {
+      user.verified = true;
+      user.verifiedAt = user.verifiedAt || Date.now();
+      user.verificationType = user.verificationType || 'subscriber';
+    } else if (user.verificationType === 'subscriber') {
+      user.verified = false;
+      delete user.verifiedAt;
+      delete user.verificationType;
+    }
+  }
+  saveDB('subscriptions/' + sub.userId, 'users/' + sub.userId);
+}
+
+function newSubscription(userId, offer, gateway, method, extra) {
+  const now = Date.now();
+  const sub = {
+    id: uuidv4(), userId, planId: offer.id, planVersionId: offer.versionId, region: offer.region,
+    amount: offer.amount, currency: offer.currency, gateway, method, status: null, history: [],
+    startedAt: now, createdAt: now, ...extra
+  };
+  // Trial only on the first recurring subscription
+  if (!ONE_OFF_METHODS.includes(method) && offer.trialDays > 0 && offer.trialEligible) sub.trialDays = offer.trialDays;
+  db.subscriptions[userId] = sub;
+  setSubscriptionState(sub, 'pending', gateway);
+  return sub;
+}
+
+// Gateway status -> unified state. `period` = { start, end, trialEnd } in ms when the gateway sends it.
+// MP preapproval stays 'authorized' during its free trial: that is 'trialing' here.
+function applyGatewayStatus(sub, gatewayStatus, by, period) {
+  let state = subscriptionKit.fromGatewayStatus(sub.gateway, gatewayStatus);
+  if (!state) return;
+  const now = Date.now();
+  if (period && period.trialEnd) sub.trialEndsAt = period.trialEnd;
+  if (period && period.start) sub.currentPeriodStart = period.start;
+  if (period && period.end) sub.currentPeriodEnd = sub.expiresAt = period.end;
+  if (state === 'active' || state === 'trialing') {
+    if (sub.trialDays && !sub.trialEndsAt) sub.trialEndsAt = now + sub.trialDays * 86400000;
+    if (state === 'active' && sub.trialEndsAt > now) state = 'trialing';
+    if (!sub.currentPeriodEnd) {
+      sub.currentPeriodStart = now;
+      sub.currentPeriodEnd = sub.expiresAt = sub.trialEndsAt > now ? sub.trialEndsAt : now + subscriptionKit.MONTH_MS;
+    }
+  }
+  setSubscriptionState(sub, state, by);
+}
+
+// One-off payment (PIX / card): 30 more days from today or from the end of the paid period
+function extendSubscriptionPeriod(sub) {
+  const now = Date.now();
+  const base = Math.max(now, sub.currentPeriodEnd || 0);
+  if (base === now) sub.currentPeriodStart = now;
+  sub.currentPeriodEnd = sub.expiresAt = base + subscriptionKit.MONTH_MS;
+}
+
+function isRecurringSubscription(sub) {
+  return !!(sub.mpPreapprovalId || sub.stripeSubscriptionId || sub.stripeSessionId || sub.isManualGrant);
+}
+
+function expireIfLapsed(sub) {
+  const end = sub.currentPeriodEnd || sub.expiresAt;
+  if (end && end < Date.now() && !isRecurringSubscription(sub) && subscriptionKit.isActiveState(sub.status)) {
+    setSubscriptionState(sub, 'expired', 'expiry');
+  }
+}
+
+function applyPlanChange(sub, by) {
+  const c = sub.pendingChange;
+  if (!c) return;
+  if (!sub.planChanges) sub.planChanges = [];
+  sub.planChanges.push({
+    at: Date.now(), kind: c.kind, from: sub.planId, to: c.planId, fromVersion: sub.planVersionId, toVersion: c.versionId,
+    prorationAmount: c.prorationAmount || 0, by
+  });
+  sub.planId = c.planId;
+  sub.planVersionId = c.versionId;
+  sub.amount = c.amount;
+  sub.currency = c.currency;
+  delete sub.pendingChange;
+  saveDB('subscriptions/' + sub.userId);
+  io.to(`user:${sub.userId}`).emit('subscription-updated', { planId: sub.planId, status: sub.status, amount: sub.amount });
+}
+
+// Stripe price per plan version (created once, reused by checkout and plan changes)
+async function stripePriceFor(version) {
+  if (version.stripePriceId) return version.stripePriceId;
+  const plan = SUBSCRIPTION_PLANS[version.planId];
+  const price = await stripeInstance.prices.create({
+    currency: version.currency,
+    unit_amount: Math.round(version.amount * 100),
+    recurring: { interval: 'month', interval_count: version.frequency || 1 },
+    product_data: { name: plan.description, metadata: { planId: plan.id } },
+    metadata: { planVersionId: version.id }
+  });
+  version.stripePriceId = price.id;
+  saveDB('planVersions/' + version.id);
+  return price.id;
+}
+
+// Next charges at the change's price. prorationBehavior only matters for Stripe.
+async function updateGatewayPlan(sub, change, prorationBehavior) {
+  if (sub.gateway === 'stripe' && sub.stripeSubscriptionId) {
+    if (!stripeInstance) throw new Error('Stripe nao configurado');
+    const stripeSub = await stripeInstance.subscriptions.retrieve(sub.stripeSubscriptionId);
+    await stripeInstance.subscriptions.update(sub.stripeSubscriptionId, {
+      items: [{ id: stripeSub.items.data[0].id, price: await stripePriceFor(db.planVersions[change.versionId]) }],
+      proration_behavior: prorationBehavior,
+      metadata: { planId: change.planId }
+    });
+  } else if (sub.mpPreapprovalId) {
+    const r = await fetch(MP_API_BASE + '/preapproval/' + sub.mpPreapprovalId, {
+      method: 'PUT',
+      headers: { 'Authorization': 'Bearer ' + MP_ACCESS_TOKEN, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ auto_recurring: { transaction_amount: change.amount, currency_id: change.currency.toUpperCase() } })
+    });
+    if (!r.ok) throw new Error('MercadoPago HTTP ' + r.status);
+  }
+}
+
+// Upgrade paid by PIX (MercadoPago): the new plan starts now and the preapproval charges the new price
+async function completePlanChangePayment(sub) {
+  try {
+    await updateGatewayPlan(sub, sub.pendingChange);
+  } catch (e) {
+    sub.gatewaySyncError = e.message;
+    console.error('[subscriptions] preapproval nao atualizado:', sub.id, e.message);
+  }
+  applyPlanChange(sub, 'mercadopago');
+}
+
+async function cancelSubscription(sub, by) {
+  if (sub.gateway === 'stripe' && sub.stripeSubscriptionId) {
+    if (!stripeInstance) throw new Error('Stripe nao configurado');
+    await stripeInstance.subscriptions.cancel(sub.stripeSubscriptionId);
+  } else if (sub.mpPreapprovalId) {
+    if (!MP_ACCESS_TOKEN) throw new Error('Sistema de pagamento não configurado.');
+    const r = await fetch(MP_API_BASE + '/preapproval/' + sub.mpPreapprovalId, {
+      method: 'PUT',
+      headers: { 'Authorization': 'Bearer ' + MP_ACCESS_TOKEN, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'cancelled' })
+    });
+    if (!r.ok) throw new Error('MercadoPago HTTP ' + r.status);
+  }
+  delete sub.pendingChange;
+  setSubscriptionState(sub, 'cancelled', by);
+}
+
+// Registros anteriores ao catalogo: 'authorized' vira 'active' e o valor pago vira uma versao legada
+function migrateSubscriptions() {
+  for (const [uid, sub] of Object.entries(db.subscriptions)) {
+    if (!sub || typeof sub !== 'object') continue;
+    const before = JSON.stringify(sub);
+    sub.userId = sub.userId || uid;
+    if (sub.status === 'authorized') sub.status = 'active';
+    if (!sub.gateway) sub.gateway = sub.stripeSessionId || sub.stripeSubscriptionId ? 'stripe' : 'mercadopago';
+    if (!sub.method) sub.method = sub.mpPreapprovalId ? 'preapproval' : sub.gateway === 'stripe' ? 'checkout' : sub.mpPaymentId ? 'pix' : undefined;
+    if (!sub.planVersionId && SUBSCRIPTION_PLANS[sub.planId] && sub.amount) {
+      const id = sub.planId + '_BR_legacy_' + toCents(sub.amount);
+      if (!db.planVersions[id]) {
+        db.planVersions[id] = { id, planId: sub.planId, region: 'BR', version: 0, amount: sub.amount, currency: 'brl', frequency: 1, legacy: true, createdAt: sub.createdAt || Date.now() };
+        saveDB('planVersions/' + id);
+      }
+      sub.planVersionId = id;
+      sub.region = sub.region || 'BR';
+      sub.currency = sub.currency || 'brl';
+    }
+    if (!sub.currentPeriodEnd && sub.expiresAt) sub.currentPeriodEnd = sub.expiresAt;
+    if (!sub.method) delete sub.method;
+    if (JSON.stringify(sub) !== before) saveDB('subscriptions/' + uid);
+  }
+}
+
+// Hourly: one-off periods that ran out, MP trials that ended, downgrades due at the end of the cycle
+setInterval(() => {
+  if (!dbLoaded) return;
+  const now = Date.now();
+  for (const sub of Object.values(db.subscriptions)) {
+    if (!sub || !sub.userId) continue;
+    expireIfLapsed(sub);
+    if (sub.status === 'trialing' && sub.gateway === 'mercadopago' && sub.trialEndsAt < now) setSubscriptionState(sub, 'active', 'trial-end');
+    if (sub.pendingChange && sub.pendingChange.effectiveAt && sub.pendingChange.effectiveAt <= now && subscriptionKit.isActiveState(sub.status)) applyPlanChange(sub, 'schedule');
+  }
+}, 60 * 60 * 1000);
+
+function subscriptionView(sub) {
+  const current = sub.region ? latestPlanVersion(sub.planId, sub.region) : null;
+  const c = sub.pendingChange;
+  return {
+    active: subscriptionKit.isActiveState(sub.status),
+    plan: sub.planId,
+    status: sub.status,
+    gateway: sub.gateway || null,
+    method: sub.method || null,
+    amount: sub.amount,
+    currency: sub.currency,
+    planVersionId: sub.planVersionId || null,
+    grandfathered: !!(current && sub.planVersionId && sub.planVersionId !== current.id),
+    currentPrice: current ? current.amount : null,
+    trialEndsAt: sub.trialEndsAt || null,
+    currentPeriodEnd: sub.currentPeriodEnd || null,
+    expiresAt: sub.currentPeriodEnd || sub.expiresAt,
+    startedAt: sub.startedAt,
+    pendingChange: c ? { planId: c.planId, kind: c.kind, amount: c.amount, effectiveAt: c.effectiveAt || null, prorationAmount: c.prorationAmount || 0, awaitingPayment: !!c.mpPaymentId } : null,
+    mpPreapprovalId: sub.mpPreapprovalId
+  };
+}
 
 // Initialize subscriptions DB
 if (!db.subscriptions) db.subscriptions = {};
 
-// Get subscription plans
+// Get subscription plans (priced for the caller's region; ?gateway=mercadopago -> BR, ?userId -> grandfathered price)
 app.get('/api/subscription/plans', (req, res) => {
-  res.json(Object.values(SUBSCRIPTION_PLANS));
+  const region = req.query.gateway ? subscriptionRegion(req.query.gateway, req, req.query.currency) : detectRegion(req);
+  const userId = req.query.userId && db.users[req.query.userId] ? req.query.userId : null;
+  res.json(Object.keys(SUBSCRIPTION_PLANS).map(id => userId ? subscriberOffer(userId, id, region) : planOffer(id, region)).filter(Boolean));
 });
 
 // Get user subscription status
@@ -11868,31 +15065,22 @@ app.get('/api/subscription/status/:userId', (req, res) => {
   if (!sub || sub.status === 'cancelled') {
     return res.json({ active: false, plan: null });
   }
-  // Check if still valid
-  const now = Date.now();
-  if (sub.expiresAt && sub.expiresAt < now && sub.status !== 'authorized') {
-    sub.status = 'expired';
-    saveDB('users');
-    return res.json({ active: false, plan: sub.planId, status: 'expired' });
-  }
-  res.json({
-    active: sub.status === 'authorized' || sub.status === 'active' || (sub.expiresAt && sub.expiresAt > now),
-    plan: sub.planId,
-    status: sub.status,
-    expiresAt: sub.expiresAt,
-    startedAt: sub.startedAt,
-    mpPreapprovalId: sub.mpPreapprovalId
-  });
+  expireIfLapsed(sub);
+  res.json(subscriptionView(sub));
 });
 
-// Create subscription via MP Checkout Pro (simpler: recurring preference)
+// Create subscription via MP Preapproval (recurring, BRL)
 app.post('/api/subscription/create', paymentLimiter, async (req, res) => {
   const { userId, planId } = req.body;
   if (!userId || !planId) return res.status(400).json({ error: 'Dados incompletos.' });
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'Usuário não encontrado.' });
-  const plan = SUBSCRIPTION_PLANS[planId];
-  if (!plan) return res.status(400).json({ error: 'Plano não encontrado.' });
+  const offer = subscriberOffer(userId, planId, subscriptionRegion('mercadopago'));
+  if (!offer) return res.status(400).json({ error: 'Plano não encontrado.' });
+  const current = db.subscriptions[userId];
+  if (current && subscriptionKit.isActiveState(current.status) && isRecurringSubscription(current)) {
+    return res.status(409).json({ error: 'Assinatura já ativa. Use a troca de plano.' });
+  }
   if (!MP_ACCESS_TOKEN) return res.status(500).json({ error: 'Sistema de pagamento não configurado.' });
 
   const payerEmail = user.email || user.savedCard?.email || '';
@@ -11906,20 +15094,23 @@ app.post('/api/subscription/create', paymentLimiter, async (req, res) => {
   try {
     // Use MP Preapproval API (auto_recurring subscription)
     const preapprovalData = {
-      reason: plan.description,
+      reason: offer.description,
       auto_recurring: {
-        frequency: plan.frequency,
+        frequency: offer.frequency,
         frequency_type: 'months',
-        transaction_amount: plan.amount,
-        currency_id: plan.currency
+        transaction_amount: offer.amount,
+        currency_id: offer.currency.toUpperCase()
       },
       back_url: baseUrl + '/sub-result?subId=' + subId + '&userId=' + userId,
       payer_email: payerEmail,
       external_reference: subId,
       notification_url: baseUrl + '/mp/webhook/subscription'
     };
+    if (offer.trialDays > 0 && offer.trialEligible) {
+      preapprovalData.auto_recurring.free_trial = { frequency: offer.trialDays, frequency_type: 'days' };
+    }
 
-    const mpResp = await fetch('https://api.mercadopago.com/preapproval', {
+    const mpResp = await fetch(MP_API_BASE + '/preapproval', {
       method: 'POST',
       headers: {
         'Authorization': 'Bearer ' + MP_ACCESS_TOKEN,
@@ -11934,28 +15125,17 @@ app.post('/api/subscription/create', paymentLimiter, async (req, res) => {
       throw new Error(preapproval.message || 'Erro ao criar assinatura');
     }
 
-    console.log('[SUB] Subscription created:', { id: preapproval.id, status: preapproval.status });
+    console.log('[SUB] Subscription created:', { id: preapproval.id, status: preapproval.status, version: offer.versionId });
 
-    // Save subscription
-    db.subscriptions[userId] = {
-      id: subId,
-      userId,
-      planId: plan.id,
-      mpPreapprovalId: preapproval.id,
-      status: preapproval.status || 'pending',
-      startedAt: Date.now(),
-      expiresAt: Date.now() + 30 * 86400000, // 30 days initial
-      amount: plan.amount,
-      createdAt: Date.now()
-    };
-    user.isSubscriber = false; // Will be activated on webhook confirmation
-    saveDB('users');
+    // Activated by the return page / webhook
+    newSubscription(userId, offer, 'mercadopago', 'preapproval', { id: subId, mpPreapprovalId: preapproval.id });
 
     res.json({
       subId,
       initPoint: preapproval.init_point,
       sandboxInitPoint: preapproval.sandbox_init_point,
-      status: preapproval.status
+      status: preapproval.status,
+      trialDays: preapprovalData.auto_recurring.free_trial ? offer.trialDays : 0
     });
   } catch (e) {
     console.error('Subscription error:', e.message);
@@ -11968,92 +15148,49 @@ app.get('/sub-result', (req, res) => {
   const { subId, userId } = req.query;
   if (subId && userId && db.subscriptions[userId]) {
     const sub = db.subscriptions[userId];
-    if (sub.id === subId) {
-      sub.status = 'authorized';
-      const user = db.users[userId];
-      if (user) {
-        user.isSubscriber = true;
-        user.verified = true;
-        user.verifiedAt = user.verifiedAt || Date.now();
-        user.verificationType = user.verificationType || 'subscriber';
-      }
-      saveDB('users');
-    }
+    if (sub.id === subId && sub.status === 'pending') applyGatewayStatus(sub, 'authorized', 'mp-return');
   }
   res.redirect('/?subResult=ok');
 });
 
 // Subscription webhook
+registerWebhookHandler('mercadopago', 'subscription_preapproval', async (payload) => {
+  const data = payload.data;
+  if (!data || !data.id) return;
+  // Fetch latest status
+  const r = await fetch(MP_API_BASE + '/preapproval/' + data.id, {
+    headers: { 'Authorization': 'Bearer ' + MP_ACCESS_TOKEN }
+  });
+  if (!r.ok) throw new Error('MP preapproval ' + data.id + ': HTTP ' + r.status);
+  const pa = await r.json();
+  // Find subscription by mpPreapprovalId
+  const sub = Object.values(db.subscriptions).find(v => v && v.mpPreapprovalId === data.id);
+  if (sub) {
+    const next = pa.next_payment_date ? Date.parse(pa.next_payment_date) : null;
+    applyGatewayStatus(sub, pa.status, 'mercadopago', next ? { end: next } : null); // authorized, paused, cancelled
+    console.log('[webhook] Subscription:', { userId: sub.userId, status: sub.status });
+  }
+});
+
 app.post('/mp/webhook/subscription', (req, res) => {
   // Validate webhook signature
   if (!verifyMPWebhookSignature(req)) {
     console.warn('[WARN] MP Sub Webhook: signature inválida', { ip: req.ip });
     return res.sendStatus(401);
   }
-  const { type, data } = req.body;
-  if (type === 'subscription_preapproval' && data && data.id) {
-    // Fetch latest status
-    fetch('https://api.mercadopago.com/preapproval/' + data.id, {
-      headers: { 'Authorization': 'Bearer ' + MP_ACCESS_TOKEN }
-    }).then(r => r.json()).then(pa => {
-      // Find subscription by mpPreapprovalId
-      const entry = Object.entries(db.subscriptions).find(([k, v]) => v.mpPreapprovalId === data.id);
-      if (entry) {
-        const [uid, sub] = entry;
-        sub.status = pa.status; // authorized, paused, cancelled
-        const user = db.users[uid];
-        if (user) {
-          user.isSubscriber = (pa.status === 'authorized');
-          if (pa.status === 'authorized') {
-            user.verified = true;
-            user.verifiedAt = user.verifiedAt || Date.now();
-            user.verificationType = user.verificationType || 'subscriber';
-          }
-        }
-        if (pa.status === 'cancelled') {
-          sub.cancelledAt = Date.now();
-        }
-        saveDB('users');
-        console.log('[webhook] Subscription:', { userId: uid, status: pa.status });
-      }
-    }).catch(e => console.error('Sub webhook error:', e));
-  }
+  acceptWebhook('mercadopago', mpNotificationId(req), req.body.type, req.body);
   res.sendStatus(200);
 });
 
-// Cancel subscription
+// Cancel subscription (MercadoPago or Stripe)
 app.post('/api/subscription/cancel', async (req, res) => {
   const { userId } = req.body;
   if (!userId) return res.status(400).json({ error: 'userId obrigatório.' });
   const sub = db.subscriptions[userId];
   if (!sub) return res.status(404).json({ error: 'Assinatura não encontrada.' });
-  if (!MP_ACCESS_TOKEN) return res.status(500).json({ error: 'Sistema de pagamento não configurado.' });
 
   try {
-    // Cancel on MP
-    if (sub.mpPreapprovalId) {
-      await fetch('https://api.mercadopago.com/preapproval/' + sub.mpPreapprovalId, {
-        method: 'PUT',
-        headers: {
-          'Authorization': 'Bearer ' + MP_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ status: 'cancelled' })
-      });
-    }
-    sub.status = 'cancelled';
-    sub.cancelledAt = Date.now();
-    const user = db.users[userId];
-    if (user) {
-      user.isSubscriber = false;
-      // Only remove verified if it was subscriber-only verification
-      if (user.verificationType === 'subscriber') {
-        user.verified = false;
-        delete user.verifiedAt;
-        delete user.verificationType;
-      }
-    }
-    saveDB('users');
+    await cancelSubscription(sub, 'user');
     res.json({ ok: true });
   } catch (e) {
     console.error('Cancel sub error:', e);
@@ -12061,14 +15198,105 @@ app.post('/api/subscription/cancel', async (req, res) => {
   }
 });
 
+// Troca de plano, igual nos dois gateways:
+//   upgrade   vale na hora e cobra a diferenca proporcional ao que falta do ciclo
+//             (Stripe: fatura de proration; MercadoPago: PIX da diferenca, a troca vale quando o PIX cair)
+//   downgrade vale no fim do ciclo ja pago (pendingChange.effectiveAt), sem estorno
+//   em trial a troca e imediata e sem cobranca
+app.post('/api/subscription/change-plan', requireAuth, paymentLimiter, async (req, res) => {
+  const { userId, planId, email, cpf } = req.body;
+  const user = db.users[userId];
+  const sub = db.subscriptions[userId];
+  if (!sub || !subscriptionKit.isActiveState(sub.status)) return res.status(404).json({ error: 'Nenhuma assinatura ativa.' });
+  if (sub.planId === planId) return res.status(400).json({ error: 'Você já está neste plano.' });
+  const offer = planOffer(planId, sub.region || 'BR', user);
+  if (!offer) return res.status(400).json({ error: 'Plano não encontrado.' });
+  const from = SUBSCRIPTION_PLANS[sub.planId];
+  const kind = !from || offer.tier > from.tier ? 'upgrade' : 'downgrade';
+  const now = Date.now();
+  const change = { planId, versionId: offer.versionId, amount: offer.amount, currency: offer.currency, kind, requestedAt: now };
+
+  try {
+    if (sub.status === 'trialing' || kind === 'downgrade') {
+      await updateGatewayPlan(sub, change, 'none');
+      if (sub.status !== 'trialing') change.effectiveAt = sub.currentPeriodEnd || sub.expiresAt || now;
+      sub.pendingChange = change;
+      if (!change.effectiveAt || change.effectiveAt <= now) applyPlanChange(sub, 'user');
+      else saveDB('subscriptions/' + userId);
+      return res.json({ ok: true, subscription: subscriptionView(sub) });
+    }
+
+    const charge = subscriptionKit.prorationCents({
+      fromAmount: sub.amount, toAmount: offer.amount, periodStart: sub.currentPeriodStart, periodEnd: sub.currentPeriodEnd || sub.expiresAt, now
+    });
+    change.prorationAmount = fromCents(charge);
+    if (sub.gateway === 'stripe' || charge <= 0) {
+      await updateGatewayPlan(sub, change, 'always_invoice');
+      sub.pendingChange = change;
+      applyPlanChange(sub, 'user');
+      return res.json({ ok: true, subscription: subscriptionView(sub) });
+    }
+
+    // MercadoPago: the difference is paid by PIX before the switch
+    if (!MP_ACCESS_TOKEN) return res.status(500).json({ error: 'Sistema de pagamento nao configurado.' });
+    const payerEmail = email || user.email || '';
+    const payerCPF = (cpf || user.cpf || '').replace(/\D/g, '');
+    if (!payerEmail || payerEmail.includes('@touch.app')) return res.status(400).json({ error: 'Cadastre seu email no perfil antes de assinar.' });
+    if (!payerCPF || payerCPF.length < 11) return res.status(400).json({ error: 'CPF obrigatorio para PIX.' });
+    const result = await mpPayment.create({
+      body: {
+        transaction_amount: change.prorationAmount,
+        description: offer.name + ' — diferença proporcional do ciclo',
+        payment_method_id: 'pix',
+        payer: { email: payerEmail, identification: { type: 'CPF', number: payerCPF } },
+        statement_descriptor: 'TOUCH ASSINATURA',
+        metadata: { user_id: userId, plan_id: planId, sub_id: sub.id, type: 'subscription_change' },
+        notification_url: (process.env.APP_URL || 'https://touch-irl.com') + '/mp/webhook'
+      }
+    });
+    change.mpPaymentId = result.id;
+    sub.pendingChange = change;
+    const tipId = uuidv4();
+    db.tips[tipId] = {
+      id: tipId, payerId: userId, receiverId: 'platform',
+      amount: change.prorationAmount, mpPaymentId: result.id,
+      status: result.status, method: 'pix', type: 'subscription',
+      planId, subscriptionChange: true, createdAt: now
+    };
+    if (!IDX.tipsByPayer.has(userId)) IDX.tipsByPayer.set(userId, []);
+    IDX.tipsByPayer.get(userId).push(tipId);
+    saveDB('subscriptions/' + userId, 'tips/' + tipId);
+    const pixData = result.point_of_interaction?.transaction_data;
+    res.json({
+      ok: true, subscription: subscriptionView(sub), status: result.status,
+      qrCode: pixData?.qr_code || '', qrCodeBase64: pixData?.qr_code_base64 || '', ticketUrl: pixData?.ticket_url || ''
+    });
+  } catch (e) {
+    console.error('[subscription/change-plan] error:', e.message);
+    res.status(500).json({ error: 'Erro ao trocar de plano: ' + e.message });
+  }
+});
+
+// Admin: catalog, every price version and how many active subscribers each one still has
+app.get('/api/admin/subscription-plans', adminLimiter, requireAdmin, (req, res) => {
+  const counts = {};
+  for (const sub of Object.values(db.subscriptions)) {
+    if (sub && subscriptionKit.isActiveState(sub.status) && sub.planVersionId) counts[sub.planVersionId] = (counts[sub.planVersionId] || 0) + 1;
+  }
+  const versions = Object.values(db.planVersions)
+    .map(v => ({ ...v, activeSubscribers: counts[v.id] || 0, current: !v.legacy && latestPlanVersion(v.planId, v.region)?.id === v.id }))
+    .sort((a, b) => a.planId.localeCompare(b.planId) || a.region.localeCompare(b.region) || b.version - a.version);
+  res.json({ plans: Object.values(SUBSCRIPTION_PLANS), versions });
+});
+
 // ═══ SUBSCRIPTION PIX — one-time payment that activates 30 days ═══
 app.post('/api/subscription/create-pix', paymentLimiter, async (req, res) => {
   const { userId, planId, email, cpf } = req.body;
   if (!userId || !planId) return res.status(400).json({ error: 'Dados incompletos.' });
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'Usuario nao encontrado.' });
-  const plan = SUBSCRIPTION_PLANS[planId];
-  if (!plan) return res.status(400).json({ error: 'Plano nao encontrado.' });
+  const offer = subscriberOffer(userId, planId, subscriptionRegion('mercadopago'));
+  if (!offer) return res.status(400).json({ error: 'Plano nao encontrado.' });
   if (!MP_ACCESS_TOKEN) return res.status(500).json({ error: 'Sistema de pagamento nao configurado.' });
 
   const payerEmail = email || user.email || '';
@@ -12080,42 +15308,45 @@ app.post('/api/subscription/create-pix', paymentLimiter, async (req, res) => {
     return res.status(400).json({ error: 'CPF obrigatorio para PIX.' });
   }
 
-  const subId = uuidv4();
+  // Renewal of the same one-off plan keeps the record (and its period); anything else starts a new one
+  const current = db.subscriptions[userId];
+  const renewal = current && current.planId === offer.id && ONE_OFF_METHODS.includes(current.method) && current.status !== 'cancelled';
+  const subId = renewal ? current.id : uuidv4();
 
   try {
     const paymentData = {
-      transaction_amount: plan.amount,
-      description: plan.description + ' (30 dias)',
+      transaction_amount: offer.amount,
+      description: offer.description + ' (30 dias)',
       payment_method_id: 'pix',
       payer: { email: payerEmail, identification: { type: 'CPF', number: payerCPF } },
       statement_descriptor: 'TOUCH ASSINATURA',
-      metadata: { user_id: userId, plan_id: plan.id, sub_id: subId, type: 'subscription_pix' },
+      metadata: { user_id: userId, plan_id: offer.id, sub_id: subId, type: 'subscription_pix' },
       notification_url: (process.env.APP_URL || 'https://touch-irl.com') + '/mp/webhook'
     };
 
     const result = await mpPayment.create({ body: paymentData });
 
-    console.log('[sub-pix] Payment created:', { id: result.id, status: result.status, plan: plan.id });
+    console.log('[sub-pix] Payment created:', { id: result.id, status: result.status, plan: offer.id, version: offer.versionId, renewal: !!renewal });
 
     const pixData = result.point_of_interaction?.transaction_data;
 
-    // Save subscription as pending (will be activated by webhook when PIX is paid)
-    db.subscriptions[userId] = {
-      id: subId, userId, planId: plan.id,
-      mpPaymentId: result.id, status: 'pending',
-      startedAt: Date.now(), expiresAt: Date.now() + 30 * 86400000,
-      amount: plan.amount, gateway: 'mercadopago', method: 'pix',
-      createdAt: Date.now()
-    };
+    // Activated (or extended) by the webhook when the PIX is paid
+    if (renewal) {
+      current.mpPaymentId = result.id;
+      saveDB('subscriptions/' + userId);
+    } else {
+      newSubscription(userId, offer, 'mercadopago', 'pix', { id: subId, mpPaymentId: result.id });
+    }
     // Also save as a tip/payment record for tracking
     if (!db.tips) db.tips = {};
+    const tipId = renewal ? uuidv4() : subId;
     const tipSubPix = {
-      id: subId, payerId: userId, receiverId: 'platform',
-      amount: plan.amount, mpPaymentId: result.id,
+      id: tipId, payerId: userId, receiverId: 'platform',
+      amount: offer.amount, mpPaymentId: result.id,
       status: result.status, method: 'pix', type: 'subscription',
-      planId: plan.id, createdAt: Date.now()
+      planId: offer.id, planVersionId: offer.versionId, createdAt: Date.now()
     };
-    db.tips[subId] = tipSubPix;
+    db.tips[tipId] = tipSubPix;
     if (!IDX.tipsByPayer.has(tipSubPix.payerId)) IDX.tipsByPayer.set(tipSubPix.payerId, []);
     IDX.tipsByPayer.get(tipSubPix.payerId).push(tipSubPix.id);
     if (!IDX.tipsByReceiver.has(tipSubPix.receiverId)) IDX.tipsByReceiver.set(tipSubPix.receiverId, []);
@@ -12124,6 +15355,7 @@ app.post('/api/subscription/create-pix', paymentLimiter, async (req, res) => {
 
     res.json({
       subId, status: result.status,
+      amount: offer.amount, grandfathered: !!offer.grandfathered,
       qrCode: pixData?.qr_code || '',
       qrCodeBase64: pixData?.qr_code_base64 || '',
       ticketUrl: pixData?.ticket_url || '',
@@ -12394,7 +15626,7 @@ function buildUserContext(userId) {
   // ── Subscription info ──
   const sub = db.subscriptions ? db.subscriptions[userId] : null;
   let subInfo = '';
-  if (sub && (sub.status === 'authorized' || sub.status === 'active')) {
+  if (sub && subscriptionKit.isActiveState(sub.status)) {
     subInfo = `- Assinatura: Touch? Plus ATIVA${sub.expiresAt ? ' (expira ' + formatTsForUser(sub.expiresAt, userId) + ')' : ''}`;
   } else if (user.isSubscriber) {
     subInfo = '- Assinatura: Touch? Plus ATIVA';
@@ -12994,7 +16226,7 @@ app.post('/api/agent/onboarding-done', (req, res) => {
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'Usuário não encontrado' });
   user.onboardingDone = true;
-  saveDB('users');
+  saveDB('users/' + userId);
   res.json({ ok: true });
 });
 // Reset onboarding (para testes)
@@ -13003,7 +16235,7 @@ app.post('/api/agent/onboarding-reset', (req, res) => {
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'Usuário não encontrado' });
   user.onboardingDone = false;
-  saveDB('users');
+  saveDB('users/' + userId);
   res.json({ ok: true, msg: 'Onboarding resetado' });
 });
 
@@ -13177,7 +16409,7 @@ app.post('/api/agent/note', (req, res) => {
   if (!user.agentNotes) user.agentNotes = [];
   if (user.agentNotes.length >= 50) user.agentNotes.shift();
   user.agentNotes.push({ about: aboutName || '', note, ts: Date.now() });
-  saveDB('users');
+  saveDB('users/' + userId);
   res.json({ ok: true, total: user.agentNotes.length });
 });
 
@@ -15138,6 +18370,8 @@ app.post('/api/operator/event/create', async (req, res) => {
       fiscalZip: (businessProfile.fiscalZip || '').trim().slice(0, 9),
       cnae: (businessProfile.cnae || '').trim().slice(0, 10),
       taxRegime: (businessProfile.taxRegime || '').trim().slice(0, 20),
+      defaultNcm: formatNcm(businessProfile.defaultNcm) || '',
+      defaultCfop: formatCfop(businessProfile.defaultCfop) || '',
       fiscalEmail: (businessProfile.fiscalEmail || '').trim().slice(0, 100),
       legalRepName: (businessProfile.legalRepName || '').trim().slice(0, 100),
       legalRepCpf: (businessProfile.legalRepCpf || '').trim().slice(0, 14)
@@ -15230,6 +18464,413 @@ app.post('/api/operator/event/create', async (req, res) => {
   res.json({ event: db.operatorEvents[id] });
 });
 
+// ═══ TICKETING — tipos de ingresso, lotacao, fila de espera e QR assinado ═══
+// ev.ticketing = { enabled, tiers: [tier] (tickets/), waitlist: { tierId: [{ userId, at, notifiedAt }] } }
+// db.tickets[ticketId] = { id, eventId, tierId, tierName, purchaseId, holderId, price, status, paymentId?,
+//   reservedUntil?, issuedAt?, usedAt?, usedBy?, usedDevice?, cancelledAt?, createdAt }
+//   status: reserved (PIX/checkout/cartao aguardando) -> valid -> used; cancelled (recusado, vencido ou cancelado)
+// Com ticketing ligado, pay-entry / pay-entry-pix / pay-entry-checkout cobram o price do tierId (group = groupSize
+// ingressos por compra) e o tipo free sai por /tickets/rsvp. O participante entra em ev.participants so na portaria
+// (scan do QR), nao no pagamento. pay-entry-parking continua cobrando ev.entryPrice.
+const ticketKit = require('./tickets');
+// TICKET_SIGNING_SEED fixa a chave entre restarts: trocar a semente invalida todos os QR emitidos
+const TICKET_KEYS = ticketKit.keyFromSeed(crypto.createHash('sha256').update(requiredSecret('TICKET_SIGNING_SEED')).digest());
+const TICKET_KEY_ID = ticketKit.keyId(TICKET_KEYS.publicKey);
+const TICKET_PUBLIC_KEY_PEM = TICKET_KEYS.publicKey.export({ type: 'spki', format: 'pem' });
+
+function ensureTicketing(ev) {
+  if (!ev.ticketing) ev.ticketing = { enabled: false, tiers: [], waitlist: {} };
+  if (!ev.ticketing.waitlist) ev.ticketing.waitlist = {};
+  return ev.ticketing;
+}
+
+function ticketingOn(ev) {
+  return !!(ev.ticketing && ev.ticketing.enabled && (ev.ticketing.tiers || []).length);
+}
+
+function eventTickets(eventId) {
+  return Object.values(db.tickets).filter(t => t.eventId === eventId);
+}
+
+function tierAvailabilityFor(ev, tier, userId, now = Date.now()) {
+  const held = eventTickets(ev.id).filter(t => t.tierId === tier.id && ticketKit.holdsSeat(t, now));
+  const userUnits = userId ? new Set(held.filter(t => t.holderId === userId).map(t => t.purchaseId)).size : 0;
+  return ticketKit.tierAvailability(tier, { taken: held.length, userUnits }, now);
+}
+
+const TIER_UNAVAILABLE = {
+  inactive: 'Ingresso indisponivel.', not_started: 'Vendas ainda nao abriram.', ended: 'Vendas encerradas.',
+  sold_out: 'Esgotado. Entre na fila de espera.', user_limit: 'Limite de compras por pessoa atingido.'
+};
+
+// Tier a venda para userId ou throw { status, message }
+function ticketTierFor(ev, tierId, userId) {
+  const tier = (ev.ticketing.tiers || []).find(t => t.id === tierId);
+  if (!tier) throw { status: 400, message: 'Escolha um tipo de ingresso (tierId).' };
+  const avail = tierAvailabilityFor(ev, tier, userId);
+  if (!avail.onSale) throw { status: avail.reason === 'sold_out' ? 409 : 400, message: TIER_UNAVAILABLE[avail.reason], reason: avail.reason };
+  return tier;
+}
+
+// Valor de um pay-entry: tier do ingresso com ticketing ligado, senao ev.entryPrice. Throw { status, message }
+function entryCharge(ev, body, userId) {
+  if (!ticketingOn(ev)) {
+    if (!ev.entryPrice || ev.entryPrice <= 0) throw { status: 400, message: 'Evento sem cobranca de ingresso.' };
+    return { amount: ev.entryPrice, tier: null };
+  }
+  const tier = ticketTierFor(ev, body.tierId, userId);
+  if (tier.kind === 'free') throw { status: 400, message: 'Ingresso gratuito: use a confirmacao de presenca (RSVP).' };
+  return { amount: tier.price, tier };
+}
+
+function reserveTickets(ev, tier, userId, status, paymentId = null) {
+  const now = Date.now();
+  const purchaseId = 'tp_' + uuidv4();
+  const tickets = [];
+  for (let i = 0; i < tier.groupSize; i++) {
+    const t = {
+      id: 'tk_' + crypto.randomBytes(9).toString('base64url'),
+      eventId: ev.id, tierId: tier.id, tierName: tier.name, purchaseId, holderId: userId,
+      price: Math.round(tier.price / tier.groupSize * 100) / 100, status, paymentId,
+      reservedUntil: status === 'reserved' ? now + ticketKit.TICKET_HOLD_MS : null,
+      issuedAt: status === 'valid' ? now : null, createdAt: now
+    };
+    db.tickets[t.id] = t;
+    tickets.push(t);
+  }
+  // Quem comprou sai da fila de espera do tipo
+  const wl = ensureTicketing(ev).waitlist[tier.id];
+  if (wl) ev.ticketing.waitlist[tier.id] = wl.filter(w => w.userId !== userId);
+  saveDB(...tickets.map(t => 'tickets/' + t.id), 'operatorEvents/' + ev.id);
+  return { purchaseId, tickets };
+}
+
+function purchaseTickets(purchaseId) {
+  return purchaseId ? Object.values(db.tickets).filter(t => t.purchaseId === purchaseId) : [];
+}
+
+function ticketCode(t) {
+  return ticketKit.signTicket({ id: t.id, ev: t.eventId, tier: t.tierId, uid: t.holderId, iat: t.issuedAt, kid: TICKET_KEY_ID }, TICKET_KEYS.privateKey);
+}
+
+// Pagamento da compra resolvido: aprovado emite os QR, recusado libera as vagas.
+// Aprovacao que chega com a reserva vencida so emite se o tipo ainda tiver vaga; senao
+// (ou se a reserva foi cancelada) o pagamento e estornado.
+function settleTicketPurchase(purchaseId, approved, paymentId) {
+  const all = purchaseTickets(purchaseId);
+  if (!all.length || all.some(t => t.status === 'valid' || t.status === 'used')) return;
+  const now = Date.now();
+  const ev = db.operatorEvents[all[0].eventId];
+  let tickets = all.filter(t => t.status === 'reserved');
+  if (approved) {
+    const late = all.some(t => t.status === 'reserved' ? !ticketKit.holdsSeat(t, now) : t.cancelReason === 'expired');
+    if (late) tickets = ev && lateTicketsFit(ev, all, now) ? all.filter(t => t.status === 'reserved' || t.cancelReason === 'expired') : [];
+    if (!tickets.length) {
+      refundTicketPurchase(ev, all, paymentId).catch(e => console.error('[tickets] refund error:', e.message));
+      return;
+    }
+  }
+  if (!tickets.length) return;
+  for (const t of tickets) {
+    if (paymentId) t.paymentId = paymentId;
+    if (approved) { t.status = 'valid'; t.issuedAt = now; delete t.cancelledAt; delete t.cancelReason; }
+    else { t.status = 'cancelled'; t.cancelledAt = now; t.cancelReason = 'payment'; }
+    t.reservedUntil = null;
+  }
+  saveDB(...tickets.map(t => 'tickets/' + t.id));
+  if (approved) io.to('user:' + tickets[0].holderId).emit('tickets-issued', { eventId: tickets[0].eventId, eventName: ev ? ev.name : '', tickets: tickets.map(t => ({ id: t.id, tierName: t.tierName })) });
+  else if (ev) notifyTicketWaitlist(ev, tickets[0].tierId);
+}
+
+// A compra inteira cabe no que sobrou do tipo (sem contar as vagas dela mesma)
+function lateTicketsFit(ev, tickets, now) {
+  const tier = ((ev.ticketing && ev.ticketing.tiers) || []).find(t => t.id === tickets[0].tierId);
+  if (!tier) return false;
+  if (tier.capacity == null) return true;
+  const held = eventTickets(ev.id).filter(t => t.tierId === tier.id && t.purchaseId !== tickets[0].purchaseId && ticketKit.holdsSeat(t, now));
+  return held.length + tickets.length <= tier.capacity;
+}
+
+// Pago sem vaga: cancela o que restou da reserva e devolve o valor no MP
+async function refundTicketPurchase(ev, tickets, tipId) {
+  const now = Date.now();
+  const open = tickets.filter(t => t.status === 'reserved');
+  for (const t of open) { t.status = 'cancelled'; t.cancelledAt = now; t.cancelReason = 'refunded'; }
+  if (open.length) saveDB(...open.map(t => 'tickets/' + t.id));
+  const tip = db.tips[tipId];
+  if (!tip || !tip.mpPaymentId || tip.refundedAt) return;
+  const receiver = db.users[tip.receiverId];
+  const token = receiver && receiver.mpConnected && receiver.mpAccessToken ? receiver.mpAccessToken : MP_ACCESS_TOKEN;
+  try {
+    const r = await fetch(MP_API_BASE + '/v1/payments/' + tip.mpPaymentId + '/refunds', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+  } catch (e) {
+    console.error('[tickets] Refund failed for late payment', tip.id + ':', e.message);
+    tip.refundStatus = 'refund_failed';
+    saveDB('tips');
+    return;
+  }
+  const ep = db.eventPayments[tip.id];
+  for (const rec of [tip, ep].filter(Boolean)) {
+    rec.status = 'refunded';
+    rec.refundAmount = tip.amount;
+    rec.refundReason = 'ticket_unavailable';
+    rec.refundedAt = Date.now();
+  }
+  // The approval already counted the entry
+  if (ep && ev) {
+    ev.revenue = Math.max(0, (ev.revenue || 0) - tip.amount);
+    ev.paidCheckins = Math.max(0, (ev.paidCheckins || 0) - 1);
+    saveDB('operatorEvents/' + ev.id);
+  }
+  syncPaymentLedger(ep || tip);
+  saveDB('tips', 'eventPayments');
+  console.log('[tickets] Paid purchase without a seat refunded:', tip.id);
+  io.to('user:' + tip.payerId).emit('tickets-refunded', { eventId: tip.eventId, eventName: ev ? ev.name : '', purchaseId: tickets[0].purchaseId, amount: tip.amount });
+}
+
+// Vaga abriu: avisa o proximo da fila (ele compra pelo fluxo normal)
+function notifyTicketWaitlist(ev, tierId) {
+  const tier = ((ev.ticketing && ev.ticketing.tiers) || []).find(t => t.id === tierId);
+  const queue = ev.ticketing && ev.ticketing.waitlist && ev.ticketing.waitlist[tierId];
+  if (!tier || !queue || !queue.length) return;
+  const avail = tierAvailabilityFor(ev, tier, null);
+  if (!avail.onSale) return;
+  const next = queue.find(w => !w.notifiedAt);
+  if (!next) return;
+  next.notifiedAt = Date.now();
+  saveDB('operatorEvents/' + ev.id);
+  io.to('user:' + next.userId).emit('ticket-waitlist-available', { eventId: ev.id, eventName: ev.name, tierId, tierName: tier.name, remaining: avail.remaining });
+}
+
+// Reservas vencidas (PIX/checkout sem pagamento) voltam a venda e chamam a fila de espera
+setInterval(() => {
+  const now = Date.now();
+  const freed = new Map();
+  for (const t of Object.values(db.tickets)) {
+    if (t.status !== 'reserved' || ticketKit.holdsSeat(t, now)) continue;
+    t.status = 'cancelled';
+    t.cancelledAt = now;
+    t.cancelReason = 'expired';
+    saveDB('tickets/' + t.id);
+    freed.set(t.eventId + ':' + t.tierId, t);
+  }
+  for (const t of freed.values()) {
+    const ev = db.operatorEvents[t.eventId];
+    if (ev) notifyTicketWaitlist(ev, t.tierId);
+  }
+}, 60 * 1000);
+
+function publicTicket(t, withCode) {
+  const out = {
+    id: t.id, eventId: t.eventId, tierId: t.tierId, tierName: t.tierName, purchaseId: t.purchaseId,
+    holderId: t.holderId, price: t.price, status: t.status, issuedAt: t.issuedAt || null, usedAt: t.usedAt || null
+  };
+  if (withCode && (t.status === 'valid' || t.status === 'used')) out.code = ticketCode(t);
+  return out;
+}
+
+// Portaria: confere assinatura e estado e marca o ingresso como usado (uso unico)
+function redeemTicket(ev, code, by, opts = {}) {
+  const v = ticketKit.verifyTicket(code, TICKET_KEYS.publicKey);
+  if (v.error) return { status: 400, result: 'invalid', error: 'Ingresso invalido.' };
+  const ticket = db.tickets[v.payload.id];
+  if (v.payload.ev !== ev.id || (ticket && ticket.eventId !== ev.id)) return { status: 400, result: 'wrong_event', error: 'Ingresso de outro evento.' };
+  if (!ticket) return { status: 404, result: 'unknown', error: 'Ingresso nao encontrado.' };
+  if (ticket.status === 'used') return { status: 409, result: 'used', error: 'Ingresso ja utilizado.', usedAt: ticket.usedAt, ticket: publicTicket(ticket) };
+  if (ticket.status !== 'valid') return { status: 410, result: ticket.status, error: 'Ingresso sem validade (' + ticket.status + ').', ticket: publicTicket(ticket) };
+  const now = Date.now();
+  ticket.status = 'used';
+  ticket.usedAt = opts.scannedAt ? Math.min(now, Math.max(ticket.issuedAt || 0, opts.scannedAt)) : now;
+  ticket.usedBy = by;
+  ticket.usedDevice = opts.deviceId || null;
+  if (!ev.participants) ev.participants = [];
+  const holder = db.users[ticket.holderId];
+  if (!ev.participants.includes(ticket.holderId)) {
+    ev.participants.push(ticket.holderId);
+    ev.checkinCount = ev.participants.length;
+    if (holder) awardPoints(holder.id, null, 'checkin', null, { eventId: ev.id });
+  }
+  saveDB('tickets/' + ticket.id, 'operatorEvents/' + ev.id);
+  if (holder) {
+    io.to('event:' + ev.id).emit('event-attendee-joined', {
+      eventId: ev.id, userId: holder.id, nickname: holder.nickname, color: holder.color,
+      profilePhoto: holder.profilePhoto || null, score: calcScore(holder.id),
+      stars: (holder.stars || []).length, timestamp: now
+    });
+  }
+  io.to('user:' + ticket.holderId).emit('ticket-checked-in', { eventId: ev.id, ticketId: ticket.id });
+  return { status: 200, result: 'ok', ticket: publicTicket(ticket), holder: holder ? { userId: holder.id, nickname: holder.nickname } : null };
+}
+
+app.get('/api/tickets/public-key', (req, res) => {
+  res.json({ alg: 'Ed25519', keyId: TICKET_KEY_ID, publicKey: TICKET_PUBLIC_KEY_PEM, format: ticketKit.TICKET_PREFIX + '.<payload base64url>.<assinatura base64url>' });
+});
+
+app.get('/api/operator/event/:eventId/tickets', requireEventRole('tickets'), (req, res) => {
+  const ev = req.operatorEvent;
+  const t = ensureTicketing(ev);
+  const tickets = eventTickets(ev.id);
+  const tiers = t.tiers.map(tier => {
+    const mine = tickets.filter(k => k.tierId === tier.id);
+    return {
+      ...tier, ...tierAvailabilityFor(ev, tier, null),
+      sold: mine.filter(k => k.status === 'valid' || k.status === 'used').length,
+      used: mine.filter(k => k.status === 'used').length,
+      reserved: mine.filter(k => ticketKit.holdsSeat(k, Date.now()) && k.status === 'reserved').length,
+      waitlist: (t.waitlist[tier.id] || []).length
+    };
+  });
+  res.json({ enabled: !!t.enabled, tiers, tickets: tickets.sort((a, b) => b.createdAt - a.createdAt).slice(0, 500).map(k => publicTicket(k)) });
+});
+
+app.put('/api/operator/event/:eventId/tickets/config', requireEventRole('tickets'), (req, res) => {
+  const ev = req.operatorEvent;
+  const t = ensureTicketing(ev);
+  const { tiers, errors } = req.body.tiers !== undefined ? ticketKit.validateTiers(req.body.tiers) : { tiers: t.tiers, errors: [] };
+  if (errors.length) return res.status(400).json({ error: errors[0], errors });
+  const removed = t.tiers.filter(old => !tiers.some(n => n.id === old.id)).map(old => old.id);
+  const inUse = removed.filter(id => eventTickets(ev.id).some(k => k.tierId === id && k.status !== 'cancelled'));
+  if (inUse.length) return res.status(409).json({ error: 'Tipo com ingressos emitidos nao pode ser removido (desative com active: false): ' + inUse.join(', ') + '.' });
+  t.tiers = tiers;
+  if (req.body.enabled !== undefined) t.enabled = !!req.body.enabled;
+  for (const id of removed) delete t.waitlist[id];
+  saveDB('operatorEvents/' + ev.id);
+  for (const tier of tiers) notifyTicketWaitlist(ev, tier.id);
+  res.json({ ok: true, enabled: t.enabled, tiers: t.tiers });
+});
+
+app.post('/api/operator/event/:eventId/tickets/:ticketId/cancel', requireEventRole('tickets'), (req, res) => {
+  const ev = req.operatorEvent;
+  const ticket = db.tickets[req.params.ticketId];
+  if (!ticket || ticket.eventId !== ev.id) return res.status(404).json({ error: 'Ingresso nao encontrado.' });
+  if (ticket.status === 'used') return res.status(409).json({ error: 'Ingresso ja utilizado.' });
+  if (ticket.status !== 'cancelled') {
+    ticket.status = 'cancelled';
+    ticket.cancelledAt = Date.now();
+    ticket.cancelledBy = req.authUserId;
+    ticket.cancelReason = String(req.body.reason || 'operator').slice(0, 120);
+    saveDB('tickets/' + ticket.id);
+    io.to('user:' + ticket.holderId).emit('ticket-cancelled', { eventId: ev.id, ticketId: ticket.id });
+    notifyTicketWaitlist(ev, ticket.tierId);
+  }
+  res.json({ ok: true, ticket: publicTicket(ticket) });
+});
+
+app.post('/api/operator/event/:eventId/tickets/scan', requireEventRole('door'), (req, res) => {
+  const r = redeemTicket(req.operatorEvent, req.body.code, req.authUserId, { deviceId: req.body.deviceId });
+  const { status, ...body } = r;
+  res.status(status).json(body);
+});
+
+// Portaria offline: leitores validam a assinatura localmente e mandam os scans depois.
+// Um ingresso aceito em dois leitores volta como 'used' no segundo (duplicado).
+app.post('/api/operator/event/:eventId/tickets/sync', requireEventRole('door'), (req, res) => {
+  const scans = Array.isArray(req.body.scans) ? req.body.scans.slice(0, 500) : null;
+  if (!scans) return res.status(400).json({ error: 'scans deve ser uma lista.' });
+  const results = scans
+    .slice().sort((a, b) => (Number(a && a.scannedAt) || 0) - (Number(b && b.scannedAt) || 0))
+    .map(s => {
+      const { status, ...r } = redeemTicket(req.operatorEvent, s && s.code, req.authUserId, { scannedAt: Number(s && s.scannedAt) || null, deviceId: s && s.deviceId });
+      return { code: s && s.code, ...r };
+    });
+  res.json({ ok: true, accepted: results.filter(r => r.result === 'ok').length, duplicates: results.filter(r => r.result === 'used').length, results });
+});
+
+// O que o leitor precisa para validar sem rede: chave publica + ingressos ja usados/cancelados
+app.get('/api/operator/event/:eventId/tickets/door-pack', requireEventRole('door'), (req, res) => {
+  const tickets = eventTickets(req.operatorEvent.id);
+  res.json({
+    eventId: req.operatorEvent.id, alg: 'Ed25519', keyId: TICKET_KEY_ID, publicKey: TICKET_PUBLIC_KEY_PEM,
+    used: tickets.filter(t => t.status === 'used').map(t => t.id),
+    cancelled: tickets.filter(t => t.status === 'cancelled').map(t => t.id),
+    generatedAt: Date.now()
+  });
+});
+
+// Public: tipos a venda (com o limite de quem pergunta, se userId vier)
+app.get('/api/event/:eventId/tickets', (req, res) => {
+  const ev = db.operatorEvents[req.params.eventId];
+  if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
+  if (!ticketingOn(ev)) return res.json({ enabled: false, tiers: [], entryPrice: ev.entryPrice || 0 });
+  const userId = req.query.userId && db.users[req.query.userId] ? req.query.userId : null;
+  const tiers = ev.ticketing.tiers.filter(t => t.active).map(t => {
+    const a = tierAvailabilityFor(ev, t, userId);
+    const queue = ev.ticketing.waitlist[t.id] || [];
+    return {
+      id: t.id, name: t.name, kind: t.kind, price: t.price, groupSize: t.groupSize, description: t.description,
+      salesStart: t.salesStart, salesEnd: t.salesEnd, onSale: a.onSale, reason: a.reason, remaining: a.remaining,
+      waitlisted: userId ? queue.some(w => w.userId === userId) : undefined
+    };
+  });
+  res.json({ enabled: true, eventName: ev.name, tiers });
+});
+
+// Free RSVP: ingresso valido na hora, sem pagamento
+app.post('/api/event/:eventId/tickets/rsvp', requireAuth, (req, res) => {
+  const ev = db.operatorEvents[req.params.eventId];
+  if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
+  if (!ev.active) return res.status(400).json({ error: 'Evento encerrado.' });
+  if (!ticketingOn(ev)) return res.status(400).json({ error: 'Evento sem ingressos.' });
+  try {
+    const tier = ticketTierFor(ev, req.body.tierId, req.authUserId);
+    if (tier.kind !== 'free') return res.status(400).json({ error: 'Ingresso pago: use o pagamento do ingresso.' });
+    const { purchaseId, tickets } = reserveTickets(ev, tier, req.authUserId, 'valid');
+    io.to(`user:${ev.creatorId}`).emit('ticket-rsvp', { eventId: ev.id, userId: req.authUserId, tierId: tier.id });
+    res.json({ ok: true, purchaseId, tickets: tickets.map(t => publicTicket(t, true)) });
+  } catch (e) {
+    if (!e.status) throw e;
+    res.status(e.status).json({ error: e.message, reason: e.reason });
+  }
+});
+
+app.post('/api/event/:eventId/tickets/waitlist', requireAuth, (req, res) => {
+  const ev = db.operatorEvents[req.params.eventId];
+  if (!ev || !ticketingOn(ev)) return res.status(404).json({ error: 'Evento sem ingressos.' });
+  const tier = ev.ticketing.tiers.find(t => t.id === req.body.tierId);
+  if (!tier) return res.status(400).json({ error: 'Tipo de ingresso invalido.' });
+  const avail = tierAvailabilityFor(ev, tier, req.authUserId);
+  if (avail.reason !== 'sold_out') return res.status(400).json({ error: avail.onSale ? 'Ainda ha ingressos a venda.' : TIER_UNAVAILABLE[avail.reason] });
+  const queue = ev.ticketing.waitlist[tier.id] = ev.ticketing.waitlist[tier.id] || [];
+  if (!queue.some(w => w.userId === req.authUserId)) {
+    queue.push({ userId: req.authUserId, at: Date.now(), notifiedAt: null });
+    saveDB('operatorEvents/' + ev.id);
+  }
+  res.json({ ok: true, position: queue.findIndex(w => w.userId === req.authUserId) + 1 });
+});
+
+app.delete('/api/event/:eventId/tickets/waitlist', requireAuth, (req, res) => {
+  const ev = db.operatorEvents[req.params.eventId];
+  const tierId = req.body.tierId || req.query.tierId;
+  const queue = ev && ev.ticketing && ev.ticketing.waitlist && ev.ticketing.waitlist[tierId];
+  if (queue) {
+    ev.ticketing.waitlist[tierId] = queue.filter(w => w.userId !== req.authUserId);
+    saveDB('operatorEvents/' + ev.id);
+  }
+  res.json({ ok: true });
+});
+
+// Meus ingressos com o QR (code assinado + imagem)
+app.get('/api/tickets/mine/:userId', requireAuth, async (req, res) => {
+  const tickets = Object.values(db.tickets)
+    .filter(t => t.holderId === req.authUserId && (!req.query.eventId || t.eventId === req.query.eventId) && t.status !== 'cancelled')
+    .sort((a, b) => b.createdAt - a.createdAt).slice(0, 100);
+  const out = [];
+  for (const t of tickets) {
+    const pt = publicTicket(t, true);
+    pt.eventName = db.operatorEvents[t.eventId] ? db.operatorEvents[t.eventId].name : '';
+    if (pt.code && t.status === 'valid') {
+      try { pt.qr = await QRCode.toDataURL(pt.code, { margin: 2, width: 384 }); } catch (e) { pt.qr = null; }
+    }
+    out.push(pt);
+  }
+  res.json({ tickets: out });
+});
+
 // ═══ PAY EVENT ENTRY — charge entry fee on check-in ═══
 app.post('/api/operator/event/:eventId/pay-entry', paymentLimiter, async (req, res) => {
   const { userId, token, paymentMethodId, payerEmail, payerCPF, useSavedCard, deviceId, cardholderName } = req.body;
@@ -15237,7 +18878,12 @@ app.post('/api/operator/event/:eventId/pay-entry', paymentLimiter, async (req, r
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   if (!ev.active) return res.status(400).json({ error: 'Evento encerrado.' });
-  if (!ev.entryPrice || ev.entryPrice <= 0) return res.status(400).json({ error: 'Evento sem cobrança de ingresso.' });
+  // The unified payment gateway also charges restaurant orders here (type 'order')
+  const isOrderPayment = req.body.type === 'order';
+  let charge = null;
+  if (!isOrderPayment) {
+    try { charge = entryCharge(ev, req.body, userId); } catch (e) { return res.status(e.status).json({ error: e.message, reason: e.reason }); }
+  }
   if (!userId) return res.status(400).json({ error: 'userId é obrigatório.' });
   const user = db.users[userId];
   if (!user) {
@@ -15246,7 +18892,8 @@ app.post('/api/operator/event/:eventId/pay-entry', paymentLimiter, async (req, r
   }
   if (!MP_ACCESS_TOKEN) return res.status(500).json({ error: 'MP não configurado.' });
 
-  const amount = ev.entryPrice;
+  const amount = isOrderPayment ? roundMoney(parseFloat(req.body.amount) || 0) : charge.amount;
+  if (!(amount > 0)) return res.status(400).json({ error: 'Valor invalido.' });
   const touchFee = Math.round(amount * TOUCH_FEE_PERCENT) / 100;
   const receiver = db.users[ev.creatorId];
 
@@ -15324,9 +18971,9 @@ app.post('/api/operator/event/:eventId/pay-entry', paymentLimiter, async (req, r
       additional_info: {
         items: [{
           id: ev.id,
-          title: 'Ingresso ' + ev.name,
-          description: 'Check-in no evento ' + ev.name,
-          category_id: 'entertainment',
+          title: (isOrderPayment ? 'Pedido ' : 'Ingresso ') + ev.name,
+          description: isOrderPayment ? 'Pedido no cardapio de ' + ev.name : 'Check-in no evento ' + ev.name,
+          category_id: isOrderPayment ? 'food' : 'entertainment',
           quantity: 1,
           unit_price: amount
         }],
@@ -15336,9 +18983,9 @@ app.post('/api/operator/event/:eventId/pay-entry', paymentLimiter, async (req, r
           registration_date: user.createdAt ? new Date(user.createdAt).toISOString() : undefined
         }
       },
-      description: 'Ingresso Touch? — ' + ev.name,
-      statement_descriptor: 'TOUCH INGRESSO',
-      metadata: { payer_id: userId, event_id: ev.id, operator_id: ev.creatorId, type: 'entry' }
+      description: (isOrderPayment ? 'Pedido Touch? — ' : 'Ingresso Touch? — ') + ev.name,
+      statement_descriptor: isOrderPayment ? 'TOUCH PEDIDO' : 'TOUCH INGRESSO',
+      metadata: { payer_id: userId, event_id: ev.id, operator_id: ev.creatorId, type: isOrderPayment ? 'order' : 'entry' }
     };
 
     console.log('[TICKET] Entry payment:', { amount, event: ev.name, user: userId.slice(0, 8), method: paymentData.payment_method_id, hasDeviceId: !!deviceId });
@@ -15346,27 +18993,41 @@ app.post('/api/operator/event/:eventId/pay-entry', paymentLimiter, async (req, r
     const idempotencyKey = uuidv4();
     const requestOptions = { idempotencyKey };
 
+    // Ticket tiers hold the seats before the charge, so two buyers can't both take the last
+    // one. Approved issues the QR codes, refused puts the seats back on sale.
+    const tipId = uuidv4();
+    const purchase = charge && charge.tier ? reserveTickets(ev, charge.tier, userId, 'reserved', tipId) : null;
     let result;
-    if (receiver && receiver.mpConnected && receiver.mpAccessToken) {
-      paymentData.application_fee = touchFee;
-      const receiverClient = new MercadoPagoConfig({ accessToken: receiver.mpAccessToken });
-      const receiverPayment = new Payment(receiverClient);
-      result = await receiverPayment.create({ body: paymentData, requestOptions });
-    } else {
-      result = await mpPayment.create({ body: paymentData, requestOptions });
+    try {
+      if (receiver && receiver.mpConnected && receiver.mpAccessToken) {
+        paymentData.application_fee = touchFee;
+        const receiverClient = new MercadoPagoConfig({ accessToken: receiver.mpAccessToken });
+        const receiverPayment = new Payment(receiverClient);
+        result = await receiverPayment.create({ body: paymentData, requestOptions });
+      } else {
+        result = await mpPayment.create({ body: paymentData, requestOptions });
+      }
+    } catch (e) {
+      if (purchase) settleTicketPurchase(purchase.purchaseId, false, tipId);
+      throw e;
     }
 
     console.log('[TICKET] Entry result:', { id: result.id, status: result.status, detail: result.status_detail });
 
     // Always save payment record (approved, rejected, pending)
-    const tipId = uuidv4();
     const tipEntryCard = {
       id: tipId, payerId: userId, receiverId: ev.creatorId,
       amount, fee: touchFee, mpPaymentId: result.id,
       status: result.status, statusDetail: result.status_detail,
-      type: 'entry', eventId: ev.id, eventName: ev.name,
+      type: isOrderPayment ? 'order' : 'entry', eventId: ev.id, eventName: ev.name,
       createdAt: Date.now()
     };
+    // Pending keeps the seats held until the webhook
+    if (purchase) {
+      tipEntryCard.ticketPurchaseId = purchase.purchaseId;
+      if (result.status === 'approved') settleTicketPurchase(purchase.purchaseId, true, tipId);
+      else if (!['pending', 'in_process'].includes(result.status)) settleTicketPurchase(purchase.purchaseId, false, tipId);
+    }
     db.tips[tipId] = tipEntryCard;
     if (!IDX.tipsByPayer.has(tipEntryCard.payerId)) IDX.tipsByPayer.set(tipEntryCard.payerId, []);
     IDX.tipsByPayer.get(tipEntryCard.payerId).push(tipEntryCard.id);
@@ -15379,20 +19040,26 @@ app.post('/api/operator/event/:eventId/pay-entry', paymentLimiter, async (req, r
       id: tipId, payerId: userId, eventId: ev.id, eventName: ev.name || '',
       amount, fee: touchFee, receiverId: ev.creatorId, currency: 'brl',
       mpPaymentId: result.id, status: result.status, statusDetail: result.status_detail,
-      method: 'mercadopago-card', type: 'entry', createdAt: Date.now()
+      method: 'mercadopago-card', type: isOrderPayment ? 'order' : 'entry', ticketPurchaseId: tipEntryCard.ticketPurchaseId, createdAt: Date.now()
     };
 
-    if (result.status === 'approved') {
+    if (result.status === 'approved' && !isOrderPayment) {
       ev.revenue = (ev.revenue || 0) + amount;
       ev.paidCheckins = (ev.paidCheckins || 0) + 1;
       if (!ev.participants) ev.participants = [];
-      if (!ev.participants.includes(userId)) ev.participants.push(userId);
-      saveDB('operatorEvents');
+      // With a ticket the holder only joins at the door (QR scan)
+      if (!purchase && !ev.participants.includes(userId)) ev.participants.push(userId);
+      saveDB('operatorEvents/' + ev.id);
       io.to(`user:${ev.creatorId}`).emit('entry-paid', { userId, amount, eventId: ev.id, nickname: user.nickname || user.name });
     }
+    syncPaymentLedger(tipEntryCard);
     saveDB('tips', 'eventPayments');
 
-    res.json({ status: result.status, statusDetail: result.status_detail, mpPaymentId: result.id });
+    res.json({
+      status: result.status, statusDetail: result.status_detail, mpPaymentId: result.id, paymentId: tipId,
+      purchaseId: purchase ? purchase.purchaseId : undefined,
+      tickets: purchase ? purchase.tickets.map(t => publicTicket(t, true)) : undefined
+    });
   } catch (e) {
     console.error('Entry payment error:', e.message, e.cause || '');
     res.status(500).json({ error: 'Erro no pagamento: ' + (e.message || 'tente novamente') });
@@ -15405,13 +19072,14 @@ app.post('/api/operator/event/:eventId/pay-entry-pix', paymentLimiter, async (re
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   if (!ev.active) return res.status(400).json({ error: 'Evento encerrado.' });
-  if (!ev.entryPrice || ev.entryPrice <= 0) return res.status(400).json({ error: 'Evento sem cobranca de ingresso.' });
+  let charge;
+  try { charge = entryCharge(ev, req.body, userId); } catch (e) { return res.status(e.status).json({ error: e.message, reason: e.reason }); }
   if (!userId) return res.status(400).json({ error: 'userId obrigatorio.' });
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'Usuario nao encontrado.' });
   if (!MP_ACCESS_TOKEN) return res.status(500).json({ error: 'MP nao configurado.' });
 
-  const amount = ev.entryPrice;
+  const amount = charge.amount;
   const touchFee = Math.round(amount * TOUCH_FEE_PERCENT) / 100;
   const receiver = db.users[ev.creatorId];
 
@@ -15420,6 +19088,9 @@ app.post('/api/operator/event/:eventId/pay-entry-pix', paymentLimiter, async (re
   if (!email || email.includes('@touch.app')) return res.status(400).json({ error: 'Informe seu email para pagar com PIX.' });
   if (!cpf || cpf.length < 11) return res.status(400).json({ error: 'CPF obrigatorio para PIX.' });
 
+  // The seats are held before the PIX exists and the PIX expires with the hold
+  const tipId = uuidv4();
+  const purchase = charge.tier ? reserveTickets(ev, charge.tier, userId, 'reserved', tipId) : null;
   try {
     const paymentData = {
       transaction_amount: amount,
@@ -15430,20 +19101,25 @@ app.post('/api/operator/event/:eventId/pay-entry-pix', paymentLimiter, async (re
       metadata: { payer_id: userId, event_id: ev.id, operator_id: ev.creatorId, type: 'entry_pix' },
       notification_url: (process.env.APP_URL || 'https://touch-irl.com') + '/mp/webhook'
     };
+    if (purchase) paymentData.date_of_expiration = new Date(purchase.tickets[0].reservedUntil).toISOString();
 
     let result;
-    if (receiver && receiver.mpConnected && receiver.mpAccessToken) {
-      paymentData.application_fee = touchFee;
-      const receiverClient = new MercadoPagoConfig({ accessToken: receiver.mpAccessToken });
-      result = await new Payment(receiverClient).create({ body: paymentData });
-    } else {
-      result = await mpPayment.create({ body: paymentData });
+    try {
+      if (receiver && receiver.mpConnected && receiver.mpAccessToken) {
+        paymentData.application_fee = touchFee;
+        const receiverClient = new MercadoPagoConfig({ accessToken: receiver.mpAccessToken });
+        result = await new Payment(receiverClient).create({ body: paymentData });
+      } else {
+        result = await mpPayment.create({ body: paymentData });
+      }
+    } catch (e) {
+      if (purchase) settleTicketPurchase(purchase.purchaseId, false, tipId);
+      throw e;
     }
 
     console.log('[pix-entry] Payment created:', { id: result.id, status: result.status, event: ev.name });
 
     const pixData = result.point_of_interaction?.transaction_data;
-    const tipId = uuidv4();
     const tipEntryPixCard = {
       id: tipId, payerId: userId, receiverId: ev.creatorId,
       amount, fee: touchFee, mpPaymentId: result.id,
@@ -15451,6 +19127,7 @@ app.post('/api/operator/event/:eventId/pay-entry-pix', paymentLimiter, async (re
       method: 'pix', type: 'entry', eventId: ev.id, eventName: ev.name,
       createdAt: Date.now()
     };
+    if (purchase) tipEntryPixCard.ticketPurchaseId = purchase.purchaseId;
     db.tips[tipId] = tipEntryPixCard;
     if (!IDX.tipsByPayer.has(tipEntryPixCard.payerId)) IDX.tipsByPayer.set(tipEntryPixCard.payerId, []);
     IDX.tipsByPayer.get(tipEntryPixCard.payerId).push(tipEntryPixCard.id);
@@ -15461,7 +19138,7 @@ app.post('/api/operator/event/:eventId/pay-entry-pix', paymentLimiter, async (re
     io.to(`user:${ev.creatorId}`).emit('entry-paid', { userId, amount, eventId: ev.id, nickname: user.nickname || user.name, status: 'pending', method: 'pix' });
 
     res.json({
-      status: result.status, tipId,
+      status: result.status, tipId, purchaseId: tipEntryPixCard.ticketPurchaseId,
       qrCode: pixData?.qr_code || '',
       qrCodeBase64: pixData?.qr_code_base64 || '',
       ticketUrl: pixData?.ticket_url || '',
@@ -15479,17 +19156,20 @@ app.post('/api/operator/event/:eventId/pay-entry-checkout', paymentLimiter, asyn
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   if (!ev.active) return res.status(400).json({ error: 'Evento encerrado.' });
-  if (!ev.entryPrice || ev.entryPrice <= 0) return res.status(400).json({ error: 'Evento sem cobranca de ingresso.' });
+  let charge;
+  try { charge = entryCharge(ev, req.body, userId); } catch (e) { return res.status(e.status).json({ error: e.message, reason: e.reason }); }
   if (!userId) return res.status(400).json({ error: 'userId obrigatorio.' });
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'Usuario nao encontrado.' });
   if (!MP_ACCESS_TOKEN) return res.status(500).json({ error: 'MP nao configurado.' });
 
-  const amount = ev.entryPrice;
+  const amount = charge.amount;
   const touchFee = Math.round(amount * TOUCH_FEE_PERCENT) / 100;
   const receiver = db.users[ev.creatorId];
   const baseUrl = process.env.APP_URL || 'https://touch-irl.com';
   const tipId = uuidv4();
+  // Same as PIX: hold first, and the checkout link stops taking payments when the hold ends
+  const purchase = charge.tier ? reserveTickets(ev, charge.tier, userId, 'reserved', tipId) : null;
 
   try {
     const prefData = {
@@ -15512,14 +19192,25 @@ app.post('/api/operator/event/:eventId/pay-entry-checkout', paymentLimiter, asyn
       statement_descriptor: 'TOUCH INGRESSO',
       metadata: { payer_id: userId, event_id: ev.id, operator_id: ev.creatorId, type: 'entry_checkout' }
     };
+    if (purchase) {
+      const holdEnd = new Date(purchase.tickets[0].reservedUntil).toISOString();
+      prefData.expires = true;
+      prefData.expiration_date_to = holdEnd;
+      prefData.date_of_expiration = holdEnd;
+    }
 
     let preference;
-    if (receiver && receiver.mpConnected && receiver.mpAccessToken) {
-      prefData.marketplace_fee = touchFee;
-      const receiverClient = new MercadoPagoConfig({ accessToken: receiver.mpAccessToken });
-      preference = await new Preference(receiverClient).create({ body: prefData });
-    } else {
-      preference = await new Preference(mpClient).create({ body: prefData });
+    try {
+      if (receiver && receiver.mpConnected && receiver.mpAccessToken) {
+        prefData.marketplace_fee = touchFee;
+        const receiverClient = new MercadoPagoConfig({ accessToken: receiver.mpAccessToken });
+        preference = await new Preference(receiverClient).create({ body: prefData });
+      } else {
+        preference = await new Preference(mpClient).create({ body: prefData });
+      }
+    } catch (e) {
+      if (purchase) settleTicketPurchase(purchase.purchaseId, false, tipId);
+      throw e;
     }
 
     const tipEntryCheckoutPro = {
@@ -15529,6 +19220,7 @@ app.post('/api/operator/event/:eventId/pay-entry-checkout', paymentLimiter, asyn
       method: 'checkout_pro', type: 'entry', eventId: ev.id, eventName: ev.name,
       createdAt: Date.now()
     };
+    if (purchase) tipEntryCheckoutPro.ticketPurchaseId = purchase.purchaseId;
     db.tips[tipId] = tipEntryCheckoutPro;
     if (!IDX.tipsByPayer.has(tipEntryCheckoutPro.payerId)) IDX.tipsByPayer.set(tipEntryCheckoutPro.payerId, []);
     IDX.tipsByPayer.get(tipEntryCheckoutPro.payerId).push(tipEntryCheckoutPro.id);
@@ -15537,7 +19229,7 @@ app.post('/api/operator/event/:eventId/pay-entry-checkout', paymentLimiter, asyn
     saveDB('tips');
 
     console.log('[entry-checkout] Preference created:', preference.id);
-    res.json({ preferenceId: preference.id, initPoint: preference.init_point, sandboxInitPoint: preference.sandbox_init_point, tipId });
+    res.json({ preferenceId: preference.id, initPoint: preference.init_point, sandboxInitPoint: preference.sandbox_init_point, tipId, purchaseId: tipEntryCheckoutPro.ticketPurchaseId });
   } catch (e) {
     console.error('[entry-checkout] error:', e.message, e.cause || '');
     res.status(500).json({ error: 'Erro ao criar checkout: ' + (e.message || 'tente novamente') });
@@ -15760,10 +19452,11 @@ app.post('/api/operator/event/:eventId/pay-entry-parking', paymentLimiter, async
         // Notify parking panel
         io.emit('parking-payment-received', { eventId: ev.id, plate: plateTrimmed, amount: parkingCost, status: 'paid' });
       }
-      saveDB('operatorEvents');
+      saveDB('operatorEvents/' + ev.id);
       // Notify operator
       io.to(`user:${ev.creatorId}`).emit('entry-paid', { userId, amount: totalAmount, eventId: ev.id, nickname: user.nickname || user.name, includesParking: parkingCost > 0, plate: plateTrimmed || null });
     }
+    syncPaymentLedger(tipRecord);
     saveDB('tips', 'eventPayments');
 
     res.json({ status: result.status, statusDetail: result.status_detail, mpPaymentId: result.id, entryAmount: entryPrice, parkingAmount: parkingCost, totalAmount, plate: plateTrimmed || null });
@@ -15864,7 +19557,7 @@ app.post('/api/operator/event/:eventId/pay-entry-parking-pix', paymentLimiter, a
           paymentMode: 'prepaid', amountPaid: 0, amountDue: parkingCost,
           photo: null, notes: 'PIX pendente - entrada+estacionamento'
         };
-        saveDB('operatorEvents');
+        saveDB('operatorEvents/' + ev.id);
         io.emit('parking-vehicle-registered', { eventId: ev.id, plate: plateTrimmed, nickname: user.nickname || user.name, pendingPayment: true });
       }
     }
@@ -15894,7 +19587,7 @@ app.get('/api/operator/events/:userId', (req, res) => {
 });
 
 // Mark participant as paid (presencial / cash / pix externo)
-app.post('/api/operator/event/:eventId/mark-paid', (req, res) => {
+app.post('/api/operator/event/:eventId/mark-paid', requireEventRole('payments'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const { userId, method, amount } = req.body;
@@ -15905,13 +19598,13 @@ app.post('/api/operator/event/:eventId/mark-paid', (req, res) => {
   ev.attendees[userId].paidMethod = method || 'presencial';
   ev.attendees[userId].paidAmount = amount || ev.entryPrice || 0;
   ev.attendees[userId].paidAt = Date.now();
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('attendee-status-update', { eventId: req.params.eventId, userId, entryStatus: 'paid', method: method || 'presencial' });
   res.json({ ok: true });
 });
 
 // Get participant payment details
-app.get('/api/operator/event/:eventId/participant/:userId', (req, res) => {
+app.get('/api/operator/event/:eventId/participant/:userId', requireEventRole('attendees'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const uid = req.params.userId;
@@ -15940,7 +19633,7 @@ app.get('/api/operator/event/:eventId/participant/:userId', (req, res) => {
 });
 
 // Operator refund for entry payment
-app.post('/api/operator/event/:eventId/refund', async (req, res) => {
+app.post('/api/operator/event/:eventId/refund', requireEventRole('payments'), async (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const { userId, paymentId, reason } = req.body;
@@ -15954,7 +19647,7 @@ app.post('/api/operator/event/:eventId/refund', async (req, res) => {
       ev.attendees[userId].entryStatus = 'refunded';
       ev.attendees[userId].refundedAt = Date.now();
       ev.attendees[userId].refundReason = reason || 'operator_request';
-      saveDB('operatorEvents');
+      saveDB('operatorEvents/' + ev.id);
     }
     io.to('event:' + req.params.eventId).emit('attendee-status-update', { eventId: req.params.eventId, userId, entryStatus: 'refunded' });
     return res.json({ ok: true, type: 'presencial_reset' });
@@ -15963,6 +19656,7 @@ app.post('/api/operator/event/:eventId/refund', async (req, res) => {
   // Stripe refund
   if (!stripeInstance) return res.status(503).json({ error: 'Stripe nao configurado' });
   if (!payment.stripePaymentIntentId) return res.status(400).json({ error: 'Sem payment intent para reembolsar' });
+  if (payment.disputed) return res.status(409).json({ error: 'Pagamento em disputa -- aguarde o resultado.' });
 
   try {
     const refund = await stripeInstance.refunds.create({ payment_intent: payment.stripePaymentIntentId, reason: 'requested_by_customer' });
@@ -15972,6 +19666,7 @@ app.post('/api/operator/event/:eventId/refund', async (req, res) => {
     payment.refundAmount = refund.amount / 100;
     payment.refundedAt = Date.now();
     payment.refundedBy = 'operator:' + (ev.creatorId || 'unknown');
+    syncPaymentLedger(payment);
     saveDB('eventPayments');
     // Update event revenue
     ev.revenue = Math.max(0, (ev.revenue || 0) - payment.amount);
@@ -15980,7 +19675,7 @@ app.post('/api/operator/event/:eventId/refund', async (req, res) => {
       ev.attendees[userId].entryStatus = 'refunded';
       ev.attendees[userId].refundedAt = Date.now();
     }
-    saveDB('operatorEvents');
+    saveDB('operatorEvents/' + ev.id);
     io.to('event:' + req.params.eventId).emit('attendee-status-update', { eventId: req.params.eventId, userId, entryStatus: 'refunded' });
     io.to('user:' + userId).emit('entry-refunded', { eventId: req.params.eventId, amount: payment.amount, refundId: refund.id });
     res.json({ ok: true, type: 'stripe_refund', refundId: refund.id, amount: refund.amount / 100 });
@@ -15990,7 +19685,7 @@ app.post('/api/operator/event/:eventId/refund', async (req, res) => {
   }
 });
 
-app.post('/api/operator/event/:eventId/end', (req, res) => {
+app.post('/api/operator/event/:eventId/end', requireEventRole('event'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   ev.active = false;
@@ -16012,17 +19707,17 @@ app.post('/api/operator/event/:eventId/end', (req, res) => {
   res.json({ ok: true });
 });
 
-app.post('/api/operator/event/:eventId/reopen', (req, res) => {
+app.post('/api/operator/event/:eventId/reopen', requireEventRole('event'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   ev.active = true;
   delete ev.endedAt;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   if (ev.creatorId) io.to(ev.creatorId).emit('operator-event-update', { eventId: ev.id, action: 'reopened' });
   res.json({ ok: true });
 });
 
-app.post('/api/operator/event/:eventId/update', async (req, res) => {
+app.post('/api/operator/event/:eventId/update', requireEventRole('event'), async (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   const { name, welcomePhrase, entryPrice, revealMode, acceptsTips, businessProfile, modules, eventLogo } = req.body;
@@ -16071,6 +19766,8 @@ app.post('/api/operator/event/:eventId/update', async (req, res) => {
       fiscalZip: (businessProfile.fiscalZip || '').trim().slice(0, 9),
       cnae: (businessProfile.cnae || '').trim().slice(0, 10),
       taxRegime: (businessProfile.taxRegime || '').trim().slice(0, 20),
+      defaultNcm: formatNcm(businessProfile.defaultNcm) || '',
+      defaultCfop: formatCfop(businessProfile.defaultCfop) || '',
       fiscalEmail: (businessProfile.fiscalEmail || '').trim().slice(0, 100),
       legalRepName: (businessProfile.legalRepName || '').trim().slice(0, 100),
       legalRepCpf: (businessProfile.legalRepCpf || '').trim().slice(0, 14)
@@ -16103,7 +19800,7 @@ app.post('/api/operator/event/:eventId/update', async (req, res) => {
     ev.eventLogo = eventLogo;
   }
 
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   if (ev.creatorId) io.to(ev.creatorId).emit('operator-event-update', { eventId: ev.id, action: 'updated' });
   res.json({ ok: true, event: ev });
 });
@@ -16139,7 +19836,7 @@ app.post('/api/operator/event/:eventId/leave', (req, res) => {
   res.json({ ok: true });
 });
 
-app.get('/api/operator/event/:eventId/attendees', (req, res) => {
+app.get('/api/operator/event/:eventId/attendees', requireEventRole('attendees', { participants: true }), (req, res) => {
   try {
     const ev = db.operatorEvents[req.params.eventId];
     if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
@@ -16148,7 +19845,7 @@ app.get('/api/operator/event/:eventId/attendees', (req, res) => {
       ev.creatorId = ev.participants[0];
       ev.creatorName = db.users[ev.participants[0]] ? (db.users[ev.participants[0]].nickname || db.users[ev.participants[0]].name) : '';
       console.log('[attendees] backfilled creatorId:', ev.creatorId, 'for event:', req.params.eventId);
-      saveDB('operatorEvents');
+      saveDB('operatorEvents/' + ev.id);
     }
     // Also check db.events for creatorId
     const baseEv = db.events[req.params.eventId];
@@ -16156,15 +19853,17 @@ app.get('/api/operator/event/:eventId/attendees', (req, res) => {
       ev.creatorId = baseEv.creatorId;
       ev.creatorName = baseEv.creatorName || '';
       console.log('[attendees] backfilled creatorId from db.events:', ev.creatorId);
-      saveDB('operatorEvents');
+      saveDB('operatorEvents/' + ev.id);
     }
-    const requestingUserId = req.query.userId || null;
-    const isOperator = !!(ev.creatorId && requestingUserId && ev.creatorId === requestingUserId);
+    // Owner and staff get the operator view; plain participants the public one
+    const isOperator = !!req.eventRole;
     const totalUsers = Object.keys(db.users).length;
     const attendees = (ev.participants || []).map(uid => {
       try {
         const u = db.users[uid];
         if (!u) return null;
+        // Blocks hide people both ways; mutes only trim the participants' list
+        if (isOperator ? isBlockedBetween(req.authUserId, uid) : hidesContent(req.authUserId, uid)) return null;
         const stars = (u.stars || []).length;
         const topTag = u.topTag || null;
         const creatorUser = db.users[ev.creatorId];
@@ -16213,7 +19912,7 @@ app.get('/api/event/:eventId/business-profile', (req, res) => {
   });
 });
 
-app.post('/api/operator/event/:eventId/business-profile', async (req, res) => {
+app.post('/api/operator/event/:eventId/business-profile', requireEventRole('event'), async (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const { businessProfile, welcomePhrase, quickPhrases, eventLogo } = req.body;
@@ -16250,12 +19949,14 @@ app.post('/api/operator/event/:eventId/business-profile', async (req, res) => {
       fiscalZip: (businessProfile.fiscalZip || '').trim().slice(0, 9),
       cnae: (businessProfile.cnae || '').trim().slice(0, 10),
       taxRegime: (businessProfile.taxRegime || '').trim().slice(0, 20),
+      defaultNcm: formatNcm(businessProfile.defaultNcm) || '',
+      defaultCfop: formatCfop(businessProfile.defaultCfop) || '',
       fiscalEmail: (businessProfile.fiscalEmail || '').trim().slice(0, 100),
       legalRepName: (businessProfile.legalRepName || '').trim().slice(0, 100),
       legalRepCpf: (businessProfile.legalRepCpf || '').trim().slice(0, 14)
     };
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, event: ev });
 });
 
@@ -16263,7 +19964,7 @@ app.post('/api/operator/event/:eventId/business-profile', async (req, res) => {
 
 // Create Stripe Checkout Session for badge purchase (R$100.00)
 // Stripe Checkout natively supports Apple Pay, Google Pay, Link, and cards
-app.post('/api/operator/event/:eventId/verify', paymentLimiter, async (req, res) => {
+app.post('/api/operator/event/:eventId/verify', requireEventRole('event'), paymentLimiter, async (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   if (ev.verified) return res.json({ ok: true, alreadyVerified: true });
@@ -16305,14 +20006,14 @@ app.post('/api/operator/event/:eventId/verify', paymentLimiter, async (req, res)
     // Stripe not configured — mark verified directly (dev/test mode)
     ev.verified = true;
     ev.verifiedAt = Date.now();
-    saveDB('operatorEvents');
+    saveDB('operatorEvents/' + ev.id);
     console.log('[verify] Badge granted without payment (Stripe not configured) for event:', ev.name);
     res.json({ ok: true, verified: true, verifiedAt: ev.verifiedAt });
   }
 });
 
 // Confirm verified badge after Stripe Checkout payment success
-app.post('/api/operator/event/:eventId/verify-confirm', async (req, res) => {
+app.post('/api/operator/event/:eventId/verify-confirm', requireEventRole('event'), async (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   if (ev.verified) return res.json({ ok: true, alreadyVerified: true });
@@ -16326,7 +20027,7 @@ app.post('/api/operator/event/:eventId/verify-confirm', async (req, res) => {
       ev.verifiedAt = Date.now();
       ev.verifyPaymentId = session.payment_intent;
       ev.verifyMethod = 'stripe_checkout';
-      saveDB('operatorEvents');
+      saveDB('operatorEvents/' + ev.id);
       console.log('[stripe] Verified badge confirmed for event:', ev.name);
       res.json({ ok: true, verified: true, verifiedAt: ev.verifiedAt });
     } else {
@@ -16339,7 +20040,7 @@ app.post('/api/operator/event/:eventId/verify-confirm', async (req, res) => {
 });
 
 // ═══ VERIFIED BADGE — UGW Payment (all methods: PIX, saved card, new card, Stripe confirm) ═══
-app.post('/api/operator/event/:eventId/verify-pay', requireAuth, paymentLimiter, async (req, res) => {
+app.post('/api/operator/event/:eventId/verify-pay', requireEventRole('event'), paymentLimiter, async (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   if (ev.verified) return res.json({ ok: true, alreadyVerified: true, verified: true });
@@ -16356,7 +20057,7 @@ app.post('/api/operator/event/:eventId/verify-pay', requireAuth, paymentLimiter,
     ev.verifiedAt = Date.now();
     ev.verifyPaymentId = stripePaymentIntentId || '';
     ev.verifyMethod = method;
-    saveDB('operatorEvents');
+    saveDB('operatorEvents/' + ev.id);
     console.log('[verify-pay] Selo confirmed via', method, 'for event:', ev.name);
     return res.json({ ok: true, verified: true, verifiedAt: ev.verifiedAt });
   }
@@ -16382,7 +20083,7 @@ app.post('/api/operator/event/:eventId/verify-pay', requireAuth, paymentLimiter,
       // Store pending verification payment
       ev.pendingVerifyPaymentId = result.id;
       ev.pendingVerifyMethod = 'pix';
-      saveDB('operatorEvents');
+      saveDB('operatorEvents/' + ev.id);
       console.log('[verify-pay] PIX generated for selo:', { event: ev.name, mpId: result.id });
       res.json({
         ok: true, status: result.status,
@@ -16442,7 +20143,7 @@ app.post('/api/operator/event/:eventId/verify-pay', requireAuth, paymentLimiter,
         ev.verifiedAt = Date.now();
         ev.verifyPaymentId = result.id;
         ev.verifyMethod = 'mp_saved_card';
-        saveDB('operatorEvents');
+        saveDB('operatorEvents/' + ev.id);
         console.log('[verify-pay] Selo approved via saved card for event:', ev.name);
         return res.json({ ok: true, verified: true, verifiedAt: ev.verifiedAt });
       }
@@ -16501,7 +20202,7 @@ app.post('/api/operator/event/:eventId/verify-pay', requireAuth, paymentLimiter,
         ev.verifiedAt = Date.now();
         ev.verifyPaymentId = result.id;
         ev.verifyMethod = 'mp_new_card';
-        saveDB('operatorEvents');
+        saveDB('operatorEvents/' + ev.id);
         console.log('[verify-pay] Selo approved via new card for event:', ev.name);
         return res.json({ ok: true, verified: true, verifiedAt: ev.verifiedAt });
       }
@@ -16517,7 +20218,7 @@ app.post('/api/operator/event/:eventId/verify-pay', requireAuth, paymentLimiter,
   res.status(400).json({ error: 'Metodo de pagamento invalido: ' + (method || 'nenhum') });
 });
 
-app.post('/api/operator/event/:eventId/attendee-status', async (req, res) => {
+app.post('/api/operator/event/:eventId/attendee-status', requireEventRole('attendees'), async (req, res) => {
   const { eventId } = req.params;
   const { userId, entryStatus } = req.body;
   const ev = db.operatorEvents ? db.operatorEvents[eventId] : null;
@@ -16553,7 +20254,10 @@ app.post('/api/event/:eventId/delete', (req, res) => {
   }
   // Remove from operatorEvents
   delete db.operatorEvents[req.params.eventId];
-  saveDB('operatorEvents', 'relations');
+  delete db.stockMovements[req.params.eventId];
+  // fiscalDocuments stay: issued documents must be kept (5 anos); only the credentials go away
+  delete db.fiscalCredentials[req.params.eventId];
+  saveDB('operatorEvents', 'relations', 'stockMovements/' + req.params.eventId, 'fiscalCredentials/' + req.params.eventId);
   res.json({ ok: true });
 });
 
@@ -16566,37 +20270,46 @@ app.post('/api/event/:eventId/like', (req, res) => {
   const idx = ev.likes.indexOf(userId);
   if (idx >= 0) {
     ev.likes.splice(idx, 1);
-    saveDB('operatorEvents');
+    saveDB('operatorEvents/' + ev.id);
     return res.json({ ok: true, liked: false, count: ev.likes.length });
   }
   ev.likes.push(userId);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, liked: true, count: ev.likes.length });
 });
 
-// ═══ STAFF (WAITER/DRIVER) SYSTEM ═══
+// ═══ STAFF SYSTEM (role catalog in roles/) ═══
 
-app.post('/api/operator/event/:eventId/staff/add', (req, res) => {
+// Who may hand out a role: it must exist in the event catalog, and manager / roles with 'staff' are owner-only
+function staffRoleGrantError(ev, role, granterRole) {
+  const def = eventRoleCatalog(ev)[role];
+  if (!def) return { status: 400, message: 'Funcao invalida. Use ' + Object.keys(eventRoleCatalog(ev)).join(', ') + '.' };
+  if (granterRole !== 'owner' && (role === 'manager' || def.permissions.includes('staff'))) return { status: 403, message: 'Apenas o dono pode adicionar gerentes.' };
+  return null;
+}
+
+app.post('/api/operator/event/:eventId/staff/add', requireEventRole('staff'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const { userId, role, name } = req.body;
   if (!userId || !db.users[userId]) return res.status(400).json({ error: 'Usuario invalido.' });
-  if (!['waiter', 'driver'].includes(role)) return res.status(400).json({ error: 'Role invalido. Use waiter ou driver.' });
+  const roleError = staffRoleGrantError(ev, role, req.eventRole);
+  if (roleError) return res.status(roleError.status).json({ error: roleError.message });
   if (!ev.staff) ev.staff = [];
   const existing = ev.staff.find(s => s.userId === userId);
-  if (existing) { existing.status = 'online'; existing.connectedAt = Date.now(); saveDB('operatorEvents'); return res.json({ ok: true, staff: existing }); }
+  if (existing) { existing.status = 'online'; existing.connectedAt = Date.now(); saveDB('operatorEvents/' + ev.id); return res.json({ ok: true, staff: existing }); }
   const staffMember = {
     id: require('uuid').v4(),
     userId, name: name || db.users[userId].nickname || 'Staff',
     role, tables: [], status: 'online', connectedAt: Date.now()
   };
   ev.staff.push(staffMember);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + ev.id).emit('staff-joined', { eventId: ev.id, staff: staffMember });
   res.json({ ok: true, staff: staffMember });
 });
 
-app.post('/api/operator/event/:eventId/staff/:staffId/tables', (req, res) => {
+app.post('/api/operator/event/:eventId/staff/:staffId/tables', requireEventRole('staff'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const member = (ev.staff || []).find(s => s.id === req.params.staffId);
@@ -16604,7 +20317,7 @@ app.post('/api/operator/event/:eventId/staff/:staffId/tables', (req, res) => {
   const { tables } = req.body;
   if (!Array.isArray(tables)) return res.status(400).json({ error: 'tables deve ser um array.' });
   member.tables = tables.map(Number).filter(n => n > 0);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + ev.id).emit('staff-tables-updated', { eventId: ev.id, staffId: member.id, tables: member.tables });
   res.json({ ok: true, staff: member });
 });
@@ -16636,31 +20349,419 @@ app.post('/api/event/:eventId/staff-order', (req, res) => {
     paymentMethod: 'counter', status: 'pending',
     placedBy: 'waiter', createdAt: Date.now()
   };
+  order.fiscal = buildOrderFiscal(ev, items, { productAmount: total, serviceAmount: 0 });
+  const stock = reserveStock(ev, items, order.id);
+  if (stock.error) return res.status(400).json({ error: stock.error });
+  if (stock.reserved.length) order.stockReserved = stock.reserved;
   ev.orders.push(order);
-  saveDB('operatorEvents');
+  openKitchenTickets(ev, order);
+  saveDB(eventOrderPath(ev, order), ...stock.paths);
   io.to(`user:${ev.creatorId}`).emit('new-order', { eventId: ev.id, order });
   io.to('event:' + ev.id).emit('order-placed', { eventId: ev.id, order });
   res.json({ ok: true, order });
 });
 
-app.post('/api/operator/event/:eventId/staff/:staffId/disconnect', (req, res) => {
+app.post('/api/operator/event/:eventId/staff/:staffId/disconnect', requireEventRole('staff'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const idx = (ev.staff || []).findIndex(s => s.id === req.params.staffId);
   if (idx < 0) return res.status(404).json({ error: 'Staff nao encontrado.' });
   const member = ev.staff[idx];
   member.status = 'offline';
-  saveDB('operatorEvents');
+  const shift = openShiftOf(ev.id, member.id);
+  if (shift) closeShift(ev, shift, req.authUserId);
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + ev.id).emit('staff-left', { eventId: ev.id, staffId: member.id, role: member.role });
   res.json({ ok: true });
 });
 
-app.get('/api/operator/event/:eventId/staff', (req, res) => {
+app.get('/api/operator/event/:eventId/staff', requireEventRole('staff'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   res.json({ staff: ev.staff || [] });
 });
 
+// ── Role catalog: built-in roles (roles/) + ev.staffRoles { roleId: { label, permissions } } ──
+app.get('/api/operator/event/:eventId/staff/roles', requireEventRole('staff'), (req, res) => {
+  res.json({ roles: Object.values(eventRoleCatalog(req.operatorEvent)), permissions: roleKit.PERMISSIONS });
+});
+
+// Create a custom role or override the permissions of a built-in one
+app.put('/api/operator/event/:eventId/staff/roles/:roleId', requireEventRole('staff'), (req, res) => {
+  const ev = req.operatorEvent;
+  const roleId = req.params.roleId;
+  const { role, error } = roleKit.normalizeRole(roleId, req.body);
+  if (error) return res.status(400).json({ error });
+  const current = eventRoleCatalog(ev)[roleId];
+  const touchesStaff = roleId === 'manager' || role.permissions.includes('staff') || (current && current.permissions.includes('staff'));
+  if (touchesStaff && req.eventRole !== 'owner') return res.status(403).json({ error: 'Apenas o dono pode mexer em funcoes que gerenciam a equipe.' });
+  if (!ev.staffRoles) ev.staffRoles = {};
+  ev.staffRoles[roleId] = role;
+  saveDB('operatorEvents/' + ev.id);
+  res.json({ ok: true, role: eventRoleCatalog(ev)[roleId] });
+});
+
+// Custom role: removed (409 while someone holds it). Built-in: back to the default permissions
+app.delete('/api/operator/event/:eventId/staff/roles/:roleId', requireEventRole('staff'), (req, res) => {
+  const ev = req.operatorEvent;
+  const roleId = req.params.roleId;
+  if (!ev.staffRoles || !ev.staffRoles[roleId]) return res.status(404).json({ error: 'Funcao nao encontrada.' });
+  if (ev.staffRoles[roleId].permissions.includes('staff') && req.eventRole !== 'owner') return res.status(403).json({ error: 'Apenas o dono pode mexer em funcoes que gerenciam a equipe.' });
+  if (!STAFF_ROLES.includes(roleId)) {
+    const holders = (ev.staff || []).filter(m => m.role === roleId).length;
+    const invites = Object.values(db.staffInvites).filter(i => i.eventId === ev.id && i.role === roleId && staffInviteStatus(i) === 'active').length;
+    if (holders || invites) return res.status(409).json({ error: 'Funcao em uso (' + holders + ' na equipe, ' + invites + ' convite(s) ativo(s)).' });
+  }
+  delete ev.staffRoles[roleId];
+  saveDB('operatorEvents/' + ev.id);
+  res.json({ ok: true, role: eventRoleCatalog(ev)[roleId] || null });
+});
+
+// ── Staff invites: link/QR that adds the user to the team with a role (no sonic pairing) ──
+// db.staffInvites[token] = { token, eventId, role, name?, maxUses, uses, acceptedBy: [{ userId, staffId, at }],
+//   expiresAt, createdBy, createdAt, revokedAt? }
+const STAFF_INVITE_MAX_HOURS = 24 * 30;
+
+function staffInviteStatus(invite, now = Date.now()) {
+  if (invite.revokedAt) return 'revoked';
+  if (invite.expiresAt <= now) return 'expired';
+  if (invite.uses >= invite.maxUses) return 'used';
+  return 'active';
+}
+
+function staffInviteUrl(req, token) {
+  const base = process.env.BASE_URL || (req.protocol + '://' + req.get('host'));
+  return base + '/?staffInvite=' + token;
+}
+
+function staffConnectedPayload(ev, member) {
+  const def = eventRoleCatalog(ev)[member.role] || { label: member.role, permissions: [] };
+  return {
+    eventId: ev.id, eventName: ev.name, staffId: member.id, role: member.role,
+    roleLabel: def.label, permissions: def.permissions,
+    tables: member.tables || [], menu: def.permissions.includes('orders') ? ev.menu || [] : []
+  };
+}
+
+app.post('/api/operator/event/:eventId/staff/invites', requireEventRole('staff'), async (req, res) => {
+  const ev = req.operatorEvent;
+  const { role, name } = req.body;
+  const roleError = staffRoleGrantError(ev, role, req.eventRole);
+  if (roleError) return res.status(roleError.status).json({ error: roleError.message });
+  const maxUses = req.body.maxUses == null ? 1 : parseInt(req.body.maxUses);
+  if (!(maxUses >= 1 && maxUses <= 100)) return res.status(400).json({ error: 'maxUses entre 1 e 100.' });
+  const hours = req.body.expiresInHours == null ? 48 : Number(req.body.expiresInHours);
+  if (!(hours > 0 && hours <= STAFF_INVITE_MAX_HOURS)) return res.status(400).json({ error: 'expiresInHours entre 1 e ' + STAFF_INVITE_MAX_HOURS + '.' });
+  const now = Date.now();
+  const invite = {
+    token: crypto.randomBytes(18).toString('base64url'),
+    eventId: ev.id, role, name: name ? String(name).trim().slice(0, 60) : null,
+    maxUses, uses: 0, acceptedBy: [],
+    expiresAt: now + Math.round(hours * 3600000), createdBy: req.authUserId, createdAt: now
+  };
+  db.staffInvites[invite.token] = invite;
+  saveDB('staffInvites/' + invite.token);
+  const url = staffInviteUrl(req, invite.token);
+  let qr = null;
+  try { qr = await QRCode.toDataURL(url, { margin: 2, width: 512 }); } catch (e) { console.error('[staff-invite] QR error:', e.message); }
+  res.json({ ok: true, invite: { ...invite, status: 'active' }, url, qr });
+});
+
+app.get('/api/operator/event/:eventId/staff/invites', requireEventRole('staff'), (req, res) => {
+  const ev = req.operatorEvent;
+  const invites = Object.values(db.staffInvites).filter(i => i.eventId === ev.id)
+    .sort((a, b) => b.createdAt - a.createdAt).slice(0, 100)
+    .map(i => ({ ...i, status: staffInviteStatus(i), url: staffInviteUrl(req, i.token) }));
+  res.json({ invites });
+});
+
+app.delete('/api/operator/event/:eventId/staff/invites/:token', requireEventRole('staff'), (req, res) => {
+  const invite = db.staffInvites[req.params.token];
+  if (!invite || invite.eventId !== req.operatorEvent.id) return res.status(404).json({ error: 'Convite nao encontrado.' });
+  if (!invite.revokedAt) {
+    invite.revokedAt = Date.now();
+    invite.revokedBy = req.authUserId;
+    saveDB('staffInvites/' + invite.token);
+  }
+  res.json({ ok: true, invite: { ...invite, status: 'revoked' } });
+});
+
+// Public: what the link is about (shown before accepting)
+app.get('/api/staff/invite/:token', (req, res) => {
+  const invite = db.staffInvites[req.params.token];
+  const ev = invite && db.operatorEvents[invite.eventId];
+  if (!invite || !ev) return res.status(404).json({ error: 'Convite nao encontrado.' });
+  const def = eventRoleCatalog(ev)[invite.role];
+  res.json({
+    eventId: ev.id, eventName: ev.name, role: invite.role, roleLabel: def ? def.label : invite.role,
+    name: invite.name, expiresAt: invite.expiresAt, status: staffInviteStatus(invite)
+  });
+});
+
+app.post('/api/staff/invite/:token/accept', (req, res) => {
+  const { userId } = req.body;
+  if (!userId || !db.users[userId]) return res.status(400).json({ error: 'Usuario invalido.' });
+  const auth = authenticateUser(req, userId);
+  if (!auth) return res.status(403).json({ error: 'Acesso negado. Autenticacao necessaria.' });
+  const invite = db.staffInvites[req.params.token];
+  const ev = invite && db.operatorEvents[invite.eventId];
+  if (!invite || !ev) return res.status(404).json({ error: 'Convite nao encontrado.' });
+  const status = staffInviteStatus(invite);
+  if (status !== 'active') return res.status(410).json({ error: status === 'expired' ? 'Convite expirado.' : status === 'used' ? 'Convite ja utilizado.' : 'Convite cancelado.' });
+  if (ev.creatorId === auth.userId) return res.status(400).json({ error: 'Voce ja e o dono deste evento.' });
+  // The role may have been deleted/changed since the invite was created: re-check with the inviter's role
+  const roleError = staffRoleGrantError(ev, invite.role, eventRoleOf(ev, invite.createdBy));
+  if (roleError) return res.status(409).json({ error: 'Convite invalido: ' + roleError.message });
+  if (!ev.staff) ev.staff = [];
+  let member = ev.staff.find(s => s.userId === auth.userId);
+  if (member) {
+    member.role = invite.role;
+    member.status = 'online';
+    member.connectedAt = Date.now();
+  } else {
+    member = {
+      id: uuidv4(), userId: auth.userId,
+      name: invite.name || db.users[auth.userId].realName || db.users[auth.userId].nickname || 'Staff',
+      role: invite.role, tables: [], status: 'online', connectedAt: Date.now(), invite: invite.token
+    };
+    ev.staff.push(member);
+  }
+  // Barbers also get their own agenda in the barber module
+  const barber = invite.role === 'barber' && !((ev.barber && ev.barber.barbers) || []).some(b => b.userId === auth.userId)
+    ? linkBarberMember(ev, auth.userId) : null;
+  invite.uses++;
+  invite.acceptedBy.push({ userId: auth.userId, staffId: member.id, at: Date.now() });
+  saveDB('staffInvites/' + invite.token, 'operatorEvents/' + ev.id);
+  io.to('event:' + ev.id).emit('staff-joined', { eventId: ev.id, staff: member });
+  io.to(`user:${ev.creatorId}`).emit('staff-joined', { eventId: ev.id, staff: member });
+  if (barber) io.to(`user:${ev.creatorId}`).emit('barber-team-joined', { eventId: ev.id, barber });
+  io.to(`user:${auth.userId}`).emit('staff-connected', staffConnectedPayload(ev, member));
+  res.json({ ok: true, staff: member, ...staffConnectedPayload(ev, member) });
+});
+
+// ═══ STAFF SHIFTS & TIP POOLING ═══
+// db.staffShifts[shiftId] = { id, eventId, staffId, userId, name, role, status: open | closed, clockInAt, clockOutAt,
+//   clockedInBy, clockedOutBy, tips: { onlineCents, houseCents, pools: [poolId] }, report? (snapshot no clock-out) }
+// db.tipPools[poolId] = { id, eventId, from, to, method, tipsCents, onlineCents, houseCents, orders: [orderId],
+//   allocations: [{ shiftId, staffId, userId, name, onlineCents, houseCents }], by, createdAt }
+// ev.tipPool = { enabled, method, roles, roleWeights, lastRunAt } -- regras em shifts/index.js
+// Uma rodada roda a cada clock-out (ou /staff/tip-pool/run). Gorjeta de pedido pago online e capturado
+// pela plataforma passa de event:<id> para provider:<staff> no ledger (kind tip_pool) e entra no repasse
+// semanal; a de balcao / dinheiro / split direto a casa paga na hora e o relatorio so mostra.
+const shiftKit = require('./shifts');
+
+function eventShifts(eventId) {
+  return Object.values(db.staffShifts).filter(s => s.eventId === eventId);
+}
+
+function openShiftOf(eventId, staffId) {
+  return eventShifts(eventId).find(s => s.staffId === staffId && s.status === 'open') || null;
+}
+
+// Who sold the order: the waiter who placed it, the driver of the delivery or the waiter of the table
+function orderStaffId(ev, order) {
+  if (order.waiterId) return order.waiterId;
+  const staff = ev.staff || [];
+  const delivery = order._deliveryOrderRef && db.deliveryOrders[order._deliveryOrderRef];
+  if (delivery && delivery.driverId) {
+    const m = staff.find(s => s.userId === delivery.driverId);
+    return m ? m.id : null;
+  }
+  if (order.table) {
+    const m = staff.find(s => s.role === 'waiter' && (s.tables || []).includes(Number(order.table)));
+    return m ? m.id : null;
+  }
+  return null;
+}
+
+// Paid online and still held by the platform (a split payment already went to the owner's account)
+function orderTipIsOnline(order) {
+  return !!(order.paymentId && db.ledger['pay:' + order.paymentId + ':capture'] && !db.ledger['pay:' + order.paymentId + ':transfer']);
+}
+
+function shiftSales(ev, shift, from = 0, to = Infinity) {
+  const start = Math.max(shift.clockInAt, from);
+  const end = Math.min(shift.clockOutAt || Date.now(), to);
+  const out = { orders: 0, cents: 0, tipCents: 0 };
+  for (const o of ev.orders || []) {
+    if (o.status === 'cancelled' || !(o.createdAt >= start && o.createdAt <= end)) continue;
+    if (orderStaffId(ev, o) !== shift.staffId) continue;
+    out.orders++;
+    out.cents += toCents(o.subtotal != null ? o.subtotal : (o.total || 0) - (o.tipAmount || 0));
+    out.tipCents += toCents(o.tipAmount);
+  }
+  return out;
+}
+
+function shiftReport(ev, shift) {
+  const sales = shiftSales(ev, shift);
+  const tips = shift.tips || { onlineCents: 0, houseCents: 0, pools: [] };
+  return {
+    shiftId: shift.id, eventId: shift.eventId, staffId: shift.staffId, userId: shift.userId, name: shift.name, role: shift.role,
+    status: shift.status, clockInAt: shift.clockInAt, clockOutAt: shift.clockOutAt || null,
+    hours: Math.round(((shift.clockOutAt || Date.now()) - shift.clockInAt) / 36000) / 100,
+    sales: { orders: sales.orders, amount: fromCents(sales.cents), tipsOnOwnOrders: fromCents(sales.tipCents) },
+    tips: {
+      total: fromCents(tips.onlineCents + tips.houseCents),
+      viaPayout: fromCents(tips.onlineCents),   // no ledger, sai no proximo repasse
+      paidByHouse: fromCents(tips.houseCents),  // balcao / dinheiro / split direto
+      pools: tips.pools.length
+    }
+  };
+}
+
+// Splits the tips of the orders placed since the last run among the shifts that crossed that window.
+// Nobody eligible on shift: the tips wait for the next run.
+function runTipPool(ev, by) {
+  const cfg = ev.tipPool;
+  if (!cfg || !cfg.enabled) return null;
+  const now = Date.now();
+  const shifts = eventShifts(ev.id);
+  if (!shifts.length) return null;
+  const from = cfg.lastRunAt || Math.min(...shifts.map(s => s.clockInAt));
+  const orders = (ev.orders || []).filter(o => o.status !== 'cancelled' && o.tipAmount > 0 && o.createdAt > from && o.createdAt <= now);
+  if (!orders.length) return null;
+  const weights = shiftKit.poolWeights(shifts.map(s => ({
+    shiftId: s.id, role: s.role, ms: shiftKit.overlapMs(s, from, now, now), salesCents: shiftSales(ev, s, from, now).cents
+  })), cfg);
+  if (!Object.values(weights).some(w => w > 0)) return null;
+  const tipsCents = orders.reduce((s, o) => s + toCents(o.tipAmount), 0);
+  const onlineCents = orders.filter(orderTipIsOnline).reduce((s, o) => s + toCents(o.tipAmount), 0);
+  const houseCents = tipsCents - onlineCents;
+  const online = shiftKit.splitCents(onlineCents, weights), house = shiftKit.splitCents(houseCents, weights);
+  const pool = {
+    id: 'tp_' + uuidv4().replace(/-/g, '').slice(0, 16), eventId: ev.id, from, to: now, method: cfg.method,
+    tipsCents, onlineCents, houseCents, orders: orders.map(o => o.id), allocations: [], by: by || 'system', createdAt: now
+  };
+  for (const shiftId of Object.keys(weights)) {
+    const s = db.staffShifts[shiftId];
+    const a = { shiftId, staffId: s.staffId, userId: s.userId, name: s.name, onlineCents: online[shiftId] || 0, houseCents: house[shiftId] || 0 };
+    if (!a.onlineCents && !a.houseCents) continue;
+    pool.allocations.push(a);
+    if (!s.tips) s.tips = { onlineCents: 0, houseCents: 0, pools: [] };
+    s.tips.onlineCents += a.onlineCents;
+    s.tips.houseCents += a.houseCents;
+    s.tips.pools.push(pool.id);
+    saveDB('staffShifts/' + s.id);
+    if (a.onlineCents > 0 && s.userId !== ev.creatorId) {
+      ledgerPost({
+        id: 'tippool:' + pool.id + ':' + shiftId, kind: 'tip_pool', sourceType: 'tipPool', sourceId: pool.id, category: 'tip_pool',
+        beneficiaryId: s.userId, eventId: ev.id, currency: 'brl', amount: a.onlineCents, fee: 0, net: a.onlineCents, createdAt: now,
+        entries: [ledgerEntry('event:' + ev.id, a.onlineCents, ev.creatorId), ledgerEntry('provider:' + s.userId, -a.onlineCents, s.userId)]
+      });
+    }
+  }
+  db.tipPools[pool.id] = pool;
+  cfg.lastRunAt = now;
+  saveDB('tipPools/' + pool.id, 'operatorEvents/' + ev.id);
+  io.to('event:' + ev.id).emit('tip-pool-run', { eventId: ev.id, poolId: pool.id, total: fromCents(tipsCents), staff: pool.allocations.length });
+  return pool;
+}
+
+// Staff clock themselves in/out; owner and manager may do it for anyone (staffId)
+function shiftMember(req, ev) {
+  const staffId = req.body.staffId || req.query.staffId;
+  const mine = (ev.staff || []).find(s => s.userId === req.authUserId);
+  if (!staffId || (mine && staffId === mine.id)) return mine ? { member: mine } : { status: 400, error: 'Informe staffId.' };
+  if (!['owner', 'manager'].includes(req.eventRole)) return { status: 403, error: 'So o dono ou o gerente registra o turno de outra pessoa.' };
+  const member = (ev.staff || []).find(s => s.id === staffId);
+  return member ? { member } : { status: 404, error: 'Staff nao encontrado.' };
+}
+
+function closeShift(ev, shift, by) {
+  runTipPool(ev, by);
+  shift.status = 'closed';
+  shift.clockOutAt = Date.now();
+  shift.clockedOutBy = by;
+  shift.report = shiftReport(ev, shift);
+  saveDB('staffShifts/' + shift.id);
+  io.to(`user:${shift.userId}`).emit('shift-report', { eventId: ev.id, report: shift.report });
+  return shift.report;
+}
+
+app.post('/api/operator/event/:eventId/staff/clock-in', requireEventRole('shift'), (req, res) => {
+  const ev = req.operatorEvent;
+  const { member, status, error } = shiftMember(req, ev);
+  if (error) return res.status(status).json({ error });
+  if (openShiftOf(ev.id, member.id)) return res.status(409).json({ error: 'Turno ja aberto.' });
+  const now = Date.now();
+  const shift = {
+    id: 'sh_' + uuidv4().replace(/-/g, '').slice(0, 16), eventId: ev.id, staffId: member.id, userId: member.userId,
+    name: member.name, role: member.role, status: 'open', clockInAt: now, clockedInBy: req.authUserId,
+    tips: { onlineCents: 0, houseCents: 0, pools: [] }
+  };
+  db.staffShifts[shift.id] = shift;
+  member.status = 'online';
+  member.connectedAt = now;
+  saveDB('staffShifts/' + shift.id, 'operatorEvents/' + ev.id);
+  io.to('event:' + ev.id).emit('staff-shift', { eventId: ev.id, staffId: member.id, shiftId: shift.id, status: 'open' });
+  res.json({ ok: true, shift });
+});
+
+app.post('/api/operator/event/:eventId/staff/clock-out', requireEventRole('shift'), (req, res) => {
+  const ev = req.operatorEvent;
+  const { member, status, error } = shiftMember(req, ev);
+  if (error) return res.status(status).json({ error });
+  const shift = openShiftOf(ev.id, member.id);
+  if (!shift) return res.status(409).json({ error: 'Nenhum turno aberto.' });
+  const report = closeShift(ev, shift, req.authUserId);
+  member.status = 'offline';
+  saveDB('operatorEvents/' + ev.id);
+  io.to('event:' + ev.id).emit('staff-shift', { eventId: ev.id, staffId: member.id, shiftId: shift.id, status: 'closed' });
+  res.json({ ok: true, report });
+});
+
+// Owner / manager see every shift; the rest of the team only their own
+app.get('/api/operator/event/:eventId/staff/shifts', requireEventRole('shift'), (req, res) => {
+  const ev = req.operatorEvent;
+  const { status, staffId } = req.query;
+  const from = parseInt(req.query.from) || 0;
+  const manager = ['owner', 'manager'].includes(req.eventRole);
+  const reports = eventShifts(ev.id)
+    .filter(s => (manager || s.userId === req.authUserId) && (!staffId || s.staffId === staffId) && (!status || s.status === status) && s.clockInAt >= from)
+    .sort((a, b) => b.clockInAt - a.clockInAt)
+    .map(s => s.status === 'closed' && s.report ? s.report : shiftReport(ev, s));
+  const totals = reports.reduce((t, r) => ({ hours: t.hours + r.hours, sales: roundMoney(t.sales + r.sales.amount), tips: roundMoney(t.tips + r.tips.total) }), { hours: 0, sales: 0, tips: 0 });
+  totals.hours = Math.round(totals.hours * 100) / 100;
+  res.json({ shifts: reports, totals });
+});
+
+app.get('/api/operator/event/:eventId/staff/shifts/:shiftId/report', requireEventRole('shift'), (req, res) => {
+  const ev = req.operatorEvent;
+  const shift = db.staffShifts[req.params.shiftId];
+  if (!shift || shift.eventId !== ev.id) return res.status(404).json({ error: 'Turno nao encontrado.' });
+  if (!['owner', 'manager'].includes(req.eventRole) && shift.userId !== req.authUserId) return res.status(403).json({ error: 'Turno de outra pessoa.' });
+  const pools = (shift.tips?.pools || []).map(id => db.tipPools[id]).filter(Boolean).map(p => {
+    const a = p.allocations.find(x => x.shiftId === shift.id) || {};
+    return { poolId: p.id, from: p.from, to: p.to, method: p.method, poolTotal: fromCents(p.tipsCents), share: fromCents((a.onlineCents || 0) + (a.houseCents || 0)) };
+  });
+  res.json({ report: shift.status === 'closed' && shift.report ? shift.report : shiftReport(ev, shift), pools });
+});
+
+app.get('/api/operator/event/:eventId/staff/tip-pool', requireEventRole('staff'), (req, res) => {
+  const ev = req.operatorEvent;
+  const pools = Object.values(db.tipPools).filter(p => p.eventId === ev.id).sort((a, b) => b.createdAt - a.createdAt).slice(0, 50);
+  res.json({ config: { ...shiftKit.DEFAULT_TIP_POOL, ...(ev.tipPool || {}) }, methods: shiftKit.TIP_POOL_METHODS, pools });
+});
+
+app.post('/api/operator/event/:eventId/staff/tip-pool', requireEventRole('staff'), (req, res) => {
+  const ev = req.operatorEvent;
+  const { config, error } = shiftKit.normalizeTipPoolConfig({ ...(ev.tipPool || {}), ...req.body }, Object.keys(eventRoleCatalog(ev)));
+  if (error) return res.status(400).json({ error });
+  // Turning the pool on starts counting from now, not from the first shift ever
+  const lastRunAt = ev.tipPool && ev.tipPool.enabled ? ev.tipPool.lastRunAt : (config.enabled ? Date.now() : undefined);
+  ev.tipPool = lastRunAt ? { ...config, lastRunAt } : config;
+  saveDB('operatorEvents/' + ev.id);
+  res.json({ ok: true, config: ev.tipPool });
+});
+
+app.post('/api/operator/event/:eventId/staff/tip-pool/run', requireEventRole('staff'), (req, res) => {
+  const ev = req.operatorEvent;
+  if (!ev.tipPool || !ev.tipPool.enabled) return res.status(400).json({ error: 'Divisao de gorjetas desativada.' });
+  const pool = runTipPool(ev, req.authUserId);
+  res.json({ ok: true, pool: pool || null });
+});
+
 // ═══ DELIVERY ORDERS ═══
 
 app.get('/api/user/:userId/delivery-restaurants', (req, res) => {
@@ -16682,15 +20783,26 @@ app.get('/api/user/:userId/delivery-restaurants', (req, res) => {
   res.json({ restaurants: results });
 });
 
+// ── Helper: record path of one order inside ev.orders, for saveDB() ──
+// ev.orders is append-only (orders are cancelled, never removed), so the array index is a stable key
+function eventOrderPath(ev, order) {
+  const idx = (ev.orders || []).indexOf(order);
+  return idx >= 0 ? 'operatorEvents/' + ev.id + '/orders/' + idx : 'operatorEvents/' + ev.id;
+}
+
 // ── Helper: Sync delivery order status to ev.orders (kanban mirror) ──
 function _syncDeliveryToEvOrders(deliveryOrder) {
   const ev = db.operatorEvents[deliveryOrder.eventId];
   if (!ev || !ev.orders) return;
   const mirror = ev.orders.find(o => o._deliveryOrderRef === deliveryOrder.id);
   if (mirror) {
-    mirror.status = _mapDeliveryStatusToKanban(deliveryOrder.status);
+    const status = _mapDeliveryStatusToKanban(deliveryOrder.status);
+    // Kitchen tickets still open: the card is not ready yet
+    mirror.status = status === 'ready' && kitchenOpenStations(mirror).length ? 'preparing' : status;
+    if (status === 'delivered' || status === 'cancelled') closeKitchenTickets(ev, mirror);
     mirror.statusHistory = deliveryOrder.statusHistory || [];
-    saveDB('operatorEvents');
+    const stockPaths = mirror.status === 'cancelled' ? restoreOrderStock(ev, mirror, 'cancelled') : [];
+    saveDB(eventOrderPath(ev, mirror), ...stockPaths);
   }
 }
 
@@ -16722,19 +20834,7 @@ app.post('/api/delivery/order', (req, res) => {
   const total = subtotal + deliveryFee + tip;
   const receiptNumber = 'REC-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substring(2, 6).toUpperCase();
   // Fiscal breakdown: produtos+frete = NF-e (ICMS), gorjeta = NF-S (ISS)
-  const fiscal = {
-    productAmount: subtotal,
-    deliveryAmount: deliveryFee,
-    serviceAmount: tip,
-    productFiscalType: 'NF-e',
-    serviceFiscalType: tip > 0 ? 'NF-S' : null,
-    cfop: '5.102',
-    cst: '00',
-    ncm: '2106.90.90',
-    issCode: tip > 0 ? '09.02' : null,
-    nfeStatus: 'pending',
-    nfsStatus: tip > 0 ? 'pending' : null
-  };
+  const fiscal = buildOrderFiscal(ev, items, { productAmount: subtotal, deliveryAmount: deliveryFee, serviceAmount: tip });
   const order = {
     id: require('uuid').v4(),
     eventId, customerId,
@@ -16756,8 +20856,10 @@ app.post('/api/delivery/order', (req, res) => {
     fiscal,
     createdAt: Date.now(), deliveredAt: null
   };
+  const stock = reserveStock(ev, items, order.id);
+  if (stock.error) return res.status(400).json({ error: stock.error });
   db.deliveryOrders[order.id] = order;
-  saveDB('deliveryOrders');
+  saveDB('deliveryOrders/' + order.id);
   // Also push to ev.orders for unified kanban view
   if (!ev.orders) ev.orders = [];
   ev.orders.push({
@@ -16783,7 +20885,10 @@ app.post('/api/delivery/order', (req, res) => {
     createdAt: order.createdAt,
     _deliveryOrderRef: order.id
   });
-  saveDB('operatorEvents');
+  // The kanban mirror holds the stock reservation: every cancel path goes through it
+  if (stock.reserved.length) ev.orders[ev.orders.length - 1].stockReserved = stock.reserved;
+  openKitchenTickets(ev, ev.orders[ev.orders.length - 1]);
+  saveDB(eventOrderPath(ev, ev.orders[ev.orders.length - 1]), ...stock.paths);
   // Notify operator: targeted + event room + global fallback
   io.to(`user:${ev.creatorId}`).emit('delivery-order-new', { order });
   io.to('event:' + ev.id).emit('delivery-order-new', { order });
@@ -16846,7 +20951,7 @@ app.post('/api/delivery/order/:orderId/cancel', async (req, res) => {
       order.refundStatus = 'refund_failed';
     }
   }
-  saveDB('deliveryOrders');
+  saveDB('deliveryOrders/' + order.id);
   // Sync with ev.orders
   _syncDeliveryToEvOrders(order);
   const ev = db.operatorEvents[order.eventId];
@@ -16868,7 +20973,7 @@ app.post('/api/delivery/order/:orderId/assign-driver', (req, res) => {
   order.status = 'confirmed';
   if (!order.statusHistory) order.statusHistory = [];
   order.statusHistory.push({ status: 'confirmed', timestamp: Date.now() });
-  saveDB('deliveryOrders');
+  saveDB('deliveryOrders/' + order.id);
   _syncDeliveryToEvOrders(order);
   io.to(`user:${driverId}`).emit('driver-assigned', { order });
   io.to(`user:${order.customerId}`).emit('delivery-status-update', { orderId: order.id, status: 'confirmed', driverName: order.driverName });
@@ -16881,11 +20986,16 @@ app.post('/api/delivery/order/:orderId/driver-status', (req, res) => {
   const { status } = req.body;
   const validStatuses = ['preparing', 'ready_pickup', 'on_the_way', 'delivered'];
   if (!validStatuses.includes(status)) return res.status(400).json({ error: 'Status invalido.' });
+  const evForKitchen = db.operatorEvents[order.eventId];
+  const mirror = evForKitchen && (evForKitchen.orders || []).find(o => o._deliveryOrderRef === order.id);
+  if (status === 'ready_pickup' && mirror && kitchenOpenStations(mirror).length) {
+    return res.status(409).json({ error: 'Cozinha ainda preparando o pedido.', openStations: kitchenOpenStations(mirror) });
+  }
   order.status = status;
   if (!order.statusHistory) order.statusHistory = [];
   order.statusHistory.push({ status, timestamp: Date.now() });
   if (status === 'delivered') order.deliveredAt = Date.now();
-  saveDB('deliveryOrders');
+  saveDB('deliveryOrders/' + order.id);
   // Sync status to ev.orders kanban mirror
   _syncDeliveryToEvOrders(order);
   io.to(`user:${order.customerId}`).emit('delivery-status-update', { orderId: order.id, status, driverName: order.driverName });
@@ -16914,6 +21024,297 @@ app.get('/api/driver/:userId/active-orders', (req, res) => {
 
 // ═══ RESTAURANT MENU & ORDERS ═══
 
+// ── Menu stock: reserve on order, restore on cancel / remove-item ──
+// Items with stockEnabled have stockQty decremented as soon as an order is accepted.
+// order.stockReserved = [{ menuItemId, qty }] records what was taken, so the stock
+// goes back exactly once. Every change is logged in db.stockMovements[eventId][movementId].
+const STOCK_ALERT_DEFAULT = 5; // Same default as the operator menu form
+const STOCK_MOVEMENTS_PER_EVENT = 2000;
+
+function stockTracked(menuItem) {
+  return !!(menuItem && menuItem.stockEnabled && menuItem.stockQty != null);
+}
+
+function menuItemPath(ev, menuItem) {
+  const idx = (ev.menu || []).indexOf(menuItem);
+  return idx >= 0 ? 'operatorEvents/' + ev.id + '/menu/' + idx : 'operatorEvents/' + ev.id;
+}
+
+// Order lines carry menuItemId; older delivery carts only have the name
+function findOrderMenuItem(ev, line) {
+  const menu = ev.menu || [];
+  if (line.menuItemId) return menu.find(m => m.id === line.menuItemId) || null;
+  const name = String(line.name || '').trim().toLowerCase();
+  return name ? menu.find(m => String(m.name || '').trim().toLowerCase() === name) || null : null;
+}
+
+function logStockMovement(ev, menuItem, delta, reason, orderId) {
+  if (!db.stockMovements[ev.id]) db.stockMovements[ev.id] = {};
+  const log = db.stockMovements[ev.id];
+  const id = uuidv4();
+  log[id] = {
+    id, menuItemId: menuItem.id, itemName: menuItem.name || '',
+    delta, qtyAfter: menuItem.stockQty, reason, orderId: orderId || null,
+    createdAt: Date.now()
+  };
+  const paths = ['stockMovements/' + ev.id + '/' + id];
+  const ids = Object.keys(log);
+  if (ids.length > STOCK_MOVEMENTS_PER_EVENT) {
+    ids.sort((a, b) => (log[a].createdAt || 0) - (log[b].createdAt || 0));
+    ids.slice(0, ids.length - STOCK_MOVEMENTS_PER_EVENT).forEach(old => {
+      delete log[old];
+      paths.push('stockMovements/' + ev.id + '/' + old);
+    });
+  }
+  return paths;
+}
+
+// Set stockQty, flip availability at zero and warn the operator when stockAlert is crossed.
+// Returns the record paths to pass to saveDB().
+function applyStockChange(ev, menuItem, delta, reason, orderId) {
+  const before = menuItem.stockQty || 0;
+  const after = before + delta;
+  menuItem.stockQty = after;
+  menuItem.stockRev = (menuItem.stockRev || 0) + 1;
+  if (after <= 0 && menuItem.available !== false) {
+    menuItem.available = false;
+    menuItem.stockAutoDisabled = true;
+  } else if (after > 0 && menuItem.stockAutoDisabled) {
+    // Only re-enable what the stock itself disabled, never a manual "indisponivel"
+    menuItem.available = true;
+    delete menuItem.stockAutoDisabled;
+  }
+  const alertAt = menuItem.stockAlert != null ? menuItem.stockAlert : STOCK_ALERT_DEFAULT;
+  if (delta < 0 && ((before > alertAt && after <= alertAt) || (before > 0 && after <= 0))) {
+    io.to(`user:${ev.creatorId}`).emit('stock-low', {
+      eventId: ev.id, itemId: menuItem.id, name: menuItem.name,
+      stockQty: after, stockAlert: alertAt, stockUnit: menuItem.stockUnit || 'un',
+      soldOut: after <= 0
+    });
+  }
+  return [menuItemPath(ev, menuItem), ...logStockMovement(ev, menuItem, delta, reason, orderId)];
+}
+
+// All-or-nothing: every line is checked before anything is decremented
+function reserveStock(ev, items, orderId) {
+  const wanted = new Map(); // menuItem → qty
+  for (const line of items) {
+    const menuItem = findOrderMenuItem(ev, line);
+    if (!stockTracked(menuItem)) continue;
+    if (!line.menuItemId) line.menuItemId = menuItem.id;
+    wanted.set(menuItem, (wanted.get(menuItem) || 0) + Math.max(1, parseInt(line.qty) || 1));
+  }
+  for (const [menuItem, qty] of wanted) {
+    if (menuItem.stockQty < qty) {
+      return { error: 'Item "' + menuItem.name + '" sem estoque suficiente (disponivel: ' + Math.max(0, menuItem.stockQty) + ')' };
+    }
+  }
+  const reserved = [];
+  const paths = [];
+  for (const [menuItem, qty] of wanted) {
+    paths.push(...applyStockChange(ev, menuItem, -qty, 'order', orderId));
+    reserved.push({ menuItemId: menuItem.id, qty });
+  }
+  return { reserved, paths };
+}
+
+function releaseStock(ev, reserved, reason, orderId) {
+  const paths = [];
+  for (const r of reserved || []) {
+    const menuItem = (ev.menu || []).find(m => m.id === r.menuItemId);
+    // Tracking switched off (or item deleted) since the order: nothing to give back
+    if (!stockTracked(menuItem) || !(r.qty > 0)) continue;
+    paths.push(...applyStockChange(ev, menuItem, r.qty, reason, orderId));
+  }
+  return paths;
+}
+
+// Give back everything still reserved by an order (cancellation). Idempotent.
+function restoreOrderStock(ev, order, reason) {
+  if (!order.stockReserved) return [];
+  const paths = releaseStock(ev, order.stockReserved, reason, order.id);
+  delete order.stockReserved;
+  return paths;
+}
+
+// Give back the stock of one removed order line
+function restoreOrderLineStock(ev, order, line) {
+  const entry = (order.stockReserved || []).find(r => r.menuItemId === line.menuItemId);
+  if (!entry) return [];
+  const qty = Math.min(entry.qty, Math.max(1, parseInt(line.qty) || 1));
+  entry.qty -= qty;
+  order.stockReserved = order.stockReserved.filter(r => r.qty > 0);
+  if (order.stockReserved.length === 0) delete order.stockReserved;
+  return releaseStock(ev, [{ menuItemId: line.menuItemId, qty }], 'item-removed', order.id);
+}
+
+// ── Fiscal classification: NCM / CFOP / CST per menu item ──
+// menuItem.ncm / cfop / cst / csosn win; missing ones fall back to the business profile
+// (defaultNcm / defaultCfop) and then to refeicao pronta sold inside the state.
+// Each order line gets line.fiscal = { ncm, cfop, cst, csosn, amount } -- the NF-e det is built from it.
+const FISCAL_DEFAULT_NCM = '2106.90.90';
+const FISCAL_DEFAULT_CFOP = '5.102';
+const FISCAL_DEFAULT_CST = '00';
+const FISCAL_DEFAULT_CSOSN = '102';
+const FISCAL_CSTS = ['00', '40', '41', '50'];
+const FISCAL_CSOSNS = ['101', '102', '103', '300', '400', '500'];
+
+// '21069090' | '2106.90.90' -> '2106.90.90' (null if not 8 digits)
+function formatNcm(v) {
+  const d = String(v == null ? '' : v).replace(/\D/g, '');
+  return d.length === 8 ? d.slice(0, 4) + '.' + d.slice(4, 6) + '.' + d.slice(6) : null;
+}
+
+// '5102' | '5.102' -> '5.102' (null if not a sale CFOP: 5xxx inside the state, 6xxx interstate)
+function formatCfop(v) {
+  const d = String(v == null ? '' : v).replace(/\D/g, '');
+  return /^[56]\d{3}$/.test(d) ? d[0] + '.' + d.slice(1) : null;
+}
+
+// Normalizes the fiscal fields of a menu item in place. Returns an error message or null.
+function sanitizeMenuFiscal(item) {
+  const checks = [
+    ['ncm', formatNcm, 'NCM'],
+    ['cfop', formatCfop, 'CFOP'],
+    ['cst', v => FISCAL_CSTS.includes(String(v)) ? String(v) : null, 'CST'],
+    ['csosn', v => FISCAL_CSOSNS.includes(String(v)) ? String(v) : null, 'CSOSN']
+  ];
+  for (const [field, format, label] of checks) {
+    if (item[field] === undefined || item[field] === null || item[field] === '') { delete item[field]; continue; }
+    const value = format(item[field]);
+    if (!value) return label + ' invalido em "' + (item.name || item.id) + '"';
+    item[field] = value;
+  }
+  return null;
+}
+
+function fiscalDefaults(ev) {
+  const bp = ev.businessProfile || {};
+  return {
+    ncm: formatNcm(bp.defaultNcm) || FISCAL_DEFAULT_NCM,
+    cfop: formatCfop(bp.defaultCfop) || FISCAL_DEFAULT_CFOP,
+    cst: FISCAL_DEFAULT_CST,
+    csosn: FISCAL_DEFAULT_CSOSN
+  };
+}
+
+// Builds order.fiscal and stamps line.fiscal on every item.
+// amounts: { productAmount, serviceAmount, deliveryAmount? }
+function buildOrderFiscal(ev, items, amounts) {
+  const defaults = fiscalDefaults(ev);
+  (items || []).forEach(line => {
+    const m = findOrderMenuItem(ev, line) || {};
+    line.fiscal = {
+      ncm: m.ncm || defaults.ncm,
+      cfop: m.cfop || defaults.cfop,
+      cst: m.cst || defaults.cst,
+      csosn: m.csosn || defaults.csosn,
+      amount: roundMoney((parseFloat(line.price) || 0) * (parseInt(line.qty) || 1))
+    };
+  });
+  const service = amounts.serviceAmount || 0;
+  const fiscal = {
+    productAmount: amounts.productAmount,       // Base para NF-e (mercadoria)
+    serviceAmount: service,                     // Base para NF-S (servico/gorjeta)
+    productFiscalType: 'NF-e',                  // Nota Fiscal Eletronica - produtos
+    serviceFiscalType: service > 0 ? 'NF-S' : null, // Nota Fiscal de Servico - gorjeta
+    cfop: defaults.cfop,                        // Padrao do pedido; cada linha tem o seu em items[].fiscal
+    cst: defaults.cst,
+    ncm: defaults.ncm,
+    issCode: service > 0 ? '09.02' : null,      // Codigo ISS para servicos de intermediacao
+    nfeStatus: 'pending',                       // pending | processing | emitted | rejected | error | cancelled
+    nfsStatus: service > 0 ? 'pending' : null
+  };
+  if (amounts.deliveryAmount !== undefined) fiscal.deliveryAmount = amounts.deliveryAmount;
+  return fiscal;
+}
+
+// ── Order pricing: the menu is the source of truth, never the client ──
+// Lines: { menuItemId, qty, notes?, modifiers?: [modifierId] } — menuItem.modifiers = [{ id, name, price }]
+const ORDER_MAX_QTY = 99;
+const ORDER_MAX_TIP_PERCENT = 100;
+const PRICE_TOLERANCE = 0.01; // Client-side float rounding
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function priceEventOrder(ev, items, tipPercent) {
+  const menu = ev.menu || [];
+  const lines = [];
+  for (const line of items) {
+    const menuItem = line && line.menuItemId ? menu.find(m => m.id === line.menuItemId) : null;
+    if (!menuItem) return { error: 'Item "' + ((line && line.name) || '?') + '" nao esta no cardapio.' };
+    if (menuItem.available === false) return { error: 'Item "' + menuItem.name + '" indisponivel no momento.' };
+    const qty = parseInt(line.qty);
+    if (!(qty >= 1 && qty <= ORDER_MAX_QTY)) return { error: 'Quantidade invalida para "' + menuItem.name + '".' };
+    let unitPrice = parseFloat(menuItem.price) || 0;
+    const modifiers = [];
+    for (const ref of line.modifiers || []) {
+      const modId = typeof ref === 'object' && ref ? ref.id : ref;
+      const mod = (menuItem.modifiers || []).find(m => m.id === modId);
+      if (!mod) return { error: 'Adicional invalido para "' + menuItem.name + '".' };
+      if (mod.available === false) return { error: 'Adicional "' + mod.name + '" indisponivel.' };
+      unitPrice += parseFloat(mod.price) || 0;
+      modifiers.push({ id: mod.id, name: mod.name, price: parseFloat(mod.price) || 0 });
+    }
+    unitPrice = roundMoney(unitPrice);
+    if (line.price !== undefined && Math.abs((parseFloat(line.price) || 0) - unitPrice) > PRICE_TOLERANCE) {
+      return { error: 'O preco de "' + menuItem.name + '" mudou. Atualize o cardapio.', mismatch: true };
+    }
+    const priced = { menuItemId: menuItem.id, name: menuItem.name, qty, price: unitPrice };
+    if (line.notes) priced.notes = sanitizeStr(String(line.notes), 200);
+    if (modifiers.length) priced.modifiers = modifiers;
+    lines.push(priced);
+  }
+  const pct = Math.min(Math.max(parseInt(tipPercent) || 0, 0), ORDER_MAX_TIP_PERCENT);
+  const subtotal = roundMoney(lines.reduce((s, l) => s + l.price * l.qty, 0));
+  const tipAmount = roundMoney(subtotal * pct / 100);
+  return { items: lines, subtotal, tipPercent: pct, tipAmount, total: roundMoney(subtotal + tipAmount) };
+}
+
+// ── Order payments: an order is only 'paid' once its eventPayments record is approved ──
+// The gateways (Stripe express / Payment Element, MercadoPago card) record type 'order'
+// payments in eventPayments; the order links one of them through paymentId.
+function linkOrderPayment(ev, order, paymentId) {
+  const ep = paymentId && db.eventPayments ? db.eventPayments[paymentId] : null;
+  if (!ep || ep.type !== 'order' || ep.eventId !== ev.id) return { error: 'Pagamento nao encontrado.' };
+  if (ep.payerId !== order.userId) return { error: 'Pagamento pertence a outro usuario.' };
+  if (ep.orderId && ep.orderId !== order.id) return { error: 'Pagamento ja usado em outro pedido.' };
+  if (ep.status === 'failed' || ep.status === 'rejected' || ep.refunded) return { error: 'Pagamento nao aprovado.' };
+  if ((ep.amount || 0) + PRICE_TOLERANCE < order.total) return { error: 'Valor pago menor que o total do pedido.' };
+  ep.orderId = order.id;
+  order.paymentId = ep.id;
+  if (ep.stripePaymentIntentId) order.stripePaymentIntentId = ep.stripePaymentIntentId;
+  if (ep.mpPaymentId) order.mpPaymentId = ep.mpPaymentId;
+  if (ep.status === 'approved') {
+    order.status = 'paid';
+    order.paidAt = Date.now();
+  }
+  return { ep };
+}
+
+// Called when a pending order payment gets approved (confirm-payment, Stripe webhook)
+function settleOrderPayment(ep) {
+  const ev = db.operatorEvents[ep.eventId];
+  const order = ev && ep.orderId ? (ev.orders || []).find(o => o.id === ep.orderId) : null;
+  if (!order || order.status !== 'pending') return;
+  order.status = 'paid';
+  order.paidAt = Date.now();
+  if (!order.statusHistory) order.statusHistory = [];
+  order.statusHistory.push({ status: 'paid', timestamp: order.paidAt });
+  saveDB(eventOrderPath(ev, order));
+  const updateData = { eventId: ev.id, orderId: order.id, status: order.status };
+  if (order.userId) io.to(`user:${order.userId}`).emit('order-update', updateData);
+  io.to('event:' + ev.id).emit('order-update', updateData);
+  io.to(`user:${ev.creatorId}`).emit('payment-received', {
+    eventId: ev.id, orderId: order.id,
+    amount: order.total, tipAmount: order.tipAmount || 0,
+    userName: order.userName, method: order.paymentMethod,
+    timestamp: order.paidAt
+  });
+}
+
 // Get menu for event
 app.get('/api/event/:eventId/menu', (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
@@ -16927,11 +21328,16 @@ app.get('/api/event/:eventId/menu', (req, res) => {
 });
 
 // Save/update menu (operator) - with base64 photo upload support
-app.post('/api/operator/event/:eventId/menu', async (req, res) => {
+app.post('/api/operator/event/:eventId/menu', requireEventRole('menu'), async (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   const { items, tables, orderTypes } = req.body;
+  const stockPaths = [];
   if (items) {
+    for (const item of items) {
+      const fiscalError = sanitizeMenuFiscal(item);
+      if (fiscalError) return res.status(400).json({ error: fiscalError });
+    }
     // Process each item: upload base64 photos to Firebase Storage
     for (let i = 0; i < items.length; i++) {
       const item = items[i];
@@ -16945,7 +21351,29 @@ app.post('/api/operator/event/:eventId/menu', async (req, res) => {
         }
       }
     }
-    ev.menu = items; // [{id,name,description,price,photo,category,available,stockEnabled,stockQty,stockAlert,stockUnit}]
+    // Stock moved by orders after the operator loaded the menu wins over the stale copy.
+    // Items rebuilt by the edit form come without stockRev and set the stock explicitly.
+    const prevById = new Map((ev.menu || []).map(m => [m.id, m]));
+    items.forEach(item => {
+      const prev = prevById.get(item.id);
+      if (!item.stockEnabled || item.stockQty == null) return;
+      if (stockTracked(prev) && item.stockRev !== undefined && item.stockRev !== prev.stockRev) {
+        item.stockQty = prev.stockQty;
+        item.stockRev = prev.stockRev;
+        if (prev.stockAutoDisabled) { item.available = false; item.stockAutoDisabled = true; }
+        return;
+      }
+      item.stockQty = parseInt(item.stockQty) || 0;
+      const prevQty = stockTracked(prev) ? prev.stockQty : 0;
+      if (prev && prev.stockAutoDisabled && item.available === false && item.stockQty <= 0) item.stockAutoDisabled = true;
+      if (item.stockQty !== prevQty) {
+        item.stockRev = ((prev && prev.stockRev) || 0) + 1;
+        stockPaths.push(...logStockMovement(ev, item, item.stockQty - prevQty, 'manual'));
+      } else if (prev && prev.stockRev !== undefined) {
+        item.stockRev = prev.stockRev;
+      }
+    });
+    ev.menu = items; // [{id,name,description,price,photo,category,available,stockEnabled,stockQty,stockAlert,stockUnit,stockRev,ncm,cfop,cst,csosn}]
   }
   if (tables !== undefined) ev.tables = parseInt(tables) || 0;
   if (orderTypes !== undefined) ev.restConfig = ev.restConfig || {};
@@ -16956,57 +21384,92 @@ app.post('/api/operator/event/:eventId/menu', async (req, res) => {
       paraLevar: orderTypes.paraLevar !== false
     };
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id, ...stockPaths);
   res.json({ ok: true, menu: ev.menu, tables: ev.tables, orderTypes: ev.restConfig?.orderTypes });
 });
 
+// Stock movement log for one menu item (operator) — newest first
+app.get('/api/operator/event/:eventId/menu/:itemId/stock-log', requireEventRole('menu'), (req, res) => {
+  const ev = db.operatorEvents[req.params.eventId];
+  if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
+  const menuItem = (ev.menu || []).find(m => m.id === req.params.itemId);
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const movements = Object.values(db.stockMovements[ev.id] || {})
+    .filter(m => m.menuItemId === req.params.itemId)
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .slice(0, limit);
+  if (!menuItem && movements.length === 0) return res.status(404).json({ error: 'Item nao encontrado.' });
+  res.json({
+    itemId: req.params.itemId,
+    name: menuItem ? menuItem.name : movements[0].itemName,
+    stockEnabled: !!(menuItem && menuItem.stockEnabled),
+    stockQty: menuItem ? menuItem.stockQty : null,
+    stockUnit: (menuItem && menuItem.stockUnit) || 'un',
+    movements
+  });
+});
+
 // Place order (client)
 app.post('/api/event/:eventId/order', (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
-  const { userId, items, table, paymentMethod, total, tipPercent, tipAmount, subtotal } = req.body;
-  // items: [{menuItemId, name, qty, price}]
-  if (!userId || !items || items.length === 0) return res.status(400).json({ error: 'Pedido vazio.' });
+  const { userId, items, table, paymentMethod, paymentId, total, tipPercent, tipAmount, subtotal } = req.body;
+  // items: [{menuItemId, qty, notes?, modifiers?}] — name/price from the client are ignored
+  if (!userId || !Array.isArray(items) || items.length === 0) return res.status(400).json({ error: 'Pedido vazio.' });
+  const priced = priceEventOrder(ev, items, tipPercent);
+  if (priced.error) return res.status(priced.mismatch ? 409 : 400).json({ error: priced.error });
+  // Totals the client showed the customer must match what will be charged
+  const mismatch = [['subtotal', subtotal], ['tipAmount', tipAmount], ['total', total]]
+    .find(([k, v]) => v !== undefined && v !== null && v !== '' && Math.abs((parseFloat(v) || 0) - priced[k]) > PRICE_TOLERANCE);
+  if (mismatch) {
+    return res.status(409).json({
+      error: 'Valores do pedido nao conferem com o cardapio.',
+      expected: { subtotal: priced.subtotal, tipPercent: priced.tipPercent, tipAmount: priced.tipAmount, total: priced.total }
+    });
+  }
+  const paidUpfront = paymentMethod === 'card' || paymentMethod === 'paid';
+  if (paidUpfront && !paymentId) return res.status(402).json({ error: 'Pagamento nao confirmado.' });
   if (!ev.orders) ev.orders = [];
   const receiptNumber = 'REC-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substring(2, 6).toUpperCase();
-  const parsedSubtotal = parseFloat(subtotal) || parseFloat(total) || 0;
-  const parsedTipAmount = parseFloat(tipAmount) || 0;
-  const parsedTotal = parseFloat(total) || 0;
   // Fiscal breakdown: produtos = NF-e (ICMS), gorjeta = NF-S (ISS)
-  const fiscal = {
-    productAmount: parsedSubtotal,          // Base para NF-e (mercadoria)
-    serviceAmount: parsedTipAmount,          // Base para NF-S (servico/gorjeta)
-    productFiscalType: 'NF-e',              // Nota Fiscal Eletronica - produtos
-    serviceFiscalType: parsedTipAmount > 0 ? 'NF-S' : null, // Nota Fiscal de Servico - gorjeta
-    cfop: '5.102',                          // Venda mercadoria adquirida - dentro do estado
-    cst: '00',                              // CST ICMS - tributacao normal
-    ncm: '2106.90.90',                      // NCM generico refeicoes prontas
-    issCode: parsedTipAmount > 0 ? '09.02' : null, // Codigo ISS para servicos de intermediacao
-    nfeStatus: 'pending',                   // pending | emitted | error
-    nfsStatus: parsedTipAmount > 0 ? 'pending' : null
-  };
+  const fiscal = buildOrderFiscal(ev, priced.items, { productAmount: priced.subtotal, serviceAmount: priced.tipAmount });
   const order = {
     id: uuidv4(), userId, userName: db.users[userId] ? (db.users[userId].nickname || db.users[userId].name) : '?',
-    items, table: table || null,
-    subtotal: parsedSubtotal,
-    tipPercent: parseInt(tipPercent) || 0,
-    tipAmount: parsedTipAmount,
-    total: parsedTotal,
+    items: priced.items, table: table || null,
+    subtotal: priced.subtotal,
+    tipPercent: priced.tipPercent,
+    tipAmount: priced.tipAmount,
+    total: priced.total,
     paymentMethod: paymentMethod || 'counter',
-    status: paymentMethod === 'card' ? 'paid' : 'pending',
+    status: 'pending',
     receiptNumber,
     eventName: ev.name || 'Evento',
     fiscal,
     createdAt: Date.now()
   };
+  let payment = null;
+  if (paymentId) {
+    const link = linkOrderPayment(ev, order, paymentId);
+    if (link.error) return res.status(402).json({ error: link.error });
+    payment = link.ep;
+  }
+  order.statusHistory = [{ status: order.status, timestamp: order.createdAt }];
+  const stock = reserveStock(ev, order.items, order.id);
+  if (stock.error) {
+    if (payment) delete payment.orderId;
+    return res.status(400).json({ error: stock.error });
+  }
+  if (stock.reserved.length) order.stockReserved = stock.reserved;
   ev.orders.push(order);
-  saveDB('operatorEvents');
+  openKitchenTickets(ev, order);
+  saveDB(eventOrderPath(ev, order), ...stock.paths);
+  if (payment) saveDB('eventPayments/' + payment.id);
   // Notify operator via socket (global + targeted for reliability)
   io.emit('new-order', { eventId: ev.id, order });
   io.to(`user:${ev.creatorId}`).emit('new-order', { eventId: ev.id, order });
   io.to('event:' + ev.id).emit('new-order', { eventId: ev.id, order });
-  // Payment notification if order is paid
-  if (order.status === 'paid' || order.paymentMethod === 'paid' || order.paymentMethod === 'card') {
+  // Payment notification if order is paid (a pending payment notifies in settleOrderPayment)
+  if (order.status === 'paid') {
     io.to(`user:${ev.creatorId}`).emit('payment-received', {
       eventId: ev.id, orderId: order.id,
       amount: order.total, tipAmount: order.tipAmount || 0,
@@ -17027,24 +21490,30 @@ app.get('/api/event/:eventId/orders/:userId', (req, res) => {
 });
 
 // Get orders for event (operator)
-app.get('/api/operator/event/:eventId/orders', (req, res) => {
+app.get('/api/operator/event/:eventId/orders', requireEventRole('orders'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   res.json({ orders: ev.orders || [] });
 });
 
 // Update order status (operator)
-app.post('/api/operator/event/:eventId/order/:orderId/status', (req, res) => {
+app.post('/api/operator/event/:eventId/order/:orderId/status', requireEventRole('orders'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const order = (ev.orders || []).find(o => o.id === req.params.orderId);
   if (!order) return res.status(404).json({ error: 'Pedido nao encontrado.' });
   const newStatus = req.body.status || order.status; // 'pending','preparing','ready','delivered','cancelled'
+  const openStations = kitchenOpenStations(order);
+  if (newStatus === 'ready' && openStations.length) {
+    return res.status(409).json({ error: 'Estacoes ainda preparando: ' + openStations.join(', '), openStations });
+  }
   order.status = newStatus;
+  if (newStatus === 'delivered' || newStatus === 'cancelled') closeKitchenTickets(ev, order);
   // Record status history
   if (!order.statusHistory) order.statusHistory = [];
   order.statusHistory.push({ status: newStatus, timestamp: Date.now() });
-  saveDB('operatorEvents');
+  const stockPaths = newStatus === 'cancelled' ? restoreOrderStock(ev, order, 'cancelled') : [];
+  saveDB(eventOrderPath(ev, order), ...stockPaths);
   // Notify client (global + targeted for reliability)
   const updateData = { eventId: ev.id, orderId: order.id, status: order.status };
   io.emit('order-update', updateData);
@@ -17056,7 +21525,7 @@ app.post('/api/operator/event/:eventId/order/:orderId/status', (req, res) => {
     const rel = db.relations[relId];
     if (rel) {
       rel.expiresAt = Date.now() + 1800000; // 30min grace period
-      saveDB('relations');
+      saveDB('relations/' + relId);
       if (rel.userB) {
         io.to('user:' + rel.userB).emit('order-delivered', { orderId: order.id, relationId: relId, status: newStatus });
       }
@@ -17066,7 +21535,7 @@ app.post('/api/operator/event/:eventId/order/:orderId/status', (req, res) => {
 });
 
 // Remove item from order
-app.post('/api/operator/event/:eventId/order/:orderId/remove-item', (req, res) => {
+app.post('/api/operator/event/:eventId/order/:orderId/remove-item', requireEventRole('orders.edit'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const order = (ev.orders || []).find(o => o.id === req.params.orderId);
@@ -17080,12 +21549,15 @@ app.post('/api/operator/event/:eventId/order/:orderId/remove-item', (req, res) =
 
   // Remove item
   const removedItem = order.items.splice(itemIndex, 1)[0];
+  const stockPaths = restoreOrderLineStock(ev, order, removedItem);
+  pruneKitchenTickets(ev, order);
 
   // If no items left, mark order as cancelled
   if (order.items.length === 0) {
     order.status = 'cancelled';
     order.cancelledAt = Date.now();
     order.cancelReason = 'Todos os itens foram removidos';
+    stockPaths.push(...restoreOrderStock(ev, order, 'cancelled'));
   } else {
     // Recalculate total
     const subtotal = order.items.reduce((sum, it) => sum + (it.qty * it.price), 0);
@@ -17096,9 +21568,11 @@ app.post('/api/operator/event/:eventId/order/:orderId/remove-item', (req, res) =
     const tipAmount = tipPercent > 0 ? Math.round((order.subtotal * tipPercent / 100) * 100) / 100 : 0;
     order.tipAmount = tipAmount;
     order.total = Math.round((order.subtotal + tipAmount) * 100) / 100;
+    // The removed line may have been the last one a station still had to prepare
+    stockPaths.push(...applyKitchenProgress(ev, order));
   }
 
-  saveDB('operatorEvents');
+  saveDB(eventOrderPath(ev, order), ...stockPaths);
 
   // Notify users
   io.emit('order-update', { eventId: ev.id, orderId: order.id, status: order.status });
@@ -17108,8 +21582,197 @@ app.post('/api/operator/event/:eventId/order/:orderId/remove-item', (req, res) =
   res.json({ ok: true, order });
 });
 
+// ═══ KITCHEN DISPLAY (KDS) -- pedidos divididos por estacao de preparo ═══
+// Opt-in: ev.restConfig.stations = [{ id, name }] liga o KDS. ev.restConfig.categoryStations =
+// [{ category, station }] manda cada categoria do cardapio para uma estacao (sem mapa = primeira estacao).
+// Ao entrar, cada linha do pedido recebe line.station e o pedido ganha
+// order.tickets = { [stationId]: { status: 'pending' | 'preparing' | 'ready', updatedAt, readyAt? } }.
+// O pedido vira 'preparing' quando a primeira estacao comeca e 'ready' so com todos os tickets prontos;
+// o deliveryOrder espelhado (_deliveryOrderRef) anda junto (preparing / ready_pickup).
+// Socket: 'join-kitchen-station' { eventId, station } -> room kds:<eventId>:<station>
+//   kitchen-ticket-new | kitchen-ticket-update | kitchen-ticket-closed
+const KITCHEN_DEFAULT_STATIONS = [{ id: 'kitchen', name: 'Cozinha' }, { id: 'bar', name: 'Bar' }, { id: 'grill', name: 'Churrasqueira' }];
+const KITCHEN_TICKET_STATUSES = ['pending', 'preparing', 'ready'];
+const KITCHEN_MAX_STATIONS = 12;
+
+function kitchenStations(ev) {
+  return (ev.restConfig && ev.restConfig.stations) || [];
+}
+
+function kitchenRoom(ev, stationId) {
+  return 'kds:' + ev.id + ':' + stationId;
+}
+
+function stationForLine(ev, line) {
+  const stations = kitchenStations(ev);
+  const menuItem = findOrderMenuItem(ev, line);
+  const rule = menuItem && menuItem.category && (ev.restConfig.categoryStations || []).find(r => r.category === menuItem.category);
+  return rule && stations.some(s => s.id === rule.station) ? rule.station : stations[0].id;
+}
+
+// What one station sees of an order: only the lines routed to it
+function kitchenTicketView(order, stationId) {
+  const ticket = order.tickets[stationId];
+  return {
+    orderId: order.id, station: stationId, status: ticket.status,
+    receiptNumber: order.receiptNumber || null, table: order.table || null,
+    customerName: order.customerName || order.userName || '', deliveryType: order.deliveryType || null,
+    notes: order.notes || '', createdAt: order.createdAt, updatedAt: ticket.updatedAt,
+    items: (order.items || []).filter(l => l.station === stationId).map(l => ({
+      name: l.name, qty: parseInt(l.qty) || 1, notes: l.notes || '',
+      modifiers: (l.modifiers || []).map(m => (m && m.name) || m)
+    }))
+  };
+}
+
+function kitchenOpenStations(order) {
+  return order.tickets ? Object.keys(order.tickets).filter(st => order.tickets[st].status !== 'ready') : [];
+}
+
+// Routes the lines of a new order and opens one ticket per station. No-op while the KDS is off.
+function openKitchenTickets(ev, order) {
+  if (!kitchenStations(ev).length || !(order.items || []).length) return;
+  const now = Date.now();
+  order.tickets = {};
+  order.items.forEach(line => {
+    line.station = stationForLine(ev, line);
+    if (!order.tickets[line.station]) order.tickets[line.station] = { status: 'pending', updatedAt: now };
+  });
+  Object.keys(order.tickets).forEach(st => {
+    io.to(kitchenRoom(ev, st)).emit('kitchen-ticket-new', { eventId: ev.id, ticket: kitchenTicketView(order, st) });
+  });
+}
+
+// Order left the kitchen flow (delivered / cancelled): clear it from every station screen
+function closeKitchenTickets(ev, order) {
+  Object.keys(order.tickets || {}).forEach(st => {
+    io.to(kitchenRoom(ev, st)).emit('kitchen-ticket-closed', { eventId: ev.id, orderId: order.id, station: st });
+  });
+}
+
+// Moves the parent order (and its delivery original) along with the tickets.
+// Returns extra record paths for saveDB().
+function applyKitchenProgress(ev, order) {
+  if (!order.tickets || ['delivered', 'cancelled'].includes(order.status)) return [];
+  const started = Object.values(order.tickets).some(t => t.status !== 'pending');
+  const next = kitchenOpenStations(order).length === 0 ? 'ready' : started ? 'preparing' : null;
+  if (!next || order.status === next) return [];
+  const now = Date.now();
+  order.status = next;
+  const delivery = order._deliveryOrderRef && db.deliveryOrders[order._deliveryOrderRef];
+  const target = next === 'ready' ? 'ready_pickup' : 'preparing';
+  const movable = target === 'ready_pickup' ? ['pending', 'confirmed', 'preparing'] : ['pending', 'confirmed', 'ready_pickup'];
+  const moveDelivery = !!delivery && movable.includes(delivery.status);
+  if (moveDelivery) {
+    // Same history array as the mirror (see _syncDeliveryToEvOrders)
+    delivery.status = target;
+    if (!delivery.statusHistory) delivery.statusHistory = [];
+    delivery.statusHistory.push({ status: target, timestamp: now });
+    order.statusHistory = delivery.statusHistory;
+    io.to(`user:${delivery.customerId}`).emit('delivery-status-update', { orderId: delivery.id, status: target, driverName: delivery.driverName });
+    if (delivery.driverId) io.to(`user:${delivery.driverId}`).emit('delivery-status-update', { orderId: delivery.id, status: target });
+  } else {
+    if (!order.statusHistory) order.statusHistory = [];
+    order.statusHistory.push({ status: next, timestamp: now });
+  }
+  const updateData = { eventId: ev.id, orderId: order.id, status: next };
+  io.emit('order-update', updateData);
+  if (order.userId) io.to(`user:${order.userId}`).emit('order-update', updateData);
+  io.to('event:' + ev.id).emit('order-update', updateData);
+  return moveDelivery ? ['deliveryOrders/' + delivery.id] : [];
+}
+
+// remove-item: a station left without lines has nothing to prepare
+function pruneKitchenTickets(ev, order) {
+  if (!order.tickets) return;
+  Object.keys(order.tickets).forEach(st => {
+    if (order.items.some(l => l.station === st)) return;
+    delete order.tickets[st];
+    io.to(kitchenRoom(ev, st)).emit('kitchen-ticket-closed', { eventId: ev.id, orderId: order.id, station: st });
+  });
+  if (Object.keys(order.tickets).length === 0) delete order.tickets;
+}
+
+// GET stations config + menu categories (operator / KDS screens)
+app.get('/api/operator/event/:eventId/kitchen/stations', requireEventRole('orders'), (req, res) => {
+  const ev = req.operatorEvent;
+  const categories = [...new Set((ev.menu || []).map(m => m.category).filter(Boolean))];
+  res.json({
+    enabled: kitchenStations(ev).length > 0,
+    stations: kitchenStations(ev),
+    categoryStations: (ev.restConfig && ev.restConfig.categoryStations) || [],
+    categories,
+    suggested: KITCHEN_DEFAULT_STATIONS
+  });
+});
+
+// POST stations config — { stations: [{ id, name }], categoryStations: [{ category, station }] }; stations [] turns the KDS off
+app.post('/api/operator/event/:eventId/kitchen/stations', requireEventRole('menu'), (req, res) => {
+  const ev = req.operatorEvent;
+  const { stations, categoryStations } = req.body || {};
+  if (!Array.isArray(stations)) return res.status(400).json({ error: 'stations deve ser um array.' });
+  if (stations.length > KITCHEN_MAX_STATIONS) return res.status(400).json({ error: 'Maximo de ' + KITCHEN_MAX_STATIONS + ' estacoes.' });
+  const clean = [];
+  for (const s of stations) {
+    const id = String((s && s.id) || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,24}$/.test(id)) return res.status(400).json({ error: 'Id de estacao invalido: ' + id });
+    if (clean.some(c => c.id === id)) return res.status(400).json({ error: 'Estacao repetida: ' + id });
+    clean.push({ id, name: sanitizeStr((s && s.name) || id, 40) });
+  }
+  const rules = [];
+  for (const r of Array.isArray(categoryStations) ? categoryStations : []) {
+    const category = String((r && r.category) || '').trim();
+    if (!category) continue;
+    if (!clean.some(c => c.id === r.station)) return res.status(400).json({ error: 'Estacao desconhecida para "' + category + '": ' + r.station });
+    rules.push({ category: category.slice(0, 60), station: r.station });
+  }
+  ev.restConfig = ev.restConfig || {};
+  if (clean.length) {
+    ev.restConfig.stations = clean;
+    ev.restConfig.categoryStations = rules;
+  } else {
+    delete ev.restConfig.stations;
+    delete ev.restConfig.categoryStations;
+  }
+  saveDB('operatorEvents/' + ev.id);
+  res.json({ ok: true, enabled: clean.length > 0, stations: clean, categoryStations: rules });
+});
+
+// GET station feed — open tickets (pending + preparing), oldest first. ?status=all includes ready ones.
+app.get('/api/operator/event/:eventId/kitchen/:station/tickets', requireEventRole('orders'), (req, res) => {
+  const ev = req.operatorEvent;
+  const station = req.params.station;
+  if (!kitchenStations(ev).some(s => s.id === station)) return res.status(404).json({ error: 'Estacao nao encontrada.' });
+  const wanted = req.query.status === 'all' ? KITCHEN_TICKET_STATUSES : ['pending', 'preparing'];
+  const tickets = (ev.orders || [])
+    .filter(o => o.tickets && o.tickets[station] && !['delivered', 'cancelled'].includes(o.status) && wanted.includes(o.tickets[station].status))
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    .map(o => kitchenTicketView(o, station));
+  res.json({ station, tickets });
+});
+
+// POST ticket status — { status: 'pending' | 'preparing' | 'ready' }
+app.post('/api/operator/event/:eventId/kitchen/:station/tickets/:orderId/status', requireEventRole('orders'), (req, res) => {
+  const ev = req.operatorEvent;
+  const { station, orderId } = req.params;
+  const order = (ev.orders || []).find(o => o.id === orderId);
+  const ticket = order && order.tickets && order.tickets[station];
+  if (!ticket) return res.status(404).json({ error: 'Ticket nao encontrado.' });
+  if (['delivered', 'cancelled'].includes(order.status)) return res.status(409).json({ error: 'Pedido ja encerrado.' });
+  const status = req.body && req.body.status;
+  if (!KITCHEN_TICKET_STATUSES.includes(status)) return res.status(400).json({ error: 'Status invalido. Use ' + KITCHEN_TICKET_STATUSES.join(', ') + '.' });
+  ticket.status = status;
+  ticket.updatedAt = Date.now();
+  if (status === 'ready') ticket.readyAt = ticket.updatedAt;
+  else delete ticket.readyAt;
+  const extraPaths = applyKitchenProgress(ev, order);
+  saveDB(eventOrderPath(ev, order), ...extraPaths);
+  io.to(kitchenRoom(ev, station)).emit('kitchen-ticket-update', { eventId: ev.id, ticket: kitchenTicketView(order, station) });
+  res.json({ ok: true, ticket: kitchenTicketView(order, station), orderStatus: order.status, openStations: kitchenOpenStations(order) });
+});
+
 // ═══ FISCAL SUMMARY (preparacao para SEFAZ) ═══
-app.get('/api/operator/event/:eventId/fiscal-summary', (req, res) => {
+app.get('/api/operator/event/:eventId/fiscal-summary', requireEventRole('fiscal'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const orders = (ev.orders || []).filter(o => o.status !== 'cancelled');
@@ -17139,6 +21802,24 @@ app.get('/api/operator/event/:eventId/fiscal-summary', (req, res) => {
     if ((o.subtotal || 0) > 0) nfeCount++;
     if ((o.tipAmount || 0) > 0) nfsCount++;
   });
+  // NF-e base grouped by NCM/CFOP (delivery orders mirrored in ev.orders are counted once)
+  const defaults = fiscalDefaults(ev);
+  const mirrored = new Set(orders.map(o => o._deliveryOrderRef).filter(Boolean));
+  const groups = {};
+  orders.concat(delOrders.filter(o => !mirrored.has(o.id))).forEach(o => {
+    (o.items || []).forEach(line => {
+      const lf = line.fiscal || {};
+      const ncm = lf.ncm || (o.fiscal && o.fiscal.ncm) || defaults.ncm;
+      const cfop = lf.cfop || (o.fiscal && o.fiscal.cfop) || defaults.cfop;
+      const g = groups[ncm + '|' + cfop] || (groups[ncm + '|' + cfop] = { ncm, cfop, quantity: 0, amount: 0, orders: 0, _orders: new Set() });
+      g.quantity += parseInt(line.qty) || 1;
+      g.amount += lf.amount !== undefined ? lf.amount : (parseFloat(line.price) || 0) * (parseInt(line.qty) || 1);
+      g._orders.add(o.id);
+    });
+  });
+  const byClassification = Object.values(groups)
+    .map(({ _orders, ...g }) => ({ ...g, amount: roundMoney(g.amount), orders: _orders.size }))
+    .sort((a, b) => b.amount - a.amount);
   res.json({
     summary: {
       totalProducts,        // Base calculo NF-e (produtos + frete)
@@ -17150,18 +21831,461 @@ app.get('/api/operator/event/:eventId/fiscal-summary', (req, res) => {
       nfeBase: totalProducts + totalDeliveryFee,  // Base NF-e final
       nfsBase: totalServices                       // Base NF-S final
     },
+    byClassification,       // [{ ncm, cfop, quantity, amount, orders }] -- base NF-e por classificacao
     fiscalConfig: {
-      cfop: '5.102',        // Venda merc. adquirida dentro do estado
-      cst: '00',            // CST ICMS tributacao normal
-      ncm: '2106.90.90',    // NCM refeicoes prontas
+      cfop: defaults.cfop,  // Padrao do perfil (itens do cardapio podem ter o seu)
+      cst: defaults.cst,    // CST ICMS tributacao normal
+      ncm: defaults.ncm,    // Padrao do perfil (2106.90.90 = refeicoes prontas)
       issCode: '09.02',     // Intermediacao de servicos
+      taxRegime: (ev.businessProfile && ev.businessProfile.taxRegime) || null,
+      state: (ev.businessProfile && ev.businessProfile.fiscalState) || null,
       note: 'Produtos = NF-e (SEFAZ estadual, ICMS). Gorjetas = NF-S (prefeitura, ISS). Frete incluso na NF-e.'
     },
+    documents: fiscalStatusCounts(ev),
     ordersCount: orders.length + delOrders.length,
     deliveryOrdersCount: delOrders.length
   });
 });
 
+// ═══ FISCAL DOCUMENTS (NF-e / NFC-e / NFS-e) ═══
+// XML builders, A1 signing and the SEFAZ/prefeitura providers live in fiscal/.
+// Certificate + CSC are kept in db.fiscalCredentials[eventId] (never inside the event, which is served to clients).
+// Every document sent to a provider stays in db.fiscalDocuments[eventId][docId] with its status history.
+const fiscalEmitter = require('./fiscal');
+// Dedicated key: never ADMIN_SECRET (rotating the admin secret would lock every certificate) and never plaintext
+const FISCAL_SECRET_KEY = process.env.FISCAL_SECRET_KEY || '';
+if (!FISCAL_SECRET_KEY) console.warn('[WARN] FISCAL_SECRET_KEY nao configurado: upload de certificado A1 e CSC desativados.');
+const FISCAL_NO_KEY_ERROR = 'Cofre fiscal nao configurado no servidor (FISCAL_SECRET_KEY).';
+const FISCAL_PFX_MAX = 64 * 1024;       // base64; um A1 tem poucos KB
+const FISCAL_BATCH_MAX = 50;            // emit-pending por chamada (cada envio espera o provedor)
+const FISCAL_DEFAULTS = {
+  environment: 'homologacao', provider: 'mock', nfeModel: '65',
+  series: 1, nextNumber: 1, rpsSeries: '1', nextRpsNumber: 1,
+  icmsRate: 0, pisRate: 0, cofinsRate: 0, issRate: 0
+};
+// kind -> campos em order.fiscal
+const FISCAL_FIELDS = {
+  product: { status: 'nfeStatus', docId: 'nfeDocId', number: 'nfeNumber', key: 'nfeKey', protocol: 'nfeProtocol', rejection: 'nfeRejection' },
+  service: { status: 'nfsStatus', docId: 'nfsDocId', number: 'nfsNumber', key: 'nfsRps', protocol: 'nfsProtocol', rejection: 'nfsRejection' }
+};
+// doc.status (resposta do provedor) -> order.fiscal.*Status
+const FISCAL_ORDER_STATUS = { processing: 'processing', authorized: 'emitted', rejected: 'rejected', error: 'error', cancelled: 'cancelled' };
+
+function fiscalSettingsOf(ev) {
+  const regime = (ev.businessProfile || {}).taxRegime;
+  const crt = regime === 'simples' ? '1' : regime === 'mei' ? '4' : '3';
+  return Object.assign({}, FISCAL_DEFAULTS, { crt }, ev.fiscalSettings || {});
+}
+
+// Emitente: cadastro da empresa (businessProfile) + complemento de endereco do fiscalSettings
+function fiscalIssuer(ev, settings) {
+  const bp = ev.businessProfile || {};
+  return {
+    cnpj: bp.cnpj, ie: bp.stateRegistration, im: bp.cityRegistration,
+    name: bp.companyName || bp.name || ev.name, tradeName: bp.tradeName,
+    crt: settings.crt,
+    uf: (settings.uf || bp.fiscalState || '').toUpperCase(),
+    cityCode: settings.cityCode, cityName: settings.cityName || bp.fiscalCity,
+    street: settings.street || bp.fiscalAddress, number: settings.number, district: settings.district,
+    zip: settings.zip || bp.fiscalZip, phone: bp.phone
+  };
+}
+
+function fiscalCredentialStatus(evId) {
+  const creds = db.fiscalCredentials[evId] || {};
+  const cert = creds.certificate;
+  return {
+    hasCertificate: !!cert,
+    certificate: cert ? { commonName: cert.commonName, cnpj: cert.cnpj, notBefore: cert.notBefore, notAfter: cert.notAfter, expired: cert.notAfter < Date.now(), uploadedAt: cert.uploadedAt } : null,
+    hasCsc: !!creds.csc,
+    cscId: creds.cscId || null
+  };
+}
+
+// Status counts of order.fiscal.nfeStatus / nfsStatus, cancelled orders included (an emitted note still needs cancelling)
+function fiscalStatusCounts(ev) {
+  const counts = { nfe: {}, nfs: {} };
+  for (const o of ev.orders || []) {
+    const f = o.fiscal;
+    if (!f) continue;
+    if ((f.productAmount || 0) > 0) counts.nfe[f.nfeStatus || 'pending'] = (counts.nfe[f.nfeStatus || 'pending'] || 0) + 1;
+    if ((f.serviceAmount || 0) > 0) counts.nfs[f.nfsStatus || 'pending'] = (counts.nfs[f.nfsStatus || 'pending'] || 0) + 1;
+  }
+  return counts;
+}
+
+function fiscalDocSummary(doc) {
+  const { xml, ...rest } = doc;
+  return rest;
+}
+
+function fiscalDocPaths(ev, order, doc) {
+  const paths = [eventOrderPath(ev, order), 'fiscalDocuments/' + ev.id + '/' + doc.id];
+  // Delivery orders keep their own copy of the fiscal block
+  const delivery = order._deliveryOrderRef && db.deliveryOrders[order._deliveryOrderRef];
+  if (delivery) {
+    delivery.fiscal = order.fiscal;
+    paths.push('deliveryOrders/' + delivery.id);
+  }
+  return paths;
+}
+
+// Records the provider answer on the document and mirrors it on order.fiscal.
+function applyFiscalResult(ev, order, doc, result) {
+  const now = Date.now();
+  const fields = FISCAL_FIELDS[doc.kind === 'nfse' ? 'service' : 'product'];
+  const status = FISCAL_ORDER_STATUS[result.status] ? result.status : 'error';
+  doc.status = status;
+  doc.code = result.code || null;
+  doc.reason = result.reason || null;
+  doc.updatedAt = now;
+  if (status === 'authorized') {
+    doc.protocol = result.protocol || null;
+    doc.authorizedAt = now;
+    if (result.number) doc.nfseNumber = String(result.number);
+  }
+  doc.history.push({ status, code: doc.code, reason: doc.reason, at: now });
+
+  const f = order.fiscal;
+  const next = FISCAL_ORDER_STATUS[status];
+  if (f[fields.status] !== next && fiscalEmitter.canTransition(f[fields.status], next)) f[fields.status] = next;
+  if (status === 'authorized') {
+    f[fields.protocol] = doc.protocol;
+    if (doc.nfseNumber) f.nfseNumber = doc.nfseNumber;
+    delete f[fields.rejection];
+  } else if (status === 'rejected' || status === 'error') {
+    f[fields.rejection] = { code: doc.code, reason: doc.reason, at: now };
+  }
+  io.to('user:' + ev.creatorId).emit('fiscal-update', { eventId: ev.id, orderId: order.id, docId: doc.id, kind: doc.kind, status: doc.status, orderStatus: f[fields.status], code: doc.code, reason: doc.reason });
+}
+
+// Builds, signs and sends one document for an order. kind: 'product' (NF-e/NFC-e) | 'service' (RPS -> NFS-e)
+// Returns { doc } or { error, status }. A rejected or failed document is resent with the same number.
+async function emitOrderDocument(ev, order, kind) {
+  const f = order.fiscal;
+  if (!f) return { status: 400, error: 'Pedido sem dados fiscais.' };
+  if (order.status === 'cancelled') return { status: 400, error: 'Pedido cancelado.' };
+  const fields = FISCAL_FIELDS[kind];
+  if (kind === 'service' && !((f.serviceAmount || 0) > 0)) return { status: 400, error: 'Pedido sem taxa de servico.' };
+  if (kind === 'product' && !((f.productAmount || 0) > 0)) return { status: 400, error: 'Pedido sem produtos.' };
+  const current = f[fields.status] || 'pending';
+  if (!fiscalEmitter.canTransition(current, 'processing')) return { status: 409, error: 'Documento fiscal ja esta ' + current + '.' };
+
+  const settings = fiscalSettingsOf(ev);
+  const provider = fiscalEmitter.getFiscalProvider(settings.provider);
+  if (!provider) return { status: 400, error: 'Provedor fiscal desconhecido: ' + settings.provider };
+  const creds = db.fiscalCredentials[ev.id] || {};
+  if (!creds.certificate) return { status: 400, error: 'Envie o certificado A1 antes de emitir.' };
+  let cert;
+  try {
+    cert = fiscalEmitter.loadCertificate(creds.certificate.pfx, fiscalEmitter.openSecret(creds.certificate.password, FISCAL_SECRET_KEY));
+  } catch (e) {
+    return { status: 400, error: e.message };
+  }
+  if (cert.notAfter < Date.now()) return { status: 400, error: 'Certificado A1 vencido.' };
+
+  const issuer = fiscalIssuer(ev, settings);
+  const environment = settings.environment === 'producao' ? 1 : 2;
+  const previous = f[fields.docId] && (db.fiscalDocuments[ev.id] || {})[f[fields.docId]];
+  const now = Date.now();
+  let doc;
+  try {
+    if (kind === 'product') {
+      const model = settings.nfeModel;
+      const reuse = previous && previous.model === model && previous.series === settings.series;
+      const number = reuse ? previous.number : settings.nextNumber;
+      const urls = provider.urls ? provider.urls(issuer.uf, settings.environment) : {};
+      const built = fiscalEmitter.buildNFe(order, issuer, {
+        model, series: settings.series, number, cNF: crypto.randomInt(10000000, 99999999), issuedAt: now, environment,
+        rates: { icms: settings.icmsRate, pis: settings.pisRate, cofins: settings.cofinsRate },
+        csc: creds.csc ? fiscalEmitter.openSecret(creds.csc, FISCAL_SECRET_KEY) : null, cscId: creds.cscId,
+        qrBaseUrl: urls.qrCode, consultUrl: urls.consult, buyer: f.buyer
+      });
+      doc = { kind: model === '55' ? 'nfe' : 'nfce', model, series: settings.series, number, key: built.key, total: built.total,
+        xml: fiscalEmitter.signXml(built.xml, 'NFe' + built.key, cert) };
+      if (!reuse) ev.fiscalSettings = Object.assign({}, ev.fiscalSettings, { nextNumber: number + 1 });
+    } else {
+      const reuse = previous && previous.series === settings.rpsSeries;
+      const number = reuse ? previous.number : settings.nextRpsNumber;
+      const built = fiscalEmitter.buildNFSeRps(order, issuer, {
+        series: settings.rpsSeries, number, issuedAt: now, environment, issRate: settings.issRate,
+        serviceCode: settings.serviceCode, municipalCode: settings.municipalCode
+      });
+      doc = { kind: 'nfse', series: settings.rpsSeries, number, key: built.id, total: built.total,
+        xml: fiscalEmitter.signXml(built.xml, built.id, cert) };
+      if (!reuse) ev.fiscalSettings = Object.assign({}, ev.fiscalSettings, { nextRpsNumber: number + 1 });
+    }
+  } catch (e) {
+    return { status: 400, error: e.message };
+  }
+
+  Object.assign(doc, {
+    id: uuidv4(), eventId: ev.id, orderId: order.id, receiptNumber: order.receiptNumber || null,
+    status: 'processing', environment: settings.environment, provider: settings.provider, issuerCnpj: String(issuer.cnpj || '').replace(/\D/g, ''),
+    history: [{ status: 'processing', at: now }], createdAt: now, updatedAt: now
+  });
+  if (previous) doc.replaces = previous.id;
+  if (!db.fiscalDocuments[ev.id]) db.fiscalDocuments[ev.id] = {};
+  db.fiscalDocuments[ev.id][doc.id] = doc;
+  f[fields.status] = 'processing';
+  f[fields.docId] = doc.id;
+  f[fields.number] = doc.number;
+  f[fields.key] = doc.key;
+  saveDB('operatorEvents/' + ev.id + '/fiscalSettings', ...fiscalDocPaths(ev, order, doc));
+
+  let result;
+  try {
+    result = await provider.authorize(doc, { environment: settings.environment, uf: issuer.uf, cityCode: issuer.cityCode });
+  } catch (e) {
+    console.error('[fiscal] provider ' + settings.provider + ' error:', e.message);
+    result = { status: 'error', code: null, reason: 'Falha de comunicacao com o provedor: ' + e.message };
+  }
+  applyFiscalResult(ev, order, doc, result);
+  saveDB(...fiscalDocPaths(ev, order, doc));
+  return { doc };
+}
+
+// GET /api/operator/event/:eventId/fiscal/settings — Fiscal settings + certificate status (no secrets)
+app.get('/api/operator/event/:eventId/fiscal/settings', requireEventRole('fiscal'), (req, res) => {
+  const ev = req.operatorEvent;
+  res.json({ settings: fiscalSettingsOf(ev), credentials: fiscalCredentialStatus(ev.id), providers: fiscalEmitter.listFiscalProviders() });
+});
+
+// POST /api/operator/event/:eventId/fiscal/settings — Partial update; only the fields sent are changed
+app.post('/api/operator/event/:eventId/fiscal/settings', requireEventRole('fiscal.config'), (req, res) => {
+  const ev = req.operatorEvent;
+  const b = req.body || {};
+  const next = Object.assign({}, ev.fiscalSettings || {});
+  const intIn = (v, min, max) => Number.isInteger(Number(v)) && Number(v) >= min && Number(v) <= max;
+  if (b.environment !== undefined) {
+    if (!['homologacao', 'producao'].includes(b.environment)) return res.status(400).json({ error: 'Ambiente invalido.' });
+    next.environment = b.environment;
+  }
+  if (b.provider !== undefined) {
+    if (!fiscalEmitter.getFiscalProvider(b.provider)) return res.status(400).json({ error: 'Provedor fiscal desconhecido.' });
+    next.provider = b.provider;
+  }
+  if (b.nfeModel !== undefined) {
+    if (!['55', '65'].includes(String(b.nfeModel))) return res.status(400).json({ error: 'Modelo deve ser 55 (NF-e) ou 65 (NFC-e).' });
+    next.nfeModel = String(b.nfeModel);
+  }
+  if (b.crt !== undefined) {
+    if (!['1', '2', '3', '4'].includes(String(b.crt))) return res.status(400).json({ error: 'CRT invalido.' });
+    next.crt = String(b.crt);
+  }
+  if (b.series !== undefined) {
+    if (!intIn(b.series, 0, 999)) return res.status(400).json({ error: 'Serie deve ser de 0 a 999.' });
+    next.series = Number(b.series);
+  }
+  if (b.rpsSeries !== undefined) {
+    if (!/^[A-Za-z0-9]{1,5}$/.test(String(b.rpsSeries))) return res.status(400).json({ error: 'Serie do RPS invalida.' });
+    next.rpsSeries = String(b.rpsSeries);
+  }
+  for (const field of ['nextNumber', 'nextRpsNumber']) {
+    if (b[field] === undefined) continue;
+    if (!intIn(b[field], 1, 999999999)) return res.status(400).json({ error: field + ' invalido.' });
+    next[field] = Number(b[field]);
+  }
+  for (const field of ['icmsRate', 'pisRate', 'cofinsRate', 'issRate']) {
+    if (b[field] === undefined) continue;
+    const rate = parseFloat(b[field]);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) return res.status(400).json({ error: field + ' deve ser um percentual.' });
+    next[field] = rate;
+  }
+  if (b.cityCode !== undefined) {
+    if (!/^\d{7}$/.test(String(b.cityCode))) return res.status(400).json({ error: 'Codigo IBGE do municipio deve ter 7 digitos.' });
+    next.cityCode = String(b.cityCode);
+  }
+  if (b.uf !== undefined) {
+    if (!fiscalEmitter.UF_CODES[String(b.uf).toUpperCase()]) return res.status(400).json({ error: 'UF invalida.' });
+    next.uf = String(b.uf).toUpperCase();
+  }
+  for (const [field, max] of [['cityName', 60], ['street', 60], ['number', 60], ['district', 60], ['zip', 9], ['serviceCode', 5], ['municipalCode', 20]]) {
+    if (b[field] !== undefined) next[field] = sanitizeStr(String(b[field]), max);
+  }
+
+  // Numbers already used in this series can't be handed out again (SEFAZ rejeicao 539 / RPS duplicado)
+  const docs = Object.values(db.fiscalDocuments[ev.id] || {});
+  const merged = Object.assign({}, fiscalSettingsOf(ev), next);
+  const usedNfe = docs.filter(d => d.kind !== 'nfse' && d.model === merged.nfeModel && d.series === merged.series).reduce((m, d) => Math.max(m, d.number), 0);
+  const usedRps = docs.filter(d => d.kind === 'nfse' && d.series === merged.rpsSeries).reduce((m, d) => Math.max(m, d.number), 0);
+  if (b.nextNumber !== undefined && next.nextNumber <= usedNfe) return res.status(400).json({ error: 'Numero ' + next.nextNumber + ' ja utilizado nesta serie (ultimo: ' + usedNfe + ').' });
+  if (b.nextRpsNumber !== undefined && next.nextRpsNumber <= usedRps) return res.status(400).json({ error: 'RPS ' + next.nextRpsNumber + ' ja utilizado nesta serie (ultimo: ' + usedRps + ').' });
+  if (usedNfe >= (next.nextNumber || merged.nextNumber)) next.nextNumber = usedNfe + 1;
+  if (usedRps >= (next.nextRpsNumber || merged.nextRpsNumber)) next.nextRpsNumber = usedRps + 1;
+
+  // CSC (NFC-e): secret, goes to the credentials record
+  const paths = ['operatorEvents/' + ev.id + '/fiscalSettings'];
+  if (b.csc !== undefined || b.cscId !== undefined) {
+    if (!FISCAL_SECRET_KEY) return res.status(503).json({ error: FISCAL_NO_KEY_ERROR });
+    if (!/^\d{1,6}$/.test(String(b.cscId || '')) || !b.csc || String(b.csc).length < 16 || String(b.csc).length > 36) {
+      return res.status(400).json({ error: 'Informe o identificador (cscId) e o CSC (16 a 36 caracteres).' });
+    }
+    db.fiscalCredentials[ev.id] = Object.assign({}, db.fiscalCredentials[ev.id], {
+      cscId: String(b.cscId), csc: fiscalEmitter.sealSecret(String(b.csc), FISCAL_SECRET_KEY)
+    });
+    paths.push('fiscalCredentials/' + ev.id);
+  }
+  ev.fiscalSettings = next;
+  saveDB(...paths);
+  res.json({ ok: true, settings: fiscalSettingsOf(ev), credentials: fiscalCredentialStatus(ev.id) });
+});
+
+// POST /api/operator/event/:eventId/fiscal/certificate — Upload A1 certificate (.pfx in base64 + password)
+app.post('/api/operator/event/:eventId/fiscal/certificate', requireEventRole('fiscal.config'), (req, res) => {
+  const ev = req.operatorEvent;
+  const { pfx, password } = req.body;
+  if (!FISCAL_SECRET_KEY) return res.status(503).json({ error: FISCAL_NO_KEY_ERROR });
+  if (!pfx || typeof pfx !== 'string' || pfx.length > FISCAL_PFX_MAX) return res.status(400).json({ error: 'Arquivo do certificado invalido.' });
+  const companyCnpj = String((ev.businessProfile || {}).cnpj || '').replace(/\D/g, '');
+  if (companyCnpj.length !== 14) return res.status(400).json({ error: 'Cadastre o CNPJ da empresa antes do certificado.' });
+  let cert;
+  try {
+    cert = fiscalEmitter.loadCertificate(pfx.replace(/^data:[^,]*,/, ''), String(password || ''));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const now = Date.now();
+  if (cert.notAfter < now || cert.notBefore > now) return res.status(400).json({ error: 'Certificado fora da validade.' });
+  // SEFAZ compares the CNPJ root (8 digits) of the certificate with the issuer (rejeicao 213)
+  if (!cert.cnpj || cert.cnpj.slice(0, 8) !== companyCnpj.slice(0, 8)) return res.status(400).json({ error: 'CNPJ do certificado nao corresponde ao da empresa.' });
+  db.fiscalCredentials[ev.id] = Object.assign({}, db.fiscalCredentials[ev.id], {
+    certificate: {
+      pfx: pfx.replace(/^data:[^,]*,/, ''),
+      password: fiscalEmitter.sealSecret(String(password || ''), FISCAL_SECRET_KEY),
+      commonName: cert.commonName, cnpj: cert.cnpj, notBefore: cert.notBefore, notAfter: cert.notAfter,
+      uploadedAt: now, uploadedBy: req.authUserId
+    }
+  });
+  saveDB('fiscalCredentials/' + ev.id);
+  res.json({ ok: true, credentials: fiscalCredentialStatus(ev.id) });
+});
+
+// POST /api/operator/event/:eventId/fiscal/orders/:orderId/emit — Emit NF-e/NFC-e ('product') or NFS-e ('service')
+app.post('/api/operator/event/:eventId/fiscal/orders/:orderId/emit', requireEventRole('fiscal'), async (req, res) => {
+  const ev = req.operatorEvent;
+  const order = (ev.orders || []).find(o => o.id === req.params.orderId);
+  if (!order) return res.status(404).json({ error: 'Pedido nao encontrado.' });
+  const kind = req.body.kind || 'product';
+  if (!FISCAL_FIELDS[kind]) return res.status(400).json({ error: 'Tipo deve ser product ou service.' });
+  // CPF/CNPJ na nota (obrigatorio no modelo 55)
+  const buyer = req.body.buyer;
+  if (buyer && order.fiscal) {
+    const docNumber = String(buyer.cnpj || buyer.cpf || '').replace(/\D/g, '');
+    if (docNumber.length !== 11 && docNumber.length !== 14) return res.status(400).json({ error: 'CPF ou CNPJ do destinatario invalido.' });
+    order.fiscal.buyer = docNumber.length === 14
+      ? { cnpj: docNumber, name: sanitizeStr(String(buyer.name || ''), 60) }
+      : { cpf: docNumber, name: sanitizeStr(String(buyer.name || ''), 60) };
+  }
+  const r = await emitOrderDocument(ev, order, kind);
+  if (r.error) return res.status(r.status).json({ error: r.error });
+  res.json({ ok: r.doc.status === 'authorized', document: fiscalDocSummary(r.doc), fiscal: order.fiscal });
+});
+
+// POST /api/operator/event/:eventId/fiscal/emit-pending — Emit every pending/failed document (up to FISCAL_BATCH_MAX)
+// Rejected documents are left out: they need the operator to fix the data first.
+app.post('/api/operator/event/:eventId/fiscal/emit-pending', requireEventRole('fiscal'), async (req, res) => {
+  const ev = req.operatorEvent;
+  const queue = [];
+  for (const order of ev.orders || []) {
+    if (order.status === 'cancelled' || !order.fiscal) continue;
+    if ((order.fiscal.productAmount || 0) > 0 && ['pending', 'error'].includes(order.fiscal.nfeStatus || 'pending')) queue.push([order, 'product']);
+    if ((order.fiscal.serviceAmount || 0) > 0 && ['pending', 'error'].includes(order.fiscal.nfsStatus || 'pending')) queue.push([order, 'service']);
+  }
+  const results = { authorized: 0, rejected: 0, processing: 0, error: 0, skipped: [] };
+  for (const [order, kind] of queue.slice(0, FISCAL_BATCH_MAX)) {
+    const r = await emitOrderDocument(ev, order, kind);
+    if (r.error) results.skipped.push({ orderId: order.id, kind, error: r.error });
+    else results[r.doc.status] = (results[r.doc.status] || 0) + 1;
+  }
+  res.json({ ok: true, ...results, remaining: Math.max(0, queue.length - FISCAL_BATCH_MAX) });
+});
+
+// POST /api/operator/event/:eventId/fiscal/documents/:docId/cancel — Cancel an authorized document
+app.post('/api/operator/event/:eventId/fiscal/documents/:docId/cancel', requireEventRole('fiscal'), async (req, res) => {
+  const ev = req.operatorEvent;
+  const doc = (db.fiscalDocuments[ev.id] || {})[req.params.docId];
+  if (!doc) return res.status(404).json({ error: 'Documento nao encontrado.' });
+  if (doc.status !== 'authorized') return res.status(409).json({ error: 'So documentos autorizados podem ser cancelados.' });
+  // xJust: 15 a 255 caracteres
+  const reason = sanitizeStr(String(req.body.reason || ''), 255).trim();
+  if (reason.length < 15) return res.status(400).json({ error: 'Justificativa deve ter ao menos 15 caracteres.' });
+  const provider = fiscalEmitter.getFiscalProvider(doc.provider);
+  if (!provider) return res.status(400).json({ error: 'Provedor fiscal desconhecido: ' + doc.provider });
+  const order = (ev.orders || []).find(o => o.id === doc.orderId);
+  let result;
+  try {
+    result = await provider.cancel(doc, reason, { environment: doc.environment });
+  } catch (e) {
+    console.error('[fiscal] cancel error:', e.message);
+    return res.status(502).json({ error: 'Falha de comunicacao com o provedor: ' + e.message });
+  }
+  const now = Date.now();
+  if (result.status !== 'cancelled') {
+    doc.cancelRejection = { code: result.code || null, reason: result.reason || null, at: now };
+    doc.history.push({ status: 'cancel-rejected', code: result.code || null, reason: result.reason || null, at: now });
+    saveDB('fiscalDocuments/' + ev.id + '/' + doc.id);
+    return res.status(422).json({ error: result.reason || 'Cancelamento rejeitado.', code: result.code || null });
+  }
+  doc.cancelReason = reason;
+  doc.cancelProtocol = result.protocol || null;
+  doc.cancelledAt = now;
+  delete doc.cancelRejection;
+  const paths = ['fiscalDocuments/' + ev.id + '/' + doc.id];
+  if (order && order.fiscal) {
+    applyFiscalResult(ev, order, doc, result);
+    paths.push(...fiscalDocPaths(ev, order, doc));
+  } else {
+    doc.status = 'cancelled';
+    doc.history.push({ status: 'cancelled', code: result.code || null, reason: result.reason || null, at: now });
+  }
+  saveDB(...paths);
+  res.json({ ok: true, document: fiscalDocSummary(doc) });
+});
+
+// POST /api/operator/event/:eventId/fiscal/documents/:docId/sync — Ask the provider about a document still processing
+app.post('/api/operator/event/:eventId/fiscal/documents/:docId/sync', requireEventRole('fiscal'), async (req, res) => {
+  const ev = req.operatorEvent;
+  const doc = (db.fiscalDocuments[ev.id] || {})[req.params.docId];
+  if (!doc) return res.status(404).json({ error: 'Documento nao encontrado.' });
+  if (doc.status !== 'processing') return res.json({ ok: true, document: fiscalDocSummary(doc) });
+  const provider = fiscalEmitter.getFiscalProvider(doc.provider);
+  if (!provider || typeof provider.query !== 'function') return res.status(400).json({ error: 'Provedor nao permite consulta.' });
+  const order = (ev.orders || []).find(o => o.id === doc.orderId);
+  if (!order || !order.fiscal) return res.status(404).json({ error: 'Pedido nao encontrado.' });
+  let result;
+  try {
+    result = await provider.query(doc, { environment: doc.environment });
+  } catch (e) {
+    return res.status(502).json({ error: 'Falha de comunicacao com o provedor: ' + e.message });
+  }
+  if (result.status !== 'processing') {
+    applyFiscalResult(ev, order, doc, result);
+    saveDB(...fiscalDocPaths(ev, order, doc));
+  }
+  res.json({ ok: true, document: fiscalDocSummary(doc) });
+});
+
+// GET /api/operator/event/:eventId/fiscal/documents — Document list (no XML), newest first
+app.get('/api/operator/event/:eventId/fiscal/documents', requireEventRole('fiscal'), (req, res) => {
+  const ev = req.operatorEvent;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const documents = Object.values(db.fiscalDocuments[ev.id] || {})
+    .filter(d => (!req.query.status || d.status === req.query.status) && (!req.query.orderId || d.orderId === req.query.orderId))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .slice(0, limit)
+    .map(fiscalDocSummary);
+  res.json({ documents });
+});
+
+// GET /api/operator/event/:eventId/fiscal/documents/:docId/xml — Signed XML as sent to the provider
+app.get('/api/operator/event/:eventId/fiscal/documents/:docId/xml', requireEventRole('fiscal'), (req, res) => {
+  const ev = req.operatorEvent;
+  const doc = (db.fiscalDocuments[ev.id] || {})[req.params.docId];
+  if (!doc) return res.status(404).json({ error: 'Documento nao encontrado.' });
+  res.type('application/xml').send(doc.xml);
+});
+
 // ═══ PARKING MODULE ═══
 // Get parking config + active vehicles (public)
 app.get('/api/event/:eventId/parking', (req, res) => {
@@ -17192,7 +22316,7 @@ app.get('/api/event/:eventId/parking', (req, res) => {
 });
 
 // Set parking config (operator)
-app.post('/api/operator/event/:eventId/parking/config', (req, res) => {
+app.post('/api/operator/event/:eventId/parking/config', requireEventRole('parking.config'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   const { enabled, mode, hourlyRate, fixedRate, maxHours } = req.body;
@@ -17202,7 +22326,7 @@ app.post('/api/operator/event/:eventId/parking/config', (req, res) => {
   ev.parking.hourlyRate = Math.max(0, parseFloat(hourlyRate) || 10);
   ev.parking.fixedRate = Math.max(0, parseFloat(fixedRate) || 0);
   ev.parking.maxHours = Math.max(1, parseInt(maxHours) || 24);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, parking: ev.parking });
 });
 
@@ -17232,13 +22356,13 @@ app.post('/api/event/:eventId/parking/register', (req, res) => {
     photo: photo || null,
     notes: ''
   };
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.emit('parking-vehicle-registered', { eventId: ev.id, plate: plateTrimmed, nickname: ev.parking.vehicles[plateTrimmed].nickname });
   res.json({ ok: true, vehicle: ev.parking.vehicles[plateTrimmed] });
 });
 
 // Mark vehicle exit (operator)
-app.post('/api/operator/event/:eventId/parking/exit', (req, res) => {
+app.post('/api/operator/event/:eventId/parking/exit', requireEventRole('parking'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   const { plate } = req.body;
@@ -17296,7 +22420,7 @@ app.post('/api/operator/event/:eventId/parking/exit', (req, res) => {
   }
   // Add fixed rate if configured
   if (ev.parking.fixedRate > 0) vehicle.amountDue += ev.parking.fixedRate;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.emit('parking-vehicle-exited', { eventId: ev.id, plate: plateTrimmed, amountDue: vehicle.amountDue });
   // Notify user if linked
   if (vehicle.userId && vehicle.userId !== 'operador') {
@@ -17314,7 +22438,7 @@ app.post('/api/operator/event/:eventId/parking/exit', (req, res) => {
 });
 
 // Manual payment confirmation by operator (cash/pix/physical)
-app.post('/api/operator/event/:eventId/parking/manual-payment', (req, res) => {
+app.post('/api/operator/event/:eventId/parking/manual-payment', requireEventRole('parking'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const { plate, amount, method } = req.body;
@@ -17327,7 +22451,7 @@ app.post('/api/operator/event/:eventId/parking/manual-payment', (req, res) => {
   vehicle.paymentMethod = method || 'fisico';
   vehicle.paidAt = Date.now();
   vehicle.status = 'paid';
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   // Notify user
   if (vehicle.userId && vehicle.userId !== 'operador') {
     io.to(vehicle.userId).emit('parking-payment-confirmed', {
@@ -17354,7 +22478,7 @@ app.post('/api/event/:eventId/parking/pay', (req, res) => {
     vehicle.status = 'paid';
     vehicle.amountDue = 0;
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.emit('parking-payment-received', { eventId: ev.id, plate: plateTrimmed, amount: payAmount, status: vehicle.status });
   res.json({ ok: true, vehicle, remaining: Math.max(0, vehicle.amountDue - vehicle.amountPaid) });
 });
@@ -17374,7 +22498,7 @@ app.get('/api/event/:eventId/parking/vehicle/:plate', (req, res) => {
 
 // Manual vehicle entry (operator)
 // Lookup user by plate (operator use)
-app.get('/api/operator/event/:eventId/parking/plate-lookup/:plate', (req, res) => {
+app.get('/api/operator/event/:eventId/parking/plate-lookup/:plate', requireEventRole('parking'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const plateTrimmed = (req.params.plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
@@ -17400,14 +22524,14 @@ app.get('/api/operator/event/:eventId/parking/plate-lookup/:plate', (req, res) =
 });
 
 // Manual parking entry (operator) - auto-links user by plate if registered
-app.post('/api/operator/event/:eventId/parking/manual-entry', (req, res) => {
+app.post('/api/operator/event/:eventId/parking/manual-entry', requireEventRole('parking'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   // Auto-enable parking if module is selected but parking config not enabled
   if (ev.modules && ev.modules.parking && (!ev.parking || !ev.parking.enabled)) {
     if (!ev.parking) ev.parking = { enabled: false, mode: 'postpaid', pricingMode: 'hourly', hourlyRate: 10, fixedRate: 0, maxHours: 24, tolerance: 10, totalSpots: 50, periods: [], vehicles: {} };
     ev.parking.enabled = true;
-    saveDB('operatorEvents');
+    saveDB('operatorEvents/' + ev.id);
   }
   if (!ev.parking || !ev.parking.enabled) return res.status(400).json({ error: 'Estacionamento desativado.' });
   let { plate, nickname, notes, userId, vehicleModel, vehicleBrand, vehicleColor } = req.body;
@@ -17460,7 +22584,7 @@ app.post('/api/operator/event/:eventId/parking/manual-entry', (req, res) => {
     photo: null,
     notes: notes || ''
   };
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   // Notify user via socket if linked
   if (userId && userId !== 'operador') {
     io.to(userId).emit('parking-entry-confirmed', {
@@ -17542,7 +22666,7 @@ app.post('/api/user/:userId/vehicle', (req, res) => {
   } else {
     user.vehicles.push({ plate: plateTrimmed, model: model || '', brand: brand || '', year: year || '', color: color || '', addedAt: Date.now() });
   }
-  saveDB('users');
+  saveDB('users/' + req.params.userId);
   res.json({ ok: true, vehicles: user.vehicles });
 });
 
@@ -17560,14 +22684,14 @@ app.delete('/api/user/:userId/vehicle/:plate', (req, res) => {
   const plateTrimmed = (req.params.plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
   if (!user.vehicles) return res.json({ ok: true, vehicles: [] });
   user.vehicles = user.vehicles.filter(v => v.plate !== plateTrimmed);
-  saveDB('users');
+  saveDB('users/' + req.params.userId);
   res.json({ ok: true, vehicles: user.vehicles });
 });
 
 // ═══ ENHANCED PARKING ENDPOINTS ═══
 
 // Update parking config with period pricing
-app.post('/api/operator/event/:eventId/parking/pricing', (req, res) => {
+app.post('/api/operator/event/:eventId/parking/pricing', requireEventRole('parking.config'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   if (!ev.parking) ev.parking = { enabled: false, mode: 'postpaid', hourlyRate: 10, fixedRate: 0, maxHours: 24, vehicles: {} };
@@ -17579,7 +22703,7 @@ app.post('/api/operator/event/:eventId/parking/pricing', (req, res) => {
   if (periods && Array.isArray(periods)) {
     ev.parking.periods = periods; // [{label:'1a hora', hours:1, price:10}, {label:'Hora adicional', hours:1, price:5}, {label:'Diaria', hours:24, price:30}]
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, parking: ev.parking });
 });
 
@@ -17617,14 +22741,14 @@ app.get('/api/event/:eventId/parking/receipt/:plate', (req, res) => {
 // ═══ GYM MODULE ENDPOINTS ═══
 // ═══════════════════════════════════════════════════
 
-app.post('/api/operator/event/:eventId/gym/config', (req, res) => {
+app.post('/api/operator/event/:eventId/gym/config', requireEventRole('gym'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   const { enabled, maxCapacity, openTime, closeTime, wifiName, wifiPassword } = req.body;
   if (!ev.gym) ev.gym = { enabled: false, config: {}, classes: {}, plans: {}, members: {}, workouts: {} };
   ev.gym.config = { enabled: !!enabled, maxCapacity: parseInt(maxCapacity) || 50, openTime: openTime || '06:00', closeTime: closeTime || '22:00', wifiName: wifiName || '', wifiPassword: wifiPassword || '' };
   ev.gym.enabled = !!enabled;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, config: ev.gym.config });
 });
 
@@ -17634,7 +22758,7 @@ app.get('/api/event/:eventId/gym', (req, res) => {
   res.json({ enabled: ev.gym.enabled, config: ev.gym.config, classes: ev.gym.classes, plans: ev.gym.plans });
 });
 
-app.post('/api/operator/event/:eventId/gym/class/:classId', (req, res) => {
+app.post('/api/operator/event/:eventId/gym/class/:classId', requireEventRole('gym'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.gym) return res.status(404).json({ error: 'Evento ou modulo nao encontrado.' });
   const classData = req.body;
@@ -17642,19 +22766,19 @@ app.post('/api/operator/event/:eventId/gym/class/:classId', (req, res) => {
   const classKey = classData.id || req.params.classId;
   classData.id = classKey;
   ev.gym.classes[classKey] = classData;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, class: classData });
 });
 
-app.delete('/api/operator/event/:eventId/gym/class/:classId', (req, res) => {
+app.delete('/api/operator/event/:eventId/gym/class/:classId', requireEventRole('gym'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.gym) return res.status(404).json({ error: 'Evento ou modulo nao encontrado.' });
   if (ev.gym.classes) delete ev.gym.classes[req.params.classId];
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
-app.post('/api/operator/event/:eventId/gym/plan/:planId', (req, res) => {
+app.post('/api/operator/event/:eventId/gym/plan/:planId', requireEventRole('gym'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.gym) return res.status(404).json({ error: 'Evento ou modulo nao encontrado.' });
   const planData = req.body;
@@ -17662,15 +22786,15 @@ app.post('/api/operator/event/:eventId/gym/plan/:planId', (req, res) => {
   const planKey = planData.id || req.params.planId;
   planData.id = planKey;
   ev.gym.plans[planKey] = planData;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, plan: planData });
 });
 
-app.delete('/api/operator/event/:eventId/gym/plan/:planId', (req, res) => {
+app.delete('/api/operator/event/:eventId/gym/plan/:planId', requireEventRole('gym'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.gym) return res.status(404).json({ error: 'Evento ou modulo nao encontrado.' });
   if (ev.gym.plans) delete ev.gym.plans[req.params.planId];
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
@@ -17681,7 +22805,7 @@ app.post('/api/event/:eventId/gym/checkin', (req, res) => {
   if (!ev.gym.workouts) ev.gym.workouts = {};
   const workoutId = 'wo_' + Date.now();
   ev.gym.workouts[workoutId] = { odId: workoutId, userId, nickname, checkInTime: Date.now(), checkOutTime: null, status: 'active' };
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, workout: ev.gym.workouts[workoutId] });
 });
 
@@ -17693,32 +22817,32 @@ app.post('/api/event/:eventId/gym/checkout', (req, res) => {
     ev.gym.workouts[odId].checkOutTime = Date.now();
     ev.gym.workouts[odId].status = 'done';
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
 // Gym mural (announcements board)
-app.post('/api/operator/event/:eventId/gym/mural', (req, res) => {
+app.post('/api/operator/event/:eventId/gym/mural', requireEventRole('gym'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.gym) return res.status(404).json({ error: 'Evento ou modulo nao encontrado.' });
   const { message, priority, expiresAt } = req.body;
   if (!ev.gym.mural) ev.gym.mural = {};
   const muralId = 'mur_' + Date.now();
   ev.gym.mural[muralId] = { id: muralId, message, priority: priority || 'normal', createdAt: Date.now(), expiresAt: expiresAt || null, active: true };
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, post: ev.gym.mural[muralId] });
 });
 
-app.delete('/api/operator/event/:eventId/gym/mural/:muralId', (req, res) => {
+app.delete('/api/operator/event/:eventId/gym/mural/:muralId', requireEventRole('gym'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.gym) return res.status(404).json({ error: 'Evento ou modulo nao encontrado.' });
   if (ev.gym.mural) delete ev.gym.mural[req.params.muralId];
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
 // Gym info (WiFi, shared info for connected members)
-app.post('/api/operator/event/:eventId/gym/info', (req, res) => {
+app.post('/api/operator/event/:eventId/gym/info', requireEventRole('gym'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.gym) return res.status(404).json({ error: 'Evento ou modulo nao encontrado.' });
   const { wifiName, wifiPassword, infoItems } = req.body;
@@ -17727,7 +22851,7 @@ app.post('/api/operator/event/:eventId/gym/info', (req, res) => {
   ev.gym.info.wifiPassword = wifiPassword || '';
   ev.gym.info.infoItems = infoItems || [];
   ev.gym.info.updatedAt = Date.now();
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, info: ev.gym.info });
 });
 
@@ -17752,14 +22876,14 @@ app.get('/api/event/:eventId/gym/my-status', (req, res) => {
 // ═══ CHURCH MODULE ENDPOINTS
 // ═══════════════════════════════════════════════════
 
-app.post('/api/operator/event/:eventId/church/config', (req, res) => {
+app.post('/api/operator/event/:eventId/church/config', requireEventRole('church'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento não encontrado.' });
   const { enabled, churchName, pastorName, denomination } = req.body;
   if (!ev.church) ev.church = { enabled: false, config: {}, tithes: {}, services: {}, prayers: {}, cells: {}, announcements: [] };
   ev.church.config = { enabled: !!enabled, churchName: churchName || '', pastorName: pastorName || '', denomination: denomination || '' };
   ev.church.enabled = !!enabled;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, config: ev.church.config });
 });
 
@@ -17776,7 +22900,8 @@ app.post('/api/event/:eventId/church/tithe', (req, res) => {
   if (!ev.church.tithes) ev.church.tithes = {};
   const titheId = 'tithe_' + Date.now();
   ev.church.tithes[titheId] = { id: titheId, odId: titheId, userId, nickname: nickname || 'Anonimo', amount: parseFloat(amount) || 0, type: type || 'offering', campaignName: campaignName || '', date: Date.now(), paymentMethod: 'app', note: note || '' };
-  saveDB('operatorEvents');
+  postTitheLedger(ev, ev.church.tithes[titheId]);
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, tithe: ev.church.tithes[titheId] });
 });
 
@@ -17788,7 +22913,7 @@ app.get('/api/event/:eventId/church/my-contributions', (req, res) => {
   res.json({ contributions });
 });
 
-app.post('/api/operator/event/:eventId/church/campaign', (req, res) => {
+app.post('/api/operator/event/:eventId/church/campaign', requireEventRole('church'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.church) return res.status(404).json({ error: 'Evento ou modulo nao encontrado.' });
   const campaignData = req.body;
@@ -17796,7 +22921,7 @@ app.post('/api/operator/event/:eventId/church/campaign', (req, res) => {
   const campKey = campaignData.id || ('camp_' + Date.now());
   campaignData.id = campKey;
   ev.church.campaigns[campKey] = campaignData;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, campaign: campaignData });
 });
 
@@ -17807,7 +22932,7 @@ app.post('/api/event/:eventId/church/prayer', (req, res) => {
   if (!ev.church.prayers) ev.church.prayers = {};
   const prayerId = 'prayer_' + Date.now();
   ev.church.prayers[prayerId] = { id: prayerId, odId: prayerId, userId, nickname: anonymous ? 'Anonimo' : (nickname || ''), text, anonymous: !!anonymous, date: Date.now(), prayedFor: false, supporters: [], status: 'active' };
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, prayer: ev.church.prayers[prayerId] });
 });
 
@@ -17822,11 +22947,11 @@ app.post('/api/event/:eventId/church/prayer/:prayerId/support', (req, res) => {
       ev.church.prayers[prayerId].supporters.push(userId);
     }
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
-app.get('/api/operator/event/:eventId/church/finances', (req, res) => {
+app.get('/api/operator/event/:eventId/church/finances', requireEventRole('church'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.church) return res.json({ total: 0, byType: {}, byCampaign: {} });
   const tithes = Object.values(ev.church.tithes || {});
@@ -17839,7 +22964,7 @@ app.get('/api/operator/event/:eventId/church/finances', (req, res) => {
   res.json({ total, byType, byCampaign });
 });
 
-app.post('/api/operator/event/:eventId/church/service/:serviceId/checkin', (req, res) => {
+app.post('/api/operator/event/:eventId/church/service/:serviceId/checkin', requireEventRole('church'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev || !ev.church) return res.status(404).json({ error: 'Evento ou modulo nao encontrado.' });
   const serviceId = req.params.serviceId;
@@ -17848,13 +22973,13 @@ app.post('/api/operator/event/:eventId/church/service/:serviceId/checkin', (req,
     if (!ev.church.services[serviceId].attendance) ev.church.services[serviceId].attendance = {};
     ev.church.services[serviceId].attendance[userId] = Date.now();
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
 // ═══ CHURCH CRUD (service/cell/announcement/prayer toggle) ═══
 
-app.post('/api/operator/event/:eventId/church/service', (req, res) => {
+app.post('/api/operator/event/:eventId/church/service', requireEventRole('church'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   if (!ev.church) ev.church = { enabled: false, config: {}, tithes: {}, services: {}, prayers: {}, cells: {}, announcements: [] };
@@ -17863,11 +22988,11 @@ app.post('/api/operator/event/:eventId/church/service', (req, res) => {
   if (!name) return res.status(400).json({ error: 'Nome obrigatorio' });
   const serviceId = id || ('srv_' + Date.now());
   ev.church.services[serviceId] = { id: serviceId, name, dayOfWeek: dayOfWeek || '', time: time || '', type: type || 'regular', attendance: {} };
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, service: ev.church.services[serviceId] });
 });
 
-app.post('/api/operator/event/:eventId/church/cell', (req, res) => {
+app.post('/api/operator/event/:eventId/church/cell', requireEventRole('church'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   if (!ev.church) ev.church = { enabled: false, config: {}, tithes: {}, services: {}, prayers: {}, cells: {}, announcements: [] };
@@ -17876,11 +23001,11 @@ app.post('/api/operator/event/:eventId/church/cell', (req, res) => {
   if (!name) return res.status(400).json({ error: 'Nome obrigatorio' });
   const cellId = id || ('cell_' + Date.now());
   ev.church.cells[cellId] = { id: cellId, name, leader: leader || '', meetingDay: meetingDay || '', meetingTime: meetingTime || '', location: location || '', members: [] };
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, cell: ev.church.cells[cellId] });
 });
 
-app.post('/api/operator/event/:eventId/church/announcement', (req, res) => {
+app.post('/api/operator/event/:eventId/church/announcement', requireEventRole('church'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   if (!ev.church) ev.church = { enabled: false, config: {}, tithes: {}, services: {}, prayers: {}, cells: {}, announcements: [] };
@@ -17889,11 +23014,11 @@ app.post('/api/operator/event/:eventId/church/announcement', (req, res) => {
   if (!title || !message) return res.status(400).json({ error: 'Titulo e mensagem obrigatorios' });
   const ann = { id: id || ('ann_' + Date.now()), title, message, date: Date.now(), priority: priority || 'normal' };
   ev.church.announcements.push(ann);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, announcement: ann });
 });
 
-app.post('/api/operator/event/:eventId/church/prayer/:prayerId/toggle', (req, res) => {
+app.post('/api/operator/event/:eventId/church/prayer/:prayerId/toggle', requireEventRole('church'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   if (!ev.church || !ev.church.prayers) return res.status(404).json({ error: 'Modulo igreja nao encontrado' });
@@ -17901,13 +23026,13 @@ app.post('/api/operator/event/:eventId/church/prayer/:prayerId/toggle', (req, re
   if (!prayer) return res.status(404).json({ error: 'Oracao nao encontrada' });
   const { prayedFor } = req.body;
   prayer.prayedFor = !!prayedFor;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, prayedFor: prayer.prayedFor });
 });
 
 // ═══ PARKING DELETE VEHICLE ═══
 
-app.delete('/api/operator/event/:eventId/parking/vehicle/:plate', (req, res) => {
+app.delete('/api/operator/event/:eventId/parking/vehicle/:plate', requireEventRole('parking'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   if (!ev.parking || !ev.parking.vehicles) return res.status(404).json({ error: 'Modulo parking nao encontrado' });
@@ -17915,7 +23040,7 @@ app.delete('/api/operator/event/:eventId/parking/vehicle/:plate', (req, res) =>
   const vehicle = ev.parking.vehicles[plate];
   if (!vehicle) return res.status(404).json({ error: 'Veiculo nao encontrado' });
   delete ev.parking.vehicles[plate];
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
@@ -17995,7 +23120,7 @@ app.get('/api/site/:slug/check', (req, res) => {
 });
 
 // Operator: Save site config
-app.post('/api/operator/event/:eventId/site/config', express.json(), (req, res) => {
+app.post('/api/operator/event/:eventId/site/config', requireEventRole('site'), express.json(), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const { enabled, slug, primaryColor, backgroundColor, heroText } = req.body;
@@ -18018,12 +23143,12 @@ app.post('/api/operator/event/:eventId/site/config', express.json(), (req, res)
   if (heroText !== undefined) {
     ev.siteConfig.heroText = sanitizeStr(heroText, 500);
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, siteConfig: ev.siteConfig });
 });
 
 // Operator: Get site status
-app.get('/api/operator/event/:eventId/site/status', (req, res) => {
+app.get('/api/operator/event/:eventId/site/status', requireEventRole('site'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const sc = ev.siteConfig || { enabled: false, slug: '', primaryColor: '#ff6b35', backgroundColor: '#0a0a0f', heroText: '', customDomain: '', customDomainStatus: 'none' };
@@ -18036,7 +23161,7 @@ app.get('/api/operator/event/:eventId/site/status', (req, res) => {
 });
 
 // Operator: Setup custom domain
-app.post('/api/operator/event/:eventId/site/domain', express.json(), async (req, res) => {
+app.post('/api/operator/event/:eventId/site/domain', requireEventRole('site'), express.json(), async (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const { domain } = req.body;
@@ -18104,18 +23229,18 @@ app.post('/api/site/:slug/checkout', express.json(), siteOrderLimiter, async (re
     const menuItem = menu.find(m => m.id === item.menuItemId);
     if (!menuItem) continue;
     if (menuItem.available === false) continue;
-    if (menuItem.stockEnabled && menuItem.stockQty !== undefined && menuItem.stockQty < item.qty) {
-      return res.status(400).json({ error: 'Item "' + menuItem.name + '" sem estoque suficiente (disponivel: ' + menuItem.stockQty + ')' });
-    }
     const qty = Math.min(parseInt(item.qty) || 1, 99);
     const price = parseFloat(menuItem.price) || 0;
     validatedItems.push({ menuItemId: menuItem.id, name: menuItem.name, qty, price });
     subtotal += price * qty;
-    if (menuItem.stockEnabled && menuItem.stockQty !== undefined) {
-      menuItem.stockQty -= qty;
-    }
   }
   if (validatedItems.length === 0) return res.status(400).json({ error: 'Nenhum item valido no pedido' });
+  // Reserve stock before charging; given back if the payment does not go through
+  const orderId = uuidv4();
+  const stock = reserveStock(ev, validatedItems, orderId);
+  if (stock.error) return res.status(400).json({ error: stock.error });
+  saveDB(...stock.paths);
+  const releaseReserved = () => saveDB(...releaseStock(ev, stock.reserved, 'payment-failed', orderId));
   const parsedTipAmount = parseFloat(tipAmount) || 0;
   const parsedDeliveryFee = deliveryType === 'delivery' ? (parseFloat(deliveryFee) || 0) : 0;
   const total = subtotal + parsedTipAmount + parsedDeliveryFee;
@@ -18150,10 +23275,12 @@ app.post('/api/site/:slug/checkout', express.json(), siteOrderLimiter, async (re
           paymentIntentId = pi.id;
           paymentSucceeded = true;
         } else {
+          releaseReserved();
           return res.json({ ok: false, error: 'Pagamento nao confirmado', stripeStatus: pi.status });
         }
       } catch (e) {
         console.error('[site-checkout] Express pay error:', e.message);
+        releaseReserved();
         return res.json({ ok: false, error: 'Erro no pagamento: ' + e.message });
       }
     } else if (stripePaymentIntentId) {
@@ -18162,6 +23289,7 @@ app.post('/api/site/:slug/checkout', express.json(), siteOrderLimiter, async (re
       paymentIntentId = stripePaymentIntentId;
       paymentSucceeded = true;
     } else {
+      releaseReserved();
       return res.status(400).json({ error: 'Dados de pagamento incompletos' });
     }
   }
@@ -18169,19 +23297,13 @@ app.post('/api/site/:slug/checkout', express.json(), siteOrderLimiter, async (re
   // ── Step 2: Create order ──
   if (!ev.orders) ev.orders = [];
   const receiptNumber = 'REC-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substring(2, 6).toUpperCase();
-  const fiscal = {
-    productAmount: subtotal, serviceAmount: parsedTipAmount,
-    productFiscalType: 'NF-e', serviceFiscalType: parsedTipAmount > 0 ? 'NF-S' : null,
-    cfop: '5.102', cst: '00', ncm: '2106.90.90',
-    issCode: parsedTipAmount > 0 ? '09.02' : null,
-    nfeStatus: 'pending', nfsStatus: parsedTipAmount > 0 ? 'pending' : null
-  };
+  const fiscal = buildOrderFiscal(ev, validatedItems, { productAmount: subtotal, serviceAmount: parsedTipAmount, deliveryAmount: parsedDeliveryFee });
   // Resolve userId: real Touch user or guest
   const isRealUser = userId && db.users[userId];
   const effectiveUserId = isRealUser ? userId : ('site-guest-' + Date.now().toString(36));
   const effectiveUserName = isRealUser ? (db.users[userId].nickname || db.users[userId].name) : sanitizeStr(customerName, 60);
   const order = {
-    id: uuidv4(),
+    id: orderId,
     userId: effectiveUserId,
     userName: effectiveUserName,
     customerPhone: sanitizeStr(customerPhone || '', 20),
@@ -18214,7 +23336,9 @@ app.post('/api/site/:slug/checkout', express.json(), siteOrderLimiter, async (re
     fiscal,
     createdAt: Date.now()
   };
+  if (stock.reserved.length) order.stockReserved = stock.reserved;
   ev.orders.push(order);
+  openKitchenTickets(ev, order);
 
   // ── Step 3: Record payment transaction ──
   if (paymentIntentId && paymentSucceeded) {
@@ -18240,6 +23364,7 @@ app.post('/api/site/:slug/checkout', express.json(), siteOrderLimiter, async (re
       status: 'completed',
       createdAt: Date.now()
     };
+    syncPaymentLedger(db.sitePayments[sitePaymentId]);
     saveDB('sitePayments');
   }
 
@@ -18360,13 +23485,13 @@ app.post('/api/user/:userId/save-address', express.json(), (req, res) => {
     complement: sanitizeStr(complement || '', 40), city: sanitizeStr(city || '', 40),
     state: sanitizeStr(state || '', 2), cep: sanitizeStr(cep || '', 10)
   };
-  saveDB('users');
+  saveDB('users/' + req.params.userId);
   res.json({ ok: true });
 });
 
 // ═══ OPERATOR FULL DATA ENDPOINTS ═══
 // Full parking data for operator
-app.get('/api/operator/event/:eventId/parking/vehicles', (req, res) => {
+app.get('/api/operator/event/:eventId/parking/vehicles', requireEventRole('parking'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({error:'Evento nao encontrado'});
   const vehicles = ev.parking ? ev.parking.vehicles || {} : {};
@@ -18374,7 +23499,7 @@ app.get('/api/operator/event/:eventId/parking/vehicles', (req, res) => {
 });
 
 // Full gym data for operator
-app.get('/api/operator/event/:eventId/gym', (req, res) => {
+app.get('/api/operator/event/:eventId/gym', requireEventRole('gym'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.json({enabled:false, config:{}, classes:{}, plans:{}, workouts:{}, members:{}, mural:{}, info:{}});
   const g = ev.gym || {};
@@ -18382,7 +23507,7 @@ app.get('/api/operator/event/:eventId/gym', (req, res) => {
 });
 
 // Full church data for operator
-app.get('/api/operator/event/:eventId/church', (req, res) => {
+app.get('/api/operator/event/:eventId/church', requireEventRole('church'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.json({enabled:false, config:{}, tithes:{}, campaigns:{}, services:{}, prayers:{}, cells:{}, announcements:{}});
   const c = ev.church || {};
@@ -18400,7 +23525,7 @@ function ensureKaraoke(ev) {
 }
 
 // GET karaoke state (operator)
-app.get('/api/operator/event/:eventId/karaoke', (req, res) => {
+app.get('/api/operator/event/:eventId/karaoke', requireEventRole('karaoke'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.json({ enabled: false, config: {}, queue: [], currentSinger: null, scores: {}, history: [] });
   const k = ensureKaraoke(ev);
@@ -18416,14 +23541,14 @@ app.get('/api/event/:eventId/karaoke', (req, res) => {
 });
 
 // POST karaoke config (operator)
-app.post('/api/operator/event/:eventId/karaoke/config', (req, res) => {
+app.post('/api/operator/event/:eventId/karaoke/config', requireEventRole('karaoke'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const k = ensureKaraoke(ev);
   const { enabled, sessionName, maxQueue, autoAdvance, votingEnabled } = req.body;
   k.enabled = !!enabled;
   k.config = { sessionName: (sessionName || '').slice(0, 100), maxQueue: Math.min(parseInt(maxQueue) || 50, 200), autoAdvance: autoAdvance !== false, votingEnabled: votingEnabled !== false };
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'config', queue: k.queue, currentSinger: k.currentSinger, scores: k.scores });
   res.json({ ok: true, config: k.config });
 });
@@ -18431,7 +23556,7 @@ app.post('/api/operator/event/:eventId/karaoke/config', (req, res) => {
 // ═══ WIFI MODULE ═══
 
 // Operator configures WiFi for the event
-app.post('/api/operator/event/:eventId/wifi', (req, res) => {
+app.post('/api/operator/event/:eventId/wifi', requireEventRole('wifi'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const { enabled, ssid, password } = req.body;
@@ -18442,7 +23567,7 @@ app.post('/api/operator/event/:eventId/wifi', (req, res) => {
   };
   if (!ev.modules) ev.modules = {};
   ev.modules.wifi = !!enabled;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   console.log('[wifi] config updated for event:', req.params.eventId, 'enabled:', !!enabled, 'ssid:', ev.wifi.ssid);
   res.json({ ok: true, wifi: { enabled: ev.wifi.enabled, ssid: ev.wifi.ssid } });
 });
@@ -18460,7 +23585,7 @@ app.get('/api/event/:eventId/wifi', (req, res) => {
 });
 
 // Operator gets current WiFi config
-app.get('/api/operator/event/:eventId/wifi', (req, res) => {
+app.get('/api/operator/event/:eventId/wifi', requireEventRole('wifi', { participants: true }), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const w = ev.wifi || { enabled: false, ssid: '', password: '' };
@@ -18488,7 +23613,7 @@ app.post('/api/event/:eventId/karaoke/join', (req, res) => {
     k.currentSinger = singer;
     autoStarted = true;
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: autoStarted ? 'start' : 'queue', queue: k.queue, currentSinger: k.currentSinger, scores: k.scores });
   res.json({ ok: true, position: autoStarted ? 0 : k.queue.length, entry, autoStarted });
 });
@@ -18504,7 +23629,7 @@ app.post('/api/event/:eventId/karaoke/update-song', (req, res) => {
   entry.song = (song || '').slice(0, 200);
   entry.videoId = videoId || '';
   entry.thumbnail = thumbnail || '';
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'queue', queue: k.queue, currentSinger: k.currentSinger, scores: k.scores });
   res.json({ ok: true });
 });
@@ -18516,13 +23641,13 @@ app.post('/api/event/:eventId/karaoke/leave', (req, res) => {
   const k = ensureKaraoke(ev);
   const { userId } = req.body;
   k.queue = k.queue.filter(q => q.userId !== userId);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'queue', queue: k.queue, currentSinger: k.currentSinger, scores: k.scores });
   res.json({ ok: true });
 });
 
 // POST start singer (operator calls next singer to stage)
-app.post('/api/operator/event/:eventId/karaoke/start', (req, res) => {
+app.post('/api/operator/event/:eventId/karaoke/start', requireEventRole('karaoke'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const k = ensureKaraoke(ev);
@@ -18538,13 +23663,13 @@ app.post('/api/operator/event/:eventId/karaoke/start', (req, res) => {
   singer.status = 'singing';
   singer.startedAt = Date.now();
   k.currentSinger = singer;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'start', queue: k.queue, currentSinger: k.currentSinger, scores: k.scores });
   res.json({ ok: true, currentSinger: singer });
 });
 
 // POST finish singer (operator ends current performance)
-app.post('/api/operator/event/:eventId/karaoke/finish', (req, res) => {
+app.post('/api/operator/event/:eventId/karaoke/finish', requireEventRole('karaoke'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const k = ensureKaraoke(ev);
@@ -18568,7 +23693,7 @@ app.post('/api/operator/event/:eventId/karaoke/finish', (req, res) => {
     next.startedAt = Date.now();
     k.currentSinger = next;
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'finish', queue: k.queue, currentSinger: k.currentSinger, scores: k.scores, finished });
   res.json({ ok: true, scores: k.scores, currentSinger: k.currentSinger });
 });
@@ -18595,7 +23720,7 @@ app.post('/api/event/:eventId/karaoke/finish', (req, res) => {
   };
   k.currentSinger = null;
   k.history.push(finished);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   const eventId = req.params.eventId;
   io.to('event:' + eventId).emit('karaoke-update', {
     type: 'voting-start', queue: k.queue, currentSinger: null,
@@ -18618,7 +23743,7 @@ app.post('/api/event/:eventId/karaoke/finish', (req, res) => {
     k2.scores[finished.userId] = scoreData;
     k2.votingPhase.phase = 'results';
     k2.votingPhase.finalScore = scoreData;
-    saveDB('operatorEvents');
+    saveDB('operatorEvents/' + eventId);
     io.to('event:' + eventId).emit('karaoke-update', {
       type: 'voting-results', queue: k2.queue, currentSinger: null,
       scores: k2.scores, votingPhase: k2.votingPhase
@@ -18637,7 +23762,7 @@ app.post('/api/event/:eventId/karaoke/finish', (req, res) => {
         next.startedAt = Date.now();
         k3.currentSinger = next;
       }
-      saveDB('operatorEvents');
+      saveDB('operatorEvents/' + eventId);
       io.to('event:' + eventId).emit('karaoke-update', {
         type: 'voting-end', queue: k3.queue, currentSinger: k3.currentSinger,
         scores: k3.scores, votingPhase: null
@@ -18648,7 +23773,7 @@ app.post('/api/event/:eventId/karaoke/finish', (req, res) => {
 });
 
 // POST skip singer (operator skips without scoring)
-app.post('/api/operator/event/:eventId/karaoke/skip', (req, res) => {
+app.post('/api/operator/event/:eventId/karaoke/skip', requireEventRole('karaoke'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const k = ensureKaraoke(ev);
@@ -18665,13 +23790,13 @@ app.post('/api/operator/event/:eventId/karaoke/skip', (req, res) => {
     next.startedAt = Date.now();
     k.currentSinger = next;
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'voting-end', queue: k.queue, currentSinger: k.currentSinger, scores: k.scores, votingPhase: null });
   res.json({ ok: true, currentSinger: k.currentSinger });
 });
 
 // Operator: skip voting/results phase and advance immediately
-app.post('/api/operator/event/:eventId/karaoke/skip-voting', (req, res) => {
+app.post('/api/operator/event/:eventId/karaoke/skip-voting', requireEventRole('karaoke'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const k = ensureKaraoke(ev);
@@ -18694,30 +23819,30 @@ app.post('/api/operator/event/:eventId/karaoke/skip-voting', (req, res) => {
     next.startedAt = Date.now();
     k.currentSinger = next;
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'voting-end', queue: k.queue, currentSinger: k.currentSinger, scores: k.scores, votingPhase: null });
   res.json({ ok: true, currentSinger: k.currentSinger });
 });
 
 // Operator: stop current music without starting voting
-app.post('/api/operator/event/:eventId/karaoke/stop-music', (req, res) => {
+app.post('/api/operator/event/:eventId/karaoke/stop-music', requireEventRole('karaoke'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const k = ensureKaraoke(ev);
   k.votingPhase = null;
   k.currentSinger = null;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'voting-end', queue: k.queue, currentSinger: null, scores: k.scores, votingPhase: null });
   res.json({ ok: true });
 });
 
 // Operator: reset scores only (for new championship round)
-app.post('/api/operator/event/:eventId/karaoke/reset-scores', (req, res) => {
+app.post('/api/operator/event/:eventId/karaoke/reset-scores', requireEventRole('karaoke'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const k = ensureKaraoke(ev);
   k.scores = {};
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'scores-reset', queue: k.queue, currentSinger: k.currentSinger, scores: {}, votingPhase: k.votingPhase || null });
   res.json({ ok: true });
 });
@@ -18741,7 +23866,7 @@ app.post('/api/event/:eventId/karaoke/vote', (req, res) => {
   const avg = vv.reduce((a, b) => a + b, 0) / vv.length;
   k.scores[singerId].avgStars = avg;
   k.scores[singerId].points = (avg * 10) + ((k.scores[singerId].applause || 0) * 0.5);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'vote', scores: k.scores, currentSinger: k.currentSinger, queue: k.queue, votingPhase: k.votingPhase || null });
   res.json({ ok: true, score: k.scores[singerId] });
 });
@@ -18762,7 +23887,7 @@ app.post('/api/event/:eventId/karaoke/applause', (req, res) => {
   const vv = Object.values(k.scores[singerId].votes || {});
   const avg = vv.length > 0 ? vv.reduce((a, b) => a + b, 0) / vv.length : 0;
   k.scores[singerId].points = (avg * 10) + (k.scores[singerId].applause * 0.5);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'applause', scores: k.scores, currentSinger: k.currentSinger, queue: k.queue, votingPhase: k.votingPhase || null });
   res.json({ ok: true, applause: k.scores[singerId].applause });
 });
@@ -18792,7 +23917,7 @@ app.get('/api/youtube/search', async (req, res) => {
 });
 
 // POST reset karaoke session (operator)
-app.post('/api/operator/event/:eventId/karaoke/reset', (req, res) => {
+app.post('/api/operator/event/:eventId/karaoke/reset', requireEventRole('karaoke'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
   const k = ensureKaraoke(ev);
@@ -18801,7 +23926,7 @@ app.post('/api/operator/event/:eventId/karaoke/reset', (req, res) => {
   k.scores = {};
   k.history = [];
   k.votingPhase = null;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + req.params.eventId).emit('karaoke-update', { type: 'reset', queue: [], currentSinger: null, scores: {}, votingPhase: null });
   res.json({ ok: true });
 });
@@ -18817,6 +23942,29 @@ function ensureBarber(ev) {
   return ev.barber;
 }
 
+// Linked barber (touch account) with the default services; replaces any previous entry of the same user
+function linkBarberMember(ev, userId) {
+  const barber = ensureBarber(ev);
+  const user = db.users[userId] || {};
+  barber.barbers = barber.barbers.filter(b => b.userId !== userId);
+  const bbMember = {
+    id: 'bb_' + Date.now() + '_' + Math.random().toString(36).substr(2, 4),
+    userId,
+    name: user.realName || user.nickname || user.name || 'Barbeiro',
+    type: 'linked',
+    services: [
+      { id: 'bsvc_' + Date.now() + '_c', name: 'Corte', price: 35, duration: 30, createdAt: Date.now() },
+      { id: 'bsvc_' + Date.now() + '_b', name: 'Barba', price: 25, duration: 20, createdAt: Date.now() },
+      { id: 'bsvc_' + Date.now() + '_cb', name: 'Corte + Barba', price: 50, duration: 45, createdAt: Date.now() }
+    ],
+    slots: [],
+    status: 'active',
+    createdAt: Date.now()
+  };
+  barber.barbers.push(bbMember);
+  return bbMember;
+}
+
 function findBarberMember(barberData, barberId) {
   return barberData.barbers.find(b => b.id === barberId);
 }
@@ -18847,14 +23995,14 @@ function getDefaultBarber(ev) {
 }
 
 // --- Barbers (team) CRUD ---
-app.get('/api/operator/event/:eventId/barber/team', (req, res) => {
+app.get('/api/operator/event/:eventId/barber/team', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = getDefaultBarber(ev);
   res.json({ barbers: barber.barbers });
 });
 
-app.post('/api/operator/event/:eventId/barber/team', (req, res) => {
+app.post('/api/operator/event/:eventId/barber/team', requireEventRole('barber.config'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = ensureBarber(ev);
@@ -18875,11 +24023,11 @@ app.post('/api/operator/event/:eventId/barber/team', (req, res) => {
     createdAt: Date.now()
   };
   barber.barbers.push(member);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, barber: member });
 });
 
-app.delete('/api/operator/event/:eventId/barber/team/:barberId', (req, res) => {
+app.delete('/api/operator/event/:eventId/barber/team/:barberId', requireEventRole('barber.config'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = ensureBarber(ev);
@@ -18887,12 +24035,12 @@ app.delete('/api/operator/event/:eventId/barber/team/:barberId', (req, res) => {
   if (!member) return res.status(404).json({ error: 'Barbeiro nao encontrado.' });
   if (member.type === 'owner' && barber.barbers.length === 1) return res.status(400).json({ error: 'Nao pode remover o unico barbeiro.' });
   barber.barbers = barber.barbers.filter(b => b.id !== req.params.barberId);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
 // --- Services CRUD (per barber) ---
-app.get('/api/operator/event/:eventId/barber/:barberId/services', (req, res) => {
+app.get('/api/operator/event/:eventId/barber/:barberId/services', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = getDefaultBarber(ev);
@@ -18901,7 +24049,7 @@ app.get('/api/operator/event/:eventId/barber/:barberId/services', (req, res) =>
   res.json({ services: member.services || [] });
 });
 
-app.post('/api/operator/event/:eventId/barber/:barberId/services', (req, res) => {
+app.post('/api/operator/event/:eventId/barber/:barberId/services', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = getDefaultBarber(ev);
@@ -18918,23 +24066,23 @@ app.post('/api/operator/event/:eventId/barber/:barberId/services', (req, res) =>
     createdAt: Date.now()
   };
   member.services.push(service);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, service });
 });
 
-app.delete('/api/operator/event/:eventId/barber/:barberId/services/:serviceId', (req, res) => {
+app.delete('/api/operator/event/:eventId/barber/:barberId/services/:serviceId', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = getDefaultBarber(ev);
   const member = findBarberMember(barber, req.params.barberId);
   if (!member) return res.status(404).json({ error: 'Barbeiro nao encontrado.' });
   member.services = (member.services || []).filter(s => s.id !== req.params.serviceId);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
 // --- Slots CRUD (per barber) ---
-app.get('/api/operator/event/:eventId/barber/:barberId/slots', (req, res) => {
+app.get('/api/operator/event/:eventId/barber/:barberId/slots', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = getDefaultBarber(ev);
@@ -18943,7 +24091,7 @@ app.get('/api/operator/event/:eventId/barber/:barberId/slots', (req, res) => {
   res.json({ slots: member.slots || [] });
 });
 
-app.post('/api/operator/event/:eventId/barber/:barberId/slots', (req, res) => {
+app.post('/api/operator/event/:eventId/barber/:barberId/slots', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = getDefaultBarber(ev);
@@ -18961,11 +24109,11 @@ app.post('/api/operator/event/:eventId/barber/:barberId/slots', (req, res) => {
     createdAt: Date.now()
   };
   member.slots.push(slot);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, slot });
 });
 
-app.delete('/api/operator/event/:eventId/barber/:barberId/slots/:slotId', (req, res) => {
+app.delete('/api/operator/event/:eventId/barber/:barberId/slots/:slotId', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = getDefaultBarber(ev);
@@ -18974,24 +24122,29 @@ app.delete('/api/operator/event/:eventId/barber/:barberId/slots/:slotId', (req,
   const slot = (member.slots || []).find(s => s.id === req.params.slotId);
   if (slot && slot.status === 'booked') return res.status(400).json({ error: 'Slot ja reservado.' });
   member.slots = (member.slots || []).filter(s => s.id !== req.params.slotId);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true });
 });
 
 // --- Appointments (global per event) ---
-app.get('/api/operator/event/:eventId/barber/appointments', (req, res) => {
+app.get('/api/operator/event/:eventId/barber/appointments', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = ensureBarber(ev);
   res.json({ appointments: barber.appointments });
 });
 
-app.put('/api/operator/event/:eventId/barber/appointments/:appointmentId/status', (req, res) => {
+app.put('/api/operator/event/:eventId/barber/appointments/:appointmentId/status', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = ensureBarber(ev);
   const apt = barber.appointments.find(a => a.id === req.params.appointmentId);
   if (!apt) return res.status(404).json({ error: 'Agendamento nao encontrado.' });
+  // A barber only moves appointments booked on their own agenda
+  if (req.eventRole === 'barber') {
+    const own = apt.barberId && findBarberMember(barber, apt.barberId);
+    if (!own || own.userId !== req.authUserId) return res.status(403).json({ error: 'Sem permissao para a agenda de outro barbeiro.' });
+  }
   const { status } = req.body;
   if (!['confirmed', 'cancelled', 'completed', 'pending'].includes(status)) return res.status(400).json({ error: 'Status invalido.' });
   apt.status = status;
@@ -19003,25 +24156,25 @@ app.put('/api/operator/event/:eventId/barber/appointments/:appointmentId/status'
       if (slot) { slot.status = 'available'; slot.bookedBy = null; slot.bookedByUserId = null; }
     }
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, appointment: apt });
 });
 
 // --- Config ---
-app.get('/api/operator/event/:eventId/barber/config', (req, res) => {
+app.get('/api/operator/event/:eventId/barber/config', requireEventRole('barber'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = ensureBarber(ev);
   res.json({ config: barber.config || {} });
 });
 
-app.put('/api/operator/event/:eventId/barber/config', (req, res) => {
+app.put('/api/operator/event/:eventId/barber/config', requireEventRole('barber.config'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const barber = ensureBarber(ev);
   const { barberName, welcomeMessage } = req.body;
   barber.config = { barberName: barberName || '', welcomeMessage: welcomeMessage || '' };
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   res.json({ ok: true, config: barber.config });
 });
 
@@ -19076,7 +24229,7 @@ app.post('/api/event/:eventId/barber/book', (req, res) => {
     createdAt: Date.now()
   };
   barber.appointments.push(appointment);
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   // Notify operator
   if (ev.creatorId) {
     io.to('user:' + ev.creatorId).emit('barber-appointment-new', { eventId: ev.id, appointment });
@@ -19105,7 +24258,7 @@ app.post('/api/event/:eventId/barber/appointment/:appointmentId/accept', (req, r
     const slot = (member.slots || []).find(s => s.id === apt.slotId);
     if (slot) slot.status = 'booked';
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   // Notify client
   if (apt.userId) {
     io.to('user:' + apt.userId).emit('barber-appointment-accepted', { eventId: ev.id, appointment: apt });
@@ -19170,7 +24323,7 @@ app.post('/api/event/:eventId/barber/appointment/:appointmentId/reject', async (
   } else {
     apt.refundStatus = 'no_payment';
   }
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   // Notify client about rejection + refund
   if (apt.userId) {
     io.to('user:' + apt.userId).emit('barber-appointment-rejected', { eventId: ev.id, appointment: apt });
@@ -19192,7 +24345,7 @@ app.post('/api/event/:eventId/barber/appointment/:appointmentId/complete', (req,
   if (apt.status !== 'confirmed') return res.status(400).json({ error: 'Agendamento nao esta confirmado.' });
   apt.status = 'completed';
   apt.completedAt = Date.now();
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   if (apt.userId) {
     io.to('user:' + apt.userId).emit('barber-appointment-completed', { eventId: ev.id, appointment: apt });
   }
@@ -19231,7 +24384,7 @@ function ensureChaRevela(ev) {
 }
 
 // Operator: get module data
-app.get('/api/operator/event/:eventId/charevela', (req, res) => {
+app.get('/api/operator/event/:eventId/charevela', requireEventRole('charevela'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const cr = ensureChaRevela(ev);
@@ -19239,7 +24392,7 @@ app.get('/api/operator/event/:eventId/charevela', (req, res) => {
 });
 
 // Operator: save config
-app.post('/api/operator/event/:eventId/charevela/config', (req, res) => {
+app.post('/api/operator/event/:eventId/charevela/config', requireEventRole('charevela'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const cr = ensureChaRevela(ev);
@@ -19254,31 +24407,31 @@ app.post('/api/operator/event/:eventId/charevela/config', (req, res) => {
   if (typeof votingOpen === 'boolean') cr.config.votingOpen = votingOpen;
   ev.modules.charevela = true;
   cr.enabled = true;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + ev.id).emit('charevela-config-updated', { eventId: ev.id, config: cr.config });
   res.json({ ok: true, config: cr.config });
 });
 
 // Operator: toggle voting open/closed
-app.post('/api/operator/event/:eventId/charevela/toggle-voting', (req, res) => {
+app.post('/api/operator/event/:eventId/charevela/toggle-voting', requireEventRole('charevela'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const cr = ensureChaRevela(ev);
   cr.config.votingOpen = !cr.config.votingOpen;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + ev.id).emit('charevela-voting-toggled', { eventId: ev.id, votingOpen: cr.config.votingOpen });
   res.json({ ok: true, votingOpen: cr.config.votingOpen });
 });
 
 // Operator: trigger the reveal animation on all connected devices
-app.post('/api/operator/event/:eventId/charevela/reveal', (req, res) => {
+app.post('/api/operator/event/:eventId/charevela/reveal', requireEventRole('charevela'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const cr = ensureChaRevela(ev);
   if (!cr.config.answer) return res.status(400).json({ error: 'Defina a resposta antes de revelar.' });
   cr.config.revealed = true;
   cr.config.votingOpen = false;
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   // Broadcast reveal animation to ALL devices in this event
   const revealData = {
     eventId: ev.id,
@@ -19295,7 +24448,7 @@ app.post('/api/operator/event/:eventId/charevela/reveal', (req, res) => {
 });
 
 // Operator: reset (clear votes, allow new round)
-app.post('/api/operator/event/:eventId/charevela/reset', (req, res) => {
+app.post('/api/operator/event/:eventId/charevela/reset', requireEventRole('charevela'), (req, res) => {
   const ev = db.operatorEvents[req.params.eventId];
   if (!ev) return res.status(404).json({ error: 'Evento nao encontrado.' });
   const cr = ensureChaRevela(ev);
@@ -19304,7 +24457,7 @@ app.post('/api/operator/event/:eventId/charevela/reset', (req, res) => {
   cr.config.revealed = false;
   cr.config.votingOpen = false;
   cr.config.answer = '';
-  saveDB('operatorEvents');
+  saveDB('operatorEvents/' + ev.id);
   io.to('event:' + ev.id).emit('charevela-reset', { eventId: ev.id });
   res.json({ ok: true });
 });
@@ -19338,7 +24491,7 @@ app.post('/api/event/:eventId/charevela/vote', (req, res) => {
     cr.votes[voterId] = { choice, name: sanitizeStr(voterName || 'Anonimo', 30), timestamp: Date.now() };
     cr.results[choice]++;
     cr.results.total = Object.keys(cr.votes).length;
-    saveDB('operatorEvents');
+    saveDB('operatorEvents/' + ev.id);
     io.to('event:' + ev.id).emit('charevela-vote-updated', { eventId: ev.id, results: cr.results, voterName: voterName || 'Alguem', choice });
     res.json({ ok: true, results: cr.results });
   } catch (err) {
@@ -19376,11 +24529,12 @@ app.post('/api/stripe/pay', requireAuth, async (req, res) => {
   const { paymentMethodId, amount, payerId, receiverId, type, eventId } = req.body;
   if (!paymentMethodId || !amount || amount < 1) return res.status(400).json({ error: 'Dados invalidos' });
 
-  // For entry payments, resolve the event operator as receiver
+  // For entry and order payments, resolve the event operator as receiver
   let effectiveReceiverId = receiverId;
   let isEntry = (type === 'entry' && eventId);
+  const isOrder = (type === 'order' && eventId);
   let ev = null;
-  if (isEntry) {
+  if (isEntry || isOrder) {
     ev = db.operatorEvents[eventId];
     if (!ev) return res.status(404).json({ error: 'Evento nao encontrado' });
     effectiveReceiverId = ev.creatorId;
@@ -19442,9 +24596,21 @@ app.post('/api/stripe/pay', requireAuth, async (req, res) => {
         ev.revenue = (ev.revenue || 0) + amount;
         if (!ev.participants) ev.participants = [];
         if (!ev.participants.includes(payerId)) ev.participants.push(payerId);
+        syncPaymentLedger(db.eventPayments[tipId]);
         saveDB('eventPayments', 'operatorEvents');
         io.emit('checkin', { eventId: ev.id, userId: payerId });
         console.log('[stripe/pay] Entry payment approved:', { event: ev.name, userId: payerId, amount });
+      } else if (isOrder && ev) {
+        // Restaurant order: the order itself is created afterwards with paymentId = tipId
+        if (!db.eventPayments) db.eventPayments = {};
+        db.eventPayments[tipId] = {
+          id: tipId, payerId, eventId, eventName: ev.name || '', amount,
+          receiverId: effectiveReceiverId, currency: 'brl',
+          stripePaymentIntentId: paymentIntent.id, status: 'approved',
+          method: 'stripe-express', type: 'order', createdAt: Date.now()
+        };
+        syncPaymentLedger(db.eventPayments[tipId]);
+        saveDB('eventPayments/' + tipId);
       } else {
         // Save as regular tip
         if (!db.tips) db.tips = {};
@@ -19454,6 +24620,7 @@ app.post('/api/stripe/pay', requireAuth, async (req, res) => {
         IDX.tipsByPayer.get(tipStripeExpress.payerId).push(tipStripeExpress.id);
         if (!IDX.tipsByReceiver.has(tipStripeExpress.receiverId)) IDX.tipsByReceiver.set(tipStripeExpress.receiverId, []);
         IDX.tipsByReceiver.get(tipStripeExpress.receiverId).push(tipStripeExpress.id);
+        syncPaymentLedger(tipStripeExpress);
         saveDB('tips');
         const payer = db.users[payerId];
         const payerName = payer ? (payer.nickname || payer.name || '?') : '?';
@@ -19484,6 +24651,10 @@ app.post('/api/stripe/create-payment-intent', requireAuth, paymentLimiter, async
   const amountCents = ZERO_DECIMAL.has(curr) ? Math.round(amount) : Math.round(amount * 100);
   const isProductTx = type === 'order' || type === 'delivery';
   const isUSD = curr === 'usd';
+  // Restaurant orders are paid to the event operator, like the site checkout
+  const orderEv = type === 'order' && eventId ? db.operatorEvents[eventId] : null;
+  if (type === 'order' && eventId && !orderEv) return res.status(404).json({ error: 'Evento nao encontrado' });
+  const effectiveReceiverId = orderEv ? orderEv.creatorId : receiverId;
 
   try {
     const intentData = {
@@ -19491,7 +24662,7 @@ app.post('/api/stripe/create-payment-intent', requireAuth, paymentLimiter, async
       currency: curr,
       automatic_payment_methods: { enabled: true },
       metadata: {
-        payerId: payerId || '', receiverId: receiverId || '',
+        payerId: payerId || '', receiverId: effectiveReceiverId || '',
         type: type || 'tip', eventId: eventId || '',
         source: 'touch-payment-element',
         // Fiscal metadata for tax reporting
@@ -19511,7 +24682,7 @@ app.post('/api/stripe/create-payment-intent', requireAuth, paymentLimiter, async
     }
 
     // Split payment if receiver has Stripe Connect
-    const receiver = receiverId ? db.users[receiverId] : null;
+    const receiver = effectiveReceiverId ? db.users[effectiveReceiverId] : null;
     if (receiver && receiver.stripeConnectId && receiver.stripeConnected) {
       const fee = Math.round(amountCents * TOUCH_FEE_PERCENT / 100);
       intentData.application_fee_amount = fee;
@@ -19534,6 +24705,15 @@ app.post('/api/stripe/create-payment-intent', requireAuth, paymentLimiter, async
         method: 'stripe-payment-element', createdAt: Date.now()
       };
       saveDB('eventPayments');
+    } else if (orderEv) {
+      if (!db.eventPayments) db.eventPayments = {};
+      db.eventPayments[tipId] = {
+        id: tipId, payerId, eventId, eventName: orderEv.name || '', amount, currency: curr,
+        receiverId: effectiveReceiverId,
+        stripePaymentIntentId: paymentIntent.id, status: 'pending',
+        method: 'stripe-payment-element', type: 'order', createdAt: Date.now()
+      };
+      saveDB('eventPayments/' + tipId);
     } else {
       if (!db.tips) db.tips = {};
       const tipStripePending = {
@@ -19580,9 +24760,17 @@ app.post('/api/stripe/confirm-payment', requireAuth, async (req, res) => {
         }
         return res.json({ ok: true, status: 'approved', verified: true });
       }
-      if (meta.type === 'entry' && meta.eventId) {
+      if (meta.type === 'order' && meta.eventId) {
+        const ep = db.eventPayments && db.eventPayments[tipId];
+        if (ep && ep.type === 'order' && ep.stripePaymentIntentId === paymentIntentId && ep.status !== 'approved') {
+          ep.status = 'approved';
+          syncPaymentLedger(ep);
+          saveDB('eventPayments/' + ep.id);
+          settleOrderPayment(ep);
+        }
+      } else if (meta.type === 'entry' && meta.eventId) {
         const ep = db.eventPayments && db.eventPayments[tipId];
-        if (ep) { ep.status = 'approved'; saveDB('eventPayments'); }
+        if (ep) { ep.status = 'approved'; syncPaymentLedger(ep); saveDB('eventPayments'); }
         const ev = db.operatorEvents[meta.eventId];
         if (ev && meta.payerId) {
           ev.paidCheckins = (ev.paidCheckins || 0) + 1;
@@ -19601,6 +24789,7 @@ app.post('/api/stripe/confirm-payment', requireAuth, async (req, res) => {
             receiver.tipsReceived = (receiver.tipsReceived || 0) + 1;
             receiver.tipsTotal = (receiver.tipsTotal || 0) + tip.amount;
           }
+          syncPaymentLedger(tip);
           saveDB('tips', 'users');
           const payer = db.users[tip.payerId];
           io.to(`user:${tip.receiverId}`).emit('tip-received', {
@@ -19625,24 +24814,22 @@ app.post('/api/stripe/create-subscription', requireAuth, paymentLimiter, async (
   if (!userId || !planId) return res.status(400).json({ error: 'Dados incompletos.' });
   const user = db.users[userId];
   if (!user) return res.status(404).json({ error: 'Usuario nao encontrado.' });
-  const plan = SUBSCRIPTION_PLANS[planId];
-  if (!plan) return res.status(400).json({ error: 'Plano nao encontrado.' });
+  // Regional price from the catalog: the requested currency picks the region
+  const offer = subscriberOffer(userId, planId, subscriptionRegion('stripe', req, (reqCurrency || '').toLowerCase()));
+  if (!offer) return res.status(400).json({ error: 'Plano nao encontrado.' });
+  const current = db.subscriptions[userId];
+  if (current && subscriptionKit.isActiveState(current.status) && isRecurringSubscription(current)) {
+    return res.status(409).json({ error: 'Assinatura ja ativa. Use a troca de plano.' });
+  }
 
   const payerEmail = email || user.email || '';
   if (!payerEmail || payerEmail.includes('@touch.app')) {
     return res.status(400).json({ error: 'Cadastre seu email no perfil antes de assinar.' });
   }
 
-  // Multi-currency: convert BRL amounts to requested currency
-  const CURRENCY_RATES = { brl: 1, usd: 0.18, eur: 0.17, gbp: 0.14, jpy: 27, mxn: 3.5, ars: 180, clp: 170, cop: 720, pen: 0.67, uyu: 7.2 };
-  const targetCurrency = (reqCurrency || plan.currency || 'brl').toLowerCase();
-  const rate = CURRENCY_RATES[targetCurrency] || CURRENCY_RATES.brl;
-  const convertedAmount = targetCurrency === 'brl' ? plan.amount : Math.round(plan.amount * rate * 100) / 100;
-  // JPY has no decimal (smallest unit = 1 yen)
-  const unitAmount = targetCurrency === 'jpy' ? Math.round(convertedAmount) : Math.round(convertedAmount * 100);
-
   const baseUrl = process.env.APP_URL || 'https://touch-irl.com';
   const subId = uuidv4();
+  const trialDays = offer.trialDays > 0 && offer.trialEligible ? offer.trialDays : 0;
 
   try {
     // Create or get Stripe Customer
@@ -19654,7 +24841,7 @@ app.post('/api/stripe/create-subscription', requireAuth, paymentLimiter, async (
       });
       customerId = customer.id;
       user.stripeCustomerId = customerId;
-      saveDB('users');
+      saveDB('users/' + userId);
     }
 
     // Create Checkout Session in subscription mode
@@ -19662,58 +24849,46 @@ app.post('/api/stripe/create-subscription', requireAuth, paymentLimiter, async (
       customer: customerId,
       mode: 'subscription',
       payment_method_types: ['card'],
-      line_items: [{
-        price_data: {
-          currency: targetCurrency,
-          product_data: { name: plan.description, metadata: { planId: plan.id } },
-          unit_amount: unitAmount,
-          recurring: { interval: 'month', interval_count: plan.frequency || 1 }
-        },
-        quantity: 1
-      }],
+      line_items: [{ price: await stripePriceFor(db.planVersions[offer.versionId]), quantity: 1 }],
+      subscription_data: {
+        metadata: { userId, planId: offer.id, subId },
+        ...(trialDays ? { trial_period_days: trialDays } : {})
+      },
       success_url: baseUrl + '/stripe/sub-result?session_id={CHECKOUT_SESSION_ID}&subId=' + subId + '&userId=' + userId,
       cancel_url: baseUrl + '/?subResult=cancelled',
-      metadata: { userId, planId: plan.id, subId },
+      metadata: { userId, planId: offer.id, subId },
       allow_promotion_codes: true
     });
 
-    // Pre-save subscription
-    db.subscriptions[userId] = {
-      id: subId, userId, planId: plan.id,
-      stripeSessionId: session.id, status: 'pending',
-      startedAt: Date.now(), expiresAt: Date.now() + 30 * 86400000,
-      amount: plan.amount, gateway: 'stripe', createdAt: Date.now()
-    };
-    saveDB('users');
+    // Pre-save subscription (activated by the return page / webhooks)
+    newSubscription(userId, offer, 'stripe', 'checkout', { id: subId, stripeSessionId: session.id });
 
-    console.log('[stripe] Checkout session created:', { id: session.id, plan: plan.id });
-    res.json({ subId, url: session.url });
+    console.log('[stripe] Checkout session created:', { id: session.id, plan: offer.id, version: offer.versionId });
+    res.json({ subId, url: session.url, amount: offer.amount, currency: offer.currency, trialDays });
   } catch(e) {
     console.error('[stripe/subscription] error:', e.message);
     res.status(500).json({ error: 'Erro ao criar assinatura: ' + e.message });
   }
 });
 
+// Paid checkout, or no payment required while in trial
+function linkStripeCheckout(sub, session, by) {
+  if (session.subscription) sub.stripeSubscriptionId = session.subscription;
+  if (sub.status !== 'pending') return saveDB('subscriptions/' + sub.userId);
+  if (session.payment_status === 'paid') applyGatewayStatus(sub, 'active', by);
+  else if (session.payment_status === 'no_payment_required') applyGatewayStatus(sub, 'trialing', by);
+  else saveDB('subscriptions/' + sub.userId);
+}
+
 // Stripe subscription return page
 app.get('/stripe/sub-result', async (req, res) => {
   const { session_id, subId, userId } = req.query;
-  if (session_id && userId && db.subscriptions[userId]) {
+  const sub = userId && db.subscriptions[userId];
+  if (session_id && sub && sub.id === subId) {
     try {
       if (stripeInstance) {
         const session = await stripeInstance.checkout.sessions.retrieve(session_id);
-        if (session.payment_status === 'paid') {
-          const sub = db.subscriptions[userId];
-          sub.status = 'authorized';
-          sub.stripeSubscriptionId = session.subscription;
-          const user = db.users[userId];
-          if (user) {
-            user.isSubscriber = true;
-            user.verified = true;
-            user.verifiedAt = user.verifiedAt || Date.now();
-            user.verificationType = user.verificationType || 'subscriber';
-          }
-          saveDB('users');
-        }
+        linkStripeCheckout(sub, session, 'stripe-return');
       }
     } catch(e) { console.error('[stripe/sub-result] error:', e.message); }
   }
@@ -19729,21 +24904,7 @@ app.post('/api/stripe/cancel-subscription', requireAuth, async (req, res) => {
   if (!sub || sub.gateway !== 'stripe') return res.status(404).json({ error: 'Assinatura Stripe nao encontrada.' });
 
   try {
-    if (sub.stripeSubscriptionId) {
-      await stripeInstance.subscriptions.cancel(sub.stripeSubscriptionId);
-    }
-    sub.status = 'cancelled';
-    sub.cancelledAt = Date.now();
-    const user = db.users[userId];
-    if (user) {
-      user.isSubscriber = false;
-      if (user.verificationType === 'subscriber') {
-        user.verified = false;
-        delete user.verifiedAt;
-        delete user.verificationType;
-      }
-    }
-    saveDB('users');
+    await cancelSubscription(sub, 'user');
     res.json({ ok: true });
   } catch(e) {
     console.error('[stripe/cancel-sub] error:', e.message);
@@ -19770,7 +24931,7 @@ app.get('/api/stripe/connect-onboard', async (req, res) => {
       });
       accountId = account.id;
       user.stripeConnectId = accountId;
-      saveDB('users');
+      saveDB('users/' + userId);
     }
     const link = await stripeInstance.accountLinks.create({
       account: accountId,
@@ -19806,7 +24967,7 @@ app.get('/api/stripe/connect-url/:userId', async (req, res) => {
       });
       accountId = account.id;
       user.stripeConnectId = accountId;
-      saveDB('users');
+      saveDB('users/' + userId);
     }
 
     const link = await stripeInstance.accountLinks.create({
@@ -19906,6 +25067,170 @@ app.get('/stripe/event-connect-result', async (req, res) => {
   res.redirect('/?eventStripeConnected=ok&eventId=' + (eventId || ''));
 });
 
+// Stripe events -- one handler per type, run through the webhook store (exactly once, retried on failure)
+registerWebhookHandler('stripe', 'payment_intent.succeeded', (event) => {
+  const pi = event.data.object;
+  // Find and update tip
+  const tip = Object.values(db.tips || {}).find(t => t.stripePaymentIntentId === pi.id);
+  if (tip && tip.status !== 'approved') {
+    tip.status = 'approved';
+    const receiver = db.users[tip.receiverId];
+    if (receiver) {
+      receiver.tipsReceived = (receiver.tipsReceived || 0) + 1;
+      receiver.tipsTotal = (receiver.tipsTotal || 0) + tip.amount;
+    }
+    const payer = db.users[tip.payerId];
+    io.to(`user:${tip.receiverId}`).emit('tip-received', {
+      amount: tip.amount, tipId: tip.id, from: payer?.nickname || '?', status: 'approved'
+    });
+    syncPaymentLedger(tip);
+    saveDB('tips', 'users');
+  }
+  // Find and update event payment
+  const ep = Object.values(db.eventPayments || {}).find(e => e.stripePaymentIntentId === pi.id);
+  if (ep && ep.status !== 'approved' && ep.type === 'order') {
+    ep.status = 'approved';
+    syncPaymentLedger(ep);
+    saveDB('eventPayments/' + ep.id);
+    settleOrderPayment(ep);
+  } else if (ep && ep.status !== 'approved') {
+    ep.status = 'approved';
+    const ev = db.operatorEvents[ep.eventId];
+    if (ev) {
+      ev.paidCheckins = (ev.paidCheckins || 0) + 1;
+      ev.revenue = (ev.revenue || 0) + ep.amount;
+      if (!ev.participants) ev.participants = [];
+      if (!ev.participants.includes(ep.payerId)) ev.participants.push(ep.payerId);
+      saveDB('operatorEvents');
+    }
+    syncPaymentLedger(ep);
+    saveDB('eventPayments');
+  }
+});
+
+registerWebhookHandler('stripe', 'checkout.session.completed', (event) => {
+  const session = event.data.object;
+  if (session.mode !== 'subscription' || !session.metadata) return;
+  const sub = db.subscriptions[session.metadata.userId];
+  if (sub && sub.id === session.metadata.subId) linkStripeCheckout(sub, session, 'stripe');
+});
+
+registerWebhookHandler('stripe', ['customer.subscription.updated', 'customer.subscription.deleted'], (event) => {
+  const sub = event.data.object;
+  const userSub = Object.values(db.subscriptions || {}).find(v => v && v.stripeSubscriptionId === sub.id);
+  if (userSub) {
+    // Newer API versions moved the period to the subscription items
+    const item = sub.items && sub.items.data && sub.items.data[0];
+    const start = sub.current_period_start || (item && item.current_period_start);
+    const end = sub.current_period_end || (item && item.current_period_end);
+    const status = event.type === 'customer.subscription.deleted' ? 'canceled' : sub.status;
+    applyGatewayStatus(userSub, status, 'stripe', {
+      start: start ? start * 1000 : null, end: end ? end * 1000 : null, trialEnd: sub.trial_end ? sub.trial_end * 1000 : null
+    });
+  }
+});
+
+registerWebhookHandler('stripe', 'payment_intent.payment_failed', (event) => {
+  const piFailed = event.data.object;
+  const failReason = piFailed.last_payment_error?.message || 'Unknown error';
+  const failCode = piFailed.last_payment_error?.code || 'unknown';
+  console.warn('[stripe/webhook] Payment FAILED:', { id: piFailed.id, reason: failReason, code: failCode });
+
+  // Mark tip as failed
+  const failedTip = Object.values(db.tips || {}).find(t => t.stripePaymentIntentId === piFailed.id);
+  if (failedTip && failedTip.status === 'pending') {
+    failedTip.status = 'failed';
+    failedTip.failReason = failReason;
+    failedTip.failCode = failCode;
+    failedTip.failedAt = Date.now();
+    io.to(`user:${failedTip.payerId}`).emit('payment-failed', {
+      tipId: failedTip.id, amount: failedTip.amount, reason: failReason
+    });
+    saveDB('tips');
+  }
+
+  // Mark event payment as failed
+  const failedEP = Object.values(db.eventPayments || {}).find(e => e.stripePaymentIntentId === piFailed.id);
+  if (failedEP && failedEP.status === 'pending') {
+    failedEP.status = 'failed';
+    failedEP.failReason = failReason;
+    failedEP.failCode = failCode;
+    failedEP.failedAt = Date.now();
+    io.to(`user:${failedEP.payerId}`).emit('payment-failed', {
+      type: failedEP.type || 'entry', eventId: failedEP.eventId, orderId: failedEP.orderId, reason: failReason
+    });
+    saveDB('eventPayments');
+  }
+});
+
+function stripeDisputeInfo(dispute) {
+  return {
+    id: dispute.id, provider: 'stripe', gatewayId: dispute.id,
+    payment: findPaymentByGateway('stripePaymentIntentId', dispute.payment_intent),
+    paymentIntentId: dispute.payment_intent,
+    amount: dispute.amount / 100,
+    currency: dispute.currency,
+    reason: dispute.reason,
+    status: dispute.status,
+    evidenceDueBy: dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000).toISOString() : null
+  };
+}
+
+registerWebhookHandler('stripe', ['charge.dispute.created', 'charge.dispute.updated'], (event) => {
+  const dispute = event.data.object;
+  console.warn('[stripe/webhook] DISPUTE ' + event.type.split('.').pop() + ':', { id: dispute.id, reason: dispute.reason, amount: dispute.amount, pi: dispute.payment_intent });
+  openDispute(stripeDisputeInfo(dispute));
+});
+
+registerWebhookHandler('stripe', 'charge.dispute.closed', (event) => {
+  const closedDispute = event.data.object;
+  // won, lost, warning_closed
+  resolveDispute(openDispute(stripeDisputeInfo(closedDispute)), closedDispute.status, 'stripe');
+  console.log('[stripe/webhook] Dispute closed:', closedDispute.id, closedDispute.status);
+});
+
+registerWebhookHandler('stripe', 'charge.refunded', (event) => {
+  const refundedCharge = event.data.object;
+  const refundPI = refundedCharge.payment_intent;
+  console.log('[stripe/webhook] Charge refunded:', { chargeId: refundedCharge.id, pi: refundPI });
+
+  // Update tip/payment status (amount_refunded is cumulative over partial refunds)
+  const chargeRefunded = refundedCharge.amount_refunded ? refundedCharge.amount_refunded / 100 : null;
+  const markRefunded = rec => {
+    rec.status = refundedCharge.refunded === false ? 'partially_refunded' : 'refunded';
+    if (chargeRefunded) rec.refundAmount = chargeRefunded;
+    rec.refundedAt = Date.now();
+    syncPaymentLedger(rec);
+  };
+  const refundedTip = Object.values(db.tips || {}).find(t => t.stripePaymentIntentId === refundPI);
+  if (refundedTip) {
+    markRefunded(refundedTip);
+    saveDB('tips');
+  }
+  const refundedEP = Object.values(db.eventPayments || {}).find(e => e.stripePaymentIntentId === refundPI);
+  if (refundedEP) {
+    markRefunded(refundedEP);
+    saveDB('eventPayments');
+  }
+  const refundedSP = Object.values(db.sitePayments || {}).find(p => p.stripePaymentIntentId === refundPI);
+  if (refundedSP) {
+    markRefunded(refundedSP);
+    saveDB('sitePayments/' + refundedSP.id);
+  }
+});
+
+registerWebhookHandler('stripe', 'account.updated', (event) => {
+  // Stripe Connect account status change
+  const acct = event.data.object;
+  const userEntry = Object.entries(db.users || {}).find(([k, v]) => v.stripeConnectId === acct.id);
+  if (userEntry) {
+    const [uid, user] = userEntry;
+    user.stripeConnected = acct.charges_enabled;
+    saveDB('users');
+    console.log('[stripe/webhook] Connect account updated:', { userId: uid, chargesEnabled: acct.charges_enabled });
+  }
+});
+
 // Stripe Webhook — verify signatures and handle events
 app.post('/api/stripe/webhook', (req, res) => {
   if (!stripeInstance) return res.sendStatus(400);
@@ -19924,199 +25249,301 @@ app.post('/api/stripe/webhook', (req, res) => {
   }
 
   console.log('[stripe/webhook] Event:', event.type);
+  acceptWebhook('stripe', event.id, event.type, event);
+  res.json({ received: true });
+});
 
-  switch(event.type) {
-    case 'payment_intent.succeeded': {
-      const pi = event.data.object;
-      // Find and update tip
-      const tip = Object.values(db.tips || {}).find(t => t.stripePaymentIntentId === pi.id);
-      if (tip && tip.status !== 'approved') {
-        tip.status = 'approved';
-        const receiver = db.users[tip.receiverId];
-        if (receiver) {
-          receiver.tipsReceived = (receiver.tipsReceived || 0) + 1;
-          receiver.tipsTotal = (receiver.tipsTotal || 0) + tip.amount;
-        }
-        const payer = db.users[tip.payerId];
-        io.to(`user:${tip.receiverId}`).emit('tip-received', {
-          amount: tip.amount, tipId: tip.id, from: payer?.nickname || '?', status: 'approved'
-        });
-        saveDB('tips', 'users');
-      }
-      // Find and update event payment
-      const ep = Object.values(db.eventPayments || {}).find(e => e.stripePaymentIntentId === pi.id);
-      if (ep && ep.status !== 'approved') {
-        ep.status = 'approved';
-        const ev = db.operatorEvents[ep.eventId];
-        if (ev) {
-          ev.paidCheckins = (ev.paidCheckins || 0) + 1;
-          ev.revenue = (ev.revenue || 0) + ep.amount;
-          if (!ev.participants) ev.participants = [];
-          if (!ev.participants.includes(ep.payerId)) ev.participants.push(ep.payerId);
-          saveDB('operatorEvents');
-        }
-        saveDB('eventPayments');
-      }
-      break;
-    }
-    case 'customer.subscription.updated':
-    case 'customer.subscription.deleted': {
-      const sub = event.data.object;
-      const entry = Object.entries(db.subscriptions || {}).find(([k, v]) => v.stripeSubscriptionId === sub.id);
-      if (entry) {
-        const [uid, userSub] = entry;
-        const isActive = sub.status === 'active' || sub.status === 'trialing';
-        userSub.status = isActive ? 'authorized' : sub.status;
-        const user = db.users[uid];
-        if (user) {
-          user.isSubscriber = isActive;
-          if (isActive) {
-            user.verified = true;
-            user.verifiedAt = user.verifiedAt || Date.now();
-            user.verificationType = user.verificationType || 'subscriber';
-          } else if (user.verificationType === 'subscriber') {
-            user.verified = false;
-            delete user.verifiedAt;
-            delete user.verificationType;
-          }
-        }
-        if (sub.status === 'canceled') userSub.cancelledAt = Date.now();
-        saveDB('users');
-      }
-      break;
-    }
-    case 'payment_intent.payment_failed': {
-      const piFailed = event.data.object;
-      const failReason = piFailed.last_payment_error?.message || 'Unknown error';
-      const failCode = piFailed.last_payment_error?.code || 'unknown';
-      console.warn('[stripe/webhook] Payment FAILED:', { id: piFailed.id, reason: failReason, code: failCode });
-
-      // Mark tip as failed
-      const failedTip = Object.values(db.tips || {}).find(t => t.stripePaymentIntentId === piFailed.id);
-      if (failedTip && failedTip.status === 'pending') {
-        failedTip.status = 'failed';
-        failedTip.failReason = failReason;
-        failedTip.failCode = failCode;
-        failedTip.failedAt = Date.now();
-        io.to(`user:${failedTip.payerId}`).emit('payment-failed', {
-          tipId: failedTip.id, amount: failedTip.amount, reason: failReason
-        });
-        saveDB('tips');
-      }
+// ═══ TOUCHGAMES — REST API ═══
+// Rules modules per game (game-engines/): moves are validated server-side and the
+// winner of a session is derived from gs.moves, never taken from the client.
+const gameEngines = require('./game-engines');
+const MAX_GAME_SCORE = 1000000;
+
+// Closes a session exactly once: records gameScores for every player and credits the winner.
+// Every path that ends a game (rules, surrender, results) goes through here, so stars can't be paid twice.
+// ranked: false keeps the score in the player's history only -- no stars, no rating, no ladder.
+function settleGameSession(gs, { winner = null, scores = null, reason = 'result', ranked = true } = {}) {
+  if (gs.status === 'finished') return false;
+  const now = Date.now();
+  gs.status = 'finished';
+  gs.winner = winner;
+  gs.endedAt = now;
+  gs.scores = scores || gs.scores || {};
+  gs.duration = Math.round((now - (gs.startedAt || gs.createdAt || now)) / 1000);
+  gs.surrendered = reason === 'surrender';
+  gs.finishReason = reason;
+  if (!ranked) gs.ranked = false;
+  const paths = ['gameSessions/' + gs.id];
+  gs.players.forEach(userId => {
+    if (!db.gameScores[userId]) db.gameScores[userId] = [];
+    const entry = {
+      gameId: gs.gameId,
+      sessionId: gs.id,
+      score: gs.scores[userId] || 0,
+      won: winner === userId,
+      duration: gs.duration,
+      playedAt: now
+    };
+    if (!ranked) entry.ranked = false;
+    db.gameScores[userId].push(entry);
+    paths.push('gameScores/' + userId);
+  });
+  if (ranked) paths.push(...updateGameRatings(gs));
+  // Award the winner. user.stars is the array of star objects, so the manifest's awardStars
+  // is credited as points (pointLog) — the currency the star shop sells stars for
+  if (ranked && winner && db.users[winner]) {
+    const gameDef = getGameDef(gs.gameId);
+    const award = gameDef ? gameDef.awardStars : 5;
+    creditPoints(winner, award, 'game-win', { gameId: gs.gameId, sessionId: gs.id });
+    gs.starsAwarded = award;
+    paths.push('users/' + winner);
+    // Notify winner
+    const winSockets = [...io.sockets.sockets.values()].filter(s => s.touchUserId === winner);
+    winSockets.forEach(s => s.emit('stars-awarded', { amount: award, reason: 'game-win', gameId: gs.gameId }));
+  }
+  saveDB(...paths);
+  gs.players.forEach(pId => {
+    io.to(`user:${pId}`).emit('game-over', { sessionId: gs.id, winner, scores: gs.scores, reason });
+  });
+  return true;
+}
 
-      // Mark event payment as failed
-      const failedEP = Object.values(db.eventPayments || {}).find(e => e.stripePaymentIntentId === piFailed.id);
-      if (failedEP && failedEP.status === 'pending') {
-        failedEP.status = 'failed';
-        failedEP.failReason = failReason;
-        failedEP.failCode = failCode;
-        failedEP.failedAt = Date.now();
-        io.to(`user:${failedEP.payerId}`).emit('payment-failed', {
-          type: 'entry', eventId: failedEP.eventId, reason: failReason
-        });
-        saveDB('eventPayments');
-      }
-      break;
-    }
-    case 'charge.dispute.created': {
-      const dispute = event.data.object;
-      const disputePI = dispute.payment_intent;
-      console.warn('[stripe/webhook] DISPUTE created:', { id: dispute.id, reason: dispute.reason, amount: dispute.amount, pi: disputePI });
-
-      if (!db.disputes) db.disputes = {};
-      db.disputes[dispute.id] = {
-        id: dispute.id,
-        paymentIntentId: disputePI,
-        amount: dispute.amount / 100,
-        currency: dispute.currency,
-        reason: dispute.reason,
-        status: dispute.status,
-        evidenceDueBy: dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000).toISOString() : null,
-        createdAt: Date.now()
-      };
+// Ends a game nobody won or lost: no gameScores, stars or rating
+function cancelGameSession(gs, reason) {
+  if (gs.status === 'finished' || gs.status === 'cancelled') return false;
+  gs.status = 'cancelled';
+  gs.endedAt = Date.now();
+  gs.finishReason = reason;
+  saveDB('gameSessions/' + gs.id);
+  gs.players.forEach(pId => {
+    io.to(`user:${pId}`).emit('game-over', { sessionId: gs.id, winner: null, scores: {}, reason });
+  });
+  return true;
+}
 
-      // Find related tip or event payment
-      const disputedTip = Object.values(db.tips || {}).find(t => t.stripePaymentIntentId === disputePI);
-      if (disputedTip) {
-        disputedTip.disputed = true;
-        disputedTip.disputeId = dispute.id;
-        disputedTip.disputeReason = dispute.reason;
-        db.disputes[dispute.id].tipId = disputedTip.id;
-        db.disputes[dispute.id].payerId = disputedTip.payerId;
-        db.disputes[dispute.id].receiverId = disputedTip.receiverId;
-        saveDB('tips');
-      }
-      const disputedEP = Object.values(db.eventPayments || {}).find(e => e.stripePaymentIntentId === disputePI);
-      if (disputedEP) {
-        disputedEP.disputed = true;
-        disputedEP.disputeId = dispute.id;
-        db.disputes[dispute.id].eventPaymentId = disputedEP.id;
-        db.disputes[dispute.id].eventId = disputedEP.eventId;
-        saveDB('eventPayments');
-      }
+// Surrendering hands the win to the other player -- but only once the game has really been played.
+// Below MIN_SURRENDER_PLIES recorded moves the session is cancelled, so a partner can't farm
+// stars and rating by starting games and giving up at once.
+const MIN_SURRENDER_PLIES = 4;
+function surrenderGameSession(gs, userId) {
+  if ((gs.moves || []).length < MIN_SURRENDER_PLIES) return cancelGameSession(gs, 'surrender-early');
+  return settleGameSession(gs, { winner: gs.players.find(p => p !== userId) || null, reason: 'surrender' });
+}
 
-      // Notify admin via all admin sockets
-      const adminUsers = Object.entries(db.users || {}).filter(([k, v]) => v.isAdmin);
-      adminUsers.forEach(([uid]) => {
-        io.to(`user:${uid}`).emit('dispute-alert', {
-          disputeId: dispute.id, amount: dispute.amount / 100,
-          reason: dispute.reason, evidenceDueBy: db.disputes[dispute.id].evidenceDueBy
-        });
-      });
-      saveDB('disputes');
-      break;
-    }
-    case 'charge.dispute.closed': {
-      const closedDispute = event.data.object;
-      if (db.disputes && db.disputes[closedDispute.id]) {
-        db.disputes[closedDispute.id].status = closedDispute.status;
-        db.disputes[closedDispute.id].closedAt = Date.now();
-        db.disputes[closedDispute.id].outcome = closedDispute.status; // won, lost, warning_closed
-        saveDB('disputes');
-        console.log('[stripe/webhook] Dispute closed:', closedDispute.id, closedDispute.status);
-      }
-      break;
-    }
-    case 'charge.refunded': {
-      const refundedCharge = event.data.object;
-      const refundPI = refundedCharge.payment_intent;
-      console.log('[stripe/webhook] Charge refunded:', { chargeId: refundedCharge.id, pi: refundPI });
+// What players see of a session: never the seed or the engine state (hidden deck / mines),
+// only the engine's public view of it
+function gameSessionView(gs) {
+  const { seed, state, ...pub } = gs;
+  const engine = gameEngines.getGameEngine(gs.gameId);
+  if (state) pub.view = engine && engine.view ? engine.view(state) : state;
+  return pub;
+}
 
-      // Update tip/payment status
-      const refundedTip = Object.values(db.tips || {}).find(t => t.stripePaymentIntentId === refundPI);
-      if (refundedTip) {
-        refundedTip.status = 'refunded';
-        refundedTip.refundedAt = Date.now();
-        saveDB('tips');
-      }
-      const refundedEP = Object.values(db.eventPayments || {}).find(e => e.stripePaymentIntentId === refundPI);
-      if (refundedEP) {
-        refundedEP.status = 'refunded';
-        refundedEP.refundedAt = Date.now();
-        saveDB('eventPayments');
-      }
-      break;
-    }
-    case 'account.updated': {
-      // Stripe Connect account status change
-      const acct = event.data.object;
-      const userEntry = Object.entries(db.users || {}).find(([k, v]) => v.stripeConnectId === acct.id);
-      if (userEntry) {
-        const [uid, user] = userEntry;
-        user.stripeConnected = acct.charges_enabled;
-        saveDB('users');
-        console.log('[stripe/webhook] Connect account updated:', { userId: uid, chargesEnabled: acct.charges_enabled });
+// Per-seat engine scores ([s0, s1]) → { userId: score }
+function seatScoresToUsers(gs, seatScores) {
+  const out = {};
+  gs.players.forEach((userId, seat) => { out[userId] = (seatScores && seatScores[seat]) || 0; });
+  return out;
+}
+
+function getGameDef(gameId) {
+  const manifest = require('./public/games/manifest.json');
+  return manifest.games.find(g => g.id === gameId) || null;
+}
+
+// ═══ TOUCHGAMES — Ratings (Glicko) & monthly seasons ═══
+// db.gameRatings[gameId][userId] = { rating, rd, games, wins, losses, draws, bestScore,
+//   seasonGames, seasonWins, seasonBest, lastPlayedAt }
+// rating/rd carry over between seasons (skill); the season* fields reset at every rollover and decide who is on the ladder.
+// db.gameSeasons[seasonId] = { id: 'YYYY-MM', status: 'active' | 'archived', startedAt, endedAt, standings: { gameId: [entries] } }
+// Duo games are ranked by rating; solo games (no opponent to rate against) by best score of the season.
+const GLICKO_DEFAULT_RATING = 1500;
+const GLICKO_MAX_RD = 350;
+const GLICKO_MIN_RD = 30;
+const GLICKO_C = 34.6; // RD climbs back from 50 to 350 after ~100 idle days
+const GLICKO_Q = Math.LN10 / 400;
+const SEASON_ARCHIVE_SIZE = 100;
+
+function gameSeasonId(ts) {
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone: 'America/Sao_Paulo' }).slice(0, 7);
+}
+
+function glickoG(rd) {
+  return 1 / Math.sqrt(1 + 3 * GLICKO_Q * GLICKO_Q * rd * rd / (Math.PI * Math.PI));
+}
+
+// Rating deviation grows while a player is idle (less certainty about their skill)
+function glickoInflateRd(rec, now) {
+  const days = Math.max(0, (now - (rec.lastPlayedAt || now)) / 86400000);
+  return Math.min(GLICKO_MAX_RD, Math.sqrt(rec.rd * rec.rd + GLICKO_C * GLICKO_C * days));
+}
+
+// One-game Glicko-1 update. s = 1 win, 0.5 draw, 0 loss
+function glickoUpdate(me, opp, s) {
+  const g = glickoG(opp.rd);
+  const e = 1 / (1 + Math.pow(10, -g * (me.rating - opp.rating) / 400));
+  const d2 = 1 / (GLICKO_Q * GLICKO_Q * g * g * e * (1 - e));
+  const denom = 1 / (me.rd * me.rd) + 1 / d2;
+  return {
+    rating: Math.round((me.rating + GLICKO_Q / denom * g * (s - e)) * 10) / 10,
+    rd: Math.round(Math.max(GLICKO_MIN_RD, Math.sqrt(1 / denom)) * 10) / 10
+  };
+}
+
+// Negative when a ranks above b
+function ladderComparator(gameId) {
+  const def = getGameDef(gameId);
+  if (def && def.players === 'solo') {
+    return (a, b) => (b.seasonBest || 0) - (a.seasonBest || 0) || (b.seasonWins || 0) - (a.seasonWins || 0);
+  }
+  return (a, b) => b.rating - a.rating || a.rd - b.rd;
+}
+
+function getGameLadder(gameId) {
+  return IDX.gameLadder.get(gameId) || [];
+}
+
+// Moves one player to their place in the indexed ladder (binary insert, no full re-sort)
+function ladderPlace(gameId, userId) {
+  const table = db.gameRatings[gameId] || {};
+  const ladder = getGameLadder(gameId);
+  const at = ladder.indexOf(userId);
+  if (at >= 0) ladder.splice(at, 1);
+  const rec = table[userId];
+  if (rec && rec.seasonGames > 0) {
+    const cmp = ladderComparator(gameId);
+    let lo = 0, hi = ladder.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cmp(table[ladder[mid]], rec) <= 0) lo = mid + 1;
+      else hi = mid;
+    }
+    ladder.splice(lo, 0, userId);
+  }
+  IDX.gameLadder.set(gameId, ladder);
+}
+
+function rebuildGameLadders() {
+  IDX.gameLadder.clear();
+  for (const [gameId, table] of Object.entries(db.gameRatings || {})) {
+    const cmp = ladderComparator(gameId);
+    const ids = Object.keys(table).filter(uid => table[uid] && table[uid].seasonGames > 0);
+    ids.sort((a, b) => cmp(table[a], table[b]));
+    IDX.gameLadder.set(gameId, ids);
+  }
+}
+
+function ladderEntry(gameId, userId, rank) {
+  const r = db.gameRatings[gameId][userId];
+  const u = db.users[userId];
+  return {
+    rank,
+    userId,
+    nick: u ? (u.nickname || u.name || '???') : '???',
+    avatar: u ? (u.profilePhoto || u.photoURL || null) : null,
+    rating: Math.round(r.rating),
+    rd: Math.round(r.rd),
+    wins: r.seasonWins || 0,
+    totalGames: r.seasonGames || 0,
+    winRate: r.seasonGames > 0 ? Math.round((r.seasonWins || 0) / r.seasonGames * 100) : 0,
+    bestScore: r.seasonBest || 0
+  };
+}
+
+// Opens the season of the current month, archiving the previous one's standings first
+function ensureGameSeason(now = Date.now()) {
+  const id = gameSeasonId(now);
+  if (!dbLoaded) return { id, status: 'active' }; // never write seasons over a DB that isn't loaded yet
+  const active = Object.values(db.gameSeasons).find(s => s.status === 'active');
+  if (active && active.id === id) return active;
+  if (active) {
+    active.standings = {};
+    for (const gameId of Object.keys(db.gameRatings)) {
+      const top = getGameLadder(gameId).slice(0, SEASON_ARCHIVE_SIZE);
+      if (top.length > 0) active.standings[gameId] = top.map((uid, i) => ladderEntry(gameId, uid, i + 1));
+    }
+    active.status = 'archived';
+    active.endedAt = now;
+    for (const table of Object.values(db.gameRatings)) {
+      for (const r of Object.values(table)) {
+        r.seasonGames = 0;
+        r.seasonWins = 0;
+        r.seasonBest = 0;
       }
-      break;
     }
-    default:
-      console.log('[stripe/webhook] Unhandled event type:', event.type);
+    saveDB('gameRatings');
+    console.log('[games] Season ' + active.id + ' archived (' + Object.keys(active.standings).length + ' games)');
   }
+  const season = { id, status: 'active', startedAt: now };
+  db.gameSeasons[id] = season;
+  saveDB('gameSeasons');
+  rebuildGameLadders();
+  return season;
+}
 
-  res.json({ received: true });
-});
+// Called by settleGameSession. Returns the record paths it touched, for saveDB()
+function updateGameRatings(gs) {
+  const now = gs.endedAt || Date.now();
+  ensureGameSeason(now);
+  if (!db.gameRatings[gs.gameId]) db.gameRatings[gs.gameId] = {};
+  const table = db.gameRatings[gs.gameId];
+  const recs = gs.players.map(uid => {
+    if (!table[uid]) {
+      table[uid] = { rating: GLICKO_DEFAULT_RATING, rd: GLICKO_MAX_RD, games: 0, wins: 0, losses: 0, draws: 0, bestScore: 0, seasonGames: 0, seasonWins: 0, seasonBest: 0, lastPlayedAt: now };
+    }
+    return table[uid];
+  });
+  // Rated only when two players have a real outcome: a winner, or a draw decided by the rules module
+  const rated = gs.players.length === 2 && (!!gs.winner || gs.finishReason === 'rules');
+  if (rated) {
+    const pre = recs.map(r => ({ rating: r.rating, rd: glickoInflateRd(r, now) }));
+    recs.forEach((r, i) => {
+      const s = gs.winner ? (gs.winner === gs.players[i] ? 1 : 0) : 0.5;
+      Object.assign(r, glickoUpdate(pre[i], pre[1 - i], s));
+    });
+  }
+  recs.forEach((r, i) => {
+    const uid = gs.players[i];
+    const score = (gs.scores && gs.scores[uid]) || 0;
+    r.games++;
+    r.seasonGames = (r.seasonGames || 0) + 1;
+    if (gs.winner === uid) {
+      r.wins++;
+      r.seasonWins = (r.seasonWins || 0) + 1;
+    } else if (gs.winner || gs.players.length === 1) r.losses++;
+    else if (rated) r.draws++;
+    r.bestScore = Math.max(r.bestScore || 0, score);
+    r.seasonBest = Math.max(r.seasonBest || 0, score);
+    r.lastPlayedAt = now;
+    ladderPlace(gs.gameId, uid);
+  });
+  return gs.players.map(uid => 'gameRatings/' + gs.gameId + '/' + uid);
+}
 
-// ═══ TOUCHGAMES — REST API ═══
+// Friends = anyone with a relation (relations index) or a past encounter
+function getGameFriendIds(userId) {
+  const ids = new Set();
+  for (const rid of IDX.relationsByUser.get(userId) || []) {
+    const r = db.relations[rid];
+    if (r) ids.add(r.userA === userId ? r.userB : r.userA);
+  }
+  for (const e of db.encounters[userId] || []) {
+    if (e.with && !e.isEvent && !e.with.startsWith('evt:')) ids.add(e.with);
+  }
+  ids.add(userId);
+  return ids;
+}
+
+// Same key format as the mural city channels ('sao-paulo-br')
+function userCityKey(userId) {
+  const geo = db.users[userId] && db.users[userId].muralGeo;
+  return geo && geo.city ? normalizeChannel(geo.city + '-' + (geo.countryCode || '')) : '';
+}
+
+// Season rollover check (hourly; also lazily on every finished game and leaderboard read)
+setInterval(() => {
+  if (dbLoaded) ensureGameSeason();
+}, 60 * 60 * 1000);
 
 // GET manifest
 app.get('/api/games/manifest', (req, res) => {
@@ -20147,6 +25574,8 @@ app.post('/api/games/sessions', requireAuth, (req, res) => {
   const hostUserId = req.body.hostUserId || req.body.userId;
   const opponentUserId = req.body.opponentUserId || req.body.opponentId || null;
   if (!gameId || !hostUserId) return res.status(400).json({ error: 'gameId e hostUserId obrigatorios' });
+  if (hostUserId !== req.authUserId) return res.status(403).json({ error: 'Voce so pode criar partidas como host' });
+  if (opponentUserId === hostUserId) return res.status(400).json({ error: 'Oponente deve ser outro jogador' });
   const now = Date.now();
   // Enforce one game at a time: cancel any previous waiting/playing sessions for host
   Object.values(db.gameSessions).forEach(gs => {
@@ -20173,9 +25602,13 @@ app.post('/api/games/sessions', requireAuth, (req, res) => {
     winner: null,
     scores: {}
   };
+  const engine = gameEngines.getGameEngine(gameId);
+  // Board/deck randomness comes from the server so the rules module can check moves against it
+  if (engine) gs.seed = crypto.randomBytes(8).toString('hex');
+  if (engine && engine.applyMove) gs.state = engine.init(gs);
   db.gameSessions[sessionId] = gs;
   saveDB('gameSessions');
-  res.json({ ok: true, session: gs, id: sessionId });
+  res.json({ ok: true, session: gameSessionView(gs), id: sessionId });
 });
 
 // POST send game invite as chat message (reliable HTTP instead of socket)
@@ -20265,50 +25698,83 @@ app.post('/api/games/temp-chat', requireAuth, (req, res) => {
 app.get('/api/games/sessions/:id', (req, res) => {
   const gs = db.gameSessions[req.params.id];
   if (!gs) return res.status(404).json({ error: 'Sessao nao encontrada' });
-  res.json(gs);
+  res.json(gameSessionView(gs));
 });
 
 // POST submit result
+// The client only reports; the server decides. Games with a rules module are judged from gs.moves;
+// games without one need every player to report the same winner, and a solo game without one
+// (nobody to confirm the report) only keeps an unranked score.
 app.post('/api/games/results', requireAuth, (req, res) => {
-  const { sessionId, winner, scores, duration, surrendered } = req.body;
+  const { sessionId, surrendered } = req.body;
   if (!sessionId) return res.status(400).json({ error: 'sessionId obrigatorio' });
   const gs = db.gameSessions[sessionId];
-  if (gs) {
-    gs.status = 'finished';
-    gs.winner = winner || null;
-    gs.endedAt = Date.now();
-    gs.scores = scores || gs.scores;
-    gs.duration = duration || 0;
-    gs.surrendered = !!surrendered;
-    saveDB('gameSessions');
-  }
-  // Save individual scores
-  if (scores && typeof scores === 'object') {
-    Object.entries(scores).forEach(([userId, score]) => {
-      if (!db.gameScores[userId]) db.gameScores[userId] = [];
-      db.gameScores[userId].push({
-        gameId: gs ? gs.gameId : req.body.gameId,
-        sessionId,
-        score,
-        won: winner === userId,
-        duration: duration || 0,
-        playedAt: Date.now()
-      });
-    });
-    saveDB('gameScores');
+  if (!gs) return res.status(404).json({ error: 'Sessao nao encontrada' });
+  const userId = req.authUserId;
+  if (!gs.players.includes(userId)) return res.status(403).json({ error: 'Voce nao participa desta partida' });
+  // A claimed winner only counts when it names a player (games also send 1/2, 'white', 'black'...)
+  const claimedWinner = gs.players.includes(req.body.winner) ? req.body.winner : null;
+
+  // Already settled by the rules, a surrender or the other player's report: no second credit
+  if (gs.status === 'finished') {
+    if (claimedWinner && claimedWinner !== gs.winner) {
+      console.warn('[games/results] Forged winner rejected:', { sessionId, userId, claimedWinner, winner: gs.winner });
+      return res.status(409).json({ error: 'Resultado nao confere com a partida', winner: gs.winner || null });
+    }
+    return res.json({ ok: true, winner: gs.winner || null, scores: gs.scores || {}, alreadySettled: true });
+  }
+  if (gs.status !== 'playing') return res.status(409).json({ error: 'Partida nao esta em andamento' });
+
+  // Surrendering only ever hands the win to the other player (or cancels a game barely begun)
+  if (surrendered) {
+    surrenderGameSession(gs, userId);
+    if (gs.status === 'cancelled') return res.json({ ok: true, winner: null, scores: {}, cancelled: true });
+    return res.json({ ok: true, winner: gs.winner, scores: gs.scores });
+  }
+
+  const engine = gameEngines.getGameEngine(gs.gameId);
+  if (engine) {
+    const replay = gameEngines.replayGameSession(engine, gs);
+    if (replay.error) {
+      console.warn('[games/results] Replay failed:', { sessionId, gameId: gs.gameId, error: replay.error });
+      return res.status(422).json({ error: replay.error });
+    }
+    if (!replay.finished) return res.status(409).json({ error: 'Partida ainda em andamento' });
+    const winner = replay.winnerSeat != null ? gs.players[replay.winnerSeat] : null;
+    if (claimedWinner && claimedWinner !== winner) {
+      console.warn('[games/results] Forged winner rejected:', { sessionId, userId, claimedWinner, winner });
+      return res.status(409).json({ error: 'Resultado nao confere com as jogadas registradas', winner });
+    }
+    settleGameSession(gs, { winner, scores: seatScoresToUsers(gs, replay.scores), reason: 'rules' });
+    return res.json({ ok: true, winner: gs.winner, scores: gs.scores });
+  }
+
+  // No rules module: plausibility checks, then wait for every player's report
+  const elapsed = Math.floor((Date.now() - (gs.startedAt || gs.createdAt)) / 1000);
+  if (Number(req.body.duration) > elapsed + 5) return res.status(422).json({ error: 'Duracao maior que a partida' });
+  if (claimedWinner && elapsed < 5) return res.status(422).json({ error: 'Partida curta demais' });
+  const rawScore = Number(req.body.score != null ? req.body.score : (req.body.scores || {})[userId]);
+  if (!gs.reports) gs.reports = {};
+  gs.reports[userId] = {
+    winner: claimedWinner,
+    score: Number.isFinite(rawScore) ? Math.max(0, Math.min(MAX_GAME_SCORE, Math.round(rawScore))) : 0,
+    at: Date.now()
+  };
+  if (gs.players.some(p => !gs.reports[p])) {
+    saveDB('gameSessions/' + gs.id);
+    return res.json({ ok: true, pending: true });
   }
-  // Award stars to winner
-  if (winner && db.users[winner]) {
-    const manifest = require('./public/games/manifest.json');
-    const gameDef = manifest.games.find(g => g.id === (gs ? gs.gameId : req.body.gameId));
-    const award = gameDef ? gameDef.awardStars : 5;
-    db.users[winner].stars = (db.users[winner].stars || 0) + award;
-    saveDB('users');
-    // Notify winner
-    const winSockets = [...io.sockets.sockets.values()].filter(s => s.touchUserId === winner);
-    winSockets.forEach(s => s.emit('stars-awarded', { amount: award, reason: 'game-win', gameId: gs ? gs.gameId : null }));
+  const scores = {};
+  gs.players.forEach(p => { scores[p] = gs.reports[p].score; });
+  if (gs.players.length === 1) {
+    settleGameSession(gs, { winner: null, scores, reason: 'reports', ranked: false });
+    return res.json({ ok: true, winner: null, scores: gs.scores, ranked: false });
   }
-  res.json({ ok: true });
+  const claims = gs.players.map(p => gs.reports[p].winner || null);
+  const agreed = claims.every(w => w === claims[0]) ? claims[0] : null;
+  if (!agreed && claims.some(Boolean)) gs.disputed = true;
+  settleGameSession(gs, { winner: agreed, scores, reason: 'reports' });
+  res.json({ ok: true, winner: gs.winner, scores: gs.scores, disputed: !!gs.disputed });
 });
 
 // GET leaderboard for ALL games (aggregated stats for a user)
@@ -20322,26 +25788,64 @@ app.get('/api/games/leaderboard/all', (req, res) => {
   res.json({ wins, played, winRate });
 });
 
-// GET leaderboard for a game
+// GET leaderboard for a game — current season, from the indexed ladder
+// ?scope=global (default) | friends | city  &userId=  &city= (channel key, defaults to the user's city)  &limit=
 app.get('/api/games/leaderboard/:gameId', (req, res) => {
+  const season = ensureGameSeason();
+  const gameId = req.params.gameId;
+  const scope = req.query.scope || 'global';
+  const userId = req.query.userId;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const table = db.gameRatings[gameId] || {};
+  let ids;
+  if (scope === 'friends') {
+    if (!userId || !db.users[userId]) return res.status(400).json({ error: 'userId obrigatorio.' });
+    const cmp = ladderComparator(gameId);
+    ids = [...getGameFriendIds(userId)].filter(id => table[id] && table[id].seasonGames > 0).sort((a, b) => cmp(table[a], table[b]));
+  } else if (scope === 'city') {
+    const cityKey = req.query.city ? normalizeChannel(req.query.city) : userCityKey(userId);
+    if (!cityKey) return res.status(400).json({ error: 'Cidade nao detectada. Abra o Mural para ativar sua cidade.' });
+    ids = getGameLadder(gameId).filter(id => userCityKey(id) === cityKey);
+  } else {
+    ids = getGameLadder(gameId);
+  }
+  const leaderboard = ids.slice(0, limit).map((id, i) => ladderEntry(gameId, id, i + 1));
+  const myRank = userId ? ids.indexOf(userId) : -1;
+  res.json({ gameId, season: season.id, scope, leaderboard, me: myRank >= 0 ? ladderEntry(gameId, userId, myRank + 1) : null });
+});
+
+// GET a player's ratings in every game they played
+app.get('/api/games/ratings/:userId', (req, res) => {
+  const season = ensureGameSeason();
+  const userId = req.params.userId;
+  const ratings = {};
+  for (const [gameId, table] of Object.entries(db.gameRatings)) {
+    const r = table[userId];
+    if (!r) continue;
+    const rank = getGameLadder(gameId).indexOf(userId);
+    ratings[gameId] = { rating: Math.round(r.rating), rd: Math.round(r.rd), games: r.games, wins: r.wins, losses: r.losses, draws: r.draws, bestScore: r.bestScore, seasonGames: r.seasonGames || 0, seasonWins: r.seasonWins || 0, rank: rank >= 0 ? rank + 1 : null };
+  }
+  res.json({ userId, season: season.id, ratings });
+});
+
+// GET seasons (most recent first)
+app.get('/api/games/seasons', (req, res) => {
+  ensureGameSeason();
+  const seasons = Object.values(db.gameSeasons)
+    .map(s => ({ id: s.id, status: s.status, startedAt: s.startedAt, endedAt: s.endedAt || null, games: Object.keys(s.standings || {}) }))
+    .sort((a, b) => b.id.localeCompare(a.id));
+  res.json({ seasons });
+});
+
+// GET archived standings of a season for a game (the active season answers with the live ladder)
+app.get('/api/games/seasons/:seasonId/:gameId', (req, res) => {
+  const season = db.gameSeasons[req.params.seasonId];
+  if (!season) return res.status(404).json({ error: 'Temporada nao encontrada' });
   const gameId = req.params.gameId;
-  const allScores = {};
-  Object.entries(db.gameScores).forEach(([userId, scores]) => {
-    const gameScores = scores.filter(s => s.gameId === gameId);
-    if (gameScores.length > 0) {
-      const wins = gameScores.filter(s => s.won).length;
-      const bestScore = Math.max(...gameScores.map(s => s.score || 0));
-      const totalGames = gameScores.length;
-      allScores[userId] = { userId, wins, bestScore, totalGames, winRate: totalGames > 0 ? Math.round(wins / totalGames * 100) : 0 };
-    }
-  });
-  const sorted = Object.values(allScores).sort((a, b) => b.wins - a.wins || b.bestScore - a.bestScore);
-  // Enrich with user info
-  const enriched = sorted.slice(0, 20).map(s => {
-    const u = db.users[s.userId];
-    return { ...s, nick: u ? u.nick : '???', avatar: u ? u.avatar : null };
-  });
-  res.json({ gameId, leaderboard: enriched });
+  const standings = season.status === 'active'
+    ? getGameLadder(gameId).slice(0, SEASON_ARCHIVE_SIZE).map((id, i) => ladderEntry(gameId, id, i + 1))
+    : ((season.standings || {})[gameId] || []);
+  res.json({ season: season.id, status: season.status, gameId, standings });
 });
 
 const PORT = process.env.PORT || 3000;
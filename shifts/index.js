@@ -0,0 +1,73 @@
+// ══════════════════════════════════════════════════════════════
+// SHIFTS -- turnos da equipe e divisao de gorjetas (tip pooling)
+// ══════════════════════════════════════════════════════════════
+// Os centavos da divisao sempre fecham com o total da rodada: a sobra do arredondamento
+// vai para as maiores fracoes, entao nenhum centavo some nem aparece.
+//
+// Uma rodada pega as gorjetas (order.tipAmount) dos pedidos feitos desde a rodada
+// anterior e divide entre os turnos das funcoes elegiveis que cruzaram essa janela:
+//   hours  proporcional as horas trabalhadas na janela
+//   role   horas x peso da funcao (roleWeights)
+//   sales  proporcional as vendas atribuidas ao turno na janela (sem vendas -> hours)
+
+const TIP_POOL_METHODS = ['hours', 'role', 'sales'];
+const DEFAULT_ROLE_WEIGHTS = { manager: 0.5, waiter: 1, driver: 1, barber: 1 };
+const DEFAULT_TIP_POOL = { enabled: false, method: 'hours', roles: ['waiter', 'driver'], roleWeights: DEFAULT_ROLE_WEIGHTS };
+
+function normalizeTipPoolConfig(input, staffRoles) {
+  const c = { ...DEFAULT_TIP_POOL, ...(input || {}) };
+  if (!TIP_POOL_METHODS.includes(c.method)) return { error: 'method deve ser ' + TIP_POOL_METHODS.join(', ') + '.' };
+  const roles = Array.isArray(c.roles) ? c.roles.filter(r => staffRoles.includes(r)) : [];
+  if (!roles.length) return { error: 'roles precisa de pelo menos uma funcao: ' + staffRoles.join(', ') + '.' };
+  const roleWeights = {};
+  for (const r of roles) {
+    const w = c.roleWeights && c.roleWeights[r] != null ? Number(c.roleWeights[r]) : (DEFAULT_ROLE_WEIGHTS[r] || 1);
+    if (!(w >= 0 && w <= 10)) return { error: 'Peso invalido para ' + r + ' (0 a 10).' };
+    roleWeights[r] = w;
+  }
+  return { config: { enabled: !!c.enabled, method: c.method, roles, roleWeights } };
+}
+
+// Milliseconds of the shift inside [from, to] (open shifts run until now)
+function overlapMs(shift, from, to, now) {
+  const start = Math.max(shift.clockInAt, from);
+  const end = Math.min(shift.clockOutAt || now, to);
+  return Math.max(0, end - start);
+}
+
+// Largest remainder: the parts always add up to amountCents
+function splitCents(amountCents, weights) {
+  const ids = Object.keys(weights).filter(id => weights[id] > 0);
+  const total = ids.reduce((s, id) => s + weights[id], 0);
+  const out = {};
+  if (!(amountCents > 0) || !(total > 0)) return out;
+  let given = 0;
+  const rest = ids.map(id => {
+    const exact = amountCents * weights[id] / total;
+    out[id] = Math.floor(exact);
+    given += out[id];
+    return { id, frac: exact - out[id] };
+  }).sort((a, b) => b.frac - a.frac || (a.id < b.id ? -1 : 1));
+  for (let i = 0; given < amountCents; i++, given++) out[rest[i % rest.length].id]++;
+  return out;
+}
+
+// shares: [{ shiftId, role, ms, salesCents }] -> { shiftId: weight }
+function poolWeights(shares, config) {
+  const byHours = {}, byRole = {}, bySales = {};
+  for (const s of shares) {
+    if (!config.roles.includes(s.role) || !(s.ms > 0)) continue;
+    byHours[s.shiftId] = s.ms;
+    byRole[s.shiftId] = s.ms * (config.roleWeights[s.role] != null ? config.roleWeights[s.role] : 1);
+    bySales[s.shiftId] = s.salesCents || 0;
+  }
+  const sum = w => Object.values(w).reduce((a, b) => a + b, 0);
+  if (config.method === 'sales' && sum(bySales) > 0) return bySales;
+  if (config.method === 'role' && sum(byRole) > 0) return byRole;
+  return byHours;
+}
+
+module.exports = {
+  TIP_POOL_METHODS, DEFAULT_ROLE_WEIGHTS, DEFAULT_TIP_POOL,
+  normalizeTipPoolConfig, overlapMs, splitCents, poolWeights
+};
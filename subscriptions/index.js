@@ -0,0 +1,47 @@
+// ══════════════════════════════════════════════════════════════
+// SUBSCRIPTIONS -- ciclo de vida unico para MercadoPago e Stripe
+// ══════════════════════════════════════════════════════════════
+// Maquina de estados da assinatura, o mapa de status de cada gateway e o credito
+// proporcional na troca de plano.
+//
+// Estados:
+//   pending -> trialing -> active -> past_due -> active
+//                                  -> paused -> active
+//           -> cancelled | expired
+// trialing, active e past_due (carencia da cobranca recusada) mantem os beneficios.
+//   MP preapproval  pending / authorized / paused / cancelled
+//   MP avulso (PIX, cartao)  pending -> active ate currentPeriodEnd -> expired
+//   Stripe  incomplete / trialing / active / past_due / unpaid / paused / canceled / incomplete_expired
+
+const SUBSCRIPTION_STATES = ['pending', 'trialing', 'active', 'past_due', 'paused', 'cancelled', 'expired'];
+const ACTIVE_STATES = ['trialing', 'active', 'past_due'];
+const MONTH_MS = 30 * 24 * 3600 * 1000;
+
+const GATEWAY_STATES = {
+  mercadopago: { pending: 'pending', authorized: 'active', paused: 'paused', cancelled: 'cancelled', approved: 'active', rejected: 'pending' },
+  stripe: {
+    incomplete: 'pending', incomplete_expired: 'expired', trialing: 'trialing', active: 'active',
+    past_due: 'past_due', unpaid: 'past_due', paused: 'paused', canceled: 'cancelled'
+  }
+};
+
+function fromGatewayStatus(gateway, status) {
+  return (GATEWAY_STATES[gateway] || {})[status] || null;
+}
+
+// 'authorized' is how records written before the unified states say 'active'
+function isActiveState(status) {
+  return ACTIVE_STATES.includes(status) || status === 'authorized';
+}
+
+// Upgrade no meio do ciclo: diferenca dos dois precos sobre o que falta do periodo, em centavos
+function prorationCents({ fromAmount, toAmount, periodStart, periodEnd, now }) {
+  const start = periodStart || (periodEnd ? periodEnd - MONTH_MS : now);
+  const end = periodEnd || start + MONTH_MS;
+  if (!(end > now) || !(end > start)) return 0;
+  const remaining = Math.min(1, (end - now) / (end - start));
+  const diff = Math.round((Number(toAmount) || 0) * 100) - Math.round((Number(fromAmount) || 0) * 100);
+  return Math.max(0, Math.round(diff * remaining));
+}
+
+module.exports = { SUBSCRIPTION_STATES, ACTIVE_STATES, MONTH_MS, fromGatewayStatus, isActiveState, prorationCents };
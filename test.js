@@ -1,18 +1,23 @@
 /**
  * Encosta (Touch?) — Automated Test Suite
  * 20 comprehensive tests covering all major features
- * Run: node test.js
+ * Run: node test.js (server up; offline: STORAGE_BACKEND=local node server.js)
+ * Payment and admin tests need the same env on both sides, e.g.
+ *   ADMIN_SECRET=dev FISCAL_SECRET_KEY=dev MP_ACCESS_TOKEN=TEST MP_API_BASE=http://127.0.0.1:3998
+ *   FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:3997
+ * test.js answers the MercadoPago API on MP_API_BASE and the Firebase Auth emulator itself.
  */
 
 const http = require('http');
+const { io } = require('socket.io-client');
 
 const BASE = 'http://localhost:' + (process.env.PORT || 3000);
 let passed = 0, failed = 0, total = 0;
 
-function req(method, path, body) {
+function req(method, path, body, headers) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, BASE);
-    const opts = { method, hostname: url.hostname, port: url.port, path: url.pathname + url.search, headers: {} };
+    const opts = { method, hostname: url.hostname, port: url.port, path: url.pathname + url.search, headers: { ...headers } };
     if (body) { opts.headers['Content-Type'] = 'application/json'; }
     const r = http.request(opts, res => {
       let data = '';
@@ -28,6 +33,91 @@ function req(method, path, body) {
   });
 }
 
+// Fake MercadoPago API: payments are created 'in_process' and tests flip mpPayments[id].status;
+// ids in mpFailing answer 503 so the webhook handler fails. Chargebacks come from mpChargebacks,
+// subscriptions from mpPreapprovals (a preapproval id in mpFailing refuses the cancel).
+const mpPayments = {};
+const mpPreapprovals = {};
+const mpFailing = new Set();
+const mpChargebacks = {};
+let mpNextId = 9000000;
+function startFakeMP() {
+  if (!process.env.MP_API_BASE) return Promise.resolve(null);
+  const srv = http.createServer((rq, rs) => {
+    let data = '';
+    rq.on('data', c => data += c);
+    rq.on('end', () => {
+      const send = (code, obj) => { rs.writeHead(code, { 'Content-Type': 'application/json' }); rs.end(JSON.stringify(obj)); };
+      const cb = rq.url.match(/^\/v1\/chargebacks\/(\w+)$/);
+      if (cb) return mpChargebacks[cb[1]] ? send(200, mpChargebacks[cb[1]]) : send(404, { message: 'chargeback not found' });
+      const pre = rq.url.match(/^\/preapproval(?:\/(\w+))?$/);
+      if (pre && rq.method === 'POST') {
+        const p = { id: 'pre' + (++mpNextId), status: 'pending', init_point: 'http://mp.test/pre', ...JSON.parse(data || '{}') };
+        mpPreapprovals[p.id] = p;
+        return send(201, p);
+      }
+      if (pre) {
+        const p = mpPreapprovals[pre[1]];
+        if (!p) return send(404, { message: 'preapproval not found' });
+        if (rq.method === 'PUT' && mpFailing.has(p.id)) return send(503, { message: 'unavailable' });
+        if (rq.method === 'PUT') Object.assign(p, JSON.parse(data || '{}'));
+        return send(200, p);
+      }
+      const m = rq.url.match(/^\/v1\/payments(?:\/(\d+))?(\/refunds)?/);
+      if (!m) return send(404, { message: 'not found' });
+      if (rq.method === 'POST' && !m[1]) {
+        const body = JSON.parse(data || '{}');
+        const p = { id: ++mpNextId, status: 'in_process', status_detail: 'pending_review_manual', transaction_amount: body.transaction_amount, date_of_expiration: body.date_of_expiration, metadata: body.metadata || {}, refunds: [] };
+        mpPayments[p.id] = p;
+        return send(201, p);
+      }
+      if (mpFailing.has(Number(m[1]))) return send(503, { message: 'unavailable' });
+      const p = mpPayments[m[1]];
+      if (!p) return send(404, { message: 'payment not found' });
+      if (m[2] && rq.method === 'POST') {
+        p.status = 'refunded';
+        p.refunds.push(JSON.parse(data || '{}'));
+        return send(201, { id: p.refunds.length, payment_id: p.id, status: 'approved' });
+      }
+      send(200, p);
+    });
+  });
+  return new Promise(resolve => srv.listen(new URL(process.env.MP_API_BASE).port, () => { srv.unref(); resolve(srv); }));
+}
+
+// Fake Firebase Auth emulator: with FIREBASE_AUTH_EMULATOR_HOST the server accepts unsigned ID tokens
+// (fbToken) and only looks the account up here, so every uid exists and is enabled.
+function startFakeFirebase() {
+  if (!process.env.FIREBASE_AUTH_EMULATOR_HOST) return Promise.resolve(null);
+  const srv = http.createServer((rq, rs) => {
+    let data = '';
+    rq.on('data', c => data += c);
+    rq.on('end', () => {
+      const ids = [].concat(JSON.parse(data || '{}').localId || []);
+      rs.writeHead(200, { 'Content-Type': 'application/json' });
+      rs.end(JSON.stringify({ kind: 'identitytoolkit#GetAccountInfoResponse', users: ids.map(localId => ({ localId })) }));
+    });
+  });
+  return new Promise(resolve => srv.listen(process.env.FIREBASE_AUTH_EMULATOR_HOST.split(':')[1], () => { srv.unref(); resolve(srv); }));
+}
+
+function fbToken(uid) {
+  const part = o => Buffer.from(JSON.stringify(o)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iss: 'https://securetoken.google.com/encosta-f32e7', aud: 'encosta-f32e7', sub: uid, user_id: uid, iat: now, exp: now + 3600, auth_time: now };
+  return { Authorization: 'Bearer ' + part({ alg: 'none', typ: 'JWT' }) + '.' + part(claims) + '.' };
+}
+
+function waitFor(check, ms = 3000) {
+  const until = Date.now() + ms;
+  return (async function poll() {
+    const v = await check();
+    if (v || Date.now() > until) return v;
+    await new Promise(r => setTimeout(r, 100));
+    return poll();
+  })();
+}
+
 async function test(name, fn) {
   total++;
   try {
@@ -42,16 +132,44 @@ async function test(name, fn) {
 
 function assert(cond, msg) { if (!cond) throw new Error(msg || 'Assertion failed'); }
 
-const testNick1 = 'TestUser_' + Date.now();
-const testNick2 = 'TestUser2_' + Date.now();
+// Socket already in the user's room (identify is answered before the next emit)
+// auth = handshake credentials ({ guestToken } / { token }); without them the socket only gets notifications
+function connectAs(userId, auth) {
+  const socket = io(BASE, { transports: ['websocket'], forceNew: true, reconnection: false, auth });
+  return new Promise((resolve, reject) => {
+    socket.on('connect_error', reject);
+    socket.on('connect', () => { socket.emit('identify', userId); setTimeout(() => resolve(socket), 150); });
+  });
+}
+
+const ADMIN = { 'x-admin-secret': process.env.ADMIN_SECRET || '' };
+
+// Operator routes never take a bare userId: owner and staff act through guest device tokens,
+// the one credential this suite can mint without Firebase
+let crew = null;
+async function operatorCrew() {
+  if (crew) return crew;
+  const lobby = (await req('POST', '/api/operator/event/create', { userId: userId1, name: 'Crew Lobby' })).body.event.id;
+  const join = async nick => {
+    const r = await req('POST', '/api/event/quick-checkin', { eventId: lobby, nickname: nick + Date.now().toString(36).slice(-5) });
+    return { id: r.body.userId, h: { 'X-Guest-Token': r.body.guestToken } };
+  };
+  crew = { owner: await join('Dono'), staff: await join('Staff') };
+  return crew;
+}
+
+const testNick1 = 'TU_' + Date.now().toString(36);
+const testNick2 = 'TU2_' + Date.now().toString(36);
 let userId1, userId2;
 
 async function run() {
+  await startFakeMP();
+  await startFakeFirebase();
   console.log('\n🧪 Encosta Test Suite — 20 tests\n');
 
   // 1. Register user 1
   await test('Register user 1', async () => {
-    const r = await req('POST', '/api/register', { nickname: testNick1, birthdate: '1995-06-15' });
+    const r = await req('POST', '/api/register', { nickname: testNick1, birthdate: '1995-06-15', acceptedTerms: true });
     assert(r.status === 200 || r.status === 201, 'Status: ' + r.status);
     assert(r.body.userId, 'No userId returned');
     userId1 = r.body.userId;
@@ -59,7 +177,7 @@ async function run() {
 
   // 2. Register user 2
   await test('Register user 2', async () => {
-    const r = await req('POST', '/api/register', { nickname: testNick2, birthdate: '1990-03-20' });
+    const r = await req('POST', '/api/register', { nickname: testNick2, birthdate: '1990-03-20', acceptedTerms: true });
     assert(r.body.userId, 'No userId returned');
     userId2 = r.body.userId;
   });
@@ -190,6 +308,841 @@ async function run() {
     assert(r2.body.status === 'pending', 'Wrong status: ' + r2.body.status);
   });
 
+  // 21. Forged solo game result
+  await test('Forged game result rejected', async () => {
+    const r = await req('POST', '/api/games/sessions', { gameId: 'campo-minado', userId: userId1 });
+    assert(r.status === 200, 'Status: ' + r.status);
+    const r2 = await req('POST', '/api/games/results', { sessionId: r.body.id, userId: userId1, status: 'win', difficulty: 'hard', time: 900 });
+    assert(r2.status === 409, 'Forged result accepted: ' + r2.status);
+  });
+
+  await test('Minesweeper board stays on the server', async () => {
+    const { owner } = await operatorCrew();
+    const r = await req('POST', '/api/games/sessions', { gameId: 'campo-minado', userId: owner.id }, owner.h);
+    assert(r.status === 200 && !r.body.session.seed && !r.body.session.state, 'Create leaks the board: ' + JSON.stringify(r.body.session));
+    const fresh = (await req('GET', '/api/games/sessions/' + r.body.id)).body;
+    assert(!fresh.seed && !fresh.state && fresh.view.board === '.'.repeat(81), 'Session leaks the board: ' + JSON.stringify(fresh));
+    const anon = await connectAs(owner.id), s = await connectAs(owner.id, { guestToken: owner.h['X-Guest-Token'] });
+    try {
+      const move = { type: 'reveal', index: 40, difficulty: 'easy' };
+      const refused = new Promise(res => anon.once('game-move-rejected', res));
+      anon.emit('game-move', { sessionId: r.body.id, userId: owner.id, move });
+      assert((await refused).error, 'Socket without a token moved');
+      const result = new Promise(res => s.once('game-move-result', res));
+      s.emit('game-move', { sessionId: r.body.id, move });
+      const { reveal } = await result;
+      assert(!reveal.mine && reveal.cells.some(c => c.index === 40), 'First reveal: ' + JSON.stringify(reveal));
+      const after = (await req('GET', '/api/games/sessions/' + r.body.id)).body;
+      assert(after.view.board[40] !== '.' && !after.view.board.includes('*') && !after.seed, 'View after reveal: ' + JSON.stringify(after.view));
+    } finally {
+      anon.close();
+      s.close();
+    }
+  });
+
+  await test('Minesweeper engine scores the win on the server clock', async () => {
+    const engine = require('./game-engines/campo-minado');
+    const mines = engine.placeMines('seed-test', 'easy', 0);
+    const t0 = Date.now();
+    const first = engine.applyMove(engine.init({ seed: 'seed-test' }), { type: 'reveal', index: 0, difficulty: 'easy' }, 0, t0);
+    assert(!first.error && !first.finished, 'First reveal: ' + JSON.stringify(first));
+    const boom = engine.applyMove(first.state, { type: 'reveal', index: [...mines][0] }, 0, t0 + 1000);
+    assert(boom.finished && boom.winnerSeat === null && boom.reveal.mines.length === 10, 'Mine: ' + JSON.stringify(boom.reveal));
+    let out = first;
+    for (let i = 1; i < 81 && !out.finished; i++) {
+      if (!mines.has(i) && out.state.board[i] === '.') out = engine.applyMove(out.state, { type: 'reveal', index: i }, 0, t0 + 20000);
+    }
+    assert(out.finished && out.winnerSeat === 0 && out.scores[0] === 20 && out.reveal.score === 20, 'Win: ' + JSON.stringify(out));
+  });
+
+  await test('Memory deck is revealed one card per move', async () => {
+    const { owner, staff } = await operatorCrew();
+    const r = await req('POST', '/api/games/sessions', { gameId: 'memory', userId: owner.id, opponentId: staff.id }, owner.h);
+    assert(!r.body.session.seed && !r.body.session.state, 'Create leaks the deck: ' + JSON.stringify(r.body.session));
+    const so = await connectAs(owner.id, { guestToken: owner.h['X-Guest-Token'] });
+    const ss = await connectAs(staff.id, { guestToken: staff.h['X-Guest-Token'] });
+    try {
+      const started = new Promise(res => ss.once('game-start', res));
+      so.emit('game-ready', { sessionId: r.body.id, userId: owner.id });
+      ss.emit('game-ready', { sessionId: r.body.id, userId: staff.id });
+      await started;
+      const mine = new Promise(res => so.once('game-move-result', res));
+      const theirs = new Promise(res => ss.once('game-opponent-move', res));
+      so.emit('game-move', { sessionId: r.body.id, move: { type: 'flip', index: 3 } });
+      const [a, b] = await Promise.all([mine, theirs]);
+      assert(a.reveal.index === 3 && b.reveal.pair === a.reveal.pair, 'Reveal: ' + JSON.stringify({ a, b }));
+      const forged = new Promise(res => ss.once('game-move-rejected', res));
+      ss.emit('game-move', { sessionId: r.body.id, userId: owner.id, move: { type: 'flip', index: 5 } });
+      assert((await forged).error, 'Moved for the other player');
+      const view = (await req('GET', '/api/games/sessions/' + r.body.id)).body.view;
+      assert(view.faces.replace(/\./g, '') === String(a.reveal.pair) && view.open === 3, 'View: ' + JSON.stringify(view));
+
+      const early = await req('POST', '/api/games/results', { sessionId: r.body.id, userId: staff.id, surrendered: true }, staff.h);
+      assert(early.status === 200 && early.body.cancelled && !early.body.winner, 'Early surrender paid out: ' + JSON.stringify(early.body));
+    } finally {
+      so.close();
+      ss.close();
+    }
+  });
+
+  await test('Solo self-report never pays a win', async () => {
+    const { staff } = await operatorCrew();
+    const r = await req('POST', '/api/games/sessions', { gameId: 'reflexo', userId: staff.id }, staff.h);
+    const done = await req('POST', '/api/games/results', { sessionId: r.body.id, userId: staff.id, score: 500 }, staff.h);
+    assert(done.status === 200 && done.body.ranked === false && !done.body.winner, 'Solo report: ' + JSON.stringify(done.body));
+    const board = (await req('GET', '/api/games/leaderboard/reflexo?scope=global&userId=' + staff.id)).body;
+    assert(!JSON.stringify(board).includes(staff.id), 'Unverified score reached the ladder');
+  });
+
+  // 22. Game result before the game started
+  await test('Game result before start rejected', async () => {
+    const r = await req('POST', '/api/games/sessions', { gameId: 'dama', userId: userId1, opponentId: userId2 });
+    const r2 = await req('POST', '/api/games/results', { sessionId: r.body.id, userId: userId2, winner: userId2 });
+    assert(r2.status === 409, 'Result before the game started accepted: ' + r2.status);
+  });
+
+  // 23. Seasonal game ladder
+  await test('Game leaderboard (season ladder)', async () => {
+    const r = await req('GET', '/api/games/leaderboard/dama?scope=friends&userId=' + userId1);
+    assert(r.status === 200, 'Status: ' + r.status);
+    assert(/^\d{4}-\d{2}$/.test(r.body.season), 'No season: ' + r.body.season);
+    assert(Array.isArray(r.body.leaderboard), 'No leaderboard');
+  });
+
+  // 24. Menu stock reserved by orders and restored on cancel
+  await test('Order stock reserve + restore', async () => {
+    const { owner } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Stock Test' });
+    const eventId = ev.body.event.id;
+    await req('POST', '/api/operator/event/' + eventId + '/menu', { items: [{ id: 'mi_stock', name: 'Coxinha', price: 8, stockEnabled: true, stockQty: 2, stockAlert: 1 }] }, owner.h);
+    const r = await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_stock', name: 'Coxinha', qty: 2, price: 8 }] });
+    assert(r.status === 200, 'Status: ' + r.status);
+    const r2 = await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_stock', name: 'Coxinha', qty: 1, price: 8 }] });
+    assert(r2.status === 400, 'Oversold: ' + r2.status);
+    await req('POST', '/api/operator/event/' + eventId + '/order/' + r.body.order.id + '/status', { status: 'cancelled' }, owner.h);
+    const menu = await req('GET', '/api/event/' + eventId + '/menu');
+    assert(menu.body.menu[0].stockQty === 2 && menu.body.menu[0].available !== false, 'Stock not restored: ' + menu.body.menu[0].stockQty);
+    const log = await req('GET', '/api/operator/event/' + eventId + '/menu/mi_stock/stock-log', null, owner.h);
+    assert(log.body.movements.length === 3, 'Movements: ' + log.body.movements.length);
+  });
+
+  // 25. Order totals priced by the server
+  await test('Forged order total rejected', async () => {
+    const { owner } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Pricing Test' });
+    const eventId = ev.body.event.id;
+    await req('POST', '/api/operator/event/' + eventId + '/menu', { items: [{ id: 'mi_price', name: 'Pastel', price: 12 }] }, owner.h);
+    const forged = await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_price', qty: 2, price: 0.01 }], total: 0.02 });
+    assert(forged.status === 409, 'Forged price accepted: ' + forged.status);
+    const unpaid = await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_price', qty: 2 }], paymentMethod: 'card' });
+    assert(unpaid.status === 402, 'Card order without payment accepted: ' + unpaid.status);
+    const r = await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_price', qty: 2 }], tipPercent: 10 });
+    assert(r.status === 200 && r.body.order.total === 26.4 && r.body.order.status === 'pending', 'Wrong pricing: ' + JSON.stringify(r.body.order && r.body.order.total));
+  });
+
+  await test('MercadoPago order approval settles the order', async () => {
+    const { owner } = await operatorCrew();
+    assert(process.env.MP_API_BASE, 'MP_API_BASE not set');
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'MP Order Test' });
+    const eventId = ev.body.event.id;
+    await req('POST', '/api/operator/event/' + eventId + '/menu', { items: [{ id: 'mi_mp', name: 'Pastel', price: 10 }] }, owner.h);
+    const pay = await req('POST', '/api/operator/event/' + eventId + '/pay-entry', { userId: userId2, type: 'order', amount: 20, token: 'tok', paymentMethodId: 'visa', payerEmail: 'a@b.co' });
+    assert(pay.status === 200 && pay.body.status === 'in_process', 'Payment: ' + JSON.stringify(pay.body));
+    const order = await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_mp', qty: 2 }], paymentMethod: 'card', paymentId: pay.body.paymentId });
+    assert(order.status === 200 && order.body.order.status === 'pending', 'Order: ' + JSON.stringify(order.body));
+    mpPayments[pay.body.mpPaymentId].status = 'approved';
+    await req('POST', '/mp/webhook', { id: 'ord-' + pay.body.mpPaymentId, type: 'payment', data: { id: String(pay.body.mpPaymentId) } });
+    const paid = await waitFor(async () => {
+      const list = (await req('GET', '/api/event/' + eventId + '/orders/' + userId2)).body.orders;
+      return list[0].status === 'paid' ? list[0] : null;
+    });
+    assert(paid, 'Order not settled by the webhook');
+    const stats = (await req('GET', '/api/prestador/' + userId1 + '/status')).body;
+    assert(!stats.tipsReceived, 'Order counted as a tip: ' + stats.tipsReceived);
+  });
+
+  await test('NFC-e emission + cancel (mock provider)', async () => {
+    const { owner } = await operatorCrew();
+    const bp = { cnpj: '11.222.333/0001-81', companyName: 'Fiscal Teste Ltda', fiscalState: 'SP', fiscalCity: 'Sao Paulo', fiscalAddress: 'Rua A', fiscalZip: '01000-000', stateRegistration: '123', cityRegistration: '456' };
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Fiscal Test', businessProfile: bp });
+    const eventId = ev.body.event.id;
+    const F = '/api/operator/event/' + eventId + '/fiscal';
+    await req('POST', '/api/operator/event/' + eventId + '/menu', { items: [{ id: 'mi_nf', name: 'Pastel', price: 10 }] }, owner.h);
+    const order = (await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_nf', qty: 1 }] })).body.order;
+    const noCert = await req('POST', F + '/orders/' + order.id + '/emit', {}, owner.h);
+    assert(noCert.status === 400, 'Emitted without certificate: ' + noCert.status);
+    const pfx = require('./fiscal').getFiscalProvider('mock').createTestCertificate({ cnpj: '11222333000181', password: 'pw' });
+    const cert = await req('POST', F + '/certificate', { pfx, password: 'pw' }, owner.h);
+    assert(cert.status === 200, 'Certificate rejected: ' + JSON.stringify(cert.body));
+    await req('POST', F + '/settings', { cityCode: '3550308', cscId: '1', csc: '0123456789ABCDEF' }, owner.h);
+    const emit = await req('POST', F + '/orders/' + order.id + '/emit', {}, owner.h);
+    assert(emit.status === 200 && emit.body.document.status === 'authorized' && emit.body.fiscal.nfeStatus === 'emitted', 'Not authorized: ' + JSON.stringify(emit.body));
+    assert(/^\d{44}$/.test(emit.body.document.key), 'Bad access key');
+    const cancel = await req('POST', F + '/documents/' + emit.body.document.id + '/cancel', { reason: 'Pedido desistido pelo cliente' }, owner.h);
+    assert(cancel.status === 200 && cancel.body.document.status === 'cancelled', 'Cancel failed: ' + JSON.stringify(cancel.body));
+  });
+
+  await test('Per-item NCM/CFOP in order + fiscal summary', async () => {
+    const { owner } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'NCM Test', businessProfile: { defaultCfop: '5101' } });
+    const eventId = ev.body.event.id;
+    const bad = await req('POST', '/api/operator/event/' + eventId + '/menu', { items: [{ id: 'mi_bad', name: 'X', price: 1, ncm: '12' }] }, owner.h);
+    assert(bad.status === 400, 'Invalid NCM accepted');
+    await req('POST', '/api/operator/event/' + eventId + '/menu', { items: [{ id: 'mi_food', name: 'Prato', price: 30 }, { id: 'mi_drink', name: 'Refri', price: 6, ncm: '22021000', cfop: '5405' }] }, owner.h);
+    const r = await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_food', qty: 1 }, { menuItemId: 'mi_drink', qty: 2 }] });
+    const [food, drink] = r.body.order.items;
+    assert(food.fiscal.cfop === '5.101' && food.fiscal.ncm === '2106.90.90', 'Profile defaults not applied: ' + JSON.stringify(food.fiscal));
+    assert(drink.fiscal.ncm === '2202.10.00' && drink.fiscal.cfop === '5.405' && drink.fiscal.amount === 12, 'Item fiscal not applied: ' + JSON.stringify(drink.fiscal));
+    const summary = await req('GET', '/api/operator/event/' + eventId + '/fiscal-summary', null, owner.h);
+    const group = summary.body.byClassification.find(g => g.ncm === '2202.10.00');
+    assert(group && group.cfop === '5.405' && group.amount === 12 && group.quantity === 2, 'Bad grouping: ' + JSON.stringify(summary.body.byClassification));
+  });
+
+  await test('Operator routes require owner or staff role', async () => {
+    const { owner, staff } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Auth Test' });
+    const eventId = ev.body.event.id;
+    const O = '/api/operator/event/' + eventId;
+    const anon = await req('POST', O + '/menu', { items: [{ id: 'mi_x', name: 'X', price: 1 }] });
+    assert(anon.status === 401, 'Anonymous menu write: ' + anon.status);
+    const bare = await req('POST', O + '/menu', { operatorId: owner.id, items: [{ id: 'mi_x', name: 'X', price: 1 }] });
+    assert(bare.status === 401, 'Bare operatorId accepted: ' + bare.status);
+    const stranger = await req('POST', O + '/menu', { items: [{ id: 'mi_x', name: 'X', price: 1 }] }, staff.h);
+    assert(stranger.status === 403, 'Non-owner menu write: ' + stranger.status);
+    const mine = await req('POST', O + '/menu', { items: [{ id: 'mi_x', name: 'X', price: 1 }] }, owner.h);
+    assert(mine.status === 200, 'Owner menu write: ' + mine.status);
+    const added = await req('POST', O + '/staff/add', { userId: staff.id, role: 'waiter' }, owner.h);
+    assert(added.status === 200, 'Staff add: ' + JSON.stringify(added.body));
+    const orders = await req('GET', O + '/orders', null, staff.h);
+    assert(orders.status === 200, 'Waiter orders: ' + orders.status);
+    const waiterMenu = await req('POST', O + '/menu', { items: [] }, staff.h);
+    assert(waiterMenu.status === 403, 'Waiter menu write: ' + waiterMenu.status);
+  });
+
+  await test('Kitchen station tickets gate order ready', async () => {
+    const { owner } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'KDS Test' });
+    const eventId = ev.body.event.id;
+    const K = '/api/operator/event/' + eventId + '/kitchen';
+    await req('POST', '/api/operator/event/' + eventId + '/menu', { items: [{ id: 'mi_burger', name: 'Burger', price: 30, category: 'Lanches' }, { id: 'mi_beer', name: 'Chopp', price: 12, category: 'Bebidas' }] }, owner.h);
+    const cfg = await req('POST', K + '/stations', { stations: [{ id: 'kitchen', name: 'Cozinha' }, { id: 'bar', name: 'Bar' }], categoryStations: [{ category: 'Bebidas', station: 'bar' }] }, owner.h);
+    assert(cfg.status === 200, 'Stations: ' + JSON.stringify(cfg.body));
+    const order = (await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_burger', qty: 1 }, { menuItemId: 'mi_beer', qty: 2 }] })).body.order;
+    assert(order.tickets && order.tickets.kitchen && order.tickets.bar, 'Tickets: ' + JSON.stringify(order.tickets));
+    const bar = await req('GET', K + '/bar/tickets', null, owner.h);
+    assert(bar.body.tickets.length === 1 && bar.body.tickets[0].items[0].name === 'Chopp', 'Bar feed: ' + JSON.stringify(bar.body));
+    const early = await req('POST', '/api/operator/event/' + eventId + '/order/' + order.id + '/status', { status: 'ready' }, owner.h);
+    assert(early.status === 409, 'Ready with open tickets: ' + early.status);
+    const t1 = await req('POST', K + '/bar/tickets/' + order.id + '/status', { status: 'ready' }, owner.h);
+    assert(t1.body.orderStatus === 'preparing', 'After bar: ' + t1.body.orderStatus);
+    const t2 = await req('POST', K + '/kitchen/tickets/' + order.id + '/status', { status: 'ready' }, owner.h);
+    assert(t2.body.orderStatus === 'ready', 'After kitchen: ' + t2.body.orderStatus);
+  });
+
+  await test('Gift posts to the ledger and financial balances', async () => {
+    const before = (await req('GET', '/api/financial/' + userId2 + '?userId=' + userId2)).body.summary;
+    const ses = await req('POST', '/api/session/create', { userId: userId1 });
+    const join = await req('POST', '/api/session/join', { userId: userId2, code: ses.body.code });
+    const gift = await req('POST', '/api/gift/send', { relationId: join.body.relationId, fromUserId: userId1, giftId: 'dessert' });
+    assert(gift.status === 200, 'Gift: ' + JSON.stringify(gift.body));
+    const fin = (await req('GET', '/api/financial/' + userId2 + '?userId=' + userId2)).body.summary;
+    assert(fin.totalReceived - before.totalReceived === 40, 'Received: ' + JSON.stringify(fin));
+    assert(fin.retainedByTouch - before.retainedByTouch === 40, 'Payable: ' + JSON.stringify(fin));
+    const dash = (await req('GET', '/api/prestador/' + userId2 + '/dashboard')).body.stats;
+    assert(dash.totalReceived === fin.totalReceived && dash.retainedByTouch === fin.retainedByTouch, 'Dashboard: ' + JSON.stringify(dash));
+    const sent = (await req('GET', '/api/financial/' + userId1 + '?userId=' + userId1)).body.summary;
+    assert(sent.totalSent >= 40, 'Sent: ' + JSON.stringify(sent));
+  });
+
+  await test('Weekly payout batch: hold, minimum, bank files and line results', async () => {
+    assert(process.env.ADMIN_SECRET, 'ADMIN_SECRET not set');
+    const P = '/api/admin/payouts';
+    const reg = await req('POST', '/api/register', { nickname: 'PAY_' + Date.now().toString(36), birthdate: '1990-01-01', acceptedTerms: true });
+    const payee = reg.body.userId;
+    await req('POST', '/api/prestador/' + payee + '/bank-info', { userId: payee, pixKey: 'payee@example.com', pixKeyType: 'email' });
+    const ses = await req('POST', '/api/session/create', { userId: userId1 });
+    const join = await req('POST', '/api/session/join', { userId: payee, code: ses.body.code });
+    await req('POST', '/api/gift/send', { relationId: join.body.relationId, fromUserId: userId1, giftId: 'dessert' });
+    const saved = (await req('GET', P + '/schedule', null, ADMIN)).body.schedule;
+    const lineFor = b => b.body.payouts.find(p => p.receiverId === payee);
+    try {
+      const held = await req('POST', P + '/batches', {}, ADMIN);
+      assert(held.status === 200 && !lineFor(held), 'Credit inside the hold window was paid: ' + JSON.stringify(lineFor(held)));
+      await req('POST', P + '/schedule', { holdDays: 0, minimum: 50, payer: { cnpj: '11222333000181', bankCode: '341', agency: '1234', account: '567890', name: 'Touch' } }, ADMIN);
+      const low = await req('POST', P + '/batches', {}, ADMIN);
+      assert(!lineFor(low) && low.body.batch.skipped.some(k => k.userId === payee && k.reason === 'below_minimum'), 'Minimum: ' + JSON.stringify(low.body.batch.skipped));
+      await req('POST', P + '/schedule', { minimum: 10 }, ADMIN);
+      const first = await req('POST', P + '/batches', {}, ADMIN);
+      const line = lineFor(first);
+      assert(line && line.status === 'scheduled' && line.amount === 40 && line.method === 'pix', 'Line: ' + JSON.stringify(line));
+      const B = P + '/batches/' + first.body.batch.id;
+      const csv = await req('GET', B + '/export?format=csv', null, ADMIN);
+      assert(csv.status === 200 && csv.body.split('\r\n').some(r => r.includes(line.id) && r.endsWith(';40.00')), 'CSV: ' + csv.body);
+      const cnab = await req('GET', B + '/export?format=cnab', null, ADMIN);
+      const records = cnab.body.split('\r\n').filter(Boolean);
+      assert(records.every(r => r.length === 240) && records.some(r => r[13] === 'A' && r.includes(line.id.slice(0, 20).toUpperCase()) && r.includes('PAYEE@EXAMPLE.COM')), 'CNAB: ' + JSON.stringify(records));
+      const twice = await req('POST', P + '/register', { receiverId: payee, amount: 40, method: 'pix' }, ADMIN);
+      assert(twice.status === 409, 'Manual payout over a scheduled line: ' + twice.status);
+      const rejected = await req('POST', B + '/payouts/' + line.id + '/reject', { reason: 'Chave invalida' }, ADMIN);
+      assert(rejected.status === 200 && rejected.body.payout.status === 'rejected', 'Reject: ' + JSON.stringify(rejected.body));
+      const second = await req('POST', P + '/batches', {}, ADMIN);
+      const retry = lineFor(second);
+      assert(retry && retry.amount === 40, 'Rejected balance not rescheduled: ' + JSON.stringify(retry));
+      const done = await req('POST', P + '/batches/' + second.body.batch.id + '/payouts/' + retry.id + '/confirm', { reference: 'E2E123' }, ADMIN);
+      assert(done.status === 200 && done.body.payout.status === 'completed', 'Confirm: ' + JSON.stringify(done.body));
+      const again = await req('POST', P + '/batches/' + second.body.batch.id + '/payouts/' + retry.id + '/confirm', {}, ADMIN);
+      assert(again.status === 409, 'Line confirmed twice: ' + again.status);
+      const fin = (await req('GET', '/api/financial/' + payee + '?userId=' + payee)).body.summary;
+      assert(fin.retainedByTouch === 0, 'Balance after confirm: ' + JSON.stringify(fin));
+    } finally {
+      await req('POST', P + '/schedule', { holdDays: saved.holdDays, minimum: saved.minimum, payer: saved.payer }, ADMIN);
+    }
+  });
+
+  await test('Webhook store dedups, backs off and replays', async () => {
+    const { owner } = await operatorCrew();
+    assert(process.env.MP_API_BASE && process.env.ADMIN_SECRET, 'MP_API_BASE / ADMIN_SECRET not set');
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Webhook Test' });
+    const eventId = ev.body.event.id;
+    await req('POST', '/api/operator/event/' + eventId + '/menu', { items: [{ id: 'mi_wh', name: 'Pastel', price: 10 }] }, owner.h);
+    const pay = await req('POST', '/api/operator/event/' + eventId + '/pay-entry', { userId: userId2, type: 'order', amount: 10, token: 'tok', paymentMethodId: 'visa', payerEmail: 'a@b.co' });
+    await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_wh', qty: 1 }], paymentMethod: 'card', paymentId: pay.body.paymentId });
+    const mpId = pay.body.mpPaymentId;
+    mpPayments[mpId].status = 'approved';
+    mpFailing.add(mpId);
+    const notification = { id: 'wh-' + mpId, type: 'payment', data: { id: String(mpId) } };
+    const W = '/api/admin/webhooks/mercadopago_wh-' + mpId;
+    await req('POST', '/mp/webhook', notification);
+    const failed = await waitFor(async () => { const r = (await req('GET', W, null, ADMIN)).body; return r.status === 'failed' ? r : null; });
+    assert(failed && failed.attempts === 1, 'Failed handler: ' + JSON.stringify(failed));
+    const wait = failed.nextAttemptAt - Date.now();
+    assert(wait > 20 * 1000 && wait <= 30 * 1000, 'Backoff: ' + wait);
+    const dup = await req('POST', '/mp/webhook', notification);
+    assert(dup.status === 200, 'Redelivery: ' + dup.status);
+    const afterDup = (await req('GET', W, null, ADMIN)).body;
+    assert(afterDup.duplicates === 1 && afterDup.attempts === 1, 'Redelivery ran the handler: ' + JSON.stringify(afterDup));
+    const orderStatus = async () => (await req('GET', '/api/event/' + eventId + '/orders/' + userId2)).body.orders[0].status;
+    assert(await orderStatus() === 'pending', 'Order settled by a failed handler');
+    const listed = (await req('GET', '/api/admin/webhooks?status=failed&provider=mercadopago', null, ADMIN)).body;
+    assert(listed.events.some(e => e.id === failed.id && !('payload' in e)), 'Failed list: ' + JSON.stringify(listed.counts));
+    mpFailing.delete(mpId);
+    const replay = await req('POST', W + '/replay', {}, ADMIN);
+    assert(replay.status === 200 && replay.body.status === 'processed' && replay.body.attempts === 2 && replay.body.replayedAt, 'Replay: ' + JSON.stringify(replay.body));
+    assert(await orderStatus() === 'paid', 'Replay did not settle the order');
+  });
+
+  await test('Chargeback holds the disputed amount until it is resolved', async () => {
+    const { owner } = await operatorCrew();
+    assert(process.env.MP_API_BASE && process.env.ADMIN_SECRET, 'MP_API_BASE / ADMIN_SECRET not set');
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Dispute Test' });
+    const eventId = ev.body.event.id;
+    const O = '/api/operator/event/' + eventId;
+    await req('POST', O + '/menu', { items: [{ id: 'mi_cb', name: 'Rodizio', price: 50 }] }, owner.h);
+    const pay = await req('POST', O + '/pay-entry', { userId: userId2, type: 'order', amount: 100, token: 'tok', paymentMethodId: 'visa', payerEmail: 'a@b.co' });
+    const order = (await req('POST', '/api/event/' + eventId + '/order', { userId: userId2, items: [{ menuItemId: 'mi_cb', qty: 2 }], paymentMethod: 'card', paymentId: pay.body.paymentId })).body.order;
+    const mpId = pay.body.mpPaymentId;
+    const balance = async () => (await req('GET', '/api/financial/' + owner.id, null, owner.h)).body.summary.retainedByTouch;
+    const before = await balance();
+    mpPayments[mpId].status = 'approved';
+    await req('POST', '/mp/webhook', { id: 'cbpay-' + mpId, type: 'payment', data: { id: String(mpId) } });
+    const paid = await waitFor(async () => { const b = await balance(); return b > before ? b : null; });
+    assert(paid, 'Payment never reached the ledger');
+    mpChargebacks['cb' + mpId] = { id: 'cb' + mpId, payments: [mpId], amount: 30, currency: 'BRL', reason: 'fraud', date_documentation_deadline: new Date(Date.now() + 7 * 864e5).toISOString() };
+    await req('POST', '/mp/webhook', { id: 'cb-' + mpId, type: 'chargebacks', data: { id: 'cb' + mpId } });
+    const dispute = await waitFor(async () => (await req('GET', O + '/disputes', null, owner.h)).body.disputes[0]);
+    assert(dispute && dispute.status === 'needs_response' && dispute.heldAmount > 0, 'Dispute: ' + JSON.stringify(dispute));
+    const held = await balance();
+    assert(Math.abs(paid - held - dispute.heldAmount) < 0.005 && held > before, 'Hold should cover only the disputed 30: ' + JSON.stringify({ before, paid, held, dispute: dispute.heldAmount }));
+    assert(dispute.evidence.some(e => e.source === 'system' && e.kind === 'receipt'), 'System evidence: ' + JSON.stringify(dispute.evidence));
+    const refund = await req('POST', O + '/refund-order', { orderId: order.id, reason: 'teste' }, owner.h);
+    assert(refund.status === 409, 'Refund during dispute: ' + refund.status);
+    const badFile = await req('POST', O + '/disputes/' + dispute.id + '/evidence', { kind: 'receipt', file: { contentType: 'text/html', data: 'PGI+' } }, owner.h);
+    assert(badFile.status === 400, 'Evidence file type: ' + badFile.status);
+    const note = await req('POST', O + '/disputes/' + dispute.id + '/evidence', { kind: 'service', note: 'Cliente consumiu no salao, mesa 4' }, owner.h);
+    assert(note.status === 200 && note.body.evidence.source === 'operator', 'Evidence note: ' + JSON.stringify(note.body));
+    const D = '/api/admin/disputes/' + dispute.id;
+    const lost = await req('POST', D + '/resolve', { outcome: 'lost' }, ADMIN);
+    assert(lost.status === 200 && lost.body.dispute.outcome === 'lost', 'Resolve: ' + JSON.stringify(lost.body));
+    const after = await balance();
+    assert(Math.abs(after - held) < 0.005, 'Chargeback should take the disputed amount only: ' + JSON.stringify({ held, after }));
+    const twice = await req('POST', D + '/resolve', { outcome: 'won' }, ADMIN);
+    assert(twice.status === 409, 'Resolved twice: ' + twice.status);
+  });
+
+  await test('Subscription plans follow regional pricing', async () => {
+    const region = (await req('GET', '/api/region-config')).body;
+    const plans = (await req('GET', '/api/subscription/plans')).body;
+    const plus = plans.find(p => p.id === 'touch_plus'), selo = plans.find(p => p.id === 'touch_selo');
+    assert(plus && plus.amount === region.subscriptions.plus.price, 'Plus: ' + JSON.stringify(plus));
+    assert(selo && selo.amount === region.subscriptions.selo.price, 'Selo: ' + JSON.stringify(selo));
+    assert(plus.trialDays === region.subscriptions.plus.trialDays && plus.versionId, 'Version/trial: ' + JSON.stringify(plus));
+    const versions = async () => (await req('GET', '/api/admin/subscription-plans', null, ADMIN)).body.versions;
+    const known = (await versions()).length;
+    await req('GET', '/api/subscription/plans?gateway=stripe&currency=eur');
+    await req('GET', '/api/subscription/plans?gateway=mercadopago&userId=' + userId2);
+    assert((await versions()).length === known, 'Listing plans wrote price versions');
+    const br = (await req('GET', '/api/subscription/plans?gateway=mercadopago')).body.find(p => p.id === 'touch_plus');
+    const raised = await req('POST', '/api/admin/pricing', { pricing: { BR: { plusMonthly: br.amount + 1 } } }, ADMIN);
+    assert(raised.status === 200, 'Pricing: ' + JSON.stringify(raised.body));
+    const next = (await req('GET', '/api/subscription/plans?gateway=mercadopago')).body.find(p => p.id === 'touch_plus');
+    await req('POST', '/api/admin/pricing', { pricing: { BR: { plusMonthly: br.amount } } }, ADMIN);
+    assert(next.amount === br.amount + 1 && next.version === br.version + 1 && next.versionId !== br.versionId, 'Price edit should version the plan: ' + JSON.stringify(next));
+    const st = (await req('GET', '/api/subscription/status/' + userId2)).body;
+    assert(st.active === false, 'Status: ' + JSON.stringify(st));
+  });
+
+  await test('Points history records every grant', async () => {
+    const h = await req('GET', '/api/points/' + userId2 + '/history?userId=' + userId2);
+    assert(h.status === 200, 'History: ' + JSON.stringify(h.body));
+    const tip = h.body.transactions.find(t => t.kind === 'earn' && t.reason === 'gift-tip' && t.counterpartyId === userId1);
+    assert(tip && tip.points === 40 && tip.role === 'owner', 'Gift grant: ' + JSON.stringify(h.body.transactions.slice(0, 3)));
+    assert(Math.round(h.body.summary.balance) === h.body.spendablePoints, 'Balance: ' + JSON.stringify(h.body.summary) + ' vs ' + h.body.spendablePoints);
+  });
+
+  await test('Encounters record the channel for the fraud scan', async () => {
+    const enc = await req('GET', '/api/encounters/' + userId2);
+    const last = enc.body.data.find(e => e.with === userId1);
+    assert(last && last.channel === 'code', 'Channel: ' + JSON.stringify(last));
+    assert(!('geo' in last) && !('distM' in last), 'Location leaked: ' + JSON.stringify(last));
+    const cases = await req('GET', '/api/admin/fraud/cases');
+    assert(cases.status === 403 || cases.status === 401, 'Fraud cases without admin: ' + cases.status);
+  });
+
+  await test('Fraud scan flags a shared-device pair and suspended scoring earns nothing', async () => {
+    assert(process.env.ADMIN_SECRET, 'ADMIN_SECRET not set');
+    const F = '/api/admin/fraud';
+    const deviceId = 'dev-' + Date.now().toString(36);
+    const reg = async nick => (await req('POST', '/api/register', { nickname: nick + Date.now().toString(36), birthdate: '1990-01-01', acceptedTerms: true, deviceId })).body.userId;
+    const a = await reg('FA_'), b = await reg('FB_');
+    const meet = async (x, y) => {
+      const ses = await req('POST', '/api/session/create', { userId: x, deviceId });
+      return req('POST', '/api/session/join', { userId: y, code: ses.body.code, deviceId });
+    };
+    await meet(a, b);
+    const profile = (await req('GET', F + '/users/' + a, null, ADMIN)).body;
+    assert(profile.signals.includes('shared_device') && profile.sharedWith.some(s => s.userId === b && s.device), 'Score: ' + JSON.stringify(profile));
+    const cfg = (await req('GET', '/api/admin/game-config')).body;
+    const setCfg = config => req('POST', '/api/admin/game-config', { config }, ADMIN);
+    try {
+      await setCfg({ fraudFlagScore: profile.score, fraudAutoSuspendScore: 0 });
+      await req('POST', F + '/scan', {}, ADMIN);
+      const open = (await req('GET', F + '/cases?status=open', null, ADMIN)).body.cases;
+      const c = open.find(x => x.members.some(m => m.userId === a));
+      assert(c && c.members.length === 2 && c.members.some(m => m.userId === b) && c.members.every(m => !m.suspended), 'Cluster: ' + JSON.stringify(c));
+      await setCfg({ fraudAutoSuspendScore: profile.score });
+      const scan = (await req('POST', F + '/scan', {}, ADMIN)).body;
+      assert(scan.suspended === 2, 'Auto-suspend: ' + JSON.stringify(scan));
+      const suspended = (await req('GET', F + '/users/' + b, null, ADMIN)).body.scoringSuspended;
+      assert(suspended && suspended.by === 'auto' && suspended.caseId === c.id, 'Suspension: ' + JSON.stringify(suspended));
+      const earned = async uid => (await req('GET', '/api/points/' + uid + '/history?kind=earn&userId=' + uid)).body.transactions.filter(tx => tx.role === 'owner').length;
+      const before = await earned(a);
+      const fresh = await reg('FC_');
+      const met = await meet(fresh, a);
+      assert(met.status === 200, 'Encounter: ' + JSON.stringify(met.body));
+      assert(await earned(a) === before, 'Suspended account earned points');
+      assert(await earned(fresh) > 0, 'Partner should still earn');
+      const dismissed = await req('POST', F + '/cases/' + c.id + '/review', { decision: 'dismiss' }, ADMIN);
+      assert(dismissed.body.lifted.length === 2, 'Dismiss should lift the suspensions: ' + JSON.stringify(dismissed.body));
+    } finally {
+      await setCfg({ fraudFlagScore: cfg.fraudFlagScore, fraudAutoSuspendScore: cfg.fraudAutoSuspendScore });
+    }
+  });
+
+  await test('Fraud signals need a proven account and the proxy-appended IP', async () => {
+    const tag = Date.now().toString(36);
+    const profile = async uid => (await req('GET', '/api/admin/fraud/users/' + uid, null, ADMIN)).body;
+    const victim = (await req('POST', '/api/register', { nickname: 'FV_' + tag, birthdate: '1990-01-01', acceptedTerms: true })).body.userId;
+    await req('POST', '/api/session/create', { userId: victim, deviceId: 'planted-' + tag });
+    const s = await connectAs(victim, { deviceId: 'planted-sock-' + tag });
+    s.close();
+    assert((await profile(victim)).devices === 0, 'Device planted on an account by bare userId');
+
+    const { staff } = await operatorCrew();
+    const before = await profile(staff.id);
+    for (const first of ['6.6.6.6', '7.7.7.7']) {
+      await req('POST', '/api/session/create', { userId: staff.id, deviceId: 'own-' + tag }, { ...staff.h, 'X-Forwarded-For': first + ', 127.0.0.1' });
+    }
+    const after = await profile(staff.id);
+    assert(after.devices === before.devices + 1, 'Proven request should record its device: ' + JSON.stringify(after));
+    assert(after.ips <= before.ips + 1, 'Client-written X-Forwarded-For hops recorded as IPs: ' + JSON.stringify(after));
+  });
+
+  await test('Scoring rules are validated before activation', async () => {
+    const cfg = (await req('GET', '/api/admin/game-config')).body;
+    assert(Array.isArray(cfg.scoringRules), 'Rules: ' + JSON.stringify(cfg.scoringRules));
+    const rules = [{ when: { hours: { from: 25, to: 3 } }, then: { add: 5 } }];
+    const anon = await req('POST', '/api/admin/game-config', { userId: userId1, config: { scoringRules: rules } });
+    assert(anon.status === 403, 'Config without admin: ' + anon.status);
+    const bad = await req('POST', '/api/admin/game-config', { config: { scoringRules: rules } }, ADMIN);
+    assert(bad.status === 400 && bad.body.errors.length === 1, 'Invalid rule: ' + JSON.stringify(bad.body));
+    const huge = await req('POST', '/api/admin/game-config', { config: { scoringRules: [{ when: { kind: 'encounter' }, then: { add: 1e9 } }] } }, ADMIN);
+    assert(huge.status === 400 && huge.body.errors.some(e => /add/.test(e)), 'Unbounded add: ' + JSON.stringify(huge.body));
+    const after = (await req('GET', '/api/admin/game-config')).body;
+    assert(JSON.stringify(after.scoringRules) === JSON.stringify(cfg.scoringRules), 'Ruleset changed: ' + JSON.stringify(after.scoringRules));
+  });
+
+  await test('Shift clock-out pools order tips', async () => {
+    const { owner, staff } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Shift Test' });
+    const eventId = ev.body.event.id;
+    const O = '/api/operator/event/' + eventId;
+    await req('POST', O + '/menu', { items: [{ id: 'mi_dish', name: 'Prato', price: 40, category: 'Pratos' }] }, owner.h);
+    const member = (await req('POST', O + '/staff/add', { userId: staff.id, role: 'waiter' }, owner.h)).body.staff;
+    await req('POST', O + '/staff/' + member.id + '/tables', { tables: [3] }, owner.h);
+    const cfg = await req('POST', O + '/staff/tip-pool', { enabled: true, method: 'hours' }, owner.h);
+    assert(cfg.status === 200 && cfg.body.config.roles.includes('waiter'), 'Pool config: ' + JSON.stringify(cfg.body));
+    const inRes = await req('POST', O + '/staff/clock-in', {}, staff.h);
+    assert(inRes.status === 200 && inRes.body.shift.status === 'open', 'Clock-in: ' + JSON.stringify(inRes.body));
+    await new Promise(r => setTimeout(r, 20));
+    const order = (await req('POST', '/api/event/' + eventId + '/order', { userId: userId1, items: [{ menuItemId: 'mi_dish', qty: 1 }], table: 3, tipPercent: 10 })).body.order;
+    const out = await req('POST', O + '/staff/clock-out', {}, staff.h);
+    assert(out.status === 200, 'Clock-out: ' + JSON.stringify(out.body));
+    const r = out.body.report;
+    assert(r.sales.orders === 1 && r.sales.amount === 40, 'Sales: ' + JSON.stringify(r.sales));
+    assert(r.tips.total === order.tipAmount && r.tips.paidByHouse === order.tipAmount, 'Tips: ' + JSON.stringify(r.tips));
+  });
+
+  await test('Staff invite grants a custom role', async () => {
+    const { owner, staff } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Roles Test' });
+    const O = '/api/operator/event/' + ev.body.event.id;
+    const role = await req('PUT', O + '/staff/roles/valet_chief', { label: 'Chefe dos manobristas', permissions: ['shift', 'parking', 'parking.config'] }, owner.h);
+    assert(role.status === 200 && role.body.role.custom, 'Custom role: ' + JSON.stringify(role.body));
+    const bad = await req('PUT', O + '/staff/roles/boss', { permissions: ['event'] }, owner.h);
+    assert(bad.status === 400, 'Owner-only permission should be rejected: ' + bad.status);
+    const inv = await req('POST', O + '/staff/invites', { role: 'valet_chief' }, owner.h);
+    assert(inv.status === 200 && inv.body.url.includes('staffInvite=' + inv.body.invite.token), 'Invite: ' + JSON.stringify(inv.body));
+    const acc = await req('POST', '/api/staff/invite/' + inv.body.invite.token + '/accept', { userId: staff.id }, staff.h);
+    assert(acc.status === 200 && acc.body.staff.role === 'valet_chief', 'Accept: ' + JSON.stringify(acc.body));
+    const again = await req('POST', '/api/staff/invite/' + inv.body.invite.token + '/accept', { userId: staff.id }, staff.h);
+    assert(again.status === 410, 'Single-use invite reused: ' + again.status);
+    assert((await req('GET', O + '/parking/vehicles', null, staff.h)).status === 200, 'Role should reach parking');
+    assert((await req('GET', O + '/disputes', null, staff.h)).status === 403, 'Role should not reach payments');
+    const del = await req('DELETE', O + '/staff/roles/valet_chief', null, owner.h);
+    assert(del.status === 409, 'Role in use should not be deleted: ' + del.status);
+  });
+
+  await test('Signed ticket checks in once at the door', async () => {
+    const { owner } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Ticket Test' });
+    const eventId = ev.body.event.id;
+    const O = '/api/operator/event/' + eventId;
+    const cfg = await req('PUT', O + '/tickets/config', { enabled: true, tiers: [{ id: 'rsvp', name: 'RSVP', kind: 'free', capacity: 1 }, { id: 'vip', name: 'VIP', price: 80 }] }, owner.h);
+    assert(cfg.status === 200 && cfg.body.tiers.length === 2, 'Config: ' + JSON.stringify(cfg.body));
+    const rsvp = await req('POST', '/api/event/' + eventId + '/tickets/rsvp', { userId: userId2, tierId: 'rsvp' });
+    assert(rsvp.status === 200 && rsvp.body.tickets[0].status === 'valid', 'RSVP: ' + JSON.stringify(rsvp.body));
+    const full = await req('POST', '/api/event/' + eventId + '/tickets/rsvp', { userId: userId1, tierId: 'rsvp' });
+    assert(full.status === 409, 'Capacity should be enforced: ' + full.status);
+    const noTier = await req('POST', O + '/pay-entry', { userId: userId2 });
+    assert(noTier.status === 400, 'Paid entry without tierId: ' + noTier.status);
+    const code = rsvp.body.tickets[0].code;
+    const forged = await req('POST', O + '/tickets/scan', { code: code.slice(0, -4) + 'AAAA' }, owner.h);
+    assert(forged.status === 400, 'Forged ticket accepted: ' + forged.status);
+    const scan = await req('POST', O + '/tickets/scan', { code }, owner.h);
+    assert(scan.status === 200 && scan.body.result === 'ok', 'Scan: ' + JSON.stringify(scan.body));
+    const again = await req('POST', O + '/tickets/scan', { code }, owner.h);
+    assert(again.status === 409 && again.body.result === 'used', 'Second scan: ' + JSON.stringify(again.body));
+    const key = await req('GET', '/api/tickets/public-key');
+    assert(key.body.alg === 'Ed25519' && key.body.publicKey.includes('PUBLIC KEY'), 'Public key: ' + JSON.stringify(key.body));
+  });
+
+  await test('Ticket seats are held before the charge and a paid purchase without a seat is refunded', async () => {
+    const { owner } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Ticket Hold Test' });
+    const eventId = ev.body.event.id;
+    const O = '/api/operator/event/' + eventId;
+    await req('PUT', O + '/tickets/config', { enabled: true, tiers: [{ id: 'last', name: 'Last seat', price: 50, capacity: 1 }] }, owner.h);
+    const pix = userId => req('POST', O + '/pay-entry-pix', { userId, tierId: 'last', payerEmail: 'buyer@example.com', payerCPF: '12345678909' });
+    const mpOf = userId => Object.values(mpPayments).find(p => p.metadata.event_id === eventId && p.metadata.payer_id === userId);
+    const approve = async p => {
+      p.status = 'approved';
+      await req('POST', '/mp/webhook', { id: 'wh-' + p.id, type: 'payment', data: { id: String(p.id) } });
+    };
+    const first = await pix(userId2);
+    assert(first.status === 200 && first.body.purchaseId, 'First PIX: ' + JSON.stringify(first.body));
+    const firstMp = mpOf(userId2);
+    const holdLeft = Date.parse(firstMp.date_of_expiration) - Date.now();
+    assert(holdLeft > 29 * 60000 && holdLeft <= 30 * 60000, 'PIX expiration should match the hold: ' + firstMp.date_of_expiration);
+    const full = await pix(userId1);
+    assert(full.status === 409 && full.body.reason === 'sold_out', 'Held seat sold twice: ' + JSON.stringify(full.body));
+    const held = (await req('GET', O + '/tickets', null, owner.h)).body.tickets.find(t => t.holderId === userId2);
+    await req('POST', O + '/tickets/' + held.id + '/cancel', {}, owner.h);
+    const second = await pix(userId1);
+    assert(second.status === 200, 'Freed seat: ' + JSON.stringify(second.body));
+    await approve(firstMp);
+    assert(await waitFor(() => firstMp.refunds.length === 1), 'Payment without a seat was not refunded');
+    await approve(mpOf(userId1));
+    const tickets = await waitFor(async () => {
+      const list = (await req('GET', O + '/tickets', null, owner.h)).body.tickets;
+      return list.some(t => t.holderId === userId1 && t.status === 'valid') ? list : null;
+    });
+    assert(tickets, 'Second buyer not issued');
+    assert(tickets.filter(t => t.status === 'valid').length === 1 && tickets.find(t => t.holderId === userId2).status === 'cancelled', 'Tickets: ' + JSON.stringify(tickets));
+  });
+
+  await test('Quick check-in keeps guests apart by device token', async () => {
+    const ev = await req('POST', '/api/operator/event/create', { userId: userId1, name: 'Guest Test' });
+    const eventId = ev.body.event.id;
+    const clash = await req('POST', '/api/event/quick-checkin', { eventId, nickname: testNick1 });
+    assert(clash.status === 200 && clash.body.userId !== userId1 && clash.body.nickname !== testNick1, 'Nickname reuse took over an account: ' + JSON.stringify(clash.body));
+    assert(clash.body.guestToken, 'No guest token: ' + JSON.stringify(clash.body));
+    const back = await req('POST', '/api/event/quick-checkin', { eventId, nickname: clash.body.nickname, guestToken: clash.body.guestToken });
+    assert(back.body.userId === clash.body.userId, 'Token should bring back the same guest');
+    const other = await req('POST', '/api/event/quick-checkin', { eventId, nickname: clash.body.nickname });
+    assert(other.body.userId !== clash.body.userId, 'Nickname without token reused the guest');
+    const steal = await req('POST', '/api/guest/upgrade', { userId: clash.body.userId, method: 'email', email: 'x@example.com', guestToken: other.body.guestToken });
+    assert(steal.status === 403, 'Upgrade with another guest token: ' + steal.status);
+  });
+
+  await test('Guest upgrade merges the guest into an existing account', async () => {
+    assert(process.env.FIREBASE_AUTH_EMULATOR_HOST && process.env.ADMIN_SECRET, 'FIREBASE_AUTH_EMULATOR_HOST / ADMIN_SECRET not set');
+    const { owner } = await operatorCrew();
+    const tag = Date.now().toString(36).slice(-5);
+    const eventId = (await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Merge Test' })).body.event.id;
+    await req('PUT', '/api/operator/event/' + eventId + '/tickets/config', { enabled: true, tiers: [{ id: 'rsvp', name: 'RSVP', kind: 'free' }] }, owner.h);
+    await req('POST', '/api/operator/event/' + eventId + '/menu', { items: [{ id: 'mi_merge', name: 'Pastel', price: 10 }] }, owner.h);
+    const checkin = (await req('POST', '/api/event/quick-checkin', { eventId, nickname: 'mg' + tag })).body;
+    const gid = checkin.userId, G = { 'X-Guest-Token': checkin.guestToken };
+    const bare = await req('GET', '/api/tickets/mine/' + gid);
+    assert(bare.status === 403, 'Guest reached with a bare userId: ' + bare.status);
+    const reclaim = await req('POST', '/api/guest/claim', { guestId: gid, nickname: checkin.nickname });
+    assert(reclaim.status === 403, 'Guest with a token claimed again by guestId + nickname: ' + reclaim.status);
+    const partner = (await req('POST', '/api/register', { nickname: 'mp' + tag, birthdate: '1990-01-01', acceptedTerms: true })).body.userId;
+    const ses = await req('POST', '/api/session/create', { userId: partner });
+    await req('POST', '/api/session/join', { userId: gid, code: ses.body.code });
+    await req('POST', '/api/event/' + eventId + '/tickets/rsvp', { userId: gid, tierId: 'rsvp' }, G);
+    await req('POST', '/api/event/' + eventId + '/order', { userId: gid, items: [{ menuItemId: 'mi_merge', qty: 1 }] });
+    const cfg = (await req('GET', '/api/admin/game-config')).body;
+    try {
+      await req('POST', '/api/admin/game-config', { config: { starPriceFixed: 1 } }, ADMIN);
+      const star = await req('POST', '/api/star/buy', { userId: partner, target: gid });
+      assert(star.status === 200, 'Star gift: ' + JSON.stringify(star.body));
+    } finally {
+      await req('POST', '/api/admin/game-config', { config: { starPriceFixed: cfg.starPriceFixed } }, ADMIN);
+    }
+    const fbUid = 'merge-' + tag;
+    const target = (await req('POST', '/api/auth/link', { firebaseUid: fbUid, nickname: 'mt' + tag })).body.userId;
+    const upgrade = body => req('POST', '/api/guest/upgrade', { userId: gid, method: 'google', firebaseUid: fbUid, ...body }, { ...G, ...fbToken(fbUid) });
+    const conflict = await upgrade({});
+    assert(conflict.status === 409 && conflict.body.canMerge, 'Existing account: ' + JSON.stringify(conflict.body));
+    const merged = await upgrade({ merge: true });
+    const m = merged.body.moved || {};
+    assert(merged.status === 200 && merged.body.userId === target, 'Merge: ' + JSON.stringify(merged.body));
+    assert(m.encounters >= 1 && m.relations >= 1 && m.orders === 1 && m.tickets === 1 && m.stars === 1 && m.points > 0, 'Moved: ' + JSON.stringify(m));
+    const seen = (await req('GET', '/api/encounters/' + partner)).body.data;
+    assert(seen.some(e => e.with === target) && !seen.some(e => e.with === gid), 'Partner encounters still point at the guest');
+    const mine = await req('GET', '/api/tickets/mine/' + target, null, fbToken(fbUid));
+    assert(mine.status === 200 && mine.body.tickets.length === 1, 'Tickets: ' + JSON.stringify(mine.body));
+    const again = await upgrade({ merge: true });
+    assert(again.status === 410 && again.body.userId === target, 'Tombstone upgrade: ' + JSON.stringify(again.body));
+    const stale = await req('GET', '/api/tickets/mine/' + gid, null, G);
+    assert(stale.status === 403, 'Merged guest token still works: ' + stale.status);
+  });
+
+  await test('Blocked user cannot reach the blocker', async () => {
+    const blk = await req('POST', '/api/block', { userId: userId2, targetUserId: userId1 });
+    assert(blk.status === 200 && blk.body.blocked.some(b => b.userId === userId1), 'Block: ' + JSON.stringify(blk.body));
+    const send = await req('POST', '/api/connection-request/send', { fromId: userId1, toId: userId2 });
+    assert(send.status === 403, 'Connection request should be refused: ' + send.status);
+    const rep = await req('POST', '/api/report', { userId: userId2, targetUserId: userId1, category: 'harassment', details: 'test' });
+    assert(rep.status === 200 && rep.body.reportId, 'Report: ' + JSON.stringify(rep.body));
+    const dup = await req('POST', '/api/report', { userId: userId2, targetUserId: userId1, category: 'spam' });
+    assert(dup.status === 409, 'Duplicate open report: ' + dup.status);
+    const un = await req('POST', '/api/unblock', { userId: userId2, targetUserId: userId1 });
+    assert(un.status === 200 && un.body.blocked.length === 0, 'Unblock: ' + JSON.stringify(un.body));
+  });
+
+  await test('Moderation and blocks stop messages, pulses and photos on the socket', async () => {
+    const tag = Date.now().toString(36).slice(-5);
+    const reg = async nick => (await req('POST', '/api/register', { nickname: nick + tag, birthdate: '1992-03-10', acceptedTerms: true })).body.userId;
+    const a = await reg('ModA_'), b = await reg('ModB_');
+    const ses = await req('POST', '/api/session/create', { userId: a });
+    await req('POST', '/api/session/join', { userId: b, code: ses.body.code });
+    const rel = (await req('GET', '/api/relations/' + a)).body.find(r => r.userA === b || r.userB === b);
+    assert(rel, 'No relation between the two users');
+    // Chat on the socket needs a proven account: link a Firebase login and pass its token in the handshake
+    const login = async (id, uid) => {
+      await req('POST', '/api/auth/link', { firebaseUid: uid, encUserId: id }, fbToken(uid));
+      return { token: fbToken(uid).Authorization.slice('Bearer '.length) };
+    };
+    const sa = await connectAs(a, await login(a, 'fbmod_a' + tag)), sb = await connectAs(b, await login(b, 'fbmod_b' + tag));
+    const anon = await connectAs(a);
+    try {
+      const got = [], refused = [];
+      for (const ev of ['new-message', 'pulse-received', 'photo-received']) sb.on(ev, () => got.push(ev));
+      sa.on('message-blocked', d => refused.push(d.reason));
+      const sendAll = async () => {
+        got.length = 0; refused.length = 0;
+        sa.emit('send-message', { relationId: rel.id, userId: a, text: 'oi', localId: 'l1' });
+        sa.emit('pulse', { relationId: rel.id, userId: a });
+        sa.emit('send-photo', { relationId: rel.id, userId: a, photoData: 'data:image/png;base64,AA==' });
+        await new Promise(r => setTimeout(r, 400));
+      };
+      await sendAll();
+      assert(got.length === 3 && !refused.length, 'Normal delivery: ' + JSON.stringify({ got, refused }));
+
+      const act = body => req('POST', '/api/admin/moderation/users/' + a + '/action', body, ADMIN);
+      const rep = await req('POST', '/api/report', { userId: b, targetUserId: a, category: 'harassment', details: 'socket test', block: false });
+      const sus = await act({ action: 'suspend', hours: 1, reason: 'test', reportIds: [rep.body.reportId] });
+      assert(sus.status === 200 && sus.body.restriction.type === 'suspend' && sus.body.resolved[0] === rep.body.reportId, 'Suspend: ' + JSON.stringify(sus.body));
+      await sendAll();
+      assert(!got.length && refused.length === 2, 'Suspended account reached the partner: ' + JSON.stringify({ got, refused }));
+      const lift = await act({ action: 'lift' });
+      assert(lift.status === 200 && !lift.body.restriction, 'Lift: ' + JSON.stringify(lift.body));
+      assert((await act({ action: 'lift' })).status === 409, 'Lift without a restriction');
+      await sendAll();
+      assert(got.length === 3, 'Delivery after lift: ' + JSON.stringify(got));
+
+      const warned = new Promise(r => sa.once('moderation-warning', r));
+      const warn = await act({ action: 'warn', reason: 'cuidado' });
+      assert(warn.status === 200 && !warn.body.restriction && (await warned).reason === 'cuidado', 'Warn: ' + JSON.stringify(warn.body));
+      const ban = await act({ action: 'ban', reason: 'test' });
+      assert(ban.body.restriction && ban.body.restriction.type === 'ban', 'Ban: ' + JSON.stringify(ban.body));
+      await sendAll();
+      assert(!got.length && refused.length === 2, 'Banned account reached the partner: ' + JSON.stringify({ got, refused }));
+      // Sent as b, the echo would reach b's socket
+      sa.emit('send-message', { relationId: rel.id, userId: b, text: 'as partner', localId: 'l2' });
+      sa.emit('pulse', { relationId: rel.id, userId: b });
+      await new Promise(r => setTimeout(r, 300));
+      assert(!got.length, 'Banned account sent as the partner: ' + JSON.stringify(got));
+      await act({ action: 'lift' });
+      anon.emit('send-message', { relationId: rel.id, userId: a, text: 'no token', localId: 'l3' });
+      await new Promise(r => setTimeout(r, 300));
+      assert(!got.length, 'Socket without a token sent a message: ' + JSON.stringify(got));
+      const history = (await req('GET', '/api/admin/moderation/users/' + a, null, ADMIN)).body.moderation.history.map(h => h.action);
+      assert(history.join() === 'suspend,lift,warn,ban,lift', 'History: ' + history.join());
+
+      await req('POST', '/api/block', { userId: b, targetUserId: a });
+      await sendAll();
+      assert(!got.length, 'Blocked account reached the blocker: ' + JSON.stringify(got));
+      const profile = await req('GET', '/api/profile/' + b + '/from/' + a);
+      assert(profile.status === 403, 'Blocker profile still served to the blocked user: ' + profile.status);
+    } finally {
+      sa.close();
+      sb.close();
+      anon.close();
+    }
+  });
+
+  await test('Blocks and mutes trim the attendees list', async () => {
+    const { owner } = await operatorCrew();
+    const ev = await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Block Attendees' }, owner.h);
+    const eventId = ev.body.event.id;
+    const join = async nick => {
+      const r = await req('POST', '/api/event/quick-checkin', { eventId, nickname: nick + Date.now().toString(36).slice(-5) });
+      return { id: r.body.userId, h: { 'X-Guest-Token': r.body.guestToken } };
+    };
+    const x = await join('AttX'), y = await join('AttY');
+    const list = async h => (await req('GET', '/api/operator/event/' + eventId + '/attendees', null, h)).body.attendees.map(p => p.userId);
+    await req('POST', '/api/mute', { userId: y.id, targetUserId: x.id }, y.h);
+    assert(!(await list(y.h)).includes(x.id), 'Muted attendee still listed to the participant');
+    assert((await list(owner.h)).includes(x.id), 'Mute between participants hid the attendee from the operator');
+    await req('POST', '/api/block', { userId: x.id, targetUserId: owner.id }, x.h);
+    const operatorView = await list(owner.h);
+    assert(!operatorView.includes(x.id) && operatorView.includes(y.id), 'Operator view: ' + JSON.stringify(operatorView));
+  });
+
+  await test('Account deletion removes the user and needs a real login', async () => {
+    const legacy = await req('GET', '/api/privacy/export/' + userId2);
+    assert(legacy.status === 401, 'Export on legacy auth: ' + legacy.status);
+    const ev = await req('POST', '/api/operator/event/create', { userId: userId2, name: 'Privacy Test' });
+    const guest = await req('POST', '/api/event/quick-checkin', { eventId: ev.body.event.id, nickname: 'privguest' });
+    const { userId, guestToken, nickname } = guest.body;
+    const wrong = await req('POST', '/api/privacy/delete', { userId, guestToken, confirm: 'nope' });
+    assert(wrong.status === 400, 'Deletion without nickname confirmation: ' + wrong.status);
+    const del = await req('POST', '/api/privacy/delete', { userId, guestToken, confirm: nickname });
+    assert(del.status === 200 && del.body.deletion.pseudonym.startsWith('deleted:'), 'Delete: ' + JSON.stringify(del.body));
+    const gone = await req('GET', '/api/myprofile/' + userId);
+    assert(gone.status === 404, 'Deleted profile still served: ' + gone.status);
+    const again = await req('POST', '/api/privacy/delete', { userId, guestToken, confirm: nickname });
+    assert(again.status === 403, 'Deleted account still authenticates: ' + again.status);
+  });
+
+  await test('Account deletion waits for disputes and balance and cancels the subscription first', async () => {
+    assert(process.env.MP_API_BASE && process.env.ADMIN_SECRET, 'MP_API_BASE / ADMIN_SECRET not set');
+    const { owner } = await operatorCrew();
+    const lobby = (await req('POST', '/api/operator/event/create', { userId: owner.id, name: 'Deletion Lobby' })).body.event.id;
+    const join = async nick => {
+      const r = await req('POST', '/api/event/quick-checkin', { eventId: lobby, nickname: nick + Date.now().toString(36).slice(-5) });
+      return { id: r.body.userId, nick: r.body.nickname, h: { 'X-Guest-Token': r.body.guestToken } };
+    };
+    const remove = who => req('POST', '/api/privacy/delete', { userId: who.id, confirm: who.nick }, who.h);
+
+    const subscriber = await join('Assina');
+    await req('POST', '/api/profile/update', { userId: subscriber.id, email: subscriber.nick.toLowerCase() + '@example.com' }, subscriber.h);
+    const created = await req('POST', '/api/subscription/create', { userId: subscriber.id, planId: 'touch_plus' });
+    const pre = Object.values(mpPreapprovals).find(p => p.external_reference === created.body.subId);
+    assert(created.status === 200 && pre, 'Subscription: ' + JSON.stringify(created.body));
+    mpFailing.add(pre.id);
+    const refused = await remove(subscriber);
+    assert(refused.status === 502 && pre.status === 'pending', 'Deleted without cancelling the preapproval: ' + refused.status);
+    assert((await req('GET', '/api/myprofile/' + subscriber.id)).status === 200, 'Account gone after a failed cancel');
+    mpFailing.delete(pre.id);
+    const del = await remove(subscriber);
+    assert(del.status === 200 && pre.status === 'cancelled', 'Delete with subscription: ' + JSON.stringify({ status: del.status, preapproval: pre.status }));
+
+    const seller = await join('Vende');
+    const ev = await req('POST', '/api/operator/event/create', { userId: seller.id, name: 'Deletion Sales' });
+    const O = '/api/operator/event/' + ev.body.event.id;
+    await req('POST', O + '/menu', { items: [{ id: 'mi_del', name: 'Combo', price: 40 }] }, seller.h);
+    const pay = await req('POST', O + '/pay-entry', { userId: userId2, type: 'order', amount: 40, token: 'tok', paymentMethodId: 'visa', payerEmail: 'a@b.co' });
+    await req('POST', '/api/event/' + ev.body.event.id + '/order', { userId: userId2, items: [{ menuItemId: 'mi_del', qty: 1 }], paymentMethod: 'card', paymentId: pay.body.paymentId });
+    const mpId = pay.body.mpPaymentId;
+    mpPayments[mpId].status = 'approved';
+    await req('POST', '/mp/webhook', { id: 'delpay-' + mpId, type: 'payment', data: { id: String(mpId) } });
+    mpChargebacks['cb' + mpId] = { id: 'cb' + mpId, payments: [mpId], amount: 10, currency: 'BRL', reason: 'fraud', date_documentation_deadline: new Date(Date.now() + 7 * 864e5).toISOString() };
+    await req('POST', '/mp/webhook', { id: 'delcb-' + mpId, type: 'chargebacks', data: { id: 'cb' + mpId } });
+    const dispute = await waitFor(async () => (await req('GET', O + '/disputes', null, seller.h)).body.disputes[0]);
+    assert(dispute, 'Dispute never opened');
+    await req('POST', O + '/end', {}, seller.h);
+    const disputed = await remove(seller);
+    assert(disputed.status === 409 && disputed.body.disputes[0] === dispute.id, 'Delete with an open dispute: ' + JSON.stringify(disputed.body));
+    await req('POST', '/api/admin/disputes/' + dispute.id + '/resolve', { outcome: 'won' }, ADMIN);
+    const owed = await remove(seller);
+    assert(owed.status === 409 && owed.body.payable > 0, 'Delete with a balance to receive: ' + JSON.stringify(owed.body));
+    const byAdmin = await req('POST', '/api/admin/privacy/users/' + seller.id + '/delete', {}, ADMIN);
+    assert(byAdmin.status === 409, 'Admin delete with a balance to receive: ' + byAdmin.status);
+  });
+
+  await test('Failed deletion cleanup keeps no storage paths or login ids', async () => {
+    const privacy = require('./privacy');
+    const rec = {
+      status: 'pending', attempts: 5, lastError: 'storage: No such object: bkt/docs/u-123_front.jpg',
+      storage: { pending: ['docs/u-123_front.jpg'], prefixes: ['photos/profile/u-123_'], deleted: 2 }, authPending: ['fb-uid-9']
+    };
+    const targets = privacy.scrubFailedCleanup(rec);
+    const saved = JSON.stringify(rec);
+    assert(rec.status === 'failed' && !saved.includes('u-123') && !saved.includes('fb-uid-9'), 'Scrubbed record: ' + saved);
+    assert(rec.storage.failed === 2 && rec.storage.deleted === 2 && rec.authFailed === 1, 'Counts: ' + saved);
+    assert(targets.pending[0] === 'docs/u-123_front.jpg' && targets.authPending[0] === 'fb-uid-9', 'Retry targets: ' + JSON.stringify(targets));
+  });
+
+  await test('Face identification only matches consenting participants', async () => {
+    const { owner } = await operatorCrew();
+    const face = Array.from({ length: 128 }, (_, i) => Math.sin(i) / 10);
+    const enroll = await req('POST', '/api/face/enroll', { userId: userId2, descriptors: [face, face, face] });
+    assert(enroll.status === 200, 'Enroll: ' + JSON.stringify(enroll.body));
+    const ev = await req('POST', '/api/event/create', { userId: owner.id, name: 'Face Test', lat: -23.5, lng: -46.6 });
+    const eventId = ev.body.event.id;
+    await req('POST', '/api/event/join', { userId: userId2, eventId });
+    const path = '/api/operator/event/' + eventId + '/face/identify';
+    const before = await req('POST', path, { scope: 'event', liveDescriptor: face }, owner.h);
+    assert(before.status === 200 && before.body.found === false, 'Matched without consent: ' + JSON.stringify(before.body));
+    await req('POST', '/api/face/consent', { userId: userId2, eventId, grant: true });
+    const after = await req('POST', path, { scope: 'event', liveDescriptor: face }, owner.h);
+    assert(after.body.found && after.body.matches[0].userId === userId2 && !('realName' in after.body.matches[0]), 'Identify: ' + JSON.stringify(after.body));
+    const near = face.map((x, i) => i === 0 ? x + 0.55 : x);
+    const other = (await req('POST', '/api/register', { nickname: 'FaceB_' + Date.now().toString(36), birthdate: '1990-02-02', acceptedTerms: true })).body.userId;
+    const otherFace = near.map((x, i) => i === 1 ? x + 0.62 : x);
+    await req('POST', '/api/face/enroll', { userId: other, descriptors: [otherFace] });
+    await req('POST', '/api/event/join', { userId: other, eventId });
+    await req('POST', '/api/face/consent', { userId: other, eventId, grant: true });
+    const edge = await req('POST', path, { scope: 'event', liveDescriptor: near }, owner.h);
+    assert(edge.body.matches.length === 1 && edge.body.matches[0].userId === userId2, 'Candidate past the match threshold: ' + JSON.stringify(edge.body.matches));
+    const global = await req('POST', '/api/face/identify', { liveDescriptor: face });
+    assert(global.status === 410, 'Unscoped identify still open: ' + global.status);
+  });
+
   console.log('\n' + '='.repeat(40));
   console.log('  Total: ' + total + '  ✅ Passed: ' + passed + '  ❌ Failed: ' + failed);
   console.log('='.repeat(40) + '\n');
@@ -0,0 +1,117 @@
+// ══════════════════════════════════════════════════════════════
+// TICKETS -- tipos de ingresso, lotacao e QR assinado (Ed25519)
+// ══════════════════════════════════════════════════════════════
+// Uma vaga conta como ocupada enquanto o ingresso e valido/usado ou a reserva nao venceu
+// (holdsSeat); lotacao e limite por pessoa saem dessa mesma conta.
+//
+// tier = { id, name, kind, price, groupSize, capacity, perUserLimit, salesStart, salesEnd, active }
+//   kind  paid (early bird = paid com salesEnd/capacity), vip, free (RSVP, sem pagamento),
+//         group (uma compra = groupSize ingressos pelo price do grupo)
+//   capacity em ingressos (null = sem limite); perUserLimit em compras
+//
+// QR = 'TK1.' + base64url(payload JSON) + '.' + base64url(assinatura Ed25519 do payload)
+//   payload = { id, ev, tier, uid, iat, kid }
+// A portaria valida offline so com a chave publica (GET /api/tickets/public-key) e a
+// lista de usados/cancelados; o uso unico e fechado no servidor (scan ou sync).
+
+const crypto = require('crypto');
+
+const TIER_KINDS = ['paid', 'vip', 'free', 'group'];
+const MAX_TIERS = 20;
+const TICKET_PREFIX = 'TK1';
+// Reserva de PIX / checkout ainda sem pagamento segura a vaga por este tempo
+const TICKET_HOLD_MS = 30 * 60000;
+
+const isNum = v => typeof v === 'number' && isFinite(v);
+
+// Normaliza a lista de tipos; erros voltam em lista (tiers so serve se errors estiver vazio)
+function validateTiers(input) {
+  const errors = [];
+  if (!Array.isArray(input)) return { tiers: [], errors: ['tiers deve ser uma lista.'] };
+  if (input.length > MAX_TIERS) errors.push('Maximo de ' + MAX_TIERS + ' tipos de ingresso.');
+  const ids = new Set();
+  const tiers = input.slice(0, MAX_TIERS).map((t, i) => {
+    const at = 'Ingresso ' + (i + 1) + ': ';
+    if (!t || typeof t !== 'object') { errors.push(at + 'formato invalido.'); return null; }
+    const id = String(t.id || 'tier' + (i + 1)).slice(0, 40);
+    if (ids.has(id)) errors.push(at + 'id repetido (' + id + ').');
+    ids.add(id);
+    const name = String(t.name || '').trim().slice(0, 60);
+    if (!name) errors.push(at + 'informe o nome.');
+    const kind = t.kind || (t.price > 0 ? 'paid' : 'free');
+    if (!TIER_KINDS.includes(kind)) errors.push(at + 'kind deve ser ' + TIER_KINDS.join(', ') + '.');
+    const price = kind === 'free' ? 0 : Number(t.price);
+    if (kind !== 'free' && !(price > 0 && price <= 100000)) errors.push(at + 'price entre 0,01 e 100000.');
+    const groupSize = kind === 'group' ? parseInt(t.groupSize) : 1;
+    if (kind === 'group' && !(groupSize >= 2 && groupSize <= 50)) errors.push(at + 'groupSize entre 2 e 50.');
+    const capacity = t.capacity == null || t.capacity === '' ? null : parseInt(t.capacity);
+    if (capacity != null && !(capacity >= 1)) errors.push(at + 'capacity deve ser pelo menos 1.');
+    const perUserLimit = t.perUserLimit == null || t.perUserLimit === '' ? null : parseInt(t.perUserLimit);
+    if (perUserLimit != null && !(perUserLimit >= 1)) errors.push(at + 'perUserLimit deve ser pelo menos 1.');
+    for (const k of ['salesStart', 'salesEnd']) {
+      if (t[k] != null && !isNum(t[k])) errors.push(at + k + ' deve ser timestamp (ms).');
+    }
+    if (isNum(t.salesStart) && isNum(t.salesEnd) && t.salesEnd <= t.salesStart) errors.push(at + 'salesEnd antes de salesStart.');
+    return {
+      id, name, kind, price: Math.round((price || 0) * 100) / 100, groupSize,
+      capacity, perUserLimit,
+      salesStart: isNum(t.salesStart) ? t.salesStart : null,
+      salesEnd: isNum(t.salesEnd) ? t.salesEnd : null,
+      description: t.description ? String(t.description).slice(0, 200) : '',
+      active: t.active !== false
+    };
+  }).filter(Boolean);
+  return { tiers, errors };
+}
+
+// Reserva vencida nao conta na lotacao
+function holdsSeat(ticket, now) {
+  if (ticket.status === 'valid' || ticket.status === 'used') return true;
+  return ticket.status === 'reserved' && ticket.reservedUntil > now;
+}
+
+// counts = { taken (ingressos que seguram vaga), userUnits (compras do usuario no tipo) }
+function tierAvailability(tier, counts, now) {
+  const remaining = tier.capacity == null ? null : Math.max(0, tier.capacity - counts.taken);
+  let reason = null;
+  if (!tier.active) reason = 'inactive';
+  else if (tier.salesStart && now < tier.salesStart) reason = 'not_started';
+  else if (tier.salesEnd && now > tier.salesEnd) reason = 'ended';
+  else if (remaining != null && remaining < tier.groupSize) reason = 'sold_out';
+  else if (tier.perUserLimit != null && (counts.userUnits || 0) >= tier.perUserLimit) reason = 'user_limit';
+  return { onSale: !reason, reason, remaining };
+}
+
+const b64url = buf => Buffer.from(buf).toString('base64url');
+
+// Chave Ed25519 a partir de uma semente de 32 bytes (PKCS8 DER com prefixo fixo)
+function keyFromSeed(seed) {
+  const der = Buffer.concat([Buffer.from('302e020100300506032b657004220420', 'hex'), seed.subarray(0, 32)]);
+  const privateKey = crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' });
+  return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+}
+
+function keyId(publicKey) {
+  return crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('base64url').slice(0, 12);
+}
+
+function signTicket(payload, privateKey) {
+  const body = b64url(JSON.stringify(payload));
+  const sig = crypto.sign(null, Buffer.from(body), privateKey);
+  return TICKET_PREFIX + '.' + body + '.' + b64url(sig);
+}
+
+// { payload } ou { error }. So confere formato e assinatura -- status fica com quem chama
+function verifyTicket(code, publicKey) {
+  const parts = String(code || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TICKET_PREFIX) return { error: 'format' };
+  let ok = false;
+  try { ok = crypto.verify(null, Buffer.from(parts[1]), publicKey, Buffer.from(parts[2], 'base64url')); } catch (e) { ok = false; }
+  if (!ok) return { error: 'signature' };
+  try { return { payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString()) }; } catch (e) { return { error: 'format' }; }
+}
+
+module.exports = {
+  TIER_KINDS, MAX_TIERS, TICKET_PREFIX, TICKET_HOLD_MS,
+  validateTiers, holdsSeat, tierAvailability, keyFromSeed, keyId, signTicket, verifyTicket
+};